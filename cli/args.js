@@ -0,0 +1,66 @@
+// cli/args.js
+// Minimal argv parser: positionals, `--flag value`, `--flag=value` and boolean switches.
+
+/** Switches that never take a value. */
+const BOOLEAN_FLAGS = new Set([
+  "dry-run",
+  "json",
+  "help",
+  "on",
+  "off",
+  "proof",
+  "attestation",
+  "via-timelock",
+  "l1",
+  "wait",
+  "execute",
+  "all",
+  "skip-manifest-check",
+  "scan-events",
+]);
+
+/**
+ * @param {string[]} argv process.argv.slice(2)
+ * @returns {{ _: string[], flags: Record<string, string|boolean> }}
+ */
+function parseArgs(argv) {
+  const out = { _: [], flags: {} };
+  for (let i = 0; i < argv.length; i++) {
+    const a = argv[i];
+    if (a === "--") {
+      out._.push(...argv.slice(i + 1));
+      break;
+    }
+    if (!a.startsWith("--")) {
+      out._.push(a);
+      continue;
+    }
+    const eq = a.indexOf("=");
+    const key = a.slice(2, eq === -1 ? undefined : eq);
+    if (eq !== -1) {
+      out.flags[key] = a.slice(eq + 1);
+    } else if (BOOLEAN_FLAGS.has(key) || argv[i + 1] === undefined || argv[i + 1].startsWith("--")) {
+      out.flags[key] = true;
+    } else {
+      out.flags[key] = argv[++i];
+    }
+  }
+  return out;
+}
+
+/** String flag value or `fallback`; throws if the flag was given without a value. */
+function flag(args, name, fallback = null) {
+  const v = args.flags[name];
+  if (v === undefined) return fallback;
+  if (v === true) throw new Error(`--${name} needs a value`);
+  return String(v).trim();
+}
+
+/** The n-th positional, or throw with `what` in the message. */
+function positional(args, n, what) {
+  const v = args._[n];
+  if (v === undefined) throw new Error(`Missing ${what}`);
+  return v;
+}
+
+module.exports = { BOOLEAN_FLAGS, parseArgs, flag, positional };
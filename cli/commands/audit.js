@@ -0,0 +1,68 @@
+// cli/commands/audit.js
+// gemstep audit run — the deployment's whole security posture in one pass (see sdk/audit.js).
+//
+// Prints one row per invariant and exits 1 if any fails, so it can gate a release or run from
+// cron. With --json the full report goes to stdout either way.
+const { auditDeployment, deployerOf } = require("../../sdk");
+const { flag } = require("../args");
+
+const STATUS = { pass: "✅", fail: "❌", skip: "–" };
+
+const list = (ctx, raw) =>
+  (raw || "")
+    .split(",")
+    .map((a) => a.trim())
+    .filter(Boolean)
+    .map((a) => ctx.address(a));
+
+async function run(ctx, args) {
+  if (!ctx.deployment) throw new Error("No deployment manifest loaded (pass --network or --deployment <file>)");
+  const m = ctx.deployment.manifest;
+  const deployer = flag(args, "deployer") ? ctx.address(flag(args, "deployer")) : deployerOf(m.doc);
+
+  let scan = null;
+  if (args.flags["scan-events"] === true) {
+    const fromFlag = flag(args, "from-block");
+    if (fromFlag == null && ctx.deployment.deployBlock == null) {
+      throw new Error("Missing --from-block (no deployment block in the manifest)");
+    }
+    scan = {
+      fromBlock: Number(fromFlag ?? ctx.deployment.deployBlock),
+      ...(flag(args, "to-block") && { toBlock: Number(flag(args, "to-block")) }),
+      batchSize: Number(flag(args, "batch-size", "2000")),
+    };
+  }
+
+  const res = await auditDeployment(m.state, ctx.provider, {
+    l1Provider: args.flags.l1 === true ? ctx.l1().provider : null,
+    deployer,
+    accounts: list(ctx, flag(args, "account")),
+    allowAdmins: list(ctx, flag(args, "allow-admin")),
+    scan,
+    log: ctx.log,
+  });
+
+  const shown = args.flags.all === true ? res.checks : res.checks.filter((c) => c.status !== "skip");
+  ctx.table(
+    shown.map((c) => ({
+      area: c.area,
+      invariant: c.invariant,
+      ok: STATUS[c.status],
+      expected: c.expected,
+      actual: c.actual,
+      note: c.note || "",
+    }))
+  );
+  const { pass, fail, skip } = res.counts;
+  const summary = `${fail} failed, ${pass} passed, ${skip} skipped`;
+  ctx.log(`${m.file}: ${summary}${skip && args.flags.all !== true ? " (--all lists the skipped ones)" : ""}`);
+  return { file: m.file, deployer, summary, ...res };
+}
+
+module.exports = {
+  summary: "Audit the deployment's roles, ownership chain and configuration against its manifest",
+  usage: [
+    "audit run  [--l1] [--deployer 0x…] [--account 0x…,…] [--allow-admin 0x…,…] [--all] [--scan-events [--from-block n] [--batch-size 2000]]",
+  ],
+  subcommands: { run },
+};
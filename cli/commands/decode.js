@@ -0,0 +1,82 @@
+// cli/commands/decode.js
+// gemstep decode calldata|tx|mini|op — readable trees of what a proposal will actually do.
+//
+// Run `decode mini <id>` before approving a MiniMultisig proposal: it follows the call through
+// the timelock, UpgradeExecutor, ProxyAdmin and L1 governance wrappers down to the token call.
+const { ethers } = require("ethers");
+const { MINI_MULTISIG_ABI, renderCall } = require("../../sdk");
+const { flag, positional } = require("../args");
+const T = require("../timelock");
+const { resolveOperation } = require("./timelock");
+
+function show(ctx, node) {
+  for (const line of renderCall(node)) ctx.log(line);
+  return node;
+}
+
+/** `decode calldata 0x… [--to name|0x…] [--value wei]` (without --to the ABI is matched by selector). */
+async function calldata(ctx, args) {
+  const data = positional(args, 0, "<calldata 0x…>");
+  if (!ethers.isHexString(data)) throw new Error("Calldata must be 0x-hex");
+  const to = flag(args, "to");
+  const call = ctx.decoder().decodeCall({ to: to ? ctx.address(to) : null, value: flag(args, "value", "0"), data });
+  return { call: show(ctx, call) };
+}
+
+/** A mined (or pending) transaction, by hash. `--l1` looks it up on L1. */
+async function tx(ctx, args) {
+  const hash = positional(args, 0, "<tx hash>");
+  const provider = args.flags.l1 === true ? ctx.l1().provider : ctx.provider;
+  const t = await provider.getTransaction(hash);
+  if (!t) throw new Error(`Transaction ${hash} not found`);
+  ctx.log(`tx ${hash} from ${ctx.decoder().describeAddress(t.from)}${t.blockNumber ? ` (block ${t.blockNumber})` : " (pending)"}`);
+  const call = ctx.decoder().decodeCall({ to: t.to, value: t.value, data: t.data });
+  return { hash, from: t.from, blockNumber: t.blockNumber, call: show(ctx, call) };
+}
+
+/** A MiniMultisig proposal with its approvals. */
+async function mini(ctx, args) {
+  const id = BigInt(positional(args, 0, "<proposal id>"));
+  const addr = ctx.address("miniMultisig");
+  const m = new ethers.Contract(addr, MINI_MULTISIG_ABI, ctx.provider);
+  const [target, value, executed, approvals, data] = await m.getTx(id);
+  const owners = await m.owners();
+  const approvedBy = await Promise.all(owners.map((o) => m.isApproved(id, o)));
+
+  const d = ctx.decoder();
+  ctx.log(`MiniMultisig ${d.describeAddress(addr)} proposal #${id}`);
+  ctx.log(`  approvals: ${approvals}/2 — ${owners.map((o, i) => `${o} ${approvedBy[i] ? "✅" : "⏳"}`).join(", ")}`);
+  ctx.log(`  executed : ${executed}`);
+  const call = show(ctx, d.decodeCall({ to: target, value, data }));
+  return {
+    multisig: addr,
+    id,
+    executed,
+    approvals: Number(approvals),
+    owners: owners.map((o, i) => ({ owner: o, approved: approvedBy[i] })),
+    call,
+  };
+}
+
+/** A timelock operation from the ledger (id / prefix) or the usual operation flags. */
+async function op(ctx, args) {
+  const { tl, op: o, entry } = resolveOperation(ctx, args);
+  const st = await T.operationStatus(tl, o.id);
+  const d = ctx.decoder();
+  ctx.log(`Timelock (${tl.layer}) ${d.describeAddress(tl.address)} operation ${o.id}`);
+  ctx.log(`  state: ${st.state}${st.readyAt ? `, ready at ${new Date(Number(st.readyAt) * 1000).toISOString()}` : ""}`);
+  if (entry?.label || entry?.command) ctx.log(`  label: ${entry.label || entry.command}`);
+  const calls = T.operationCalls(o).map((c) => show(ctx, d.decodeCall({ to: c.target, value: c.value, data: c.data })));
+  return { timelock: tl.address, layer: tl.layer, id: o.id, state: st.state, calls };
+}
+
+module.exports = {
+  summary: "Decode governance calldata into a readable call tree",
+  usage: [
+    "decode calldata <0x…> [--to <name|0x…>] [--value wei]",
+    "decode tx       <hash> [--l1]",
+    "decode mini     <proposal id>",
+    "decode op       (<id|prefix> | --op op.json | --target … --data … --salt …) [--l1]",
+  ],
+  subcommands: { calldata, tx, mini, op },
+};
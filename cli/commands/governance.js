@@ -0,0 +1,57 @@
+// cli/commands/governance.js
+// gemstep governance send-pause — L1 timelock → CrossChainGovernanceL1.callL2(l2SetPause(bool)).
+const { ethers } = require("ethers");
+const { L1_GOVERNANCE_ABI, TOKEN_ADMIN_ABI } = require("../../sdk");
+const { flag } = require("../args");
+const T = require("../timelock");
+
+const govIface = new ethers.Interface(L1_GOVERNANCE_ABI);
+const tokenIface = new ethers.Interface(TOKEN_ADMIN_ABI);
+
+/**
+ * First run: quote the retryable, add the bump (L1_MSGVALUE_BUMP_PCT, default 15%) and schedule
+ * with a fresh salt. The retryable value is part of the operation id, so to execute later pass
+ * back the printed `--salt` and `--value` (or use `timelock execute --l1 --op <file>`).
+ */
+async function sendPause(ctx, args) {
+  const on = args.flags.on === true;
+  if (on === (args.flags.off === true)) throw new Error("Pass exactly one of --on (pause) / --off (unpause)");
+
+  const tl = T.resolveTimelock(ctx, { l1: true });
+  const govAddr = ctx.address("l1Governance");
+  const gov = new ethers.Contract(govAddr, L1_GOVERNANCE_ABI, tl.provider);
+
+  const l2Data = tokenIface.encodeFunctionData("l2SetPause", [on]);
+  const data = govIface.encodeFunctionData("callL2", [l2Data]);
+
+  const token = new ethers.Contract(ctx.address("token"), TOKEN_ADMIN_ABI, ctx.provider);
+  const pausedNow = await token.paused().catch(() => null);
+  ctx.log(`L2 paused() now: ${pausedNow} → target: ${on}`);
+  if (pausedNow === on) ctx.log("ℹ️  L2 already in the requested state.");
+
+  let value = flag(args, "value");
+  let quote = null;
+  if (value == null) {
+    const [total, submissionFee, gasFee] = await gov.quoteRetryable(l2Data, 0n);
+    const bumpPct = Number(flag(args, "bump-pct") || process.env.L1_MSGVALUE_BUMP_PCT || "15");
+    value = total + (total * BigInt(Math.round(bumpPct * 100))) / 10000n;
+    quote = { total, submissionFee, gasFee, bumpPct, value };
+    ctx.log(`Retryable quote: ${ethers.formatEther(total)} ETH (+${bumpPct}% → ${ethers.formatEther(value)} ETH)`);
+  }
+
+  const salt = flag(args, "salt");
+  const op = T.buildOperation({ target: govAddr, value, data, salt: salt ? T.parseSalt(salt) : null });
+  const res = await T.advanceOperation(ctx, tl, op);
+
+  if (res.action === "scheduled" && !ctx.dryRun) {
+    ctx.log("Next (after minDelay):");
+    ctx.log(`  gemstep governance send-pause --network ${ctx.network} ${on ? "--on" : "--off"} --salt ${op.salt} --value ${op.value}`);
+  }
+  return { governance: govAddr, paused: on, pausedNow, quote, ...res };
+}
+
+module.exports = {
+  summary: "L1 governance actions relayed to L2 via retryable tickets",
+  usage: ["governance send-pause (--on | --off) [--salt 0x… --value wei] [--bump-pct 15]"],
+  subcommands: { "send-pause": sendPause },
+};
@@ -0,0 +1,142 @@
+// cli/commands/manifest.js
+// gemstep manifest show|history|verify|import|record — the per-network deployment manifest.
+//
+// deployments/<network>-manifest.json is append-only (see sdk/manifest.js). Deploys, `upgrade
+// prepare` and executed upgrades record themselves; `manifest record` covers changes made by
+// hand (a new oracle, an updated delay) so the fail-fast chain check keeps passing.
+const fs = require("fs");
+const path = require("path");
+const { ethers } = require("ethers");
+const {
+  CHAIN_IDS,
+  CONTRACT_KEYS,
+  fromLegacy,
+  manifestPath,
+  writeManifest,
+  verifyManifest,
+} = require("../../sdk");
+const { flag } = require("../args");
+
+function loaded(ctx) {
+  if (!ctx.deployment) throw new Error("No deployment manifest loaded (pass --network or --deployment <file>)");
+  return ctx.deployment.manifest;
+}
+
+/** `k=v,k=v` → object; values that parse as JSON (numbers, booleans, arrays) are kept typed. */
+function pairs(raw, what) {
+  const out = {};
+  for (const part of (raw || "").split(",").map((p) => p.trim()).filter(Boolean)) {
+    const eq = part.indexOf("=");
+    if (eq < 1) throw new Error(`${what}: expected key=value, got "${part}"`);
+    const v = part.slice(eq + 1).trim();
+    let parsed = v;
+    if (!ethers.isHexString(v)) {
+      try {
+        parsed = JSON.parse(v);
+      } catch {
+        parsed = v;
+      }
+    }
+    out[part.slice(0, eq).trim()] = parsed;
+  }
+  return out;
+}
+
+async function show(ctx) {
+  const m = loaded(ctx);
+  const { state } = m;
+  ctx.log(`${m.file}${m.legacy ? " (legacy file, converted in memory)" : ""}`);
+  ctx.log(`network ${state.network} (chainId ${state.chainId ?? "unknown"}), ${state.seq} entr${state.seq === 1 ? "y" : "ies"}, updated ${state.updatedAt}`);
+  ctx.table(Object.entries(state.contracts).map(([contract, address]) => ({ contract, address })));
+  if (state.implementation?.storageLayoutHash) ctx.log(`storage layout : ${state.implementation.storageLayoutHash}`);
+  if (state.build) ctx.log(`build          : ${JSON.stringify(state.build)}`);
+  return { file: m.file, legacy: m.legacy, ...state };
+}
+
+async function history(ctx) {
+  const m = loaded(ctx);
+  const rows = m.doc.history.map((e) => ({
+    seq: e.seq,
+    kind: e.kind,
+    timestamp: e.timestamp,
+    changes: [...Object.keys(e.contracts || {}), ...Object.keys(e.configuration || {})].join(", "),
+    implementation: e.implementation?.address || "",
+    txs: Object.keys(e.txs || {}).length,
+    note: e.note || "",
+  }));
+  ctx.table(rows);
+  return { file: m.file, history: m.doc.history };
+}
+
+/** Compare with chain state; fails (exit 1) on any mismatch. `--l1` also checks L1 contracts. */
+async function verify(ctx, args) {
+  const m = loaded(ctx);
+  const l1Provider = args.flags.l1 === true ? ctx.l1().provider : null;
+  const res = await verifyManifest(m.state, ctx.provider, { l1Provider });
+  ctx.table(res.checks.map((c) => ({ check: c.check, ok: c.ok ? "✅" : "❌", manifest: c.expected, chain: c.actual })));
+  const bad = res.checks.filter((c) => !c.ok);
+  if (bad.length) throw new Error(`${bad.length} check(s) failed: ${bad.map((c) => c.check).join(", ")}`);
+  ctx.log(`${m.file}: ${res.checks.length} checks passed`);
+  return { file: m.file, ...res };
+}
+
+/**
+ * Start a manifest from the legacy `-latest.json` (or `--from <file>`). The legacy file is left
+ * as it is; later records regenerate it as a view of the manifest.
+ */
+async function importLegacy(ctx, args) {
+  const out = path.resolve(flag(args, "out") || manifestPath(ctx.network));
+  if (fs.existsSync(out)) throw new Error(`${out} already exists`);
+  const src = flag(args, "from") || (ctx.deployment?.manifest.legacy && ctx.deployment.file);
+  if (!src) throw new Error("Nothing to import (pass --from <legacy deployment file>)");
+  const from = path.resolve(src);
+  const raw = JSON.parse(fs.readFileSync(from, "utf8"));
+  const chainId = flag(args, "chain-id") ? Number(flag(args, "chain-id")) : CHAIN_IDS[ctx.network] ?? null;
+  const doc = fromLegacy(raw, { network: ctx.network, chainId, source: path.relative(process.cwd(), from) });
+  if (!ctx.dryRun) writeManifest(out, doc, { latest: false });
+  ctx.log(`${ctx.dryRun ? "[dry-run] would write" : "Wrote"} ${out} (1 import entry, chainId ${doc.chainId ?? "unknown"})`);
+  return { file: out, manifest: doc };
+}
+
+/**
+ * Append an entry by hand: `--contracts key=0x…,…`, `--set key=value,…` (configuration),
+ * `--impl 0x…` (prepare/upgrade), `--txs label=0xhash,…`, `--note text`.
+ */
+async function record(ctx, args) {
+  loaded(ctx);
+  const kind = flag(args, "kind", "configure");
+  const contracts = pairs(flag(args, "contracts"), "--contracts");
+  for (const [k, v] of Object.entries(contracts)) {
+    const key = k === "token" ? "tokenProxy" : k;
+    if (!CONTRACT_KEYS.includes(key)) throw new Error(`--contracts: unknown contract "${k}" (${CONTRACT_KEYS.join(", ")})`);
+    delete contracts[k];
+    contracts[key] = ctx.address(v);
+  }
+  const impl = flag(args, "impl");
+  const entry = {
+    kind,
+    ...(Object.keys(contracts).length && { contracts }),
+    ...(flag(args, "set") && { configuration: pairs(flag(args, "set"), "--set") }),
+    ...(impl && { implementation: { address: ctx.address(impl) } }),
+    ...(flag(args, "txs") && { txs: pairs(flag(args, "txs"), "--txs") }),
+    ...(flag(args, "note") && { note: flag(args, "note") }),
+  };
+  if (!entry.contracts && !entry.configuration && !entry.implementation) {
+    throw new Error("Nothing to record (--contracts, --set or --impl)");
+  }
+  const recorded = ctx.recordManifest(entry);
+  if (!recorded && ctx.dryRun) ctx.log(`[dry-run] would record ${JSON.stringify(entry)}`);
+  return { entry: recorded || entry, recorded: !!recorded };
+}
+
+module.exports = {
+  summary: "Inspect, verify and extend the per-network deployment manifest",
+  usage: [
+    "manifest show",
+    "manifest history",
+    "manifest verify  [--l1]",
+    "manifest import  [--from deployments/<network>-latest.json] [--chain-id n] [--out file]",
+    "manifest record  [--kind configure|deploy|prepare|upgrade] [--contracts k=0x…,…] [--set k=v,…] [--impl 0x…] [--txs label=0x…,…] [--note text]",
+  ],
+  subcommands: { show, history, verify, import: importLegacy, record },
+};
@@ -0,0 +1,149 @@
+// cli/commands/multisig.js
+// gemstep multisig propose|show|approve|revoke|execute — MiniMultisig2of2 proposals, one key each.
+//
+// Owner A: `multisig propose …` (or any --via-timelock command without MS_EOA2_PK) writes a
+// proposal bundle. Owner B, on their own machine: `multisig show <bundle>` to verify it against
+// chain state, then `multisig approve <bundle> --execute`.
+const { flag, positional } = require("../args");
+const M = require("../multisig");
+const T = require("../timelock");
+const { recordOperation } = require("../ledger");
+const { calldataFrom } = require("./timelock");
+
+const sameAddr = (a, b) => a.toLowerCase() === b.toLowerCase();
+
+/** `<bundle.json>` or a bare proposal id on this deployment's MiniMultisig. */
+function proposalRef(ctx, args) {
+  const ref = positional(args, 0, "<bundle.json | proposal id>");
+  if (/^\d+$/.test(ref)) return { bundle: null, multisig: ctx.address("miniMultisig"), id: BigInt(ref) };
+  return { bundle: M.readBundle(ref), file: ref };
+}
+
+function report(ctx, v, bundle) {
+  const d = ctx.decoder();
+  ctx.log(`MiniMultisig ${d.describeAddress(v.multisig)} proposal #${v.id}`);
+  if (bundle) ctx.log(`  bundle   : ${bundle.label || bundle.command || "-"} (proposed by ${bundle.proposer}, ${bundle.createdAt})`);
+  ctx.log(`  approvals: ${v.approvals}/2 — ${v.owners.map((o) => `${o.owner} ${o.approved ? "✅" : "⏳"}`).join(", ")}`);
+  ctx.log(`  executed : ${v.executed}`);
+  for (const line of v.summary) ctx.log(`  ${line}`);
+  for (const w of v.warnings) ctx.log(`  ⚠️  ${w}`);
+  for (const p of v.problems) ctx.log(`  ❌ ${p}`);
+}
+
+/** Verify and report; refuse to go on if the bundle and the chain disagree. */
+async function checked(ctx, ref) {
+  const v = await M.verifyProposal(ctx, ref);
+  report(ctx, v, ref.bundle);
+  if (v.problems.length) throw new Error(`Proposal #${v.id} failed verification: ${v.problems.join("; ")}`);
+  return v;
+}
+
+/**
+ * After a proposal that wrapped a timelock call is executed, record the operation in this
+ * machine's ledger, so the side that executed also has its salt and predecessor on file.
+ */
+async function recordTimelockCall(ctx, v, bundle, tx) {
+  const meta = bundle?.timelock;
+  if (!meta?.op || ctx.dryRun) return null;
+  const op = T.buildOperation(meta.op);
+  // The bundle's operation must be the one the executed calldata actually hashes to (cancel
+  // carries the id itself).
+  const calledId = v.call.operationId || (v.call.function === "cancel" ? v.call.args[0].value : null);
+  if (!sameAddr(meta.address, v.target) || calledId !== op.id) {
+    ctx.log(`  ⚠️  bundle operation ${op.id} does not match the executed call; not recorded`);
+    return null;
+  }
+  const tl = T.resolveTimelock(ctx, { address: meta.address });
+  const st = await T.operationStatus(tl, op.id);
+  const now = new Date().toISOString();
+  const patch = {
+    schedule: { ...T.statusPatch(st), scheduleTx: tx.hash, scheduledAt: now },
+    execute: { state: "done", executeTx: tx.hash, executedAt: now },
+    cancel: { state: "cancelled", cancelTx: tx.hash, cancelledAt: now },
+  }[meta.action];
+  if (!patch) return null;
+  const entry = recordOperation(ctx, tl, op, { ...patch, proposal: { multisig: v.multisig, id: v.id } });
+  if (entry) ctx.log(`  timelock operation ${op.id.slice(0, 10)} recorded as ${entry.state} in ${ctx.ledger}`);
+  return { id: op.id, state: patch.state };
+}
+
+async function executeVerified(ctx, v, bundle) {
+  const tx = await M.executeProposal(ctx, v.multisig, v.id);
+  const operation = await recordTimelockCall(ctx, v, bundle, tx);
+  return { tx, operation };
+}
+
+/** `multisig propose --target … (--data | --call --args) [--value wei]`: propose and write the bundle. */
+async function propose(ctx, args) {
+  const target = flag(args, "target");
+  if (!target) throw new Error("Missing --target <name|0x…>");
+  const multisig = ctx.address("miniMultisig");
+  const call = { to: ctx.address(target), value: BigInt(flag(args, "value", "0")), data: calldataFrom(args) };
+  const p = await M.proposeToMini(ctx, multisig, { ...call, label: ctx.label || `call ${target}` });
+  return { action: ctx.dryRun ? "simulated" : "proposed", multisig, id: p.id, bundle: p.file, tx: p.tx };
+}
+
+/** Read-only: verify a bundle (or an id) against chain state and decode it locally. */
+async function show(ctx, args) {
+  const ref = proposalRef(ctx, args);
+  const v = await M.verifyProposal(ctx, ref);
+  report(ctx, v, ref.bundle);
+  return { ...v, verified: v.problems.length === 0 };
+}
+
+/** Approve as the current signer; `--execute` also executes once both approvals are in. */
+async function approve(ctx, args) {
+  const ref = proposalRef(ctx, args);
+  const v = await checked(ctx, ref);
+  if (v.executed) throw new Error(`Proposal #${v.id} was already executed`);
+
+  const me = await ctx.senderAddress();
+  const mine = v.owners.find((o) => sameAddr(o.owner, me));
+  if (!mine) throw new Error(`${me} is not an owner of MiniMultisig ${v.multisig}`);
+
+  let approveTx = null;
+  if (mine.approved) ctx.log(`  ${me} already approved #${v.id}`);
+  else approveTx = await M.approveProposal(ctx, v.multisig, v.id);
+  const approvals = v.approvals + (approveTx ? 1 : 0);
+
+  if (!args.flags.execute || approvals < 2) {
+    if (approvals >= 2) ctx.log(`  ready: gemstep multisig execute ${ref.file || v.id}`);
+    return { action: approveTx ? "approved" : "none", multisig: v.multisig, id: v.id, approvals, approveTx };
+  }
+  const res = await executeVerified(ctx, v, ref.bundle);
+  return { action: "executed", multisig: v.multisig, id: v.id, approvals, approveTx, ...res };
+}
+
+/** Withdraw the current signer's approval (before execution). */
+async function revoke(ctx, args) {
+  const ref = proposalRef(ctx, args);
+  const v = await M.verifyProposal(ctx, ref);
+  report(ctx, v, ref.bundle);
+  if (v.executed) throw new Error(`Proposal #${v.id} was already executed`);
+  const me = await ctx.senderAddress();
+  if (!v.owners.some((o) => sameAddr(o.owner, me) && o.approved)) throw new Error(`${me} has not approved #${v.id}`);
+  const tx = await M.revokeProposal(ctx, v.multisig, v.id);
+  return { action: "revoked", multisig: v.multisig, id: v.id, tx };
+}
+
+/** Execute a fully approved proposal; any key will do. */
+async function execute(ctx, args) {
+  const ref = proposalRef(ctx, args);
+  const v = await checked(ctx, ref);
+  if (v.executed) throw new Error(`Proposal #${v.id} was already executed`);
+  if (v.approvals < 2) throw new Error(`Proposal #${v.id} has ${v.approvals}/2 approvals`);
+  const res = await executeVerified(ctx, v, ref.bundle);
+  return { action: "executed", multisig: v.multisig, id: v.id, ...res };
+}
+
+module.exports = {
+  summary: "MiniMultisig2of2 proposals across two machines (proposal bundles, one key per step)",
+  usage: [
+    "multisig propose --target <name|0x…> (--data 0x… | --call \"fn(types)\" --args '[…]') [--value wei] [--bundle-dir dir]",
+    "multisig show    <bundle.json | id>",
+    "multisig approve <bundle.json | id> [--execute]",
+    "multisig revoke  <bundle.json | id>",
+    "multisig execute <bundle.json | id>",
+  ],
+  subcommands: { propose, show, approve, revoke, execute },
+};
@@ -0,0 +1,171 @@
+// cli/commands/roles.js
+// gemstep roles grant|revoke|list|graph — token AccessControl roles (plus timelock roles in
+// `list`); `graph` maps every role, owner and multisig signer up to what they can ultimately do.
+const fs = require("fs");
+const path = require("path");
+const { ethers } = require("ethers");
+const {
+  ROLES,
+  TOKEN_ADMIN_ABI,
+  TIMELOCK_ABI,
+  authorityPaths,
+  authoritySummary,
+  buildAuthorityGraph,
+  describePath,
+  scanAuthority,
+  toDot,
+} = require("../../sdk");
+const { flag, positional } = require("../args");
+const { isAddr } = require("../context");
+const T = require("../timelock");
+
+const tokenIface = new ethers.Interface(TOKEN_ADMIN_ABI);
+const TIMELOCK_ROLES = ["DEFAULT_ADMIN_ROLE", "PROPOSER_ROLE", "EXECUTOR_ROLE", "CANCELLER_ROLE"];
+
+/** Role name (`PAUSER`, `PAUSER_ROLE`) or raw bytes32 → { name, id }. */
+function resolveRole(input) {
+  if (/^0x[0-9a-fA-F]{64}$/.test(input)) {
+    const name = Object.keys(ROLES).find((k) => ROLES[k] === input.toLowerCase()) || null;
+    return { name, id: input.toLowerCase() };
+  }
+  const key = input.toUpperCase();
+  for (const name of [key, `${key}_ROLE`]) if (ROLES[name]) return { name, id: ROLES[name] };
+  throw new Error(`Unknown role "${input}" (known: ${Object.keys(ROLES).join(", ")}, or pass a bytes32 id)`);
+}
+
+/** Deployment-known accounts worth listing, labelled. */
+function knownAccounts(ctx) {
+  const out = new Map();
+  const add = (addr, label) => {
+    if (!isAddr(addr)) return;
+    const a = ethers.getAddress(addr);
+    if (!out.has(a)) out.set(a, label);
+  };
+  for (const k of ["timelock", "miniMultisig", "multisig", "upgradeExecutor", "proxyAdmin"]) add(ctx.addresses[k], k);
+  for (const a of ctx.deployment?.admins || []) add(a, "admin");
+  return out;
+}
+
+async function list(ctx, args) {
+  const accounts = knownAccounts(ctx);
+  if (ctx.signer) accounts.set(await ctx.signer.getAddress(), "signer");
+  for (const a of (flag(args, "account") || "").split(",").filter(Boolean)) accounts.set(ctx.address(a.trim()), "account");
+
+  const token = new ethers.Contract(ctx.address("token"), TOKEN_ADMIN_ABI, ctx.provider);
+  const tlAddr = isAddr(ctx.addresses.timelock) ? ctx.address("timelock") : null;
+  const tl = tlAddr ? new ethers.Contract(tlAddr, TIMELOCK_ABI, ctx.provider) : null;
+  const tlRoleIds = tl ? await Promise.all(TIMELOCK_ROLES.map((r) => tl[r]())) : [];
+
+  const rows = [];
+  for (const [account, label] of accounts) {
+    const tokenHas = await Promise.all(Object.values(ROLES).map((id) => token.hasRole(id, account)));
+    Object.keys(ROLES).forEach((name, i) => tokenHas[i] && rows.push({ contract: "token", role: name, account, label }));
+    if (tl) {
+      const tlHas = await Promise.all(tlRoleIds.map((id) => tl.hasRole(id, account)));
+      TIMELOCK_ROLES.forEach((name, i) => tlHas[i] && rows.push({ contract: "timelock", role: name, account, label }));
+    }
+  }
+  if (tl && (await tl.hasRole(tlRoleIds[2], ethers.ZeroAddress))) {
+    rows.push({ contract: "timelock", role: "EXECUTOR_ROLE", account: ethers.ZeroAddress, label: "open executor" });
+  }
+
+  ctx.table(rows);
+  return { token: await token.getAddress(), timelock: tlAddr, roles: rows };
+}
+
+/**
+ * Rebuild role holders and owners from events (L2 from the manifest's deploy block or
+ * --from-block; with --l1 also the L1 timelock and governance from --l1-from-block) and write
+ * the authority graph as DOT (--dot) and/or JSON (--out). `--paths <capability>` prints every
+ * control path to one capability (default token:upgrade).
+ */
+async function graph(ctx, args) {
+  if (!ctx.deployment) throw new Error("No deployment manifest loaded (pass --network or --deployment <file>)");
+  const { state } = ctx.deployment.manifest;
+  const l1 = args.flags.l1 === true;
+  const num = (name) => (flag(args, name) == null ? undefined : Number(flag(args, name)));
+  if (l1 && flag(args, "l1-from-block") == null) throw new Error("Missing --l1-from-block (needed with --l1)");
+
+  const snapshot = await scanAuthority(state, {
+    provider: ctx.provider,
+    l1Provider: l1 ? ctx.l1().provider : null,
+    fromBlock: num("from-block"),
+    toBlock: num("to-block"),
+    l1FromBlock: num("l1-from-block"),
+    batchSize: num("batch-size"),
+    log: ctx.log,
+  });
+  for (const w of snapshot.warnings) ctx.log(`⚠️  ${w}`);
+
+  const g = buildAuthorityGraph(snapshot);
+  const summary = authoritySummary(g);
+  ctx.table(
+    summary.map((s) => ({
+      capability: s.capability,
+      direct: s.direct.join(", ") || "(none)",
+      ultimately: s.roots.join(", ") || "(none)",
+      paths: s.paths,
+    }))
+  );
+
+  const target = flag(args, "paths", "token:upgrade");
+  const paths = authorityPaths(g, target);
+  ctx.log(`\n${paths.length} path(s) to ${target}:`);
+  for (const p of paths) ctx.log(`  ${describePath(g, p)}`);
+
+  const written = {};
+  for (const [key, render] of [
+    ["dot", () => toDot(g, { name: `${ctx.network} authority` })],
+    ["out", () => `${JSON.stringify({ network: ctx.network, ...g, warnings: snapshot.warnings }, null, 2)}\n`],
+  ]) {
+    const file = flag(args, key);
+    if (!file) continue;
+    written[key] = path.resolve(file);
+    fs.writeFileSync(written[key], render());
+    ctx.log(`Wrote ${written[key]}`);
+  }
+  return { ...g, summary, paths: { [target]: paths }, warnings: snapshot.warnings, files: written };
+}
+
+/** grant/revoke body: direct from the signer, or as a timelock operation with --via-timelock. */
+async function changeRole(ctx, args, fn) {
+  const role = resolveRole(positional(args, 0, "<role>"));
+  const account = ctx.address(positional(args, 1, "<account>"));
+  const tokenAddr = ctx.address("token");
+  const token = new ethers.Contract(tokenAddr, TOKEN_ADMIN_ABI, ctx.provider);
+
+  const has = await token.hasRole(role.id, account);
+  ctx.log(`${role.name || role.id} on ${tokenAddr} for ${account}: currently ${has ? "granted" : "not granted"}`);
+  const base = { token: tokenAddr, role: role.name, roleId: role.id, account };
+  if (has === (fn === "grantRole")) {
+    ctx.log("Nothing to do.");
+    return { ...base, action: "none" };
+  }
+
+  const data = tokenIface.encodeFunctionData(fn, [role.id, account]);
+  if (args.flags["via-timelock"]) {
+    const tl = T.resolveTimelock(ctx);
+    const salt = flag(args, "salt") || `${fn === "grantRole" ? "GRANT" : "REVOKE"}_ROLE:${role.id}:${account.toLowerCase()}`;
+    const op = T.buildOperation({ target: tokenAddr, data, salt: T.parseSalt(salt) });
+    return { ...base, ...(await T.advanceOperation(ctx, tl, op)) };
+  }
+  const tx = await ctx.send(`token.${fn}`, { to: tokenAddr, data });
+  return { ...base, action: ctx.dryRun ? "simulated" : fn === "grantRole" ? "granted" : "revoked", tx };
+}
+
+module.exports = {
+  summary: "Grant, revoke and list token roles; graph who can ultimately do what",
+  usage: [
+    "roles list   [--account 0x…,0x…]",
+    "roles grant  <ROLE|bytes32> <account|name> [--via-timelock [--salt …]]",
+    "roles revoke <ROLE|bytes32> <account|name> [--via-timelock [--salt …]]",
+    "roles graph  [--from-block n] [--l1 --l1-from-block n] [--batch-size 2000] [--dot file] [--out file] [--paths token:upgrade]",
+  ],
+  subcommands: {
+    list,
+    graph,
+    grant: (ctx, args) => changeRole(ctx, args, "grantRole"),
+    revoke: (ctx, args) => changeRole(ctx, args, "revokeRole"),
+  },
+  resolveRole,
+};
@@ -0,0 +1,58 @@
+// cli/commands/sources.js
+// gemstep sources configure|show — per-source proof/attestation requirements.
+const { ethers } = require("ethers");
+const { TOKEN_ADMIN_ABI } = require("../../sdk");
+const { flag, positional } = require("../args");
+const T = require("../timelock");
+
+const tokenIface = new ethers.Interface(TOKEN_ADMIN_ABI);
+
+async function readSource(ctx, source) {
+  const token = new ethers.Contract(ctx.address("token"), TOKEN_ADMIN_ABI, ctx.provider);
+  const [requiresProof, requiresAttestation, merkleRoot, maxStepsPerDay, minInterval] =
+    await token.getSourceConfigFields(source);
+  return { source, requiresProof, requiresAttestation, merkleRoot, maxStepsPerDay, minInterval };
+}
+
+async function show(ctx, args) {
+  const cfg = await readSource(ctx, positional(args, 0, "<source>"));
+  ctx.log(`source              : ${cfg.source}`);
+  ctx.log(`requiresProof       : ${cfg.requiresProof}`);
+  ctx.log(`requiresAttestation : ${cfg.requiresAttestation}`);
+  ctx.log(`merkleRoot          : ${cfg.merkleRoot}`);
+  ctx.log(`maxStepsPerDay      : ${cfg.maxStepsPerDay}`);
+  ctx.log(`minInterval         : ${cfg.minInterval}s`);
+  return cfg;
+}
+
+/**
+ * configureSource(source, proof, attestation). Through the timelock the salt is
+ * `CONFIG_SOURCE:<source>`, matching configure_sources_via_l2_timelock.js, so operations
+ * scheduled by that script are picked up here.
+ */
+async function configure(ctx, args) {
+  const source = positional(args, 0, "<source>");
+  const proof = args.flags.proof === true;
+  const attestation = args.flags.attestation === true;
+  const tokenAddr = ctx.address("token");
+  const data = tokenIface.encodeFunctionData("configureSource", [source, proof, attestation]);
+  const base = { token: tokenAddr, source, requiresProof: proof, requiresAttestation: attestation };
+
+  ctx.log(`configureSource("${source}", proof=${proof}, attestation=${attestation}) on ${tokenAddr}`);
+  if (args.flags["via-timelock"]) {
+    const salt = flag(args, "salt") || `CONFIG_SOURCE:${source.toLowerCase()}`;
+    const op = T.buildOperation({ target: tokenAddr, data, salt: T.parseSalt(salt) });
+    return { ...base, ...(await T.advanceOperation(ctx, T.resolveTimelock(ctx), op)) };
+  }
+  const tx = await ctx.send("token.configureSource", { to: tokenAddr, data });
+  return { ...base, action: ctx.dryRun ? "simulated" : "configured", tx };
+}
+
+module.exports = {
+  summary: "Configure and inspect step sources",
+  usage: [
+    "sources show      <source>",
+    "sources configure <source> [--proof] [--attestation] [--via-timelock [--salt …]]",
+  ],
+  subcommands: { configure, show },
+};
@@ -0,0 +1,382 @@
+// cli/commands/timelock.js
+// gemstep timelock … — raw TimelockController operations and the operation ledger.
+//
+// Every schedule is recorded in deployments/<network>-timelock-ops.json (see ../ledger.js), so
+// later commands can refer to an operation by id (or a unique id prefix) instead of repeating
+// its target, calldata, predecessor and salt.
+const fs = require("fs");
+const path = require("path");
+const { ethers } = require("ethers");
+const { TIMELOCK_ABI } = require("../../sdk");
+const { flag } = require("../args");
+const { jsonSafe } = require("../context");
+const L = require("../ledger");
+const T = require("../timelock");
+
+const ID_RE = /^0x[0-9a-fA-F]{64}$/;
+const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
+const iso = (ts) => (ts ? new Date(Number(ts) * 1000).toISOString() : null);
+
+/** Calldata for `fn(type,…)` with JSON-decoded `callArgs`. */
+function encodeCall(sig, callArgs = []) {
+  const fn = sig.replace(/^function\s+/, "");
+  const iface = new ethers.Interface([`function ${fn}`]);
+  return iface.encodeFunctionData(fn.slice(0, fn.indexOf("(")), callArgs);
+}
+
+/** Calldata from `--data 0x…` or `--call "fn(type,…)" --args '[…]'`. */
+function calldataFrom(args) {
+  const raw = flag(args, "data");
+  if (raw) return raw;
+  const sig = flag(args, "call");
+  if (!sig) throw new Error("Provide --data 0x… or --call \"fn(type,…)\" [--args '[…]']");
+  return encodeCall(sig, JSON.parse(flag(args, "args") || "[]"));
+}
+
+/**
+ * Operation from `--op <file>` (a previous `schedule --out`) or from flags. Only a new
+ * schedule may omit the salt (a random one is generated).
+ */
+function operationFrom(ctx, args, { requireSalt = true } = {}) {
+  const file = flag(args, "op");
+  if (file) {
+    const j = JSON.parse(fs.readFileSync(path.resolve(file), "utf8"));
+    return T.buildOperation(j.op || j);
+  }
+  const target = flag(args, "target");
+  if (!target) throw new Error("Missing --target <name|0x…> (or --op <file>, or an operation id from the ledger)");
+  const salt = flag(args, "salt") ? T.parseSalt(flag(args, "salt")) : null;
+  if (!salt && requireSalt) throw new Error("Missing --salt (or --op <file>)");
+  return T.buildOperation({
+    target: ctx.address(target),
+    value: flag(args, "value", "0"),
+    data: calldataFrom(args),
+    predecessor: flag(args, "predecessor") || ethers.ZeroHash,
+    salt,
+  });
+}
+
+function ledgerEntry(ctx, ref) {
+  if (!ctx.ledger) throw new Error("No operation ledger configured (--ledger <file>)");
+  return L.findEntry(L.readLedger(ctx.ledger, ctx.network), ref);
+}
+
+/** Timelock an existing ledger entry was scheduled on. */
+const entryTimelock = (ctx, entry) => T.resolveTimelock(ctx, { l1: entry.layer === "l1", address: entry.timelock });
+
+/**
+ * The operation a command acts on: a ledger id / prefix as the first positional, else
+ * `--op <file>` or the operation flags. Ledger entries are re-hashed so a hand-edited entry
+ * cannot silently execute something else.
+ * @returns {{tl: object, op: object, entry: object|null}}
+ */
+function resolveOperation(ctx, args, { requireSalt = true } = {}) {
+  const ref = args._[0];
+  if (ref) {
+    const entry = ledgerEntry(ctx, ref);
+    if (!entry) throw new Error(`No operation ${ref} in ${ctx.ledger} (run \`timelock sync\` to import scheduled ones)`);
+    const op = T.buildOperation(entry.op);
+    if (op.id !== entry.id) throw new Error(`Ledger entry ${entry.id} hashes to ${op.id}; refusing to use it`);
+    return { tl: entryTimelock(ctx, entry), op, entry };
+  }
+  const tl = T.resolveTimelock(ctx, { l1: args.flags.l1 === true });
+  return { tl, op: operationFrom(ctx, args, { requireSalt }), entry: null };
+}
+
+function printOp(ctx, tl, op) {
+  ctx.log(`Timelock (${tl.layer}) : ${tl.address}`);
+  ctx.log(`operationId   : ${op.id}`);
+  if (T.isBatch(op)) {
+    T.operationCalls(op).forEach((c, i) => ctx.log(`call #${i}       : ${c.target} (${ethers.formatEther(c.value)} ETH)`));
+  } else {
+    ctx.log(`target        : ${op.target}`);
+    ctx.log(`value         : ${ethers.formatEther(op.value)} ETH`);
+  }
+  ctx.log(`salt          : ${op.salt}`);
+  if (op.predecessor !== ethers.ZeroHash) ctx.log(`predecessor   : ${op.predecessor}`);
+}
+
+/** One `ctx.table` row per ledger entry. */
+function entryRow(e) {
+  return {
+    id: e.id,
+    layer: e.layer,
+    state: e.state,
+    readyAt: iso(e.readyAt),
+    calls: e.kind === "batch" ? e.op.targets.length : 1,
+    target: e.kind === "batch" ? e.op.targets[0] : e.op.target,
+    label: e.label || e.command,
+  };
+}
+
+/** Shared tail of schedule / schedule-batch. */
+async function scheduleNew(ctx, args, tl, op) {
+  printOp(ctx, tl, op);
+  const st = await T.operationStatus(tl, op.id);
+  if (st.state !== "unset") throw new Error(`Operation already ${st.state}; use \`timelock status\` / \`timelock execute\``);
+
+  const res = await T.scheduleOperation(ctx, tl, op, { delay: flag(args, "delay") });
+  if (res.tx.proposal) ctx.log(`Proposed to the MiniMultisig as #${res.tx.proposal.id}; scheduled once the second owner approves`);
+  else if (ctx.ledger && !ctx.dryRun) ctx.log(`Recorded in ${ctx.ledger} (run: gemstep timelock execute ${op.id.slice(0, 10)})`);
+  const out = flag(args, "out");
+  if (out && !ctx.dryRun) {
+    fs.writeFileSync(path.resolve(out), JSON.stringify({ timelock: tl.address, layer: tl.layer, op }, jsonSafe, 2));
+    ctx.log(`Saved operation → ${out} (run: gemstep timelock execute --op ${out}${tl.layer === "l1" ? " --l1" : ""})`);
+  }
+  return { timelock: tl.address, layer: tl.layer, op, ...res };
+}
+
+async function schedule(ctx, args) {
+  const tl = T.resolveTimelock(ctx, { l1: args.flags.l1 === true });
+  return scheduleNew(ctx, args, tl, operationFrom(ctx, args, { requireSalt: false }));
+}
+
+/**
+ * `--calls <file>`: a JSON array (or `{ calls: [...] }`) of
+ * `{ target: name|0x…, value?: wei, data?: 0x… | call: "fn(types)", args?: [...] }`.
+ */
+async function scheduleBatch(ctx, args) {
+  const file = flag(args, "calls");
+  if (!file) throw new Error("Missing --calls <file.json>");
+  const j = JSON.parse(fs.readFileSync(path.resolve(file), "utf8"));
+  const calls = Array.isArray(j) ? j : j.calls;
+  if (!Array.isArray(calls) || !calls.length) throw new Error(`${file}: expected a non-empty array of calls`);
+
+  const tl = T.resolveTimelock(ctx, { l1: args.flags.l1 === true });
+  const op = T.buildOperation({
+    targets: calls.map((c) => ctx.address(c.target)),
+    values: calls.map((c) => c.value ?? "0"),
+    payloads: calls.map((c, i) => {
+      if (c.data) return c.data;
+      if (!c.call) throw new Error(`${file}: call #${i} needs "data" or "call"`);
+      return encodeCall(c.call, c.args);
+    }),
+    predecessor: flag(args, "predecessor") || ethers.ZeroHash,
+    salt: flag(args, "salt") ? T.parseSalt(flag(args, "salt")) : null,
+  });
+  return scheduleNew(ctx, args, tl, op);
+}
+
+async function execute(ctx, args) {
+  const { tl, op } = resolveOperation(ctx, args);
+  printOp(ctx, tl, op);
+
+  const st = await T.operationStatus(tl, op.id);
+  if (st.state !== "ready") {
+    const when = st.readyAt ? ` (ready at ${iso(st.readyAt)})` : "";
+    throw new Error(`Operation is ${st.state}${when}, not ready`);
+  }
+  const res = await T.executeOperation(ctx, tl, op);
+  return { timelock: tl.address, layer: tl.layer, op, ...res };
+}
+
+/** Refresh every open ledger entry (all of them with --all) from chain. */
+async function statusAll(ctx, args) {
+  const doc = L.readLedger(ctx.ledger, ctx.network);
+  const rows = [];
+  let changed = false;
+  for (const e of doc.operations) {
+    if (L.FINAL_STATES.includes(e.state) && !args.flags.all) continue;
+    try {
+      const st = await T.operationStatus(entryTimelock(ctx, e), e.id);
+      const patch = { ...T.statusPatch(st), state: L.reconcileState(e, st.state) };
+      if (patch.state !== e.state || (patch.readyAt ?? e.readyAt) !== e.readyAt) {
+        Object.assign(e, patch, { updatedAt: new Date().toISOString() });
+        changed = true;
+      }
+      rows.push(entryRow(e));
+    } catch (err) {
+      rows.push({ ...entryRow(e), error: err.shortMessage || err.message });
+    }
+  }
+  if (changed && !ctx.dryRun) L.writeLedger(ctx.ledger, doc);
+  ctx.table(rows);
+  return { ledger: ctx.ledger, operations: rows };
+}
+
+/**
+ * `status` with no operation: refresh the ledger. With one: its state; a full id that is not
+ * in the ledger is looked up on the selected timelock directly.
+ */
+async function status(ctx, args) {
+  const ref = args._[0];
+  if (!ref && !flag(args, "op") && !flag(args, "target")) {
+    if (!ctx.ledger) throw new Error("Pass an operation (<id> | --op | --target …) or a --ledger to refresh");
+    return statusAll(ctx, args);
+  }
+
+  let tl;
+  let op = null;
+  let entry = null;
+  if (ref && ID_RE.test(ref) && !(ctx.ledger && ledgerEntry(ctx, ref))) {
+    tl = T.resolveTimelock(ctx, { l1: args.flags.l1 === true });
+  } else {
+    ({ tl, op, entry } = resolveOperation(ctx, args));
+  }
+  const id = op ? op.id : ref;
+
+  const st = await T.operationStatus(tl, id);
+  const state = entry ? L.reconcileState(entry, st.state) : st.state;
+  if (op && (entry || st.state !== "unset")) L.recordOperation(ctx, tl, op, { ...T.statusPatch(st), state });
+  ctx.log(`Timelock (${tl.layer}) : ${tl.address}`);
+  ctx.log(`operationId   : ${id}`);
+  ctx.log(`state         : ${state}`);
+  if (st.readyAt) ctx.log(`ready at      : ${iso(st.readyAt)}`);
+  if (entry?.label || entry?.command) ctx.log(`label         : ${entry.label || entry.command}`);
+  return { timelock: tl.address, layer: tl.layer, ...st, state, entry };
+}
+
+/**
+ * Poll until the operation is ready (sleeping no longer than its remaining delay), then
+ * optionally `--execute` it. Gives up after `--timeout` seconds.
+ */
+async function wait(ctx, args) {
+  const { tl, op } = resolveOperation(ctx, args);
+  const timeoutMs = Number(flag(args, "timeout", "3600")) * 1000;
+  const pollMs = Number(flag(args, "poll", "15")) * 1000;
+  const deadline = Date.now() + timeoutMs;
+  printOp(ctx, tl, op);
+
+  let st = await T.operationStatus(tl, op.id);
+  while (st.state === "pending") {
+    const remainingMs = Number(st.readyAt - st.now) * 1000;
+    const budgetMs = deadline - Date.now();
+    if (budgetMs <= 0) throw new Error(`Timed out; operation still pending until ${iso(st.readyAt)}`);
+    const napMs = Math.max(1000, Math.min(pollMs, remainingMs + 1000, budgetMs));
+    ctx.log(`  pending — ready at ${iso(st.readyAt)}; checking again in ${Math.round(napMs / 1000)}s`);
+    await sleep(napMs);
+    st = await T.operationStatus(tl, op.id);
+  }
+
+  if (st.state === "done") {
+    ctx.log("Operation already executed.");
+    return { timelock: tl.address, layer: tl.layer, op, action: "none", state: st.state };
+  }
+  if (st.state !== "ready") throw new Error(`Operation is ${st.state}; nothing to wait for`);
+  L.recordOperation(ctx, tl, op, T.statusPatch(st));
+  ctx.log("Operation is ready.");
+  if (!args.flags.execute) return { timelock: tl.address, layer: tl.layer, op, action: "ready", state: st.state };
+
+  const res = await T.executeOperation(ctx, tl, op);
+  const after = ctx.dryRun ? st : await T.operationStatus(tl, op.id);
+  return { timelock: tl.address, layer: tl.layer, op, action: "executed", state: after.state, ...res };
+}
+
+async function cancel(ctx, args) {
+  const { tl, op } = resolveOperation(ctx, args);
+  printOp(ctx, tl, op);
+
+  const st = await T.operationStatus(tl, op.id);
+  if (st.state !== "pending" && st.state !== "ready") {
+    throw new Error(`Operation is ${st.state}; only pending or ready operations can be cancelled`);
+  }
+  const res = await T.cancelOperation(ctx, tl, op);
+  return { timelock: tl.address, layer: tl.layer, op, action: ctx.dryRun ? "simulated" : "cancelled", ...res };
+}
+
+/** Ledger contents, without touching the chain. */
+async function list(ctx, args) {
+  if (!ctx.ledger) throw new Error("No operation ledger configured (--ledger <file>)");
+  const want = flag(args, "state");
+  const rows = L.readLedger(ctx.ledger, ctx.network)
+    .operations.filter((e) => (want ? e.state === want : args.flags.all || !L.FINAL_STATES.includes(e.state)))
+    .map(entryRow);
+  ctx.table(rows);
+  return { ledger: ctx.ledger, operations: rows };
+}
+
+/**
+ * Import operations scheduled outside the CLI from CallScheduled / CallSalt events (CallSalt
+ * is only emitted for non-zero salts). Whether an id is a single call or a batch is decided by
+ * re-hashing, since a one-call batch emits the same events as a plain schedule.
+ */
+async function sync(ctx, args) {
+  const l1 = args.flags.l1 === true;
+  const tl = T.resolveTimelock(ctx, { l1 });
+  const c = new ethers.Contract(tl.address, TIMELOCK_ABI, tl.provider);
+  const fromFlag = flag(args, "from-block");
+  if (fromFlag == null && (l1 || ctx.deployment?.deployBlock == null)) {
+    throw new Error("Missing --from-block (no deployment block known for this timelock)");
+  }
+  const fromBlock = Number(fromFlag ?? ctx.deployment.deployBlock);
+  const toBlock = Number(flag(args, "to-block") ?? (await tl.provider.getBlockNumber()));
+  const step = Number(flag(args, "batch-size", "2000"));
+
+  const scheduled = new Map();
+  const salts = new Map();
+  for (let from = fromBlock; from <= toBlock; from += step) {
+    const to = Math.min(toBlock, from + step - 1);
+    const [calls, saltLogs] = await Promise.all([
+      c.queryFilter(c.filters.CallScheduled(), from, to),
+      c.queryFilter(c.filters.CallSalt(), from, to),
+    ]);
+    for (const ev of calls) {
+      const { id, index, target, value, data, predecessor, delay } = ev.args;
+      // A cancelled id can be scheduled again; the latest schedule transaction wins.
+      const prev = scheduled.get(id);
+      const s = prev && prev.tx === ev.transactionHash ? prev : { tx: ev.transactionHash, predecessor, delay, calls: [] };
+      s.calls[Number(index)] = { target, value, data };
+      scheduled.set(id, s);
+    }
+    for (const ev of saltLogs) salts.set(ev.args.id, ev.args.salt);
+    ctx.log(`  scanned ${from}…${to}: ${scheduled.size} operation(s) so far`);
+  }
+
+  const doc = ctx.ledger ? L.readLedger(ctx.ledger, ctx.network) : { operations: [] };
+  const rows = [];
+  let added = 0;
+  for (const [id, s] of scheduled) {
+    const common = { predecessor: s.predecessor, salt: salts.get(id) || ethers.ZeroHash };
+    const single = s.calls.length === 1 ? T.buildOperation({ ...common, ...s.calls[0] }) : null;
+    const op =
+      single?.id === id
+        ? single
+        : T.buildOperation({
+            ...common,
+            targets: s.calls.map((x) => x.target),
+            values: s.calls.map((x) => x.value),
+            payloads: s.calls.map((x) => x.data),
+          });
+    if (op.id !== id) {
+      ctx.log(`  ⚠️  ${id}: events do not re-hash to the id; skipped`);
+      continue;
+    }
+    const known = doc.operations.some((e) => e.id === id && e.timelock === tl.address);
+    const st = await T.operationStatus(tl, id);
+    // Scheduled per the events but unset on chain means it was cancelled.
+    const state = st.state === "unset" ? "cancelled" : st.state;
+    const entry = L.recordOperation(ctx, tl, op, { ...T.statusPatch(st), state, delay: s.delay, scheduleTx: s.tx });
+    if (!known) added++;
+    rows.push(entry ? entryRow(entry) : { id, layer: tl.layer, state, calls: s.calls.length });
+  }
+
+  ctx.table(rows);
+  ctx.log(`${scheduled.size} operation(s) found, ${added} new${ctx.dryRun ? " (dry-run: ledger not written)" : ""}`);
+  return { timelock: tl.address, layer: tl.layer, fromBlock, toBlock, ledger: ctx.ledger, found: scheduled.size, added, operations: rows };
+}
+
+module.exports = {
+  summary: "Schedule, track, execute and cancel TimelockController operations",
+  usage: [
+    "timelock schedule       --target <name|0x…> (--data 0x… | --call \"fn(types)\" --args '[…]') [--value wei] [--salt 0x…|label] [--predecessor 0x…] [--delay s] [--label text] [--out op.json] [--l1]",
+    "timelock schedule-batch --calls calls.json [--salt …] [--predecessor 0x…] [--delay s] [--label text] [--out op.json] [--l1]",
+    "timelock status         [<id|prefix> | --op op.json | --target … --data … --salt …] [--all] [--l1]",
+    "timelock wait           (<id|prefix> | --op op.json | …) [--timeout 3600] [--poll 15] [--execute]",
+    "timelock execute        (<id|prefix> | --op op.json | --target … --data … --salt …) [--l1]",
+    "timelock cancel         (<id|prefix> | --op op.json | …) [--l1]",
+    "timelock list           [--all | --state pending|ready|done|cancelled|missing]",
+    "timelock sync           [--from-block n] [--to-block n] [--batch-size 2000] [--l1]",
+  ],
+  subcommands: {
+    schedule,
+    "schedule-batch": scheduleBatch,
+    status,
+    wait,
+    execute,
+    cancel,
+    list,
+    sync,
+  },
+  calldataFrom,
+  resolveOperation,
+};
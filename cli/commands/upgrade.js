@@ -0,0 +1,142 @@
+// cli/commands/upgrade.js
+// gemstep upgrade prepare|schedule|execute — Timelock → UpgradeExecutor → ProxyAdmin flow.
+//
+//   prepare   validate + deploy the new implementation (hardhat-upgrades, uses hardhat.config networks)
+//   schedule  timelock op calling executor.scheduleUpgrade[AndCall]   (re-run to execute it)
+//   execute   timelock op calling executor.executeUpgrade[AndCall]    (re-run to execute it)
+//
+// `prepare` records the implementation (storage-layout and bytecode hashes, build settings) in
+// the deployment manifest; a completed `execute` records the upgrade itself.
+//
+// Salts match upgrade_via_timelock_executor_fixed.js (`sched:` / `exec:` + proxy, impl, init hash).
+const { ethers } = require("ethers");
+const {
+  UPGRADE_EXECUTOR_ABI,
+  EIP1967_IMPLEMENTATION_SLOT,
+  describeImplementation,
+  preparedImplementation,
+} = require("../../sdk");
+const { flag } = require("../args");
+const T = require("../timelock");
+
+const exIface = new ethers.Interface(UPGRADE_EXECUTOR_ABI);
+
+/** Initializer calldata from `--init-data 0x…` or `--init-sig "initializeV2()" [--init-args '[…]']`. */
+function initDataFrom(args) {
+  const raw = flag(args, "init-data");
+  if (raw && raw !== "0x") {
+    if (!/^0x[0-9a-fA-F]*$/.test(raw)) throw new Error("--init-data must be 0x-hex");
+    return raw;
+  }
+  const sig = flag(args, "init-sig");
+  if (!sig) return "0x";
+  const iface = new ethers.Interface([`function ${sig}`]);
+  return iface.encodeFunctionData(sig.slice(0, sig.indexOf("(")), JSON.parse(flag(args, "init-args") || "[]"));
+}
+
+/** Executor call + timelock operation for one phase ("sched" | "exec"). */
+function upgradeOperation(ctx, args, phase) {
+  const impl = flag(args, "impl");
+  if (!impl) throw new Error("Missing --impl <new implementation address> (see `upgrade prepare`)");
+  const proxy = ctx.address("token");
+  const proxyAdmin = ctx.address("proxyAdmin");
+  const executor = ctx.address("upgradeExecutor");
+  const implementation = ctx.address(impl);
+  const initData = initDataFrom(args);
+  const withInit = initData !== "0x";
+
+  const method = `${phase === "sched" ? "schedule" : "execute"}Upgrade${withInit ? "AndCall" : ""}`;
+  const data = exIface.encodeFunctionData(method, [proxyAdmin, proxy, implementation, ...(withInit ? [initData] : [])]);
+  const label = `${phase}:${proxy.toLowerCase()}:${implementation.toLowerCase()}:${ethers.keccak256(initData)}`;
+  const op = T.buildOperation({ target: executor, data, salt: flag(args, "salt") ? T.parseSalt(flag(args, "salt")) : T.saltFor(label) });
+
+  ctx.log(`proxy          : ${proxy}`);
+  ctx.log(`proxyAdmin     : ${proxyAdmin}`);
+  ctx.log(`executor       : ${executor}`);
+  ctx.log(`implementation : ${implementation}`);
+  ctx.log(`initializer    : ${withInit ? `${(initData.length - 2) / 2} bytes` : "none"}`);
+  ctx.log(`executor call  : ${method}`);
+  return { op, method, proxy, proxyAdmin, executor, implementation, initData };
+}
+
+async function prepare(ctx, args) {
+  const contract = flag(args, "contract");
+  if (!contract) throw new Error("Missing --contract <new implementation contract name, e.g. GemStepTokenV3Mock>");
+  // hardhat resolves its network from the environment at require time.
+  process.env.HARDHAT_NETWORK = ctx.network;
+  const hre = require("hardhat");
+  const proxy = ctx.address("token");
+  const factory = await hre.ethers.getContractFactory(contract);
+
+  ctx.log(`Validating ${contract} as an upgrade of ${proxy} on ${ctx.network}…`);
+  await hre.upgrades.validateUpgrade(proxy, factory, { kind: "transparent" });
+  if (ctx.dryRun) {
+    ctx.log("  [dry-run] upgrade is storage-compatible; not deploying");
+    return { contract, proxy, validated: true, implementation: null };
+  }
+  const implementation = await hre.upgrades.prepareUpgrade(proxy, factory, { kind: "transparent" });
+  ctx.log(`Implementation : ${implementation}`);
+  const described = await describeImplementation(hre, contract, implementation);
+  if (described.implementation.storageLayoutHash) ctx.log(`Storage layout : ${described.implementation.storageLayoutHash}`);
+  ctx.recordManifest({ kind: "prepare", implementation: described.implementation, ...(described.build && { build: described.build }) });
+  ctx.log(`Next           : gemstep upgrade schedule --network ${ctx.network} --impl ${implementation}`);
+  return { contract, proxy, validated: true, implementation };
+}
+
+async function schedule(ctx, args) {
+  const u = upgradeOperation(ctx, args, "sched");
+  const res = await T.advanceOperation(ctx, T.resolveTimelock(ctx), u.op);
+  if (res.state === "done") {
+    const ex = new ethers.Contract(u.executor, UPGRADE_EXECUTOR_ABI, ctx.provider);
+    ctx.log(`Executor upgradeDelay: ${await ex.upgradeDelay()}s; then run \`upgrade execute\` with the same flags`);
+  }
+  return { ...u, ...res };
+}
+
+async function execute(ctx, args) {
+  const u = upgradeOperation(ctx, args, "exec");
+  const tl = T.resolveTimelock(ctx);
+  const ex = new ethers.Contract(u.executor, UPGRADE_EXECUTOR_ABI, ctx.provider);
+  const withInit = u.initData !== "0x";
+  const executorReady = withInit
+    ? await ex.isUpgradeWithDataReady(u.proxyAdmin, u.proxy, u.implementation, u.initData)
+    : await ex.isUpgradeReady(u.proxyAdmin, u.proxy, u.implementation);
+
+  // Scheduling the timelock op early is fine; executing it before the executor delay would revert.
+  const st = await T.operationStatus(tl, u.op.id);
+  if (st.state === "ready" && !executorReady) {
+    ctx.log("Executor delay has not passed (or the upgrade was never scheduled); not executing yet.");
+    return { ...u, executorReady, timelock: tl.address, op: u.op, action: "waiting", state: st.state };
+  }
+  const res = await T.advanceOperation(ctx, tl, u.op);
+  if (res.action === "executed" && res.state === "done") await recordUpgrade(ctx, u, res.tx);
+  return { ...u, executorReady, ...res };
+}
+
+/** Append the executed upgrade to the manifest, carrying over what `upgrade prepare` recorded. */
+async function recordUpgrade(ctx, u, tx) {
+  const slot = await ctx.provider.getStorage(u.proxy, EIP1967_IMPLEMENTATION_SLOT);
+  const live = ethers.getAddress(`0x${slot.slice(-40)}`);
+  if (live !== u.implementation) {
+    ctx.log(`  ⚠️  proxy implementation is ${live}, not ${u.implementation}; manifest not updated`);
+    return null;
+  }
+  const prepared = ctx.deployment && preparedImplementation(ctx.deployment.manifest.doc, u.implementation);
+  return ctx.recordManifest({
+    kind: "upgrade",
+    implementation: prepared ? prepared.implementation : { address: u.implementation },
+    ...(prepared?.build && { build: prepared.build }),
+    ...(tx?.hash && { txs: { timelockExecute: tx.hash } }),
+    ...(u.initData !== "0x" && { note: `upgradeAndCall, initializer ${u.initData.slice(0, 10)}` }),
+  });
+}
+
+module.exports = {
+  summary: "Prepare, schedule and execute proxy upgrades through the timelock",
+  usage: [
+    "upgrade prepare  --contract <Name>",
+    "upgrade schedule --impl 0x… [--init-data 0x… | --init-sig \"fn(types)\" --init-args '[…]'] [--salt …]",
+    "upgrade execute  --impl 0x… [same init flags as schedule] [--salt …]",
+  ],
+  subcommands: { prepare, schedule, execute },
+};
@@ -0,0 +1,294 @@
+// cli/context.js
+// Per-invocation context: network, deployment addresses, providers, signers and the
+// send/simulate primitive every command goes through (so --dry-run is honoured everywhere).
+require("dotenv").config();
+const fs = require("fs");
+const path = require("path");
+const { ethers } = require("ethers");
+const {
+  createDecoder,
+  loadManifest,
+  legacyView,
+  recordManifestEntry,
+  assertManifestMatchesChain,
+} = require("../sdk");
+const { flag } = require("./args");
+
+const ROOT = path.join(__dirname, "..");
+const PK_RE = /^0x[0-9a-fA-F]{64}$/;
+const isAddr = (a) => /^0x[a-fA-F0-9]{40}$/.test((a || "").trim());
+
+/** Address book keys; each can be overridden with `--<key> 0x…`. */
+const ADDRESS_KEYS = [
+  "token",
+  "implementation",
+  "timelock",
+  "proxyAdmin",
+  "upgradeExecutor",
+  "miniMultisig",
+  "multisig",
+  "oracle",
+  "l1Timelock",
+  "l1Governance",
+];
+
+/** hardhat.config.js network name → RPC env var. */
+const RPC_ENV = {
+  sepolia: "SEPOLIA_RPC_URL",
+  EthSepolia: "SEPOLIA_RPC_URL",
+  arbitrumSepolia: "ARBITRUM_SEPOLIA_RPC_URL",
+  ArbitrumSepolia: "ARBITRUM_SEPOLIA_RPC_URL",
+  arbitrumOne: "ARBITRUM_ONE_RPC_URL",
+  ArbitrumOne: "ARBITRUM_ONE_RPC_URL",
+  mainnet: "MAINNET_RPC_URL",
+};
+
+/** L2 network → the L1 its governance lives on. */
+const L1_OF = {
+  arbitrumSepolia: "sepolia",
+  ArbitrumSepolia: "sepolia",
+  arbitrumOne: "mainnet",
+  ArbitrumOne: "mainnet",
+  localhost: "localhost",
+  hardhat: "hardhat",
+};
+
+function rpcUrl(network) {
+  if (network === "localhost" || network === "hardhat") return "http://127.0.0.1:8545";
+  const env = RPC_ENV[network];
+  const url = ((env && process.env[env]) || "").trim();
+  if (!/^https?:\/\//.test(url)) throw new Error(`${env || `RPC for "${network}"`} missing/invalid (or pass --rpc)`);
+  return url;
+}
+
+/**
+ * Load the network's deployment manifest (sdk/manifest.js) — or, until it has one, its
+ * `-latest.json` / `deploy-<network>.json` — and normalize it to a flat address book. L1
+ * addresses come from the manifest or, failing that, L1_TIMELOCK / L1_GOVERNANCE_ADDR; an
+ * env var that contradicts the manifest is an error.
+ *
+ * @param {string} network
+ * @param {string|null} [file] explicit manifest (or legacy deployment file) path
+ */
+function loadDeployment(network, file) {
+  const manifest = loadManifest(network, { file: file || undefined });
+  const { state } = manifest;
+  const cfg = state.configuration;
+  const addresses = {};
+  for (const k of ADDRESS_KEYS) addresses[k] = manifest.address(k === "token" ? "tokenProxy" : k);
+  return {
+    file: manifest.file,
+    manifest,
+    raw: legacyView(manifest.doc),
+    deployBlock: state.deployBlock,
+    addresses,
+    admins: [...(cfg.admins || []), ...(cfg.proposers || []), ...(cfg.executors || [])],
+  };
+}
+
+/** Timelock operation ledger for `network` (see ledger.js), or `file` when given. */
+function ledgerPath(network, file) {
+  return file ? path.resolve(file) : path.join(ROOT, "deployments", `${network}-timelock-ops.json`);
+}
+
+/** Directory MiniMultisig proposal bundles are written to (see multisig.js), or `dir` when given. */
+function bundleDirPath(network, dir) {
+  return dir ? path.resolve(dir) : path.join(ROOT, "deployments", "proposals", network);
+}
+
+function walletFromEnv(names, provider) {
+  for (const n of names) {
+    const pk = (process.env[n] || "").trim();
+    if (PK_RE.test(pk)) return new ethers.Wallet(pk, provider);
+  }
+  return null;
+}
+
+/** JSON.stringify replacer: bigints as decimal strings. */
+const jsonSafe = (_k, v) => (typeof v === "bigint" ? v.toString() : v);
+
+/**
+ * Build the context for one CLI invocation.
+ *
+ * `overrides` lets tests (or other tools) inject providers/signers/addresses instead of
+ * reading .env: { provider, signer, cosigner, l1Provider, l1Signer, addresses, ledger,
+ * bundleDir, log, table }.
+ * `ledger: null` disables the operation ledger.
+ *
+ * @param {{_: string[], flags: object}} args
+ * @param {object} [overrides]
+ */
+function createContext(args, overrides = {}) {
+  const network = flag(args, "network") || (process.env.DEPLOY_NETWORK || "arbitrumSepolia").trim();
+  const json = args.flags.json === true;
+  const dryRun = args.flags["dry-run"] === true;
+
+  let deployment = null;
+  if (!overrides.addresses) deployment = loadDeployment(network, flag(args, "deployment"));
+  const addresses = { ...(deployment?.addresses || {}), ...(overrides.addresses || {}) };
+  for (const k of ADDRESS_KEYS) {
+    const v = flag(args, k);
+    if (v) addresses[k] = v;
+  }
+
+  // Connected on first use, so offline commands (e.g. `decode calldata`) need no RPC.
+  let l2 = null;
+  const l2Context = () => {
+    if (l2) return l2;
+    const provider = overrides.provider || new ethers.JsonRpcProvider(flag(args, "rpc") || rpcUrl(network));
+    const signer =
+      overrides.signer !== undefined ? overrides.signer : walletFromEnv(["GEMSTEP_PK", "MS_EOA1_PK"], provider);
+    const cosigner = overrides.cosigner !== undefined ? overrides.cosigner : walletFromEnv(["MS_EOA2_PK"], provider);
+    l2 = { provider, signer, cosigner };
+    return l2;
+  };
+
+  let l1 = null;
+  const l1Context = () => {
+    if (l1) return l1;
+    const l1Provider =
+      overrides.l1Provider ||
+      new ethers.JsonRpcProvider(
+        flag(args, "l1-rpc") || (process.env.L1_RPC_URL || "").trim() || rpcUrl(L1_OF[network] || "sepolia")
+      );
+    const l1Signer = overrides.l1Signer !== undefined ? overrides.l1Signer : walletFromEnv(["L1_OWNER_PK"], l1Provider);
+    l1 = { provider: l1Provider, signer: l1Signer };
+    return l1;
+  };
+
+  // In --json mode stdout carries only the result document.
+  const log = overrides.log || (json ? (...m) => console.error(...m) : (...m) => console.log(...m));
+  const table = overrides.table || (json ? () => {} : (rows) => console.table(rows));
+
+  const ctx = {
+    network,
+    deployment,
+    addresses,
+    get provider() {
+      return l2Context().provider;
+    },
+    get signer() {
+      return l2Context().signer;
+    },
+    get cosigner() {
+      return l2Context().cosigner;
+    },
+    l1: l1Context,
+    dryRun,
+    json,
+    /** Operation ledger file (null: don't record). */
+    ledger: overrides.ledger !== undefined ? overrides.ledger : ledgerPath(network, flag(args, "ledger")),
+    /** Where MiniMultisig proposal bundles are written. */
+    bundleDir: overrides.bundleDir || bundleDirPath(network, flag(args, "bundle-dir")),
+    /** Free-form `--label` stored with ledger entries; `command` is set by the CLI runner. */
+    label: flag(args, "label") || null,
+    command: null,
+    log,
+    table,
+    /** Every transaction sent (or, with --dry-run, simulated) during this run. */
+    txs: [],
+  };
+
+  /** Address of a named contract (`token`, `timelock`, …) or a literal address. */
+  ctx.address = (nameOrAddr) => {
+    if (isAddr(nameOrAddr)) return ethers.getAddress(nameOrAddr);
+    const a = addresses[nameOrAddr];
+    if (!isAddr(a)) throw new Error(`No "${nameOrAddr}" address (deployment manifest or --${nameOrAddr})`);
+    return ethers.getAddress(a);
+  };
+
+  let decoder = null;
+  /** Calldata decoder labelled with this run's address book (sdk/decode.js). */
+  ctx.decoder = () => {
+    if (decoder) return decoder;
+    const labels = {};
+    for (const a of deployment?.raw?.configuration?.admins || []) labels[a] = "admin";
+    decoder = createDecoder({ addresses, labels });
+    return decoder;
+  };
+
+  let manifestCheck = null;
+  /**
+   * Compare the deployment manifest with chain state, once per run, before the first
+   * transaction. `--skip-manifest-check` bypasses it (e.g. to act on a change the manifest
+   * does not record yet).
+   */
+  ctx.checkManifest = () => {
+    if (!deployment || args.flags["skip-manifest-check"] === true) return null;
+    manifestCheck ||= assertManifestMatchesChain(deployment.manifest.state, ctx.provider).catch((e) => {
+      throw new Error(`${e.message}\n(record the change with \`gemstep manifest record\`, or pass --skip-manifest-check)`);
+    });
+    return manifestCheck;
+  };
+
+  /**
+   * Append `entry` to the deployment manifest (no-op under --dry-run, or without a manifest:
+   * a network still on `-latest.json` is told to run `manifest import` first).
+   * @returns {object|null} the recorded entry
+   */
+  ctx.recordManifest = (entry) => {
+    if (ctx.dryRun || !deployment) return null;
+    if (deployment.manifest.legacy) {
+      log(`  ⚠️  ${deployment.file} is not a manifest; run \`gemstep manifest import\` to start recording history`);
+      return null;
+    }
+    const res = recordManifestEntry(network, entry, { file: deployment.file, chainId: deployment.manifest.state.chainId });
+    deployment.manifest = loadManifest(network, { file: res.file });
+    log(`  manifest: recorded #${res.entry.seq} (${res.entry.kind}) in ${res.file}`);
+    return res.entry;
+  };
+
+  /** Address transactions are sent from (or simulated from with --dry-run and no key). */
+  ctx.senderAddress = async (s = ctx.signer) => {
+    if (s) return s.getAddress();
+    const from = flag(args, "from");
+    if (!isAddr(from)) throw new Error("No signer: set GEMSTEP_PK / MS_EOA1_PK, or pass --from with --dry-run");
+    return ethers.getAddress(from);
+  };
+
+  /**
+   * Send `tx` from `s`, or simulate it with eth_call under --dry-run.
+   * @param {string} label
+   * @param {{to:string, data:string, value?:bigint}} tx
+   * `via.from` only applies to --dry-run: simulate as that account (e.g. a multisig whose
+   * propose/approve/execute round cannot be simulated step by step).
+   * @param {{signer?: import("ethers").Signer|null, provider?: import("ethers").Provider, from?: string}} [via]
+   */
+  ctx.send = async (label, tx, via = {}) => {
+    await ctx.checkManifest();
+    const s = via.signer !== undefined ? via.signer : ctx.signer;
+    const p = via.provider || ctx.provider;
+    const from = dryRun && via.from ? via.from : await ctx.senderAddress(s);
+    const rec = { label, from, to: tx.to, value: tx.value || 0n, data: tx.data };
+
+    if (dryRun) {
+      const sim = await simulate(p, { ...rec });
+      Object.assign(rec, { dryRun: true, simulated: sim.ok, error: sim.error });
+      log(`  [dry-run] ${label}: ${sim.ok ? "would succeed" : `would revert (${sim.error})`}`);
+      ctx.txs.push(rec);
+      return rec;
+    }
+    if (!s) throw new Error(`No signer for "${label}"`);
+
+    const sent = await s.sendTransaction({ to: tx.to, data: tx.data, value: tx.value || 0n });
+    log(`  ${label}: ${sent.hash}`);
+    const rc = await sent.wait();
+    Object.assign(rec, { hash: sent.hash, blockNumber: rc.blockNumber, status: rc.status });
+    ctx.txs.push(rec);
+    return rec;
+  };
+
+  return ctx;
+}
+
+/** eth_call `tx` from `tx.from`; never throws. */
+async function simulate(provider, tx) {
+  try {
+    const returndata = await provider.call({ from: tx.from, to: tx.to, data: tx.data, value: tx.value || 0n });
+    return { ok: true, returndata };
+  } catch (e) {
+    return { ok: false, error: e?.shortMessage || e?.reason || e?.message || "call reverted" };
+  }
+}
+
+module.exports = { ROOT, ADDRESS_KEYS, isAddr, rpcUrl, loadDeployment, ledgerPath, bundleDirPath, createContext, simulate, jsonSafe };
@@ -0,0 +1,132 @@
+#!/usr/bin/env node
+/* eslint-disable no-console */
+// gemstep — one CLI for the operational tasks the per-task scripts used to cover.
+//
+//   node cli/gemstep.js <command> <subcommand> [args] [--network arbitrumSepolia] [--dry-run] [--json]
+//   npm run gemstep -- roles list
+//
+// Addresses come from the deployment manifest, deployments/<network>-manifest.json (or the older
+// <network>-latest.json; override with --deployment <file> or --token/--timelock/… 0x…). Before
+// the first transaction the manifest is checked against chain state. Keys come from .env:
+// GEMSTEP_PK (or MS_EOA1_PK) for L2, MS_EOA2_PK as the second MiniMultisig owner, L1_OWNER_PK
+// for L1 governance.
+//
+// Every timelock operation the CLI schedules is recorded (with its salt and predecessor) in
+// deployments/<network>-timelock-ops.json; `timelock status|wait|execute|cancel <id>` read it.
+//
+// In "mini" mode without MS_EOA2_PK a timelock call is only proposed to the MiniMultisig and a
+// proposal bundle is written; the second owner verifies and signs it with `multisig approve`.
+//
+// Replaces:
+//   tl_pause_schedule.js / tl_pause_execute.js        → governance send-pause --on|--off
+//   grantRole.toTimelock.js / revokeRole.fromTimelock.js → roles grant|revoke DEFAULT_ADMIN timelock
+//   tl_executor_{schedule,execute}_upgradeAndCall.js  → upgrade schedule|execute --impl 0x…
+//   checkPostAccept.js                                → audit run
+//   MS_EOA1_PK + MS_EOA2_PK in one .env               → multisig propose / multisig approve <bundle>
+//
+// Ledger equivalents (the scripts stay, for operations scheduled outside the CLI):
+//   tl_updateDelay_{schedule,execute}.js              → timelock schedule --l1 --target l1Timelock --call "updateDelay(uint256)" …
+//   l1_check_timelock_operations.js                   → timelock status <id> --l1
+//   find_correct_salt.js                              → timelock sync --l1 --from-block <n> (reads events; the
+//                                                       script decodes a single schedule tx by hash)
+const { parseArgs } = require("./args");
+const { createContext, jsonSafe } = require("./context");
+
+const COMMANDS = {
+  timelock: require("./commands/timelock"),
+  roles: require("./commands/roles"),
+  sources: require("./commands/sources"),
+  upgrade: require("./commands/upgrade"),
+  governance: require("./commands/governance"),
+  decode: require("./commands/decode"),
+  multisig: require("./commands/multisig"),
+  manifest: require("./commands/manifest"),
+  audit: require("./commands/audit"),
+};
+
+const GLOBAL_FLAGS = [
+  "--network <name>      hardhat network name (default: DEPLOY_NETWORK or arbitrumSepolia)",
+  "--deployment <file>   deployment manifest (default: deployments/<network>-manifest.json, then -latest.json)",
+  "--skip-manifest-check send even if the manifest disagrees with chain state",
+  "--rpc <url>           L2 RPC override (--l1-rpc for L1)",
+  "--dry-run             simulate every transaction with eth_call; send nothing",
+  "--json                print the result as JSON on stdout (logs go to stderr)",
+  "--from <0x…>          sender to simulate as when --dry-run runs without a key",
+  "--ledger <file>       timelock operation ledger (default: deployments/<network>-timelock-ops.json)",
+  "--label <text>        note stored with the ledger entries this run creates",
+  "--bundle-dir <dir>    where MiniMultisig proposal bundles go (default: deployments/proposals/<network>)",
+];
+
+function usage(cmd) {
+  const lines = ["Usage: gemstep <command> <subcommand> [args] [flags]", ""];
+  for (const [name, c] of Object.entries(COMMANDS)) {
+    if (cmd && cmd !== name) continue;
+    lines.push(`${name} — ${c.summary}`, ...c.usage.map((u) => `  gemstep ${u}`), "");
+  }
+  lines.push("Global flags:", ...GLOBAL_FLAGS.map((f) => `  ${f}`));
+  return lines.join("\n");
+}
+
+/**
+ * Run one CLI invocation and return its result document (also used by tests).
+ * @param {string[]} argv arguments after the executable
+ * @param {object} [overrides] injected provider/signers/addresses (see createContext)
+ */
+async function run(argv, overrides) {
+  const args = parseArgs(argv);
+  const [cmdName, subName] = args._;
+  const cmd = COMMANDS[cmdName];
+  const handler = cmd?.subcommands[subName];
+  if (!handler || args.flags.help) {
+    const err = new Error(usage(cmd ? cmdName : null));
+    err.usage = true;
+    throw err;
+  }
+
+  const ctx = createContext(args, overrides);
+  ctx.command = `${cmdName} ${subName}`;
+  const result = await handler(ctx, { ...args, _: args._.slice(2) });
+  return {
+    command: `${cmdName} ${subName}`,
+    network: ctx.network,
+    dryRun: ctx.dryRun,
+    result,
+    transactions: ctx.txs,
+  };
+}
+
+async function main() {
+  const argv = process.argv.slice(2);
+  const json = argv.includes("--json");
+  try {
+    const doc = await run(argv);
+    // A result with `ok: false` (an audit with violations) is reported in full, then exits 1.
+    const failed = doc.result?.ok === false;
+    if (json) {
+      console.log(JSON.stringify(doc, jsonSafe, 2));
+      if (failed) process.exit(1);
+      return;
+    }
+    if (failed) {
+      console.error(`\n❌ ${doc.command}: ${doc.result.summary || "failed"}`);
+      process.exit(1);
+    }
+    const sent = doc.transactions.filter((t) => t.hash).length;
+    const simulated = doc.transactions.filter((t) => t.dryRun).length;
+    const action = doc.result?.action ? ` (${doc.result.action})` : "";
+    console.log(`\n✅ ${doc.command}${action}: ${sent} tx sent${simulated ? `, ${simulated} simulated` : ""}`);
+  } catch (e) {
+    if (e.usage) {
+      console.log(e.message);
+      process.exit(argv.includes("--help") ? 0 : 1);
+    }
+    const msg = e.reason || e.shortMessage || e.message || String(e);
+    if (json) console.log(JSON.stringify({ error: msg }));
+    console.error("❌ gemstep failed:", msg);
+    process.exit(1);
+  }
+}
+
+if (require.main === module) main();
+
+module.exports = { COMMANDS, run, usage };
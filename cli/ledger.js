@@ -0,0 +1,105 @@
+// cli/ledger.js
+// Timelock operation ledger: deployments/<network>-timelock-ops.json.
+//
+// Every operation the CLI schedules (or finds already scheduled) is written here with the
+// full preimage — target(s), value(s), calldata, predecessor, salt — so it can be re-hashed,
+// executed or cancelled later without digging the salt out of the schedule transaction.
+// Entries are keyed by (timelock, id); L1 and L2 operations share one file, tagged by layer.
+const fs = require("fs");
+const path = require("path");
+const { jsonSafe } = require("./context");
+
+const VERSION = 1;
+
+/** States after which an entry no longer needs watching. */
+const FINAL_STATES = ["done", "cancelled"];
+
+/** @returns {{version:number, network:string, operations:object[]}} */
+function readLedger(file, network = null) {
+  if (!fs.existsSync(file)) return { version: VERSION, network, operations: [] };
+  const doc = JSON.parse(fs.readFileSync(file, "utf8"));
+  if (!Array.isArray(doc.operations)) throw new Error(`${file} is not a timelock operation ledger`);
+  return doc;
+}
+
+/** Write via a temp file so an interrupted run never leaves a truncated ledger. */
+function writeLedger(file, doc) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const tmp = `${file}.tmp`;
+  fs.writeFileSync(tmp, `${JSON.stringify(doc, jsonSafe, 2)}\n`);
+  fs.renameSync(tmp, file);
+}
+
+/**
+ * Entry by full operation id or a unique id prefix (at least 6 hex digits after 0x).
+ * @returns {object|null} null when nothing matches
+ */
+function findEntry(doc, ref) {
+  const r = String(ref).toLowerCase();
+  if (!/^0x[0-9a-f]{6,64}$/.test(r)) throw new Error(`"${ref}" is not an operation id (0x + at least 6 hex digits)`);
+  const hits = doc.operations.filter((e) => e.id.toLowerCase().startsWith(r));
+  if (hits.length > 1 && r.length < 66) {
+    throw new Error(`Operation prefix ${ref} is ambiguous (${hits.map((e) => e.id.slice(0, 12)).join(", ")})`);
+  }
+  return hits[0] || null;
+}
+
+/** Operation fields persisted for an entry (the id is stored alongside, not inside). */
+function operationFields(op) {
+  const { id: _id, ...fields } = op;
+  return fields;
+}
+
+/**
+ * Insert or update the entry for `op` on timelock `tl`. No-op under --dry-run or when the
+ * context has no ledger.
+ * @param {object} ctx CLI context (`ctx.ledger` is the file)
+ * @param {{address:string, layer:string}} tl
+ * @param {object} op built operation (see timelock.buildOperation)
+ * @param {object} [patch] fields to set (state, readyAt, scheduleTx, …)
+ */
+function recordOperation(ctx, tl, op, patch = {}) {
+  if (!ctx.ledger || ctx.dryRun) return null;
+  const doc = readLedger(ctx.ledger, ctx.network);
+  const now = new Date().toISOString();
+  let entry = doc.operations.find((e) => e.id === op.id && e.timelock === tl.address);
+  if (!entry) {
+    entry = {
+      id: op.id,
+      layer: tl.layer,
+      timelock: tl.address,
+      kind: op.targets ? "batch" : "call",
+      command: ctx.command || null,
+      label: ctx.label || null,
+      op: operationFields(op),
+      state: "unknown",
+      createdAt: now,
+    };
+    doc.operations.push(entry);
+  }
+  Object.assign(entry, patch, { updatedAt: now });
+  writeLedger(ctx.ledger, doc);
+  return entry;
+}
+
+/**
+ * Ledger state for a freshly read on-chain state. A cancelled operation reads as "unset" on
+ * chain, so "cancelled" sticks, as does "proposed" (a schedule still waiting for the second
+ * MiniMultisig owner); a scheduled one that reads "unset" was cancelled elsewhere (or its
+ * schedule never landed) and is reported as "missing".
+ */
+function reconcileState(entry, chainState) {
+  if (chainState !== "unset") return chainState;
+  if (entry.state === "cancelled" || entry.state === "proposed") return entry.state;
+  return entry.state === "unknown" ? "unset" : "missing";
+}
+
+module.exports = {
+  VERSION,
+  FINAL_STATES,
+  readLedger,
+  writeLedger,
+  findEntry,
+  recordOperation,
+  reconcileState,
+};
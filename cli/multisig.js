@@ -0,0 +1,211 @@
+// cli/multisig.js
+// MiniMultisig2of2 proposals split across two machines: each owner only ever needs their own key.
+//
+// Owner A proposes (auto-approving) and exports a proposal bundle; owner B imports the bundle,
+// checks it against chain state (getTx / isApproved), decodes the calldata locally, approves
+// and — once both approvals are in — executes. `execute` itself is not owner-gated.
+//
+// Bundles are written to deployments/proposals/<network>/mini-<id>.json (or --bundle-dir).
+// The decoded summary inside a bundle is informational only; verification always re-reads the
+// chain and re-decodes.
+const fs = require("fs");
+const path = require("path");
+const { ethers } = require("ethers");
+const { MINI_MULTISIG_ABI, renderCall } = require("../sdk");
+const { jsonSafe } = require("./context");
+
+const BUNDLE_TYPE = "gemstep.mini-proposal";
+const BUNDLE_VERSION = 1;
+
+const miniIface = new ethers.Interface(MINI_MULTISIG_ABI);
+const sameAddr = (a, b) => !!a && !!b && a.toLowerCase() === b.toLowerCase();
+
+function readBundle(file) {
+  const b = JSON.parse(fs.readFileSync(path.resolve(file), "utf8"));
+  if (b.type !== BUNDLE_TYPE) throw new Error(`${file} is not a MiniMultisig proposal bundle`);
+  if (b.version !== BUNDLE_VERSION) throw new Error(`${file}: unsupported bundle version ${b.version}`);
+  return b;
+}
+
+function writeBundle(file, bundle) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, `${JSON.stringify(bundle, jsonSafe, 2)}\n`);
+  return file;
+}
+
+/** Proposal id from the `Proposed` event of a propose receipt. */
+async function proposalIdFrom(provider, hash, multisig) {
+  const rc = await provider.getTransactionReceipt(hash);
+  for (const log of rc.logs) {
+    if (!sameAddr(log.address, multisig)) continue;
+    const ev = miniIface.parseLog(log);
+    if (ev?.name === "Proposed") return ev.args.id;
+  }
+  throw new Error(`No Proposed event in ${hash}`);
+}
+
+/**
+ * An unexecuted proposal of exactly `call` among the bundles in `dir`, so a re-run does not
+ * propose the same call twice while the first proposal waits for the other owner.
+ * @returns {Promise<{id:bigint, file:string}|null>}
+ */
+async function findOpenProposal(ctx, multisig, dir, call) {
+  if (!fs.existsSync(dir)) return null;
+  const m = new ethers.Contract(multisig, MINI_MULTISIG_ABI, ctx.provider);
+  for (const name of fs.readdirSync(dir).filter((f) => /^mini-\d+\.json$/.test(f))) {
+    const file = path.join(dir, name);
+    let b;
+    try {
+      b = readBundle(file);
+    } catch {
+      continue;
+    }
+    if (!sameAddr(b.multisig, multisig) || !sameAddr(b.target, call.to)) continue;
+    if (BigInt(b.value) !== call.value || String(b.data).toLowerCase() !== call.data.toLowerCase()) continue;
+    const [target, value, executed, , data] = await m.getTx(b.id).catch(() => [null]);
+    // Only trust the bundle if the chain still holds the same call under that id.
+    const same = target && sameAddr(target, call.to) && value === call.value && data.toLowerCase() === call.data.toLowerCase();
+    if (same && !executed) {
+      return { id: BigInt(b.id), file };
+    }
+  }
+  return null;
+}
+
+/**
+ * Propose `to.call{value}(data)` with the current signer (the proposal is auto-approved) and
+ * write its bundle. `timelock` ({address, layer, action, op}) is carried along when the call is
+ * a timelock schedule/execute/cancel, so the approving side can record the operation too.
+ * @returns {Promise<{id:bigint, file:string|null, bundle:object, tx:object}>}
+ */
+async function proposeToMini(ctx, multisig, { to, value = 0n, data, label, timelock = null }) {
+  const call = { to, value: BigInt(value), data };
+  if (!ctx.dryRun) {
+    const open = await findOpenProposal(ctx, multisig, ctx.bundleDir, call);
+    if (open) throw new Error(`Already proposed as MiniMultisig #${open.id} (${open.file}); the other owner still has to approve it`);
+  }
+  const tx = await ctx.send(`mini.propose: ${label}`, {
+    to: multisig,
+    data: miniIface.encodeFunctionData("propose", [call.to, call.value, call.data]),
+  });
+  if (ctx.dryRun) return { id: null, file: null, bundle: null, tx };
+
+  const id = await proposalIdFrom(ctx.provider, tx.hash, multisig);
+  const summary = renderCall(ctx.decoder().decodeCall(call));
+  ctx.log(`  proposal #${id}:`);
+  for (const line of summary) ctx.log(`    ${line}`);
+
+  const { chainId } = await ctx.provider.getNetwork();
+  const bundle = {
+    type: BUNDLE_TYPE,
+    version: BUNDLE_VERSION,
+    network: ctx.network,
+    chainId,
+    multisig,
+    id,
+    proposer: tx.from,
+    proposeTx: tx.hash,
+    target: call.to,
+    value: call.value,
+    data: call.data,
+    dataHash: ethers.keccak256(call.data),
+    command: ctx.command,
+    label: ctx.label || label,
+    timelock,
+    summary,
+    createdAt: new Date().toISOString(),
+  };
+  const file = writeBundle(path.join(ctx.bundleDir, `mini-${id}.json`), bundle);
+  ctx.log(`  bundle → ${file}`);
+  const rel = path.relative(process.cwd(), file);
+  ctx.log(`  second owner: gemstep multisig approve ${rel.startsWith("..") ? file : rel} --execute`);
+  return { id, file, bundle, tx };
+}
+
+/**
+ * Check a bundle (or a bare proposal id) against the chain.
+ * `problems` are reasons not to sign; `warnings` are differences worth a look (e.g. the
+ * bundle's summary was produced with another address book).
+ * @returns {Promise<{multisig:string, id:bigint, target:string, value:bigint, data:string,
+ *   executed:boolean, approvals:number, owners:{owner:string, approved:boolean}[],
+ *   call:object, summary:string[], problems:string[], warnings:string[]}>}
+ */
+async function verifyProposal(ctx, { bundle = null, multisig, id }) {
+  const problems = [];
+  const warnings = [];
+  const addr = ethers.getAddress(bundle ? bundle.multisig : multisig);
+  const pid = BigInt(bundle ? bundle.id : id);
+
+  if (bundle) {
+    const { chainId } = await ctx.provider.getNetwork();
+    if (BigInt(bundle.chainId) !== chainId) problems.push(`bundle is for chain ${bundle.chainId}, connected to ${chainId}`);
+    const known = ctx.addresses.miniMultisig;
+    if (known && !sameAddr(known, addr)) problems.push(`bundle multisig ${addr} is not this deployment's MiniMultisig ${known}`);
+    if (ethers.keccak256(bundle.data) !== bundle.dataHash) problems.push("bundle data does not match its dataHash");
+  }
+
+  const m = new ethers.Contract(addr, MINI_MULTISIG_ABI, ctx.provider);
+  if (pid < 1n || pid > (await m.txCount())) throw new Error(`MiniMultisig ${addr} has no proposal #${pid}`);
+  const [target, value, executed, approvals, data] = await m.getTx(pid);
+  const owners = await m.owners();
+  const approvedBy = await Promise.all(owners.map((o) => m.isApproved(pid, o)));
+
+  if (bundle) {
+    if (!sameAddr(target, bundle.target)) problems.push(`on-chain target ${target} ≠ bundle target ${bundle.target}`);
+    if (value !== BigInt(bundle.value)) problems.push(`on-chain value ${value} ≠ bundle value ${bundle.value}`);
+    if (data.toLowerCase() !== String(bundle.data).toLowerCase()) problems.push("on-chain calldata does not match the bundle");
+    const i = owners.findIndex((o) => sameAddr(o, bundle.proposer));
+    if (i === -1) problems.push(`bundle proposer ${bundle.proposer} is not an owner`);
+    else if (!approvedBy[i] && !executed) problems.push(`proposer ${bundle.proposer} has not approved (revoked?)`);
+  }
+
+  const call = ctx.decoder().decodeCall({ to: target, value, data });
+  const summary = renderCall(call);
+  if (bundle?.summary && bundle.summary.join("\n") !== summary.join("\n")) {
+    warnings.push("bundle summary differs from the local decode (different address book?) — trust the local one");
+  }
+
+  return {
+    multisig: addr,
+    id: pid,
+    target,
+    value,
+    data,
+    executed,
+    approvals: Number(approvals),
+    owners: owners.map((o, i) => ({ owner: o, approved: approvedBy[i] })),
+    call,
+    summary,
+    problems,
+    warnings,
+  };
+}
+
+/** Approve proposal `id` as the current signer. */
+function approveProposal(ctx, multisig, id) {
+  return ctx.send(`mini.approve #${id}`, { to: multisig, data: miniIface.encodeFunctionData("approve", [id]) });
+}
+
+/** Withdraw the current signer's approval of proposal `id`. */
+function revokeProposal(ctx, multisig, id) {
+  return ctx.send(`mini.revoke #${id}`, { to: multisig, data: miniIface.encodeFunctionData("revoke", [id]) });
+}
+
+/** Execute a fully approved proposal; any account may send this. */
+function executeProposal(ctx, multisig, id) {
+  return ctx.send(`mini.execute #${id}`, { to: multisig, data: miniIface.encodeFunctionData("execute", [id]) });
+}
+
+module.exports = {
+  BUNDLE_TYPE,
+  BUNDLE_VERSION,
+  readBundle,
+  writeBundle,
+  proposalIdFrom,
+  findOpenProposal,
+  proposeToMini,
+  verifyProposal,
+  approveProposal,
+  revokeProposal,
+  executeProposal,
+};
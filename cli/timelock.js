@@ -0,0 +1,284 @@
+// cli/timelock.js
+// TimelockController operations: hashing, status, and the schedule/execute round trip.
+//
+// Callers reach the timelock directly (signer holds the role, or the executor role is open)
+// or through the MiniMultisig2of2 (owner 1 proposes, owner 2 approves, owner 1 executes),
+// which is how the L2 deployment is wired in "mini" mode. With only one owner key at hand the
+// call is proposed and handed over as a proposal bundle (multisig.js).
+//
+// An operation is a single call ({target, value, data}) or a batch ({targets, values, payloads});
+// both carry predecessor, salt and the derived id. Schedules, executions and cancellations are
+// recorded in the operation ledger (ledger.js).
+const { ethers } = require("ethers");
+const { TIMELOCK_ABI, MINI_MULTISIG_ABI, renderCall } = require("../sdk");
+const { isAddr, simulate } = require("./context");
+const { recordOperation } = require("./ledger");
+const { proposeToMini } = require("./multisig");
+
+const tlIface = new ethers.Interface(TIMELOCK_ABI);
+const miniIface = new ethers.Interface(MINI_MULTISIG_ABI);
+const coder = ethers.AbiCoder.defaultAbiCoder();
+
+/** OZ TimelockController `_DONE_TIMESTAMP`. */
+const DONE_TIMESTAMP = 1n;
+
+/** Deterministic salt from a label (the convention the per-task scripts use). */
+const saltFor = (label) => ethers.keccak256(ethers.toUtf8Bytes(label));
+
+/** `0x<32 bytes>` as is; any other label is hashed with {@link saltFor}. */
+const parseSalt = (s) => (/^0x[0-9a-fA-F]{64}$/.test(s) ? s : saltFor(s));
+
+/** TimelockController.hashOperation, computed locally. */
+function hashOperation({ target, value, data, predecessor, salt }) {
+  return ethers.keccak256(
+    coder.encode(["address", "uint256", "bytes", "bytes32", "bytes32"], [target, value, data, predecessor, salt])
+  );
+}
+
+/** TimelockController.hashOperationBatch, computed locally. */
+function hashOperationBatch({ targets, values, payloads, predecessor, salt }) {
+  return ethers.keccak256(
+    coder.encode(
+      ["address[]", "uint256[]", "bytes[]", "bytes32", "bytes32"],
+      [targets, values, payloads, predecessor, salt]
+    )
+  );
+}
+
+const isBatch = (op) => Array.isArray(op.targets);
+
+function checkCall(target, data) {
+  if (!isAddr(target)) throw new Error(`Invalid operation target: ${target}`);
+  if (!ethers.isHexString(data)) throw new Error("Operation data must be 0x-hex");
+  return ethers.getAddress(target);
+}
+
+/**
+ * Normalize an operation (from flags, an `--out` file or a ledger entry) and derive its id.
+ * Passing `targets`/`values`/`payloads` builds a batch operation.
+ * @param {{target?:string, value?:bigint|string, data?:string, targets?:string[], values?:(bigint|string)[],
+ *   payloads?:string[], predecessor?:string, salt?:string}} op
+ * @returns {object} the operation with `value` (or `values`) as bigint and `id` set
+ */
+function buildOperation({ target, value = 0n, data, targets, values, payloads, predecessor = ethers.ZeroHash, salt }) {
+  salt = salt || ethers.hexlify(ethers.randomBytes(32));
+  if (targets) {
+    if (!targets.length) throw new Error("Batch operation needs at least one call");
+    values = values || targets.map(() => 0n);
+    if (values.length !== targets.length || payloads?.length !== targets.length) {
+      throw new Error("Batch targets, values and payloads must have the same length");
+    }
+    const op = {
+      targets: targets.map((t, i) => checkCall(t, payloads[i])),
+      values: values.map((v) => BigInt(v)),
+      payloads,
+      predecessor,
+      salt,
+    };
+    return { ...op, id: hashOperationBatch(op) };
+  }
+  const op = { target: checkCall(target, data), value: BigInt(value), data, predecessor, salt };
+  return { ...op, id: hashOperation(op) };
+}
+
+/** Calls of `op` as [{target, value, data}] (one entry for a single-call operation). */
+function operationCalls(op) {
+  if (!isBatch(op)) return [{ target: op.target, value: op.value, data: op.data }];
+  return op.targets.map((target, i) => ({ target, value: op.values[i], data: op.payloads[i] }));
+}
+
+/** ETH the execute call must carry. */
+const operationValue = (op) => operationCalls(op).reduce((sum, c) => sum + c.value, 0n);
+
+/**
+ * Which timelock a command talks to, and through which provider/signer.
+ * @param {object} ctx CLI context
+ * @param {{l1?: boolean, address?: string}} [opts] `l1` selects the L1 timelock (L1_TIMELOCK)
+ * and L1 signer; `address` pins the timelock (e.g. the one a ledger entry was scheduled on)
+ */
+function resolveTimelock(ctx, { l1 = false, address } = {}) {
+  if (l1) {
+    const { provider, signer } = ctx.l1();
+    return { layer: "l1", address: ctx.address(address || "l1Timelock"), provider, signer, mini: null };
+  }
+  const mini = isAddr(ctx.addresses.miniMultisig) ? ethers.getAddress(ctx.addresses.miniMultisig) : null;
+  return { layer: "l2", address: ctx.address(address || "timelock"), provider: ctx.provider, signer: ctx.signer, mini };
+}
+
+/**
+ * Operation state from `getTimestamp`: unset | pending | ready | done.
+ * @returns {Promise<{id:string, state:string, readyAt:bigint|null, now:bigint}>}
+ */
+async function operationStatus(tl, id) {
+  const c = new ethers.Contract(tl.address, TIMELOCK_ABI, tl.provider);
+  const [ts, block] = await Promise.all([c.getTimestamp(id), tl.provider.getBlock("latest")]);
+  const now = BigInt(block.timestamp);
+  let state = "pending";
+  if (ts === 0n) state = "unset";
+  else if (ts === DONE_TIMESTAMP) state = "done";
+  else if (ts <= now) state = "ready";
+  return { id, state, readyAt: ts > DONE_TIMESTAMP ? ts : null, now };
+}
+
+/** Ledger fields for a status read; `readyAt` is kept once the operation is done. */
+function statusPatch(st) {
+  return { state: st.state, ...(st.readyAt != null && { readyAt: Number(st.readyAt) }) };
+}
+
+/** How the current signer can exercise `roleName` on the timelock. */
+async function callerPath(ctx, tl, roleName) {
+  const c = new ethers.Contract(tl.address, TIMELOCK_ABI, tl.provider);
+  const role = await c[roleName]();
+  if (roleName === "EXECUTOR_ROLE" && (await c.hasRole(role, ethers.ZeroAddress))) return { kind: "open" };
+
+  const me = await ctx.senderAddress(tl.signer);
+  if (await c.hasRole(role, me)) return { kind: "direct", address: me };
+  if (tl.mini && (await c.hasRole(role, tl.mini))) return { kind: "mini", address: tl.mini };
+  throw new Error(`${me} has no ${roleName} on timelock ${tl.address}${tl.mini ? " (nor does the MiniMultisig)" : ""}`);
+}
+
+/**
+ * Run `to.call{value}(data)` through the MiniMultisig. With the second owner's key (cosigner)
+ * this is propose → approve → execute in one go, the decoded proposal logged before the
+ * cosigner approves. Without it the call is only proposed: a proposal bundle is written for
+ * the other owner (`multisig approve <bundle> --execute`) and the returned record carries
+ * `proposal: {multisig, id, file}`. `meta.timelock` is stored in the bundle.
+ */
+async function viaMini(ctx, tl, label, to, data, value, meta = {}) {
+  if (ctx.dryRun) return ctx.send(`${label} (as MiniMultisig)`, { to, data, value }, { from: tl.mini });
+  if (!ctx.cosigner) {
+    const p = await proposeToMini(ctx, tl.mini, { to, value, data, label, timelock: meta.timelock || null });
+    return { ...p.tx, proposal: { multisig: tl.mini, id: p.id, file: p.file } };
+  }
+
+  const mini = new ethers.Contract(tl.mini, MINI_MULTISIG_ABI, tl.provider);
+  await ctx.send(`mini.propose: ${label}`, { to: tl.mini, data: miniIface.encodeFunctionData("propose", [to, value, data]) });
+  const id = await mini.txCount();
+  ctx.log(`  proposal #${id}:`);
+  for (const line of renderCall(ctx.decoder().decodeCall({ to, value, data }))) ctx.log(`    ${line}`);
+  await ctx.send(`mini.approve #${id}`, { to: tl.mini, data: miniIface.encodeFunctionData("approve", [id]) }, { signer: ctx.cosigner });
+  return ctx.send(`mini.execute #${id}`, { to: tl.mini, data: miniIface.encodeFunctionData("execute", [id]) });
+}
+
+/** `action` and `op` describe the call for a proposal bundle when it goes through the MiniMultisig. */
+async function callTimelock(ctx, tl, path, label, data, { value = 0n, action, op } = {}) {
+  if (path.kind === "mini") {
+    const timelock = { address: tl.address, layer: tl.layer, action, op };
+    return viaMini(ctx, tl, label, tl.address, data, value, { timelock });
+  }
+  return ctx.send(label, { to: tl.address, data, value }, { signer: tl.signer, provider: tl.provider });
+}
+
+/** Ledger fields for a call that was only proposed to the MiniMultisig. */
+const proposalPatch = (tx) => ({ proposal: { ...tx.proposal, proposeTx: tx.hash } });
+
+/**
+ * Schedule `op` with `delay` (default: the timelock's minDelay). Each wrapped call is first
+ * simulated from the timelock; a revert is reported, not fatal (it may depend on earlier ops,
+ * or on earlier calls of the same batch).
+ */
+async function scheduleOperation(ctx, tl, op, { delay } = {}) {
+  const c = new ethers.Contract(tl.address, TIMELOCK_ABI, tl.provider);
+  const d = delay != null ? BigInt(delay) : await c.getMinDelay();
+
+  let pre = { ok: true };
+  for (const [i, call] of operationCalls(op).entries()) {
+    const sim = await simulate(tl.provider, { from: tl.address, to: call.target, data: call.data, value: call.value });
+    if (sim.ok) continue;
+    ctx.log(`  ⚠️  ${isBatch(op) ? `call #${i}` : "call"} would revert if executed now: ${sim.error}`);
+    if (pre.ok) pre = { ok: false, index: i, error: sim.error };
+  }
+
+  const path = await callerPath(ctx, tl, "PROPOSER_ROLE");
+  const data = isBatch(op)
+    ? tlIface.encodeFunctionData("scheduleBatch", [op.targets, op.values, op.payloads, op.predecessor, op.salt, d])
+    : tlIface.encodeFunctionData("schedule", [op.target, op.value, op.data, op.predecessor, op.salt, d]);
+  const label = isBatch(op) ? "timelock.scheduleBatch" : "timelock.schedule";
+  const tx = await callTimelock(ctx, tl, path, label, data, { action: "schedule", op });
+
+  if (tx.proposal) {
+    recordOperation(ctx, tl, op, { state: "proposed", delay: d, ...proposalPatch(tx) });
+  } else if (!ctx.dryRun) {
+    const st = await operationStatus(tl, op.id);
+    recordOperation(ctx, tl, op, {
+      ...statusPatch(st),
+      delay: d,
+      scheduleTx: tx.hash,
+      scheduledAt: new Date().toISOString(),
+    });
+  }
+  return { delay: d, path: path.kind, preflight: pre, tx };
+}
+
+/** Execute a ready `op`. The operation value (summed over a batch) is attached to the call. */
+async function executeOperation(ctx, tl, op) {
+  const path = await callerPath(ctx, tl, "EXECUTOR_ROLE");
+  const data = isBatch(op)
+    ? tlIface.encodeFunctionData("executeBatch", [op.targets, op.values, op.payloads, op.predecessor, op.salt])
+    : tlIface.encodeFunctionData("execute", [op.target, op.value, op.data, op.predecessor, op.salt]);
+  const label = isBatch(op) ? "timelock.executeBatch" : "timelock.execute";
+  const tx = await callTimelock(ctx, tl, path, label, data, { value: operationValue(op), action: "execute", op });
+  if (tx.proposal) recordOperation(ctx, tl, op, proposalPatch(tx));
+  else recordOperation(ctx, tl, op, { state: "done", executeTx: tx.hash, executedAt: new Date().toISOString() });
+  return { path: path.kind, tx };
+}
+
+/** Cancel a pending or ready `op` (CANCELLER_ROLE). */
+async function cancelOperation(ctx, tl, op) {
+  const path = await callerPath(ctx, tl, "CANCELLER_ROLE");
+  const data = tlIface.encodeFunctionData("cancel", [op.id]);
+  const tx = await callTimelock(ctx, tl, path, "timelock.cancel", data, { action: "cancel", op });
+  if (tx.proposal) recordOperation(ctx, tl, op, proposalPatch(tx));
+  else recordOperation(ctx, tl, op, { state: "cancelled", cancelTx: tx.hash, cancelledAt: new Date().toISOString() });
+  return { path: path.kind, tx };
+}
+
+/**
+ * Do whatever is due for `op`: schedule it if unknown, execute it if ready, otherwise report.
+ * Re-running the same command walks an operation to completion.
+ */
+async function advanceOperation(ctx, tl, op, opts = {}) {
+  const before = await operationStatus(tl, op.id);
+  let action = "none";
+  let detail = null;
+
+  if (before.state === "unset") {
+    action = "scheduled";
+    detail = await scheduleOperation(ctx, tl, op, opts);
+  } else if (before.state === "ready") {
+    action = "executed";
+    detail = await executeOperation(ctx, tl, op);
+  } else if (before.state === "pending") {
+    action = "waiting";
+    ctx.log(`  operation pending until ${new Date(Number(before.readyAt) * 1000).toISOString()}`);
+  }
+  if (detail?.tx?.proposal) action = "proposed";
+
+  const after = ctx.dryRun ? before : await operationStatus(tl, op.id);
+  // Also picks up operations scheduled outside the CLI, so their preimage is on file from now on.
+  if (after.state !== "unset") {
+    recordOperation(ctx, tl, op, statusPatch(after));
+  }
+  return { timelock: tl.address, layer: tl.layer, op, action, before: before.state, state: after.state, readyAt: after.readyAt, ...detail };
+}
+
+module.exports = {
+  DONE_TIMESTAMP,
+  saltFor,
+  parseSalt,
+  hashOperation,
+  hashOperationBatch,
+  isBatch,
+  buildOperation,
+  operationCalls,
+  operationValue,
+  resolveTimelock,
+  operationStatus,
+  statusPatch,
+  callerPath,
+  viaMini,
+  scheduleOperation,
+  executeOperation,
+  cancelOperation,
+  advanceOperation,
+};
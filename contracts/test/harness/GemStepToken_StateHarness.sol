@@ -0,0 +1,174 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.30;
+
+import "../../GemStepToken.sol";
+
+/// @title GemStepToken_StateHarness
+/// @notice TEST ONLY. GemStepToken plus admin-gated setters that write a token state snapshot
+///         (sdk/snapshot.js) straight into storage, so a fresh local deployment takes on the
+///         logical state of a deployed token: balances, roles, sources, users, versions, parameters.
+/// @dev Adds no storage variables (layout is GemStepToken's). Never deploy outside tests: every
+///      restore* function bypasses the invariants the production entrypoints enforce.
+contract GemStepToken_StateHarness is GemStepToken {
+    struct Params {
+        uint256 burnFee;
+        uint256 rewardRate;
+        uint256 stepLimit;
+        uint256 signatureValidityPeriod;
+        uint256 currentStakePerStep;
+        uint256 lastStakeAdjustment;
+        bool stakeParamsLocked;
+        uint256 currentMonth;
+        uint256 currentMonthMinted;
+        uint256 monthlyMintLimit;
+        uint256 lastMonthUpdate;
+        uint256 distributedTotal;
+        uint256 currentMonthlyCap;
+        uint256 halvingCount;
+        uint256 anomalyThreshold;
+        address treasury;
+    }
+
+    struct SourceState {
+        string name;
+        bool valid;
+        bool requiresProof;
+        bool requiresAttestation;
+        bytes32 merkleRoot;
+        uint256 maxStepsPerDay;
+        uint256 minInterval;
+    }
+
+    struct UserState {
+        address account;
+        uint256 nonce;
+        uint256 stake;
+        uint256 totalSteps;
+        string lastSource;
+        uint256 stepAverage;
+        uint256 flaggedSubmissions;
+        uint256 suspendedUntil;
+        uint256 firstSubmission;
+        bool trustedDevice;
+        bool trustedAPI;
+        bool trusted1271;
+        bool approvedRecipient;
+    }
+
+    struct UserSourceState {
+        address user;
+        string source;
+        uint256 nonce;
+        uint256 lastSubmission;
+        uint256 dailyStepTotal;
+        uint256 dailyIndex;
+    }
+
+    struct VersionState {
+        bytes32 key;
+        bool attestSupported;
+        uint256 attestDeprecatesAt;
+        bool attestRequiresNonce;
+        bool payloadSupported;
+        uint256 payloadDeprecatesAt;
+    }
+
+    /// @notice Overwrite the packed parameter bundles (getCoreParams / getStakeParams / getMintingState).
+    function restoreParams(Params calldata p) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        burnFee = p.burnFee;
+        rewardRate = p.rewardRate;
+        stepLimit = p.stepLimit;
+        signatureValidityPeriod = p.signatureValidityPeriod;
+        currentStakePerStep = p.currentStakePerStep;
+        lastStakeAdjustment = p.lastStakeAdjustment;
+        stakeParamsLocked = p.stakeParamsLocked;
+        currentMonth = p.currentMonth;
+        currentMonthMinted = p.currentMonthMinted;
+        monthlyMintLimit = p.monthlyMintLimit;
+        lastMonthUpdate = p.lastMonthUpdate;
+        distributedTotal = p.distributedTotal;
+        currentMonthlyCap = p.currentMonthlyCap;
+        halvingCount = p.halvingCount;
+        anomalyThreshold = p.anomalyThreshold;
+        treasury = p.treasury;
+    }
+
+    /// @notice Set each holder's balance exactly (mint or burn the difference; no supply cap).
+    function restoreBalances(address[] calldata holders, uint256[] calldata amounts)
+        external
+        onlyRole(DEFAULT_ADMIN_ROLE)
+    {
+        require(holders.length == amounts.length, "length mismatch");
+        for (uint256 i = 0; i < holders.length; i++) {
+            uint256 cur = balanceOf(holders[i]);
+            if (amounts[i] > cur) _mint(holders[i], amounts[i] - cur);
+            else if (amounts[i] < cur) _burn(holders[i], cur - amounts[i]);
+        }
+    }
+
+    /// @notice Grant `roles[i]` to `accounts[i]` (no role-admin check).
+    function restoreRoles(bytes32[] calldata roles, address[] calldata accounts)
+        external
+        onlyRole(DEFAULT_ADMIN_ROLE)
+    {
+        require(roles.length == accounts.length, "length mismatch");
+        for (uint256 i = 0; i < roles.length; i++) _grantRole(roles[i], accounts[i]);
+    }
+
+    function restoreSources(SourceState[] calldata s) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        for (uint256 i = 0; i < s.length; i++) {
+            SourceConfig storage c = sourceConfigs[s[i].name];
+            validSources[s[i].name] = s[i].valid;
+            c.requiresProof = s[i].requiresProof;
+            c.requiresAttestation = s[i].requiresAttestation;
+            c.merkleRoot = s[i].merkleRoot;
+            c.maxStepsPerDay = s[i].maxStepsPerDay;
+            c.minInterval = s[i].minInterval;
+        }
+    }
+
+    function restoreUsers(UserState[] calldata u) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        for (uint256 i = 0; i < u.length; i++) {
+            address a = u[i].account;
+            nonces[a] = u[i].nonce;
+            stakeBalance[a] = u[i].stake;
+            totalSteps[a] = u[i].totalSteps;
+            lastSource[a] = u[i].lastSource;
+            userStepAverage[a] = u[i].stepAverage;
+            flaggedSubmissions[a] = u[i].flaggedSubmissions;
+            suspendedUntil[a] = u[i].suspendedUntil;
+            userFirstSubmission[a] = u[i].firstSubmission;
+            trustedDevices[a] = u[i].trustedDevice;
+            isTrustedAPI[a] = u[i].trustedAPI;
+            trustedERC1271Contracts[a] = u[i].trusted1271;
+            approvedRecipients[a] = u[i].approvedRecipient;
+        }
+    }
+
+    function restoreUserSources(UserSourceState[] calldata s) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        for (uint256 i = 0; i < s.length; i++) {
+            sourceConfigs[s[i].source].userNonce[s[i].user] = s[i].nonce;
+            lastSubmission[s[i].user][s[i].source] = s[i].lastSubmission;
+            dailyStepTotal[s[i].user][s[i].source] = s[i].dailyStepTotal;
+            dailyIndex[s[i].user][s[i].source] = s[i].dailyIndex;
+        }
+    }
+
+    /// @notice Version allowlists and deprecations, keyed by the normalized-version hash.
+    function restoreVersions(VersionState[] calldata v) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        for (uint256 i = 0; i < v.length; i++) {
+            bytes32 k = v[i].key;
+            supportedAttestationVersions[k] = v[i].attestSupported;
+            attestationVersionDeprecatesAt[k] = v[i].attestDeprecatesAt;
+            attestationRequiresNonce[k] = v[i].attestRequiresNonce;
+            supportedPayloadVersions[k] = v[i].payloadSupported;
+            payloadVersionDeprecatesAt[k] = v[i].payloadDeprecatesAt;
+        }
+    }
+
+    /// @notice Match the snapshot's pause state (call last: paused tokens cannot mint or burn).
+    function restorePaused(bool p) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        if (p && !paused()) _pause();
+        else if (!p && paused()) _unpause();
+    }
+}
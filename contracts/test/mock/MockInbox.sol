@@ -12,31 +12,74 @@ interface IInbox {
         uint256 maxFeePerGas,
         bytes calldata data
     ) external payable returns (uint256);
+
+    function calculateRetryableSubmissionFee(uint256 dataLength, uint256 baseFee) external view returns (uint256);
 }
 
 contract MockInbox is IInbox {
+    /// @dev Everything the bridge simulator (sdk/bridge.js) needs to replay a ticket on L2.
+    struct Ticket {
+        address from;
+        address to;
+        uint256 l2CallValue;
+        uint256 maxSubmissionCost;
+        address excessFeeRefundAddress;
+        address callValueRefundAddress;
+        uint256 gasLimit;
+        uint256 maxFeePerGas;
+        uint256 msgValue;
+        bytes data;
+    }
+
     uint256 private _nextId = 1;
     uint256 public lastMsgValue;
     address public lastTo;
     bytes public lastData;
+    mapping(uint256 => Ticket) private _tickets;
 
     event RetryableCreated(uint256 indexed id, address indexed to, bytes data, uint256 msgValue);
 
     function createRetryableTicket(
         address to,
-        uint256,
-        uint256,
-        address,
-        address,
-        uint256,
-        uint256,
+        uint256 l2CallValue,
+        uint256 maxSubmissionCost,
+        address excessFeeRefundAddress,
+        address callValueRefundAddress,
+        uint256 gasLimit,
+        uint256 maxFeePerGas,
         bytes calldata data
     ) external payable override returns (uint256) {
         lastMsgValue = msg.value;
         lastTo = to;
         lastData = data;
         uint256 id = _nextId++;
+        _tickets[id] = Ticket({
+            from: msg.sender,
+            to: to,
+            l2CallValue: l2CallValue,
+            maxSubmissionCost: maxSubmissionCost,
+            excessFeeRefundAddress: excessFeeRefundAddress,
+            callValueRefundAddress: callValueRefundAddress,
+            gasLimit: gasLimit,
+            maxFeePerGas: maxFeePerGas,
+            msgValue: msg.value,
+            data: data
+        });
         emit RetryableCreated(id, to, data, msg.value);
         return id;
     }
+
+    /// @dev Nitro's formula; `baseFee == 0` means the current L1 basefee.
+    function calculateRetryableSubmissionFee(uint256 dataLength, uint256 baseFee)
+        external
+        view
+        override
+        returns (uint256)
+    {
+        return (1400 + 6 * dataLength) * (baseFee == 0 ? block.basefee : baseFee);
+    }
+
+    function getTicket(uint256 id) external view returns (Ticket memory) {
+        return _tickets[id];
+    }
 }
@@ -316,10 +316,11 @@ module.exports = {
         },
       },
 
+  // ARTIFACTS_DIR / CACHE_DIR let scripts/size_budget.js build each profile without touching ./artifacts.
   paths: {
     sources: "./contracts",
     tests: "./test",
-    cache: "./cache",
-    artifacts: "./artifacts",
+    cache: process.env.CACHE_DIR || "./cache",
+    artifacts: process.env.ARTIFACTS_DIR || "./artifacts",
   },
 };
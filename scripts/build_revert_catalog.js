@@ -0,0 +1,51 @@
+/* eslint-disable no-console */
+// Regenerate sdk/revert-catalog.json from the contract sources and sdk/revert-hints.js (see sdk/reverts.js).
+//
+//   node scripts/build_revert_catalog.js            (npm run reverts:catalog)
+//   node scripts/build_revert_catalog.js --check    (npm run reverts:check)
+//
+//   --check    do not write; exit 1 if the committed catalog is stale, a revert reason or custom error
+//              has no hint, or a hint no longer matches anything in the sources
+//   --out f    write somewhere else (default sdk/revert-catalog.json)
+const fs = require("fs");
+const path = require("path");
+const { REVERT_CATALOG_FILE, buildRevertCatalog } = require("../sdk");
+
+function argValue(argv, flag) {
+  const i = argv.indexOf(flag);
+  if (i !== -1 && argv[i + 1]) return argv[i + 1];
+  const kv = argv.find((a) => a.startsWith(`${flag}=`));
+  return kv ? kv.split("=").slice(1).join("=") : null;
+}
+
+function main() {
+  const argv = process.argv.slice(2);
+  const out = path.resolve(argValue(argv, "--out") || REVERT_CATALOG_FILE);
+  const { catalog, unannotated, unused } = buildRevertCatalog();
+  const text = JSON.stringify(catalog, null, 2) + "\n";
+
+  for (const u of unannotated) console.log(`⚠️  no hint for ${u} (add it to sdk/revert-hints.js)`);
+  for (const u of unused) console.log(`⚠️  hint for ${u} matches nothing in contracts/ (remove or rename it)`);
+
+  const strings = catalog.entries.filter((e) => e.kind === "string").length;
+  const summary = `${strings} revert strings, ${catalog.entries.length - strings} custom errors`;
+
+  if (argv.includes("--check")) {
+    const current = fs.existsSync(out) ? fs.readFileSync(out, "utf8") : "";
+    const stale = current !== text;
+    if (stale) console.log(`❌ ${path.relative(process.cwd(), out)} is stale; run: npm run reverts:catalog`);
+    if (stale || unannotated.length || unused.length) process.exitCode = 1;
+    else console.log(`✓ revert catalog up to date (${summary})`);
+    return;
+  }
+
+  fs.writeFileSync(out, text);
+  console.log(`✅ Wrote ${out} (${summary})`);
+}
+
+try {
+  main();
+} catch (e) {
+  console.error("❌ build_revert_catalog failed:", e.message || e);
+  process.exit(1);
+}
@@ -0,0 +1,205 @@
+/* eslint-disable no-console */
+require("dotenv").config();
+const fs = require("fs");
+const { ethers } = require("ethers");
+const { buildSourceProofs, proofBundleToJSON, TOKEN_MERKLE_ABI, openDeployment } = require("../sdk");
+const { createContext, jsonSafe } = require("../cli/context");
+const T = require("../cli/timelock");
+
+const TL_ABI = [
+  "function getMinDelay() view returns (uint256)",
+  "function hashOperation(address target,uint256 value,bytes data,bytes32 predecessor,bytes32 salt) view returns (bytes32)",
+  "function isOperation(bytes32 id) view returns (bool)",
+  "function schedule(address target,uint256 value,bytes data,bytes32 predecessor,bytes32 salt,uint256 delay)",
+  "function execute(address target,uint256 value,bytes data,bytes32 predecessor,bytes32 salt)"
+];
+
+function usage() {
+  console.log("Usage:");
+  console.log("  node scripts/build_source_merkle.js --source <name> --in <batch.json> [--out <proofs.json>]");
+  console.log("                                      [--schedule [--dry-run] | --prepare-schedule]");
+  console.log("");
+  console.log("  batch.json : [{ \"user\": \"0x…\", \"steps\": 1234 }, …]");
+  console.log("  --schedule         : schedule setSourceMerkleRoot(source, root) on the L2 Timelock as `gemstep`");
+  console.log("                      does: through the MiniMultisig this only proposes, with owner A's key");
+  console.log("                      (GEMSTEP_PK / MS_EOA1_PK), and writes the proposal bundle owner B approves");
+  console.log("                      with `gemstep multisig approve <bundle> --execute`");
+  console.log("  --dry-run          : with --schedule, simulate instead of sending");
+  console.log("  --prepare-schedule : only prepares the L2 Timelock schedule of setSourceMerkleRoot(source, root):");
+  console.log("                      writes it to the proofs file and prints the MiniMultisig propose calldata.");
+  console.log("                      Nothing is sent and no keys are used; each owner signs on their own machine.");
+  console.log("");
+  console.log("Env: ARBITRUM_SEPOLIA_RPC_URL (or L2_RPC_URL); addresses from deployments/<DEPLOY_NETWORK>-manifest.json");
+  process.exit(1);
+}
+
+function argValue(argv, flag) {
+  const i = argv.indexOf(flag);
+  if (i !== -1 && argv[i + 1]) return argv[i + 1];
+  const kv = argv.find((a) => a.startsWith(`${flag}=`));
+  return kv ? kv.split("=").slice(1).join("=") : null;
+}
+
+/**
+ * Build (not send) the timelock schedule of setSourceMerkleRoot. Owner A proposes the printed call to the
+ * MiniMultisig, owner B approves it, each with their own key.
+ */
+async function prepareRootSchedule({ l2, dep, token, source, root }) {
+  const TL   = dep.addressOf("timelock");
+  const tl   = new ethers.Contract(TL, TL_ABI, l2);
+
+  const data = new ethers.Interface(TOKEN_MERKLE_ABI).encodeFunctionData("setSourceMerkleRoot", [source, root]);
+  const value = 0n;
+  const predecessor = ethers.ZeroHash;
+  const salt = ethers.keccak256(ethers.toUtf8Bytes(`MERKLE_ROOT:${source.toLowerCase()}:${root}`));
+  const minDelay = await tl.getMinDelay();
+  const opId = await tl.hashOperation(token, value, data, predecessor, salt);
+  const scheduleCalldata = tl.interface.encodeFunctionData("schedule", [token, value, data, predecessor, salt, minDelay]);
+
+  console.log("\n[Schedule] setSourceMerkleRoot via Timelock (prepared, not sent)");
+  console.log("Timelock   :", TL);
+  console.log("operationId:", opId);
+  console.log("salt       :", salt);
+  console.log("minDelay   :", minDelay.toString(), "seconds");
+
+  // Dry-run as Timelock (same precheck as configure_sources_via_l2_timelock.js)
+  try {
+    await l2.call({ from: TL, to: token, data });
+    console.log("Dryrun OK – call would succeed when executed by TL.");
+  } catch (e) {
+    throw new Error(`Dryrun REVERTED: ${e?.shortMessage || e?.message}`);
+  }
+
+  const scheduled = await tl.isOperation(opId);
+  if (scheduled) {
+    console.log("ℹ️ Operation already exists on TL; nothing to propose.");
+  } else {
+    console.log("\nOwner A proposes it to the MiniMultisig, owner B approves and executes:");
+    console.log(`  propose(${TL}, 0, ${scheduleCalldata})`);
+  }
+
+  return {
+    timelock: TL,
+    operationId: opId,
+    scheduled,
+    target: token,
+    value: value.toString(),
+    data,
+    predecessor,
+    salt,
+    delay: minDelay.toString(),
+    scheduleCalldata,
+    executeCalldata: tl.interface.encodeFunctionData("execute", [token, value, data, predecessor, salt]),
+  };
+}
+
+/**
+ * Schedule setSourceMerkleRoot on the L2 timelock through the CLI (cli/timelock.js). In "mini" mode only
+ * the proposal is sent, with owner A's key, and its bundle written for owner B; the second owner's key is
+ * never loaded here, even if MS_EOA2_PK is set.
+ */
+async function scheduleRoot({ l2, dep, token, source, root, dryRun }) {
+  const MINI = dep.address("miniMultisig");
+  const addresses = { token, timelock: dep.addressOf("timelock"), ...(MINI && { miniMultisig: MINI }) };
+  const flags = { label: `merkle root ${source}`, "dry-run": dryRun };
+  const ctx = createContext({ _: [], flags }, { provider: l2, cosigner: null, addresses });
+  ctx.command = "build_source_merkle --schedule";
+  const tl = T.resolveTimelock(ctx);
+
+  const data = new ethers.Interface(TOKEN_MERKLE_ABI).encodeFunctionData("setSourceMerkleRoot", [source, root]);
+  const op = T.buildOperation({ target: token, data, salt: T.saltFor(`MERKLE_ROOT:${source.toLowerCase()}:${root}`) });
+
+  console.log("\n[Schedule] setSourceMerkleRoot via Timelock");
+  console.log("Timelock   :", tl.address);
+  console.log("operationId:", op.id);
+  console.log("salt       :", op.salt);
+
+  // Dry-run as Timelock (same precheck as configure_sources_via_l2_timelock.js)
+  try {
+    await l2.call({ from: tl.address, to: token, data });
+    console.log("Dryrun OK – call would succeed when executed by TL.");
+  } catch (e) {
+    throw new Error(`Dryrun REVERTED: ${e?.shortMessage || e?.message}`);
+  }
+
+  const st = await T.operationStatus(tl, op.id);
+  if (st.state !== "unset") {
+    console.log(`ℹ️ Operation already on the timelock (${st.state}); nothing to schedule.`);
+    return { timelock: tl.address, operationId: op.id, salt: op.salt, state: st.state };
+  }
+  const res = await T.scheduleOperation(ctx, tl, op);
+  const proposal = res.tx.proposal && { ...res.tx.proposal, proposeTx: res.tx.hash };
+  return {
+    timelock: tl.address,
+    operationId: op.id,
+    salt: op.salt,
+    state: ctx.dryRun ? "unset" : proposal ? "proposed" : "scheduled",
+    delay: res.delay.toString(),
+    path: res.path,
+    ...(proposal && { proposal }),
+  };
+}
+
+async function main() {
+  const argv = process.argv.slice(2);
+  const source = argValue(argv, "--source");
+  const inFile = argValue(argv, "--in");
+  if (!source || !inFile) usage();
+
+  const outFile = argValue(argv, "--out") || `merkle-${source}-${Date.now()}.json`;
+  const wantSchedule = argv.includes("--schedule");
+  const wantPrepare = argv.includes("--prepare-schedule");
+  const dryRun = argv.includes("--dry-run");
+  if (wantSchedule && wantPrepare) usage();
+
+  const RPC = (process.env.L2_RPC_URL || process.env.ARBITRUM_SEPOLIA_RPC_URL || "").trim();
+  if (!/^https?:\/\//.test(RPC)) throw new Error("ARBITRUM_SEPOLIA_RPC_URL (or L2_RPC_URL) missing");
+
+  const batch = JSON.parse(fs.readFileSync(inFile, "utf8"));
+  if (!Array.isArray(batch) || batch.length === 0) throw new Error(`${inFile}: expected a non-empty array`);
+
+  const l2 = new ethers.JsonRpcProvider(RPC);
+  const dep = await openDeployment({ provider: l2 });
+  const token = dep.addressOf("token");
+  const tok = new ethers.Contract(token, TOKEN_MERKLE_ABI, l2);
+
+  console.log("=== BUILD SOURCE MERKLE TREE ===");
+  console.log("L2 token :", token);
+  console.log("Source   :", source);
+  console.log("Entries  :", batch.length);
+
+  const [requiresProof, , currentRoot] = await tok.getSourceConfigFields(source);
+  if (!requiresProof) {
+    console.warn(`⚠️  Source "${source}" does not require proofs; the root will be ignored on-chain.`);
+  }
+
+  const bundle = await buildSourceProofs({ token, provider: l2, source, entries: batch });
+  const { chainId } = await l2.getNetwork();
+
+  console.log("Root     :", bundle.root);
+  console.log("Current  :", currentRoot);
+
+  const out = {
+    chainId: chainId.toString(),
+    generatedAt: new Date().toISOString(),
+    ...proofBundleToJSON(bundle),
+  };
+
+  if (wantSchedule || wantPrepare) {
+    if (bundle.root.toLowerCase() === currentRoot.toLowerCase()) {
+      console.log("ℹ️ Root already set on-chain; nothing to schedule.");
+    } else if (wantSchedule) {
+      out.timelockOperation = await scheduleRoot({ l2, dep, token, source, root: bundle.root, dryRun });
+    } else {
+      out.timelockOperation = await prepareRootSchedule({ l2, dep, token, source, root: bundle.root });
+    }
+  }
+
+  fs.writeFileSync(outFile, JSON.stringify(out, jsonSafe, 2));
+  console.log(`\n✅ Wrote ${bundle.entries.length} proofs to ${outFile}`);
+}
+
+main().catch((e) => {
+  console.error("❌ build_source_merkle failed:", e);
+  process.exit(1);
+});
@@ -3,6 +3,7 @@ require("dotenv").config();
 const hre = require("hardhat");
 const { ethers, upgrades } = hre;
 const chalk = require("chalk");
+const { loadManifest } = require("../sdk");
 
 async function main() {
   console.log(chalk.blue.bold("\n🔍 Starting Ownership Verification Process\n"));
@@ -82,7 +83,14 @@ async function main() {
 }
 
 async function determineProxyAddress() {
-  if (process.env.PROXY_ADDRESS) return process.env.PROXY_ADDRESS;
+  let dep = null;
+  try {
+    dep = loadManifest(hre.network.name);
+  } catch {
+    // no deployment recorded for this network
+  }
+  const recorded = dep ? dep.address("token") : process.env.PROXY_ADDRESS;
+  if (recorded) return recorded;
 
   // Optional helper: deploy a test proxy locally if none provided
   if (["hardhat", "localhost"].includes(hre.network.name)) {
@@ -103,7 +111,7 @@ async function determineProxyAddress() {
   }
 
   throw new Error(
-    "No PROXY_ADDRESS provided. Set PROXY_ADDRESS in .env or run on hardhat/localhost to auto-deploy."
+    `No token proxy in the ${hre.network.name} manifest or PROXY_ADDRESS. Record one, or run on hardhat/localhost to auto-deploy.`
   );
 }
 
@@ -1,6 +1,7 @@
 /* eslint-disable no-console */
 require("dotenv").config();
 const { ethers } = require("ethers");
+const { openDeployment } = require("../sdk");
 
 const TOKEN_ABI = [
   // Domain
@@ -56,16 +57,12 @@ function fmtEth(wei) {
 
 async function main() {
   const RPC = (process.env.ARBITRUM_SEPOLIA_RPC_URL || process.env.L2_RPC_URL || "").trim();
-  const TOKEN = (process.env.L2_TOKEN_PROXY || "").trim();
   const CHECK_USER = (process.env.CHECK_USER || "").trim();   // optional
   const CHECK_API  = (process.env.CHECK_API  || "").trim();   // optional
 
   if (!/^https?:\/\//.test(RPC)) {
     throw new Error("ARBITRUM_SEPOLIA_RPC_URL or L2_RPC_URL missing/invalid");
   }
-  if (!isAddr(TOKEN)) {
-    throw new Error("L2_TOKEN_PROXY missing/invalid");
-  }
   if (CHECK_USER && !isAddr(CHECK_USER)) {
     throw new Error("CHECK_USER is not a valid address");
   }
@@ -74,6 +71,8 @@ async function main() {
   }
 
   const provider = new ethers.JsonRpcProvider(RPC);
+  const dep = await openDeployment({ provider });
+  const TOKEN = dep.addressOf("token");
   const token = new ethers.Contract(TOKEN, TOKEN_ABI, provider);
 
   console.log("=== GEMSTEP CONFIG CHECK ===");
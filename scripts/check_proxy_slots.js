@@ -1,8 +1,8 @@
 /* eslint-disable no-console */
 require("dotenv").config();
 const { ethers } = require("ethers");
+const { loadManifest, scriptNetwork } = require("../sdk");
 
-function isAddr(a){ return /^0x[a-fA-F0-9]{40}$/.test((a||"").trim()); }
 function toAddrFromSlot(hex32){
   // last 20 bytes
   return ethers.getAddress("0x" + hex32.slice(26));
@@ -10,12 +10,13 @@ function toAddrFromSlot(hex32){
 
 async function main() {
   const RPC   = (process.env.ARBITRUM_SEPOLIA_RPC_URL || "").trim();
-  const PROXY = (process.env.PROXY_ADDRESS || "").trim();
-  const PAENV = (process.env.PROXY_ADMIN_ADDRESS || "").trim();
+  // No fail-fast chain check here: showing where the manifest and the slots differ is the point.
+  const dep   = loadManifest(scriptNetwork());
+  const PROXY = dep.addressOf("token");
+  const PA    = dep.address("proxyAdmin");
+  const IMPL  = dep.address("implementation");
 
   if (!/^https?:\/\//.test(RPC)) throw new Error("ARBITRUM_SEPOLIA_RPC_URL missing/invalid");
-  if (!isAddr(PROXY)) throw new Error("PROXY_ADDRESS missing/invalid");
-  if (PAENV && !isAddr(PAENV)) throw new Error("PROXY_ADMIN_ADDRESS invalid");
 
   const p = new ethers.JsonRpcProvider(RPC);
 
@@ -35,11 +36,16 @@ async function main() {
   console.log("ERC1967 admin  :", admin);
   console.log("ERC1967 impl   :", impl);
 
-  if (PAENV) {
-    console.log("Env ProxyAdmin :", ethers.getAddress(PAENV));
-    console.log("Admin matches env?:", admin.toLowerCase() === PAENV.toLowerCase());
+  console.log("Manifest       :", dep.file);
+  if (PA) {
+    console.log("Manifest admin :", PA);
+    console.log("Admin matches manifest?:", admin.toLowerCase() === PA.toLowerCase());
   } else {
-    console.log("Env ProxyAdmin : (not set)");
+    console.log("Manifest admin : (not recorded)");
+  }
+  if (IMPL) {
+    console.log("Manifest impl  :", IMPL);
+    console.log("Impl matches manifest?:", impl.toLowerCase() === IMPL.toLowerCase());
   }
 }
 
@@ -1,12 +1,14 @@
 require("dotenv").config();
 const { ethers } = require("ethers");
+const { openDeployment } = require("../sdk");
 
 async function main() {
   const L1_RPC = process.env.SEPOLIA_RPC_URL;
-  const L1_GOV = process.env.L1_GOVERNANCE_ADDR;
-  const L1_TIMELOCK = process.env.L1_TIMELOCK;
 
   const provider = new ethers.JsonRpcProvider(L1_RPC);
+  const dep = await openDeployment({ l1Provider: provider });
+  const L1_GOV = dep.addressOf("l1Governance");
+  const L1_TIMELOCK = dep.addressOf("l1Timelock");
 
   console.log("=== VERIFYING OWNERSHIP STRUCTURE ===");
   console.log("L1 Governance:", L1_GOV);
@@ -1,6 +1,7 @@
 /* eslint-disable no-console */
 require("dotenv").config();
-const { ethers } = require("hardhat");
+const { ethers, network } = require("hardhat");
+const { openDeployment } = require("../sdk");
 
 // ---- Minimal ABIs ----
 const TL_ABI = [
@@ -68,10 +69,6 @@ async function readExecReadyAt(exec, keyWithData) {
 
 async function main() {
   const {
-    TIMELOCK_ADDRESS,
-    EXECUTOR_ADDRESS,
-    PROXY_ADMIN_ADDRESS,
-    PROXY_ADDRESS,
     NEW_IMPL_ADDRESS,
     INIT_FUNC,        // e.g. "initializeV2()"
     INIT_CALLDATA,    // or raw bytes
@@ -81,11 +78,13 @@ async function main() {
     JSON_OUTPUT       // set to "1" to print JSON only
   } = process.env;
 
+  const dep = await openDeployment({ network: network.name, provider: ethers.provider });
+  const TIMELOCK_ADDRESS    = dep.addressOf("timelock");
+  const EXECUTOR_ADDRESS    = dep.addressOf("upgradeExecutor");
+  const PROXY_ADMIN_ADDRESS = dep.addressOf("proxyAdmin");
+  const PROXY_ADDRESS       = dep.addressOf("token");
+
   const bad = [];
-  if (!isAddr(TIMELOCK_ADDRESS))     bad.push("TIMELOCK_ADDRESS");
-  if (!isAddr(EXECUTOR_ADDRESS))     bad.push("EXECUTOR_ADDRESS");
-  if (!isAddr(PROXY_ADMIN_ADDRESS))  bad.push("PROXY_ADMIN_ADDRESS");
-  if (!isAddr(PROXY_ADDRESS))        bad.push("PROXY_ADDRESS");
   if (!isAddr(NEW_IMPL_ADDRESS))     bad.push("NEW_IMPL_ADDRESS");
   if (bad.length) throw new Error("Missing/invalid env(s): " + bad.join(", "));
 
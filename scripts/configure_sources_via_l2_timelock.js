@@ -1,6 +1,7 @@
 /* eslint-disable no-console */
 require("dotenv").config();
 const { ethers } = require("ethers");
+const { SOURCE_POLICY, openDeployment } = require("../sdk");
 
 const TL_ABI = [
   "function PROPOSER_ROLE() view returns (bytes32)",
@@ -32,7 +33,6 @@ const TOKEN_ABI = [
 ];
 
 const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
-const isAddr = (a) => /^0x[a-fA-F0-9]{40}$/.test((a || "").trim());
 
 async function ethCallFrom(provider, from, to, data) {
   try {
@@ -44,36 +44,21 @@ async function ethCallFrom(provider, from, to, data) {
   }
 }
 
-// Your canonical source config list
-const SOURCES = [
-  ["basicapp",        false, false], // simple mobile app
-  ["mobileapp",       false, false], // alt basic source
-  ["googlefit",       false, false],
-  ["fitbit",          false, false],
-  ["applehealth",     false, false],
-  ["corporatetracker",false, false],
-  ["medicaldevice",   false, true],  // high-security device, needs attestation
-  ["wearablepremium", false, true],
-  ["fitnessplatform", true,  false], // batch platform, proof only
-  ["enterprise",      true,  false],
-  ["premiumtracker",  true,  true],  // max security: proof + attestation
-];
-
 async function main() {
   const L2_RPC = (process.env.ARBITRUM_SEPOLIA_RPC_URL || "").trim();
-  const TL     = (process.env.ARB_SEPOLIA_TIMELOCK || "").trim();
-  const MINI   = (process.env.MINI_MULTISIG || "").trim();
-  const L2TOK  = (process.env.L2_TOKEN_PROXY || "").trim();
   const PK1    = (process.env.MS_EOA1_PK || "").trim();
   const PK2    = (process.env.MS_EOA2_PK || "").trim();
 
   if (!/^https?:\/\//.test(L2_RPC)) throw new Error("ARBITRUM_SEPOLIA_RPC_URL missing");
-  if (![TL, MINI, L2TOK].every(isAddr)) throw new Error("One of TL/MINI/L2_TOKEN_PROXY invalid");
   if (!/^0x[0-9a-fA-F]{64}$/.test(PK1) || !/^0x[0-9a-fA-F]{64}$/.test(PK2)) {
     throw new Error("MS_EOA1_PK / MS_EOA2_PK missing/invalid");
   }
 
   const l2 = new ethers.JsonRpcProvider(L2_RPC);
+  const dep   = await openDeployment({ provider: l2 });
+  const TL    = dep.addressOf("timelock");
+  const MINI  = dep.addressOf("miniMultisig");
+  const L2TOK = dep.addressOf("token");
   const w1 = new ethers.Wallet(PK1, l2); // owner 1
   const w2 = new ethers.Wallet(PK2, l2); // owner 2
 
@@ -128,7 +113,7 @@ async function main() {
   const tokIface = new ethers.Interface(TOKEN_ABI);
 
   // === MAIN LOOP: one Timelock op per source ===
-  for (const [source, requiresProof, requiresAtt] of SOURCES) {
+  for (const [source, requiresProof, requiresAtt] of SOURCE_POLICY) {
     console.log("\n--------------------------------------------------");
     console.log(`Configuring source: "${source}" (proof=${requiresProof}, att=${requiresAtt})`);
 
@@ -1,6 +1,7 @@
 /* eslint-disable no-console */
 require("dotenv").config();
 const { ethers } = require("ethers");
+const { openDeployment } = require("../sdk");
 
 const TL_ABI = [
   "function PROPOSER_ROLE() view returns (bytes32)",
@@ -47,22 +48,21 @@ async function ethCallFrom(provider, from, to, data) {
 
 async function main() {
   const L2_RPC        = (process.env.ARBITRUM_SEPOLIA_RPC_URL || "").trim();
-  const TL            = (process.env.ARB_SEPOLIA_TIMELOCK || "").trim();
-  const MINI          = (process.env.MINI_MULTISIG || "").trim();
-  const L2TOK         = (process.env.L2_TOKEN_PROXY || "").trim();
   const PK1           = (process.env.MS_EOA1_PK || "").trim();   // owner 1 of mini
   const PK2           = (process.env.MS_EOA2_PK || "").trim();   // owner 2 of mini
   const PROJECT_WALLET= (process.env.PROJECT_WALLET || "").trim();
 
   if (!/^https?:\/\//.test(L2_RPC)) throw new Error("ARBITRUM_SEPOLIA_RPC_URL missing");
-  if (![TL, MINI, L2TOK, PROJECT_WALLET].every(isAddr)) {
-    throw new Error("One of TL/MINI/L2_TOKEN_PROXY/PROJECT_WALLET invalid");
-  }
+  if (!isAddr(PROJECT_WALLET)) throw new Error("PROJECT_WALLET missing/invalid");
   if (!/^0x[0-9a-fA-F]{64}$/.test(PK1) || !/^0x[0-9a-fA-F]{64}$/.test(PK2)) {
     throw new Error("MS_EOA1_PK / MS_EOA2_PK missing/invalid");
   }
 
   const l2 = new ethers.JsonRpcProvider(L2_RPC);
+  const dep   = await openDeployment({ provider: l2 });
+  const TL    = dep.addressOf("timelock");
+  const MINI  = dep.addressOf("miniMultisig");
+  const L2TOK = dep.addressOf("token");
   const w1 = new ethers.Wallet(PK1, l2); // owner 1
   const w2 = new ethers.Wallet(PK2, l2); // owner 2
 
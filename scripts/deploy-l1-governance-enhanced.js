@@ -3,6 +3,7 @@ require("dotenv").config();
 const hre = require("hardhat");
 const { ethers } = hre;
 const { parseUnits } = ethers;
+const { openDeployment, recordManifestEntry } = require("../sdk");
 
 // ---------- helpers ----------
 const isAddr = (a) => /^0x[a-fA-F0-9]{40}$/.test((a || "").trim());
@@ -77,12 +78,22 @@ async function main() {
 
   const OWNER    = (process.env.NEW_L1_OWNER || process.env.DEPLOYER_EOA || "").trim();
   const INBOX    = (process.env.ARB_INBOX_ADDR || process.env.ARB_SEPOLIA_INBOX_ADDR || info.defaultInbox).trim();
-  const L2TARGET = (process.env.L2_TOKEN_PROXY || process.env.L2_EXECUTOR_ADDR || "").trim();
+  // The L2 side's manifest (DEPLOY_NETWORK, default arbitrumSepolia) supplies the target and records the result.
+  const dep = await openDeployment();
+  // The token proxy wins (manifest, else L2_TOKEN_PROXY); L2_EXECUTOR_ADDR is only a fallback when none is recorded.
+  const L2TOKEN  = dep.address("token");
+  const L2EXEC   = (process.env.L2_EXECUTOR_ADDR || "").trim();
+  if (L2TOKEN && L2EXEC && L2EXEC.toLowerCase() !== L2TOKEN.toLowerCase()) {
+    throw new Error(`L2_EXECUTOR_ADDR=${L2EXEC} disagrees with the token in ${dep.file} (${L2TOKEN}); unset it`);
+  }
+  const L2TARGET = L2TOKEN || L2EXEC;
   const REFUNDL2 = (process.env.L2_REFUND_ADDR || "").trim();
 
   if (!isAddr(OWNER))    throw new Error("NEW_L1_OWNER/DEPLOYER_EOA not set/invalid");
   if (!isAddr(INBOX))    throw new Error("ARB_INBOX_ADDR/ARB_SEPOLIA_INBOX_ADDR not set/invalid");
-  if (!isAddr(L2TARGET)) throw new Error("L2_TOKEN_PROXY or L2_EXECUTOR_ADDR not set/invalid");
+  if (!isAddr(L2TARGET)) {
+    throw new Error(`No token in ${dep.file} or L2_TOKEN_PROXY, and L2_EXECUTOR_ADDR not set/invalid`);
+  }
   if (!isAddr(REFUNDL2)) throw new Error("L2_REFUND_ADDR not set/invalid");
 
   const gasCfg = getGasConfig(info);
@@ -124,7 +135,18 @@ async function main() {
 
   const addr = await c.getAddress();
   console.log(`\n✅ Deployed CrossChainGovernanceL1 at: ${addr}`);
-  console.log("➡️  Save this as L1_GOVERNANCE_ADDR in your .env");
+  if (dep.legacy) {
+    console.log(`➡️  ${dep.file} is not a manifest yet: run \`gemstep manifest import\`, then`);
+    console.log(`   \`gemstep manifest record --contracts l1Governance=${addr}\``);
+  } else {
+    const { file } = recordManifestEntry(dep.state.network, {
+      kind: "configure",
+      contracts: { l1Governance: addr },
+      txs: { l1GovernanceDeploy: rcpt.hash },
+      note: `CrossChainGovernanceL1 on ${info.name}, l2Target ${L2TARGET}`,
+    }, { file: dep.file });
+    console.log(`➡️  Recorded as l1Governance in ${file}`);
+  }
 
   // Optional: verify on Etherscan if configured
   if (process.env.VERIFY === "1") {
@@ -14,9 +14,14 @@
  *      - UpgradeExecutor deployment + ownership transfers
  *      - role grants + DEFAULT_ADMIN_ROLE handover + deployer cleanup
  *      - artifact persistence + optional contract verification hooks
+ *  - Runs as named steps checkpointed in deployments/<network>-deploy-checkpoint.json: a rerun
+ *    after a failure detects finished steps on chain and resumes at the failing one. The in-process
+ *    `hardhat` network keeps no checkpoint, and one from a restarted node (another genesis block) is
+ *    set aside automatically. Options are env vars, since `hardhat run` rejects script flags:
+ *      DEPLOY_PLAN=1   print the steps and their status, send nothing (npm run deploy:*:plan)
+ *      DEPLOY_FRESH=1  set the old checkpoint aside and deploy anew
  *
  * IMPORTANT:
- *  - This file assumes repo-local helper functions exist (see bottom NOTE).
  *  - This script does not import "hardhat" inside hardhat.config.* (HH9 safe).
  */
 
@@ -24,6 +29,19 @@ require("dotenv").config();
 const fs = require("fs");
 const hre = require("hardhat");
 const chalk = require("chalk");
+const {
+  CONTRACT_KEYS,
+  PROXY_ADMIN_ABI,
+  assertManifestMatchesChain,
+  checkpointPath,
+  describeImplementation,
+  loadManifest,
+  manifestPath,
+  openCheckpoint,
+  readManifest,
+  recordManifestEntry,
+  runSteps,
+} = require("../sdk");
 
 // Ethers v6 utils are exported at top-level on hre.ethers
 const {
@@ -31,6 +49,7 @@ const {
   formatUnits,
   isAddress,
   getAddress,
+  getCreateAddress,
   ZeroAddress,
   keccak256,
   toUtf8Bytes,
@@ -100,6 +119,8 @@ const NETWORK_CONFIG = {
 };
 
 const isDevNetwork = (n) => n === "hardhat" || n === "localhost";
+/** The in-process Hardhat chain ends with the run: nothing to resume from a checkpoint. */
+const isInProcess = () => hre.network.name === "hardhat";
 
 /**
  * @notice Override executor upgrade delay via ENV.
@@ -121,6 +142,9 @@ const EXECUTOR_UPGRADE_DELAY = BigInt(
 /** @notice Sleep helper. */
 const delay = (ms) => new Promise((res) => setTimeout(res, ms));
 
+/** @notice Case-insensitive address equality (false if either side is empty). */
+const sameAddr = (a, b) => !!a && !!b && a.toLowerCase() === b.toLowerCase();
+
 /**
  * @notice Generate a pseudo-unique salt for timelock scheduling and artifacts.
  * @dev Not cryptographically secure; only intended for unique identifiers.
@@ -422,7 +446,8 @@ async function deployMiniMultisig(networkConfig, deployer) {
  * Timelock deploy
  * ===========================================================================*/
 /**
- * @notice Deploy a TimelockController and harden admin roles.
+ * @notice Deploy a TimelockController with the deployer as temporary admin.
+ * @dev Admin hardening is a separate step (hardenTimelockAdmins) so a rerun can resume there.
  * @param {object} cfg Role configuration ({proposers, executors, admins}).
  * @returns {Promise<import("ethers").Contract>}
  */
@@ -437,9 +462,15 @@ async function deployTimelock(networkConfig, deployer, cfg) {
   const tl = await Timelock.deploy(networkConfig.minDelay, proposers, executors, deployerAddr);
   await tl.waitForDeployment();
 
-  const tlAddr = await tl.getAddress();
-  console.log(chalk.green(`✅ Timelock deployed: ${tlAddr}`));
+  console.log(chalk.green(`✅ Timelock deployed: ${await tl.getAddress()}`));
+  return tl;
+}
 
+/**
+ * @notice Give the designated admins TL admin, then renounce it from the deployer.
+ * @param {object} cfg Role configuration ({admins}).
+ */
+async function hardenTimelockAdmins(tl, deployerAddr, cfg, networkConfig) {
   const TL_ADMIN = await tl.DEFAULT_ADMIN_ROLE();
 
   // Ensure designated admins have TL admin
@@ -462,8 +493,15 @@ async function deployTimelock(networkConfig, deployer, cfg) {
       networkConfig.requiredConfirmations
     );
   }
+}
 
-  return tl;
+/** @notice True once every designated admin holds TL admin and the deployer does not. */
+async function timelockAdminsHardened(tl, deployerAddr, cfg) {
+  const TL_ADMIN = await tl.DEFAULT_ADMIN_ROLE();
+  for (const admin of cfg.admins) {
+    if (!(await tl.hasRole(TL_ADMIN, admin))) return false;
+  }
+  return !(await tl.hasRole(TL_ADMIN, deployerAddr));
 }
 
 /* =============================================================================
@@ -471,27 +509,25 @@ async function deployTimelock(networkConfig, deployer, cfg) {
  * ===========================================================================*/
 /**
  * @notice Deploy a mock oracle on dev networks.
- * @returns {Promise<string>} Oracle address.
+ * @returns {Promise<import("ethers").Contract>}
  */
 async function deployMockOracle(deployer) {
   console.log(chalk.blue("🛠️ Deploying MockPriceOracle..."));
   const MockOracle = await hre.ethers.getContractFactory("MockPriceOracle", deployer);
   const oracle = await MockOracle.deploy(parseUnits("0.005", 18), 0);
   await oracle.waitForDeployment();
-  const addr = await oracle.getAddress();
-  console.log(chalk.green(`✅ MockPriceOracle deployed: ${addr}`));
-  return addr;
+  console.log(chalk.green(`✅ MockPriceOracle deployed: ${await oracle.getAddress()}`));
+  return oracle;
 }
 
 /**
- * @notice Resolve oracle address from env or deploy mock on dev.
+ * @notice Resolve oracle address from env, or the mock deployed by the "oracle" step on dev.
  */
-async function getOracleAddress(deployer) {
+function getOracleAddress(state) {
   if (process.env.PRICE_ORACLE_ADDRESS) {
-    console.log(chalk.gray("Using PRICE_ORACLE_ADDRESS from env"));
     return requireAddress("PRICE_ORACLE_ADDRESS", process.env.PRICE_ORACLE_ADDRESS);
   }
-  if (isDevNetwork(hre.network.name)) return deployMockOracle(deployer);
+  if (isDevNetwork(hre.network.name) && state.oracle) return state.oracle;
   throw new Error("PRICE_ORACLE_ADDRESS is required for non-dev networks");
 }
 
@@ -600,17 +636,12 @@ async function deployToken(networkConfig, deployer, oracleAddress, adminAddress,
  * Role grants using getRoleIdsPacked() + DEFAULT_ADMIN_ROLE()
  * ===========================================================================*/
 /**
- * @notice Grant operational roles to the final admin (multisig/mini/safe).
+ * @notice Operational role ids of the token as [label, id] pairs.
  * @dev
  *  - Prefers GS_Views.getRoleIdsPacked() if present (smaller bytecode on-chain).
  *  - Falls back to reading public role constants.
  */
-async function grantTokenRoles(token, adminAddress, networkConfig) {
-  console.log(chalk.blue("🔐 Granting roles to multisig..."));
-
-  const admin = requireAddress("adminAddress", adminAddress);
-  const DEFAULT_ADMIN_ROLE = await token.DEFAULT_ADMIN_ROLE();
-
+async function tokenRolePairs(token) {
   // prefer packed getter from your GS_Views drop-in
   let roles = null;
   try {
@@ -620,9 +651,8 @@ async function grantTokenRoles(token, adminAddress, networkConfig) {
     roles = null;
   }
 
-  let pairs = [];
   if (roles) {
-    pairs = [
+    return [
       ["PAUSER_ROLE", roles[0]],
       ["MINTER_ROLE", roles[1]],
       ["SIGNER_ROLE", roles[2]],
@@ -631,29 +661,48 @@ async function grantTokenRoles(token, adminAddress, networkConfig) {
       ["UPGRADER_ROLE", roles[5]],
       ["API_SIGNER_ROLE", roles[6]],
     ];
-  } else {
-    const maybe = async (name) => {
-      try {
-        token.interface.getFunction(`${name}()`);
-        return await token[name]();
-      } catch {
-        return null;
-      }
-    };
+  }
+
+  const maybe = async (name) => {
+    try {
+      token.interface.getFunction(`${name}()`);
+      return await token[name]();
+    } catch {
+      return null;
+    }
+  };
+
+  return [
+    ["PAUSER_ROLE", await maybe("PAUSER_ROLE")],
+    ["MINTER_ROLE", await maybe("MINTER_ROLE")],
+    ["SIGNER_ROLE", await maybe("SIGNER_ROLE")],
+    ["PARAMETER_ADMIN_ROLE", await maybe("PARAMETER_ADMIN_ROLE")],
+    ["EMERGENCY_ADMIN_ROLE", await maybe("EMERGENCY_ADMIN_ROLE")],
+    ["UPGRADER_ROLE", await maybe("UPGRADER_ROLE")],
+    ["API_SIGNER_ROLE", await maybe("API_SIGNER_ROLE")],
+  ].filter(([, v]) => v);
+}
 
-    pairs = [
-      ["PAUSER_ROLE", await maybe("PAUSER_ROLE")],
-      ["MINTER_ROLE", await maybe("MINTER_ROLE")],
-      ["SIGNER_ROLE", await maybe("SIGNER_ROLE")],
-      ["PARAMETER_ADMIN_ROLE", await maybe("PARAMETER_ADMIN_ROLE")],
-      ["EMERGENCY_ADMIN_ROLE", await maybe("EMERGENCY_ADMIN_ROLE")],
-      ["UPGRADER_ROLE", await maybe("UPGRADER_ROLE")],
-      ["API_SIGNER_ROLE", await maybe("API_SIGNER_ROLE")],
-    ].filter(([, v]) => v);
+/** @notice Labels of `pairs` that `account` does (held=true) or does not (held=false) hold. */
+async function rolesWhere(token, pairs, account, held) {
+  const out = [];
+  for (const [label, roleHash] of pairs) {
+    if ((await token.hasRole(roleHash, account)) === held) out.push(label);
   }
+  return out;
+}
+
+/**
+ * @notice Grant operational roles to the final admin (multisig/mini/safe).
+ */
+async function grantTokenRoles(token, adminAddress, networkConfig) {
+  console.log(chalk.blue("🔐 Granting roles to multisig..."));
+
+  const admin = requireAddress("adminAddress", adminAddress);
+  const DEFAULT_ADMIN_ROLE = await token.DEFAULT_ADMIN_ROLE();
 
   // grant all roles if missing
-  for (const [label, roleHash] of pairs) {
+  for (const [label, roleHash] of await tokenRolePairs(token)) {
     if (!(await token.hasRole(roleHash, admin))) {
       await safeTransaction(
         token.grantRole(roleHash, admin),
@@ -703,167 +752,690 @@ async function handoverTokenAdmin(token, deployerAddr, finalAdmin, networkConfig
 }
 
 /* =============================================================================
- * Main Orchestration
- * NOTE: Repo-local helpers are required for the remaining steps.
+ * UpgradeExecutor + ownership chain (ProxyAdmin → Executor → Timelock)
  * ===========================================================================*/
 /**
- * @notice Deploy full GemStep environment on the current Hardhat network.
- * @dev Returns deployed instances and key addresses for scripts/tests.
+ * @notice Deploy UpgradeExecutor owned by the deployer; ownership moves to the timelock later.
+ * @returns {Promise<import("ethers").Contract>}
  */
-async function deployGemStepEnv() {
-  console.log(chalk.bold(`\n🚀 Starting GemStep deployment → ${hre.network.name.toUpperCase()}`));
+async function deployUpgradeExecutor(networkConfig, deployer) {
+  console.log(chalk.blue("\n🧰 Deploying UpgradeExecutor..."));
+  const Executor = await hre.ethers.getContractFactory("UpgradeExecutor", deployer);
+  const executor = await Executor.deploy(await deployer.getAddress());
+  await executor.waitForDeployment();
+  console.log(chalk.green(`✅ UpgradeExecutor: ${await executor.getAddress()}`));
+  return executor;
+}
 
-  await validateEnvironment();
+/**
+ * @notice Set the executor's inner upgrade delay to EXECUTOR_UPGRADE_DELAY (deployer still owns it).
+ */
+async function setExecutorUpgradeDelay(executor, networkConfig) {
+  await safeTransaction(
+    executor.setUpgradeDelay(EXECUTOR_UPGRADE_DELAY),
+    `Executor: upgradeDelay = ${EXECUTOR_UPGRADE_DELAY}s`,
+    networkConfig.requiredConfirmations
+  );
+}
 
-  const networkConfig = NETWORK_CONFIG[hre.network.name] || NETWORK_CONFIG.hardhat;
-  const deployer = await getDeployer();
-  const deployerAddr = await deployer.getAddress();
+/**
+ * @notice Point the token at its Arbitrum inbox / L1 validator (needs the deployer's DEFAULT_ADMIN_ROLE).
+ */
+async function configureArbitrum(token, networkConfig) {
+  const inbox = requireAddress("ARBITRUM_INBOX_ADDRESS", process.env.ARBITRUM_INBOX_ADDRESS);
+  const validator = requireAddress("L1_VALIDATOR_ADDRESS", process.env.L1_VALIDATOR_ADDRESS);
+  await safeTransaction(
+    token.initializeArbitrum(inbox, validator),
+    `Token: initializeArbitrum(${inbox}, ${validator})`,
+    networkConfig.requiredConfirmations
+  );
+}
 
-  await preFlightChecks(networkConfig);
-  await checkDeploymentRisks(deployerAddr);
+/** @notice True once the token's Arbitrum config matches the env. */
+async function arbitrumConfigured(token) {
+  const [inbox, validator] = await token.getArbitrumConfig();
+  return (
+    sameAddr(inbox, process.env.ARBITRUM_INBOX_ADDRESS) && sameAddr(validator, process.env.L1_VALIDATOR_ADDRESS)
+  );
+}
 
-  // 0) Optional: deploy MiniMultisig (mini mode)
-  const mode = getMode();
-  if (mode === "mini") {
-    await deployMiniMultisig(networkConfig, deployer);
+/**
+ * @notice Hand the token's ProxyAdmin to the executor (claiming it too if the admin is 2-step).
+ */
+async function transferProxyAdminOwnership(proxyAdminAddress, executor, deployer, networkConfig) {
+  const executorAddress = await executor.getAddress();
+  const pa = new hre.ethers.Contract(
+    proxyAdminAddress,
+    [...PROXY_ADMIN_ABI, "function pendingOwner() view returns (address)"],
+    deployer
+  );
+  await safeTransaction(
+    pa.transferOwnership(executorAddress),
+    `ProxyAdmin: transferOwnership → ${executorAddress}`,
+    networkConfig.requiredConfirmations
+  );
+  const pending = await pa.pendingOwner().catch(() => null);
+  if (sameAddr(pending, executorAddress)) {
+    await safeTransaction(
+      executor.claimProxyAdminOwnership(proxyAdminAddress),
+      "Executor: claim ProxyAdmin ownership",
+      networkConfig.requiredConfirmations
+    );
   }
+}
 
-  const cfg = await getMultisigConfig(mode, deployerAddr);
+/**
+ * @notice Start the 2-step transfer of the executor to the timelock (accepted via the timelock).
+ */
+async function transferExecutorOwnership(executor, timelockAddress, networkConfig) {
+  await safeTransaction(
+    executor.transferOwnership(timelockAddress),
+    `Executor: transferOwnership → ${timelockAddress} (pending)`,
+    networkConfig.requiredConfirmations
+  );
+}
 
-  // Treasury (single source of truth)
-  const treasuryAddress = getTreasuryAddress(deployerAddr);
+/* =============================================================================
+ * Timelock acceptance of the executor
+ * ===========================================================================*/
+/** @notice schedule() calldata for a single-call timelock operation. */
+function encodeTimelockSchedule(timelock, target, value, data, predecessor, salt, minDelay) {
+  return timelock.interface.encodeFunctionData("schedule", [target, value, data, predecessor, salt, minDelay]);
+}
 
-  // 1) Timelock
-  const timelock = await deployTimelock(networkConfig, deployer, cfg);
+/** @notice execute() calldata for a single-call timelock operation. */
+function encodeTimelockExecute(timelock, target, value, data, predecessor, salt) {
+  return timelock.interface.encodeFunctionData("execute", [target, value, data, predecessor, salt]);
+}
 
-  // 2) Oracle
-  const oracleAddress = await getOracleAddress(deployer);
+/** @notice The executor.acceptOwnership() operation run by the timelock. */
+async function acceptanceOperation(timelock, executor, salt) {
+  const target = await executor.getAddress();
+  const data = executor.interface.encodeFunctionData("acceptOwnership");
+  const id = await timelock.hashOperation(target, 0, data, ZeroHash, salt);
+  return { target, data, id };
+}
 
-  // 3) Token proxy (TEMP ADMIN = deployer so post-deploy config works)
-  const token = await deployToken(
-    networkConfig,
-    deployer,
-    oracleAddress,
-    deployerAddr, // TEMP ADMIN
-    treasuryAddress
+/**
+ * @notice Schedule executor.acceptOwnership() on the timelock; the deployer must be a proposer.
+ */
+async function scheduleTimelockAcceptance(timelock, executor, salt, networkConfig) {
+  const { target, data } = await acceptanceOperation(timelock, executor, salt);
+  await safeTransaction(
+    timelock.schedule(target, 0, data, ZeroHash, salt, networkConfig.minDelay),
+    "TL: schedule executor.acceptOwnership()",
+    networkConfig.requiredConfirmations
   );
+}
 
-  // 4+) The rest of the flow relies on repo-local helpers.
-  // Keep behavior identical to your existing repo by calling them as before.
-  const executor = await deployUpgradeExecutor(networkConfig, deployer);
+/* =============================================================================
+ * Deployer cleanup & invariants
+ * ===========================================================================*/
+/**
+ * @notice Renounce every operational token role the deployer still holds.
+ */
+async function renounceDeployerRoles(token, deployerAddr, networkConfig) {
+  const pairs = await tokenRolePairs(token);
+  for (const [label, roleHash] of pairs) {
+    if (await token.hasRole(roleHash, deployerAddr)) {
+      await safeTransaction(
+        token.renounceRole(roleHash, deployerAddr),
+        `Token: deployer renounce ${label}`,
+        networkConfig.requiredConfirmations
+      );
+    }
+  }
+}
 
-  // Addresses
-  const tokenAddress = await token.getAddress();
+/**
+ * @notice Post-deployment invariants: the deployer holds nothing, ownership chain is in place.
+ * @dev The executor may still be pending on the timelock (acceptance waits for minDelay).
+ */
+async function verifyInvariants({ token, timelock, executor, proxyAdminAddress, deployerAddr, cfg }) {
+  console.log(chalk.blue("🧪 Verifying invariants..."));
+  const problems = [];
   const timelockAddress = await timelock.getAddress();
   const executorAddress = await executor.getAddress();
-  const implementationAddress = await hre.upgrades.erc1967.getImplementationAddress(tokenAddress);
-  const proxyAdminAddress = await hre.upgrades.erc1967.getAdminAddress(tokenAddress);
-
-  // 5) Configure token (still deployer-admin here)
-  await configureArbitrum(token, networkConfig);
-
-  // 6) Grant non-default roles to final adminPrimary while deployer is admin
-  await grantTokenRoles(token, cfg.adminPrimary, networkConfig);
-
-  // 7) Hand over DEFAULT_ADMIN_ROLE to final adminPrimary, then renounce from deployer
-  await handoverTokenAdmin(token, deployerAddr, cfg.adminPrimary, networkConfig);
-
-  // 8) ProxyAdmin → Executor
-  await transferProxyAdminOwnership(tokenAddress, executor, deployer, networkConfig);
-
-  // 9) Executor → Timelock
-  await transferExecutorOwnership(executor, timelock, deployer, networkConfig);
-
-  // 10) Timelock accepts executor (direct if EOA proposer, otherwise print multisig calldata)
-  const acceptanceSalt = await scheduleTimelockAcceptance(timelock, executor, deployer, networkConfig, cfg);
-
-  // Precompute schedule/execute calldata if proposer is contract
-  let tlScheduleCalldata = null;
-  let tlExecuteCalldata = null;
-  if (await isContract(cfg.proposers[0])) {
-    const acceptData = executor.interface.encodeFunctionData("acceptOwnership");
-    const predecessor = ZeroHash;
-
-    tlScheduleCalldata = encodeTimelockSchedule(
-      timelock,
-      executorAddress,
-      0,
-      acceptData,
-      predecessor,
-      acceptanceSalt,
-      networkConfig.minDelay
-    );
-    tlExecuteCalldata = encodeTimelockExecute(
-      timelock,
-      executorAddress,
-      0,
-      acceptData,
-      predecessor,
-      acceptanceSalt
-    );
+
+  const DEFAULT_ADMIN_ROLE = await token.DEFAULT_ADMIN_ROLE();
+  if (!(await token.hasRole(DEFAULT_ADMIN_ROLE, cfg.adminPrimary))) {
+    problems.push(`token: ${cfg.adminPrimary} lacks DEFAULT_ADMIN_ROLE`);
   }
+  if (await token.hasRole(DEFAULT_ADMIN_ROLE, deployerAddr)) {
+    problems.push("token: deployer still holds DEFAULT_ADMIN_ROLE");
+  }
+  const kept = await rolesWhere(token, await tokenRolePairs(token), deployerAddr, true);
+  if (kept.length) problems.push(`token: deployer still holds ${kept.join(", ")}`);
 
-  // 11) Remove deployer powers on token
-  await renounceDeployerRoles(token, deployer, networkConfig);
+  if (await timelock.hasRole(await timelock.DEFAULT_ADMIN_ROLE(), deployerAddr)) {
+    problems.push("timelock: deployer still holds DEFAULT_ADMIN_ROLE");
+  }
 
-  // 12) Invariants
-  await verifyInvariants(token, timelock, cfg, proxyAdminAddress, executorAddress);
+  const pa = new hre.ethers.Contract(proxyAdminAddress, PROXY_ADMIN_ABI, hre.ethers.provider);
+  const paOwner = await pa.owner();
+  if (!sameAddr(paOwner, executorAddress)) problems.push(`ProxyAdmin owner is ${paOwner}, expected the executor`);
 
-  // Persist
-  const deployment = {
+  const [owner, pending] = [await executor.owner(), await executor.pendingOwner()];
+  if (!sameAddr(owner, timelockAddress) && !sameAddr(pending, timelockAddress)) {
+    problems.push(`UpgradeExecutor owner ${owner} / pending ${pending}, expected the timelock`);
+  }
+
+  if (problems.length) throw new Error(`Invariant check failed:\n  - ${problems.join("\n  - ")}`);
+  console.log(chalk.green("✓ Invariants hold"));
+}
+
+/* =============================================================================
+ * Artifact persistence (deployment manifest)
+ * ===========================================================================*/
+/**
+ * @notice Append a "deploy" entry to deployments/<network>-manifest.json (and refresh the
+ *         `-latest.json` view). A redeploy adds to the history instead of overwriting it.
+ * @param {object} deployment Addresses and configuration collected by deployGemStepEnv.
+ * @param {string} network Hardhat network name.
+ * @param {{deployer:string, blockNumber:number, txs:object}} meta
+ * @returns {Promise<{file:string, entry:object}>}
+ */
+async function saveDeploymentArtifacts(deployment, network, meta) {
+  const { chainId } = await hre.ethers.provider.getNetwork();
+  const { implementation, build } = await describeImplementation(hre, "GemStepToken", deployment.implementation);
+  const entries = Object.entries(deployment);
+  // `implementation` goes in with its hashes, not as a bare address.
+  const contracts = Object.fromEntries(entries.filter(([k]) => CONTRACT_KEYS.includes(k) && k !== "implementation"));
+  const configuration = Object.fromEntries(entries.filter(([k]) => !CONTRACT_KEYS.includes(k)));
+
+  const { file, entry } = recordManifestEntry(
+    network,
+    {
+      kind: "deploy",
+      deploymentId: deploymentIdOf(network, meta.blockNumber, contracts.tokenProxy),
+      blockNumber: meta.blockNumber,
+      deployer: meta.deployer,
+      contracts,
+      configuration,
+      implementation,
+      build,
+      txs: Object.fromEntries(Object.entries(meta.txs).filter(([, h]) => h)),
+    },
+    { chainId }
+  );
+  console.log(chalk.green(`💾 Manifest entry #${entry.seq} (deploy) → ${file}`));
+  return { file, entry };
+}
+
+const deploymentIdOf = (network, blockNumber, tokenProxy) =>
+  keccak256(toUtf8Bytes(`${network}:${blockNumber}:${tokenProxy}`));
+
+/** @notice True if the network's manifest already holds the deploy entry `deploymentId`. */
+function manifestHasDeployment(network, deploymentId) {
+  const file = manifestPath(network);
+  if (!fs.existsSync(file)) return false;
+  return readManifest(file).history.some((e) => e.kind === "deploy" && e.deploymentId === deploymentId);
+}
+
+/**
+ * @notice Best-effort explorer verification; failures are logged, never fatal.
+ */
+async function verifyContracts(deployment, networkConfig) {
+  if (!networkConfig.verify) return;
+  if (!process.env.ETHERSCAN_API_KEY && !process.env.ARBISCAN_API_KEY) {
+    console.log(chalk.yellow("⚠️  No ETHERSCAN_API_KEY/ARBISCAN_API_KEY; skipping explorer verification"));
+    return;
+  }
+  const targets = [
+    ["GemStepToken (proxy + implementation)", deployment.tokenProxy, []],
+    [
+      "TimelockController",
+      deployment.timelock,
+      [deployment.minDelay, deployment.proposers, deployment.executors, deployment.deployer],
+    ],
+    ["UpgradeExecutor", deployment.upgradeExecutor, [deployment.deployer]],
+    ["MiniMultisig2of2", deployment.miniMultisig, [process.env.MULTISIG_EOA_1, process.env.MULTISIG_EOA_2]],
+  ];
+  for (const [label, address, constructorArguments] of targets) {
+    if (!address) continue;
+    try {
+      await hre.run("verify:verify", { address, constructorArguments });
+      console.log(chalk.green(`🔎 Verified ${label} @ ${address}`));
+    } catch (e) {
+      console.log(chalk.yellow(`⚠️  Verify ${label} skipped/failed: ${e.message || e}`));
+    }
+  }
+}
+
+/**
+ * @notice Re-read the manifest this run wrote and check it against the chain.
+ */
+async function validateFinalState(network) {
+  const m = loadManifest(network, { env: {} });
+  const res = await assertManifestMatchesChain(m.state, hre.ethers.provider);
+  console.log(chalk.green(`✓ Manifest matches chain (${res.checks.length} checks)`));
+}
+
+/* =============================================================================
+ * Deployment steps (checkpointed, see sdk/checkpoint.js)
+ * ===========================================================================*/
+/**
+ * @notice DEPLOY_PLAN=1 / DEPLOY_FRESH=1 (`hardhat run` does not pass script arguments through).
+ */
+function runOptions() {
+  const on = (env) => /^(1|true|yes)$/i.test(process.env[env] || "");
+  return { plan: on("DEPLOY_PLAN"), fresh: on("DEPLOY_FRESH") };
+}
+
+/**
+ * @notice Env-derived inputs a checkpoint is bound to; a rerun with different values refuses
+ *         to resume (it would mix contracts built from different settings).
+ */
+function deploymentInputs(mode, deployerAddr, networkConfig) {
+  const addr = (v) => (v && v.trim() && v.trim() !== "0x" ? getAddress(v.trim()) : null);
+  return {
+    deployer: deployerAddr,
+    mode,
     minDelay: networkConfig.minDelay,
-    tokenProxy: tokenAddress,
-    implementation: implementationAddress,
-    timelock: timelockAddress,
-    proxyAdmin: proxyAdminAddress,
-    upgradeExecutor: executorAddress,
-    miniMultisig: mode === "mini" ? process.env.MINI_MULTISIG_ADDRESS : undefined,
-    multisig: cfg.adminPrimary,
-    proposers: cfg.proposers,
-    executors: cfg.executors,
-    admins: cfg.admins,
-    oracle: oracleAddress,
-    treasury: treasuryAddress,
-    acceptanceSalt,
     executorUpgradeDelay: EXECUTOR_UPGRADE_DELAY.toString(),
-    mode,
-    tlScheduleCalldata,
-    tlExecuteCalldata,
+    multisigOwners: mode === "mini" ? [addr(process.env.MULTISIG_EOA_1), addr(process.env.MULTISIG_EOA_2)] : null,
+    multisig: mode === "mini" ? null : addr(getMultisigAddressFallback(deployerAddr)),
+    treasury: getTreasuryAddress(deployerAddr),
+    priceOracle: addr(process.env.PRICE_ORACLE_ADDRESS),
+    arbitrumInbox: addr(process.env.ARBITRUM_INBOX_ADDRESS),
+    l1Validator: addr(process.env.L1_VALIDATOR_ADDRESS),
+  };
+}
+
+/**
+ * @notice First contract the deployer created from `pending.nonce` on that satisfies `isMatch`,
+ *         i.e. a deployment the last run sent but died before recording.
+ */
+async function findPendingDeployment(deployerAddr, pending, isMatch) {
+  if (!pending) return null;
+  const sent = await hre.ethers.provider.getTransactionCount(deployerAddr, "latest");
+  for (let nonce = pending.nonce; nonce < sent; nonce++) {
+    const addr = getCreateAddress({ from: deployerAddr, nonce });
+    if (await isMatch(addr)) return addr;
+  }
+  return null;
+}
+
+/** @notice A transparent proxy has a non-zero EIP-1967 admin slot. */
+async function isProxy(addr) {
+  const admin = await hre.upgrades.erc1967.getAdminAddress(addr).catch(() => ZeroAddress);
+  return admin !== ZeroAddress;
+}
+
+/**
+ * @notice Ordered deployment steps. Each `done` reads the chain, so a rerun skips finished work
+ *         even if the checkpoint missed it, and resumes at the step that failed.
+ */
+function deploymentSteps({ deployer, deployerAddr, networkConfig, mode, treasuryAddress }) {
+  const at = (name, addr) => hre.ethers.getContractAt(name, addr, deployer);
+  const tokenAt = (s) => at("GemStepToken", s.tokenProxy);
+  const timelockAt = (s) => at("TimelockController", s.timelock);
+  const executorAt = (s) => at("UpgradeExecutor", s.upgradeExecutor);
+
+  /** Role config once the multisig is known (mini mode needs the deployed MiniMultisig). */
+  const cfgOf = async (s) => {
+    if (mode === "mini") {
+      if (!s.miniMultisig) return null;
+      process.env.MINI_MULTISIG_ADDRESS = s.miniMultisig;
+    }
+    return getMultisigConfig(mode, deployerAddr);
   };
+  const proxyAdminOf = (s) => hre.upgrades.erc1967.getAdminAddress(s.tokenProxy);
+
+  /** A contract creation, recognised by address or — if the run died mid-send — by nonce. */
+  const deployStep = (name, title, key, deploy, { when, isMatch = isContract } = {}) => ({
+    name,
+    title,
+    when,
+    async done(s) {
+      if (s[key]) return isMatch(s[key]);
+      const found = await findPendingDeployment(deployerAddr, s.pending?.[key], isMatch);
+      return found ? { [key]: found } : false;
+    },
+    async run(s, save) {
+      const nonce = await hre.ethers.provider.getTransactionCount(deployerAddr, "pending");
+      save({ pending: { ...s.pending, [key]: { nonce } } });
+      const c = await deploy(s);
+      return { [key]: await c.getAddress(), txs: { ...s.txs, [key]: c.deploymentTransaction()?.hash } };
+    },
+  });
 
-  const artifactFile = saveDeploymentArtifacts(deployment, hre.network.name);
+  return [
+    deployStep(
+      "miniMultisig",
+      "Deploy MiniMultisig2of2",
+      "miniMultisig",
+      () => deployMiniMultisig(networkConfig, deployer),
+      { when: () => mode === "mini" }
+    ),
+    deployStep("timelock", "Deploy TimelockController", "timelock", async (s) =>
+      deployTimelock(networkConfig, deployer, await cfgOf(s))
+    ),
+    {
+      name: "timelockAdmins",
+      title: "Timelock: grant admins, deployer renounces admin",
+      async done(s) {
+        const cfg = await cfgOf(s);
+        return !!(s.timelock && cfg) && timelockAdminsHardened(await timelockAt(s), deployerAddr, cfg);
+      },
+      async run(s) {
+        await hardenTimelockAdmins(await timelockAt(s), deployerAddr, await cfgOf(s), networkConfig);
+      },
+    },
+    deployStep(
+      "oracle",
+      "Deploy MockPriceOracle (dev, no PRICE_ORACLE_ADDRESS)",
+      "oracle",
+      () => deployMockOracle(deployer),
+      { when: () => !process.env.PRICE_ORACLE_ADDRESS && isDevNetwork(hre.network.name) }
+    ),
+    deployStep(
+      "token",
+      "Deploy GemStepToken proxy (deployer = temporary admin)",
+      "tokenProxy",
+      (s) => deployToken(networkConfig, deployer, getOracleAddress(s), deployerAddr, treasuryAddress),
+      { isMatch: isProxy }
+    ),
+    deployStep("upgradeExecutor", "Deploy UpgradeExecutor", "upgradeExecutor", () =>
+      deployUpgradeExecutor(networkConfig, deployer)
+    ),
+    {
+      name: "executorDelay",
+      title: `Executor: upgradeDelay = ${EXECUTOR_UPGRADE_DELAY}s`,
+      async done(s) {
+        return !!s.upgradeExecutor && (await (await executorAt(s)).upgradeDelay()) === EXECUTOR_UPGRADE_DELAY;
+      },
+      async run(s) {
+        await setExecutorUpgradeDelay(await executorAt(s), networkConfig);
+      },
+    },
+    {
+      name: "configureArbitrum",
+      title: "Token: initializeArbitrum (ARBITRUM_INBOX_ADDRESS + L1_VALIDATOR_ADDRESS)",
+      when: () => !!(process.env.ARBITRUM_INBOX_ADDRESS && process.env.L1_VALIDATOR_ADDRESS),
+      async done(s) {
+        return !!s.tokenProxy && arbitrumConfigured(await tokenAt(s));
+      },
+      async run(s) {
+        await configureArbitrum(await tokenAt(s), networkConfig);
+      },
+    },
+    {
+      name: "grantTokenRoles",
+      title: "Token: grant operational roles + DEFAULT_ADMIN_ROLE to the multisig",
+      async done(s) {
+        const cfg = await cfgOf(s);
+        if (!s.tokenProxy || !cfg) return false;
+        const token = await tokenAt(s);
+        const missing = await rolesWhere(token, await tokenRolePairs(token), cfg.adminPrimary, false);
+        return missing.length === 0 && (await token.hasRole(await token.DEFAULT_ADMIN_ROLE(), cfg.adminPrimary));
+      },
+      async run(s) {
+        await grantTokenRoles(await tokenAt(s), (await cfgOf(s)).adminPrimary, networkConfig);
+      },
+    },
+    {
+      name: "handoverTokenAdmin",
+      title: "Token: deployer renounces DEFAULT_ADMIN_ROLE",
+      async done(s) {
+        const cfg = await cfgOf(s);
+        if (!s.tokenProxy || !cfg) return false;
+        const token = await tokenAt(s);
+        const role = await token.DEFAULT_ADMIN_ROLE();
+        return (await token.hasRole(role, cfg.adminPrimary)) && !(await token.hasRole(role, deployerAddr));
+      },
+      async run(s) {
+        await handoverTokenAdmin(await tokenAt(s), deployerAddr, (await cfgOf(s)).adminPrimary, networkConfig);
+      },
+    },
+    {
+      name: "proxyAdminOwnership",
+      title: "ProxyAdmin → UpgradeExecutor",
+      async done(s) {
+        if (!s.tokenProxy || !s.upgradeExecutor) return false;
+        const pa = new hre.ethers.Contract(await proxyAdminOf(s), PROXY_ADMIN_ABI, hre.ethers.provider);
+        return sameAddr(await pa.owner(), s.upgradeExecutor);
+      },
+      async run(s) {
+        await transferProxyAdminOwnership(await proxyAdminOf(s), await executorAt(s), deployer, networkConfig);
+      },
+    },
+    {
+      name: "executorOwnership",
+      title: "UpgradeExecutor → Timelock (pending until accepted)",
+      async done(s) {
+        if (!s.upgradeExecutor || !s.timelock) return false;
+        const ex = await executorAt(s);
+        return sameAddr(await ex.owner(), s.timelock) || sameAddr(await ex.pendingOwner(), s.timelock);
+      },
+      async run(s) {
+        await transferExecutorOwnership(await executorAt(s), s.timelock, networkConfig);
+      },
+    },
+    {
+      name: "timelockAcceptance",
+      title: "Timelock: schedule executor.acceptOwnership() (or prepare multisig calldata)",
+      async done(s) {
+        if (!s.upgradeExecutor || !s.timelock) return false;
+        const ex = await executorAt(s);
+        if (sameAddr(await ex.owner(), s.timelock)) return true;
+        if (!s.acceptanceSalt) return false;
+        if (s.tlScheduleCalldata) return true;
+        const tl = await timelockAt(s);
+        return tl.isOperation((await acceptanceOperation(tl, ex, s.acceptanceSalt)).id);
+      },
+      async run(s, save) {
+        // The salt is saved before sending so a rerun recognises the scheduled operation.
+        const salt = s.acceptanceSalt || generateSalt("accept-executor");
+        save({ acceptanceSalt: salt });
+        const tl = await timelockAt(s);
+        const ex = await executorAt(s);
+        if (await tl.hasRole(await tl.PROPOSER_ROLE(), deployerAddr)) {
+          await scheduleTimelockAcceptance(tl, ex, salt, networkConfig);
+          return {};
+        }
+        const { target, data } = await acceptanceOperation(tl, ex, salt);
+        return {
+          tlScheduleCalldata: encodeTimelockSchedule(tl, target, 0, data, ZeroHash, salt, networkConfig.minDelay),
+          tlExecuteCalldata: encodeTimelockExecute(tl, target, 0, data, ZeroHash, salt),
+        };
+      },
+    },
+    {
+      name: "renounceDeployerRoles",
+      title: "Token: deployer renounces its operational roles",
+      async done(s) {
+        if (!s.tokenProxy) return false;
+        const token = await tokenAt(s);
+        return (await rolesWhere(token, await tokenRolePairs(token), deployerAddr, true)).length === 0;
+      },
+      async run(s) {
+        await renounceDeployerRoles(await tokenAt(s), deployerAddr, networkConfig);
+      },
+    },
+    {
+      name: "invariants",
+      title: "Check invariants",
+      check: true,
+      async run(s) {
+        await verifyInvariants({
+          token: await tokenAt(s),
+          timelock: await timelockAt(s),
+          executor: await executorAt(s),
+          proxyAdminAddress: await proxyAdminOf(s),
+          deployerAddr,
+          cfg: await cfgOf(s),
+        });
+      },
+    },
+    {
+      name: "manifest",
+      title: "Record the deploy entry in the deployment manifest",
+      done: (s) => !!s.deploymentId && manifestHasDeployment(hre.network.name, s.deploymentId),
+      async run(s) {
+        const { file, entry } = await saveDeploymentArtifacts(await deploymentRecord(s), hre.network.name, {
+          deployer: deployerAddr,
+          blockNumber: s.startBlock,
+          txs: s.txs || {},
+        });
+        return { manifestFile: file, deploymentId: entry.deploymentId };
+      },
+    },
+    {
+      name: "verifyContracts",
+      title: "Verify contracts on the explorer (best effort)",
+      when: () => networkConfig.verify,
+      async run(s) {
+        await verifyContracts({ ...(await deploymentRecord(s)), deployer: deployerAddr }, networkConfig);
+      },
+    },
+    {
+      name: "finalState",
+      title: "Check the manifest against the chain",
+      check: true,
+      run: () => validateFinalState(hre.network.name),
+    },
+  ];
 
-  await verifyContracts(deployment, networkConfig);
-  await validateFinalState(deployment);
+  /** The addresses and configuration written to the manifest. */
+  async function deploymentRecord(s) {
+    const cfg = await cfgOf(s);
+    return {
+      minDelay: networkConfig.minDelay,
+      tokenProxy: s.tokenProxy,
+      implementation: await hre.upgrades.erc1967.getImplementationAddress(s.tokenProxy),
+      timelock: s.timelock,
+      proxyAdmin: await proxyAdminOf(s),
+      upgradeExecutor: s.upgradeExecutor,
+      miniMultisig: mode === "mini" ? s.miniMultisig : undefined,
+      multisig: cfg.adminPrimary,
+      proposers: cfg.proposers,
+      executors: cfg.executors,
+      admins: cfg.admins,
+      oracle: getOracleAddress(s),
+      treasury: treasuryAddress,
+      acceptanceSalt: s.acceptanceSalt,
+      executorUpgradeDelay: EXECUTOR_UPGRADE_DELAY.toString(),
+      mode,
+      tlScheduleCalldata: s.tlScheduleCalldata || null,
+      tlExecuteCalldata: s.tlExecuteCalldata || null,
+    };
+  }
+}
+
+const STATUS_LABEL = {
+  done: chalk.green("✓ done"),
+  found: chalk.green("✓ found on chain"),
+  ran: chalk.green("✓ ran"),
+  skip: chalk.gray("- n/a"),
+  check: chalk.cyan("? check"),
+  pending: chalk.yellow("→ pending"),
+};
+
+/* =============================================================================
+ * Main Orchestration
+ * ===========================================================================*/
+/**
+ * @notice Deploy (or resume deploying) the full GemStep environment on the current Hardhat network.
+ * @dev
+ *  - Progress is checkpointed in deployments/<network>-deploy-checkpoint.json after every step;
+ *    a rerun re-checks each step on chain, skips what is done and resumes at the failure.
+ *    Not on `hardhat`, whose chain ends with the run; a checkpoint from another genesis block is
+ *    moved aside and the deployment starts anew.
+ *  - `plan: true` prints the step list with its status and sends nothing.
+ *  - `fresh: true` moves an existing checkpoint aside and starts a new deployment.
+ * @returns deployed instances and key addresses for scripts/tests (`{plan}` rows in plan mode).
+ */
+async function deployGemStepEnv({ plan = false, fresh = false } = runOptions()) {
+  console.log(
+    chalk.bold(`\n🚀 ${plan ? "Planning" : "Starting"} GemStep deployment → ${hre.network.name.toUpperCase()}`)
+  );
+
+  await validateEnvironment();
+
+  const networkConfig = NETWORK_CONFIG[hre.network.name] || NETWORK_CONFIG.hardhat;
+  const deployer = await getDeployer();
+  const deployerAddr = await deployer.getAddress();
+
+  await preFlightChecks(networkConfig);
+  await checkDeploymentRisks(deployerAddr);
+
+  const mode = getMode();
+  const treasuryAddress = getTreasuryAddress(deployerAddr);
+  const { chainId } = await hre.ethers.provider.getNetwork();
+  const genesis = await hre.ethers.provider.getBlock(0);
+  const cp = openCheckpoint(isInProcess() ? null : checkpointPath(hre.network.name), {
+    network: hre.network.name,
+    chainId,
+    genesisHash: genesis.hash,
+    config: deploymentInputs(mode, deployerAddr, networkConfig),
+    fresh,
+    plan,
+  });
+  if (cp.reset) console.log(chalk.yellow(`${cp.reset}: starting a new deployment`));
+  if (cp.backup) console.log(chalk.gray(`Previous checkpoint ${plan ? "would move" : "moved"} to ${cp.backup}`));
+  console.log(
+    chalk.gray(`Checkpoint: ${cp.file || "none (in-process network)"} (${cp.resumed ? "resuming" : "new deployment"})`)
+  );
+  if (!plan && cp.doc.state.startBlock == null) cp.save({ startBlock: await hre.ethers.provider.getBlockNumber() });
+
+  const steps = deploymentSteps({ deployer, deployerAddr, networkConfig, mode, treasuryAddress });
+  const rows = await runSteps(steps, cp, {
+    plan,
+    log: (r) => {
+      const note = r.note ? chalk.gray(` (${r.note})`) : "";
+      console.log(`${STATUS_LABEL[r.status] || r.status}  ${chalk.bold(r.step)} — ${r.title}${note}`);
+    },
+  });
+
+  if (plan) {
+    const next = rows.find((r) => r.status === "pending");
+    console.log(chalk.bold(`\n📋 Plan: ${rows.filter((r) => r.status === "pending").length} step(s) to run`));
+    console.log(next ? `Next: ${next.step}` : "Nothing to do: every step is done.");
+    console.log(chalk.gray("Nothing was sent."));
+    return { plan: rows, checkpoint: cp.file };
+  }
+
+  const s = cp.doc.state;
+  const cfg = await getMultisigConfig(mode, deployerAddr);
+  const token = await hre.ethers.getContractAt("GemStepToken", s.tokenProxy, deployer);
+  const timelock = await hre.ethers.getContractAt("TimelockController", s.timelock, deployer);
+  const executor = await hre.ethers.getContractAt("UpgradeExecutor", s.upgradeExecutor, deployer);
+  const implementationAddress = await hre.upgrades.erc1967.getImplementationAddress(s.tokenProxy);
+  const proxyAdminAddress = await hre.upgrades.erc1967.getAdminAddress(s.tokenProxy);
+  const oracleAddress = getOracleAddress(s);
 
   console.log(chalk.green.bold("\n🎉 GemStep deployment completed!"));
   console.log(chalk.bold("\n📄 Summary"));
-  console.log(`Token Proxy     : ${chalk.cyan(tokenAddress)}`);
+  console.log(`Token Proxy     : ${chalk.cyan(s.tokenProxy)}`);
   console.log(`Implementation  : ${chalk.cyan(implementationAddress)}`);
-  console.log(`Timelock        : ${chalk.cyan(timelockAddress)}`);
+  console.log(`Timelock        : ${chalk.cyan(s.timelock)}`);
   console.log(`Proxy Admin     : ${chalk.cyan(proxyAdminAddress)}`);
-  console.log(`UpgradeExecutor : ${chalk.cyan(executorAddress)}`);
+  console.log(`UpgradeExecutor : ${chalk.cyan(s.upgradeExecutor)}`);
   console.log(`Treasury        : ${chalk.cyan(treasuryAddress)}`);
   console.log(`Oracle          : ${chalk.cyan(oracleAddress)}`);
 
-  if (await isContract(cfg.proposers[0])) {
-    console.log(chalk.yellow("\nℹ️  Timelock scheduling via MiniMultisig required."));
-    console.log(`schedule() calldata: ${tlScheduleCalldata}`);
-    console.log(`execute()  calldata: ${tlExecuteCalldata}`);
+  if (sameAddr(await executor.owner(), s.timelock)) {
+    console.log(chalk.gray("\nUpgradeExecutor ownership already accepted by the timelock."));
+  } else if (s.tlScheduleCalldata) {
+    console.log(chalk.yellow("\nℹ️  Timelock scheduling via multisig required."));
+    console.log(`schedule() calldata: ${s.tlScheduleCalldata}`);
+    console.log(`execute()  calldata: ${s.tlExecuteCalldata}`);
   } else if (networkConfig.minDelay > 0) {
     console.log(chalk.yellow("\nℹ️  Next Step:"));
     console.log(`Execute acceptOwnership after ${networkConfig.minDelay}s`);
-    console.log(`salt = ${acceptanceSalt}`);
+    console.log(`salt = ${s.acceptanceSalt}`);
   }
 
-  console.log(chalk.gray(`\n📁 Artifacts: ${artifactFile}`));
+  console.log(chalk.gray(`\n📁 Artifacts: ${s.manifestFile}`));
+  if (cp.file) console.log(chalk.gray(`🧾 Checkpoint: ${cp.file}`));
   return {
     token,
     timelock,
     executor,
-    tokenAddress,
-    timelockAddress,
-    executorAddress,
+    tokenAddress: s.tokenProxy,
+    timelockAddress: s.timelock,
+    executorAddress: s.upgradeExecutor,
     implementationAddress,
     proxyAdminAddress,
     oracleAddress,
@@ -871,6 +1443,7 @@ async function deployGemStepEnv() {
     cfg,
     mode,
     networkConfig,
+    checkpoint: cp.file,
   };
 }
 
@@ -889,6 +1462,11 @@ async function main() {
   } catch (err) {
     console.error(chalk.red.bold("\n✖ Deployment failed:"));
     console.error(chalk.red(err.stack || err.message));
+    if (!isInProcess()) {
+      console.error(
+        chalk.yellow("Progress is checkpointed: rerun the same command to resume (DEPLOY_PLAN=1 to preview).")
+      );
+    }
     process.exit(1);
   }
 }
@@ -898,19 +1476,3 @@ module.exports = { deployGemStepEnv, NETWORK_CONFIG };
 if (require.main === module) {
   main();
 }
-
-/* =============================================================================
- * NOTE:
- * This script assumes the following functions exist in your repo (as in your original file):
- * - deployUpgradeExecutor
- * - configureArbitrum
- * - transferProxyAdminOwnership
- * - transferExecutorOwnership
- * - scheduleTimelockAcceptance
- * - encodeTimelockSchedule / encodeTimelockExecute
- * - renounceDeployerRoles
- * - verifyInvariants
- * - saveDeploymentArtifacts
- * - verifyContracts
- * - validateFinalState
- * ===========================================================================*/
@@ -0,0 +1,195 @@
+/* eslint-disable no-console */
+// Dump the deployed token proxy and its governance contracts to a state snapshot, for
+// scripts/upgradeRehearsal.snapshot.js to replay an upgrade against offline (see sdk/statedump.js).
+//
+//   node scripts/dump_proxy_state.js
+//   node scripts/dump_proxy_state.js --block 91234567 --out deployments/snapshots/pre-v2.json
+//
+//   --rpc url        default ARBITRUM_SEPOLIA_RPC_URL
+//   --block n        dump at this block (default: latest)
+//   --from-block n   start of the event scan for holders / users / sources (default: manifest deployBlock)
+//   --accounts a,b   extra accounts to copy token state for
+//   --artifacts dir  build with the storage layouts (default ./artifacts)
+//   --out file       default deployments/snapshots/<network>-<block>.json
+//
+// Addresses come from deployments/<DEPLOY_NETWORK>-manifest.json. The dump also records the view
+// results the rehearsal compares against (`observations`), so a rehearsal can tell a missing slot
+// from an upgrade that changed state.
+require("dotenv").config();
+const { ethers } = require("ethers");
+const {
+  TIMELOCK_ABI,
+  PROXY_SLOTS,
+  OZ_NAMESPACES,
+  erc7201Slot,
+  openDeployment,
+  scriptNetwork,
+  readStorageLayout,
+  storageLayoutHash,
+  roleGrantees,
+  discoverKeys,
+  tokenLayouts,
+  tokenSlotKeys,
+  dumpState,
+  writeStateDump,
+  stateDumpPath,
+  stateChecks,
+  observe,
+  TIMELOCK_ROLES,
+} = require("../sdk");
+
+function argValue(argv, flag) {
+  const i = argv.indexOf(flag);
+  if (i !== -1 && argv[i + 1]) return argv[i + 1];
+  const kv = argv.find((a) => a.startsWith(`${flag}=`));
+  return kv ? kv.split("=").slice(1).join("=") : null;
+}
+
+const layoutOf = (name, artifactsDir) => {
+  try {
+    return readStorageLayout(name, { artifactsDir });
+  } catch (e) {
+    throw new Error(`${e.message} (storage layouts come from the build: run \`npx hardhat compile\` first)`);
+  }
+};
+
+async function main() {
+  const argv = process.argv.slice(2);
+  const rpc = argValue(argv, "--rpc") || (process.env.ARBITRUM_SEPOLIA_RPC_URL || "").trim();
+  if (!rpc) throw new Error("Set ARBITRUM_SEPOLIA_RPC_URL or pass --rpc <url>");
+  const artifactsDir = argValue(argv, "--artifacts") || undefined;
+  const provider = new ethers.JsonRpcProvider(rpc);
+  const network = scriptNetwork();
+  const dep = await openDeployment({ network, provider });
+  const c = dep.state.contracts;
+  const cfg = dep.state.configuration;
+
+  const blockNumber = argValue(argv, "--block") ? Number(argValue(argv, "--block")) : await provider.getBlockNumber();
+  const fromBlock = Number(argValue(argv, "--from-block") ?? dep.state.deployBlock ?? 0);
+  console.log(`network   : ${network} (${dep.file})`);
+  console.log(`block     : ${blockNumber} (events from ${fromBlock})`);
+
+  const tokenLayout = layoutOf(dep.state.implementation?.contract || "GemStepToken", artifactsDir);
+  const recorded = dep.state.implementation?.storageLayoutHash;
+  if (recorded && recorded !== storageLayoutHash(tokenLayout)) {
+    throw new Error(
+      `${tokenLayout.contract} in the build is not the deployed layout (${recorded}); dump from the deployed build`
+    );
+  }
+
+  // Governance accounts: the manifest's, plus anyone ever granted a timelock role.
+  const timelock = new ethers.Contract(c.timelock, TIMELOCK_ABI, provider);
+  console.log("Scanning timelock roles…");
+  const tlGrantees = await roleGrantees(timelock, { fromBlock, toBlock: blockNumber, log: console.log });
+  const govAccounts = [
+    ...new Set(
+      [
+        cfg.multisig,
+        c.miniMultisig,
+        c.timelock,
+        ...(cfg.proposers || []),
+        ...(cfg.executors || []),
+        ...(cfg.admins || []),
+        ...tlGrantees,
+      ]
+        .filter((a) => ethers.isAddress(a))
+        .map((a) => ethers.getAddress(a))
+    ),
+  ];
+  const holds = async (role, a) => timelock.hasRole(role, a, { blockTag: blockNumber });
+  const proposer = (await Promise.all(govAccounts.map((a) => holds(TIMELOCK_ROLES.PROPOSER_ROLE, a)))).findIndex(
+    Boolean
+  );
+  if (proposer === -1) throw new Error("No known account holds PROPOSER_ROLE on the timelock");
+  const openExecution = await holds(TIMELOCK_ROLES.EXECUTOR_ROLE, ethers.ZeroAddress);
+  const tlExecutor = openExecution
+    ? ethers.ZeroAddress
+    : govAccounts[
+        (await Promise.all(govAccounts.map((a) => holds(TIMELOCK_ROLES.EXECUTOR_ROLE, a)))).findIndex(Boolean)
+      ];
+  if (!tlExecutor) throw new Error("No known account holds EXECUTOR_ROLE on the timelock");
+
+  console.log("Scanning token events for state keys…");
+  const extra = (argValue(argv, "--accounts") || "").split(",").filter((a) => ethers.isAddress(a));
+  const keys = await discoverKeys(provider, c.tokenProxy, {
+    fromBlock,
+    toBlock: blockNumber,
+    accounts: [...govAccounts, ...extra, c.upgradeExecutor, c.proxyAdmin].filter(Boolean),
+    log: console.log,
+  });
+  console.log(
+    `keys      : ${keys.accounts.length} account(s), ${keys.users.length} user(s), ${keys.sources.length} source(s), ${keys.versions.length} version(s)`
+  );
+
+  const tlKeys = { address: govAccounts, bytes32: Object.values(TIMELOCK_ROLES) };
+  const targets = [
+    {
+      name: "tokenProxy",
+      address: c.tokenProxy,
+      layouts: tokenLayouts(tokenLayout),
+      keys: tokenSlotKeys(keys),
+      slots: PROXY_SLOTS,
+    },
+    {
+      name: "implementation",
+      address: c.implementation,
+      layouts: [
+        {
+          layout: OZ_NAMESPACES["openzeppelin.storage.Initializable"],
+          base: erc7201Slot("openzeppelin.storage.Initializable"),
+        },
+      ],
+    },
+    {
+      name: "timelock",
+      address: c.timelock,
+      layouts: [{ layout: layoutOf("TimelockController", artifactsDir) }],
+      keys: tlKeys,
+    },
+    {
+      name: "upgradeExecutor",
+      address: c.upgradeExecutor,
+      layouts: [{ layout: layoutOf("UpgradeExecutor", artifactsDir) }],
+    },
+    { name: "proxyAdmin", address: c.proxyAdmin, slots: [0n] }, // OZ v5 ProxyAdmin: Ownable._owner
+    ...(c.miniMultisig
+      ? [
+          {
+            name: "miniMultisig",
+            address: c.miniMultisig,
+            layouts: [{ layout: layoutOf("MiniMultisig2of2", artifactsDir) }],
+          },
+        ]
+      : []),
+  ];
+
+  console.log("Reading storage…");
+  const dump = await dumpState(provider, targets, { blockTag: blockNumber, network, log: console.log });
+  dump.manifest = { file: dep.file, seq: dep.state.seq, implementation: dep.state.implementation };
+  dump.keys = keys;
+  dump.governance = {
+    token: c.tokenProxy,
+    implementation: c.implementation,
+    timelock: c.timelock,
+    executor: c.upgradeExecutor,
+    proxyAdmin: c.proxyAdmin,
+    proposer: govAccounts[proposer],
+    timelockExecutor: tlExecutor,
+    accounts: govAccounts,
+  };
+  dump.tokenLayout = tokenLayout.contract;
+
+  console.log("Recording check results…");
+  dump.observations = await observe(provider, stateChecks(dump), { blockTag: blockNumber });
+
+  const out = argValue(argv, "--out") || stateDumpPath(network, blockNumber);
+  writeStateDump(out, dump);
+  for (const w of dump.warnings) console.log(`⚠️  ${w}`);
+  const slots = Object.values(dump.accounts).reduce((n, a) => n + Object.keys(a.storage).length, 0);
+  console.log(`✅ ${slots} slot(s), ${Object.keys(dump.observations).length} check result(s) → ${out}`);
+}
+
+main().catch((e) => {
+  console.error("❌ dump_proxy_state failed:", e?.shortMessage || e?.message || e);
+  process.exit(1);
+});
@@ -0,0 +1,92 @@
+/* eslint-disable no-console */
+// Retryable cost estimate for a CrossChainGovernanceL1 action (see sdk/retryable.js): submission fee from the
+// calldata length and L1 basefee, L2 gas from the governance alias, and whether the on-chain gas config
+// covers them. Prints the exact msg.value and the recommended setGasConfig; optionally sends.
+//
+//   node scripts/estimate_retryable.js pause                     (npm run retryable:estimate -- pause)
+//   node scripts/estimate_retryable.js callL2 0x…                L2 calldata
+//   node scripts/estimate_retryable.js setL1Governance 0x…       new L1 governance
+//
+//   SEPOLIA_RPC_URL, ARBITRUM_SEPOLIA_RPC_URL   L1 / L2 RPCs; DEPLOY_NETWORK picks the manifest
+//   --l1-basefee gwei    price the submission at this L1 basefee instead of the latest block's
+//   --send               send it (L1_OWNER_PK; the governance owner) with the exact msg.value
+//   --update-gas-config  with --send: setGasConfig to the recommendation first when underfunded
+//   --force              with --send: send despite warnings
+//
+// Exits 1 when the estimate has warnings (and nothing was sent).
+require("dotenv").config();
+const { ethers } = require("ethers");
+const {
+  RETRYABLE_ACTIONS,
+  L1_GOVERNANCE_ABI,
+  openDeployment,
+  estimateRetryable,
+  sendFundedRetryable,
+} = require("../sdk");
+
+function argValue(argv, flag) {
+  const i = argv.indexOf(flag);
+  if (i !== -1 && argv[i + 1]) return argv[i + 1];
+  const kv = argv.find((a) => a.startsWith(`${flag}=`));
+  return kv ? kv.slice(flag.length + 1) : null;
+}
+
+async function main() {
+  const argv = process.argv.slice(2);
+  const [action, ...args] = argv.filter((a, i) => !a.startsWith("--") && argv[i - 1] !== "--l1-basefee");
+  if (!RETRYABLE_ACTIONS[action]) {
+    throw new Error(`Usage: estimate_retryable.js <${Object.keys(RETRYABLE_ACTIONS).join("|")}> [args…]`);
+  }
+
+  const L1_RPC = process.env.SEPOLIA_RPC_URL;
+  const L2_RPC = process.env.ARBITRUM_SEPOLIA_RPC_URL;
+  if (!L1_RPC || !L2_RPC) throw new Error("Missing SEPOLIA_RPC_URL or ARBITRUM_SEPOLIA_RPC_URL");
+  const l1 = new ethers.JsonRpcProvider(L1_RPC);
+  const l2 = new ethers.JsonRpcProvider(L2_RPC);
+  const dep = await openDeployment({ provider: l2, l1Provider: l1 });
+
+  const send = argv.includes("--send");
+  const runner = send ? new ethers.Wallet(process.env.L1_OWNER_PK || "", l1) : l1;
+  const governance = new ethers.Contract(dep.addressOf("l1Governance"), L1_GOVERNANCE_ABI, runner);
+  const basefee = argValue(argv, "--l1-basefee");
+  const opts = {
+    governance,
+    l1,
+    l2,
+    action,
+    args,
+    l1BaseFee: basefee ? ethers.parseUnits(basefee, "gwei") : undefined,
+  };
+
+  const est = await estimateRetryable(opts);
+  const eth = (x) => `${ethers.formatEther(x)} ETH`;
+  const gwei = (x) => `${ethers.formatUnits(x, "gwei")} gwei`;
+  console.log(`${est.method}(${args.join(", ")}) from L2 alias ${est.sender}`);
+  console.log(`  L2 calldata      ${est.dataLength} bytes`);
+  console.log(`  submission fee   ${eth(est.submissionFee)} at L1 basefee ${gwei(est.l1BaseFee)}`);
+  console.log(`  L2 gas           ${est.gasEstimate ?? "-"} at L2 basefee ${gwei(est.l2BaseFee)}`);
+  const { gasConfig: c, recommended: r } = est;
+  console.log(`  gas config       ${c.maxSubmissionCost} / ${c.gasLimit} / ${c.maxFeePerGas}`);
+  console.log(`  recommended      ${r.maxSubmissionCost} / ${r.gasLimit} / ${r.maxFeePerGas} (${eth(r.value)})`);
+  console.log(`  msg.value        ${est.value} (${eth(est.value)})`);
+  for (const w of est.warnings) console.log(`⚠️  ${w.code}: ${w.message}`);
+
+  if (!send) {
+    if (!est.ok) process.exitCode = 1;
+    return;
+  }
+  const { tx } = await sendFundedRetryable({
+    ...opts,
+    updateGasConfig: argv.includes("--update-gas-config"),
+    force: argv.includes("--force"),
+    log: console.log,
+  });
+  console.log(`tx ${tx.hash}`);
+  const receipt = await tx.wait();
+  console.log(`✅ mined in block ${receipt.blockNumber}`);
+}
+
+main().catch((e) => {
+  console.error(e);
+  process.exit(1);
+});
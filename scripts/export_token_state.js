@@ -0,0 +1,71 @@
+/* eslint-disable no-console */
+// Export the deployed token's logical state — balances, roles, sources and source configs, trusted
+// devices / APIs, stakes, nonces, version allowlists and deprecations, parameters — to portable JSON
+// (event replay for the keys, view calls for the values; see sdk/snapshot.js).
+//
+//   node scripts/export_token_state.js
+//   node scripts/export_token_state.js --block 91234567 --out test/snapshots/arbitrumSepolia.json
+//
+//   --rpc url        default ARBITRUM_SEPOLIA_RPC_URL
+//   --block n        read at this block (default: latest)
+//   --from-block n   start of the event scan (default: manifest deployBlock)
+//   --accounts a,b   extra accounts to include
+//   --out file       default deployments/token-state/<network>-<block>.json
+//
+// Restore with scripts/import_token_state.js, or in tests with snapshotFixture(file) (test/fixtures.js).
+require("dotenv").config();
+const path = require("path");
+const { ethers } = require("ethers");
+const { DEPLOYMENTS_DIR, openDeployment, scriptNetwork, exportTokenState, writeTokenSnapshot } = require("../sdk");
+
+function argValue(argv, flag) {
+  const i = argv.indexOf(flag);
+  if (i !== -1 && argv[i + 1]) return argv[i + 1];
+  const kv = argv.find((a) => a.startsWith(`${flag}=`));
+  return kv ? kv.split("=").slice(1).join("=") : null;
+}
+
+async function main() {
+  const argv = process.argv.slice(2);
+  const rpc = argValue(argv, "--rpc") || (process.env.ARBITRUM_SEPOLIA_RPC_URL || "").trim();
+  if (!rpc) throw new Error("Set ARBITRUM_SEPOLIA_RPC_URL or pass --rpc <url>");
+  const provider = new ethers.JsonRpcProvider(rpc);
+  const network = scriptNetwork();
+  const dep = await openDeployment({ network, provider });
+  const c = dep.state.contracts;
+  const cfg = dep.state.configuration;
+
+  const blockTag = argValue(argv, "--block") ? Number(argValue(argv, "--block")) : await provider.getBlockNumber();
+  const fromBlock = Number(argValue(argv, "--from-block") ?? dep.state.deployBlock ?? 0);
+  const accounts = [
+    cfg.multisig,
+    c.timelock,
+    c.miniMultisig,
+    ...(cfg.admins || []),
+    ...(argValue(argv, "--accounts") || "").split(","),
+  ].filter((a) => a && ethers.isAddress(a));
+
+  console.log(`network   : ${network} (${dep.file})`);
+  console.log(`token     : ${c.tokenProxy} @ block ${blockTag} (events from ${fromBlock})`);
+  const snap = await exportTokenState(provider, c.tokenProxy, {
+    fromBlock,
+    blockTag,
+    accounts,
+    network,
+    log: console.log,
+  });
+
+  const out = argValue(argv, "--out") || path.join(DEPLOYMENTS_DIR, "token-state", `${network}-${blockTag}.json`);
+  writeTokenSnapshot(out, snap);
+  const roleGrants = Object.values(snap.roles).reduce((n, l) => n + l.length, 0);
+  console.log(
+    `✅ ${Object.keys(snap.balances).length} holder(s), ${roleGrants} role grant(s), ${
+      Object.keys(snap.sources).length
+    } source(s), ${Object.keys(snap.users).length} user(s) → ${out}`
+  );
+}
+
+main().catch((e) => {
+  console.error("❌ export_token_state failed:", e?.shortMessage || e?.message || e);
+  process.exit(1);
+});
@@ -0,0 +1,299 @@
+/* eslint-disable no-console */
+// Gas benchmark with regression baselines. Deploys a fresh token on the in-process Hardhat network,
+// runs a fixed sequence of transactions and compares each one's gasUsed with gas-baseline.json.
+//
+//   npx hardhat run scripts/gas_benchmark.js --network hardhat                       (npm run test:gas)
+//   GAS_UPDATE=1 npx hardhat run scripts/gas_benchmark.js --network hardhat          (npm run gas:update)
+//
+//   GAS_BASELINE=gas-baseline.json   baseline file
+//   GAS_TOLERANCE=5                  allowed regression in percent (default: the baseline's tolerancePct)
+//   GAS_UPDATE=1                     record this run as the new baseline instead of comparing
+//   GAS_OUT=gas-report.json          write the comparison
+//
+// Measured: logSteps under each verification mode (EOA, trusted API, ERC-1271 wallet, merkle proofs of
+// depth 1/4/8/12, v1 and v2 attestations), stake / withdrawStake, the admin batch functions, the
+// UpgradeExecutor schedule/execute path and CrossChainGovernanceL1 retryables.
+// Every account is derived from a fixed label, so a run is reproducible; only block timestamps move.
+// The names measured must match GAS_BENCHMARKS in sdk/gasbench.js.
+//
+// Exits 1 when any measurement regresses beyond the tolerance, has no baseline yet, or a baseline entry
+// was not measured (re-record with npm run gas:update).
+const fs = require("fs");
+const path = require("path");
+const hre = require("hardhat");
+const {
+  INITIAL_SUPPLY,
+  ROLES,
+  buildSignedStepPayload,
+  buildAttestation,
+  buildMerkleTree,
+  stepLeaf,
+  GAS_BENCHMARKS,
+  readGasBaseline,
+  writeGasBaseline,
+  compareGas,
+} = require("../sdk");
+
+const { ethers, upgrades } = hre;
+
+const BASELINE = process.env.GAS_BASELINE || path.join(__dirname, "..", "gas-baseline.json");
+const STEPS = 1000n;
+const STAKE = ethers.parseEther("0.01");
+const HOUR = 3600;
+const MERKLE_DEPTHS = [1, 4, 8, 12];
+const BATCH_SIGNERS = 20; // MAX_BATCH_SIGNERS
+const BATCH_SOURCES = 10; // MAX_BATCH_SOURCES
+
+const results = {};
+
+async function measure(name, send) {
+  const rcpt = await (await send()).wait();
+  results[name] = Number(rcpt.gasUsed);
+  console.log(`  ${name.padEnd(52)} ${rcpt.gasUsed}`);
+  return rcpt;
+}
+
+async function wallet(label) {
+  const w = new ethers.Wallet(ethers.id(`gas-bench:${label}`), ethers.provider);
+  await ethers.provider.send("hardhat_setBalance", [w.address, ethers.toQuantity(ethers.parseEther("100"))]);
+  return w;
+}
+
+async function advance(seconds) {
+  await ethers.provider.send("evm_increaseTime", [seconds]);
+  await ethers.provider.send("evm_mine", []);
+}
+
+async function deploy(admin) {
+  const oracle = await (await ethers.getContractFactory("MockOracleV2")).deploy();
+  await oracle.waitForDeployment();
+  const token = await upgrades.deployProxy(
+    await ethers.getContractFactory("GemStepToken"),
+    [INITIAL_SUPPLY, admin.address, await oracle.getAddress(), admin.address],
+    { initializer: "initialize" }
+  );
+  await token.waitForDeployment();
+  return token;
+}
+
+/* ------------------------------------------------------------------ */
+
+async function benchLogSteps(token, admin) {
+  console.log("\nlogSteps");
+  const tok = token.connect(admin);
+  const sigHashes = [];
+
+  const submit = async (name, { user, sender = user, signer = user, source = "bench", proof, withAttestation }) => {
+    const p = await buildSignedStepPayload({ token, signer, user: user.address, steps: STEPS, source, proof });
+    const verification = withAttestation ? await withAttestation(p) : p.verification;
+    await measure(name, () => token.connect(sender).logSteps(p.submission, verification));
+    sigHashes.push(ethers.solidityPackedKeccak256(["bytes32", "bytes"], [p.digest, verification.signature]));
+  };
+  const staker = async (label) => {
+    const w = await wallet(label);
+    await (await token.connect(w).stake({ value: STAKE })).wait();
+    return w;
+  };
+
+  await (await tok.configureSource("bench", false, false)).wait();
+
+  const eoa = await staker("eoa");
+  await submit("logSteps: EOA (first submission)", { user: eoa });
+  await advance(HOUR + 1);
+  await submit("logSteps: EOA (repeat submission)", { user: eoa });
+
+  const relayer = await wallet("api-relayer");
+  await (await tok.setTrustedAPI(relayer.address, true)).wait();
+  await (await tok.grantRole(ROLES.API_SIGNER_ROLE, relayer.address)).wait();
+  await submit("logSteps: trusted API", { user: await wallet("api-user"), sender: relayer, signer: relayer });
+
+  // The contract wallet is the user, so it must also be the caller: its owner relays through execute().
+  const owner = await wallet("1271-owner");
+  const scw = await (await ethers.getContractFactory("ERC1271WalletMock")).deploy(owner.address);
+  await scw.waitForDeployment();
+  const scwAddr = await scw.getAddress();
+  const tokenAddr = await token.getAddress();
+  await (await tok.setTrusted1271(scwAddr, true)).wait();
+  {
+    const stakeData = token.interface.encodeFunctionData("stake");
+    await (await scw.connect(owner).execute(tokenAddr, STAKE, stakeData, { value: STAKE })).wait();
+    const p = await buildSignedStepPayload({ token, signer: owner, user: scwAddr, steps: STEPS, source: "bench" });
+    const data = token.interface.encodeFunctionData("logSteps", [p.submission, p.verification]);
+    await measure("logSteps: ERC-1271 wallet (via execute)", () => scw.connect(owner).execute(tokenAddr, 0, data));
+  }
+
+  for (const depth of MERKLE_DEPTHS) {
+    const source = `bench-merkle-${depth}`;
+    const user = await staker(`merkle-${depth}`);
+    const fillers = Array.from({ length: 2 ** depth - 1 }, (_, i) => ethers.id(`gas-bench:leaf:${i}`));
+    const tree = buildMerkleTree([stepLeaf(user.address, STEPS, 0n), ...fillers]);
+    const proof = tree.getProof(0);
+    if (proof.length !== depth) throw new Error(`merkle depth ${depth}: proof has ${proof.length} elements`);
+
+    await (await tok.configureSource(source, true, false)).wait();
+    await (await tok.setSourceMerkleRoot(source, tree.root)).wait();
+    await submit(`logSteps: merkle proof depth ${depth}`, { user, source, proof });
+  }
+
+  // v2 = the default nonce-bound "1.0.0"; v1 = a version with nonce binding relaxed (legacy replay key).
+  const device = await wallet("device");
+  await (await tok.configureSource("bench-attest", false, true)).wait();
+  await (await tok.addTrustedDevice(device.address)).wait();
+  await (await tok.addSupportedAttestationVersion("0.9.0")).wait();
+  await (await tok.setAttestationNonceRequired("0.9.0", false)).wait();
+  for (const [label, version] of [
+    ["v1", "0.9.0"],
+    ["v2", "1.0.0"],
+  ]) {
+    const withAttestation = async (p) => {
+      const att = await buildAttestation({ device, submission: p.submission, token, version });
+      return { ...p.verification, attestation: att.blob };
+    };
+    await submit(`logSteps: attestation ${label}`, {
+      user: await staker(`attest-${label}`),
+      source: "bench-attest",
+      withAttestation,
+    });
+  }
+
+  return sigHashes;
+}
+
+async function benchStaking(token) {
+  console.log("\nstaking");
+  const w = await wallet("staker");
+  await measure("stake (first)", () => token.connect(w).stake({ value: STAKE }));
+  await measure("stake (top-up)", () => token.connect(w).stake({ value: STAKE }));
+  await measure("withdrawStake (partial)", () => token.connect(w).withdrawStake(STAKE));
+  await measure("withdrawStake (full)", () => token.connect(w).withdrawStake(STAKE));
+}
+
+async function benchAdmin(token, admin, sigHashes) {
+  console.log("\nadmin batches");
+  const tok = token.connect(admin);
+  const signers = Array.from({ length: BATCH_SIGNERS }, (_, i) =>
+    ethers.computeAddress(ethers.id(`gas-bench:signer-${i}`))
+  );
+  const sources = Array.from({ length: BATCH_SOURCES }, (_, i) => `benchBatch${i}`); // [A-Za-z0-9] only
+
+  await measure("batchAddSigners (1)", () => tok.batchAddSigners(signers.slice(0, 1)));
+  await measure(`batchAddSigners (${BATCH_SIGNERS - 1})`, () => tok.batchAddSigners(signers.slice(1)));
+  await measure(`batchRemoveSigners (${BATCH_SIGNERS})`, () => tok.batchRemoveSigners(signers));
+  await measure(`batchAddSources (${BATCH_SOURCES})`, () => tok.batchAddSources(sources));
+
+  // Every logSteps signature above has a deadline within signatureValidityPeriod.
+  const [, , , sigValidity] = await token.getCoreParams();
+  await advance(Number(sigValidity) + 1);
+  await measure(`clearExpiredSignatures (${sigHashes.length})`, () => tok.clearExpiredSignatures(sigHashes));
+}
+
+async function benchGovernance(token, admin) {
+  console.log("\ngovernance");
+  const tokenAddr = await token.getAddress();
+
+  const inbox = await (await ethers.getContractFactory("MockInbox")).deploy();
+  await inbox.waitForDeployment();
+  const gov = await (
+    await ethers.getContractFactory("CrossChainGovernanceL1")
+  ).deploy(admin.address, await inbox.getAddress(), tokenAddr, admin.address, [
+    ethers.parseUnits("0.0001", "ether"),
+    300_000,
+    ethers.parseUnits("0.1", "gwei"),
+  ]);
+  await gov.waitForDeployment();
+  const [value] = await gov.quoteRetryable("0x", 0);
+  await measure("governanceL1.sendPause", () => gov.connect(admin).sendPause({ value }));
+  await measure("governanceL1.sendSetL1Governance", () =>
+    gov.connect(admin).sendSetL1Governance(admin.address, { value })
+  );
+  const call = token.interface.encodeFunctionData("setTrustedAPI", [admin.address, true]);
+  await measure("governanceL1.callL2", () => gov.connect(admin).callL2(call, { value }));
+
+  // OZ v5 ProxyAdmin only has upgradeAndCall, so the executor's WithData path is the one in use.
+  const executor = await (await ethers.getContractFactory("UpgradeExecutor")).deploy(admin.address);
+  await executor.waitForDeployment();
+  const execAddr = await executor.getAddress();
+  const proxyAdminAddr = await upgrades.erc1967.getAdminAddress(tokenAddr);
+  const proxyAdmin = new ethers.Contract(proxyAdminAddr, ["function transferOwnership(address)"], admin);
+  await (await proxyAdmin.transferOwnership(execAddr)).wait();
+  const impl = await upgrades.prepareUpgrade(tokenAddr, await ethers.getContractFactory("GemStepTokenV2Mock"));
+
+  const args = [proxyAdminAddr, tokenAddr, impl, "0x"];
+  await measure("executor.scheduleUpgradeWithData", () => executor.connect(admin).scheduleUpgradeWithData(...args));
+  await advance(Number(await executor.upgradeDelay()) + 1);
+  await measure("executor.executeUpgradeWithData", () => executor.connect(admin).executeUpgradeWithData(...args));
+}
+
+/* ------------------------------------------------------------------ */
+
+function printComparison(cmp) {
+  const fmt = (x) => (x == null ? "-" : String(x));
+  console.log(`\n=== gas vs baseline (tolerance ${cmp.tolerancePct}%) ===`);
+  console.table(
+    cmp.rows.map((r) => ({
+      function: r.name,
+      baseline: fmt(r.baseline),
+      current: fmt(r.current),
+      delta: r.delta == null ? "-" : `${r.delta > 0 ? "+" : ""}${r.delta} (${r.deltaPct.toFixed(2)}%)`,
+      status: r.status,
+    }))
+  );
+}
+
+async function main() {
+  if (hre.network.name !== "hardhat") {
+    throw new Error(`the benchmark funds accounts and time-travels; run on hardhat, not ${hre.network.name}`);
+  }
+  const [admin] = await ethers.getSigners();
+  const token = await deploy(admin);
+  console.log(`token: ${await token.getAddress()}`);
+
+  const sigHashes = await benchLogSteps(token, admin);
+  await benchStaking(token);
+  await benchAdmin(token, admin, sigHashes);
+  await benchGovernance(token, admin); // last: upgrades the token
+
+  const unlisted = Object.keys(results).filter((n) => !GAS_BENCHMARKS.includes(n));
+  const unmeasured = GAS_BENCHMARKS.filter((n) => !(n in results));
+  if (unlisted.length || unmeasured.length) {
+    throw new Error(
+      `GAS_BENCHMARKS (sdk/gasbench.js) is out of date: not listed [${unlisted.join(", ")}], ` +
+        `not measured [${unmeasured.join(", ")}]`
+    );
+  }
+
+  const baseline = readGasBaseline(BASELINE);
+  const tolerancePct = process.env.GAS_TOLERANCE ? Number(process.env.GAS_TOLERANCE) : undefined;
+
+  if (process.env.GAS_UPDATE === "1") {
+    writeGasBaseline(BASELINE, results, { tolerancePct: tolerancePct ?? baseline?.tolerancePct });
+    console.log(`\n✅ Wrote ${Object.keys(results).length} measurements to ${BASELINE}`);
+    return;
+  }
+
+  const cmp = compareGas(baseline, results, { tolerancePct });
+  printComparison(cmp);
+  if (process.env.GAS_OUT) {
+    fs.writeFileSync(process.env.GAS_OUT, JSON.stringify({ baseline: BASELINE, ...cmp }, null, 2));
+    console.log(`✅ Wrote ${process.env.GAS_OUT}`);
+  }
+
+  const regressed = cmp.rows.filter((r) => r.status === "regressed");
+  const unbaselined = cmp.rows.filter((r) => r.status === "new" || r.status === "missing");
+  if (regressed.length) {
+    console.log(`\n❌ ${regressed.length} function(s) regressed by more than ${cmp.tolerancePct}%:`);
+    for (const r of regressed) console.log(`  ${r.name}: ${r.baseline} → ${r.current}`);
+  }
+  if (unbaselined.length) {
+    console.log(`\n❌ ${unbaselined.length} measurement(s) out of sync with ${BASELINE}:`);
+    for (const r of unbaselined) console.log(`  ${r.name}: ${r.status === "new" ? "no baseline" : "not measured"}`);
+    console.log("  re-record with: npm run gas:update");
+  }
+  if (regressed.length || unbaselined.length) process.exitCode = 1;
+  else console.log("\n✓ no gas regressions");
+}
+
+main().catch((e) => {
+  console.error("❌ gas_benchmark failed:", e);
+  process.exit(1);
+});
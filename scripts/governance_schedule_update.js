@@ -3,21 +3,23 @@
 
 require("dotenv").config();
 const { ethers } = require("ethers");
+const { openDeployment } = require("../sdk");
 
 async function main() {
   const L1_RPC      = process.env.SEPOLIA_RPC_URL;
   const L2_RPC      = process.env.ARBITRUM_SEPOLIA_RPC_URL;
-  const L1_GOV      = process.env.L1_GOVERNANCE_ADDR;
-  const L1_TIMELOCK = process.env.L1_TIMELOCK;
-  const L2_TOK      = process.env.L2_TOKEN_PROXY;
   const PK          = process.env.L1_OWNER_PK;
 
-  if (!L1_RPC || !L2_RPC || !L1_GOV || !L1_TIMELOCK || !L2_TOK || !PK) {
-    throw new Error("Missing one of SEPOLIA_RPC_URL, ARBITRUM_SEPOLIA_RPC_URL, L1_GOVERNANCE_ADDR, L1_TIMELOCK, L2_TOKEN_PROXY, L1_OWNER_PK");
+  if (!L1_RPC || !L2_RPC || !PK) {
+    throw new Error("Missing one of SEPOLIA_RPC_URL, ARBITRUM_SEPOLIA_RPC_URL, L1_OWNER_PK");
   }
 
   const l1 = new ethers.JsonRpcProvider(L1_RPC);
   const l2 = new ethers.JsonRpcProvider(L2_RPC);
+  const dep = await openDeployment({ provider: l2, l1Provider: l1 });
+  const L1_GOV      = dep.addressOf("l1Governance");
+  const L1_TIMELOCK = dep.addressOf("l1Timelock");
+  const L2_TOK      = dep.addressOf("token");
   const wallet = new ethers.Wallet(PK, l1);
 
   console.log("=== SCHEDULE GOVERNANCE PARAM UPDATE ===");
@@ -2,10 +2,12 @@
 require("dotenv").config();
 const hre = require("hardhat");
 const { ethers } = hre;
+const { openDeployment } = require("../sdk");
 
 (async () => {
-  const L2_TOKEN = "0xF06c092d10BD0c8E6f6e05022Da69C0e03b67709";
-  const L1_GOV   = "0x0cb65afE69d22B98e48B88617E92e1a41D1c05Fe";
+  const dep      = await openDeployment({ network: hre.network.name, provider: ethers.provider });
+  const L2_TOKEN = dep.addressOf("token");
+  const L1_GOV   = dep.addressOf("l1Governance");
   const PK       = (process.env.MS_EOA1_PK || process.env.L2_ADMIN_PK || "").trim();
   if (!/^0x[0-9a-fA-F]{64}$/.test(PK)) throw new Error("MS_EOA1_PK (L2 admin) missing/invalid");
 
@@ -1,20 +1,14 @@
 // scripts/grantRole.toProxyAdmin.js
 /* eslint-disable no-console */
-const { ethers } = require("hardhat");
+const { ethers, network } = require("hardhat");
+const { loadManifest } = require("../sdk");
 
 const ZERO_ROLE = ethers.ZeroHash; // DEFAULT_ADMIN_ROLE
 
 async function main() {
-  const fs = require("fs");
-  const path = require("path");
-
-  // Load your latest deployment file (adjust if needed)
-  const file = "deployments/localhost-deployment-1758811007214.json";
-  const d = JSON.parse(fs.readFileSync(path.resolve(file), "utf8"));
-
-  const tokenProxy   = d.contracts.tokenProxy || d.contracts.TokenProxy || d.contracts.token || d.contracts.proxy;
-  const proxyAdmin   = d.contracts.proxyAdmin || d.contracts.ProxyAdmin;
-  if (!tokenProxy || !proxyAdmin) throw new Error("Missing tokenProxy/proxyAdmin in deployment JSON");
+  const d = loadManifest(network.name);
+  const tokenProxy   = d.addressOf("token");
+  const proxyAdmin   = d.addressOf("proxyAdmin");
 
   console.log("TokenProxy:", tokenProxy);
   console.log("ProxyAdmin:", proxyAdmin);
@@ -2,8 +2,8 @@
 require("dotenv").config();
 const hre = require("hardhat");
 const { ethers } = hre;
+const { openDeployment } = require("../sdk");
 
-function isAddr(x){ return /^0x[a-fA-F0-9]{40}$/.test(x||""); }
 function isHex32(x){ return /^0x[a-fA-F0-9]{64}$/.test(x||""); }
 const sleep = (ms)=>new Promise(r=>setTimeout(r, ms));
 async function waitSecs(s,label){ if(!s) return; console.log(`⏳ waiting ${s}s ${label||""} - grant_admin_via_timelock_mini_now_strict.js:9`); await sleep(Number(s)*1000); }
@@ -86,20 +86,14 @@ function tryDecodeRevert(ret) {
 }
 
 async function main() {
-  const {
-    TIMELOCK_ADDRESS,
-    MINI_MULTISIG,
-    PROXY_ADDRESS,          // token proxy (GemStepToken proxy)
-    PROXY_ADMIN_ADDRESS,    // ProxyAdmin
-    MS_EOA1_PK,
-    MS_EOA2_PK,
-  } = process.env;
+  const { MS_EOA1_PK, MS_EOA2_PK } = process.env;
+  const dep = await openDeployment({ network: hre.network.name, provider: ethers.provider });
+  const TIMELOCK_ADDRESS    = dep.addressOf("timelock");
+  const MINI_MULTISIG       = dep.addressOf("miniMultisig");
+  const PROXY_ADDRESS       = dep.addressOf("token");       // token proxy (GemStepToken proxy)
+  const PROXY_ADMIN_ADDRESS = dep.addressOf("proxyAdmin");  // ProxyAdmin
 
   const bad=[];
-  if(!isAddr(TIMELOCK_ADDRESS)) bad.push("TIMELOCK_ADDRESS");
-  if(!isAddr(MINI_MULTISIG)) bad.push("MINI_MULTISIG");
-  if(!isAddr(PROXY_ADDRESS)) bad.push("PROXY_ADDRESS");
-  if(!isAddr(PROXY_ADMIN_ADDRESS)) bad.push("PROXY_ADMIN_ADDRESS");
   if(!isHex32(MS_EOA1_PK)) bad.push("MS_EOA1_PK");
   if(!isHex32(MS_EOA2_PK)) bad.push("MS_EOA2_PK");
   if (bad.length) throw new Error("Missing/invalid env(s): "+bad.join(", "));
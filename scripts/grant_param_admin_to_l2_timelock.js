@@ -2,6 +2,7 @@
 /* eslint-disable no-console */
 require("dotenv").config();
 const { ethers } = require("ethers");
+const { openDeployment } = require("../sdk");
 
 const TOKEN_ABI = [
   "function DEFAULT_ADMIN_ROLE() view returns (bytes32)",
@@ -10,22 +11,19 @@ const TOKEN_ABI = [
   "function grantRole(bytes32 role, address account)"
 ];
 
-const isAddr = (a)=>/^0x[a-fA-F0-9]{40}$/.test((a||"").trim());
-
 async function main() {
   const L2_RPC   = (process.env.ARBITRUM_SEPOLIA_RPC_URL || "").trim();
-  const L2TOK    = (process.env.L2_TOKEN_PROXY || "").trim();
-  const TL       = (process.env.ARB_SEPOLIA_TIMELOCK || "").trim();
   const ADMIN_PK = (process.env.MS_EOA1_PK || "").trim(); // MULTISIG_EOA_1 private key
 
   if (!/^https?:\/\//.test(L2_RPC))  throw new Error("ARBITRUM_SEPOLIA_RPC_URL missing/invalid");
-  if (!isAddr(L2TOK))               throw new Error("L2_TOKEN_PROXY missing/invalid");
-  if (!isAddr(TL))                  throw new Error("ARB_SEPOLIA_TIMELOCK missing/invalid");
   if (!/^0x[0-9a-fA-F]{64}$/.test(ADMIN_PK)) {
     throw new Error("MS_EOA1_PK missing/invalid – must be MULTISIG_EOA_1 private key (0x + 64 hex)");
   }
 
   const l2    = new ethers.JsonRpcProvider(L2_RPC);
+  const dep   = await openDeployment({ provider: l2 });
+  const L2TOK = dep.addressOf("token");
+  const TL    = dep.addressOf("timelock");
   const admin = new ethers.Wallet(ADMIN_PK, l2);
   const token = new ethers.Contract(L2TOK, TOKEN_ABI, admin);
 
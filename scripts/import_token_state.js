@@ -0,0 +1,57 @@
+/* eslint-disable no-console */
+// Restore a token snapshot (scripts/export_token_state.js) into a fresh local deployment, to
+// reproduce production state: deploys MockOracleV2 and a GemStepToken_StateHarness proxy (test-only
+// implementation with restore* setters), writes the snapshot, then re-exports and diffs it.
+//
+//   TOKEN_SNAPSHOT=deployments/token-state/arbitrumSepolia-91234567.json \
+//     npx hardhat run scripts/import_token_state.js --network localhost
+//
+// The first signer deploys and keeps every role it is granted at initialize(); the snapshot's role
+// holders are added on top. Exits 1 if the restored state differs from the snapshot.
+const hre = require("hardhat");
+const { INITIAL_SUPPLY, readTokenSnapshot, restoreTokenState, exportTokenState, diffTokenState } = require("../sdk");
+
+const { ethers, upgrades } = hre;
+
+async function main() {
+  if (hre.network.name !== "hardhat" && hre.network.name !== "localhost") {
+    throw new Error(`GemStepToken_StateHarness is test-only; run on hardhat or localhost, not ${hre.network.name}`);
+  }
+  const file = process.env.TOKEN_SNAPSHOT;
+  if (!file) throw new Error("Set TOKEN_SNAPSHOT=<snapshot.json>");
+  const snap = readTokenSnapshot(file);
+  console.log(`snapshot  : ${file}`);
+  console.log(`source    : ${snap.network} (chain ${snap.chainId}) ${snap.token} @ block ${snap.blockNumber}`);
+
+  const [admin] = await ethers.getSigners();
+  const oracle = await (await ethers.getContractFactory("MockOracleV2")).deploy();
+  await oracle.waitForDeployment();
+  const Harness = await ethers.getContractFactory("GemStepToken_StateHarness");
+  const token = await upgrades.deployProxy(
+    Harness,
+    [INITIAL_SUPPLY, admin.address, await oracle.getAddress(), admin.address],
+    { initializer: "initialize" }
+  );
+  await token.waitForDeployment();
+  const address = await token.getAddress();
+  console.log(`harness   : ${address}`);
+
+  const res = await restoreTokenState(token.connect(admin), snap, { clearHolders: [admin.address], log: console.log });
+  console.log(`✓ restored in ${res.txs} tx(s)`);
+
+  const again = await exportTokenState(ethers.provider, address, { keys: snap.keys });
+  const diffs = diffTokenState(snap, again);
+  if (diffs.length) {
+    console.log(`❌ ${diffs.length} difference(s) after restore`);
+    console.table(
+      diffs.slice(0, 50).map((d) => ({ path: d.path, snapshot: JSON.stringify(d.a), local: JSON.stringify(d.b) }))
+    );
+    process.exit(1);
+  }
+  console.log(`✅ local token ${address} matches the snapshot (admin ${admin.address} keeps its roles)`);
+}
+
+main().catch((e) => {
+  console.error(e);
+  process.exit(1);
+});
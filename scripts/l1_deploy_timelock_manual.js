@@ -1,5 +1,6 @@
 require("dotenv").config();
 const { ethers } = require("hardhat");
+const { loadManifest, recordManifestEntry, scriptNetwork } = require("../sdk");
 
 async function main() {
   const [deployer] = await ethers.getSigners();
@@ -34,9 +35,20 @@ async function main() {
   console.log("\n💡 To verify on Etherscan, run:");
   console.log(`npx hardhat verify --network sepolia ${address} ${MIN_DELAY} "[${PROPOSERS}]" "[${EXECUTORS}]" "${ADMIN}"`);
 
-  // Save to .env
-  console.log("\n🔄 Add this to your .env file:");
-  console.log(`L1_TIMELOCK=${address}`);
+  // Record on the L2 deployment's manifest (DEPLOY_NETWORK, default arbitrumSepolia)
+  const dep = loadManifest(scriptNetwork());
+  if (dep.legacy) {
+    console.log(`\n🔄 ${dep.file} is not a manifest yet: run \`gemstep manifest import\`, then`);
+    console.log(`   gemstep manifest record --contracts l1Timelock=${address}`);
+  } else {
+    const { file } = recordManifestEntry(dep.state.network, {
+      kind: "configure",
+      contracts: { l1Timelock: address },
+      txs: { l1TimelockDeploy: timelock.deploymentTransaction().hash },
+      note: `L1 TimelockController, minDelay ${MIN_DELAY}`,
+    }, { file: dep.file });
+    console.log(`\n🔄 Recorded as l1Timelock in ${file}`);
+  }
 }
 
 main().catch((error) => {
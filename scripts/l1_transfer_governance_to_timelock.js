@@ -1,13 +1,15 @@
 require("dotenv").config();
 const { ethers } = require("ethers");
+const { openDeployment } = require("../sdk");
 
 async function main() {
   const L1_RPC = process.env.SEPOLIA_RPC_URL;
-  const L1_GOV = process.env.L1_GOVERNANCE_ADDR;
-  const L1_TIMELOCK = process.env.L1_TIMELOCK;
   const PK = process.env.L1_OWNER_PK;
 
   const l1 = new ethers.JsonRpcProvider(L1_RPC);
+  const dep = await openDeployment({ l1Provider: l1 });
+  const L1_GOV = dep.addressOf("l1Governance");
+  const L1_TIMELOCK = dep.addressOf("l1Timelock");
   const wallet = new ethers.Wallet(PK, l1);
 
   console.log("=== TRANSFER L1 GOVERNANCE OWNERSHIP ===");
@@ -0,0 +1,100 @@
+/* eslint-disable no-console */
+// Project monthly minting, treasury income, burns, halvings and cap exhaustion for a demand scenario.
+//
+//   node scripts/project_tokenomics.js --users 5000 --steps 8000 [--days 365] [--growth 5] [--chain] [--out f.json]
+//
+//   --users  submissions per day at the start
+//   --steps  steps per submission
+//   --growth monthly user growth in percent (compounded daily)
+//   --chain  start from the live token state (L2_RPC_URL / ARBITRUM_SEPOLIA_RPC_URL, token from
+//            deployments/<DEPLOY_NETWORK>-manifest.json); default is a freshly initialized token now
+require("dotenv").config();
+const fs = require("fs");
+const { ethers } = require("ethers");
+const { readMintingState, initialMintingState, projectTokenomics, halvingInfo, openDeployment } = require("../sdk");
+
+const fmt = (wei) => Number(ethers.formatEther(wei)).toLocaleString("en-US", { maximumFractionDigits: 2 });
+const date = (ts) => (ts == null ? "-" : new Date(Number(ts) * 1000).toISOString().slice(0, 10));
+
+function argValue(argv, flag) {
+  const i = argv.indexOf(flag);
+  if (i !== -1 && argv[i + 1]) return argv[i + 1];
+  const kv = argv.find((a) => a.startsWith(`${flag}=`));
+  return kv ? kv.split("=").slice(1).join("=") : null;
+}
+
+async function main() {
+  const argv = process.argv.slice(2);
+  const users = Number(argValue(argv, "--users"));
+  const steps = argValue(argv, "--steps");
+  if (!(users >= 0) || !steps) {
+    console.log("Usage: node scripts/project_tokenomics.js --users <n/day> --steps <n> [--days 365] [--growth %/month] [--chain] [--out f.json]");
+    process.exit(1);
+  }
+  const days = Number(argValue(argv, "--days") || 365);
+  const growth = Number(argValue(argv, "--growth") || 0) / 100;
+  const outFile = argValue(argv, "--out");
+
+  let state;
+  let start;
+  if (argv.includes("--chain")) {
+    const RPC = (process.env.L2_RPC_URL || process.env.ARBITRUM_SEPOLIA_RPC_URL || "").trim();
+    if (!/^https?:\/\//.test(RPC)) throw new Error("ARBITRUM_SEPOLIA_RPC_URL (or L2_RPC_URL) missing");
+    const provider = new ethers.JsonRpcProvider(RPC);
+    const dep = await openDeployment({ provider });
+    const token = dep.addressOf("token");
+    state = await readMintingState(token, provider);
+    start = BigInt((await provider.getBlock("latest")).timestamp);
+    console.log("Token    :", token);
+  } else {
+    start = BigInt(Math.floor(Date.now() / 1000));
+    state = initialMintingState(start);
+  }
+
+  const dailyGrowth = Math.pow(1 + growth, 1 / 30);
+  const res = projectTokenomics(state, {
+    start,
+    days,
+    dailyUsers: (d) => Math.floor(users * Math.pow(dailyGrowth, d)),
+    stepsPerUser: BigInt(steps),
+  });
+
+  const h = halvingInfo(state);
+  console.log("=== TOKENOMICS PROJECTION ===");
+  console.log("Start    :", date(start), `(${days} days)`);
+  console.log("Demand   :", `${users} submissions/day × ${steps} steps`, growth ? `(+${growth * 100}%/month)` : "");
+  console.log("Supply   :", fmt(state.totalSupply), "| distributed:", fmt(state.distributedTotal));
+  console.log("Halving  :", `#${h.currentHalvingCount}`, "next at", fmt(h.nextHalvingThreshold), `(${fmt(h.remainingUntilHalving)} to go)`);
+
+  console.table(
+    res.months.map((m) => ({
+      month: date(m.start).slice(0, 7),
+      submissions: m.submissions.toString(),
+      rejected: m.rejected.toString(),
+      "net minted": fmt(m.netMinted),
+      "to users": fmt(m.toUsers),
+      treasury: fmt(m.treasury),
+      burned: fmt(m.burned),
+      cap: fmt(m.monthlyCap),
+      "cap hit": date(m.capExhaustedAt),
+    }))
+  );
+
+  if (res.halvings.length) {
+    console.log("Halvings:");
+    for (const x of res.halvings) {
+      console.log(`  #${x.halvingCount} on ${date(x.at)}: cap ${fmt(x.monthlyCap)}, rate ${ethers.formatEther(x.rewardRate)}/step`);
+    }
+  }
+  if (res.maxSupplyReachedAt != null) console.log("MAX_SUPPLY reached:", date(res.maxSupplyReachedAt));
+
+  if (outFile) {
+    fs.writeFileSync(outFile, JSON.stringify(res, (_, v) => (typeof v === "bigint" ? v.toString() : v), 2));
+    console.log(`\n✅ Wrote ${outFile}`);
+  }
+}
+
+main().catch((e) => {
+  console.error("❌ project_tokenomics failed:", e);
+  process.exit(1);
+});
@@ -0,0 +1,98 @@
+/* eslint-disable no-console */
+// Backfill GemStep token events into SQLite, then keep following new blocks.
+//
+//   node scripts/run_indexer.js [--network arbitrumSepolia] [--deployment <file>] [--db <file>]
+//                               [--from <block>] [--once]
+//
+// The token address comes from the deployment manifest (sdk/manifest.js: deployments/<network>-manifest.json,
+// the older <network>-latest.json or deploy-<network>.json). Restarting resumes from the stored checkpoint.
+require("dotenv").config();
+const fs = require("fs");
+const path = require("path");
+const { ethers } = require("ethers");
+const Database = require("better-sqlite3");
+const { createIndexer, findDeploymentBlock } = require("../services/indexer");
+const { loadManifest } = require("../sdk");
+
+const isAddr = (a) => /^0x[a-fA-F0-9]{40}$/.test((a || "").trim());
+
+function argValue(argv, flag) {
+  const i = argv.indexOf(flag);
+  if (i !== -1 && argv[i + 1]) return argv[i + 1];
+  const kv = argv.find((a) => a.startsWith(`${flag}=`));
+  return kv ? kv.split("=").slice(1).join("=") : null;
+}
+
+async function main() {
+  const argv = process.argv.slice(2);
+  const network = argValue(argv, "--network") || (process.env.DEPLOY_NETWORK || "arbitrumSepolia").trim();
+  const once = argv.includes("--once");
+
+  const RPC = (
+    process.env.INDEXER_RPC_URL ||
+    (network === "localhost" ? "http://127.0.0.1:8545" : process.env.L2_RPC_URL || process.env.ARBITRUM_SEPOLIA_RPC_URL) ||
+    ""
+  ).trim();
+  if (!/^https?:\/\//.test(RPC)) throw new Error("INDEXER_RPC_URL (or L2_RPC_URL / ARBITRUM_SEPOLIA_RPC_URL) missing");
+
+  const CONFIRMATIONS = Number(process.env.INDEXER_CONFIRMATIONS ?? (network === "localhost" ? 0 : 5));
+  const BATCH = Number(process.env.INDEXER_BATCH_BLOCKS || 2000);
+  const POLL_MS = Number(process.env.INDEXER_POLL_MS || 5000);
+
+  const dep = loadManifest(network, { file: argValue(argv, "--deployment") || undefined });
+  const tokenAddr = dep.address("token");
+  if (!isAddr(tokenAddr)) throw new Error(`${dep.file}: no tokenProxy`);
+  const dbFile = argValue(argv, "--db") || process.env.INDEXER_DB || path.join(__dirname, "..", "data", `indexer-${network}.sqlite`);
+  fs.mkdirSync(path.dirname(dbFile), { recursive: true });
+
+  const provider = new ethers.JsonRpcProvider(RPC);
+  const db = new Database(dbFile);
+
+  let startBlock = argValue(argv, "--from") ?? process.env.INDEXER_FROM_BLOCK ?? dep.state.deployBlock;
+  if (startBlock == null) {
+    console.log("Locating deployment block (binary search on eth_getCode)…");
+    startBlock = await findDeploymentBlock(provider, tokenAddr);
+  }
+
+  const indexer = createIndexer({
+    db,
+    provider,
+    token: tokenAddr,
+    startBlock: Number(startBlock),
+    confirmations: CONFIRMATIONS,
+    batchSize: BATCH,
+    log: (m) => console.log(`[indexer] ${m}`),
+  });
+
+  console.log("=== GEMSTEP INDEXER ===");
+  console.log("RPC        :", RPC);
+  console.log("Deployment :", dep.file);
+  console.log("Token      :", tokenAddr);
+  console.log("Database   :", dbFile);
+  await indexer.init();
+
+  const res = await indexer.sync();
+  console.log(`Backfill done: blocks ${res.from}..${res.to}, ${res.events} events, ${res.reorgs} reorgs`);
+  console.log(JSON.stringify(indexer.status().counts));
+
+  if (once) {
+    db.close();
+    return;
+  }
+
+  indexer.start(POLL_MS);
+  console.log(`Following new blocks every ${POLL_MS}ms (confirmations=${CONFIRMATIONS})`);
+
+  const shutdown = () => {
+    indexer.stop();
+    db.close();
+    process.exit(0);
+  };
+  process.on("SIGINT", shutdown);
+  process.on("SIGTERM", shutdown);
+}
+
+main().catch((e) => {
+  console.error("❌ run_indexer failed:", e);
+  process.exit(1);
+});
@@ -0,0 +1,73 @@
+/* eslint-disable no-console */
+// Start the reference trusted-API relayer.
+//
+// Local (terminal 1: npx hardhat node, terminal 2: deploy), then:
+//   node scripts/run_relayer.js
+//
+// The relayer key must be a trusted API (token.setTrustedAPI(relayer, true)) and the API
+// signer key must hold API_SIGNER_ROLE; the relayer refuses to start otherwise.
+require("dotenv").config();
+const { ethers } = require("ethers");
+const { createRelayer, createRelayerServer } = require("../services/relayer");
+const { openDeployment } = require("../sdk");
+
+const isAddr = (a) => /^0x[a-fA-F0-9]{40}$/.test((a || "").trim());
+const isPK = (k) => /^0x[0-9a-fA-F]{64}$/.test((k || "").trim());
+
+/** RELAYER_TOKEN, else the token of the DEPLOY_NETWORK (default localhost) manifest, checked against the chain. */
+async function resolveToken(provider) {
+  const fromEnv = (process.env.RELAYER_TOKEN || "").trim();
+  if (isAddr(fromEnv)) return fromEnv;
+  const dep = await openDeployment({ network: (process.env.DEPLOY_NETWORK || "localhost").trim(), provider });
+  return dep.addressOf("token");
+}
+
+async function main() {
+  const RPC       = (process.env.RELAYER_RPC_URL || "http://127.0.0.1:8545").trim();
+  const PK        = (process.env.RELAYER_PK || "").trim();
+  const API_PK    = (process.env.RELAYER_API_SIGNER_PK || "").trim();
+  const PORT      = Number(process.env.RELAYER_PORT || 8787);
+  const POLL_MS   = Number(process.env.RELAYER_POLL_MS || 2000);
+  const isLocal   = /127\.0\.0\.1|localhost/.test(RPC);
+
+  const provider = new ethers.JsonRpcProvider(RPC);
+
+  let relayerSigner;
+  if (isPK(PK)) relayerSigner = new ethers.NonceManager(new ethers.Wallet(PK, provider));
+  else if (isLocal) relayerSigner = await provider.getSigner(0); // hardhat account #0
+  else throw new Error("RELAYER_PK missing/invalid (required for non-local RPCs)");
+
+  const apiSigner = isPK(API_PK) ? new ethers.Wallet(API_PK, provider) : relayerSigner;
+  const token = await resolveToken(provider);
+
+  const relayer = createRelayer({
+    token,
+    relayer: relayerSigner,
+    apiSigner,
+    log: (m) => console.log(`[relayer] ${m}`),
+  });
+
+  console.log("=== GEMSTEP RELAYER ===");
+  console.log("RPC      :", RPC);
+  console.log("Token    :", token);
+  const info = await relayer.init();
+  console.log("ChainId  :", info.chainId.toString());
+  console.log("Relayer  :", info.relayer);
+  console.log("APISigner:", info.apiSigner);
+
+  relayer.start(POLL_MS);
+  const server = createRelayerServer(relayer);
+  server.listen(PORT, () => console.log(`Listening on http://127.0.0.1:${PORT} (poll ${POLL_MS}ms)`));
+
+  const shutdown = () => {
+    relayer.stop();
+    server.close(() => process.exit(0));
+  };
+  process.on("SIGINT", shutdown);
+  process.on("SIGTERM", shutdown);
+}
+
+main().catch((e) => {
+  console.error("❌ run_relayer failed:", e);
+  process.exit(1);
+});
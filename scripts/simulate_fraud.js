@@ -0,0 +1,186 @@
+/* eslint-disable no-console */
+// Load and fraud simulation: thousands of synthetic users with behaviour profiles (steady walkers, spiky
+// users, ramping cheaters, API-relayed users) pushed through logSteps on a fresh local deployment with
+// time travel, then reported per profile: false-positive / false-negative rates, penalties, suspensions
+// and stake drained. The same population is replayed through the sdk/fraud.js model and every
+// submission where chain and model disagree is listed.
+//
+//   npx hardhat run scripts/simulate_fraud.js --network hardhat
+//
+//   SIM_USERS=2000           population size
+//   SIM_DAYS=21              simulated days (the grace period is 7)
+//   SIM_MIX=steady=55,spiky=20,cheater=10,api=15
+//   SIM_SEED=1
+//   SIM_PROFILES=f.json      per-profile overrides, e.g. {"cheater": {"ramp": 3, "rampFrom": 10}}
+//   SIM_THRESHOLD=5          setAnomalyThreshold before the run
+//   SIM_MODEL_ONLY=1         skip the chain, report the model (seconds instead of minutes)
+//   SIM_BLOCK_TXS=60         logSteps per block
+//   SIM_OUT=report.json
+//
+// Exits 1 if the chain and the model disagree.
+const fs = require("fs");
+const hre = require("hardhat");
+const {
+  INITIAL_SUPPLY,
+  DEFAULT_FRAUD_MIX,
+  defaultAnomalyPolicy,
+  readAnomalyPolicy,
+  planPopulation,
+  runFraudModel,
+  runFraudSimulation,
+  summarizeFraudRun,
+  compareFraudOutcomes,
+} = require("../sdk");
+
+const { ethers, upgrades } = hre;
+
+const SOURCE = "simwalk";
+const DAY = 86400n;
+
+const pct = (x) => (x == null ? "-" : `${(x * 100).toFixed(2)}%`);
+
+function parseMix(s) {
+  if (!s) return DEFAULT_FRAUD_MIX;
+  return Object.fromEntries(
+    s.split(",").map((kv) => {
+      const [k, v] = kv.split("=");
+      if (!k || !(Number(v) >= 0)) throw new Error(`SIM_MIX: bad entry "${kv}"`);
+      return [k.trim(), Number(v)];
+    })
+  );
+}
+
+function printReport(title, report) {
+  console.log(`\n=== ${title} ===`);
+  console.table(
+    Object.fromEntries(
+      Object.entries(report).map(([name, r]) => [
+        name,
+        {
+          users: r.users,
+          submissions: r.submissions,
+          rejected: r.rejected,
+          fraudulent: r.fraudulent,
+          "false +": `${r.falsePositives} (${pct(r.falsePositiveRate)})`,
+          "false -": `${r.falseNegatives} (${pct(r.falseNegativeRate)})`,
+          penalties: r.penalties,
+          "stake drained (ETH)": ethers.formatEther(r.stakeDrained),
+          suspensions: r.suspensions,
+          "users suspended": r.usersSuspended,
+          "inflated steps": r.inflatedSteps.toString(),
+        },
+      ])
+    )
+  );
+  for (const [name, r] of Object.entries(report)) {
+    const why = Object.entries(r.rejections).map(([k, v]) => `${k} ×${v}`);
+    if (why.length) console.log(`  ${name} rejections: ${why.join(", ")}`);
+  }
+}
+
+async function deploy(admin, threshold) {
+  const oracle = await (await ethers.getContractFactory("MockOracleV2")).deploy();
+  await oracle.waitForDeployment();
+  const Token = await ethers.getContractFactory("GemStepToken");
+  const token = await upgrades.deployProxy(
+    Token,
+    [INITIAL_SUPPLY, admin.address, await oracle.getAddress(), admin.address],
+    { initializer: "initialize" }
+  );
+  await token.waitForDeployment();
+  await (await token.connect(admin).configureSource(SOURCE, false, false)).wait();
+  if (threshold != null) await (await token.connect(admin).setAnomalyThreshold(threshold)).wait();
+  return token;
+}
+
+async function main() {
+  const users = Number(process.env.SIM_USERS || 2000);
+  const days = Number(process.env.SIM_DAYS || 21);
+  const seed = process.env.SIM_SEED || "1";
+  const mix = parseMix(process.env.SIM_MIX);
+  const profiles = process.env.SIM_PROFILES ? JSON.parse(fs.readFileSync(process.env.SIM_PROFILES, "utf8")) : {};
+  const threshold = process.env.SIM_THRESHOLD ? BigInt(process.env.SIM_THRESHOLD) : null;
+  const modelOnly = process.env.SIM_MODEL_ONLY === "1";
+  const blockTxs = Number(process.env.SIM_BLOCK_TXS || 60);
+  const outFile = process.env.SIM_OUT;
+
+  console.log(`population: ${users} users × ${days} days, seed ${seed}`);
+  const mixText = Object.entries(mix).map(([k, v]) => `${k}=${v}`);
+  console.log(`mix       : ${mixText.join(" ")}`);
+
+  let token;
+  let policy;
+  let start;
+  if (modelOnly) {
+    policy = defaultAnomalyPolicy(threshold != null ? { anomalyThreshold: threshold } : {});
+    start = (BigInt(Math.floor(Date.now() / 1000)) / DAY + 1n) * DAY;
+  } else {
+    if (hre.network.name !== "hardhat" && hre.network.name !== "localhost") {
+      throw new Error(
+        `the simulation time-travels and funds accounts; run on hardhat or localhost, not ${hre.network.name}`
+      );
+    }
+    const [admin] = await ethers.getSigners();
+    token = await deploy(admin, threshold);
+    console.log(`token     : ${await token.getAddress()}`);
+    policy = await readAnomalyPolicy(token, SOURCE, ethers.provider);
+    // Next midnight + 1 day: room for the staking blocks, and days line up with the contract's day index.
+    start = (BigInt((await ethers.provider.getBlock("latest")).timestamp) / DAY + 2n) * DAY;
+  }
+  const perStep = ethers.formatEther(policy.stakePerStep);
+  console.log(
+    `policy    : threshold ${policy.anomalyThreshold}x, stepLimit ${policy.stepLimit}, ` +
+      `${policy.maxStepsPerDay}/day, interval ${policy.minInterval}s, ${perStep} ETH/step`
+  );
+
+  // Enough for the largest submission plus a few penalties; cheaters that keep getting slashed run dry.
+  const stake = policy.stepLimit * policy.stakePerStep * 2n;
+  const plan = planPopulation({ users, days, start, mix, seed, profiles, stepLimit: policy.stepLimit });
+  const n = plan.users.reduce((a, u) => a + u.submissions.length, 0);
+  console.log(`schedule  : ${n} submissions from ${new Date(Number(plan.start) * 1000).toISOString().slice(0, 10)}`);
+
+  let report;
+  let mismatches = [];
+  if (modelOnly) {
+    report = summarizeFraudRun(runFraudModel(plan, policy, { stake }));
+    printReport("MODEL", report);
+  } else {
+    const [admin] = await ethers.getSigners();
+    const t0 = Date.now();
+    const run = await runFraudSimulation(token, plan, { admin, source: SOURCE, stake, blockTxs, log: console.log });
+    console.log(`mined ${run.blocks} blocks in ${((Date.now() - t0) / 1000).toFixed(0)}s`);
+
+    const model = runFraudModel(run.plan, policy, { stake });
+    mismatches = compareFraudOutcomes(model, run.outcomes);
+    // Reverts carry no reason in the receipt; where the model agrees it rejected, use its reason.
+    run.outcomes.forEach((o, i) => {
+      if (!o.ok && !model[i].ok) o.reason = model[i].reason;
+    });
+    report = summarizeFraudRun(run.outcomes);
+    printReport("CHAIN", report);
+
+    if (mismatches.length) {
+      console.log(`\n❌ ${mismatches.length} chain/model mismatch(es):`);
+      for (const d of mismatches.slice(0, 20)) {
+        console.log(`  user #${d.user} submission ${d.k}: ${d.field} chain=${d.chain} model=${d.model}`);
+      }
+    } else {
+      console.log("\n✓ chain outcomes match the model");
+    }
+  }
+
+  if (outFile) {
+    const out = { seed, users, days, mix, policy, stake, modelOnly, report, mismatches };
+    fs.writeFileSync(
+      outFile,
+      JSON.stringify(out, (_, v) => (typeof v === "bigint" ? v.toString() : v), 2)
+    );
+    console.log(`✅ Wrote ${outFile}`);
+  }
+  if (mismatches.length) process.exitCode = 1;
+}
+
+main().catch((e) => {
+  console.error("❌ simulate_fraud failed:", e);
+  process.exit(1);
+});
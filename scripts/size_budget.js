@@ -0,0 +1,168 @@
+/* eslint-disable no-console */
+// Contract size budget across build profiles. Compiles the tree once per profile (each into its own
+// artifacts dir, via ARTIFACTS_DIR / CACHE_DIR), measures runtime and initcode per contract and per
+// module (see sdk/sizes.js), and compares them with size-budget.json.
+//
+//   node scripts/size_budget.js                         (npm run size:budget)
+//   node scripts/size_budget.js --update                (npm run size:budget:update)
+//   node scripts/size_budget.js --profiles dev,prod-deploy --modules
+//
+//   --profiles a,b     subset of the matrix (default: all of SIZE_PROFILES in sdk/sizes.js)
+//   --matrix file      JSON matrix {"name": {"env": {...}, "enforceLimit": true}} replacing the default
+//   --budget file      default size-budget.json
+//   --tolerance n      allowed growth in bytes (default: the budget's tolerance)
+//   --update           record this run as the budget instead of comparing
+//   --modules          print the per-module breakdown of every contract
+//   --json             print the comparison as JSON
+//   --keep             keep the per-profile build dirs (printed) instead of deleting them
+//
+// Exits 1 if a contract grew past its budget, or is over EIP-170 / EIP-3860 in a profile that deploys.
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { spawnSync } = require("child_process");
+const {
+  EIP170_RUNTIME_LIMIT,
+  SIZE_CONTRACTS: CONTRACTS,
+  SIZE_PROFILES: PROFILES,
+  readBuildSizes,
+  readSizeBudget,
+  writeSizeBudget,
+  compareSizes,
+} = require("../sdk");
+
+const ROOT = path.join(__dirname, "..");
+
+// Every knob hardhat.config.js reads is pinned, so a local .env cannot change what a profile means.
+const BASE_ENV = { SIZE_ONLY: "", YUL: "1", YUL_STEPS: "", PRINT_BUILD: "0", REPORT_GAS: "false" };
+
+function argValue(argv, flag) {
+  const i = argv.indexOf(flag);
+  if (i !== -1 && argv[i + 1]) return argv[i + 1];
+  const kv = argv.find((a) => a.startsWith(`${flag}=`));
+  return kv ? kv.split("=").slice(1).join("=") : null;
+}
+
+function compile(name, profile, dir) {
+  const env = {
+    ...process.env,
+    ...BASE_ENV,
+    ...profile.env,
+    ARTIFACTS_DIR: path.join(dir, "artifacts"),
+    CACHE_DIR: path.join(dir, "cache"),
+  };
+  const t0 = Date.now();
+  const r = spawnSync("npx", ["hardhat", "compile", "--force", "--quiet"], {
+    cwd: ROOT,
+    env,
+    encoding: "utf8",
+    stdio: ["ignore", "pipe", "pipe"],
+    shell: process.platform === "win32",
+    maxBuffer: 64 * 1024 * 1024,
+  });
+  if (r.status !== 0) {
+    const out = `${r.stdout || ""}${r.stderr || ""}`.trim().split("\n").slice(-20).join("\n");
+    throw new Error(`compile failed for profile ${name}:\n${out || r.error?.message}`);
+  }
+  console.log(`  ${name.padEnd(14)} compiled in ${((Date.now() - t0) / 1000).toFixed(0)}s`);
+  return readBuildSizes(env.ARTIFACTS_DIR, CONTRACTS);
+}
+
+const signed = (n) => (n == null ? "-" : `${n > 0 ? "+" : ""}${n}`);
+
+function printComparison(cmp) {
+  console.log(`\n=== sizes vs budget (tolerance ${cmp.tolerance} bytes) ===`);
+  console.table(
+    cmp.rows.map((r) => ({
+      profile: r.profile,
+      contract: r.contract,
+      runtime: r.runtime,
+      "Δ runtime": r.budgetRuntime == null ? "-" : signed(r.runtime - r.budgetRuntime),
+      [`headroom (${EIP170_RUNTIME_LIMIT})`]: r.runtimeHeadroom,
+      initcode: r.initcode,
+      "Δ initcode": r.budgetInitcode == null ? "-" : signed(r.initcode - r.budgetInitcode),
+      status: r.status,
+    }))
+  );
+  if (cmp.grown.length) {
+    console.log("\nModules that grew:");
+    console.table(
+      cmp.grown.map((g) => ({
+        profile: g.profile,
+        contract: g.contract,
+        module: g.module,
+        code: g.kind,
+        before: g.before,
+        after: g.after,
+        delta: signed(g.delta),
+      }))
+    );
+  }
+}
+
+function printModules(sizes) {
+  for (const [profile, contracts] of Object.entries(sizes)) {
+    for (const [name, c] of Object.entries(contracts)) {
+      console.log(`\n${name} [${profile}] runtime ${c.runtime}, initcode ${c.initcode}`);
+      console.table(Object.fromEntries(Object.entries(c.modules).sort((a, b) => b[1].runtime - a[1].runtime)));
+    }
+  }
+}
+
+async function main() {
+  const argv = process.argv.slice(2);
+  const budgetFile = path.resolve(argValue(argv, "--budget") || path.join(ROOT, "size-budget.json"));
+  const matrixFile = argValue(argv, "--matrix");
+  const matrix = matrixFile ? JSON.parse(fs.readFileSync(matrixFile, "utf8")) : PROFILES;
+  const only = argValue(argv, "--profiles");
+  const names = only ? only.split(",").map((s) => s.trim()) : Object.keys(matrix);
+  const unknown = names.filter((n) => !matrix[n]);
+  if (unknown.length) throw new Error(`Unknown profile(s): ${unknown.join(", ")}`);
+  const toleranceArg = argValue(argv, "--tolerance");
+  const tolerance = toleranceArg != null ? Number(toleranceArg) : undefined;
+
+  console.log(`Compiling ${CONTRACTS.join(", ")} under ${names.length} profile(s)…`);
+  const sizes = {};
+  for (const name of names) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), `gemstep-size-${name}-`));
+    try {
+      sizes[name] = compile(name, matrix[name], dir);
+    } finally {
+      if (argv.includes("--keep")) console.log(`    build kept in ${dir}`);
+      else fs.rmSync(dir, { recursive: true, force: true });
+    }
+  }
+
+  if (argv.includes("--modules")) printModules(sizes);
+
+  const budget = readSizeBudget(budgetFile);
+  if (argv.includes("--update")) {
+    // Keep budgets of profiles that were not rebuilt this run.
+    const kept = Object.entries(budget?.profiles || {}).map(([p, v]) => [p, v.contracts]);
+    const merged = { ...Object.fromEntries(kept), ...sizes };
+    writeSizeBudget(budgetFile, merged, { tolerance: tolerance ?? budget?.tolerance });
+    console.log(`✅ Wrote ${budgetFile}`);
+    return;
+  }
+
+  const enforceLimits = names.filter((n) => matrix[n].enforceLimit);
+  const cmp = compareSizes(budget, sizes, { tolerance, enforceLimits });
+  if (argv.includes("--json")) console.log(JSON.stringify(cmp, null, 2));
+  else printComparison(cmp);
+
+  if (cmp.rows.some((r) => r.status === "new")) {
+    console.log(`\nℹ️  No budget in ${budgetFile} for some contracts; record it with: npm run size:budget:update`);
+  }
+  if (!cmp.ok) {
+    const bad = cmp.rows.filter((r) => r.status === "over-budget" || r.status === "over-limit");
+    console.log(`\n❌ ${bad.length} contract build(s) over budget or over the size limit`);
+    process.exitCode = 1;
+  } else {
+    console.log("\n✓ within budget");
+  }
+}
+
+main().catch((e) => {
+  console.error("❌ size_budget failed:", e.message || e);
+  process.exit(1);
+});
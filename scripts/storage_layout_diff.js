@@ -0,0 +1,142 @@
+/* eslint-disable no-console */
+// Field-level storage layout diff between two builds, offline (build artifacts only; see sdk/layout.js).
+//
+//   node scripts/storage_layout_diff.js GemStepToken GemStepTokenV2Mock
+//   node scripts/storage_layout_diff.js deployments/layouts/GemStepToken-v1.json GemStepToken
+//   node scripts/storage_layout_diff.js GemStepToken --base-artifacts ../release-1.0/artifacts
+//
+//   <base> <candidate>  contract name, contracts/X.sol:Name, or a layout file saved with --save
+//                       (candidate defaults to the base name, for a diff against --base-artifacts)
+//   --artifacts dir       candidate build (default ./artifacts)
+//   --base-artifacts dir  base build (default: same as --artifacts)
+//   --save file           also write the base layout to file, to diff later builds against it
+//   --all                 list unchanged entries too
+//   --json                print the diff as JSON
+//
+// Exits 1 if any change is unsafe. When deployments/<DEPLOY_NETWORK>-manifest.json records the
+// deployed implementation's storage layout hash, says whether the base is that layout.
+require("dotenv").config();
+const {
+  diffStorageLayouts,
+  flattenStorageLayout,
+  readStorageLayout,
+  saveStorageLayout,
+  storageLayoutHash,
+  loadManifest,
+  scriptNetwork,
+} = require("../sdk");
+
+const VALUE_FLAGS = ["--artifacts", "--base-artifacts", "--save"];
+
+function argValue(argv, flag) {
+  const i = argv.indexOf(flag);
+  if (i !== -1 && argv[i + 1]) return argv[i + 1];
+  const kv = argv.find((a) => a.startsWith(`${flag}=`));
+  return kv ? kv.split("=").slice(1).join("=") : null;
+}
+
+function positionals(argv) {
+  const out = [];
+  for (let i = 0; i < argv.length; i++) {
+    if (VALUE_FLAGS.includes(argv[i])) i++;
+    else if (!argv[i].startsWith("--")) out.push(argv[i]);
+  }
+  return out;
+}
+
+/** The deployed implementation's layout hash from the manifest, if there is one. */
+function deployedLayoutHash() {
+  try {
+    const m = loadManifest(scriptNetwork());
+    const hash = m.state.implementation?.storageLayoutHash;
+    return hash ? { file: m.file, hash } : null;
+  } catch {
+    return null;
+  }
+}
+
+const where = (e) => (e ? `${e.slot}${e.offset ? `+${e.offset}` : ""}` : "");
+const typeChange = (c) =>
+  !c.before
+    ? c.after.type
+    : !c.after || c.before.type === c.after.type
+    ? c.before.type
+    : `${c.before.type} → ${c.after.type}`;
+
+function main() {
+  const argv = process.argv.slice(2);
+  const [baseRef, candRef = baseRef] = positionals(argv);
+  if (!baseRef) {
+    console.log(
+      "Usage: node scripts/storage_layout_diff.js <base> [candidate] [--artifacts dir] [--base-artifacts dir] [--save file] [--all] [--json]"
+    );
+    process.exit(1);
+  }
+  const artifactsDir = argValue(argv, "--artifacts") || undefined;
+  const baseArtifactsDir = argValue(argv, "--base-artifacts") || artifactsDir;
+  const json = argv.includes("--json");
+
+  const base = readStorageLayout(baseRef, { artifactsDir: baseArtifactsDir });
+  const cand = readStorageLayout(candRef, { artifactsDir });
+  if (argValue(argv, "--save")) saveStorageLayout(argValue(argv, "--save"), base);
+  const res = diffStorageLayouts(base, cand);
+
+  const deployed = deployedLayoutHash();
+  const baseHash = storageLayoutHash(base);
+  const deployedNote = deployed && {
+    manifest: deployed.file,
+    baseIsDeployed: deployed.hash === baseHash,
+    candidateIsDeployed: deployed.hash === storageLayoutHash(cand),
+  };
+
+  if (json) {
+    console.log(
+      JSON.stringify({ base: base.contract, candidate: cand.contract, deployed: deployedNote, ...res }, null, 2)
+    );
+  } else {
+    console.log(`base      : ${base.contract} (${base.source})`);
+    console.log(`candidate : ${cand.contract} (${cand.source})`);
+    if (deployedNote) {
+      const which = deployedNote.baseIsDeployed ? "base" : deployedNote.candidateIsDeployed ? "candidate" : "neither";
+      console.log(`deployed  : ${which} matches the layout recorded in ${deployedNote.manifest}`);
+    }
+    const rows = res.changes.map((c) => ({
+      change: c.kind,
+      variable: c.path,
+      contract: c.contract || "",
+      slot:
+        c.before && c.after && where(c.before) !== where(c.after)
+          ? `${where(c.before)} → ${where(c.after)}`
+          : where(c.after || c.before),
+      type: typeChange(c),
+      safe: c.safe ? "✅" : "❌",
+      reason: c.reason,
+    }));
+    if (argv.includes("--all")) {
+      const changed = new Set(res.changes.map((c) => c.before && c.path));
+      for (const e of flattenStorageLayout(base).filter((x) => !changed.has(x.path))) {
+        rows.push({
+          change: "",
+          variable: e.path,
+          contract: e.contract || "",
+          slot: where({ ...e, slot: String(e.slot) }),
+          type: e.type,
+          safe: "",
+          reason: "",
+        });
+      }
+    }
+    if (rows.length) console.table(rows);
+    const unsafe = res.changes.filter((c) => !c.safe).length;
+    console.log(`${res.changes.length} change(s), ${unsafe} unsafe, ${res.unchanged} unchanged`);
+    console.log(res.safe ? "✅ Storage layout is upgrade-compatible" : "❌ Storage layout is NOT upgrade-compatible");
+  }
+  if (!res.safe) process.exit(1);
+}
+
+try {
+  main();
+} catch (e) {
+  console.error("❌ storage_layout_diff failed:", e?.message || e);
+  process.exit(1);
+}
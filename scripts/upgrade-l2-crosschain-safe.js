@@ -1,5 +1,7 @@
 // scripts/upgrade-l2-crosschain-safe.js
-const { ethers, upgrades } = require("hardhat");
+const hre = require("hardhat");
+const { ethers, upgrades, network } = hre;
+const { openDeployment, describeImplementation, recordManifestEntry } = require("../sdk");
 const { validateUpgradeSafety } = require("./validate-upgrade-safety");
 
 async function main() {
@@ -12,8 +14,8 @@ async function main() {
   // Phase 2: Standard upgrade process (your existing code)
   console.log("\n📋 PHASE 2: Standard Upgrade Execution");
   
-  const l2Deployment = require("../deployments/arbitrumSepolia-latest.json");
-  const l2ProxyAddress = l2Deployment.contracts.tokenProxy;
+  const dep = await openDeployment({ network: network.name, provider: ethers.provider });
+  const l2ProxyAddress = dep.addressOf("token");
   const [deployer] = await ethers.getSigners();
   
   const GemStepToken = await ethers.getContractFactory("GemStepToken");
@@ -39,6 +41,19 @@ async function main() {
   
   const newImpl = await upgrades.erc1967.getImplementationAddress(l2ProxyAddress);
   console.log("✅ Upgrade complete. New implementation:", newImpl);
+
+  if (dep.legacy) {
+    console.warn(`⚠️  ${dep.file} is not a manifest; run \`gemstep manifest import\`, then \`manifest record --kind upgrade --impl ${newImpl}\``);
+  } else {
+    const upgradeTx = upgraded.deploymentTransaction()?.hash;
+    const { file } = recordManifestEntry(network.name, {
+      kind: "upgrade",
+      ...(await describeImplementation(hre, "GemStepToken", newImpl)),
+      ...(upgradeTx && { txs: { upgradeProxy: upgradeTx } }),
+      note: "upgrade-l2-crosschain-safe.js",
+    }, { file: dep.file });
+    console.log("💾 Manifest updated:", file);
+  }
   
   // Verify state preservation
   const [rewardRateAfter, stepLimitAfter, l1GovAfter] = await Promise.all([
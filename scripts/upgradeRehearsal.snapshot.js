@@ -0,0 +1,120 @@
+/* eslint-disable no-console */
+// Rehearsal against a state snapshot: Timelock → UpgradeExecutor → ProxyAdmin (atomic upgradeAndCall)
+// on a Hardhat node loaded with a dump from scripts/dump_proxy_state.js — production storage, no RPC.
+//
+//   STATE_DUMP=deployments/snapshots/arbitrumSepolia-91234567.json \
+//     npx hardhat run scripts/upgradeRehearsal.snapshot.js --network hardhat
+//
+//   STATE_DUMP         dump file (default: the newest one in deployments/snapshots)
+//   UPGRADE_CONTRACT   implementation to deploy and upgrade to (default GemStepTokenV2Mock)
+//   UPGRADE_INIT_SIG   initializer run by upgradeAndCall (default "initializeV2()")
+//   UPGRADE_IGNORE     comma-separated regexes of check keys the upgrade is expected to change
+//
+// Steps: load the dump; check every recorded view result reads back the same (else the dump is
+// missing slots and the rehearsal would prove nothing); diff storage layouts; deploy the new
+// implementation; upgrade as the timelock proposer; re-run the checks. Exits 1 on any difference.
+const fs = require("fs");
+const path = require("path");
+const hre = require("hardhat");
+const {
+  DEPLOYMENTS_DIR,
+  readStateDump,
+  loadStateDump,
+  stateChecks,
+  observe,
+  compareObservations,
+  rehearseUpgrade,
+  readStorageLayout,
+  diffStorageLayouts,
+} = require("../sdk");
+
+const { ethers } = hre;
+
+function latestDump(dir = path.join(DEPLOYMENTS_DIR, "snapshots")) {
+  const files = fs.existsSync(dir) ? fs.readdirSync(dir).filter((f) => f.endsWith(".json")) : [];
+  if (!files.length) throw new Error(`No state dump in ${dir} (run scripts/dump_proxy_state.js, or set STATE_DUMP)`);
+  return path.join(
+    dir,
+    files.map((f) => [f, fs.statSync(path.join(dir, f)).mtimeMs]).sort((a, b) => b[1] - a[1])[0][0]
+  );
+}
+
+function printDiffs(title, diffs) {
+  console.log(`❌ ${title}: ${diffs.length} check(s) differ`);
+  console.table(
+    diffs.slice(0, 50).map((d) => ({ check: d.key, before: JSON.stringify(d.before), after: JSON.stringify(d.after) }))
+  );
+  if (diffs.length > 50) console.log(`   … and ${diffs.length - 50} more`);
+}
+
+async function main() {
+  if (hre.network.name !== "hardhat" && hre.network.name !== "localhost") {
+    throw new Error(`Rehearsals rewrite account state; run on hardhat or localhost, not ${hre.network.name}`);
+  }
+  const file = process.env.STATE_DUMP || latestDump();
+  const contractName = process.env.UPGRADE_CONTRACT || "GemStepTokenV2Mock";
+  const initSig = process.env.UPGRADE_INIT_SIG ?? "initializeV2()";
+  const ignore = (process.env.UPGRADE_IGNORE || "")
+    .split(",")
+    .filter(Boolean)
+    .map((s) => new RegExp(s));
+
+  const dump = readStateDump(file);
+  const gov = dump.governance;
+  console.log(`dump      : ${file}`);
+  console.log(`source    : ${dump.network} (chain ${dump.chainId}) @ block ${dump.blockNumber}`);
+  console.log(`proxy     : ${gov.token}`);
+  console.log(`timelock  : ${gov.timelock} (proposer ${gov.proposer})`);
+  console.log(`executor  : ${gov.executor} → proxyAdmin ${gov.proxyAdmin}`);
+
+  console.log("\nLoading state…");
+  await loadStateDump(ethers.provider, dump, { log: console.log });
+  if (dump.blockTimestamp) {
+    const now = (await ethers.provider.getBlock("latest")).timestamp;
+    if (now < dump.blockTimestamp) await ethers.provider.send("evm_setNextBlockTimestamp", [dump.blockTimestamp + 1]);
+    await ethers.provider.send("evm_mine", []);
+  }
+
+  const checks = stateChecks(dump);
+  const loaded = await observe(ethers.provider, checks);
+  const fidelity = compareObservations(dump.observations, loaded);
+  if (fidelity.length) {
+    printDiffs("Loaded state does not match the dump's recorded results", fidelity);
+    process.exit(1);
+  }
+  console.log(`✓ ${checks.length} check(s) read back as recorded`);
+
+  if (dump.tokenLayout) {
+    const res = diffStorageLayouts(readStorageLayout(dump.tokenLayout), readStorageLayout(contractName));
+    const unsafe = res.changes.filter((c) => !c.safe);
+    for (const c of unsafe) console.log(`  ❌ ${c.kind} ${c.path}: ${c.reason}`);
+    if (unsafe.length) throw new Error(`${contractName} is not storage-compatible with ${dump.tokenLayout}`);
+    console.log(`✓ storage layout: ${res.changes.length} compatible change(s)`);
+  }
+
+  const Impl = await ethers.getContractFactory(contractName);
+  const impl = await Impl.deploy();
+  await impl.waitForDeployment();
+  const implementation = await impl.getAddress();
+  const initData = initSig ? Impl.interface.encodeFunctionData(initSig, []) : "0x";
+  console.log(`\nNew ${contractName} impl: ${implementation}`);
+
+  await rehearseUpgrade(ethers.provider, gov, { implementation, initData, log: console.log });
+  console.log(`✓ proxy implementation is ${implementation}`);
+
+  const after = await observe(ethers.provider, checks);
+  const diffs = compareObservations(loaded, after, { ignore });
+  if (diffs.length) {
+    printDiffs("Upgrade changed state", diffs);
+    process.exit(1);
+  }
+  console.log(
+    `✓ ${checks.length} post-upgrade check(s) unchanged (balances, nonces, stakes, sources, roles, governance)`
+  );
+  console.log("✓ Upgrade rehearsal (snapshot) complete.");
+}
+
+main().catch((e) => {
+  console.error(e);
+  process.exit(1);
+});
@@ -3,6 +3,7 @@
 require("dotenv").config();
 const hre = require("hardhat");
 const chalk = require("chalk");
+const { openDeployment, describeImplementation, recordManifestEntry } = require("../sdk");
 
 const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
 async function waitSecsOnLive(secs, label) {
@@ -34,11 +35,6 @@ const MINI_ABI = [
 
 async function main() {
   const {
-    PROXY_ADDRESS,
-    PROXY_ADMIN_ADDRESS,
-    EXECUTOR_ADDRESS,
-    TIMELOCK_ADDRESS,
-    MINI_MULTISIG,
     MS_EOA1_PK,
     MS_EOA2_PK,
 
@@ -52,13 +48,15 @@ async function main() {
     INIT_ARGS_JSON,     // e.g. '["0xAdmin","12345"]'
   } = process.env;
 
+  const dep = await openDeployment({ network: hre.network.name, provider: hre.ethers.provider });
+  const PROXY_ADDRESS       = dep.addressOf("token");
+  const PROXY_ADMIN_ADDRESS = dep.addressOf("proxyAdmin");
+  const EXECUTOR_ADDRESS    = dep.addressOf("upgradeExecutor");
+  const TIMELOCK_ADDRESS    = dep.addressOf("timelock");
+  const MINI_MULTISIG       = dep.addressOf("miniMultisig");
+
   const bad = [];
   const isAddr = (a) => { try { return !!hre.ethers.getAddress(a); } catch { return false; } };
-  if (!isAddr(PROXY_ADDRESS))       bad.push("PROXY_ADDRESS");
-  if (!isAddr(PROXY_ADMIN_ADDRESS)) bad.push("PROXY_ADMIN_ADDRESS");
-  if (!isAddr(EXECUTOR_ADDRESS))    bad.push("EXECUTOR_ADDRESS");
-  if (!isAddr(TIMELOCK_ADDRESS))    bad.push("TIMELOCK_ADDRESS");
-  if (!isAddr(MINI_MULTISIG))       bad.push("MINI_MULTISIG");
   if (!/^0x[0-9a-fA-F]{64}$/.test((MS_EOA1_PK || "").trim())) bad.push("MS_EOA1_PK");
   if (!/^0x[0-9a-fA-F]{64}$/.test((MS_EOA2_PK || "").trim())) bad.push("MS_EOA2_PK");
   if (bad.length) throw new Error("Missing/invalid env(s): " + bad.join(", "));
@@ -266,6 +264,16 @@ async function main() {
   if (implAfter.toLowerCase() !== newImplAddr.toLowerCase()) {
     throw new Error("Upgrade did not take effect");
   }
+  if (dep.legacy) {
+    console.log(chalk.yellow(`⚠️  ${dep.file} is not a manifest; run \`gemstep manifest import\`, then \`manifest record --kind upgrade --impl ${implAfter}\``));
+  } else {
+    const { file } = recordManifestEntry(net, {
+      kind: "upgrade",
+      ...(await describeImplementation(hre, implFactoryName, implAfter)),
+      note: `upgrade_via_timelock_executor_fixed.js (${methodExec})`,
+    }, { file: dep.file });
+    console.log(chalk.gray(`manifest   : ${file}`));
+  }
 
   console.log(chalk.bold.green("\n🎉 Upgrade complete via Timelock → UpgradeExecutor (Mini path supported)"));
 }
@@ -1,14 +1,14 @@
 // scripts/validate-upgrade-safety.js
 /* eslint-disable no-console */
-const { ethers, upgrades } = require("hardhat");
+const { ethers, upgrades, network } = require("hardhat");
+const { openDeployment } = require("../sdk");
 
 async function validateUpgradeSafety() {
   console.log("🔒 Validating Upgrade Safety...");
 
   // 0) Load proxy address
-  const l2Deployment = require("../deployments/arbitrumSepolia-latest.json");
-  const proxyAddress = l2Deployment?.contracts?.tokenProxy;
-  if (!proxyAddress) throw new Error("Proxy address not found in deployments/arbitrumSepolia-latest.json");
+  const dep = await openDeployment({ network: network.name, provider: ethers.provider });
+  const proxyAddress = dep.addressOf("token");
 
   // 1) Storage layout validation (authoritative)
   const GemStepken = await ethers.getContractFactory("GemStepToken");
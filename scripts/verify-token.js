@@ -1,15 +1,16 @@
 const { ethers } = require("hardhat");
-const fs = require("fs");
+const { network } = require("hardhat");
+const { loadManifest } = require("../sdk");
 
 async function main() {
   console.log("🔍 Verifying token contract...");
   
-  const deployment = JSON.parse(fs.readFileSync('./deployments/sepolia-latest.json'));
+  const deployment = loadManifest(network.name);
   
   // Try both addresses
   const addresses = {
-    tokenProxy: deployment.contracts.tokenProxy,
-    upgradeExecutor: deployment.contracts.upgradeExecutor
+    tokenProxy: deployment.addressOf("token"),
+    upgradeExecutor: deployment.addressOf("upgradeExecutor")
   };
   
   for (const [name, address] of Object.entries(addresses)) {
@@ -1,11 +1,13 @@
 require("dotenv").config();
 const { ethers } = require("ethers");
+const { openDeployment } = require("../sdk");
 
 async function main() {
   const L2_RPC = process.env.ARBITRUM_SEPOLIA_RPC_URL;
-  const L2_TOK = process.env.L2_TOKEN_PROXY;
 
   const l2 = new ethers.JsonRpcProvider(L2_RPC);
+  const dep = await openDeployment({ provider: l2 });
+  const L2_TOK = dep.addressOf("token");
   const token = new ethers.Contract(L2_TOK, [
     "function getCoreParams() view returns (uint256,uint256,uint256,uint256)"
   ], l2);
@@ -0,0 +1,200 @@
+// sdk/abis.js
+// Human-readable ABI fragments for the governance/admin contracts around the token.
+// One registry for scripts and the `gemstep` CLI, instead of per-script copies.
+const { STEP_SUBMISSION_TUPLE, VERIFICATION_DATA_TUPLE } = require("./constants");
+
+/** OpenZeppelin TimelockController (L1 and L2 timelocks). */
+const TIMELOCK_ABI = [
+  "function PROPOSER_ROLE() view returns (bytes32)",
+  "function EXECUTOR_ROLE() view returns (bytes32)",
+  "function CANCELLER_ROLE() view returns (bytes32)",
+  "function DEFAULT_ADMIN_ROLE() view returns (bytes32)",
+  "function hasRole(bytes32 role, address account) view returns (bool)",
+  "function getMinDelay() view returns (uint256)",
+  "function getTimestamp(bytes32 id) view returns (uint256)",
+  "function hashOperation(address target,uint256 value,bytes data,bytes32 predecessor,bytes32 salt) view returns (bytes32)",
+  "function hashOperationBatch(address[] targets,uint256[] values,bytes[] payloads,bytes32 predecessor,bytes32 salt) view returns (bytes32)",
+  "function isOperation(bytes32 id) view returns (bool)",
+  "function isOperationPending(bytes32 id) view returns (bool)",
+  "function isOperationReady(bytes32 id) view returns (bool)",
+  "function isOperationDone(bytes32 id) view returns (bool)",
+  "function schedule(address target,uint256 value,bytes data,bytes32 predecessor,bytes32 salt,uint256 delay)",
+  "function execute(address target,uint256 value,bytes data,bytes32 predecessor,bytes32 salt) payable",
+  "function scheduleBatch(address[] targets,uint256[] values,bytes[] payloads,bytes32 predecessor,bytes32 salt,uint256 delay)",
+  "function executeBatch(address[] targets,uint256[] values,bytes[] payloads,bytes32 predecessor,bytes32 salt) payable",
+  "function cancel(bytes32 id)",
+  "function updateDelay(uint256 newDelay)",
+  "function grantRole(bytes32 role, address account)",
+  "function revokeRole(bytes32 role, address account)",
+  "event CallScheduled(bytes32 indexed id, uint256 indexed index, address target, uint256 value, bytes data, bytes32 predecessor, uint256 delay)",
+  "event CallExecuted(bytes32 indexed id, uint256 indexed index, address target, uint256 value, bytes data)",
+  "event CallSalt(bytes32 indexed id, bytes32 salt)",
+  "event Cancelled(bytes32 indexed id)",
+  "event MinDelayChange(uint256 oldDuration, uint256 newDuration)",
+  "event RoleGranted(bytes32 indexed role, address indexed account, address indexed sender)",
+  "event RoleRevoked(bytes32 indexed role, address indexed account, address indexed sender)",
+];
+
+/** MiniMultisig2of2: propose → approve (other owner) → execute. */
+const MINI_MULTISIG_ABI = [
+  "function owners() view returns (address, address)",
+  "function txCount() view returns (uint256)",
+  "function propose(address target, uint256 value, bytes data) returns (uint256 id)",
+  "function approve(uint256 id)",
+  "function revoke(uint256 id)",
+  "function execute(uint256 id) returns (bool ok, bytes ret)",
+  "function getTx(uint256 id) view returns (address target, uint256 value, bool executed, uint8 approvals, bytes data)",
+  "function isApproved(uint256 id, address owner) view returns (bool)",
+  "event Proposed(uint256 indexed id, address indexed proposer, address target, uint256 value, bytes data)",
+  "event Approved(uint256 indexed id, address indexed owner)",
+  "event Revoked(uint256 indexed id, address indexed owner)",
+  "event Executed(uint256 indexed id, bool success, bytes returndata)",
+];
+
+/** UpgradeExecutor (owned by the L2 timelock, owns the ProxyAdmin). */
+const UPGRADE_EXECUTOR_ABI = [
+  "function owner() view returns (address)",
+  "function pendingOwner() view returns (address)",
+  "function transferOwnership(address newOwner)",
+  "function acceptOwnership()",
+  "function upgradeDelay() view returns (uint256)",
+  "function scheduleUpgrade(address proxyAdmin,address proxy,address implementation)",
+  "function scheduleUpgradeWithData(address proxyAdmin,address proxy,address implementation,bytes data)",
+  "function scheduleUpgradeAndCall(address proxyAdmin,address proxy,address implementation,bytes data)",
+  "function executeUpgrade(address proxyAdmin,address proxy,address implementation)",
+  "function executeUpgradeWithData(address proxyAdmin,address proxy,address implementation,bytes data)",
+  "function executeUpgradeAndCall(address proxyAdmin,address proxy,address implementation,bytes data)",
+  "function cancelUpgrade(address proxyAdmin,address proxy,address implementation)",
+  "function cancelUpgradeWithData(address proxyAdmin,address proxy,address implementation,bytes data)",
+  "function isUpgradeReady(address proxyAdmin,address proxy,address implementation) view returns (bool)",
+  "function isUpgradeWithDataReady(address proxyAdmin,address proxy,address implementation,bytes data) view returns (bool)",
+  "function setUpgradeDelay(uint256 newDelay)",
+  "function claimProxyAdminOwnership(address proxyAdmin)",
+  "event OwnershipTransferStarted(address indexed previousOwner, address indexed newOwner)",
+  "event OwnershipTransferred(address indexed previousOwner, address indexed newOwner)",
+];
+
+/** Transparent ProxyAdmin (OZ v5). */
+const PROXY_ADMIN_ABI = [
+  "function owner() view returns (address)",
+  "function transferOwnership(address newOwner)",
+  "function upgrade(address proxy, address implementation)",
+  "function upgradeAndCall(address proxy, address implementation, bytes data) payable",
+  "event OwnershipTransferred(address indexed previousOwner, address indexed newOwner)",
+];
+
+/** CrossChainGovernanceL1 (L1 → L2 retryables). */
+const L1_GOVERNANCE_ABI = [
+  "function owner() view returns (address)",
+  "function pendingOwner() view returns (address)",
+  "function l2Target() view returns (address)",
+  "function inbox() view returns (address)",
+  "function refundL2() view returns (address)",
+  "function gasConfig() view returns (uint256 maxSubmissionCost, uint256 gasLimit, uint256 maxFeePerGas)",
+  "function quoteRetryable(bytes data, uint256 l2CallValue) view returns (uint256 total, uint256 submissionFee, uint256 gasFee)",
+  "function callL2(bytes targetCalldata) payable returns (uint256)",
+  "function sendRetryable(bytes data, uint256 l2CallValue) payable returns (uint256)",
+  "function sendPause() payable returns (uint256)",
+  "function sendUnpause() payable returns (uint256)",
+  "function sendSetL1Governance(address newGovL1) payable returns (uint256)",
+  "function transferOwnership(address newOwner)",
+  "function acceptOwnership()",
+  "function setInbox(address inbox)",
+  "function setL2Target(address target)",
+  "function setRefundL2(address refundL2)",
+  "function setGasConfig(uint256 maxSubmissionCost, uint256 gasLimit, uint256 maxFeePerGas)",
+  "function rescueETH(address to, uint256 amount)",
+  "function rescueERC20(address token, address to, uint256 amount)",
+  "event OwnershipTransferStarted(address indexed previousOwner, address indexed newOwner)",
+  "event OwnershipTransferred(address indexed previousOwner, address indexed newOwner)",
+];
+
+/** Arbitrum L1 Inbox (retryable tickets). */
+const INBOX_ABI = [
+  "function createRetryableTicket(address to, uint256 l2CallValue, uint256 maxSubmissionCost, address excessFeeRefundAddress, address callValueRefundAddress, uint256 gasLimit, uint256 maxFeePerGas, bytes data) payable returns (uint256)",
+  "function calculateRetryableSubmissionFee(uint256 dataLength, uint256 baseFee) view returns (uint256)",
+];
+
+/** contracts/test/mock/MockInbox.sol: records every ticket for the bridge simulator (sdk/bridge.js). */
+const MOCK_INBOX_ABI = [
+  ...INBOX_ABI,
+  "function getTicket(uint256 id) view returns (tuple(address from, address to, uint256 l2CallValue, uint256 maxSubmissionCost, address excessFeeRefundAddress, address callValueRefundAddress, uint256 gasLimit, uint256 maxFeePerGas, uint256 msgValue, bytes data))",
+  "event RetryableCreated(uint256 indexed id, address indexed to, bytes data, uint256 msgValue)",
+];
+
+/** Gnosis Safe, when the admin multisig is one (MULTISIG_MODE=safe, the mainnet default). */
+const SAFE_ABI = [
+  "function getOwners() view returns (address[])",
+  "function getThreshold() view returns (uint256)",
+];
+
+/** Token admin surface (AccessControl, GS_Admin, GS_EmergencyAndL2). */
+const TOKEN_ADMIN_ABI = [
+  "function DEFAULT_ADMIN_ROLE() view returns (bytes32)",
+  "function hasRole(bytes32 role, address account) view returns (bool)",
+  "function getRoleAdmin(bytes32 role) view returns (bytes32)",
+  "function grantRole(bytes32 role, address account)",
+  "function revokeRole(bytes32 role, address account)",
+  "function renounceRole(bytes32 role, address callerConfirmation)",
+  "function paused() view returns (bool)",
+  "function pause()",
+  "function unpause()",
+  "function configureSource(string source, bool requiresProof, bool requiresAttestation)",
+  "function getSourceConfigFields(string source) view returns (bool,bool,bytes32,uint256,uint256)",
+  "function isSourceValid(string source) view returns (bool)",
+  "function treasury() view returns (address)",
+  "function getArbitrumConfig() view returns (address,address,uint256,uint256,uint256,address)",
+  "function setTrustedAPI(address api, bool trusted)",
+  "function setL1Governance(address l1)",
+  "function getL1Governance() view returns (address)",
+  "function l2SetPause(bool paused)",
+  "function l2UpdateParams(uint256 newStepLimit, uint256 newRewardRate)",
+  "function getCoreParams() view returns (uint256,uint256,uint256,uint256)",
+  "function addSource(string source)",
+  "function removeSource(string source)",
+  "function batchAddSources(string[] sources)",
+  "function setSourceMerkleRoot(string source, bytes32 root)",
+  "function addSupportedVersion(string version)",
+  "function addSupportedPayloadVersion(string version)",
+  "function addSupportedAttestationVersion(string version)",
+  "function deprecatePayloadVersion(string version, uint256 when)",
+  "function deprecateAttestationVersion(string version, uint256 when)",
+  "function setAttestationNonceRequired(string version, bool required)",
+  "function addTrustedDevice(address device)",
+  "function setTrusted1271(address contractAddr, bool trusted)",
+  "function batchAddSigners(address[] signers)",
+  "function batchRemoveSigners(address[] signers)",
+  "function clearExpiredSignatures(bytes32[] sigHashes)",
+  "function setAnomalyThreshold(uint256 newThreshold)",
+  "function setPriceOracle(address newOracle)",
+  "function setTreasury(address t)",
+  "function setMultisig(address m)",
+  "function transferAdminRoles()",
+  "function adjustStakeRequirements()",
+  "function manualOverrideStake(uint256 newStakePerStep)",
+  "function toggleStakeParamLock()",
+  "function approveRecipient(address recipient, bool approved)",
+  "function toggleEmergencyWithdraw(bool enabled)",
+  "function emergencyWithdraw(uint256 amount)",
+  "function emergencyWithdrawERC20(address token, address to, uint256 amount)",
+  "function emergencyWithdrawETH(address to, uint256 amount)",
+  "function emergencyPingL1(address l1Target, bytes data)",
+  "function sendTxToL1(address to, bytes data) payable returns (uint256)",
+  "function initializeArbitrum(address inbox, address validator)",
+  "function updateArbitrumGasParams(uint256 maxGas, uint256 gasPriceBid, uint256 maxSubmissionCost)",
+  `function logSteps(${STEP_SUBMISSION_TUPLE} data, ${VERIFICATION_DATA_TUPLE} verification)`,
+  "event RoleGranted(bytes32 indexed role, address indexed account, address indexed sender)",
+  "event RoleRevoked(bytes32 indexed role, address indexed account, address indexed sender)",
+];
+
+module.exports = {
+  TIMELOCK_ABI,
+  MINI_MULTISIG_ABI,
+  UPGRADE_EXECUTOR_ABI,
+  PROXY_ADMIN_ABI,
+  L1_GOVERNANCE_ABI,
+  INBOX_ABI,
+  MOCK_INBOX_ABI,
+  SAFE_ABI,
+  TOKEN_ADMIN_ABI,
+};
@@ -0,0 +1,321 @@
+// sdk/attestation.js
+// Device attestation blobs for `VerificationData.attestation`.
+//
+// Mirrors GS_StepsAndVerification._verifyAttestationAndReplay:
+//  - blob = abi.encode(address device, uint256 timestamp, string version, bytes sig)
+//  - version normalized + allowlisted + not deprecated
+//  - attestationRequiresNonce[vHash] ? ATTESTATION_V2_TYPEHASH (binds data.nonce)
+//                                    : ATTESTATION_TYPEHASH (legacy, replay key per device)
+//  - device trusted, block.timestamp - timestamp < 1 hour, ECDSA recover == device
+const { ethers } = require("ethers");
+const {
+  ATTESTATION_TYPES,
+  ATTESTATION_V2_TYPES,
+  ATTESTATION_TYPEHASH,
+  ATTESTATION_V2_TYPEHASH,
+  ATTESTATION_BLOB_TYPES,
+  ATTESTATION_MAX_AGE,
+  MAX_VERSION_LENGTH,
+  DEFAULT_PAYLOAD_VERSION,
+  TOKEN_SDK_ABI,
+} = require("./constants");
+const { normalizeVersion, versionHash, stepDomain, resolveStepDomain } = require("./steps");
+
+const coder = ethers.AbiCoder.defaultAbiCoder();
+const toBI = (x) => (typeof x === "bigint" ? x : BigInt(x.toString()));
+
+/* ========================= blob encoding ========================= */
+
+/**
+ * Encode an attestation blob exactly as `abi.decode(attestationBlob, (address, uint256, string, bytes))` expects.
+ * @param {{device:string, timestamp:bigint|number, version:string, signature:string}} att
+ * @returns {string} hex bytes
+ */
+function encodeAttestationBlob({ device, timestamp, version, signature }) {
+  return coder.encode(ATTESTATION_BLOB_TYPES, [device, toBI(timestamp), version, signature]);
+}
+
+/**
+ * Decode an attestation blob.
+ * @param {string} blob
+ * @returns {{device:string, timestamp:bigint, version:string, signature:string}}
+ */
+function decodeAttestationBlob(blob) {
+  const [device, timestamp, version, signature] = coder.decode(ATTESTATION_BLOB_TYPES, blob);
+  return { device: ethers.getAddress(device), timestamp, version, signature };
+}
+
+/* ========================= hashing ========================= */
+
+/**
+ * Struct hash used on-chain for the attestation, v1 or v2.
+ * @param {object} p
+ * @param {string} p.user
+ * @param {bigint|number} p.steps
+ * @param {bigint|number} p.timestamp
+ * @param {string} p.version raw attestation version (normalized here)
+ * @param {bigint|number} [p.nonce] StepSubmission nonce (required when `requiresNonce`)
+ * @param {boolean} p.requiresNonce
+ * @returns {string} bytes32 hex
+ */
+function attestationStructHash({ user, steps, timestamp, version, nonce, requiresNonce }) {
+  const vHash = versionHash(version);
+  if (requiresNonce) {
+    if (nonce == null) throw new Error("nonce is required for nonce-bound (v2) attestations");
+    return ethers.keccak256(
+      coder.encode(
+        ["bytes32", "address", "uint256", "uint256", "bytes32", "uint256"],
+        [ATTESTATION_V2_TYPEHASH, user, toBI(steps), toBI(timestamp), vHash, toBI(nonce)]
+      )
+    );
+  }
+  return ethers.keccak256(
+    coder.encode(
+      ["bytes32", "address", "uint256", "uint256", "bytes32"],
+      [ATTESTATION_TYPEHASH, user, toBI(steps), toBI(timestamp), vHash]
+    )
+  );
+}
+
+/**
+ * Typed-data digest equal to `_hashTypedDataV4(structHash)` on the token.
+ * @param {object} p see {@link attestationStructHash}
+ * @param {{chainId: bigint|number, verifyingContract: string}} domainParams
+ * @returns {string} bytes32 hex
+ */
+function attestationDigest(p, domainParams) {
+  const domainSeparator = ethers.TypedDataEncoder.hashDomain(stepDomain(domainParams));
+  return ethers.keccak256(ethers.concat(["0x1901", domainSeparator, attestationStructHash(p)]));
+}
+
+/**
+ * Legacy replay key: `keccak256(abi.encodePacked(device, attestHashLegacy))`.
+ * Only meaningful for non nonce-bound versions (checked against `usedAttestations`).
+ * @returns {string} bytes32 hex
+ */
+function attestationReplayKey(device, digest) {
+  return ethers.solidityPackedKeccak256(["address", "bytes32"], [device, digest]);
+}
+
+/* ========================= policy ========================= */
+
+/**
+ * Read the on-chain version policy for an attestation version via `getVersionPolicy(bytes32)`.
+ * @param {import("ethers").Contract|string} token
+ * @param {string} version raw version (normalized before hashing)
+ * @param {import("ethers").Provider} [provider]
+ * @returns {Promise<{version:string, vHash:string, supported:boolean, deprecatesAt:bigint, requiresNonce:boolean}>}
+ */
+async function getAttestationPolicy(token, version, provider) {
+  const tok = asSdkToken(token, provider);
+  const vHash = versionHash(version);
+  const [supported, deprecatesAt, requiresNonce] = await tok.getVersionPolicy(vHash);
+  return { version: normalizeVersion(version), vHash, supported, deprecatesAt, requiresNonce };
+}
+
+/* ========================= signing ========================= */
+
+/**
+ * Sign an attestation with a device key. Picks the typed-data shape from `requiresNonce`.
+ * @param {import("ethers").Signer} device
+ * @param {{user:string, steps:bigint|number, timestamp:bigint|number, version:string, nonce?:bigint|number, requiresNonce:boolean}} p
+ * @param {{chainId: bigint|number, verifyingContract: string}} domainParams
+ * @returns {Promise<string>} signature
+ */
+async function signAttestation(device, p, domainParams) {
+  const domain = stepDomain(domainParams);
+  const norm = normalizeVersion(p.version);
+  const signature = p.requiresNonce
+    ? await device.signTypedData(domain, ATTESTATION_V2_TYPES, {
+        user: p.user,
+        steps: toBI(p.steps),
+        timestamp: toBI(p.timestamp),
+        vHash: ethers.keccak256(ethers.toUtf8Bytes(norm)),
+        userNonce: toBI(p.nonce),
+      })
+    : await device.signTypedData(domain, ATTESTATION_TYPES, {
+        user: p.user,
+        steps: toBI(p.steps),
+        timestamp: toBI(p.timestamp),
+        version: norm,
+      });
+
+  const recovered = ethers.recoverAddress(attestationDigest(p, domainParams), signature);
+  const expected = await device.getAddress();
+  if (recovered.toLowerCase() !== expected.toLowerCase()) {
+    throw new Error(`Attestation digest mismatch: recovered ${recovered} vs device ${expected}`);
+  }
+  return signature;
+}
+
+/**
+ * Build a ready-to-submit attestation blob for a StepSubmission.
+ * When `requiresNonce` is omitted and a token is given, the token's `getVersionPolicy`
+ * decides between the legacy and nonce-bound typehash.
+ *
+ * @param {object} p
+ * @param {import("ethers").Signer} p.device trusted device key
+ * @param {object} p.submission StepSubmission (user, steps, nonce are bound)
+ * @param {import("ethers").Contract|string} [p.token] required unless `domainParams` + `requiresNonce` are given
+ * @param {{chainId: bigint|number, verifyingContract: string}} [p.domainParams]
+ * @param {string} [p.version] attestation version, defaults to DEFAULT_PAYLOAD_VERSION
+ * @param {bigint|number} [p.timestamp] defaults to latest block timestamp
+ * @param {boolean} [p.requiresNonce] override the on-chain policy
+ * @returns {Promise<{blob:string, device:string, timestamp:bigint, version:string, signature:string, requiresNonce:boolean, digest:string}>}
+ */
+async function buildAttestation({
+  device,
+  submission,
+  token,
+  domainParams,
+  version = DEFAULT_PAYLOAD_VERSION,
+  timestamp,
+  requiresNonce,
+}) {
+  const provider = device.provider || token?.runner?.provider;
+  const dp = domainParams || (await resolveStepDomain(token, provider));
+
+  let bindNonce = requiresNonce;
+  if (bindNonce == null) {
+    if (!token) throw new Error("buildAttestation: token or requiresNonce is required");
+    ({ requiresNonce: bindNonce } = await getAttestationPolicy(token, version, provider));
+  }
+
+  let ts = timestamp;
+  if (ts == null) {
+    if (!provider) throw new Error("buildAttestation: timestamp or a provider is required");
+    ts = (await provider.getBlock("latest")).timestamp;
+  }
+
+  const fields = {
+    user: submission.user,
+    steps: submission.steps,
+    timestamp: toBI(ts),
+    version,
+    nonce: submission.nonce,
+    requiresNonce: Boolean(bindNonce),
+  };
+
+  const signature = await signAttestation(device, fields, dp);
+  const deviceAddr = await device.getAddress();
+
+  return {
+    blob: encodeAttestationBlob({ device: deviceAddr, timestamp: fields.timestamp, version, signature }),
+    device: deviceAddr,
+    timestamp: fields.timestamp,
+    version,
+    signature,
+    requiresNonce: fields.requiresNonce,
+    digest: attestationDigest(fields, dp),
+  };
+}
+
+/* ========================= local pre-verification ========================= */
+
+/**
+ * Pre-verify an attestation blob against a StepSubmission before it goes on-chain.
+ * Runs every check from `_verifyAttestationAndReplay`, in order, and collects ALL failures
+ * (the contract stops at the first). Reasons use the on-chain revert strings.
+ *
+ * @param {object} p
+ * @param {string} p.blob attestation blob
+ * @param {object} p.submission StepSubmission
+ * @param {import("ethers").Contract|string} p.token
+ * @param {import("ethers").Provider} [p.provider]
+ * @param {bigint|number} [p.now] evaluation time, defaults to latest block timestamp
+ * @returns {Promise<{ok:boolean, failures:{reason:string, detail?:string}[], device?:string,
+ *   requiresNonce?:boolean, digest?:string, replayKey?:string|null}>}
+ */
+async function verifyAttestation({ blob, submission, token, provider, now }) {
+  const failures = [];
+  const fail = (reason, detail) => failures.push(detail ? { reason, detail } : { reason });
+
+  let att;
+  try {
+    att = decodeAttestationBlob(blob);
+  } catch (e) {
+    fail("Malformed attestation", e?.shortMessage || e?.message);
+    return { ok: false, failures };
+  }
+
+  const p = provider || token?.runner?.provider || token?.runner;
+  const tok = asSdkToken(token, p);
+  const dp = await resolveStepDomain(token, p);
+  const ts = toBI(now ?? (await p.getBlock("latest")).timestamp);
+
+  const vLen = ethers.toUtf8Bytes(att.version).length;
+  if (vLen === 0 || vLen > MAX_VERSION_LENGTH) fail("Bad attest version", `length=${vLen}`);
+
+  const policy = await getAttestationPolicy(tok, att.version);
+  if (!policy.supported) fail("Unsupported attestation version", policy.version);
+  if (policy.deprecatesAt !== 0n && ts >= policy.deprecatesAt) {
+    fail("Attestation version deprecated", `deprecatesAt=${policy.deprecatesAt}`);
+  }
+
+  if (!(await tok.isTrustedDevice(att.device))) fail("Untrusted device", att.device);
+
+  if (att.timestamp > ts) {
+    // On-chain `block.timestamp - timestamp` underflows and panics.
+    fail("Attestation timestamp in the future", `timestamp=${att.timestamp} now=${ts}`);
+  } else if (ts - att.timestamp >= ATTESTATION_MAX_AGE) {
+    fail("Stale attestation", `age=${ts - att.timestamp}s max=${ATTESTATION_MAX_AGE - 1n}s`);
+  }
+
+  const fields = {
+    user: submission.user,
+    steps: submission.steps,
+    timestamp: att.timestamp,
+    version: att.version,
+    nonce: submission.nonce,
+    requiresNonce: policy.requiresNonce,
+  };
+  const digest = attestationDigest(fields, dp);
+
+  let replayKey = null;
+  if (!policy.requiresNonce) {
+    replayKey = attestationReplayKey(att.device, digest);
+    if (await tok.usedAttestations(replayKey)) fail("Attestation reused", replayKey);
+  }
+
+  let recovered = null;
+  try {
+    recovered = ethers.recoverAddress(digest, att.signature);
+  } catch (_) {}
+  if (!recovered || recovered.toLowerCase() !== att.device.toLowerCase()) {
+    fail("Invalid attestation", `recovered=${recovered} device=${att.device}`);
+  }
+
+  return {
+    ok: failures.length === 0,
+    failures,
+    device: att.device,
+    requiresNonce: policy.requiresNonce,
+    digest,
+    replayKey,
+  };
+}
+
+/* ========================= internals ========================= */
+
+function asSdkToken(token, provider) {
+  if (token && typeof token !== "string" && typeof token.getVersionPolicy === "function" &&
+      typeof token.isTrustedDevice === "function" && typeof token.usedAttestations === "function") {
+    return token;
+  }
+  const addr = typeof token === "string" ? token : token?.target;
+  const runner = provider || token?.runner;
+  if (!addr || !runner) throw new Error("token address and provider are required");
+  return new ethers.Contract(addr, TOKEN_SDK_ABI, runner);
+}
+
+module.exports = {
+  encodeAttestationBlob,
+  decodeAttestationBlob,
+  attestationStructHash,
+  attestationDigest,
+  attestationReplayKey,
+  getAttestationPolicy,
+  signAttestation,
+  buildAttestation,
+  verifyAttestation,
+};
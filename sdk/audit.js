@@ -0,0 +1,318 @@
+// sdk/audit.js
+// Post-deployment security posture audit: every invariant the deploy script establishes, checked
+// in one pass against the deployment manifest — token roles, timelock role sets, the
+// ProxyAdmin → UpgradeExecutor → timelock ownership chain, executor delay, L1 governance,
+// treasury, oracle and source policy.
+//
+//   const m = loadManifest("arbitrumSepolia");
+//   const { ok, checks } = await auditDeployment(m.state, provider, { deployer: deployerOf(m.doc) });
+//
+// Each invariant is one row: { id, area, invariant, status: "pass" | "fail" | "skip", expected,
+// actual, note? }. An invariant the manifest has no expectation for (no treasury recorded, no
+// L1 governance, no deployer) is "skip", never "pass". `ok` is false as soon as one row fails.
+const { ethers } = require("ethers");
+const { ROLES, SOURCE_POLICY } = require("./constants");
+const { TIMELOCK_ABI, TOKEN_ADMIN_ABI, PROXY_ADMIN_ABI, UPGRADE_EXECUTOR_ABI, L1_GOVERNANCE_ABI } = require("./abis");
+const { verifyManifest } = require("./manifest");
+
+/** Arbitrum's L1 → L2 address alias offset (AddressAliasHelper). */
+const L1_TO_L2_ALIAS_OFFSET = 0x1111000000000000000000000000000000001111n;
+
+const TIMELOCK_ROLES = ["PROPOSER_ROLE", "EXECUTOR_ROLE", "CANCELLER_ROLE", "DEFAULT_ADMIN_ROLE"];
+
+/** The address an L1 contract's retryables arrive from on L2. */
+function l1ToL2Alias(l1Address) {
+  const aliased = (BigInt(l1Address) + L1_TO_L2_ALIAS_OFFSET) % 2n ** 160n;
+  return ethers.getAddress(`0x${aliased.toString(16).padStart(40, "0")}`);
+}
+
+/** Deployer EOA recorded by the latest deploy/import entry of a manifest document, or null. */
+function deployerOf(doc) {
+  const entry = [...(doc?.history || [])].reverse().find((e) => e.kind === "deploy" || e.kind === "import");
+  return entry?.deployer && ethers.isAddress(entry.deployer) ? ethers.getAddress(entry.deployer) : null;
+}
+
+/**
+ * Every account ever granted a role on an AccessControl contract (RoleGranted logs, scanned in
+ * `batchSize` block chunks). Current holders are the subset for which `hasRole` is still true.
+ *
+ * @param {ethers.Contract} contract must include the RoleGranted event
+ * @param {{fromBlock:number, toBlock?:number, batchSize?:number, log?:Function}} opts
+ * @returns {Promise<string[]>}
+ */
+async function roleGrantees(contract, { fromBlock, toBlock, batchSize = 2000, log = () => {} }) {
+  const last = toBlock ?? (await contract.runner.provider.getBlockNumber());
+  const out = new Set();
+  for (let from = fromBlock; from <= last; from += batchSize) {
+    const to = Math.min(last, from + batchSize - 1);
+    for (const ev of await contract.queryFilter(contract.filters.RoleGranted(), from, to)) {
+      out.add(ethers.getAddress(ev.args.account));
+    }
+    log(`  scanned ${from}…${to}: ${out.size} grantee(s) so far`);
+  }
+  return [...out];
+}
+
+const lower = (a) => String(a).toLowerCase();
+const sameAddr = (a, b) => !!a && !!b && lower(a) === lower(b);
+const sameSet = (a, b) => a.length === b.length && a.every((x) => b.some((y) => sameAddr(x, y)));
+
+/**
+ * Audit a deployment against chain state.
+ *
+ * Role holders are found among the accounts the manifest knows (contracts, multisig, admins,
+ * proposers, executors, the deployer, the L1 governance alias) plus `accounts`; with `scan`,
+ * also among every RoleGranted grantee since `scan.fromBlock` — the only way to catch a holder
+ * the manifest has never heard of.
+ *
+ * @param {object} state `loadManifest(...).state`
+ * @param {ethers.Provider} provider L2 provider
+ * @param {object} [opts]
+ * @param {ethers.Provider} [opts.l1Provider] also check the L1 governance contract
+ * @param {string} [opts.deployer] deployer EOA (see deployerOf); its checks are skipped without it
+ * @param {string[]} [opts.accounts] more candidate role holders
+ * @param {string[]} [opts.allowAdmins] more accounts allowed to hold the token's DEFAULT_ADMIN_ROLE
+ * @param {{fromBlock:number, toBlock?:number, batchSize?:number}} [opts.scan]
+ * @param {Array<[string, boolean, boolean]>} [opts.sources] expected source policy (default SOURCE_POLICY)
+ * @param {Function} [opts.log]
+ * @returns {Promise<{ok:boolean, counts:{pass:number, fail:number, skip:number}, checks:object[]}>}
+ */
+async function auditDeployment(state, provider, opts = {}) {
+  const { l1Provider = null, deployer = null, accounts = [], allowAdmins = [], scan = null } = opts;
+  const { sources = SOURCE_POLICY, log = () => {} } = opts;
+  const c = state.contracts || {};
+  const cfg = state.configuration || {};
+  if (!ethers.isAddress(c.tokenProxy)) throw new Error(`${state.network} manifest has no tokenProxy to audit`);
+
+  // Labels make the report readable: "timelock" rather than 0x….
+  const labels = new Map();
+  const label = (a, name) => {
+    if (ethers.isAddress(a) && !labels.has(lower(a))) labels.set(lower(a), name);
+  };
+  for (const k of ["tokenProxy", "timelock", "proxyAdmin", "upgradeExecutor", "miniMultisig"]) label(c[k], k);
+  label(cfg.multisig, "multisig");
+  label(deployer, "deployer");
+  for (const k of ["admins", "proposers", "executors"]) for (const a of cfg[k] || []) label(a, k.slice(0, -1));
+  if (ethers.isAddress(c.l1Governance)) label(l1ToL2Alias(c.l1Governance), "l1Governance alias");
+  label(ethers.ZeroAddress, "anyone (open role)");
+  const name = (a) => labels.get(lower(a)) || ethers.getAddress(a);
+  const names = (list) => (list.length ? list.map(name).join(", ") : "(none)");
+
+  const checks = [];
+  const check = async (area, id, invariant, fn) => {
+    let r;
+    try {
+      r = await fn();
+    } catch (e) {
+      r = { ok: false, actual: `unreadable: ${e.shortMessage || e.message}` };
+    }
+    const status = r.ok == null ? "skip" : r.ok ? "pass" : "fail";
+    const row = { id, area, invariant, status, expected: r.expected ?? "", actual: r.actual ?? "" };
+    checks.push(r.note ? { ...row, note: r.note } : row);
+  };
+  const skip = (note) => ({ ok: null, note });
+
+  // Manifest vs chain: code at every address, EIP-1967 slots, timelock delay.
+  const manifest = await verifyManifest(state, provider, { l1Provider });
+  for (const m of manifest.checks) {
+    await check("manifest", `manifest.${m.check}`, `${m.check} matches the manifest`, () => m);
+  }
+
+  const candidates = [...new Set([...labels.keys(), ...accounts.map(lower)])].map((a) => ethers.getAddress(a));
+  const holders = async (contract, role, extra = []) => {
+    const pool = [...new Set([...candidates, ...extra].map(lower))];
+    const has = await Promise.all(pool.map((a) => contract.hasRole(role, a)));
+    return pool.filter((_, i) => has[i]).map((a) => ethers.getAddress(a));
+  };
+  const scanned = async (contract) => (scan ? roleGrantees(contract, { ...scan, log }) : []);
+
+  /* ---------------- token roles ---------------- */
+  const token = new ethers.Contract(c.tokenProxy, TOKEN_ADMIN_ABI, provider);
+  const tokenGrantees = await scanned(token);
+  const governance = [c.timelock, c.miniMultisig, c.upgradeExecutor, c.proxyAdmin, cfg.multisig, ...allowAdmins];
+  const allowed = governance.filter((a) => ethers.isAddress(a));
+  const tokenAdmins = await holders(token, ROLES.DEFAULT_ADMIN_ROLE, tokenGrantees);
+
+  await check("token", "token.admin.multisig", "The configured admin holds DEFAULT_ADMIN_ROLE", async () => {
+    if (!ethers.isAddress(cfg.multisig)) return skip("no multisig in the manifest configuration");
+    return {
+      ok: tokenAdmins.some((a) => sameAddr(a, cfg.multisig)),
+      expected: name(cfg.multisig),
+      actual: names(tokenAdmins),
+    };
+  });
+  await check("token", "token.admin.governance", "Only governance accounts hold DEFAULT_ADMIN_ROLE", async () => {
+    const stray = tokenAdmins.filter((a) => !allowed.some((g) => sameAddr(a, g)));
+    const note = stray.length
+      ? `unexpected: ${names(stray)}`
+      : !scan && "holders outside the manifest are only found with an event scan";
+    return {
+      ok: tokenAdmins.length > 0 && stray.length === 0,
+      expected: `⊆ ${names(allowed)}`,
+      actual: names(tokenAdmins),
+      note,
+    };
+  });
+  await check("token", "token.deployer", "The deployer holds no token role", async () => {
+    if (!deployer) return skip("deployer unknown (not in the manifest; pass it explicitly)");
+    const held = [];
+    for (const [role, id] of Object.entries(ROLES)) if (await token.hasRole(id, deployer)) held.push(role);
+    return { ok: held.length === 0, expected: "(none)", actual: held.length ? held.join(", ") : "(none)" };
+  });
+
+  /* ---------------- timelock ---------------- */
+  if (ethers.isAddress(c.timelock)) {
+    const tl = new ethers.Contract(c.timelock, TIMELOCK_ABI, provider);
+    const tlGrantees = await scanned(tl);
+    const [proposerRole, executorRole, cancellerRole, adminRole] = await Promise.all(
+      TIMELOCK_ROLES.map((r) => tl[r]())
+    );
+    const [proposers, executors, cancellers, admins] = await Promise.all(
+      [proposerRole, executorRole, cancellerRole, adminRole].map((r) => holders(tl, r, tlGrantees))
+    );
+    const exactly = (actual, expected) => async () =>
+      Array.isArray(expected)
+        ? { ok: sameSet(actual, expected), expected: names(expected), actual: names(actual) }
+        : skip("no expected set in the manifest configuration");
+
+    await check(
+      "timelock",
+      "timelock.proposers",
+      "PROPOSER_ROLE holders are the configured proposers",
+      exactly(proposers, cfg.proposers)
+    );
+    // TimelockController makes every proposer a canceller.
+    await check(
+      "timelock",
+      "timelock.cancellers",
+      "CANCELLER_ROLE holders are the configured proposers",
+      exactly(cancellers, cfg.proposers)
+    );
+    await check(
+      "timelock",
+      "timelock.executors",
+      "EXECUTOR_ROLE holders are the configured executors",
+      exactly(executors, cfg.executors)
+    );
+    await check("timelock", "timelock.admins", "Timelock admins are the timelock or configured admins", async () => {
+      const ok = [c.timelock, ...(cfg.admins || [])];
+      const stray = admins.filter((a) => !ok.some((x) => sameAddr(a, x)));
+      return { ok: stray.length === 0, expected: `⊆ ${names(ok)}`, actual: names(admins) };
+    });
+    await check("timelock", "timelock.deployer", "The deployer holds no timelock role", async () => {
+      if (!deployer) return skip("deployer unknown (not in the manifest; pass it explicitly)");
+      const held = TIMELOCK_ROLES.filter((_, i) =>
+        [proposers, executors, cancellers, admins][i].some((a) => sameAddr(a, deployer))
+      );
+      return { ok: held.length === 0, expected: "(none)", actual: held.length ? held.join(", ") : "(none)" };
+    });
+  }
+
+  /* ---------------- upgrade ownership chain ---------------- */
+  await check("ownership", "ownership.proxyAdmin", "ProxyAdmin is owned by the UpgradeExecutor", async () => {
+    if (!ethers.isAddress(c.proxyAdmin) || !ethers.isAddress(c.upgradeExecutor)) {
+      return skip("proxyAdmin or upgradeExecutor not in the manifest");
+    }
+    const owner = await new ethers.Contract(c.proxyAdmin, PROXY_ADMIN_ABI, provider).owner();
+    return { ok: sameAddr(owner, c.upgradeExecutor), expected: name(c.upgradeExecutor), actual: name(owner) };
+  });
+  const executor = ethers.isAddress(c.upgradeExecutor)
+    ? new ethers.Contract(c.upgradeExecutor, UPGRADE_EXECUTOR_ABI, provider)
+    : null;
+  await check("ownership", "ownership.executor", "UpgradeExecutor is owned by the timelock", async () => {
+    if (!executor || !ethers.isAddress(c.timelock)) return skip("upgradeExecutor or timelock not in the manifest");
+    const [owner, pending] = await Promise.all([executor.owner(), executor.pendingOwner()]);
+    return {
+      ok: sameAddr(owner, c.timelock),
+      expected: name(c.timelock),
+      actual: name(owner),
+      ...(sameAddr(pending, c.timelock) && { note: "the timelock is pending owner: acceptOwnership not executed yet" }),
+    };
+  });
+  await check("ownership", "ownership.executorDelay", "UpgradeExecutor delay matches the manifest", async () => {
+    if (!executor) return skip("upgradeExecutor not in the manifest");
+    if (cfg.executorUpgradeDelay == null) return skip("no executorUpgradeDelay in the manifest configuration");
+    const delay = await executor.upgradeDelay();
+    return {
+      ok: delay.toString() === String(cfg.executorUpgradeDelay),
+      expected: String(cfg.executorUpgradeDelay),
+      actual: delay.toString(),
+    };
+  });
+
+  /* ---------------- L1 governance ---------------- */
+  await check("l1", "l1.governance", "Token L1 governance matches the manifest", async () => {
+    const onChain = await token.getL1Governance();
+    if (!ethers.isAddress(c.l1Governance)) return skip(`no l1Governance in the manifest (token has ${onChain})`);
+    return {
+      ok: sameAddr(onChain, c.l1Governance),
+      expected: ethers.getAddress(c.l1Governance),
+      actual: onChain,
+      note: `L2 alias ${l1ToL2Alias(c.l1Governance)}`,
+    };
+  });
+  const l1Gov =
+    l1Provider && ethers.isAddress(c.l1Governance)
+      ? new ethers.Contract(c.l1Governance, L1_GOVERNANCE_ABI, l1Provider)
+      : null;
+  await check("l1", "l1.l2Target", "L1 governance targets the token proxy", async () => {
+    if (!l1Gov) return skip(l1Provider ? "no l1Governance in the manifest" : "L1 not checked (no L1 provider)");
+    const target = await l1Gov.l2Target();
+    return { ok: sameAddr(target, c.tokenProxy), expected: name(c.tokenProxy), actual: name(target) };
+  });
+  await check("l1", "l1.owner", "L1 governance is owned by the L1 timelock", async () => {
+    if (!l1Gov) return skip(l1Provider ? "no l1Governance in the manifest" : "L1 not checked (no L1 provider)");
+    if (!ethers.isAddress(c.l1Timelock)) return skip("no l1Timelock in the manifest");
+    const owner = await l1Gov.owner();
+    return { ok: sameAddr(owner, c.l1Timelock), expected: ethers.getAddress(c.l1Timelock), actual: owner };
+  });
+
+  /* ---------------- treasury, oracle ---------------- */
+  await check("config", "config.treasury", "Treasury matches the manifest", async () => {
+    const treasury = await token.treasury();
+    if (!ethers.isAddress(cfg.treasury)) {
+      return {
+        ok: treasury !== ethers.ZeroAddress ? null : false,
+        expected: "non-zero",
+        actual: treasury,
+        note: "no treasury in the manifest",
+      };
+    }
+    return { ok: sameAddr(treasury, cfg.treasury), expected: ethers.getAddress(cfg.treasury), actual: treasury };
+  });
+  await check("config", "config.oracle", "Price oracle matches the manifest and has code", async () => {
+    const oracle = (await token.getArbitrumConfig())[5];
+    const code = oracle === ethers.ZeroAddress ? "0x" : await provider.getCode(oracle);
+    const hasCode = code !== "0x";
+    if (!ethers.isAddress(cfg.oracle)) {
+      return { ok: hasCode ? null : false, expected: "a contract", actual: oracle, note: "no oracle in the manifest" };
+    }
+    return {
+      ok: sameAddr(oracle, cfg.oracle) && hasCode,
+      expected: ethers.getAddress(cfg.oracle),
+      actual: hasCode ? oracle : `${oracle} (no code)`,
+    };
+  });
+
+  /* ---------------- sources ---------------- */
+  for (const [source, proof, attestation] of sources) {
+    const want = `valid, proof=${proof}, attestation=${attestation}`;
+    await check("sources", `sources.${source}`, `Source "${source}" matches the policy`, async () => {
+      if (!(await token.isSourceValid(source))) return { ok: false, expected: want, actual: "not a valid source" };
+      const [p, a] = await token.getSourceConfigFields(source);
+      return { ok: p === proof && a === attestation, expected: want, actual: `valid, proof=${p}, attestation=${a}` };
+    });
+  }
+
+  const counts = { pass: 0, fail: 0, skip: 0 };
+  for (const r of checks) counts[r.status]++;
+  return { ok: counts.fail === 0, counts, checks };
+}
+
+module.exports = {
+  L1_TO_L2_ALIAS_OFFSET,
+  l1ToL2Alias,
+  deployerOf,
+  roleGrantees,
+  auditDeployment,
+};
@@ -0,0 +1,432 @@
+// sdk/authority.js
+// Authority graph: who can ultimately do what across the token, the timelocks, the upgrade
+// chain, the multisigs and L1 governance.
+//
+// Role holders are rebuilt from RoleGranted/RoleRevoked logs and owners from
+// OwnershipTransferred/OwnershipTransferStarted logs (then cross-checked against the
+// contracts' views); MiniMultisig/Safe owners and the proxy's ERC-1967 admin are read directly.
+//
+//   const snapshot = await scanAuthority(m.state, { provider, fromBlock: m.state.deployBlock });
+//   const graph = buildAuthorityGraph(snapshot);
+//   authorityPaths(graph, "token:upgrade"); // EOA → multisig → timelock → executor → proxyAdmin → upgrade
+//   fs.writeFileSync("authority.dot", toDot(graph));
+//
+// Nodes are accounts (keyed by lowercased address, so one key holder is one node on L1 and L2)
+// and capabilities ("token:PAUSER_ROLE", "token:upgrade", "token:l1Governance"). An edge
+// `from → to` says `from` can act as, or exercise, `to`; edges with `control: false` (a
+// canceller, a pending owner) are drawn but not followed when tracing paths.
+const { ethers } = require("ethers");
+const { ROLES } = require("./constants");
+const {
+  TIMELOCK_ABI,
+  TOKEN_ADMIN_ABI,
+  PROXY_ADMIN_ABI,
+  UPGRADE_EXECUTOR_ABI,
+  L1_GOVERNANCE_ABI,
+  MINI_MULTISIG_ABI,
+  SAFE_ABI,
+} = require("./abis");
+const { EIP1967_ADMIN_SLOT } = require("./manifest");
+
+const TIMELOCK_ROLE_NAMES = ["PROPOSER_ROLE", "EXECUTOR_ROLE", "CANCELLER_ROLE"];
+
+/** bytes32 role id → name, for the token and TimelockController roles. */
+const ROLE_NAMES = Object.fromEntries([
+  ...Object.entries(ROLES).map(([name, id]) => [id, name]),
+  ...TIMELOCK_ROLE_NAMES.map((name) => [ethers.id(name), name]),
+]);
+
+const roleName = (id) => ROLE_NAMES[String(id).toLowerCase()] || String(id);
+const lower = (a) => String(a).toLowerCase();
+const isZero = (a) => !a || lower(a) === lower(ethers.ZeroAddress);
+
+/* ============================== event folds ============================== */
+
+/**
+ * Current holders per role from RoleGranted/RoleRevoked logs, applied in chain order.
+ * @param {{name:"RoleGranted"|"RoleRevoked", role:string, account:string, blockNumber:number, index:number}[]} events
+ * @returns {Record<string, string[]>} role id → checksummed holders
+ */
+function foldRoleEvents(events) {
+  const holders = new Map();
+  for (const ev of [...events].sort((a, b) => a.blockNumber - b.blockNumber || a.index - b.index)) {
+    const set = holders.get(ev.role) || new Set();
+    if (ev.name === "RoleGranted") set.add(ethers.getAddress(ev.account));
+    else set.delete(ethers.getAddress(ev.account));
+    holders.set(ev.role, set);
+  }
+  return Object.fromEntries([...holders].filter(([, s]) => s.size).map(([role, s]) => [role, [...s]]));
+}
+
+/**
+ * Owner and pending owner from OwnershipTransferred/OwnershipTransferStarted logs.
+ * @param {{name:string, newOwner:string, blockNumber:number, index:number}[]} events
+ * @returns {{owner:string|null, pendingOwner:string|null}}
+ */
+function foldOwnershipEvents(events) {
+  let owner = null;
+  let pendingOwner = null;
+  for (const ev of [...events].sort((a, b) => a.blockNumber - b.blockNumber || a.index - b.index)) {
+    if (ev.name === "OwnershipTransferStarted") {
+      pendingOwner = ethers.getAddress(ev.newOwner);
+    } else {
+      owner = ethers.getAddress(ev.newOwner);
+      pendingOwner = null;
+    }
+  }
+  return { owner, pendingOwner: isZero(pendingOwner) ? null : pendingOwner };
+}
+
+/** Logs of `eventNames` (those in the contract's ABI) between `fromBlock` and `toBlock`, in `batchSize` chunks. */
+async function queryEvents(contract, eventNames, { fromBlock, toBlock, batchSize = 2000, log = () => {} }) {
+  const last = toBlock ?? (await contract.runner.provider.getBlockNumber());
+  const out = [];
+  for (let from = fromBlock; from <= last; from += batchSize) {
+    const to = Math.min(last, from + batchSize - 1);
+    for (const name of eventNames.filter((n) => contract.interface.getEvent(n))) {
+      for (const ev of await contract.queryFilter(contract.filters[name](), from, to)) {
+        out.push({ name, ...ev.args.toObject(), blockNumber: ev.blockNumber, index: ev.index });
+      }
+    }
+  }
+  log(`  ${await contract.getAddress()}: ${out.length} event(s) in ${fromBlock}…${last}`);
+  return out;
+}
+
+/* ============================== chain scan ============================== */
+
+/**
+ * Read the current authority structure of a deployment.
+ *
+ * Events are scanned from `fromBlock` (L2; default the manifest's deploy block) and
+ * `l1FromBlock` (L1; required with `l1Provider`). The folded result is checked against
+ * `hasRole`/`owner()`: a holder the logs missed (granted before the scan window) or that the
+ * views disagree with is corrected from the view and reported in `warnings`.
+ *
+ * @param {object} state `loadManifest(...).state`
+ * @param {object} opts
+ * @param {ethers.Provider} opts.provider L2 provider
+ * @param {ethers.Provider} [opts.l1Provider] also scan the L1 timelock and governance contract
+ * @param {number} [opts.fromBlock]
+ * @param {number} [opts.l1FromBlock]
+ * @param {number} [opts.batchSize]
+ * @param {Function} [opts.log]
+ * @returns {Promise<object>} snapshot for buildAuthorityGraph
+ */
+async function scanAuthority(state, opts) {
+  const { provider, l1Provider = null, batchSize = 2000, log = () => {} } = opts;
+  const fromBlock = opts.fromBlock ?? state.deployBlock;
+  const c = state.contracts || {};
+  const cfg = state.configuration || {};
+  if (fromBlock == null) throw new Error("No fromBlock (and no deploy block in the manifest)");
+  if (l1Provider && opts.l1FromBlock == null) throw new Error("Scanning L1 needs an l1FromBlock");
+  const has = (k) => ethers.isAddress(c[k]);
+
+  const labels = {};
+  const label = (a, name) => {
+    if (ethers.isAddress(a) && !labels[lower(a)]) labels[lower(a)] = name;
+  };
+  for (const k of Object.keys(c)) if (k !== "implementation") label(c[k], k === "tokenProxy" ? "token" : k);
+  label(cfg.multisig, "multisig");
+  for (const k of ["admins", "proposers", "executors"]) for (const a of cfg[k] || []) label(a, k.slice(0, -1));
+
+  const snapshot = { network: state.network, accessControl: [], ownable: [], multisigs: [], labels, warnings: [] };
+  // Views are also asked about every labelled account and the zero address (an open role).
+  const known = () => [ethers.ZeroAddress, ...Object.keys(labels).map((a) => ethers.getAddress(a))];
+
+  const scanRoles = async (key, address, abi, runner, window, mode) => {
+    const contract = new ethers.Contract(address, abi, runner);
+    const roles = foldRoleEvents(
+      await queryEvents(contract, ["RoleGranted", "RoleRevoked"], { ...window, batchSize, log })
+    );
+    const expected =
+      mode === "acts" ? [ethers.ZeroHash, ...TIMELOCK_ROLE_NAMES.map((n) => ethers.id(n))] : Object.values(ROLES);
+    const roleIds = new Set([...Object.keys(roles), ...expected]);
+    const out = {};
+    for (const id of roleIds) {
+      const folded = roles[id] || [];
+      const held = [];
+      for (const a of new Set([...folded, ...known()])) {
+        const onChain = await contract.hasRole(id, a);
+        if (onChain) held.push(a);
+        if (onChain && !folded.includes(a)) {
+          snapshot.warnings.push(`${key}: ${a} holds ${roleName(id)} but no grant is in the scanned logs`);
+        } else if (!onChain && folded.includes(a)) {
+          snapshot.warnings.push(`${key}: the scanned logs leave ${a} with ${roleName(id)}, but hasRole says no`);
+        }
+      }
+      if (held.length) out[roleName(id)] = held;
+    }
+    const entry = {
+      key,
+      address: ethers.getAddress(address),
+      chain: runner === provider ? "l2" : "l1",
+      mode,
+      roles: out,
+    };
+    if (mode === "capabilities") {
+      entry.roleAdmins = {};
+      for (const name of Object.keys(ROLES)) {
+        entry.roleAdmins[name] = roleName(await contract.getRoleAdmin(ROLES[name]));
+      }
+    }
+    snapshot.accessControl.push(entry);
+  };
+
+  const scanOwner = async (key, address, abi, runner, window) => {
+    const contract = new ethers.Contract(address, abi, runner);
+    const names = ["OwnershipTransferred", "OwnershipTransferStarted"];
+    const folded = foldOwnershipEvents(await queryEvents(contract, names, { ...window, batchSize, log }));
+    const owner = await contract.owner();
+    const pendingOwner = contract.interface.getFunction("pendingOwner") ? await contract.pendingOwner() : null;
+    if (!folded.owner || lower(folded.owner) !== lower(owner)) {
+      snapshot.warnings.push(`${key}: owner() is ${owner}, the scanned logs say ${folded.owner || "nothing"}`);
+    }
+    snapshot.ownable.push({
+      key,
+      address: ethers.getAddress(address),
+      chain: runner === provider ? "l2" : "l1",
+      owner,
+      pendingOwner: isZero(pendingOwner) ? null : pendingOwner,
+    });
+    return contract;
+  };
+
+  const l2 = { fromBlock, toBlock: opts.toBlock };
+  const l1 = { fromBlock: opts.l1FromBlock, toBlock: opts.l1ToBlock };
+
+  if (has("tokenProxy")) {
+    await scanRoles("token", c.tokenProxy, TOKEN_ADMIN_ABI, provider, l2, "capabilities");
+    const token = new ethers.Contract(c.tokenProxy, TOKEN_ADMIN_ABI, provider);
+    const admin = ethers.getAddress(ethers.dataSlice(await provider.getStorage(c.tokenProxy, EIP1967_ADMIN_SLOT), 12));
+    const l1Governance = await token.getL1Governance();
+    snapshot.proxy = {
+      address: ethers.getAddress(c.tokenProxy),
+      admin,
+      l1Governance: isZero(l1Governance) ? null : l1Governance,
+    };
+    label(admin, "proxyAdmin");
+  }
+  if (has("timelock")) await scanRoles("timelock", c.timelock, TIMELOCK_ABI, provider, l2, "acts");
+  if (has("proxyAdmin")) await scanOwner("proxyAdmin", c.proxyAdmin, PROXY_ADMIN_ABI, provider, l2);
+  if (has("upgradeExecutor")) await scanOwner("upgradeExecutor", c.upgradeExecutor, UPGRADE_EXECUTOR_ABI, provider, l2);
+
+  if (has("miniMultisig")) {
+    const owners = await new ethers.Contract(c.miniMultisig, MINI_MULTISIG_ABI, provider).owners();
+    snapshot.multisigs.push({
+      key: "miniMultisig",
+      address: ethers.getAddress(c.miniMultisig),
+      owners: [...owners],
+      threshold: 2,
+    });
+  }
+  // A Safe as the admin multisig (mode "safe"); an EOA multisig simply has no owners.
+  if (ethers.isAddress(cfg.multisig) && lower(cfg.multisig) !== lower(c.miniMultisig || "")) {
+    const safe = new ethers.Contract(cfg.multisig, SAFE_ABI, provider);
+    const owners = await safe.getOwners().catch(() => null);
+    if (owners) {
+      const threshold = Number(await safe.getThreshold());
+      snapshot.multisigs.push({
+        key: "multisig",
+        address: ethers.getAddress(cfg.multisig),
+        owners: [...owners],
+        threshold,
+      });
+    }
+  }
+
+  if (l1Provider) {
+    if (has("l1Timelock")) await scanRoles("l1Timelock", c.l1Timelock, TIMELOCK_ABI, l1Provider, l1, "acts");
+    if (has("l1Governance")) {
+      const gov = await scanOwner("l1Governance", c.l1Governance, L1_GOVERNANCE_ABI, l1Provider, l1);
+      snapshot.l1Target = await gov.l2Target();
+    }
+  }
+
+  // EOA or contract, for every account that ends up in the graph.
+  snapshot.contracts = {};
+  for (const a of accountsOf(snapshot)) {
+    const code = await provider.getCode(a);
+    const l1Code = code === "0x" && l1Provider ? await l1Provider.getCode(a) : "0x";
+    snapshot.contracts[lower(a)] = code !== "0x" || l1Code !== "0x";
+  }
+  return snapshot;
+}
+
+function accountsOf(snapshot) {
+  const all = new Set();
+  const add = (a) => a && !isZero(a) && all.add(ethers.getAddress(a));
+  for (const ac of snapshot.accessControl) {
+    add(ac.address);
+    Object.values(ac.roles).flat().forEach(add);
+  }
+  for (const o of snapshot.ownable) [o.address, o.owner, o.pendingOwner].forEach(add);
+  for (const m of snapshot.multisigs) [m.address, ...m.owners].forEach(add);
+  if (snapshot.proxy) [snapshot.proxy.admin, snapshot.proxy.l1Governance].forEach(add);
+  return [...all];
+}
+
+/* ============================== graph ============================== */
+
+/**
+ * Turn a snapshot (scanAuthority) into nodes and edges.
+ *
+ * Token roles become capabilities (`token:<ROLE>`), each reachable from its holders and from
+ * the capability of its admin role ("grants"). Timelock roles, ownership and multisig
+ * ownership are "acts as" edges onto the contract itself. The proxy's ERC-1967 admin reaches
+ * `token:upgrade`; the token's L1 governance reaches `token:l1Governance` through retryables.
+ *
+ * @param {object} snapshot
+ * @returns {{nodes: object[], edges: {from:string, to:string, relation:string, control:boolean}[]}}
+ */
+function buildAuthorityGraph(snapshot) {
+  const nodes = new Map();
+  const edges = [];
+  const labels = snapshot.labels || {};
+  const account = (a) => {
+    const id = lower(a);
+    if (!nodes.has(id)) {
+      const isContract = snapshot.contracts?.[id];
+      nodes.set(id, {
+        id,
+        kind: "account",
+        address: ethers.getAddress(a),
+        label: labels[id] || (isZero(a) ? "anyone" : ethers.getAddress(a)),
+        type: isZero(a) ? "open" : isContract === undefined ? "unknown" : isContract ? "contract" : "eoa",
+      });
+    }
+    return id;
+  };
+  const capability = (id, label) => {
+    if (!nodes.has(id)) nodes.set(id, { id, kind: "capability", label });
+    return id;
+  };
+  const edge = (from, to, relation, control = true) => {
+    if (from !== to) edges.push({ from, to, relation, control });
+  };
+
+  for (const ac of snapshot.accessControl) {
+    const self = ac.mode === "acts" ? account(ac.address) : null;
+    for (const [role, holders] of Object.entries(ac.roles)) {
+      if (ac.mode === "capabilities") {
+        const cap = capability(`${ac.key}:${role}`, `${ac.key} ${role}`);
+        for (const h of holders) edge(account(h), cap, "holds");
+      } else {
+        for (const h of holders) edge(account(h), self, role, role !== "CANCELLER_ROLE");
+      }
+    }
+    for (const [role, admin] of Object.entries(ac.roleAdmins || {})) {
+      if (role === admin) continue;
+      edge(
+        capability(`${ac.key}:${admin}`, `${ac.key} ${admin}`),
+        capability(`${ac.key}:${role}`, `${ac.key} ${role}`),
+        "grants"
+      );
+    }
+  }
+  for (const o of snapshot.ownable) {
+    const self = account(o.address);
+    if (o.owner && !isZero(o.owner)) edge(account(o.owner), self, "owner");
+    if (o.pendingOwner) edge(account(o.pendingOwner), self, "pending owner", false);
+  }
+  for (const m of snapshot.multisigs) {
+    const self = account(m.address);
+    for (const owner of m.owners) edge(account(owner), self, `owner (${m.threshold} of ${m.owners.length})`);
+  }
+  if (snapshot.proxy) {
+    const upgrade = capability("token:upgrade", "token upgrade (proxy implementation)");
+    edge(account(snapshot.proxy.admin), upgrade, "ERC-1967 admin");
+    if (snapshot.proxy.l1Governance) {
+      const l1 = capability("token:l1Governance", "token L1-governance calls (l2SetPause, l2UpdateParams)");
+      edge(account(snapshot.proxy.l1Governance), l1, "retryable (aliased sender)");
+    }
+  }
+  return { nodes: [...nodes.values()], edges };
+}
+
+/**
+ * Every path of control edges ending at `target`, starting from an account nothing else
+ * controls (an EOA, or a contract without owners) — who can ultimately reach `target`, and how.
+ *
+ * @param {{nodes:object[], edges:object[]}} graph
+ * @param {string} target node id (capability id or lowercased address)
+ * @returns {{root:string, path:{node:string, relation:string}[]}[]}
+ */
+function authorityPaths(graph, target, { maxDepth = 12 } = {}) {
+  const incoming = new Map();
+  for (const e of graph.edges) {
+    if (!e.control) continue;
+    if (!incoming.has(e.to)) incoming.set(e.to, []);
+    incoming.get(e.to).push(e);
+  }
+  const out = [];
+  const walk = (node, tail, seen) => {
+    const ins = (incoming.get(node) || []).filter((e) => !seen.has(e.from));
+    if (!ins.length || tail.length >= maxDepth) {
+      if (tail.length) out.push({ root: node, path: [{ node, relation: null }, ...tail] });
+      return;
+    }
+    for (const e of ins) walk(e.from, [{ node, relation: e.relation }, ...tail], new Set([...seen, e.from]));
+  };
+  walk(target, [], new Set([target]));
+  return out;
+}
+
+/**
+ * Per capability: who holds it directly and which root accounts reach it, over how many paths.
+ * @returns {{capability:string, label:string, direct:string[], roots:string[], paths:number}[]}
+ */
+function authoritySummary(graph) {
+  const byId = new Map(graph.nodes.map((n) => [n.id, n]));
+  return graph.nodes
+    .filter((n) => n.kind === "capability")
+    .map((n) => {
+      const paths = authorityPaths(graph, n.id);
+      const direct = graph.edges.filter((e) => e.to === n.id && e.control && byId.get(e.from).kind === "account");
+      return {
+        capability: n.id,
+        label: n.label,
+        direct: [...new Set(direct.map((e) => byId.get(e.from).label))],
+        roots: [...new Set(paths.map((p) => byId.get(p.root).label))],
+        paths: paths.length,
+      };
+    });
+}
+
+/** `EOA —owner→ miniMultisig —PROPOSER_ROLE→ timelock …` with node labels. */
+function describePath(graph, { path }) {
+  const byId = new Map(graph.nodes.map((n) => [n.id, n]));
+  const label = (id) => byId.get(id).label;
+  return path.map((s, i) => (i === 0 ? label(s.node) : `—${s.relation}→ ${label(s.node)}`)).join(" ");
+}
+
+/** Graphviz DOT: boxes for contracts, ellipses for EOAs, octagons for capabilities. */
+function toDot(graph, { name = "authority" } = {}) {
+  const q = (s) => `"${String(s).replace(/"/g, '\\"')}"`;
+  const shape = { contract: "box", eoa: "ellipse", open: "doubleoctagon", unknown: "ellipse" };
+  const lines = [`digraph ${q(name)} {`, "  rankdir=LR;", '  node [fontname="Helvetica"];'];
+  for (const n of graph.nodes) {
+    if (n.kind === "capability") {
+      lines.push(`  ${q(n.id)} [label=${q(n.label)}, shape=octagon, style=filled, fillcolor="#fde9c8"];`);
+    } else {
+      const text = n.label === n.address ? n.address : `${n.label}\\n${n.address}`;
+      lines.push(`  ${q(n.id)} [label=${q(text)}, shape=${shape[n.type]}];`);
+    }
+  }
+  for (const e of graph.edges) {
+    lines.push(`  ${q(e.from)} -> ${q(e.to)} [label=${q(e.relation)}${e.control ? "" : ", style=dashed"}];`);
+  }
+  lines.push("}");
+  return `${lines.join("\n")}\n`;
+}
+
+module.exports = {
+  foldRoleEvents,
+  foldOwnershipEvents,
+  scanAuthority,
+  buildAuthorityGraph,
+  authorityPaths,
+  authoritySummary,
+  describePath,
+  toDot,
+};
@@ -0,0 +1,321 @@
+// sdk/bridge.js
+// Local Arbitrum retryable-ticket bridge for end-to-end cross-chain tests. It watches the L1 MockInbox
+// (contracts/test/mock/MockInbox.sol) for tickets and replays them on a second Hardhat chain the way Nitro
+// does: from the L1 sender's alias, with the ticket's call value and gas limit, and with Nitro's fee and
+// refund accounting.
+//
+//   const bridge = createRetryableBridge({ l1: hre.ethers.provider, l2, inbox: await inbox.getAddress() });
+//   await governanceL1.sendPause({ value });
+//   const [ticket] = await bridge.relay();       // ticket.status: "redeemed" | "failed" | …
+//   await bridge.redeem(ticket.id);              // manual redeem after a failed auto-redeem
+//
+// Ticket lifecycle: "pending" until its redeem delay has passed on L2, then one auto-redeem attempt →
+// "redeemed" or "failed". Anyone can redeem a failed ticket until it expires (RETRYABLE_LIFETIME), and its
+// beneficiary (callValueRefundAddress) can cancel it; both end in "expired" / "cancelled" with the call
+// value refunded. A ticket the real Inbox would refuse (underfunded, or maxSubmissionCost below the
+// submission fee) is "rejected" and never reaches L2.
+//
+// Accounting (all refunds are credited on L2 and itemised in `ticket.refunds`):
+//   submission fee  = (1400 + 6 * data length) * L1 basefee of the creation block
+//   gas funds       = deposit - l2CallValue - submission fee
+//   auto-redeem     only when maxFeePerGas >= L2 basefee and gas funds >= gasLimit * maxFeePerGas;
+//                   gas is paid at the L2 basefee, a failed attempt pays its whole gas limit
+//   excessFeeRefundAddress ← gas funds - gas paid (all of it when auto-redeem is skipped)
+//   callValueRefundAddress ← l2CallValue when the ticket expires or is cancelled
+// Manual redeems are paid by the redeemer (`payer`), not by the ticket.
+const { ethers } = require("ethers");
+const { MOCK_INBOX_ABI } = require("./abis");
+const { l1ToL2Alias } = require("./audit");
+const { explainRevert } = require("./reverts");
+const { retryableSubmissionFee } = require("./retryable");
+
+/** Nitro retryable lifetime: unredeemed tickets expire after 7 days. */
+const RETRYABLE_LIFETIME = 7 * 24 * 60 * 60;
+
+/* ============================== simulator ============================== */
+
+/**
+ * @typedef {object} Ticket
+ * @property {number} id
+ * @property {"rejected"|"pending"|"redeemed"|"failed"|"cancelled"|"expired"} status
+ * @property {string} from L1 sender (the governance contract)
+ * @property {string} sender its L2 alias, msg.sender of the replayed call
+ * @property {string} to
+ * @property {string} data
+ * @property {bigint} l2CallValue
+ * @property {bigint} deposit msg.value sent to the inbox
+ * @property {bigint} maxSubmissionCost
+ * @property {bigint} submissionFee
+ * @property {bigint} gasLimit
+ * @property {bigint} maxFeePerGas
+ * @property {string} excessFeeRefundAddress
+ * @property {string} callValueRefundAddress
+ * @property {string} l1Tx
+ * @property {number} redeemableAt L2 timestamp of the auto-redeem
+ * @property {number} expiresAt L2 timestamp
+ * @property {string} [rejected] why the Inbox would have reverted
+ * @property {string} [skipped] why auto-redeem was not attempted
+ * @property {{kind:"auto"|"manual", ok:boolean, l2Tx?:string, gasUsed:bigint, gasPaid:bigint,
+ *   revert?:object}[]} attempts revert: decoded with sdk/reverts.js
+ * @property {{to:string, amount:bigint, reason:string}[]} refunds
+ */
+
+/**
+ * Retryable-ticket bridge between two local chains.
+ *
+ * @param {object} opts
+ * @param {ethers.Provider} opts.l1 L1 provider (Hardhat network or node)
+ * @param {ethers.Provider} opts.l2 L2 provider; must be a Hardhat network or node (impersonation, setBalance)
+ * @param {string} opts.inbox MockInbox address on L1
+ * @param {number} [opts.redeemDelay=0] seconds (L2 time) between pickup and the auto-redeem attempt
+ * @param {number} [opts.lifetime=RETRYABLE_LIFETIME] seconds (L2 time) before an unredeemed ticket expires
+ * @param {(block:object) => bigint} [opts.l1BaseFee] L1 basefee used for the submission fee (default: the
+ *   creation block's baseFeePerGas)
+ * @param {number} [opts.fromBlock=0] first L1 block to scan
+ * @param {Function} [opts.log]
+ */
+function createRetryableBridge({
+  l1,
+  l2,
+  inbox,
+  redeemDelay = 0,
+  lifetime = RETRYABLE_LIFETIME,
+  l1BaseFee = (block) => block.baseFeePerGas ?? 0n,
+  fromBlock = 0,
+  log = () => {},
+}) {
+  const inboxContract = new ethers.Contract(inbox, MOCK_INBOX_ABI, l1);
+  const tickets = new Map();
+  let nextBlock = fromBlock;
+
+  const l2Now = async () => (await l2.getBlock("latest")).timestamp;
+  const l2BaseFee = async () => (await l2.getBlock("latest")).baseFeePerGas ?? 0n;
+
+  async function setBalance(address, amount) {
+    await l2.send("hardhat_setBalance", [address, ethers.toQuantity(amount)]);
+  }
+
+  async function credit(ticket, to, amount, reason) {
+    if (amount <= 0n) return;
+    await setBalance(to, (await l2.getBalance(to)) + amount);
+    ticket.refunds.push({ to, amount, reason });
+    log(`  ticket #${ticket.id}: refund ${ethers.formatEther(amount)} ETH → ${to} (${reason})`);
+  }
+
+  const failure = (e, gasLimit) =>
+    /out of gas/i.test(e.message || "")
+      ? {
+          kind: "out-of-gas",
+          code: "OUT_OF_GAS",
+          message: `Ran out of gas (gasLimit ${gasLimit})`,
+          hint: "Raise the ticket gas limit (CrossChainGovernanceL1.setGasConfig).",
+        }
+      : explainRevert(e) ?? { kind: "unknown", code: "UNKNOWN", message: e.shortMessage || e.message, hint: null };
+
+  /** Run the ticket's call on L2 from the alias. The alias is topped up for it and restored afterwards. */
+  async function execute(ticket, kind) {
+    const { sender, to, data, l2CallValue, gasLimit, maxFeePerGas } = ticket;
+    const tx = { from: sender, to, data, value: ethers.toQuantity(l2CallValue), gas: ethers.toQuantity(gasLimit) };
+    const attempt = { kind, ok: false, gasUsed: 0n, gasPaid: 0n };
+    ticket.attempts.push(attempt);
+
+    try {
+      await l2.send("eth_call", [tx, "latest"]);
+    } catch (e) {
+      attempt.revert = failure(e, gasLimit);
+      attempt.gasUsed = gasLimit;
+      attempt.gasPaid = gasLimit * (await l2BaseFee());
+      return attempt;
+    }
+
+    // A manual redeem is paid by the redeemer at the current price, which may exceed the ticket's maxFeePerGas.
+    const baseFee = await l2BaseFee();
+    const feeCap = kind === "manual" && baseFee > maxFeePerGas ? baseFee : maxFeePerGas;
+    const before = await l2.getBalance(sender);
+    await l2.send("hardhat_impersonateAccount", [sender]);
+    try {
+      await setBalance(sender, before + l2CallValue + gasLimit * feeCap);
+      const hash = await l2.send("eth_sendTransaction", [
+        { ...tx, maxFeePerGas: ethers.toQuantity(feeCap), maxPriorityFeePerGas: "0x0" },
+      ]);
+      let receipt = await l2.getTransactionReceipt(hash);
+      if (!receipt) {
+        await l2.send("evm_mine", []); // automine off
+        receipt = await l2.getTransactionReceipt(hash);
+      }
+      attempt.l2Tx = hash;
+      attempt.gasUsed = receipt.gasUsed;
+      attempt.gasPaid = receipt.gasUsed * receipt.gasPrice;
+      attempt.ok = receipt.status === 1;
+    } catch (e) {
+      attempt.revert = failure(e, gasLimit);
+      attempt.gasUsed = gasLimit;
+      attempt.gasPaid = gasLimit * (await l2BaseFee());
+    } finally {
+      await setBalance(sender, before);
+      await l2.send("hardhat_stopImpersonatingAccount", [sender]);
+    }
+    return attempt;
+  }
+
+  async function pickUp(log_) {
+    const id = Number(log_.args.id);
+    const t = await inboxContract.getTicket(id);
+    const block = await l1.getBlock(log_.blockNumber);
+    const now = await l2Now();
+    const ticket = {
+      id,
+      status: "pending",
+      from: t.from,
+      sender: l1ToL2Alias(t.from),
+      to: t.to,
+      data: t.data,
+      l2CallValue: t.l2CallValue,
+      deposit: t.msgValue,
+      maxSubmissionCost: t.maxSubmissionCost,
+      submissionFee: retryableSubmissionFee(ethers.dataLength(t.data), l1BaseFee(block)),
+      gasLimit: t.gasLimit,
+      maxFeePerGas: t.maxFeePerGas,
+      excessFeeRefundAddress: t.excessFeeRefundAddress,
+      callValueRefundAddress: t.callValueRefundAddress,
+      l1Tx: log_.transactionHash,
+      redeemableAt: now + redeemDelay,
+      expiresAt: now + lifetime,
+      attempts: [],
+      refunds: [],
+    };
+
+    const required = ticket.l2CallValue + ticket.maxSubmissionCost + ticket.gasLimit * ticket.maxFeePerGas;
+    if (ticket.maxSubmissionCost < ticket.submissionFee) {
+      ticket.status = "rejected";
+      ticket.rejected = `maxSubmissionCost ${ticket.maxSubmissionCost} < submission fee ${ticket.submissionFee}`;
+    } else if (ticket.deposit < required) {
+      ticket.status = "rejected";
+      ticket.rejected = `deposit ${ticket.deposit} < ${required} (callValue + maxSubmissionCost + gasLimit * maxFeePerGas)`;
+    }
+    tickets.set(id, ticket);
+    log(
+      `ticket #${id} ${ticket.from} → ${ticket.to}: ${ticket.status}${ticket.rejected ? ` (${ticket.rejected})` : ""}`
+    );
+    return ticket;
+  }
+
+  async function autoRedeem(ticket) {
+    const gasFunds = ticket.deposit - ticket.l2CallValue - ticket.submissionFee;
+    const baseFee = await l2BaseFee();
+    if (ticket.maxFeePerGas < baseFee) {
+      ticket.skipped = `maxFeePerGas ${ticket.maxFeePerGas} < L2 basefee ${baseFee}`;
+    } else if (gasFunds < ticket.gasLimit * ticket.maxFeePerGas) {
+      ticket.skipped = `gas funds ${gasFunds} < gasLimit * maxFeePerGas`;
+    }
+
+    let gasPaid = 0n;
+    if (ticket.skipped) {
+      ticket.status = "failed";
+      log(`ticket #${ticket.id}: auto-redeem skipped (${ticket.skipped})`);
+    } else {
+      const a = await execute(ticket, "auto");
+      gasPaid = a.gasPaid;
+      ticket.status = a.ok ? "redeemed" : "failed";
+      log(`ticket #${ticket.id}: auto-redeem ${a.ok ? "ok" : `failed (${a.revert.code})`}`);
+    }
+    await credit(ticket, ticket.excessFeeRefundAddress, gasFunds - gasPaid, "excess fees");
+  }
+
+  async function close(ticket, status) {
+    ticket.status = status;
+    await credit(ticket, ticket.callValueRefundAddress, ticket.l2CallValue, `call value (${status})`);
+  }
+
+  const get = (id) => {
+    const t = tickets.get(Number(id));
+    if (!t) throw new Error(`Unknown ticket #${id}`);
+    return t;
+  };
+
+  return {
+    /** Pick up tickets created on L1 since the last call. */
+    async sync() {
+      const head = await l1.getBlockNumber();
+      if (head < nextBlock) return [];
+      const logs = await inboxContract.queryFilter("RetryableCreated", nextBlock, head);
+      nextBlock = head + 1;
+      const out = [];
+      for (const l of logs) out.push(await pickUp(l));
+      return out;
+    },
+
+    /**
+     * sync(), then auto-redeem every ticket whose delay has passed and expire the ones past their lifetime.
+     * @returns {Promise<Ticket[]>} tickets picked up or changed by this call
+     */
+    async relay() {
+      const touched = new Set(await this.sync());
+      const now = await l2Now();
+      for (const t of [...tickets.values()].sort((a, b) => a.id - b.id)) {
+        if (t.status === "pending" && now >= t.redeemableAt) {
+          await autoRedeem(t);
+          touched.add(t);
+        }
+        if ((t.status === "pending" || t.status === "failed") && now >= t.expiresAt) {
+          await close(t, "expired");
+          touched.add(t);
+        }
+      }
+      return [...touched].sort((a, b) => a.id - b.id);
+    },
+
+    /**
+     * Manually redeem a failed ticket (ArbRetryableTx.redeem). Gas is charged to `payer` when given.
+     * @returns {Promise<object>} the attempt
+     */
+    async redeem(id, { payer } = {}) {
+      const t = get(id);
+      if (t.status !== "failed") throw new Error(`Ticket #${t.id} is ${t.status}, not redeemable`);
+      if ((await l2Now()) >= t.expiresAt) throw new Error(`Ticket #${t.id} has expired`);
+      const a = await execute(t, "manual");
+      if (payer) {
+        const balance = await l2.getBalance(payer);
+        await setBalance(payer, balance > a.gasPaid ? balance - a.gasPaid : 0n);
+      }
+      if (a.ok) t.status = "redeemed";
+      log(`ticket #${t.id}: manual redeem ${a.ok ? "ok" : `failed (${a.revert.code})`}`);
+      return a;
+    },
+
+    /** Cancel a failed ticket (ArbRetryableTx.cancel); only its beneficiary may. */
+    async cancel(id, { by }) {
+      const t = get(id);
+      if (t.status !== "failed" && t.status !== "pending") throw new Error(`Ticket #${t.id} is ${t.status}`);
+      if (ethers.getAddress(by) !== ethers.getAddress(t.callValueRefundAddress)) {
+        throw new Error(`Only the beneficiary ${t.callValueRefundAddress} can cancel ticket #${t.id}`);
+      }
+      await close(t, "cancelled");
+      return t;
+    },
+
+    /** Move L2 time forward (redeem delays, expiry) and mine a block. */
+    async advance(seconds) {
+      await l2.send("evm_increaseTime", [seconds]);
+      await l2.send("evm_mine", []);
+    },
+
+    ticket: get,
+    tickets: () => [...tickets.values()].sort((a, b) => a.id - b.id),
+
+    /** Total refunded to `address` across all tickets. */
+    refundedTo(address) {
+      const a = ethers.getAddress(address);
+      let total = 0n;
+      for (const t of tickets.values()) {
+        for (const r of t.refunds) if (ethers.getAddress(r.to) === a) total += r.amount;
+      }
+      return total;
+    },
+  };
+}
+
+module.exports = {
+  RETRYABLE_LIFETIME,
+  createRetryableBridge,
+};
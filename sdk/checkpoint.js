@@ -0,0 +1,235 @@
+// sdk/checkpoint.js
+// Resumable step runner for multi-transaction deployments: deployments/<network>-deploy-checkpoint.json.
+//
+// A deployment is an ordered list of named steps. Each step may say how to recognise on chain
+// that its work is already there (`done`), so a rerun after a failure skips what was finished —
+// whether or not the checkpoint got to record it — and resumes at the step that failed.
+//
+//   const cp = openCheckpoint(checkpointPath("arbitrumSepolia"), { network, chainId, genesisHash, config });
+//   const rows = await runSteps(steps, cp, { plan: true }); // report only, nothing is sent
+//
+// Step shape:
+//   name       unique id, recorded in the checkpoint
+//   title      human description (defaults to name)
+//   when(s)    optional; false → the step does not apply to this deployment ("skip")
+//   done(s)    optional; truthy when the chain already reflects the step. An object is merged
+//              into the state (e.g. the address of a contract found at a pending nonce).
+//              Steps without `done` rely on the checkpoint alone.
+//   run(s, save)  does the work; the object it returns is merged into the state. `save(patch)`
+//              persists intermediate state (a salt, a pending nonce) before sending.
+//   check      true for read-only steps (invariants): run on every pass, never skipped.
+const fs = require("fs");
+const path = require("path");
+const { DEPLOYMENTS_DIR } = require("./manifest");
+
+const CHECKPOINT_TYPE = "gemstep.deploy-checkpoint";
+const CHECKPOINT_VERSION = 1;
+
+const jsonSafe = (_k, v) => (typeof v === "bigint" ? v.toString() : v);
+
+/** deployments/<network>-deploy-checkpoint.json (or under `dir`). */
+function checkpointPath(network, dir = DEPLOYMENTS_DIR) {
+  return path.join(dir, `${network}-deploy-checkpoint.json`);
+}
+
+function readCheckpoint(file) {
+  if (!fs.existsSync(file)) return null;
+  const doc = JSON.parse(fs.readFileSync(file, "utf8"));
+  if (doc.type !== CHECKPOINT_TYPE) throw new Error(`${file} is not a deploy checkpoint`);
+  if (doc.version !== CHECKPOINT_VERSION) throw new Error(`${file}: unsupported checkpoint version ${doc.version}`);
+  return doc;
+}
+
+/** Write via a temp file so an interrupted run never leaves a truncated checkpoint. */
+function writeCheckpoint(file, doc) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const tmp = `${file}.tmp`;
+  fs.writeFileSync(tmp, `${JSON.stringify({ ...doc, updatedAt: new Date().toISOString() }, jsonSafe, 2)}\n`);
+  fs.renameSync(tmp, file);
+}
+
+/** Keys of `config` whose value differs from `recorded` (compared as JSON). */
+function configDrift(recorded, config) {
+  const keys = new Set([...Object.keys(recorded || {}), ...Object.keys(config || {})]);
+  const same = (a, b) => JSON.stringify(a ?? null, jsonSafe) === JSON.stringify(b ?? null, jsonSafe);
+  return [...keys].filter((k) => !same(recorded?.[k], config?.[k]));
+}
+
+/**
+ * Open (or start) the checkpoint for a deployment.
+ *
+ * A checkpoint only resumes the deployment it was written for: another chain id, network or
+ * any change in `config` (the env-derived inputs — mode, owners, delays) is an error, since
+ * resuming would mix contracts built from different settings. `fresh` moves an existing file
+ * aside to `<file>.<timestamp>.bak` and starts over.
+ *
+ * A checkpoint written on a chain with another genesis block (a restarted local node) records
+ * nothing that chain has, so it is moved aside the same way and `reset` says why.
+ * `file: null` keeps the checkpoint in memory only (the in-process Hardhat network).
+ *
+ * @param {string|null} file
+ * @param {{network:string, chainId:number|bigint, genesisHash?:string, config?:object, fresh?:boolean,
+ *   plan?:boolean}} opts `plan` opens read-only: nothing is moved or written.
+ * @returns {{file:string|null, doc:object, resumed:boolean, backup:string|null, reset:string|null, save:Function}}
+ */
+function openCheckpoint(file, { network, chainId, genesisHash, config = {}, fresh = false, plan = false }) {
+  let doc = file ? readCheckpoint(file) : null;
+  let backup = null;
+  let reset = null;
+  if (
+    doc &&
+    !fresh &&
+    genesisHash &&
+    doc.genesisHash &&
+    doc.genesisHash !== genesisHash &&
+    doc.network === network &&
+    Number(doc.chainId) === Number(chainId)
+  ) {
+    reset = `${file} was written on another chain instance (genesis ${doc.genesisHash}, now ${genesisHash})`;
+  }
+  if (doc && (fresh || reset)) {
+    backup = `${file}.${new Date().toISOString().replace(/[:.]/g, "-")}.bak`;
+    if (!plan) fs.renameSync(file, backup);
+    doc = null;
+  }
+
+  if (doc) {
+    const problems = [];
+    if (doc.network !== network) problems.push(`it is for network ${doc.network}, not ${network}`);
+    if (Number(doc.chainId) !== Number(chainId)) problems.push(`it is for chain ${doc.chainId}, not ${chainId}`);
+    const drift = configDrift(doc.config, config);
+    if (drift.length) problems.push(`configuration changed since it was written (${drift.join(", ")})`);
+    if (problems.length) {
+      throw new Error(
+        `Cannot resume from ${file}: ${problems.join("; ")}. Restore the settings or start over with DEPLOY_FRESH=1.`
+      );
+    }
+  }
+
+  const resumed = !!doc;
+  doc = doc || {
+    type: CHECKPOINT_TYPE,
+    version: CHECKPOINT_VERSION,
+    network,
+    chainId: Number(chainId),
+    ...(genesisHash && { genesisHash }),
+    config,
+    createdAt: new Date().toISOString(),
+    state: {},
+    steps: {},
+  };
+
+  return {
+    file,
+    doc,
+    resumed,
+    backup,
+    reset,
+    save(patch = {}) {
+      Object.assign(doc.state, patch);
+      if (!plan && file) writeCheckpoint(file, doc);
+      return doc.state;
+    },
+  };
+}
+
+/**
+ * Run (or, with `plan`, only report) `steps` against checkpoint `cp`.
+ *
+ * Per step, in order: not applicable → "skip"; read-only check → "check"; recognised on chain
+ * → "done" (or "found" when the checkpoint did not know yet); otherwise it runs ("ran"), or in
+ * plan mode is reported as "pending". A step the checkpoint marks done that the chain no longer
+ * reflects is an error — the checkpoint belongs to another deployment (or a reset node).
+ * A failing step is recorded with its error, and the error is rethrown.
+ *
+ * @param {object[]} steps
+ * @param {ReturnType<typeof openCheckpoint>} cp
+ * @param {{plan?:boolean, log?:(row:object)=>void}} [opts] `log` is called per step as it settles
+ * @returns {Promise<{step:string, title:string, status:string, note?:string}[]>}
+ */
+async function runSteps(steps, cp, { plan = false, log = () => {} } = {}) {
+  const names = new Set();
+  for (const step of steps) {
+    if (!step.name || names.has(step.name)) throw new Error(`Step names must be unique and non-empty (${step.name})`);
+    names.add(step.name);
+  }
+
+  const { doc } = cp;
+  const rows = [];
+  const settle = (step, status, note) => {
+    const row = { step: step.name, title: step.title || step.name, status, ...(note && { note }) };
+    rows.push(row);
+    log(row);
+    return row;
+  };
+  const mark = (step, entry) => {
+    doc.steps[step.name] = { ...entry, at: new Date().toISOString() };
+    cp.save();
+  };
+
+  for (const step of steps) {
+    const s = doc.state;
+    const recorded = doc.steps[step.name]?.status;
+
+    if (step.when && !(await step.when(s))) {
+      if (recorded !== "skipped" && !plan) mark(step, { status: "skipped" });
+      settle(step, "skip");
+      continue;
+    }
+
+    if (step.check) {
+      if (plan) {
+        settle(step, "check");
+        continue;
+      }
+      await attempt(step, s);
+      mark(step, { status: "done" });
+      settle(step, "check", "passed");
+      continue;
+    }
+
+    const found = step.done ? await step.done(s) : recorded === "done";
+    if (found) {
+      if (typeof found === "object") cp.save(found);
+      if (recorded !== "done" && !plan) mark(step, { status: "done", detected: "chain" });
+      settle(step, recorded === "done" ? "done" : "found");
+      continue;
+    }
+    if (recorded === "done" && step.done) {
+      throw new Error(
+        `${cp.file || "The checkpoint"} records step "${step.name}" as done, but the chain does not reflect it. ` +
+          "Is this checkpoint from another deployment (or a restarted node)? Start over with DEPLOY_FRESH=1."
+      );
+    }
+
+    if (plan) {
+      settle(step, "pending", recorded === "failed" ? `failed last time: ${doc.steps[step.name].error}` : undefined);
+      continue;
+    }
+
+    const patch = await attempt(step, s);
+    cp.save(patch || {});
+    mark(step, { status: "done" });
+    settle(step, "ran");
+  }
+  return rows;
+
+  async function attempt(step, s) {
+    try {
+      return await step.run(s, (patch) => cp.save(patch));
+    } catch (e) {
+      if (!plan) mark(step, { status: "failed", error: String(e.shortMessage || e.message || e).slice(0, 500) });
+      throw e;
+    }
+  }
+}
+
+module.exports = {
+  CHECKPOINT_TYPE,
+  CHECKPOINT_VERSION,
+  checkpointPath,
+  readCheckpoint,
+  writeCheckpoint,
+  openCheckpoint,
+  runSteps,
+};
@@ -0,0 +1,199 @@
+// sdk/constants.js
+// Protocol constants mirrored from contracts/token/storage/GemStepStorage.sol.
+// Keep these in lockstep with the Solidity side: any drift breaks signatures.
+const { ethers } = require("ethers");
+
+/* ========================= EIP-712 domain ========================= */
+const DOMAIN_NAME = "GemStep";
+const DOMAIN_VERSION = "1.0.0";
+const DEFAULT_PAYLOAD_VERSION = "1.0.0";
+
+/* ========================= EIP-712 types ========================= */
+/** StepLog typed-data fields (order matters: it defines STEPLOG_TYPEHASH). */
+const STEPLOG_TYPES = {
+  StepLog: [
+    { name: "user",        type: "address" },
+    { name: "beneficiary", type: "address" },
+    { name: "steps",       type: "uint256" },
+    { name: "nonce",       type: "uint256" },
+    { name: "deadline",    type: "uint256" },
+    { name: "chainId",     type: "uint256" },
+    { name: "source",      type: "string"  },
+    { name: "version",     type: "string"  },
+  ],
+};
+
+const STEPLOG_TYPEHASH = ethers.id(
+  "StepLog(address user,address beneficiary,uint256 steps,uint256 nonce,uint256 deadline,uint256 chainId,string source,string version)"
+);
+
+/** Legacy attestation (ATTESTATION_TYPEHASH): no nonce binding, one-time replay key per device. */
+const ATTESTATION_TYPES = {
+  Attestation: [
+    { name: "user",      type: "address" },
+    { name: "steps",     type: "uint256" },
+    { name: "timestamp", type: "uint256" },
+    { name: "version",   type: "string"  },
+  ],
+};
+
+/** Nonce-bound attestation (ATTESTATION_V2_TYPEHASH): binds the user's logSteps nonce. */
+const ATTESTATION_V2_TYPES = {
+  Attestation: [
+    { name: "user",      type: "address" },
+    { name: "steps",     type: "uint256" },
+    { name: "timestamp", type: "uint256" },
+    { name: "vHash",     type: "bytes32" },
+    { name: "userNonce", type: "uint256" },
+  ],
+};
+
+const ATTESTATION_TYPEHASH = ethers.id(
+  "Attestation(address user,uint256 steps,uint256 timestamp,string version)"
+);
+const ATTESTATION_V2_TYPEHASH = ethers.id(
+  "Attestation(address user,uint256 steps,uint256 timestamp,bytes32 vHash,uint256 userNonce)"
+);
+
+/** ABI layout of VerificationData.attestation: (device, timestamp, version, signature). */
+const ATTESTATION_BLOB_TYPES = ["address", "uint256", "string", "bytes"];
+
+/* ========================= ABI fragments ========================= */
+/** Solidity tuple shapes of StepSubmission / VerificationData (for abi encoding / calldata). */
+const STEP_SUBMISSION_TUPLE =
+  "tuple(address user,address beneficiary,uint256 steps,uint256 nonce,uint256 deadline,string source,string version)";
+const VERIFICATION_DATA_TUPLE = "tuple(bytes signature,bytes32[] proof,bytes attestation)";
+
+/** Token surface the SDK needs: payload build / check / submit and state reads (GS_ReadersMinimal bundles). */
+const TOKEN_SDK_ABI = [
+  "function name() view returns (string)",
+  "function symbol() view returns (string)",
+  "function balanceOf(address) view returns (uint256)",
+  "function nonces(address) view returns (uint256)",
+  "function paused() view returns (bool)",
+  "function totalSupply() view returns (uint256)",
+  "function treasury() view returns (address)",
+  "function anomalyThreshold() view returns (uint256)",
+  "function approvedRecipients(address) view returns (bool)",
+  "function getL1Governance() view returns (address)",
+  "function getEmergencyStatus() view returns (bool,uint256)",
+  "function getUserBasics(address user) view returns (uint256,string)",
+  "function hasRole(bytes32 role, address account) view returns (bool)",
+  "function isSourceValid(string source) view returns (bool)",
+  "function getCoreParams() view returns (uint256,uint256,uint256,uint256)",
+  "function getStakeParams() view returns (uint256,uint256,bool)",
+  "function getMintingState() view returns (uint256,uint256,uint256,uint256,uint256,uint256,uint256)",
+  "function getSourceConfigFields(string source) view returns (bool,bool,bytes32,uint256,uint256)",
+  "function getUserSourceNonce(address user, string source) view returns (uint256)",
+  "function getUserSourceStats(address user, string source) view returns (uint256,uint256,uint256)",
+  "function getUserCoreStatus(address user) view returns (uint256,uint256,uint256,uint256,bool,uint256)",
+  "function getVersionPolicy(bytes32) view returns (bool,uint256,bool,bool,uint256)",
+  "function isTrustedDevice(address) view returns (bool)",
+  "function usedAttestations(bytes32) view returns (bool)",
+  "function usedSignatures(bytes32) view returns (bool)",
+  "function trustedERC1271Contracts(address) view returns (bool)",
+  "function used1271Digests(address user, bytes32 digest) view returns (bool)",
+  `function logSteps(${STEP_SUBMISSION_TUPLE} data, ${VERIFICATION_DATA_TUPLE} verification)`,
+];
+
+/** Role ids (GemStepStorage). EMERGENCY_ADMIN_ROLE hashes "EMERGENCY_ADMIN", not "..._ROLE". */
+const ROLES = {
+  DEFAULT_ADMIN_ROLE: ethers.ZeroHash,
+  PAUSER_ROLE: ethers.id("PAUSER_ROLE"),
+  MINTER_ROLE: ethers.id("MINTER_ROLE"),
+  SIGNER_ROLE: ethers.id("SIGNER_ROLE"),
+  PARAMETER_ADMIN_ROLE: ethers.id("PARAMETER_ADMIN_ROLE"),
+  EMERGENCY_ADMIN_ROLE: ethers.id("EMERGENCY_ADMIN"),
+  UPGRADER_ROLE: ethers.id("UPGRADER_ROLE"),
+  API_SIGNER_ROLE: ethers.id("API_SIGNER_ROLE"),
+};
+
+/* ========================= Policy constants ========================= */
+/**
+ * Canonical step sources and their verification requirements: [source, requiresProof, requiresAttestation].
+ * configure_sources_via_l2_timelock.js applies it; the deployment audit checks it.
+ */
+const SOURCE_POLICY = [
+  ["basicapp", false, false], // simple mobile app
+  ["mobileapp", false, false], // alt basic source
+  ["googlefit", false, false],
+  ["fitbit", false, false],
+  ["applehealth", false, false],
+  ["corporatetracker", false, false],
+  ["medicaldevice", false, true], // high-security device, needs attestation
+  ["wearablepremium", false, true],
+  ["fitnessplatform", true, false], // batch platform, proof only
+  ["enterprise", true, false],
+  ["premiumtracker", true, true], // max security: proof + attestation
+];
+
+const MAX_VERSION_LENGTH = 32;
+const MAX_PROOF_LENGTH = 32;
+const MIN_STEPS = 1n;
+
+/** GemStepStorage supply/minting constants and the 80/10/10 reward split. */
+const MAX_SUPPLY = ethers.parseEther("1000000000");
+const INITIAL_SUPPLY = ethers.parseEther("400000000");
+const MONTHLY_MINT_LIMIT = ethers.parseEther("2000000");
+const REWARD_RATE_BASE = 10n ** 15n;
+const MAX_HALVINGS = 63n;
+const SECONDS_PER_MONTH = 30n * 86400n;
+const BPS_BASE = 10_000n;
+const REWARD_USER_BPS = 8000n;
+const REWARD_BURN_BPS = 1000n;
+
+/** `_verifyAttestationAndReplay` rejects attestations aged 1 hour or more. */
+const ATTESTATION_MAX_AGE = 3600n;
+
+/** GS_AnomalyAndFraud policy (GemStepStorage) and the initialize() defaults it works against. */
+const PENALTY_PERCENT = 30n;
+const MAX_STEPS_PER_DAY = 10_000n;
+const MIN_SUBMISSION_INTERVAL = 3600n;
+const SUSPENSION_DURATION = 30n * 86400n;
+const ANOMALY_THRESHOLD = 5n;
+const MIN_AVERAGE_FOR_ANOMALY = 500n;
+const GRACE_PERIOD = 7n * 86400n;
+const MIN_STAKE_PER_STEP = ethers.parseEther("0.0000001");
+const MAX_STAKE_PER_STEP = ethers.parseEther("0.001");
+const DEFAULT_STEP_LIMIT = 5000n;
+
+module.exports = {
+  DOMAIN_NAME,
+  DOMAIN_VERSION,
+  DEFAULT_PAYLOAD_VERSION,
+  STEPLOG_TYPES,
+  STEPLOG_TYPEHASH,
+  ATTESTATION_TYPES,
+  ATTESTATION_V2_TYPES,
+  ATTESTATION_TYPEHASH,
+  ATTESTATION_V2_TYPEHASH,
+  ATTESTATION_BLOB_TYPES,
+  STEP_SUBMISSION_TUPLE,
+  VERIFICATION_DATA_TUPLE,
+  TOKEN_SDK_ABI,
+  ROLES,
+  SOURCE_POLICY,
+  MAX_VERSION_LENGTH,
+  MAX_PROOF_LENGTH,
+  MIN_STEPS,
+  MAX_SUPPLY,
+  INITIAL_SUPPLY,
+  MONTHLY_MINT_LIMIT,
+  REWARD_RATE_BASE,
+  MAX_HALVINGS,
+  SECONDS_PER_MONTH,
+  BPS_BASE,
+  REWARD_USER_BPS,
+  REWARD_BURN_BPS,
+  ATTESTATION_MAX_AGE,
+  PENALTY_PERCENT,
+  MAX_STEPS_PER_DAY,
+  MIN_SUBMISSION_INTERVAL,
+  SUSPENSION_DURATION,
+  ANOMALY_THRESHOLD,
+  MIN_AVERAGE_FOR_ANOMALY,
+  GRACE_PERIOD,
+  MIN_STAKE_PER_STEP,
+  MAX_STAKE_PER_STEP,
+  DEFAULT_STEP_LIMIT,
+};
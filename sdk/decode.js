@@ -0,0 +1,296 @@
+// sdk/decode.js
+// Human-readable decoding of governance calldata, recursively through the wrappers we use:
+//
+//   MiniMultisig.propose → Timelock.schedule[Batch] → UpgradeExecutor.scheduleUpgradeAndCall
+//     → token initializer;  L1 Timelock → CrossChainGovernanceL1.callL2 → token.l2SetPause; …
+//
+// The contract behind a target comes from the address book (deployment manifest keys); an
+// unknown target is matched by selector against every known ABI and flagged as guessed.
+// Role ids, addresses (checksummed, labelled), delays and ETH values are rendered readably.
+const { ethers } = require("ethers");
+const { ROLES } = require("./constants");
+const {
+  TIMELOCK_ABI,
+  MINI_MULTISIG_ABI,
+  UPGRADE_EXECUTOR_ABI,
+  PROXY_ADMIN_ABI,
+  L1_GOVERNANCE_ABI,
+  TOKEN_ADMIN_ABI,
+} = require("./abis");
+
+/** Reinitializers shipped with token upgrades (the `data` of upgradeAndCall). */
+const TOKEN_INITIALIZERS_ABI = ["function initializeV2()"];
+
+/** Contract kind → ABI used to decode calls to it. */
+const DECODER_ABIS = {
+  token: [...TOKEN_ADMIN_ABI, ...TOKEN_INITIALIZERS_ABI],
+  timelock: TIMELOCK_ABI,
+  miniMultisig: MINI_MULTISIG_ABI,
+  upgradeExecutor: UPGRADE_EXECUTOR_ABI,
+  proxyAdmin: PROXY_ADMIN_ABI,
+  l1Governance: L1_GOVERNANCE_ABI,
+};
+
+/** Address-book key (deployment manifest / CLI) → contract kind. */
+const KIND_OF_KEY = {
+  token: "token",
+  tokenProxy: "token",
+  implementation: "token",
+  timelock: "timelock",
+  l1Timelock: "timelock",
+  miniMultisig: "miniMultisig",
+  upgradeExecutor: "upgradeExecutor",
+  proxyAdmin: "proxyAdmin",
+  l1Governance: "l1Governance",
+};
+
+/** TimelockController roles, next to the token's ROLES. */
+const TIMELOCK_ROLES = {
+  PROPOSER_ROLE: ethers.id("PROPOSER_ROLE"),
+  EXECUTOR_ROLE: ethers.id("EXECUTOR_ROLE"),
+  CANCELLER_ROLE: ethers.id("CANCELLER_ROLE"),
+  TIMELOCK_ADMIN_ROLE: ethers.id("TIMELOCK_ADMIN_ROLE"),
+};
+
+const withInit = (a) => [{ to: a.proxy, kind: "token", data: a.data, via: "initializer" }];
+const single = (a) => [{ to: a.target, value: a.value, data: a.data }];
+// Batch args by position: on an ethers Result, `.values` is Array.prototype.values.
+const batch = ([targets, values, payloads]) => targets.map((to, i) => ({ to, value: values[i], data: payloads[i] }));
+
+/**
+ * Calls wrapped inside a call, by `kind.function`. `book` is the address book, for wrappers
+ * whose inner target is implicit (callL2 always reaches the L2 token).
+ */
+const NESTED_CALLS = {
+  "timelock.schedule": single,
+  "timelock.execute": single,
+  "timelock.scheduleBatch": batch,
+  "timelock.executeBatch": batch,
+  "miniMultisig.propose": single,
+  "upgradeExecutor.scheduleUpgradeWithData": withInit,
+  "upgradeExecutor.scheduleUpgradeAndCall": withInit,
+  "upgradeExecutor.executeUpgradeWithData": withInit,
+  "upgradeExecutor.executeUpgradeAndCall": withInit,
+  "upgradeExecutor.cancelUpgradeWithData": withInit,
+  "upgradeExecutor.upgradeAndCall": withInit,
+  "proxyAdmin.upgradeAndCall": withInit,
+  "l1Governance.callL2": (a, book) => [{ to: book.token, kind: "token", data: a.targetCalldata, via: "retryable" }],
+  "l1Governance.sendRetryable": (a, book) => [
+    { to: book.token, kind: "token", value: a.l2CallValue, data: a.data, via: "retryable" },
+  ],
+  "token.emergencyPingL1": (a) => [{ to: a.l1Target, data: a.data, via: "L2→L1" }],
+  "token.sendTxToL1": (a) => [{ to: a.to, data: a.data, via: "L2→L1" }],
+};
+
+const coder = ethers.AbiCoder.defaultAbiCoder();
+
+/** Timelock operation id of a decoded schedule/execute[Batch] call. */
+function operationId(fn, a) {
+  if (fn.endsWith("Batch")) {
+    const [targets, values, payloads, predecessor, salt] = a.toArray(true);
+    return ethers.keccak256(
+      coder.encode(["address[]", "uint256[]", "bytes[]", "bytes32", "bytes32"], [targets, values, payloads, predecessor, salt])
+    );
+  }
+  return ethers.keccak256(
+    coder.encode(["address", "uint256", "bytes", "bytes32", "bytes32"], [a.target, a.value, a.data, a.predecessor, a.salt])
+  );
+}
+
+function humanDuration(seconds) {
+  let s = Number(seconds);
+  if (s === 0) return "0s";
+  const parts = [];
+  for (const [unit, n] of [["d", 86400], ["h", 3600], ["m", 60], ["s", 1]]) {
+    if (s >= n) {
+      parts.push(`${Math.floor(s / n)}${unit}`);
+      s %= n;
+    }
+  }
+  return parts.join(" ");
+}
+
+/**
+ * @param {object} [opts]
+ * @param {Record<string,string>} [opts.addresses] address book (`token`, `timelock`, …); keys in
+ *   KIND_OF_KEY also tell the decoder which ABI the address speaks
+ * @param {Record<string,string>} [opts.labels] extra address → label (signers, admins, …)
+ * @param {Record<string,string>} [opts.roles] extra role name → id
+ * @param {number} [opts.maxDepth] nesting limit (default 6)
+ */
+function createDecoder({ addresses = {}, labels = {}, roles = {}, maxDepth = 6 } = {}) {
+  const ifaces = Object.fromEntries(Object.entries(DECODER_ABIS).map(([k, abi]) => [k, new ethers.Interface(abi)]));
+  const book = {};
+  const byAddress = new Map();
+  const remember = (addr, label, kind = null) => {
+    if (!ethers.isAddress(addr)) return;
+    const a = ethers.getAddress(addr);
+    if (!byAddress.has(a)) byAddress.set(a, { label, kind });
+  };
+  for (const [key, addr] of Object.entries(addresses)) {
+    if (!ethers.isAddress(addr)) continue;
+    book[key] = ethers.getAddress(addr);
+    remember(addr, key, KIND_OF_KEY[key] || null);
+  }
+  for (const [addr, label] of Object.entries(labels)) remember(addr, label);
+
+  const roleNames = new Map(
+    Object.entries({ ...ROLES, ...TIMELOCK_ROLES, ...roles }).map(([name, id]) => [id.toLowerCase(), name])
+  );
+
+  /** `0xAbC…` plus its label, if known. */
+  function describeAddress(addr) {
+    const a = ethers.getAddress(addr);
+    const known = byAddress.get(a);
+    if (a === ethers.ZeroAddress) return `${a} (zero address)`;
+    return known ? `${a} (${known.label})` : a;
+  }
+
+  /** Display form of one decoded value; array elements are described under the array's name. */
+  function describeValue(param, v, name = param.name || "") {
+    if (param.baseType === "array") return v.map((x) => describeValue(param.arrayChildren, x, name));
+    if (param.type === "address") return describeAddress(v);
+    if (param.type === "bytes32") {
+      const role = roleNames.get(v.toLowerCase());
+      if (role && (/role/i.test(name) || v !== ethers.ZeroHash)) return `${role} (${v})`;
+      if (/predecessor/i.test(name) && v === ethers.ZeroHash) return "none";
+      return v;
+    }
+    if (param.type.startsWith("uint")) {
+      if (/delay/i.test(name)) return `${v} (${humanDuration(v)})`;
+      if (/^(values?|l2CallValue|amount)$/.test(name)) return `${v} wei (${ethers.formatEther(v)} ETH)`;
+      if (name === "when") return `${v} (${new Date(Number(v) * 1000).toISOString()})`;
+      return v.toString();
+    }
+    if (param.type === "bytes") return v === "0x" ? "0x (empty)" : `${ethers.dataLength(v)} bytes`;
+    if (param.type === "string") return JSON.stringify(v);
+    if (param.baseType === "tuple") {
+      return Object.fromEntries(param.components.map((c, i) => [c.name || String(i), describeValue(c, v[i])]));
+    }
+    return String(v);
+  }
+
+  /** [kind, fragment, decoded args] for `data`, preferring `kind`, else first selector match. */
+  function matchFunction(kind, data) {
+    const selector = data.slice(0, 10);
+    const order = kind ? [kind, ...Object.keys(ifaces).filter((k) => k !== kind)] : Object.keys(ifaces);
+    for (const k of order) {
+      const fragment = ifaces[k].getFunction(selector);
+      if (!fragment) continue;
+      try {
+        return [k, fragment, ifaces[k].decodeFunctionData(fragment, data)];
+      } catch {
+        // Same selector, different layout (or truncated data): keep looking.
+      }
+    }
+    return [null, null, null];
+  }
+
+  /**
+   * Decode one call and everything nested in it.
+   * @param {{to?: string|null, value?: bigint|string|number, data: string, kind?: string, via?: string}} call
+   * @returns {object} node: { to, target, value, selector, kind, guessed, function, signature, args, calls, unknown? }
+   */
+  function decodeCall({ to = null, value = 0n, data, kind = null, via = null }, depth = 0) {
+    const target = to && ethers.isAddress(to) ? ethers.getAddress(to) : null;
+    const expected = kind || (target && byAddress.get(target)?.kind) || null;
+    const node = {
+      to: target,
+      target: target ? describeAddress(target) : kind ? `${kind} (address unknown)` : null,
+      value: BigInt(value),
+      via,
+      selector: data && data.length >= 10 ? data.slice(0, 10) : null,
+      kind: expected,
+      guessed: false,
+      function: null,
+      signature: null,
+      args: [],
+      calls: [],
+    };
+    if (!node.selector) {
+      node.function = data && data !== "0x" ? "(malformed calldata)" : "(no calldata)";
+      return node;
+    }
+
+    const [k, fragment, decoded] = matchFunction(expected, data);
+    if (!fragment) {
+      Object.assign(node, { unknown: true, function: `unknown ${node.selector}`, data });
+      return node;
+    }
+    node.kind = k;
+    node.guessed = expected !== k;
+    node.function = fragment.name;
+    node.signature = fragment.format();
+    node.args = fragment.inputs.map((p, i) => ({
+      name: p.name || `arg${i}`,
+      type: p.type,
+      value: decoded[i],
+      display: describeValue(p, decoded[i]),
+    }));
+
+    if (k === "timelock" && /^(schedule|execute)/.test(fragment.name)) {
+      node.operationId = operationId(fragment.name, decoded);
+    }
+
+    const nested = NESTED_CALLS[`${k}.${fragment.name}`];
+    if (nested && depth < maxDepth) {
+      for (const inner of nested(decoded, book)) {
+        if (inner.data && inner.data !== "0x") node.calls.push(decodeCall(inner, depth + 1));
+      }
+    }
+    return node;
+  }
+
+  return { decodeCall, describeAddress, book };
+}
+
+function displayLines(display) {
+  if (Array.isArray(display)) return display.length ? display.map((d, i) => `[${i}] ${d}`) : ["[]"];
+  if (display && typeof display === "object") {
+    return Object.entries(display).map(([k, v]) => `${k}: ${typeof v === "object" ? JSON.stringify(v) : v}`);
+  }
+  return [String(display)];
+}
+
+/**
+ * Render a decoded call as an indented tree (one string per line).
+ * @param {object} node result of `decodeCall`
+ */
+function renderCall(node, prefix = "") {
+  const head = node.signature ? `${node.kind}.${node.signature}` : node.function;
+  const value = node.value > 0n ? ` {value: ${ethers.formatEther(node.value)} ETH}` : "";
+  const via = node.via ? `[${node.via}] ` : "";
+  const to = node.target ? ` → ${node.target}` : "";
+  const lines = [`${via}${head}${value}${to}${node.guessed ? "  ⚠️ ABI guessed from selector" : ""}`];
+
+  const items = node.args.map((a) => {
+    const sub = displayLines(a.display);
+    return typeof a.display === "object" ? { text: `${a.name}:`, sub } : { text: `${a.name}: ${sub[0]}`, sub: [] };
+  });
+  if (node.operationId) items.push({ text: `operationId: ${node.operationId}`, sub: [] });
+  if (node.unknown) items.push({ text: `data: ${node.data}`, sub: [] });
+
+  const children = [...items.map((i) => ({ item: i })), ...node.calls.map((c) => ({ call: c }))];
+  children.forEach((child, idx) => {
+    const last = idx === children.length - 1;
+    const branch = `${prefix}${last ? "└─ " : "├─ "}`;
+    const indent = `${prefix}${last ? "   " : "│  "}`;
+    if (child.call) {
+      const [first, ...rest] = renderCall(child.call, indent);
+      lines.push(`${branch}${first}`, ...rest);
+      return;
+    }
+    lines.push(`${branch}${child.item.text}`);
+    child.item.sub.forEach((s, j) => lines.push(`${indent}${j === child.item.sub.length - 1 ? "└─ " : "├─ "}${s}`));
+  });
+  return lines;
+}
+
+module.exports = {
+  TOKEN_INITIALIZERS_ABI,
+  DECODER_ABIS,
+  KIND_OF_KEY,
+  TIMELOCK_ROLES,
+  createDecoder,
+  renderCall,
+};
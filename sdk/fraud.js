@@ -0,0 +1,638 @@
+// sdk/fraud.js
+// Synthetic user populations for the anomaly/fraud controls: seeded behaviour profiles, a pure-JS
+// model of the rules, and a Hardhat driver that pushes the same population through `logSteps`.
+//
+// Mirrors:
+//  - GS_StepsAndVerification._validateStepData     suspension, per-submission stepLimit
+//  - GS_AnomalyAndFraud._applyFraudPrevention      min interval, daily cap (UTC day), stake >= steps *
+//                                                 stakePerStep (user path only)
+//  - GS_AnomalyAndFraud._recordSubmissionAndAnomaly  grace period from the first submission, EMA x100
+//                                                 (90% old / 10% new, updated after detection), flag when
+//                                                 steps * 100 > avg * threshold, PENALTY_PERCENT slash,
+//                                                 suspension on the third and every later flag; API exempt
+//
+// Not modelled: minting caps (a capped mint reverts on chain), pause, signature/nonce failures.
+// The driver compares chain outcomes against the model, so any of these shows up as a mismatch.
+const { ethers } = require("ethers");
+const {
+  TOKEN_SDK_ABI,
+  ROLES,
+  PENALTY_PERCENT,
+  MAX_STEPS_PER_DAY,
+  MIN_SUBMISSION_INTERVAL,
+  SUSPENSION_DURATION,
+  ANOMALY_THRESHOLD,
+  MIN_AVERAGE_FOR_ANOMALY,
+  GRACE_PERIOD,
+  MIN_STAKE_PER_STEP,
+  DEFAULT_STEP_LIMIT,
+} = require("./constants");
+const { buildStepSubmission, buildVerificationData, signStepSubmission, resolveStepDomain } = require("./steps");
+
+const HOUR = 3600n;
+const DAY = 86400n;
+const toBI = (x) => (typeof x === "bigint" ? x : BigInt(x.toString()));
+
+const SIM_ABI = [
+  ...TOKEN_SDK_ABI,
+  "function stake() payable",
+  "function setTrustedAPI(address api, bool trusted)",
+  "function grantRole(bytes32 role, address account)",
+  "event PenaltyApplied(address indexed user, uint256 amount)",
+  "event UserSuspended(address indexed user, uint256 until)",
+];
+
+/* ========================= policy ========================= */
+
+/**
+ * @typedef {object} AnomalyPolicy
+ * @property {bigint} anomalyThreshold flag when steps exceed this multiple of the average
+ * @property {bigint} stakePerStep     currentStakePerStep
+ * @property {bigint} stepLimit        per-submission limit
+ * @property {bigint} maxStepsPerDay   source config
+ * @property {bigint} minInterval      source config
+ */
+
+/** initialize() defaults for a freshly configured source. */
+function defaultAnomalyPolicy(overrides = {}) {
+  return {
+    anomalyThreshold: ANOMALY_THRESHOLD,
+    stakePerStep: MIN_STAKE_PER_STEP,
+    stepLimit: DEFAULT_STEP_LIMIT,
+    maxStepsPerDay: MAX_STEPS_PER_DAY,
+    minInterval: MIN_SUBMISSION_INTERVAL,
+    ...overrides,
+  };
+}
+
+/**
+ * Read the live policy for `source` (anomalyThreshold, getStakeParams, getCoreParams, getSourceConfigFields).
+ * @param {import("ethers").Contract|string} token
+ * @param {string} source
+ * @param {import("ethers").Provider} [provider] required when `token` is an address
+ * @returns {Promise<AnomalyPolicy>}
+ */
+async function readAnomalyPolicy(token, source, provider) {
+  const addr = typeof token === "string" ? token : await token.getAddress();
+  const tok = new ethers.Contract(addr, TOKEN_SDK_ABI, provider || token?.runner?.provider || token?.runner);
+  const [anomalyThreshold, [stakePerStep], [, , stepLimit], [, , , maxStepsPerDay, minInterval]] = await Promise.all([
+    tok.anomalyThreshold(),
+    tok.getStakeParams(),
+    tok.getCoreParams(),
+    tok.getSourceConfigFields(source),
+  ]);
+  return { anomalyThreshold, stakePerStep, stepLimit, maxStepsPerDay, minInterval };
+}
+
+/* ========================= model ========================= */
+
+/**
+ * @typedef {object} AnomalyState one user on one source
+ * @property {bigint} average         userStepAverage (x100)
+ * @property {bigint} flags           flaggedSubmissions
+ * @property {bigint} suspendedUntil
+ * @property {bigint} stake           stakeBalance
+ * @property {bigint} firstSubmission userFirstSubmission
+ * @property {bigint} lastSubmission
+ * @property {bigint} dailyIndex
+ * @property {bigint} dailyTotal      dailyStepTotal
+ */
+
+/** @returns {AnomalyState} */
+function initialAnomalyState(stake = 0n) {
+  return {
+    average: 0n,
+    flags: 0n,
+    suspendedUntil: 0n,
+    stake: toBI(stake),
+    firstSubmission: 0n,
+    lastSubmission: 0n,
+    dailyIndex: 0n,
+    dailyTotal: 0n,
+  };
+}
+
+/**
+ * Anomaly side of one `logSteps` at `now`. Pure: returns the next state.
+ * @param {AnomalyState} state
+ * @param {{steps: bigint|number, now: bigint|number, api?: boolean}} submission `api`: sent by a trusted API
+ * @param {AnomalyPolicy} policy
+ * @returns {{ok:boolean, reason?:string, flagged:boolean, penalty:bigint, suspended:boolean, state:AnomalyState}}
+ */
+function simulateAnomaly(state, { steps, now, api = false }, policy) {
+  const s = toBI(steps);
+  const ts = toBI(now);
+  const reject = (reason) => ({ ok: false, reason, flagged: false, penalty: 0n, suspended: false, state });
+
+  if (ts < state.suspendedUntil) return reject("Account suspended");
+  if (s > policy.stepLimit) return reject("Step limit exceeded");
+  if (ts < state.lastSubmission + policy.minInterval) return reject("Submission too frequent");
+  const day = ts / DAY;
+  const used = state.dailyIndex === day ? state.dailyTotal : 0n;
+  if (used + s > policy.maxStepsPerDay) return reject("Daily limit exceeded");
+  if (!api && state.stake < s * policy.stakePerStep) return reject("Insufficient stake");
+
+  const next = { ...state, lastSubmission: ts, dailyIndex: day, dailyTotal: used + s };
+  if (next.firstSubmission === 0n) next.firstSubmission = ts;
+
+  let flagged = false;
+  let penalty = 0n;
+  let suspended = false;
+  if (
+    !api &&
+    ts >= next.firstSubmission + GRACE_PERIOD &&
+    state.average >= MIN_AVERAGE_FOR_ANOMALY &&
+    s * 100n > state.average * policy.anomalyThreshold
+  ) {
+    flagged = true;
+    const due = (s * policy.stakePerStep * PENALTY_PERCENT) / 100n || 1n;
+    penalty = due <= next.stake ? due : next.stake;
+    next.stake -= penalty;
+    next.flags += 1n;
+    if (next.flags >= 3n) {
+      next.suspendedUntil = ts + SUSPENSION_DURATION;
+      suspended = true;
+    }
+  }
+  next.average = (state.average * 9n + s * 100n) / 10n;
+  return { ok: true, flagged, penalty, suspended, state: next };
+}
+
+/* ========================= populations ========================= */
+
+/** mulberry32 seeded from any string/number: uniform floats in [0, 1). */
+function seededRandom(seed) {
+  let a = parseInt(ethers.id(String(seed)).slice(2, 10), 16);
+  return () => {
+    a = (a + 0x6d2b79f5) | 0;
+    let t = Math.imul(a ^ (a >>> 15), 1 | a);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+const between = (rng, [lo, hi]) => lo + rng() * (hi - lo);
+
+/**
+ * Behaviour profiles. `walk(profile, rng, day, base)` returns the steps actually walked and the steps reported
+ * for one submission; a submission is fraudulent when it reports more than was walked. Every field can
+ * be overridden per run (planPopulation `profiles`).
+ *
+ *  - steady   honest walkers close to a personal baseline
+ *  - spiky    honest, with the occasional very long walk (hike, race day)
+ *  - cheater  honest during `rampFrom` days, then inflates reports by `ramp`x per day
+ *  - api      steady walkers relayed by a trusted API (no stake, no penalties)
+ */
+const FRAUD_PROFILES = {
+  steady: {
+    api: false,
+    perDay: 3,
+    base: [1500, 3000],
+    noise: 0.15,
+    walk: (p, rng, day, base) => {
+      const walked = base * (1 + p.noise * (2 * rng() - 1));
+      return { walked, reported: walked };
+    },
+  },
+  spiky: {
+    api: false,
+    perDay: 3,
+    base: [800, 1500],
+    noise: 0.2,
+    spikeChance: 0.05,
+    spike: [4, 8],
+    walk: (p, rng, day, base) => {
+      const spike = rng() < p.spikeChance ? between(rng, p.spike) : 1;
+      const walked = base * spike * (1 + p.noise * (2 * rng() - 1));
+      return { walked, reported: walked };
+    },
+  },
+  cheater: {
+    api: false,
+    perDay: 3,
+    base: [1000, 2000],
+    noise: 0.15,
+    rampFrom: 8,
+    ramp: 1.3,
+    walk: (p, rng, day, base) => {
+      const walked = base * (1 + p.noise * (2 * rng() - 1));
+      const factor = day < p.rampFrom ? 1 : Math.pow(p.ramp, day - p.rampFrom + 1);
+      return { walked, reported: walked * factor };
+    },
+  },
+  api: {
+    api: true,
+    perDay: 3,
+    base: [1500, 3000],
+    noise: 0.15,
+    walk: (p, rng, day, base) => {
+      const walked = base * (1 + p.noise * (2 * rng() - 1));
+      return { walked, reported: walked };
+    },
+  },
+};
+
+/** Default population mix (weights, normalized). */
+const DEFAULT_FRAUD_MIX = { steady: 55, spiky: 20, cheater: 10, api: 15 };
+
+/** `perDay` distinct waking hours (07:00-22:00), at least two hours apart so chain blocks never collide. */
+function dailySlots(rng, perDay) {
+  const hours = [];
+  for (let h = 7; h <= 22; h += 2) hours.push(h);
+  if (perDay > hours.length) throw new Error(`perDay ${perDay} > ${hours.length} slots`);
+  for (let i = hours.length - 1; i > 0; i--) {
+    const j = Math.floor(rng() * (i + 1));
+    [hours[i], hours[j]] = [hours[j], hours[i]];
+  }
+  return hours.slice(0, perDay).sort((a, b) => a - b);
+}
+
+/**
+ * Generate a population and its submission schedule.
+ *
+ * Profiles are assigned in proportion to `mix`; each user gets a baseline, fixed daily hours and a
+ * deterministic stream of submissions from `seed`. Reports are rounded and clamped to [1, stepLimit],
+ * and a submission is `fraud` when the report exceeds what was walked.
+ *
+ * @param {object} p
+ * @param {number} p.users
+ * @param {number} p.days
+ * @param {bigint|number} p.start first day, aligned down to 00:00 UTC
+ * @param {Record<string, number>} [p.mix] profile name -> weight
+ * @param {number|string} [p.seed]
+ * @param {Record<string, object>} [p.profiles] per-profile field overrides merged over FRAUD_PROFILES
+ * @param {bigint|number} [p.stepLimit]
+ * @returns {{seed, start:bigint, days:number, profiles:object, users:{index:number, profile:string, api:boolean,
+ *   submissions:{at:bigint, steps:bigint, walked:bigint, fraud:boolean}[]}[]}}
+ */
+function planPopulation({
+  users,
+  days,
+  start,
+  mix = DEFAULT_FRAUD_MIX,
+  seed = 1,
+  profiles = {},
+  stepLimit = DEFAULT_STEP_LIMIT,
+}) {
+  const defs = {};
+  for (const name of new Set([...Object.keys(FRAUD_PROFILES), ...Object.keys(profiles)])) {
+    defs[name] = { ...FRAUD_PROFILES[name], ...profiles[name] };
+    if (typeof defs[name].walk !== "function") throw new Error(`profile ${name}: no walk()`);
+  }
+  const names = Object.keys(mix).filter((n) => mix[n] > 0);
+  for (const n of names) if (!defs[n]) throw new Error(`unknown profile ${n}`);
+  const total = names.reduce((a, n) => a + mix[n], 0);
+  if (!total) throw new Error("empty mix");
+
+  const day0 = (toBI(start) / DAY) * DAY;
+  const cap = Number(stepLimit);
+  const clamp = (x) => BigInt(Math.min(cap, Math.max(1, Math.round(x))));
+
+  const out = [];
+  for (let i = 0; i < users; i++) {
+    let acc = 0;
+    const pos = ((i + 0.5) / users) * total;
+    const profile = names.find((n) => pos < (acc += mix[n])) || names[names.length - 1];
+    const p = defs[profile];
+    const rng = seededRandom(`${seed}:${i}`);
+    const base = between(rng, p.base);
+    const hours = dailySlots(rng, p.perDay);
+
+    const submissions = [];
+    for (let d = 0; d < days; d++) {
+      for (const h of hours) {
+        const { walked, reported } = p.walk(p, rng, d, base);
+        const steps = clamp(reported);
+        const real = clamp(walked);
+        submissions.push({ at: day0 + BigInt(d) * DAY + BigInt(h) * HOUR, steps, walked: real, fraud: steps > real });
+      }
+    }
+    out.push({ index: i, profile, api: !!p.api, submissions });
+  }
+  return { seed, start: day0, days, profiles: defs, users: out };
+}
+
+/* ========================= replay + report ========================= */
+
+/**
+ * @typedef {object} FraudOutcome
+ * @property {number} user      population index
+ * @property {number} k         submission index within the user
+ * @property {string} profile
+ * @property {bigint} at
+ * @property {bigint} steps
+ * @property {bigint} walked
+ * @property {boolean} fraud
+ * @property {boolean} ok
+ * @property {string} [reason]  revert string when rejected
+ * @property {boolean} flagged
+ * @property {bigint} penalty
+ * @property {boolean} suspended
+ */
+
+/**
+ * Replay a population through the model. Users are independent, so each is replayed on its own.
+ * @param {ReturnType<typeof planPopulation>} plan
+ * @param {AnomalyPolicy} policy
+ * @param {{stake: bigint}} opts stake each user-path user deposits before the first submission
+ * @returns {FraudOutcome[]} in plan order
+ */
+function runFraudModel(plan, policy, { stake }) {
+  const outcomes = [];
+  for (const u of plan.users) {
+    let state = initialAnomalyState(u.api ? 0n : stake);
+    u.submissions.forEach((s, k) => {
+      const r = simulateAnomaly(state, { steps: s.steps, now: s.at, api: u.api }, policy);
+      state = r.state;
+      outcomes.push({
+        user: u.index,
+        k,
+        profile: u.profile,
+        at: s.at,
+        steps: s.steps,
+        walked: s.walked,
+        fraud: s.fraud,
+        ok: r.ok,
+        ...(r.ok ? {} : { reason: r.reason }),
+        flagged: r.flagged,
+        penalty: r.penalty,
+        suspended: r.suspended,
+      });
+    });
+  }
+  return outcomes;
+}
+
+/**
+ * Per-profile report. A false positive is a flagged honest submission; a false negative is a fraudulent
+ * submission that was accepted without a flag (rejected fraud is not counted: it earned nothing).
+ * @param {FraudOutcome[]} outcomes
+ * @returns {Record<string, object>} profile -> counters, rates (null when undefined), stakeDrained (wei) and
+ *   inflatedSteps (reported minus walked, over accepted fraudulent submissions)
+ */
+function summarizeFraudRun(outcomes) {
+  const rows = {};
+  const seen = {};
+  for (const o of outcomes) {
+    const r = (rows[o.profile] ||= {
+      users: 0,
+      submissions: 0,
+      accepted: 0,
+      rejected: 0,
+      rejections: {},
+      honest: 0,
+      fraudulent: 0,
+      flagged: 0,
+      falsePositives: 0,
+      falseNegatives: 0,
+      honestBlocked: 0,
+      inflatedSteps: 0n,
+      penalties: 0,
+      stakeDrained: 0n,
+      suspensions: 0,
+      usersFlagged: 0,
+      usersSuspended: 0,
+    });
+    const u = (seen[`${o.profile}:${o.user}`] ||= { flagged: false, suspended: false });
+    if (o.k === 0) r.users++;
+    r.submissions++;
+    if (o.fraud) r.fraudulent++;
+    else r.honest++;
+    if (o.ok) r.accepted++;
+    else {
+      r.rejected++;
+      const why = o.reason || "reverted";
+      r.rejections[why] = (r.rejections[why] || 0) + 1;
+      if (!o.fraud) r.honestBlocked++;
+    }
+    if (o.flagged) {
+      r.flagged++;
+      if (!o.fraud) r.falsePositives++;
+      if (!u.flagged) r.usersFlagged++;
+      u.flagged = true;
+    } else if (o.ok && o.fraud) r.falseNegatives++;
+    if (o.ok && o.fraud) r.inflatedSteps += o.steps - o.walked;
+    if (o.penalty > 0n) {
+      r.penalties++;
+      r.stakeDrained += o.penalty;
+    }
+    if (o.suspended) {
+      r.suspensions++;
+      if (!u.suspended) r.usersSuspended++;
+      u.suspended = true;
+    }
+  }
+  for (const r of Object.values(rows)) {
+    r.falsePositiveRate = r.honest ? r.falsePositives / r.honest : null;
+    r.falseNegativeRate = r.fraudulent ? r.falseNegatives / r.fraudulent : null;
+  }
+  return rows;
+}
+
+/**
+ * Submissions where chain and model disagree on acceptance, flag, penalty or suspension.
+ * @param {FraudOutcome[]} model
+ * @param {FraudOutcome[]} chain same order (runFraudModel on the executed plan)
+ * @returns {{user:number, k:number, field:string, model:any, chain:any}[]}
+ */
+function compareFraudOutcomes(model, chain) {
+  if (model.length !== chain.length) throw new Error(`outcome count ${model.length} != ${chain.length}`);
+  const diffs = [];
+  model.forEach((m, i) => {
+    const c = chain[i];
+    for (const field of ["ok", "flagged", "penalty", "suspended"]) {
+      if (m[field] !== c[field]) diffs.push({ user: m.user, k: m.k, field, model: m[field], chain: c[field] });
+    }
+  });
+  return diffs;
+}
+
+/* ========================= chain driver ========================= */
+
+/** Deterministic key for simulated account `id` (user index or "relayer") of a seed. */
+function simWallet(seed, id, provider) {
+  return new ethers.Wallet(ethers.id(`gemstep-fraud-sim:${seed}:${id}`), provider);
+}
+
+/**
+ * Push a population through `logSteps` on a Hardhat network (hardhat_* / evm_* RPCs).
+ *
+ * Every user gets a deterministic key and ETH; user-path users stake `stake`, API users are relayed by a
+ * sim relayer that `admin` marks trusted and grants API_SIGNER_ROLE. Automine is switched off and the
+ * submissions of each scheduled hour are mined together, `blockTxs` per block, one second apart, so a
+ * run of thousands of users needs a few hundred blocks per simulated day. The token nonce only advances
+ * on success, as on chain.
+ *
+ * @param {import("ethers").Contract|string} token
+ * @param {ReturnType<typeof planPopulation>} plan  `plan.start` must be after the latest block
+ * @param {object} opts
+ * @param {import("ethers").Signer} opts.admin      PARAMETER_ADMIN_ROLE + DEFAULT_ADMIN_ROLE holder
+ * @param {string} opts.source                      configured source without proof/attestation
+ * @param {bigint} opts.stake
+ * @param {number} [opts.blockTxs]
+ * @param {bigint} [opts.gasLimit]                  per logSteps (fixed: failing txs are mined too); a first
+ *   submission uses ~400k, and blockTxs × gasLimit must fit the block gas limit (30M on Hardhat)
+ * @param {(msg:string)=>void} [opts.log]
+ * @returns {Promise<{plan: object, outcomes: FraudOutcome[], blocks: number}>}
+ *   `plan` is a copy with each `at` set to the block timestamp it was mined at (replay it with runFraudModel)
+ */
+async function runFraudSimulation(
+  token,
+  plan,
+  { admin, source, stake, blockTxs = 60, gasLimit = 500_000n, log = () => {} }
+) {
+  const provider = admin.provider;
+  const tokenAddr = typeof token === "string" ? token : await token.getAddress();
+  const iface = new ethers.Interface(SIM_ABI);
+  const tok = new ethers.Contract(tokenAddr, SIM_ABI, admin);
+  const domain = await resolveStepDomain(tokenAddr, provider);
+  const latest = await provider.getBlock("latest");
+  if (toBI(plan.start) <= BigInt(latest.timestamp)) throw new Error("plan.start must be after the latest block");
+
+  const relayer = simWallet(plan.seed, "relayer", provider);
+  const wallets = plan.users.map((u) => simWallet(plan.seed, u.index, provider));
+  const fund = ethers.toQuantity(stake + ethers.parseEther("100"));
+  for (const w of [relayer, ...wallets]) await provider.send("hardhat_setBalance", [w.address, fund]);
+  await (await tok.setTrustedAPI(relayer.address, true)).wait();
+  await (await tok.grantRole(ROLES.API_SIGNER_ROLE, relayer.address)).wait();
+
+  const gwei = ethers.parseUnits("1", "gwei");
+  const txNonce = new Map();
+  const nextNonce = async (w) => {
+    if (!txNonce.has(w.address)) txNonce.set(w.address, await provider.getTransactionCount(w.address, "pending"));
+    const n = txNonce.get(w.address);
+    txNonce.set(w.address, n + 1);
+    return n;
+  };
+  const send = async (w, data, value = 0n, gas = gasLimit) => {
+    const raw = await w.signTransaction({
+      type: 2,
+      chainId: domain.chainId,
+      nonce: await nextNonce(w),
+      to: tokenAddr,
+      data,
+      value,
+      gasLimit: gas,
+      maxFeePerGas: 2n * gwei,
+      maxPriorityFeePerGas: 0n,
+    });
+    return provider.send("eth_sendRawTransaction", [raw]);
+  };
+
+  let blocks = 0;
+  const mine = async (hashes, timestamp) => {
+    await provider.send("evm_mine", timestamp == null ? [] : [Number(timestamp)]);
+    blocks++;
+    const receipts = await Promise.all(hashes.map((h) => provider.getTransactionReceipt(h)));
+    if (receipts.some((r) => !r)) throw new Error(`block full: lower blockTxs (${blockTxs})`);
+    await provider.send("hardhat_setNextBlockBaseFeePerGas", [ethers.toQuantity(gwei)]);
+    return receipts;
+  };
+
+  const executed = {
+    ...plan,
+    users: plan.users.map((u) => ({ ...u, submissions: u.submissions.map((s) => ({ ...s })) })),
+  };
+  const outcomes = plan.users.map((u) => new Array(u.submissions.length));
+  const tokenNonce = plan.users.map(() => 0n);
+
+  await provider.send("evm_setAutomine", [false]);
+  try {
+    await provider.send("hardhat_setNextBlockBaseFeePerGas", [ethers.toQuantity(gwei)]);
+    const stakers = wallets.filter((w, i) => !plan.users[i].api);
+    for (let i = 0; i < stakers.length; i += blockTxs) {
+      const chunk = stakers.slice(i, i + blockTxs);
+      const hashes = await Promise.all(chunk.map((w) => send(w, iface.encodeFunctionData("stake"), stake, 100_000n)));
+      const receipts = await mine(hashes);
+      if (receipts.some((r) => r.status !== 1)) throw new Error("stake() reverted");
+    }
+    log(`staked ${stakers.length} user(s), ${plan.users.length - stakers.length} relayed by ${relayer.address}`);
+
+    const ticks = new Map();
+    plan.users.forEach((u, i) =>
+      u.submissions.forEach((s, k) => {
+        const key = s.at.toString();
+        if (!ticks.has(key)) ticks.set(key, []);
+        ticks.get(key).push([i, k]);
+      })
+    );
+    const order = [...ticks.keys()].map(BigInt).sort((a, b) => (a < b ? -1 : a > b ? 1 : 0));
+
+    let day = null;
+    for (const at of order) {
+      if (at / DAY !== day) {
+        day = at / DAY;
+        log(`day ${Number(day - toBI(plan.start) / DAY) + 1}/${plan.days}`);
+      }
+      const due = ticks.get(at.toString());
+      for (let c = 0; c * blockTxs < due.length; c++) {
+        const ts = at + BigInt(c);
+        const chunk = due.slice(c * blockTxs, (c + 1) * blockTxs);
+        const hashes = [];
+        for (const [i, k] of chunk) {
+          const u = plan.users[i];
+          const signer = u.api ? relayer : wallets[i];
+          const submission = buildStepSubmission({
+            user: wallets[i].address,
+            steps: u.submissions[k].steps,
+            nonce: tokenNonce[i],
+            deadline: ts + 600n,
+            source,
+          });
+          const signature = await signStepSubmission(signer, submission, domain);
+          const data = iface.encodeFunctionData("logSteps", [submission, buildVerificationData({ signature })]);
+          hashes.push(await send(signer, data));
+        }
+        const receipts = await mine(hashes, ts);
+        receipts.forEach((rc, j) => {
+          const [i, k] = chunk[j];
+          const s = executed.users[i].submissions[k];
+          s.at = ts;
+          // A flag always emits PenaltyApplied: the stake check already covered steps * stakePerStep.
+          const o = { flagged: false, penalty: 0n, suspended: false };
+          for (const l of rc.logs) {
+            if (l.address.toLowerCase() !== tokenAddr.toLowerCase()) continue;
+            const ev = iface.parseLog(l);
+            if (ev?.name === "PenaltyApplied") {
+              o.flagged = true;
+              o.penalty += ev.args.amount;
+            } else if (ev?.name === "UserSuspended") o.suspended = true;
+          }
+          const ok = rc.status === 1;
+          if (ok) tokenNonce[i]++;
+          outcomes[i][k] = {
+            user: i,
+            k,
+            profile: plan.users[i].profile,
+            at: ts,
+            steps: s.steps,
+            walked: s.walked,
+            fraud: s.fraud,
+            ok,
+            ...(ok ? {} : { reason: "reverted" }),
+            ...o,
+          };
+        });
+      }
+    }
+  } finally {
+    await provider.send("evm_setAutomine", [true]);
+  }
+
+  return { plan: executed, outcomes: outcomes.flat(), blocks };
+}
+
+module.exports = {
+  FRAUD_PROFILES,
+  DEFAULT_FRAUD_MIX,
+  defaultAnomalyPolicy,
+  readAnomalyPolicy,
+  initialAnomalyState,
+  simulateAnomaly,
+  seededRandom,
+  planPopulation,
+  runFraudModel,
+  summarizeFraudRun,
+  compareFraudOutcomes,
+  runFraudSimulation,
+};
@@ -0,0 +1,119 @@
+// sdk/gasbench.js
+// Gas baselines for scripts/gas_benchmark.js: read / write the committed baseline and compare a
+// fresh run against it.
+//
+//   const baseline = readGasBaseline("gas-baseline.json");
+//   const { ok, rows } = compareGas(baseline, { "stake (first)": 68123 }, { tolerancePct: 5 });
+//
+// A measurement regresses when it exceeds its baseline by more than `tolerancePct` percent. Rows are
+// "ok", "regressed", "improved" (cheaper by more than the tolerance: refresh the baseline), "new"
+// (no baseline yet) or "missing" (in the baseline, not measured). "regressed" and "missing" fail a run.
+const fs = require("fs");
+
+const GAS_BASELINE_TYPE = "gemstep.gas-baseline";
+const DEFAULT_GAS_TOLERANCE_PCT = 5;
+
+/**
+ * Every measurement scripts/gas_benchmark.js records, by name. The script refuses to run when its
+ * measurements and this list disagree, and the committed baseline must cover all of them.
+ */
+const GAS_BENCHMARKS = [
+  "logSteps: EOA (first submission)",
+  "logSteps: EOA (repeat submission)",
+  "logSteps: trusted API",
+  "logSteps: ERC-1271 wallet (via execute)",
+  "logSteps: merkle proof depth 1",
+  "logSteps: merkle proof depth 4",
+  "logSteps: merkle proof depth 8",
+  "logSteps: merkle proof depth 12",
+  "logSteps: attestation v1",
+  "logSteps: attestation v2",
+  "stake (first)",
+  "stake (top-up)",
+  "withdrawStake (partial)",
+  "withdrawStake (full)",
+  "batchAddSigners (1)",
+  "batchAddSigners (19)",
+  "batchRemoveSigners (20)",
+  "batchAddSources (10)",
+  "clearExpiredSignatures (9)",
+  "governanceL1.sendPause",
+  "governanceL1.sendSetL1Governance",
+  "governanceL1.callL2",
+  "executor.scheduleUpgradeWithData",
+  "executor.executeUpgradeWithData",
+];
+
+/**
+ * @param {string} file
+ * @returns {{type:string, tolerancePct:number, results:Object<string, number>}|null} null if the file is absent
+ */
+function readGasBaseline(file) {
+  if (!fs.existsSync(file)) return null;
+  const b = JSON.parse(fs.readFileSync(file, "utf8"));
+  if (b.type !== GAS_BASELINE_TYPE) throw new Error(`${file}: not a gas baseline (type ${b.type})`);
+  for (const [name, gas] of Object.entries(b.results || {})) {
+    if (!Number.isSafeInteger(gas) || gas <= 0) throw new Error(`${file}: bad gas for "${name}": ${gas}`);
+  }
+  return { type: b.type, tolerancePct: b.tolerancePct ?? DEFAULT_GAS_TOLERANCE_PCT, results: b.results || {} };
+}
+
+/**
+ * Write a baseline with results sorted by name, so re-recording only diffs the numbers that moved.
+ * @param {string} file
+ * @param {Object<string, number|bigint>} results
+ * @param {{tolerancePct?:number}} [opts]
+ */
+function writeGasBaseline(file, results, { tolerancePct = DEFAULT_GAS_TOLERANCE_PCT } = {}) {
+  const sorted = Object.fromEntries(
+    Object.keys(results)
+      .sort()
+      .map((k) => [k, Number(results[k])])
+  );
+  const out = { type: GAS_BASELINE_TYPE, tolerancePct, results: sorted };
+  fs.writeFileSync(file, JSON.stringify(out, null, 2) + "\n");
+  return out;
+}
+
+/**
+ * Compare measured gas against a baseline.
+ * @param {{results:Object<string, number>, tolerancePct?:number}|null} baseline
+ * @param {Object<string, number|bigint>} current
+ * @param {{tolerancePct?:number}} [opts] overrides the baseline's tolerance
+ * @returns {{ok:boolean, tolerancePct:number, rows:{name:string, baseline:number|null, current:number|null,
+ *   delta:number|null, deltaPct:number|null, status:string}[]}}
+ */
+function compareGas(baseline, current, { tolerancePct } = {}) {
+  const tol = tolerancePct ?? baseline?.tolerancePct ?? DEFAULT_GAS_TOLERANCE_PCT;
+  if (!(tol >= 0)) throw new Error(`Bad gas tolerance: ${tol}`);
+  const base = baseline?.results || {};
+
+  const rows = Object.entries(current).map(([name, gas]) => {
+    const cur = Number(gas);
+    const was = base[name];
+    if (was == null) return { name, baseline: null, current: cur, delta: null, deltaPct: null, status: "new" };
+
+    const delta = cur - was;
+    const deltaPct = (delta * 100) / was;
+    let status = "ok";
+    if (deltaPct > tol) status = "regressed";
+    else if (deltaPct < -tol) status = "improved";
+    return { name, baseline: was, current: cur, delta, deltaPct, status };
+  });
+  for (const [name, was] of Object.entries(base)) {
+    if (!(name in current)) {
+      rows.push({ name, baseline: was, current: null, delta: null, deltaPct: null, status: "missing" });
+    }
+  }
+
+  return { ok: rows.every((r) => r.status !== "regressed" && r.status !== "missing"), tolerancePct: tol, rows };
+}
+
+module.exports = {
+  GAS_BASELINE_TYPE,
+  DEFAULT_GAS_TOLERANCE_PCT,
+  GAS_BENCHMARKS,
+  readGasBaseline,
+  writeGasBaseline,
+  compareGas,
+};
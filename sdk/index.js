@@ -0,0 +1,31 @@
+// sdk/index.js
+// GemStep client SDK: shared by backend services, scripts and the test suite.
+//
+//   const { buildSignedStepPayload } = require("../sdk");
+//   const { submission, verification } = await buildSignedStepPayload({ token, signer, user, steps, source });
+//   const { ok, failures } = await preflightLogSteps(token, submission, verification, caller);
+//   await token.logSteps(submission, verification);
+module.exports = {
+  ...require("./constants"),
+  ...require("./steps"),
+  ...require("./attestation"),
+  ...require("./merkle"),
+  ...require("./preflight"),
+  ...require("./tokenomics"),
+  ...require("./abis"),
+  ...require("./decode"),
+  ...require("./manifest"),
+  ...require("./checkpoint"),
+  ...require("./audit"),
+  ...require("./authority"),
+  ...require("./layout"),
+  ...require("./statedump"),
+  ...require("./rehearsal"),
+  ...require("./snapshot"),
+  ...require("./fraud"),
+  ...require("./gasbench"),
+  ...require("./sizes"),
+  ...require("./reverts"),
+  ...require("./retryable"),
+  ...require("./bridge"),
+};
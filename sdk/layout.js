@@ -0,0 +1,347 @@
+// sdk/layout.js
+// Field-level storage layout diff between two builds (e.g. GemStepToken → GemStepTokenV2Mock).
+//
+// Reads the solc `storageLayout` output from Hardhat build artifacts — no compiler, no node —
+// and flattens it into one entry per variable, struct member and mapping value, so a change to
+// `SourceConfig` shows up as `sourceConfigs[].<member>` rather than as "the mapping changed".
+//
+//   const base = readStorageLayout("GemStepToken");
+//   const cand = readStorageLayout("GemStepTokenV2Mock");
+//   const { safe, changes } = diffStorageLayouts(base, cand);
+//
+// Change kinds: added, removed, renamed, retyped, shifted (slot/offset moved) and resized
+// (a `__gap` that shrank to make room). Each is classified safe or unsafe; see `diffStorageLayouts`.
+// Positions are relative to their context: contract storage for top-level variables, the hashed
+// location of one value for members under a mapping or dynamic array (`sourceConfigs[]`).
+//
+// Not covered: ERC-7201 namespaced storage (OZ v5 `@custom:storage-location` structs), which
+// solc does not include in `storageLayout`.
+const fs = require("fs");
+const path = require("path");
+
+const ROOT = path.join(__dirname, "..");
+const ARTIFACTS_DIR = path.join(ROOT, "artifacts");
+const LAYOUT_TYPE = "gemstep.storage-layout";
+
+/* ============================== reading ============================== */
+
+function findArtifacts(dir, name, out = []) {
+  for (const e of fs.readdirSync(dir, { withFileTypes: true })) {
+    const p = path.join(dir, e.name);
+    if (e.isDirectory()) {
+      if (e.name !== "build-info") findArtifacts(p, name, out);
+    } else if (e.name === `${name}.json`) {
+      out.push(p);
+    }
+  }
+  return out;
+}
+
+/**
+ * Storage layout of a contract from the Hardhat build in `artifactsDir` (the solc output
+ * selection must include `storageLayout`; @openzeppelin/hardhat-upgrades adds it), or from a
+ * layout file written by `saveStorageLayout`.
+ *
+ * @param {string} ref contract name, fully qualified name (`contracts/X.sol:X`) or a .json layout file
+ * @param {{artifactsDir?: string}} [opts]
+ * @returns {{contract:string, storage:object[], types:object, buildInfoId:string|null, source:string}}
+ */
+function readStorageLayout(ref, { artifactsDir = ARTIFACTS_DIR } = {}) {
+  if (ref.endsWith(".json") && fs.existsSync(ref)) {
+    const doc = JSON.parse(fs.readFileSync(ref, "utf8"));
+    if (doc.type !== LAYOUT_TYPE) throw new Error(`${ref} is not a saved storage layout`);
+    return {
+      contract: doc.contract,
+      storage: doc.storage,
+      types: doc.types,
+      buildInfoId: doc.buildInfoId,
+      source: ref,
+    };
+  }
+
+  if (!fs.existsSync(artifactsDir)) throw new Error(`No build artifacts at ${artifactsDir} (run npx hardhat compile)`);
+  const [sourceName, contractName] = ref.includes(":") ? ref.split(":") : [null, ref];
+  let files = findArtifacts(artifactsDir, contractName);
+  if (sourceName)
+    files = files.filter((f) => path.relative(artifactsDir, path.dirname(f)) === path.normalize(sourceName));
+  if (files.length === 0) throw new Error(`No artifact for ${ref} in ${artifactsDir}`);
+  if (files.length > 1) {
+    const fqns = files.map(
+      (f) => `${path.relative(artifactsDir, path.dirname(f)).split(path.sep).join("/")}:${contractName}`
+    );
+    throw new Error(`${ref} is ambiguous, use one of: ${fqns.join(", ")}`);
+  }
+
+  const artifact = JSON.parse(fs.readFileSync(files[0], "utf8"));
+  const dbgFile = files[0].replace(/\.json$/, ".dbg.json");
+  if (!fs.existsSync(dbgFile)) throw new Error(`${dbgFile} missing (artifacts from an incomplete build?)`);
+  const buildInfoFile = path.resolve(path.dirname(dbgFile), JSON.parse(fs.readFileSync(dbgFile, "utf8")).buildInfo);
+  const buildInfo = JSON.parse(fs.readFileSync(buildInfoFile, "utf8"));
+  const layout = buildInfo.output.contracts[artifact.sourceName]?.[artifact.contractName]?.storageLayout;
+  if (!layout) {
+    throw new Error(
+      `${buildInfoFile} has no storageLayout for ${artifact.contractName} (compile with @openzeppelin/hardhat-upgrades loaded)`
+    );
+  }
+  return {
+    contract: `${artifact.sourceName}:${artifact.contractName}`,
+    storage: layout.storage || [],
+    types: layout.types || {},
+    buildInfoId: buildInfo.id || path.basename(buildInfoFile, ".json"),
+    source: buildInfoFile,
+  };
+}
+
+/** Write `layout` to `file` so a later build can be diffed against it (e.g. the deployed one). */
+function saveStorageLayout(file, layout) {
+  fs.mkdirSync(path.dirname(path.resolve(file)), { recursive: true });
+  const { contract, storage, types, buildInfoId } = layout;
+  fs.writeFileSync(file, `${JSON.stringify({ type: LAYOUT_TYPE, contract, buildInfoId, storage, types }, null, 2)}\n`);
+}
+
+/* ============================== flattening ============================== */
+
+const isGap = (label) => /^__gap\b/.test(label);
+const shortContract = (c) => (c ? c.slice(c.lastIndexOf(":") + 1) : null);
+
+/**
+ * One entry per storage variable, struct member and mapping / dynamic array value.
+ *
+ *   path      `treasury`, `sourceConfigs`, `sourceConfigs[].merkleRoot`, `lastSubmission[][]`
+ *   context   where `slot` counts from: "storage", or the path of the mapping / array value
+ *   shape     leaf | struct | mapping | array (dynamic) | bytes (string/bytes)
+ *   type      solc type label; key / element for mappings and dynamic arrays
+ *
+ * A label declared twice (a `__gap` in two base contracts) gets `#2`, `#3`… in its path.
+ */
+function flattenStorageLayout({ storage, types }) {
+  const out = [];
+  const seen = {};
+
+  const visit = (pathName, typeId, slot, offset, context, contract) => {
+    const t = types[typeId];
+    if (!t) throw new Error(`storageLayout: unknown type ${typeId}`);
+    const entry = {
+      path: pathName,
+      context,
+      contract: shortContract(contract),
+      slot: BigInt(slot),
+      offset: Number(offset),
+      bytes: Number(t.numberOfBytes),
+      type: t.label,
+      shape: "leaf",
+    };
+    out.push(entry);
+
+    if (t.encoding === "mapping") {
+      entry.shape = "mapping";
+      entry.key = types[t.key]?.label ?? t.key;
+      visit(`${pathName}[]`, t.value, 0, 0, `${pathName}[]`, contract);
+    } else if (t.encoding === "dynamic_array") {
+      entry.shape = "array";
+      entry.element = types[t.base]?.label ?? t.base;
+      entry.elementBytes = Number(types[t.base]?.numberOfBytes ?? 0);
+      visit(`${pathName}[]`, t.base, 0, 0, `${pathName}[]`, contract);
+    } else if (t.encoding === "bytes") {
+      entry.shape = "bytes";
+    } else if (t.members) {
+      entry.shape = "struct";
+      for (const m of t.members) {
+        visit(`${pathName}.${m.label}`, m.type, entry.slot + BigInt(m.slot), m.offset, context, contract);
+      }
+    } else {
+      // Static arrays stay one entry: a change to their element type changes their label.
+      entry.signature = signature(types, typeId);
+    }
+  };
+
+  for (const s of storage) {
+    seen[s.label] = (seen[s.label] || 0) + 1;
+    const label = seen[s.label] > 1 ? `${s.label}#${seen[s.label]}` : s.label;
+    visit(label, s.type, s.slot, s.offset, "storage", s.contract);
+  }
+  return out;
+}
+
+/** The label of a type plus, for struct elements of static arrays, the members it is made of. */
+function signature(types, typeId) {
+  const t = types[typeId];
+  if (!t) return typeId;
+  if (t.members)
+    return `${t.label}{${t.members
+      .map((m) => `${m.label}@${m.slot}+${m.offset}:${signature(types, m.type)}`)
+      .join(",")}}`;
+  if (t.base) return `${t.label}(${signature(types, t.base)})`;
+  if (t.encoding === "mapping") return `${t.label}(${signature(types, t.value)})`;
+  return t.label;
+}
+
+/* ============================== diffing ============================== */
+
+const ADDRESS_LIKE = /^(address|address payable|contract .+)$/;
+const position = (e) => `slot ${e.slot}${e.offset ? `+${e.offset}` : ""}`;
+const start = (e) => e.slot * 32n + BigInt(e.offset);
+const overlaps = (a, b) => start(a) < start(b) + BigInt(b.bytes) && start(b) < start(a) + BigInt(a.bytes);
+const parentPath = (p) => p.match(/^(.*)(\[\]|\.[^.[\]]+)$/)?.[1] ?? null;
+
+/** Why a type change is (un)safe, or null when the type did not change. */
+function retypeVerdict(b, c) {
+  if (b.shape !== c.shape) return { safe: false, reason: `${b.shape} became ${c.shape}` };
+  if (b.shape === "struct") return null; // members are compared on their own
+  if (b.shape === "bytes")
+    return b.type === c.type ? null : { safe: true, reason: "string and bytes share an encoding" };
+  if (b.shape === "mapping") {
+    return b.key === c.key
+      ? null
+      : { safe: false, reason: `mapping key ${b.key} → ${c.key}: existing entries are unreachable` };
+  }
+  if (b.shape === "array") {
+    if (b.elementBytes === c.elementBytes) return null;
+    return { safe: false, reason: `element size ${b.elementBytes} → ${c.elementBytes} bytes: elements move` };
+  }
+  if (b.signature === c.signature) return null;
+  if (b.bytes !== c.bytes) return { safe: false, reason: `size ${b.bytes} → ${c.bytes} bytes` };
+  if (ADDRESS_LIKE.test(b.type) && ADDRESS_LIKE.test(c.type))
+    return { safe: true, reason: "same 20-byte address encoding" };
+  if (b.type.startsWith("enum ") && c.type.startsWith("enum ")) {
+    return { safe: true, reason: "same size; stored values keep their meaning only if members were appended" };
+  }
+  return { safe: false, reason: "existing bytes are read as a different type" };
+}
+
+/**
+ * Compare two layouts (as returned by `readStorageLayout`, or anything with `storage` and
+ * `types`). `changes` holds one row per difference, in base order, then additions; members of a
+ * container that is itself reported (removed, shifted, changed shape, added) are not repeated.
+ *
+ * Classification:
+ *   added     safe when it overlaps nothing the base stores in its context (appended, consumed
+ *             from a `__gap`, or a new member at the end of a struct that lives under a mapping)
+ *   removed   unsafe: the data stays behind and the next addition there reads it; a `__gap`
+ *             going away is safe (what replaced it is checked on its own)
+ *   renamed   removed + added at the same position with the same type: safe, storage is unchanged
+ *   retyped   safe only between address / contract types, string / bytes, or enums of the same size
+ *   shifted   unsafe, except for a `__gap` (reported as resized)
+ *
+ * @returns {{safe:boolean, unchanged:number, changes:{kind:string, path:string, contract:string|null,
+ *   safe:boolean, reason:string, before:object|null, after:object|null}[]}}
+ */
+function diffStorageLayouts(base, candidate) {
+  const before = flattenStorageLayout(base);
+  const after = flattenStorageLayout(candidate);
+  const baseBy = new Map(before.map((e) => [e.path, e]));
+  const candBy = new Map(after.map((e) => [e.path, e]));
+  const view = (e) =>
+    e && { slot: e.slot.toString(), offset: e.offset, bytes: e.bytes, type: e.type, context: e.context };
+  const changes = [];
+  const add = (kind, b, c, safe, reason) =>
+    changes.push({
+      kind,
+      path: (c || b).path,
+      contract: (c || b).contract,
+      safe,
+      reason,
+      before: view(b),
+      after: view(c),
+    });
+
+  // Renames first (old path → new path), so neither half is reported as a removal or an addition.
+  const renames = new Map();
+  const fresh = after.filter((c) => !baseBy.has(c.path));
+  for (const b of before) {
+    if (candBy.has(b.path) || renames.has(parentPath(b.path))) continue;
+    const same = (x) =>
+      x.context === b.context && x.slot === b.slot && x.offset === b.offset && x.type === b.type && x.shape === b.shape;
+    const c = fresh.find((x) => same(x) && ![...renames.values()].includes(x.path));
+    if (!c) continue;
+    renames.set(b.path, c.path);
+    add("renamed", b, c, true, `${b.path} → ${c.path}; storage is unchanged (the new name reads the old value)`);
+  }
+  // A path in the candidate as it was called in the base (members of a renamed struct included).
+  const toCandidate = (p) => {
+    for (const [from, to] of renames)
+      if (p === from || p.startsWith(`${from}.`) || p.startsWith(`${from}[`)) return to + p.slice(from.length);
+    return p;
+  };
+
+  const covered = new Set(); // base paths whose members need no rows of their own
+  const coveredAfter = new Set(); // the same, by candidate path
+  let unchanged = 0;
+  for (const b of before) {
+    if (renames.has(b.path)) continue;
+    if (covered.has(parentPath(b.path))) {
+      covered.add(b.path);
+      continue;
+    }
+    const c = candBy.get(toCandidate(b.path));
+    if (!c) {
+      covered.add(b.path);
+      if (isGap(b.path)) add("removed", b, null, true, "storage gap consumed");
+      else add("removed", b, null, false, "its data stays in storage and the next variable placed here reads it");
+      continue;
+    }
+    if (isGap(b.path)) {
+      if (b.slot === c.slot && b.bytes === c.bytes) unchanged += 1;
+      else {
+        const end = (e) => e.slot * 32n + BigInt(e.bytes);
+        const sameEnd = end(b) === end(c);
+        add(
+          "resized",
+          b,
+          c,
+          true,
+          sameEnd ? "gap shrank to make room, same end slot" : "gap end moved; what follows is checked on its own"
+        );
+      }
+      continue;
+    }
+    let changed = false;
+    const retype = retypeVerdict(b, c);
+    if (retype) {
+      add("retyped", b, c, retype.safe, retype.reason);
+      if (b.shape !== c.shape) {
+        covered.add(b.path);
+        coveredAfter.add(c.path);
+      }
+      changed = true;
+    }
+    if (b.slot !== c.slot || b.offset !== c.offset) {
+      add("shifted", b, c, false, `${position(b)} → ${position(c)}: would read another variable's data`);
+      if (b.shape === "struct") covered.add(b.path);
+      changed = true;
+    }
+    if (!changed) unchanged += 1;
+  }
+
+  const matched = new Set(before.map((b) => toCandidate(b.path)));
+  for (const c of after) {
+    if (matched.has(c.path) || [...renames.values()].includes(c.path)) continue;
+    if (coveredAfter.has(parentPath(c.path))) {
+      coveredAfter.add(c.path);
+      continue;
+    }
+    coveredAfter.add(c.path);
+    const clash = before.find(
+      (b) => b.context === c.context && b.shape !== "struct" && !isGap(b.path) && overlaps(b, c)
+    );
+    if (clash) add("added", null, c, false, `overlaps ${clash.path} (${position(clash)}) from the base layout`);
+    else
+      add(
+        "added",
+        null,
+        c,
+        true,
+        c.context === "storage" ? "appended after existing storage" : `new space in ${c.context}`
+      );
+  }
+
+  return { safe: changes.every((ch) => ch.safe), unchanged, changes };
+}
+
+module.exports = {
+  ARTIFACTS_DIR,
+  readStorageLayout,
+  saveStorageLayout,
+  flattenStorageLayout,
+  diffStorageLayouts,
+};
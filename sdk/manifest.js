@@ -0,0 +1,550 @@
+// sdk/manifest.js
+// Deployment manifest: deployments/<network>-manifest.json, one per network.
+//
+// The manifest is an append-only history of what was done to a network — the initial deploy,
+// implementations prepared for an upgrade, executed upgrades, configuration changes — each
+// entry carrying the addresses it introduced or changed, the implementation's storage-layout
+// and bytecode hashes, the build profile and compiler settings, and transaction hashes. The
+// current address book is the fold of that history; nothing derived is stored.
+//
+//   const { loadManifest, assertManifestMatchesChain } = require("../sdk");
+//   const m = loadManifest("arbitrumSepolia");
+//   const token = m.address("token");
+//   await assertManifestMatchesChain(m.state, provider); // throws on any disagreement
+//
+// deployments/<network>-latest.json is still written as a flat view for older tooling, and is
+// read (converted in memory) for networks that have no manifest yet.
+const fs = require("fs");
+const path = require("path");
+const { ethers } = require("ethers");
+
+const MANIFEST_SCHEMA = "gemstep.deployment-manifest";
+const MANIFEST_VERSION = 1;
+const DEPLOYMENTS_DIR = path.join(__dirname, "..", "deployments");
+
+/**
+ * Entry kinds. Only deploy / import / upgrade move the current implementation; "prepare"
+ * records an implementation deployed for a later upgrade.
+ */
+const ENTRY_KINDS = ["deploy", "import", "prepare", "upgrade", "configure"];
+
+/** Contract address keys; `l1*` live on the parent chain. */
+const CONTRACT_KEYS = [
+  "tokenProxy",
+  "implementation",
+  "timelock",
+  "proxyAdmin",
+  "upgradeExecutor",
+  "miniMultisig",
+  "l1Timelock",
+  "l1Governance",
+];
+
+/** Configuration keys that hold addresses (validated, and resolvable like contracts). */
+const ADDRESS_CONFIG_KEYS = ["multisig", "oracle", "treasury"];
+
+/** Short names accepted by `address()`. */
+const ADDRESS_ALIASES = { token: "tokenProxy", proxy: "tokenProxy" };
+
+/**
+ * Env vars older scripts took addresses from. They still work as a fallback, but one that
+ * disagrees with the manifest is an error rather than a silent override.
+ */
+const ENV_ADDRESSES = {
+  tokenProxy: ["L2_TOKEN_PROXY", "PROXY_ADDRESS"],
+  timelock: ["ARB_SEPOLIA_TIMELOCK", "TIMELOCK_ADDRESS"],
+  proxyAdmin: ["PROXY_ADMIN_ADDRESS"],
+  upgradeExecutor: ["EXECUTOR_ADDRESS"],
+  miniMultisig: ["MINI_MULTISIG"],
+  l1Timelock: ["L1_TIMELOCK"],
+  l1Governance: ["L1_GOVERNANCE_ADDR"],
+};
+
+/** Chain ids of the hardhat.config networks, for manifests converted from legacy files. */
+const CHAIN_IDS = {
+  mainnet: 1,
+  sepolia: 11155111,
+  EthSepolia: 11155111,
+  arbitrum: 42161,
+  arbitrumOne: 42161,
+  ArbitrumOne: 42161,
+  arbitrumSepolia: 421614,
+  ArbitrumSepolia: 421614,
+  hardhat: 31337,
+  localhost: 31337,
+};
+
+const EIP1967_IMPLEMENTATION_SLOT = "0x360894a13ba1a3210667c828492db98dca3e2076cc3735a920a3ca505d382bbc";
+const EIP1967_ADMIN_SLOT = "0xb53127684a568b3173ae13b9f8a6016e243e63b6e8ee1178d6a717850b5d6103";
+
+const isAddr = (a) => typeof a === "string" && /^0x[a-fA-F0-9]{40}$/.test(a);
+const isHash = (h) => typeof h === "string" && /^0x[0-9a-fA-F]{64}$/.test(h);
+const sameAddr = (a, b) => isAddr(a) && isAddr(b) && a.toLowerCase() === b.toLowerCase();
+const jsonSafe = (_k, v) => (typeof v === "bigint" ? v.toString() : v);
+
+/* ============================== validation ============================== */
+
+function entryProblems(e, i) {
+  const at = `history[${i}]`;
+  const out = [];
+  if (!e || typeof e !== "object") return [`${at}: not an object`];
+  if (e.seq !== i + 1) out.push(`${at}: seq ${e.seq}, expected ${i + 1}`);
+  if (!ENTRY_KINDS.includes(e.kind)) out.push(`${at}: unknown kind "${e.kind}" (${ENTRY_KINDS.join(", ")})`);
+  if (Number.isNaN(Date.parse(e.timestamp))) out.push(`${at}: timestamp "${e.timestamp}" is not an ISO date`);
+  if (i === 0 && !["deploy", "import"].includes(e.kind)) out.push(`${at}: history must start with a deploy or import`);
+
+  for (const [k, v] of Object.entries(e.contracts || {})) {
+    if (!CONTRACT_KEYS.includes(k)) out.push(`${at}.contracts: unknown key "${k}"`);
+    else if (v !== null && !isAddr(v)) out.push(`${at}.contracts.${k}: "${v}" is not an address`);
+  }
+  for (const k of ADDRESS_CONFIG_KEYS) {
+    const v = e.configuration?.[k];
+    if (v != null && !isAddr(v)) out.push(`${at}.configuration.${k}: "${v}" is not an address`);
+  }
+  for (const [k, v] of Object.entries(e.txs || {})) {
+    if (!isHash(v)) out.push(`${at}.txs.${k}: "${v}" is not a transaction hash`);
+  }
+
+  const impl = e.implementation;
+  if (impl) {
+    if (!isAddr(impl.address)) out.push(`${at}.implementation.address missing or invalid`);
+    for (const k of ["storageLayoutHash", "bytecodeHash"]) {
+      if (impl[k] != null && !isHash(impl[k])) out.push(`${at}.implementation.${k}: not a bytes32 hash`);
+    }
+  }
+  if (["prepare", "upgrade"].includes(e.kind) && !impl) out.push(`${at}: a ${e.kind} entry needs an implementation`);
+  if (e.kind === "configure" && !e.configuration && !e.contracts) out.push(`${at}: a configure entry changes nothing`);
+  if (e.blockNumber != null && !Number.isInteger(e.blockNumber)) out.push(`${at}.blockNumber: not an integer`);
+  return out;
+}
+
+/**
+ * All schema problems of a manifest document (empty when valid).
+ * @returns {string[]}
+ */
+function manifestProblems(doc) {
+  if (!doc || typeof doc !== "object") return ["manifest is not an object"];
+  const out = [];
+  if (doc.schema !== MANIFEST_SCHEMA) out.push(`schema is "${doc.schema}", expected "${MANIFEST_SCHEMA}"`);
+  if (doc.version !== MANIFEST_VERSION) out.push(`unsupported version ${doc.version}`);
+  if (typeof doc.network !== "string" || !doc.network) out.push("network missing");
+  if (doc.chainId !== null && !Number.isInteger(doc.chainId)) out.push("chainId must be an integer (or null if unknown)");
+  if (!Array.isArray(doc.history) || !doc.history.length) return [...out, "history must be a non-empty array"];
+  doc.history.forEach((e, i) => out.push(...entryProblems(e, i)));
+  return out;
+}
+
+/** Throw one error listing every schema problem. */
+function validateManifest(doc, source = "manifest") {
+  const problems = manifestProblems(doc);
+  if (problems.length) throw new Error(`${source} is invalid:\n  - ${problems.join("\n  - ")}`);
+  return doc;
+}
+
+/* ============================== history ============================== */
+
+/**
+ * Current state: the history folded in order.
+ * @returns {{network:string, chainId:number|null, seq:number, updatedAt:string, deployBlock:number|null,
+ *   deploymentId:string|null, contracts:object, configuration:object, implementation:object|null, build:object|null}}
+ */
+function currentState(doc) {
+  const state = {
+    network: doc.network,
+    chainId: doc.chainId,
+    seq: 0,
+    updatedAt: null,
+    deployBlock: null,
+    deploymentId: null,
+    contracts: {},
+    configuration: {},
+    implementation: null,
+    build: null,
+  };
+  for (const e of doc.history) {
+    if (e.kind === "prepare") continue;
+    Object.assign(state.contracts, e.contracts || {});
+    Object.assign(state.configuration, e.configuration || {});
+    if (e.implementation) {
+      state.implementation = e.implementation;
+      state.contracts.implementation = e.implementation.address;
+    }
+    if (e.build) state.build = e.build;
+    if (e.deploymentId) state.deploymentId = e.deploymentId;
+    if (state.deployBlock == null && e.blockNumber != null) state.deployBlock = e.blockNumber;
+  }
+  const last = doc.history[doc.history.length - 1];
+  state.seq = last.seq;
+  state.updatedAt = last.timestamp;
+  return state;
+}
+
+/**
+ * A new document with `entry` appended (seq and timestamp filled in). Never edits earlier entries.
+ * @param {object} doc
+ * @param {object} entry without seq
+ */
+function appendEntry(doc, entry) {
+  const e = { timestamp: new Date().toISOString(), ...entry, seq: doc.history.length + 1 };
+  const next = { ...doc, history: [...doc.history, JSON.parse(JSON.stringify(e, jsonSafe))] };
+  return validateManifest(next, `${doc.network} manifest (after appending ${e.kind})`);
+}
+
+/** The most recent `prepare` entry for implementation `address`, if any. */
+function preparedImplementation(doc, address) {
+  for (let i = doc.history.length - 1; i >= 0; i--) {
+    const e = doc.history[i];
+    if (e.kind === "prepare" && sameAddr(e.implementation.address, address)) return e;
+  }
+  return null;
+}
+
+/* ============================== legacy files ============================== */
+
+const LEGACY_META_KEYS = ["network", "timestamp", "deploymentId", "metadata", "blockNumber", "deployBlock"];
+
+/**
+ * Manifest with a single "import" entry from a `<network>-latest.json` ({contracts, configuration})
+ * or a flat `deploy-<network>.json`.
+ */
+function fromLegacy(raw, { network = raw.network, chainId, source = null } = {}) {
+  const flat = !raw.contracts;
+  const contracts = {};
+  const configuration = {};
+  for (const [k, v] of Object.entries(flat ? raw : raw.contracts)) {
+    if (flat && LEGACY_META_KEYS.includes(k)) continue;
+    if (CONTRACT_KEYS.includes(k)) contracts[k] = v;
+    else configuration[k] = v;
+  }
+  if (!flat) Object.assign(configuration, raw.configuration || {});
+  const block = raw.blockNumber ?? raw.deployBlock ?? raw.metadata?.blockNumber;
+
+  const entry = {
+    seq: 1,
+    kind: "import",
+    timestamp: raw.timestamp || new Date(0).toISOString(),
+    ...(raw.deploymentId && { deploymentId: raw.deploymentId }),
+    ...(block != null && { blockNumber: Number(block) }),
+    contracts,
+    configuration,
+    ...(contracts.implementation && { implementation: { address: contracts.implementation } }),
+    ...(raw.metadata && { build: { ...raw.metadata } }),
+    note: `imported from ${source || "a legacy deployment file"}`,
+  };
+  return validateManifest(
+    {
+      schema: MANIFEST_SCHEMA,
+      version: MANIFEST_VERSION,
+      network,
+      chainId: chainId ?? CHAIN_IDS[network] ?? null,
+      history: [entry],
+    },
+    source || `${network} legacy deployment`
+  );
+}
+
+/** The flat `-latest.json` shape older scripts read: { network, contracts, configuration, metadata }. */
+function legacyView(doc) {
+  const s = currentState(doc);
+  return {
+    network: s.network,
+    chainId: s.chainId,
+    timestamp: s.updatedAt,
+    ...(s.deploymentId && { deploymentId: s.deploymentId }),
+    ...(s.deployBlock != null && { blockNumber: s.deployBlock }),
+    contracts: s.contracts,
+    configuration: s.configuration,
+    metadata: { ...(s.build || {}), manifestSeq: s.seq },
+  };
+}
+
+/* ============================== files ============================== */
+
+function manifestPath(network, dir = DEPLOYMENTS_DIR) {
+  return path.join(dir, `${network}-manifest.json`);
+}
+
+function readManifest(file) {
+  const doc = JSON.parse(fs.readFileSync(file, "utf8"));
+  return validateManifest(doc, file);
+}
+
+/**
+ * Write `doc` to `file` (and the `-latest.json` view next to it unless `latest: false`).
+ * Refuses to rewrite history: the entries already on disk must be an unchanged prefix.
+ */
+function writeManifest(file, doc, { latest = true } = {}) {
+  validateManifest(doc, file);
+  if (fs.existsSync(file)) {
+    const prev = JSON.parse(fs.readFileSync(file, "utf8")).history || [];
+    const kept = JSON.stringify(doc.history.slice(0, prev.length));
+    if (doc.history.length < prev.length || kept !== JSON.stringify(prev)) {
+      throw new Error(`${file}: refusing to rewrite manifest history (entries are append-only)`);
+    }
+  }
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const tmp = `${file}.tmp`;
+  fs.writeFileSync(tmp, `${JSON.stringify(doc, jsonSafe, 2)}\n`);
+  fs.renameSync(tmp, file);
+  if (latest) {
+    const view = path.join(path.dirname(file), `${doc.network}-latest.json`);
+    fs.writeFileSync(view, `${JSON.stringify(legacyView(doc), jsonSafe, 2)}\n`);
+  }
+  return file;
+}
+
+/**
+ * Append `entry` to the network's manifest, creating it (with `chainId`) on the first deploy.
+ * @returns {{file:string, entry:object, state:object}}
+ */
+function recordManifestEntry(network, entry, { dir = DEPLOYMENTS_DIR, file, chainId, latest = true } = {}) {
+  const f = file || manifestPath(network, dir);
+  let doc;
+  if (fs.existsSync(f)) {
+    doc = readManifest(f);
+    if (chainId != null && doc.chainId != null && Number(chainId) !== doc.chainId) {
+      throw new Error(`${f} is for chain ${doc.chainId}, not ${chainId}`);
+    }
+  } else {
+    if (!["deploy", "import"].includes(entry.kind)) throw new Error(`${f} does not exist; record a deploy or import first`);
+    doc = { schema: MANIFEST_SCHEMA, version: MANIFEST_VERSION, network, chainId: chainId != null ? Number(chainId) : null, history: [] };
+  }
+  const next = appendEntry(doc, entry);
+  writeManifest(f, next, { latest });
+  return { file: f, entry: next.history[next.history.length - 1], state: currentState(next) };
+}
+
+/**
+ * Resolve `key` (contract key, address-valued configuration key, or alias such as "token")
+ * against the manifest state, falling back to the legacy env vars. Throws when an env var is
+ * set to a different address than the manifest records.
+ * @returns {string|null} checksummed address
+ */
+function resolveAddress(state, key, env = process.env) {
+  const k = ADDRESS_ALIASES[key] || key;
+  const recorded = state.contracts[k] ?? (ADDRESS_CONFIG_KEYS.includes(k) ? state.configuration[k] : null) ?? null;
+  for (const name of ENV_ADDRESSES[k] || []) {
+    const v = (env[name] || "").trim();
+    if (!isAddr(v)) continue;
+    if (recorded && !sameAddr(v, recorded)) {
+      throw new Error(
+        `${name}=${v} disagrees with the ${state.network} manifest (${k} = ${recorded}); ` +
+          "unset it or record the change in the manifest"
+      );
+    }
+    if (!recorded) return ethers.getAddress(v);
+  }
+  return isAddr(recorded) ? ethers.getAddress(recorded) : null;
+}
+
+/**
+ * Load a network's deployment: the manifest, or a legacy `-latest.json` / `deploy-<network>.json`
+ * converted in memory (`legacy: true`). `file` may point at either kind.
+ * `address(key)` returns null for an unknown address; `addressOf(key)` throws.
+ * @returns {{file:string, legacy:boolean, doc:object, state:object, address:(key:string)=>string|null,
+ *   addressOf:(key:string)=>string}}
+ */
+function loadManifest(network, { file, dir = DEPLOYMENTS_DIR, env = process.env } = {}) {
+  const candidates = file
+    ? [path.resolve(file)]
+    : [manifestPath(network, dir), path.join(dir, `${network}-latest.json`), path.join(dir, "..", `deploy-${network}.json`)];
+
+  for (const f of candidates) {
+    if (!fs.existsSync(f)) continue;
+    const raw = JSON.parse(fs.readFileSync(f, "utf8"));
+    const legacy = raw.schema !== MANIFEST_SCHEMA;
+    const doc = legacy ? fromLegacy(raw, { network: raw.network || network, source: f }) : validateManifest(raw, f);
+    const state = currentState(doc);
+    const address = (key) => resolveAddress(state, key, env);
+    const addressOf = (key) => {
+      const a = address(key);
+      if (a) return a;
+      const k = ADDRESS_ALIASES[key] || key;
+      const envs = ENV_ADDRESSES[k] ? ` or ${ENV_ADDRESSES[k].join("/")}` : "";
+      throw new Error(`No ${key} in ${f}${envs}`);
+    };
+    return { file: f, legacy, doc, state, address, addressOf };
+  }
+  throw new Error(`No deployment manifest for "${network}" (tried ${candidates.join(", ")})`);
+}
+
+/** The network plain-node scripts work against: DEPLOY_NETWORK, default arbitrumSepolia. */
+function scriptNetwork(env = process.env) {
+  return (env.DEPLOY_NETWORK || "arbitrumSepolia").trim();
+}
+
+/**
+ * What scripts call before anything else: load the manifest and, for each provider given
+ * (`provider` = the deployment's chain, `l1Provider` = the parent chain), refuse to go on if
+ * it disagrees with chain state.
+ *
+ *   const dep = await openDeployment({ provider: l2 });
+ *   const token = new ethers.Contract(dep.addressOf("token"), ABI, l2);
+ */
+async function openDeployment({ network = scriptNetwork(), file, provider = null, l1Provider = null, env } = {}) {
+  const m = loadManifest(network, { file, env });
+  if (provider || l1Provider) await assertManifestMatchesChain(m.state, provider, { l1Provider });
+  return m;
+}
+
+/* ============================== build metadata ============================== */
+
+/**
+ * keccak256 of a solc storage layout with the AST ids solc appends to struct / enum / contract
+ * type ids removed, so the same layout hashes the same across builds.
+ */
+function storageLayoutHash(layout) {
+  const clean = (t) => (t ? t.replace(/(t_(?:struct|enum|contract|userDefinedValueType)\([^)]*\))\d+/g, "$1") : t);
+  const storage = (layout.storage || []).map((s) => ({ label: s.label, slot: String(s.slot), offset: s.offset, type: clean(s.type) }));
+  const types = {};
+  for (const [id, t] of Object.entries(layout.types || {}).sort(([a], [b]) => (a < b ? -1 : 1))) {
+    types[clean(id)] = {
+      encoding: t.encoding,
+      label: t.label,
+      numberOfBytes: String(t.numberOfBytes),
+      ...(t.base && { base: clean(t.base) }),
+      ...(t.key && { key: clean(t.key) }),
+      ...(t.value && { value: clean(t.value) }),
+      ...(t.members && { members: t.members.map((m) => ({ label: m.label, slot: String(m.slot), offset: m.offset, type: clean(m.type) })) }),
+    };
+  }
+  return ethers.id(JSON.stringify({ storage, types }));
+}
+
+/**
+ * Compiler settings worth recording from a Hardhat build-info.
+ * @param {object} buildInfo `hre.artifacts.getBuildInfo(...)`
+ * @param {string} [profile] BUILD_PROFILE
+ */
+function buildSettings(buildInfo, profile = null) {
+  const s = buildInfo.input.settings || {};
+  return {
+    profile,
+    solc: buildInfo.solcLongVersion || buildInfo.solcVersion,
+    optimizer: s.optimizer ? { enabled: !!s.optimizer.enabled, runs: s.optimizer.runs } : null,
+    viaIR: !!s.viaIR,
+    evmVersion: s.evmVersion || null,
+    revertStrings: s.debug?.revertStrings || "default",
+    buildInfoId: buildInfo.id || null,
+  };
+}
+
+/**
+ * Manifest `implementation` + `build` fields for `contractName` deployed at `address`, from the
+ * Hardhat artifacts of the current build. Takes `hre` so the SDK never loads Hardhat itself.
+ * @returns {Promise<{implementation:object, build:object|null}>}
+ */
+async function describeImplementation(hre, contractName, address) {
+  const artifact = await hre.artifacts.readArtifact(contractName);
+  const fqn = `${artifact.sourceName}:${artifact.contractName}`;
+  const buildInfo = await hre.artifacts.getBuildInfo(fqn);
+  const layout = buildInfo?.output.contracts[artifact.sourceName][artifact.contractName].storageLayout;
+  const code = await hre.ethers.provider.getCode(address);
+  return {
+    implementation: {
+      contract: fqn,
+      address: ethers.getAddress(address),
+      ...(layout && { storageLayoutHash: storageLayoutHash(layout) }),
+      ...(code !== "0x" && { bytecodeHash: ethers.keccak256(code) }),
+    },
+    build: buildInfo ? buildSettings(buildInfo, (process.env.BUILD_PROFILE || "dev").toLowerCase()) : null,
+  };
+}
+
+/* ============================== chain checks ============================== */
+
+const slotAddress = (word) => ethers.getAddress(`0x${word.slice(-40)}`);
+
+/**
+ * Compare the manifest state with the chain. Collects every check (like sdk/preflight.js),
+ * rather than stopping at the first mismatch. L1 contracts are only checked with `l1Provider`,
+ * the others only with `provider` (which may be null for an L1-only check).
+ * @returns {Promise<{ok:boolean, checks:{check:string, ok:boolean, expected:any, actual:any}[]}>}
+ */
+async function verifyManifest(state, provider, { l1Provider = null } = {}) {
+  const checks = [];
+  const add = (check, expected, actual, ok = String(expected).toLowerCase() === String(actual).toLowerCase()) =>
+    checks.push({ check, ok, expected, actual });
+
+  if (provider && state.chainId != null) {
+    const { chainId } = await provider.getNetwork();
+    add("chainId", state.chainId, Number(chainId));
+  }
+
+  for (const [k, a] of Object.entries(state.contracts)) {
+    if (!isAddr(a)) continue;
+    const p = k.startsWith("l1") ? l1Provider : provider;
+    if (!p) continue;
+    const code = await p.getCode(a);
+    add(`code at ${k}`, "contract", code === "0x" ? "none" : "contract");
+    if (k === "implementation" && code !== "0x" && state.implementation?.bytecodeHash) {
+      add("implementation bytecodeHash", state.implementation.bytecodeHash, ethers.keccak256(code));
+    }
+  }
+
+  if (!provider) return { ok: checks.every((c) => c.ok), checks };
+
+  const proxy = state.contracts.tokenProxy;
+  if (isAddr(proxy)) {
+    if (isAddr(state.contracts.implementation)) {
+      const impl = slotAddress(await provider.getStorage(proxy, EIP1967_IMPLEMENTATION_SLOT));
+      add("tokenProxy implementation (EIP-1967)", state.contracts.implementation, impl);
+    }
+    if (isAddr(state.contracts.proxyAdmin)) {
+      const admin = slotAddress(await provider.getStorage(proxy, EIP1967_ADMIN_SLOT));
+      add("tokenProxy admin (EIP-1967)", state.contracts.proxyAdmin, admin);
+    }
+  }
+
+  const tl = state.contracts.timelock;
+  if (isAddr(tl) && state.configuration.minDelay != null) {
+    const c = new ethers.Contract(tl, ["function getMinDelay() view returns (uint256)"], provider);
+    const d = await c.getMinDelay().catch(() => null);
+    add("timelock minDelay", String(state.configuration.minDelay), d == null ? "unreadable" : d.toString());
+  }
+  return { ok: checks.every((c) => c.ok), checks };
+}
+
+/** `verifyManifest`, throwing one error that lists every mismatch. */
+async function assertManifestMatchesChain(state, provider, opts) {
+  const res = await verifyManifest(state, provider, opts);
+  const bad = res.checks.filter((c) => !c.ok);
+  if (bad.length) {
+    const lines = bad.map((c) => `${c.check}: manifest ${c.expected}, chain ${c.actual}`);
+    throw new Error(`${state.network} manifest (seq ${state.seq}) disagrees with chain state:\n  - ${lines.join("\n  - ")}`);
+  }
+  return res;
+}
+
+module.exports = {
+  MANIFEST_SCHEMA,
+  MANIFEST_VERSION,
+  DEPLOYMENTS_DIR,
+  ENTRY_KINDS,
+  CONTRACT_KEYS,
+  ADDRESS_CONFIG_KEYS,
+  ENV_ADDRESSES,
+  CHAIN_IDS,
+  EIP1967_IMPLEMENTATION_SLOT,
+  EIP1967_ADMIN_SLOT,
+  manifestProblems,
+  validateManifest,
+  currentState,
+  appendEntry,
+  preparedImplementation,
+  fromLegacy,
+  legacyView,
+  manifestPath,
+  readManifest,
+  writeManifest,
+  recordManifestEntry,
+  resolveAddress,
+  loadManifest,
+  scriptNetwork,
+  openDeployment,
+  storageLayoutHash,
+  buildSettings,
+  describeImplementation,
+  verifyManifest,
+  assertManifestMatchesChain,
+};
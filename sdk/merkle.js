@@ -0,0 +1,167 @@
+// sdk/merkle.js
+// Per-source merkle trees for sources configured with `requiresProof`.
+//
+// On-chain (GS_StepsAndVerification._processVerification):
+//   leaf = keccak256(abi.encode(user, steps, sourceConfigs[source].userNonce[user]))
+//   MerkleProof.verifyCalldata(proof, config.merkleRoot, leaf)
+//
+// Notes:
+//  - Leaves are hashed ONCE (unlike OZ StandardMerkleTree, which double-hashes), so we build
+//    the tree here with OpenZeppelin's sorted-pair (commutative) node hashing.
+//  - `usedLeaves` is global, not per source: the same (user, steps, nonce) leaf cannot be
+//    consumed in two different proof sources.
+//  - `configureSource` resets the source's root to 0; publish roots after (re)configuring.
+const { ethers } = require("ethers");
+const { MAX_PROOF_LENGTH } = require("./constants");
+
+const coder = ethers.AbiCoder.defaultAbiCoder();
+const toBI = (x) => (typeof x === "bigint" ? x : BigInt(x.toString()));
+
+const TOKEN_MERKLE_ABI = [
+  "function getUserSourceNonce(address user, string source) view returns (uint256)",
+  "function getSourceConfigFields(string source) view returns (bool,bool,bytes32,uint256,uint256)",
+  "function setSourceMerkleRoot(string source, bytes32 root)",
+];
+
+/**
+ * Leaf for a proof-gated submission.
+ * @param {string} user
+ * @param {bigint|number} steps must equal StepSubmission.steps
+ * @param {bigint|number} nonce per-source user nonce (`getUserSourceNonce`)
+ * @returns {string} bytes32 hex
+ */
+function stepLeaf(user, steps, nonce) {
+  return ethers.keccak256(
+    coder.encode(["address", "uint256", "uint256"], [user, toBI(steps), toBI(nonce)])
+  );
+}
+
+/** OZ `Hashes.commutativeKeccak256`. */
+function hashPair(a, b) {
+  return BigInt(a) < BigInt(b)
+    ? ethers.keccak256(ethers.concat([a, b]))
+    : ethers.keccak256(ethers.concat([b, a]));
+}
+
+/**
+ * Build a merkle tree over pre-hashed leaves (kept in the given order).
+ * Unpaired nodes are promoted unchanged to the next layer.
+ *
+ * @param {string[]} leaves bytes32 hex leaves
+ * @returns {{root:string, layers:string[][], getProof:(index:number)=>string[]}}
+ */
+function buildMerkleTree(leaves) {
+  if (!leaves.length) throw new Error("Cannot build a merkle tree without leaves");
+  if (new Set(leaves.map((l) => l.toLowerCase())).size !== leaves.length) {
+    throw new Error("Duplicate leaves: each (user, steps, nonce) may appear only once");
+  }
+
+  const layers = [leaves.map((l) => ethers.hexlify(l))];
+  while (layers[layers.length - 1].length > 1) {
+    const prev = layers[layers.length - 1];
+    const next = [];
+    for (let i = 0; i < prev.length; i += 2) {
+      next.push(i + 1 < prev.length ? hashPair(prev[i], prev[i + 1]) : prev[i]);
+    }
+    layers.push(next);
+  }
+
+  const getProof = (index) => {
+    if (index < 0 || index >= leaves.length) throw new Error(`Leaf index out of range: ${index}`);
+    const proof = [];
+    let idx = index;
+    for (let d = 0; d < layers.length - 1; d++) {
+      const layer = layers[d];
+      const sib = idx ^ 1;
+      if (sib < layer.length) proof.push(layer[sib]);
+      idx >>= 1;
+    }
+    if (proof.length > MAX_PROOF_LENGTH) throw new Error("Proof too long");
+    return proof;
+  };
+
+  return { root: layers[layers.length - 1][0], layers, getProof };
+}
+
+/**
+ * Off-chain equivalent of `MerkleProof.verify(proof, root, leaf)`.
+ * @returns {boolean}
+ */
+function verifyMerkleProof(proof, root, leaf) {
+  let h = leaf;
+  for (const p of proof) h = hashPair(h, p);
+  return h.toLowerCase() === root.toLowerCase();
+}
+
+/**
+ * Build a step tree from explicit (user, steps, nonce) entries.
+ * @param {{user:string, steps:bigint|number|string, nonce:bigint|number|string}[]} entries
+ * @returns {{root:string, entries:{user:string, steps:bigint, nonce:bigint, leaf:string, proof:string[]}[]}}
+ */
+function buildStepMerkleTree(entries) {
+  const norm = entries.map((e) => ({
+    user: ethers.getAddress(e.user),
+    steps: toBI(e.steps),
+    nonce: toBI(e.nonce),
+  }));
+  for (const e of norm) {
+    if (e.steps === 0n) throw new Error(`No steps provided for ${e.user}`);
+  }
+  const leaves = norm.map((e) => stepLeaf(e.user, e.steps, e.nonce));
+  const tree = buildMerkleTree(leaves);
+  return {
+    root: tree.root,
+    entries: norm.map((e, i) => ({ ...e, leaf: leaves[i], proof: tree.getProof(i) })),
+  };
+}
+
+/**
+ * Build a source tree for a batch of (user, steps) entries, assigning each entry the user's
+ * current per-source nonce read via `getUserSourceNonce`. Repeated users get consecutive
+ * nonces in batch order (they must then submit in that order).
+ *
+ * @param {object} p
+ * @param {import("ethers").Contract|string} p.token
+ * @param {import("ethers").Provider} [p.provider] required when `token` is an address
+ * @param {string} p.source
+ * @param {{user:string, steps:bigint|number|string}[]} p.entries
+ * @returns {Promise<{source:string, token:string, root:string, entries:object[]}>}
+ */
+async function buildSourceProofs({ token, provider, source, entries }) {
+  if (!source) throw new Error("Empty source");
+  const addr = typeof token === "string" ? token : await token.getAddress();
+  const tok = new ethers.Contract(addr, TOKEN_MERKLE_ABI, provider || token.runner);
+
+  const next = new Map();
+  const withNonces = [];
+  for (const e of entries) {
+    const user = ethers.getAddress(e.user);
+    if (!next.has(user)) next.set(user, await tok.getUserSourceNonce(user, source));
+    const nonce = next.get(user);
+    next.set(user, nonce + 1n);
+    withNonces.push({ user, steps: e.steps, nonce });
+  }
+
+  const tree = buildStepMerkleTree(withNonces);
+  return { source, token: ethers.getAddress(addr), root: tree.root, entries: tree.entries };
+}
+
+/**
+ * JSON-safe form of a proof bundle (bigints as decimal strings).
+ * @param {object} bundle result of {@link buildSourceProofs}
+ */
+function proofBundleToJSON(bundle) {
+  return JSON.parse(
+    JSON.stringify(bundle, (_, v) => (typeof v === "bigint" ? v.toString() : v))
+  );
+}
+
+module.exports = {
+  TOKEN_MERKLE_ABI,
+  stepLeaf,
+  buildMerkleTree,
+  verifyMerkleProof,
+  buildStepMerkleTree,
+  buildSourceProofs,
+  proofBundleToJSON,
+};
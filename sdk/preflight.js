@@ -0,0 +1,271 @@
+// sdk/preflight.js
+// Off-chain dry run of `logSteps` that explains every reason it would revert.
+//
+// Mirrors, in contract order:
+//  - logSteps                       caller + nonce
+//  - _validateStepData              pause, suspension, fields, deadline window, limits, versions
+//  - _processVerification           merkle proof, attestation, EIP-712 signer, signature replay
+//  - _applyFraudPrevention          min interval, daily cap, stake (user path only)
+//  - _mintWithCap                   global + monthly cap on the net mint
+//
+// Unlike the contract (first failing `require` wins) this collects ALL failures, each with the
+// on-chain revert string, the values involved and, when waiting helps, the earliest retry time.
+//
+// Not checkable from outside: `usedLeaves` is internal, so a consumed merkle leaf only shows up
+// as "Leaf already used" when actually submitted (the per-source nonce makes this rare).
+const { ethers } = require("ethers");
+const {
+  TOKEN_SDK_ABI,
+  ROLES,
+  MAX_PROOF_LENGTH,
+  MIN_STEPS,
+  MAX_SUPPLY,
+  SECONDS_PER_MONTH,
+  BPS_BASE,
+  REWARD_BURN_BPS,
+} = require("./constants");
+const { buildStepSubmission, buildVerificationData, versionHash, stepDigest, resolveStepDomain } = require("./steps");
+const { verifyAttestation } = require("./attestation");
+const { stepLeaf, verifyMerkleProof } = require("./merkle");
+
+const DAY = 86400n;
+const ERC1271_MAGIC = "0x1626ba7e";
+const ERC1271_ABI = ["function isValidSignature(bytes32 hash, bytes signature) view returns (bytes4)"];
+
+/**
+ * @typedef {object} PreflightFailure
+ * @property {"caller"|"validate"|"verification"|"fraud"|"mint"} stage contract step that reverts
+ * @property {string} reason on-chain revert string
+ * @property {object} values the numbers behind the check (bigints)
+ * @property {bigint|null} retryAt earliest timestamp at which waiting alone fixes it, else null
+ * @property {boolean} [resign] the retry needs a freshly signed payload (deadline would be past)
+ */
+
+/**
+ * Simulate `logSteps(submission, verification)` sent by `caller` against current chain state.
+ *
+ * @param {import("ethers").Contract|string} token token contract or address
+ * @param {object} submission StepSubmission (normalized via buildStepSubmission)
+ * @param {{signature:string, proof?:string[], attestation?:string}} verification
+ * @param {string|import("ethers").Signer} caller msg.sender (the user, or a trusted-API relayer)
+ * @param {object} [opts]
+ * @param {import("ethers").Provider} [opts.provider] required when `token` is an address
+ * @param {bigint|number} [opts.now] evaluation time, defaults to latest block timestamp
+ * @returns {Promise<{ok:boolean, failures:PreflightFailure[], retryAt:bigint|null, now:bigint,
+ *   caller:string, apiPath:boolean, reward:bigint, netMint:bigint}>}
+ *   `retryAt` is set only when every failure is fixed by waiting (the max over all of them).
+ */
+async function preflightLogSteps(token, submission, verification, caller, opts = {}) {
+  const provider = opts.provider || token?.runner?.provider || token?.runner;
+  if (!provider?.getBlock) throw new Error("preflightLogSteps: a provider is required");
+  const tokenAddr = typeof token === "string" ? token : await token.getAddress();
+  const tok = new ethers.Contract(tokenAddr, TOKEN_SDK_ABI, provider);
+
+  const callerAddr = ethers.getAddress(typeof caller === "string" ? caller : await caller.getAddress());
+  const now = BigInt(opts.now ?? (await provider.getBlock("latest")).timestamp);
+
+  const failures = [];
+  const fail = (stage, reason, values = {}, retryAt = null, extra = {}) =>
+    failures.push({ stage, reason, values, retryAt, ...extra });
+
+  // Field checks that need no chain state ("Invalid beneficiary", "Version too long", ...)
+  // are enforced by the builders with the same revert strings.
+  let sub;
+  let ver;
+  try {
+    sub = buildStepSubmission(submission);
+    ver = buildVerificationData(verification);
+  } catch (e) {
+    fail("validate", e.message);
+    return { ok: false, failures, retryAt: null, now, caller: callerAddr, apiPath: false, reward: 0n, netMint: 0n };
+  }
+
+  const [
+    paused,
+    onchainNonce,
+    [, rewardRate, stepLimit, validity],
+    [stakePerStep],
+    [currentMonth, monthMinted, , , , monthlyCap],
+    totalSupply,
+    userStatus,
+    [, , , , callerTrusted],
+    sourceValid,
+    [requiresProof, requiresAttestation, merkleRoot, maxStepsPerDay, minInterval],
+    [lastTs, dailyTotal, dayIdx],
+    [, , , payloadSupported, payloadDeprecatesAt],
+  ] = await Promise.all([
+    tok.paused(),
+    tok.nonces(sub.user),
+    tok.getCoreParams(),
+    tok.getStakeParams(),
+    tok.getMintingState(),
+    tok.totalSupply(),
+    tok.getUserCoreStatus(sub.user),
+    tok.getUserCoreStatus(callerAddr),
+    tok.isSourceValid(sub.source),
+    tok.getSourceConfigFields(sub.source),
+    tok.getUserSourceStats(sub.user, sub.source),
+    tok.getVersionPolicy(versionHash(sub.version)),
+  ]);
+  const [, , suspendedUntil, stake] = userStatus;
+  const apiPath = Boolean(callerTrusted);
+
+  /* ----------------------------- logSteps ----------------------------- */
+  if (!apiPath && callerAddr !== sub.user) {
+    fail("caller", "Caller must be user or trusted API", { caller: callerAddr, user: sub.user });
+  }
+  if (sub.nonce !== onchainNonce) {
+    fail("caller", "Invalid nonce", { nonce: sub.nonce, expected: onchainNonce });
+  }
+
+  /* ------------------------- _validateStepData ------------------------- */
+  if (paused) fail("validate", "Contract paused");
+  if (now < suspendedUntil) {
+    fail("validate", "Account suspended", { suspendedUntil }, suspendedUntil, {
+      resign: suspendedUntil >= sub.deadline,
+    });
+  }
+
+  if (sub.deadline <= now) {
+    fail("validate", "Signature expired", { deadline: sub.deadline, now }, null, { resign: true });
+  } else if (sub.deadline - now > validity) {
+    fail("validate", "Deadline too far", { deadline: sub.deadline, now, signatureValidityPeriod: validity },
+      sub.deadline - validity);
+  }
+  if (sub.steps > stepLimit) fail("validate", "Step limit exceeded", { steps: sub.steps, stepLimit });
+  if (!sourceValid) fail("validate", "Invalid source", { source: sub.source });
+
+  if (!payloadSupported) {
+    fail("validate", "Unsupported payload version", { version: sub.version });
+  } else if (payloadDeprecatesAt !== 0n && now >= payloadDeprecatesAt) {
+    fail("validate", "Payload version deprecated", { version: sub.version, deprecatesAt: payloadDeprecatesAt });
+  }
+
+  /* ------------------------ _processVerification ------------------------ */
+  if (requiresProof) {
+    if (ver.proof.length > MAX_PROOF_LENGTH) {
+      fail("verification", "Proof too long", { length: BigInt(ver.proof.length), max: BigInt(MAX_PROOF_LENGTH) });
+    } else {
+      const sourceNonce = await tok.getUserSourceNonce(sub.user, sub.source);
+      const leaf = stepLeaf(sub.user, sub.steps, sourceNonce);
+      if (!verifyMerkleProof(ver.proof, merkleRoot, leaf)) {
+        fail("verification", "Invalid proof", { leaf, root: merkleRoot, sourceNonce });
+      }
+    }
+  }
+
+  if (requiresAttestation) {
+    const att = await verifyAttestation({ blob: ver.attestation, submission: sub, token: tokenAddr, provider, now });
+    for (const f of att.failures) {
+      fail("verification", f.reason, f.detail ? { detail: f.detail } : {}, null, { resign: true });
+    }
+  }
+
+  const domainParams = await resolveStepDomain(tokenAddr, provider);
+  const digest = stepDigest(sub, domainParams);
+  let recovered = null;
+  try {
+    recovered = ethers.recoverAddress(digest, ver.signature);
+  } catch (_) {
+    fail("verification", "ECDSA: invalid signature", { signature: ver.signature });
+  }
+
+  if (recovered && apiPath) {
+    if (!(await tok.hasRole(ROLES.API_SIGNER_ROLE, recovered))) {
+      fail("verification", "Unauthorized API signer", { recovered });
+    }
+  } else if (recovered) {
+    const code = await provider.getCode(sub.user);
+    if (code !== "0x") {
+      await check1271(tok, provider, sub.user, digest, ver.signature, fail);
+    } else if (recovered !== sub.user && !(await tok.hasRole(ROLES.API_SIGNER_ROLE, recovered))) {
+      fail("verification", "Signer must be user", { recovered, user: sub.user });
+    }
+  }
+
+  /* ------------------------ _applyFraudPrevention ----------------------- */
+  const nextAllowed = lastTs + minInterval;
+  if (now < nextAllowed) {
+    fail("fraud", "Submission too frequent", { lastSubmission: lastTs, minInterval, now }, nextAllowed, {
+      resign: nextAllowed >= sub.deadline,
+    });
+  }
+
+  const today = now / DAY;
+  const usedToday = dayIdx === today ? dailyTotal : 0n;
+  if (usedToday + sub.steps > maxStepsPerDay) {
+    const values = { usedToday, steps: sub.steps, maxStepsPerDay, remaining: maxStepsPerDay - usedToday };
+    // A fresh day only helps if the submission fits an empty day at all.
+    const retry = sub.steps <= maxStepsPerDay ? (today + 1n) * DAY : null;
+    fail("fraud", "Daily limit exceeded", values, retry, { resign: retry !== null && retry >= sub.deadline });
+  }
+
+  if (!apiPath) {
+    const requiredStake = sub.steps * stakePerStep;
+    if (stake < requiredStake) {
+      fail("fraud", "Insufficient stake", {
+        stake,
+        requiredStake,
+        stakePerStep,
+        shortfall: requiredStake - stake,
+      });
+    }
+  }
+
+  // Signature replay guard runs after the fraud hooks on-chain.
+  const sigHash = ethers.keccak256(ethers.concat([digest, ver.signature]));
+  if (await tok.usedSignatures(sigHash)) fail("verification", "Signature reused", { sigHash });
+
+  /* ---------------------------- _mintWithCap ---------------------------- */
+  if (sub.steps < MIN_STEPS) fail("mint", "Steps below minimum", { steps: sub.steps, min: MIN_STEPS });
+
+  // Caps apply to the net supply increase (user + treasury legs); the burn leg is net-zero.
+  const reward = sub.steps * rewardRate;
+  const netMint = reward - (reward * REWARD_BURN_BPS) / BPS_BASE;
+
+  if (totalSupply + netMint > MAX_SUPPLY) {
+    fail("mint", "ERC20Capped: cap exceeded", { totalSupply, netMint, maxSupply: MAX_SUPPLY });
+  }
+
+  // _syncMonth: a new month resets the minted counter before the cap check.
+  const month = now / SECONDS_PER_MONTH;
+  const minted = month > currentMonth ? 0n : monthMinted;
+  if (minted + netMint > monthlyCap) {
+    const retry = netMint <= monthlyCap ? (month + 1n) * SECONDS_PER_MONTH : null;
+    fail("mint", "Monthly cap exceeded", { minted, netMint, monthlyCap, remaining: monthlyCap - minted }, retry, {
+      resign: retry !== null && retry >= sub.deadline,
+    });
+  }
+
+  const retryable = failures.length > 0 && failures.every((f) => f.retryAt !== null);
+  return {
+    ok: failures.length === 0,
+    failures,
+    retryAt: retryable ? failures.reduce((m, f) => (f.retryAt > m ? f.retryAt : m), 0n) : null,
+    now,
+    caller: callerAddr,
+    apiPath,
+    reward,
+    netMint,
+  };
+}
+
+/** ERC-1271 contract-wallet branch of `_processVerification`. */
+async function check1271(tok, provider, user, digest, signature, fail) {
+  if (!(await tok.trustedERC1271Contracts(user))) {
+    fail("verification", "Untrusted ERC1271 contract", { user });
+    return;
+  }
+  let magic = null;
+  try {
+    magic = await new ethers.Contract(user, ERC1271_ABI, provider).isValidSignature(digest, signature);
+  } catch (_) {}
+  if (magic !== ERC1271_MAGIC) {
+    fail("verification", "Invalid contract signature", { user, returned: magic });
+  }
+  if (await tok.used1271Digests(user, digest)) {
+    fail("verification", "ERC1271 digest already used", { user, digest });
+  }
+}
+
+module.exports = { preflightLogSteps };
@@ -0,0 +1,194 @@
+// sdk/rehearsal.js
+// Upgrade rehearsal on a Hardhat node loaded with a state dump (sdk/statedump.js): run the real
+// Timelock → UpgradeExecutor → ProxyAdmin path as the deployment's own proposer, then prove the
+// upgrade left user and governance state alone.
+//
+//   const checks = stateChecks(dump);                         // balances, nonces, stakes, sources, roles…
+//   const before = await observe(provider, checks);
+//   await rehearseUpgrade(provider, dump.governance, { implementation, initData });
+//   const diffs = compareObservations(before, await observe(provider, checks));
+const { ethers } = require("ethers");
+const { ROLES, TOKEN_SDK_ABI } = require("./constants");
+const { versionHash } = require("./steps");
+const { TIMELOCK_ABI, UPGRADE_EXECUTOR_ABI, PROXY_ADMIN_ABI } = require("./abis");
+const { EIP1967_IMPLEMENTATION_SLOT } = require("./manifest");
+
+const IFACES = {
+  token: new ethers.Interface(TOKEN_SDK_ABI),
+  timelock: new ethers.Interface(TIMELOCK_ABI),
+  executor: new ethers.Interface(UPGRADE_EXECUTOR_ABI),
+  proxyAdmin: new ethers.Interface(PROXY_ADMIN_ABI),
+};
+
+const TIMELOCK_ROLES = {
+  PROPOSER_ROLE: ethers.id("PROPOSER_ROLE"),
+  EXECUTOR_ROLE: ethers.id("EXECUTOR_ROLE"),
+  CANCELLER_ROLE: ethers.id("CANCELLER_ROLE"),
+  DEFAULT_ADMIN_ROLE: ethers.ZeroHash,
+};
+
+const short = (a) => `${a.slice(0, 6)}…${a.slice(-4)}`;
+const roleName = (roles, id) => Object.keys(roles).find((k) => roles[k] === id) || short(id);
+
+/**
+ * The post-upgrade check suite: one view call per piece of state an upgrade must not touch.
+ *
+ * @param {{keys:{accounts:string[], users:string[], sources:string[], versions:string[], roles:string[]},
+ *   governance:{token:string, timelock?:string, executor?:string, proxyAdmin?:string, accounts?:string[]}}} dump
+ * @returns {{key:string, contract:string, to:string, fn:string, args:any[]}[]}
+ */
+function stateChecks({ keys, governance: gov }) {
+  const out = [];
+  const add = (contract, to, fn, args = [], label = args.join(",")) =>
+    to && out.push({ key: `${contract}.${fn}(${label})`, contract, to, fn, args });
+
+  const t = gov.token;
+  const globals = ["name", "symbol", "totalSupply", "paused", "getCoreParams", "getStakeParams", "getMintingState"];
+  for (const fn of [...globals, "getEmergencyStatus", "getL1Governance"]) add("token", t, fn);
+  for (const a of keys.accounts) {
+    add("token", t, "balanceOf", [a]);
+    add("token", t, "nonces", [a]);
+    add("token", t, "getUserCoreStatus", [a]); // step average, flags, suspension, stake, trusted API
+    add("token", t, "isTrustedDevice", [a]);
+    add("token", t, "trustedERC1271Contracts", [a]);
+    add("token", t, "approvedRecipients", [a]);
+    for (const r of keys.roles) add("token", t, "hasRole", [r, a], `${roleName(ROLES, r)},${a}`);
+  }
+  for (const s of keys.sources) {
+    add("token", t, "isSourceValid", [s]);
+    add("token", t, "getSourceConfigFields", [s]);
+  }
+  for (const u of keys.users) {
+    add("token", t, "getUserBasics", [u]);
+    for (const s of keys.sources) {
+      add("token", t, "getUserSourceNonce", [u, s]);
+      add("token", t, "getUserSourceStats", [u, s]);
+    }
+  }
+  for (const v of keys.versions) add("token", t, "getVersionPolicy", [versionHash(v)], v);
+
+  const govAccounts = [...new Set([...(gov.accounts || []), gov.executor, gov.proxyAdmin].filter(Boolean))];
+  if (gov.timelock) {
+    add("timelock", gov.timelock, "getMinDelay");
+    for (const a of govAccounts) {
+      for (const [name, id] of Object.entries(TIMELOCK_ROLES))
+        add("timelock", gov.timelock, "hasRole", [id, a], `${name},${a}`);
+    }
+  }
+  add("executor", gov.executor, "owner");
+  add("executor", gov.executor, "upgradeDelay");
+  add("proxyAdmin", gov.proxyAdmin, "owner");
+  return out;
+}
+
+const normalize = (v) => (Array.isArray(v) ? [...v].map(normalize) : typeof v === "bigint" ? v.toString() : v);
+
+/**
+ * Run every check at `blockTag`; a reverting call is recorded as `revert: <reason>`, not thrown.
+ * @returns {Promise<Object<string, any>>} key → decoded result (bigints as strings)
+ */
+async function observe(provider, checks, { blockTag = "latest", concurrency = 8 } = {}) {
+  const out = {};
+  let next = 0;
+  const worker = async () => {
+    while (next < checks.length) {
+      const c = checks[next++];
+      const iface = IFACES[c.contract];
+      try {
+        const ret = await provider.call({ to: c.to, data: iface.encodeFunctionData(c.fn, c.args), blockTag });
+        const res = iface.decodeFunctionResult(c.fn, ret);
+        out[c.key] = normalize(res.length === 1 ? res[0] : [...res]);
+      } catch (e) {
+        out[c.key] = `revert: ${e.shortMessage || e.reason || e.message}`;
+      }
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(concurrency, checks.length) }, worker));
+  return Object.fromEntries(checks.filter((c) => c.key in out).map((c) => [c.key, out[c.key]]));
+}
+
+/**
+ * Checks whose result differs. Keys missing on one side count as a difference; keys matching
+ * an `ignore` pattern are skipped.
+ * @returns {{key:string, before:any, after:any}[]}
+ */
+function compareObservations(before, after, { ignore = [] } = {}) {
+  const diffs = [];
+  for (const key of new Set([...Object.keys(before), ...Object.keys(after)])) {
+    if (ignore.some((re) => re.test(key))) continue;
+    const a = JSON.stringify(before[key]);
+    const b = JSON.stringify(after[key]);
+    if (a !== b) diffs.push({ key, before: before[key], after: after[key] });
+  }
+  return diffs;
+}
+
+/** Salt labels `gemstep upgrade schedule|execute` uses, so a rehearsal hashes the same operations. */
+const upgradeSaltLabel = (phase, proxy, implementation, initData) =>
+  `${phase}:${proxy.toLowerCase()}:${implementation.toLowerCase()}:${ethers.keccak256(initData)}`;
+
+async function impersonate(provider, address) {
+  await provider.send("hardhat_impersonateAccount", [address]);
+  if ((await provider.getBalance(address)) < ethers.parseEther("1")) {
+    await provider.send("hardhat_setBalance", [address, ethers.toQuantity(ethers.parseEther("1"))]);
+  }
+  return provider.getSigner(address);
+}
+
+async function advance(provider, seconds) {
+  if (seconds > 0) await provider.send("evm_increaseTime", [seconds]);
+  await provider.send("evm_mine", []);
+}
+
+/**
+ * Upgrade the token proxy the way production does, on a Hardhat node:
+ * timelock.schedule/execute(executor.scheduleUpgradeAndCall), wait the executor's upgrade delay,
+ * timelock.schedule/execute(executor.executeUpgradeAndCall). The timelock proposer and executor
+ * (a multisig or Safe in production) are impersonated.
+ *
+ * @param {object} provider Hardhat provider (`send`, `getSigner`), e.g. hre.ethers.provider
+ * @param {{token:string, timelock:string, executor:string, proxyAdmin:string, proposer:string, timelockExecutor?:string}} gov
+ * @param {{implementation:string, initData:string, log?:Function}} opts
+ * @returns {Promise<{scheduleTx:string, executeTx:string, implementation:string}>}
+ */
+async function rehearseUpgrade(provider, gov, { implementation, initData, log = () => {} }) {
+  const proposer = await impersonate(provider, gov.proposer);
+  const open = !gov.timelockExecutor || gov.timelockExecutor === ethers.ZeroAddress;
+  const executor = open ? proposer : await impersonate(provider, gov.timelockExecutor);
+  const tl = new ethers.Contract(gov.timelock, TIMELOCK_ABI, provider);
+  const minDelay = await tl.getMinDelay();
+  const upgradeDelay = await new ethers.Contract(gov.executor, UPGRADE_EXECUTOR_ABI, provider).upgradeDelay();
+
+  const viaTimelock = async (phase, fn) => {
+    const data = IFACES.executor.encodeFunctionData(fn, [gov.proxyAdmin, gov.token, implementation, initData]);
+    const salt = ethers.id(upgradeSaltLabel(phase, gov.token, implementation, initData));
+    await (await tl.connect(proposer).schedule(gov.executor, 0, data, ethers.ZeroHash, salt, minDelay)).wait();
+    await advance(provider, Number(minDelay) + 1);
+    const rcpt = await (await tl.connect(executor).execute(gov.executor, 0, data, ethers.ZeroHash, salt)).wait();
+    log(`  ✓ timelock → executor.${fn} (tx ${rcpt.hash})`);
+    return rcpt.hash;
+  };
+
+  const scheduleTx = await viaTimelock("sched", "scheduleUpgradeAndCall");
+  await advance(provider, Number(upgradeDelay) + 1);
+  const executeTx = await viaTimelock("exec", "executeUpgradeAndCall");
+
+  const raw = await provider.getStorage(gov.token, EIP1967_IMPLEMENTATION_SLOT);
+  const now = ethers.getAddress(ethers.dataSlice(raw, 12));
+  if (now !== ethers.getAddress(implementation)) {
+    throw new Error(`Upgrade did not take effect: implementation slot is ${now}, expected ${implementation}`);
+  }
+  for (const a of [gov.proposer, gov.timelockExecutor]) {
+    if (a && a !== ethers.ZeroAddress) await provider.send("hardhat_stopImpersonatingAccount", [a]);
+  }
+  return { scheduleTx, executeTx, implementation: now };
+}
+
+module.exports = {
+  TIMELOCK_ROLES,
+  stateChecks,
+  observe,
+  compareObservations,
+  upgradeSaltLabel,
+  rehearseUpgrade,
+};
@@ -0,0 +1,211 @@
+// sdk/retryable.js
+// Cost estimator and auto-funding for CrossChainGovernanceL1 retryable tickets.
+//
+// `quoteRetryable` only sums the static gas config the owner set by hand; it ignores the calldata and the
+// live fee markets. This estimates what a ticket actually needs, checks the on-chain config against it and
+// returns the exact msg.value the governance contract will accept:
+//
+//   const est = await estimateRetryable({ governance: gov, l2, action: "pause" });
+//   est.value        // msg.value for sendPause (= quoteRetryable total, what sendRetryable requires)
+//   est.warnings     // [{ code: "GAS_LIMIT_TOO_LOW", … }] when the config would underfund the ticket
+//   est.recommended  // { maxSubmissionCost, gasLimit, maxFeePerGas, value } for setGasConfig
+//
+//   await sendFundedRetryable({ governance: gov.connect(owner), l2, action: "callL2", args: [l2Data] });
+//
+// Needed per ticket:
+//   submission fee  Inbox.calculateRetryableSubmissionFee(calldata length, L1 basefee)
+//   gas limit       eth_estimateGas of the target call on L2, sent from the governance alias
+//   max fee per gas the L2 basefee
+// Any of these above the on-chain gas config is a warning: the Inbox rejects the ticket (submission cost)
+// or its auto-redeem fails (gas limit) or is skipped (max fee), leaving a manual redeem. `recommended`
+// adds the buffers on top so the config survives normal fee movement until the next check.
+const { ethers } = require("ethers");
+const { L1_GOVERNANCE_ABI, INBOX_ABI } = require("./abis");
+const { l1ToL2Alias } = require("./audit");
+const { explainRevert } = require("./reverts");
+
+/** Default safety margins (percent) applied to the `recommended` config. */
+const RETRYABLE_BUFFERS = { submissionPct: 200, gasLimitPct: 20, maxFeePct: 100 };
+
+/** The governance entry points that create a ticket, with the L2 calldata each one sends. */
+const RETRYABLE_ACTIONS = {
+  pause: { method: "sendPause", l2Data: () => "0x8456cb59" },
+  unpause: { method: "sendUnpause", l2Data: () => "0x3f4ba83a" },
+  setL1Governance: {
+    method: "sendSetL1Governance",
+    l2Data: ([newGov]) =>
+      new ethers.Interface(["function setL1Governance(address)"]).encodeFunctionData("setL1Governance", [newGov]),
+  },
+  callL2: { method: "callL2", l2Data: ([data]) => ethers.hexlify(data) },
+  sendRetryable: { method: "sendRetryable", l2Data: ([data]) => ethers.hexlify(data), l2CallValue: ([, v]) => v },
+};
+
+/** Inbox.calculateRetryableSubmissionFee: (1400 + 6 * dataLength) * baseFee. */
+function retryableSubmissionFee(dataLength, l1BaseFee) {
+  return (1400n + 6n * BigInt(dataLength)) * BigInt(l1BaseFee);
+}
+
+const withBuffer = (x, pct) => x + (x * BigInt(Math.round(pct * 100))) / 10000n;
+
+/* ============================== estimate ============================== */
+
+/**
+ * @typedef {object} RetryableWarning
+ * @property {"SUBMISSION_COST_TOO_LOW"|"GAS_LIMIT_TOO_LOW"|"MAX_FEE_TOO_LOW"|"L2_CALL_REVERTS"} code
+ * @property {string} message
+ * @property {bigint} [configured] on-chain gas config value
+ * @property {bigint} [needed] current requirement, without buffer
+ * @property {object} [revert] decoded with sdk/reverts.js (L2_CALL_REVERTS)
+ */
+
+/**
+ * Estimate the cost of a governance retryable and check the on-chain gas config against it.
+ *
+ * @param {object} opts
+ * @param {ethers.Contract|string} opts.governance CrossChainGovernanceL1 (contract, or address with `l1`)
+ * @param {ethers.Provider} [opts.l1] L1 provider; defaults to the governance contract's
+ * @param {ethers.Provider} opts.l2 L2 provider, for the gas estimate and basefee
+ * @param {keyof RETRYABLE_ACTIONS} opts.action
+ * @param {any[]} [opts.args] action arguments, as passed to the governance method
+ * @param {bigint} [opts.l1BaseFee] L1 basefee for the submission fee; defaults to the latest block's
+ * @param {bigint} [opts.l2BaseFee] defaults to the latest L2 block's
+ * @param {Partial<typeof RETRYABLE_BUFFERS>} [opts.buffers]
+ * @returns {Promise<object>} `{ ok, method, args, l2Data, dataLength, l2CallValue, sender, l1BaseFee, l2BaseFee,
+ *   submissionFee, gasEstimate, gasConfig, value, recommended, warnings }`
+ */
+async function estimateRetryable({ governance, l1, l2, action, args = [], l1BaseFee, l2BaseFee, buffers = {} }) {
+  const spec = RETRYABLE_ACTIONS[action];
+  if (!spec) throw new Error(`Unknown retryable action "${action}" (${Object.keys(RETRYABLE_ACTIONS).join(", ")})`);
+  if (!l2) throw new Error("estimateRetryable: an L2 provider is required");
+
+  const gov =
+    typeof governance === "string"
+      ? new ethers.Contract(governance, L1_GOVERNANCE_ABI, l1)
+      : new ethers.Contract(await governance.getAddress(), L1_GOVERNANCE_ABI, l1 || governance.runner);
+  l1 = l1 || gov.runner?.provider || gov.runner;
+  if (!l1?.getBlock) throw new Error("estimateRetryable: an L1 provider is required");
+  const b = { ...RETRYABLE_BUFFERS, ...buffers };
+
+  const l2Data = spec.l2Data(args);
+  const l2CallValue = BigInt(spec.l2CallValue?.(args) ?? 0n);
+  const dataLength = ethers.dataLength(l2Data);
+  const [govAddr, inboxAddr, target, cfg] = await Promise.all([
+    gov.getAddress(),
+    gov.inbox(),
+    gov.l2Target(),
+    gov.gasConfig(),
+  ]);
+  const gasConfig = { maxSubmissionCost: cfg[0], gasLimit: cfg[1], maxFeePerGas: cfg[2] };
+  const sender = l1ToL2Alias(govAddr);
+
+  l1BaseFee = BigInt(l1BaseFee ?? (await l1.getBlock("latest")).baseFeePerGas ?? 0n);
+  l2BaseFee = BigInt(l2BaseFee ?? (await l2.getBlock("latest")).baseFeePerGas ?? 0n);
+  const inbox = new ethers.Contract(inboxAddr, INBOX_ABI, l1);
+  const submissionFee = await inbox.calculateRetryableSubmissionFee(dataLength, l1BaseFee);
+
+  const warnings = [];
+  let gasEstimate = null;
+  try {
+    gasEstimate = await l2.estimateGas({ from: sender, to: target, data: l2Data, value: l2CallValue });
+  } catch (e) {
+    const revert = explainRevert(e) ?? { kind: "unknown", code: "UNKNOWN", message: e.shortMessage || e.message };
+    warnings.push({
+      code: "L2_CALL_REVERTS",
+      message: `${action} reverts on L2 from ${sender}: ${revert.code} ${revert.message}`,
+      revert,
+    });
+  }
+
+  const check = (code, key, needed, what) => {
+    if (gasConfig[key] < needed) {
+      warnings.push({
+        code,
+        message: `${key} ${gasConfig[key]} < ${needed} ${what}`,
+        configured: gasConfig[key],
+        needed,
+      });
+    }
+  };
+  check("SUBMISSION_COST_TOO_LOW", "maxSubmissionCost", submissionFee, "(the Inbox rejects the ticket)");
+  if (gasEstimate != null) check("GAS_LIMIT_TOO_LOW", "gasLimit", gasEstimate, "(auto-redeem runs out of gas)");
+  check("MAX_FEE_TOO_LOW", "maxFeePerGas", l2BaseFee, "(auto-redeem is skipped)");
+
+  const max = (x, y) => (x > y ? x : y);
+  const recommended = {
+    maxSubmissionCost: max(gasConfig.maxSubmissionCost, withBuffer(submissionFee, b.submissionPct)),
+    gasLimit:
+      gasEstimate == null ? gasConfig.gasLimit : max(gasConfig.gasLimit, withBuffer(gasEstimate, b.gasLimitPct)),
+    maxFeePerGas: max(gasConfig.maxFeePerGas, withBuffer(l2BaseFee, b.maxFeePct)),
+  };
+  recommended.value = l2CallValue + recommended.maxSubmissionCost + recommended.gasLimit * recommended.maxFeePerGas;
+
+  return {
+    ok: warnings.length === 0,
+    method: spec.method,
+    args,
+    l2Data,
+    dataLength,
+    l2CallValue,
+    sender,
+    l1BaseFee,
+    l2BaseFee,
+    submissionFee,
+    gasEstimate,
+    gasConfig,
+    // sendRetryable requires exactly this much and forwards all of msg.value, so more only buys refunds.
+    value: l2CallValue + gasConfig.maxSubmissionCost + gasConfig.gasLimit * gasConfig.maxFeePerGas,
+    recommended,
+    warnings,
+  };
+}
+
+/* ============================== auto-funding ============================== */
+
+/**
+ * Estimate, then send the governance call with the exact msg.value.
+ *
+ * Refuses to send while the estimate has warnings, unless `updateGasConfig` (owner: setGasConfig to the
+ * recommended config first, then re-estimate) or `force`.
+ *
+ * @param {object} opts as estimateRetryable, with `governance` connected to the owner
+ * @param {boolean} [opts.updateGasConfig=false]
+ * @param {boolean} [opts.force=false] send despite warnings
+ * @param {(msg:string) => void} [opts.log]
+ * @returns {Promise<{estimate:object, gasConfigTx:(object|null), tx:object}>}
+ */
+async function sendFundedRetryable(opts) {
+  const { governance, updateGasConfig = false, force = false, log = () => {} } = opts;
+  if (typeof governance === "string" || !governance.runner?.sendTransaction) {
+    throw new Error("sendFundedRetryable: governance must be a contract connected to its owner");
+  }
+  const gov = new ethers.Contract(await governance.getAddress(), L1_GOVERNANCE_ABI, governance.runner);
+
+  let estimate = await estimateRetryable(opts);
+  let gasConfigTx = null;
+  const underfunded = estimate.warnings.filter((w) => w.code !== "L2_CALL_REVERTS");
+  if (updateGasConfig && underfunded.length) {
+    const { maxSubmissionCost, gasLimit, maxFeePerGas } = estimate.recommended;
+    log(
+      `setGasConfig(${maxSubmissionCost}, ${gasLimit}, ${maxFeePerGas}): ${underfunded.map((w) => w.code).join(", ")}`
+    );
+    gasConfigTx = await gov.setGasConfig(maxSubmissionCost, gasLimit, maxFeePerGas);
+    await gasConfigTx.wait();
+    estimate = await estimateRetryable(opts);
+  }
+  for (const w of estimate.warnings) log(`⚠️  ${w.code}: ${w.message}`);
+  if (!estimate.ok && !force) {
+    throw new Error(`Retryable would be underfunded or fail: ${estimate.warnings.map((w) => w.code).join(", ")}`);
+  }
+
+  log(`${estimate.method} with ${ethers.formatEther(estimate.value)} ETH`);
+  const tx = await gov[estimate.method](...estimate.args, { value: estimate.value });
+  return { estimate, gasConfigTx, tx };
+}
+
+module.exports = {
+  RETRYABLE_BUFFERS,
+  RETRYABLE_ACTIONS,
+  retryableSubmissionFee,
+  estimateRetryable,
+  sendFundedRetryable,
+};
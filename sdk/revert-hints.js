@@ -0,0 +1,528 @@
+// sdk/revert-hints.js
+// Hand-written half of sdk/revert-catalog.json: a stable code, a human message and a remediation hint per
+// revert string / custom error found in contracts/. scripts/build_revert_catalog.js merges this with what it
+// extracts from the sources; `npm run reverts:check` fails when a reason below is missing from the sources or
+// a reason in the sources has no entry here.
+//
+// Codes are part of the client contract: never rename one, add a new code instead.
+//
+// `extra` covers reverts the extractor cannot see: strings built at runtime (UpgradeExecutor's normalized
+// ProxyAdmin failures, matched by prefix) and OpenZeppelin v5 errors raised from inherited code.
+
+const h = (code, message, hint) => ({ code, message, hint });
+
+const strings = {
+  /* ---------------------------- step submission ---------------------------- */
+  "Contract paused": h("PAUSED", "The token is paused", "Wait for PAUSER_ROLE (or L1 governance) to unpause."),
+  "Account suspended": h(
+    "ACCOUNT_SUSPENDED",
+    "The user is suspended after repeated anomalies",
+    "Wait until suspendedUntil(user) has passed before submitting again."
+  ),
+  "Invalid beneficiary": h(
+    "INVALID_BENEFICIARY",
+    "Beneficiary is the zero address",
+    "Set beneficiary to the reward recipient."
+  ),
+  "No steps provided": h("NO_STEPS", "Step count is zero", "Submit at least one step."),
+  "Signature expired": h(
+    "SIGNATURE_EXPIRED",
+    "The submission deadline has passed",
+    "Re-sign with a deadline in the future."
+  ),
+  "Deadline too far": h(
+    "DEADLINE_TOO_FAR",
+    "The deadline is beyond the signature validity period",
+    "Use a deadline within signatureValidityPeriod() of now."
+  ),
+  "Step limit exceeded": h(
+    "STEP_LIMIT_EXCEEDED",
+    "Too many steps in one submission",
+    "Split the batch below stepLimit()."
+  ),
+  "Empty source": h("EMPTY_SOURCE", "Source is empty", 'Pass a registered source key (e.g. "fitbit").'),
+  "Invalid source": h(
+    "INVALID_SOURCE",
+    "The source is not registered",
+    "Use a source from validSources, or have PARAMETER_ADMIN_ROLE add it."
+  ),
+  "Empty version": h(
+    "EMPTY_VERSION",
+    "Payload version is empty",
+    'Set version to a supported payload version ("1.0.0").'
+  ),
+  "Version too long": h(
+    "VERSION_TOO_LONG",
+    "Payload version is too long",
+    "Versions are at most MAX_VERSION_LENGTH bytes."
+  ),
+  "Unsupported payload version": h(
+    "UNSUPPORTED_PAYLOAD_VERSION",
+    "The payload version is not allowlisted",
+    'Use a version in supportedPayloadVersions ("1.0.0" by default).'
+  ),
+  "Payload version deprecated": h(
+    "PAYLOAD_VERSION_DEPRECATED",
+    "The payload version is past its deprecation time",
+    "Upgrade the client to a current payload version."
+  ),
+  "Caller must be user or trusted API": h(
+    "CALLER_NOT_USER_OR_API",
+    "Only the user or a trusted API may submit",
+    "Send from the user's account, or from an address set with setTrustedAPI."
+  ),
+  "Invalid nonce": h(
+    "INVALID_NONCE",
+    "The nonce does not match the user's next nonce",
+    "Re-read nonces(user), re-sign and resubmit; another submission may have landed first."
+  ),
+  "Unauthorized API signer": h(
+    "UNAUTHORIZED_API_SIGNER",
+    "The API path signature is not from an API_SIGNER_ROLE holder",
+    "Sign with the relayer's API signer key, or grant it API_SIGNER_ROLE."
+  ),
+  "Untrusted ERC1271 contract": h(
+    "UNTRUSTED_ERC1271",
+    "The contract wallet is not trusted for ERC-1271",
+    "Have PARAMETER_ADMIN_ROLE call setTrusted1271(wallet, true)."
+  ),
+  "Invalid contract signature": h(
+    "INVALID_1271_SIGNATURE",
+    "The wallet's isValidSignature rejected the digest",
+    "Sign the EIP-712 step digest with the wallet's owner key."
+  ),
+  "ERC1271 digest already used": h(
+    "ERC1271_DIGEST_REUSED",
+    "This ERC-1271 digest was already consumed",
+    "Use the next nonce and re-sign."
+  ),
+  "Signer must be user": h(
+    "SIGNER_NOT_USER",
+    "The signature does not recover to the user",
+    "Sign the step digest with the user's own key (check chainId and verifying contract)."
+  ),
+  "Signature reused": h("SIGNATURE_REUSED", "This signature was already used", "Use the next nonce and re-sign."),
+  "Proof too long": h(
+    "PROOF_TOO_LONG",
+    "The Merkle proof is too long",
+    "Proofs are at most MAX_PROOF_LENGTH (32) nodes."
+  ),
+  "Leaf already used": h("LEAF_REUSED", "This Merkle leaf was already claimed", "Each leaf can be claimed once."),
+  "Invalid proof": h(
+    "INVALID_PROOF",
+    "The Merkle proof does not match the source root",
+    "Rebuild the proof against the root currently set for the source."
+  ),
+  "Bad attest version": h(
+    "BAD_ATTESTATION_VERSION",
+    "Attestation version is empty or too long",
+    'Encode a version such as "1.0.0".'
+  ),
+  "Unsupported attestation version": h(
+    "UNSUPPORTED_ATTESTATION_VERSION",
+    "The attestation version is not allowlisted",
+    'Use a version in supportedAttestationVersions ("1.0.0" by default).'
+  ),
+  "Attestation version deprecated": h(
+    "ATTESTATION_VERSION_DEPRECATED",
+    "The attestation version is past its deprecation time",
+    "Update the device firmware to a current attestation version."
+  ),
+  "Untrusted device": h(
+    "UNTRUSTED_DEVICE",
+    "The attesting device is not trusted",
+    "Have PARAMETER_ADMIN_ROLE add the device."
+  ),
+  "Stale attestation": h("STALE_ATTESTATION", "The attestation is older than one hour", "Collect a fresh attestation."),
+  "Attestation reused": h(
+    "ATTESTATION_REUSED",
+    "This legacy (nonce-free) attestation was already used",
+    "Collect a fresh attestation from the device."
+  ),
+  "Invalid attestation": h(
+    "INVALID_ATTESTATION",
+    "The attestation is not signed by the device",
+    "Check the attestation's typed data (user, steps, timestamp, version and, for nonce-bound versions, nonce)."
+  ),
+  "Steps below minimum": h("STEPS_BELOW_MINIMUM", "Fewer steps than MIN_STEPS", "Submit at least MIN_STEPS steps."),
+  "Submission too frequent": h(
+    "SUBMISSION_TOO_FREQUENT",
+    "Submitted again before the source's minimum interval",
+    "Wait for the source's minInterval since the last submission."
+  ),
+  "Daily limit exceeded": h(
+    "DAILY_LIMIT_EXCEEDED",
+    "The user's daily step limit for this source is used up",
+    "Retry after 00:00 UTC or submit fewer steps."
+  ),
+  "Insufficient stake": h(
+    "INSUFFICIENT_STAKE",
+    "The user's stake does not cover steps × stake per step",
+    "Stake more ETH (stake()) or submit through a trusted API."
+  ),
+
+  /* ---------------------------- minting and supply ---------------------------- */
+  "ERC20: mint to the zero address": h(
+    "MINT_TO_ZERO",
+    "Mint recipient is the zero address",
+    "Pass a non-zero recipient."
+  ),
+  "Mint: zero amount": h("MINT_ZERO_AMOUNT", "Mint amount is zero", "Mint a positive amount."),
+  "ERC20Capped: cap exceeded": h(
+    "CAP_EXCEEDED",
+    "The mint would exceed the total supply cap",
+    "No more tokens can be minted."
+  ),
+  "Monthly cap exceeded": h(
+    "MONTHLY_CAP_EXCEEDED",
+    "The monthly mint cap is used up",
+    "Retry after the month rolls over; check currentMonthMinted against currentMonthlyCap."
+  ),
+  "Monthly cap overflow": h(
+    "MONTHLY_CAP_OVERFLOW",
+    "The monthly cap computation overflowed",
+    "Report this; it should be unreachable."
+  ),
+  "Treasury not set": h(
+    "TREASURY_NOT_SET",
+    "The treasury is not configured",
+    "Have DEFAULT_ADMIN_ROLE call setTreasury."
+  ),
+  "Token transfers paused": h("TRANSFERS_PAUSED", "Token transfers are paused", "Wait for the token to be unpaused."),
+  "No zero value": h("ZERO_ETH", "Zero-value ETH transfer to the token", "Send a non-zero amount."),
+  "Initial supply exceeds max": h(
+    "INITIAL_SUPPLY_EXCEEDS_MAX",
+    "Initial supply exceeds the cap",
+    "Deploy with the fixed INITIAL_SUPPLY."
+  ),
+  "initialSupply != INITIAL_SUPPLY": h(
+    "INITIAL_SUPPLY_MISMATCH",
+    "Initial supply differs from INITIAL_SUPPLY",
+    "Deploy with the fixed INITIAL_SUPPLY."
+  ),
+  "Invalid admin address": h("INVALID_ADMIN", "Admin is the zero address", "Initialize with a non-zero admin."),
+  "Invalid price oracle": h(
+    "INVALID_PRICE_ORACLE",
+    "Price oracle is the zero address",
+    "Initialize with a deployed oracle."
+  ),
+
+  /* ---------------------------- staking ---------------------------- */
+  0: h("ZERO_AMOUNT", "Zero ETH staked or withdrawn", "Stake or withdraw a positive amount."),
+  BAL: h("STAKE_BALANCE_TOO_LOW", "Withdrawal exceeds the staked balance", "Withdraw at most stakeBalance(user)."),
+  XFER: h("STAKE_TRANSFER_FAILED", "Sending the withdrawn ETH failed", "The receiving contract must accept ETH."),
+  LOCK: h("STAKE_PARAMS_LOCKED", "Stake parameters are locked", "EMERGENCY_ADMIN_ROLE must unlock them first."),
+  CD: h(
+    "STAKE_ADJUST_COOLDOWN",
+    "Stake adjustment is in cooldown",
+    "Wait STAKE_ADJUST_COOLDOWN after lastStakeAdjustment."
+  ),
+  BND: h(
+    "STAKE_OUT_OF_BOUNDS",
+    "Stake per step outside [MIN_STAKE_PER_STEP, MAX_STAKE_PER_STEP]",
+    "Pick a value within the bounds."
+  ),
+
+  /* ---------------------------- admin ---------------------------- */
+  Unauthorized: h("UNAUTHORIZED", "Caller may not add sources", "Call with PARAMETER_ADMIN_ROLE."),
+  "Source too short": h("SOURCE_TOO_SHORT", "Source key is too short", "Use at least MIN_SOURCE_LENGTH characters."),
+  "Source too long": h("SOURCE_TOO_LONG", "Source key is too long", "Use at most MAX_SOURCE_LENGTH characters."),
+  "Source already exists": h("SOURCE_EXISTS", "Source is already registered", "Configure the existing source instead."),
+  "Invalid source characters": h(
+    "SOURCE_BAD_CHARS",
+    "Source key has non-alphanumeric characters",
+    "Use [A-Za-z0-9] only."
+  ),
+  "Source not registered": h(
+    "SOURCE_NOT_REGISTERED",
+    "The source is not registered",
+    "Add the source first, or it was already removed."
+  ),
+  "Bad version": h("BAD_VERSION", "Version is empty or too long", "Use 1..MAX_VERSION_LENGTH bytes."),
+  "Version not supported": h(
+    "VERSION_NOT_SUPPORTED",
+    "The payload version is not allowlisted",
+    "Add the version before deprecating it."
+  ),
+  "Attest ver not supported": h(
+    "ATTESTATION_VERSION_NOT_SUPPORTED",
+    "The attestation version is not allowlisted",
+    "Add the attestation version first."
+  ),
+  "bad threshold": h("BAD_ANOMALY_THRESHOLD", "Anomaly threshold outside 2..10", "Pick a threshold between 2 and 10."),
+  "Invalid device address": h("INVALID_DEVICE", "Device is the zero address", "Pass the device's signing address."),
+  "Invalid API address": h("INVALID_API", "API is the zero address", "Pass the relayer's address."),
+  "Invalid 1271 addr": h("INVALID_1271", "Wallet is the zero address", "Pass the contract wallet's address."),
+  "Invalid oracle": h("INVALID_ORACLE", "Oracle is the zero address", "Pass a deployed oracle."),
+  "Invalid treasury": h("INVALID_TREASURY", "Treasury is the zero address", "Pass the treasury address."),
+  "Exceeds max batch size": h(
+    "BATCH_TOO_LARGE",
+    "Batch is larger than allowed",
+    "Split it: at most MAX_BATCH_SIGNERS (20) signers or MAX_BATCH_SOURCES (10) sources per call."
+  ),
+  "Invalid signer": h("INVALID_SIGNER", "Signer is the zero address", "Remove zero addresses from the batch."),
+  "Already signer": h("ALREADY_SIGNER", "Address is already a signer", "Remove it from the batch."),
+  "Not a signer": h("NOT_A_SIGNER", "Address is not a signer", "Remove it from the batch."),
+  "Exceeds max clearance batch": h(
+    "CLEARANCE_BATCH_TOO_LARGE",
+    "Too many signatures to clear in one call",
+    "Clear at most MAX_SIGNATURE_CLEARANCE (50) per call."
+  ),
+  "Only initial admin": h(
+    "ONLY_INITIAL_ADMIN",
+    "Only the initial admin can hand over roles",
+    "Call from initialAdmin."
+  ),
+  "Already transferred": h("ADMIN_ALREADY_TRANSFERRED", "Admin roles were already handed over", "Nothing to do."),
+  "Multisig not set": h("MULTISIG_NOT_SET", "The multisig is not configured", "Call setMultisig first."),
+  "Invalid multisig": h("INVALID_MULTISIG", "Multisig is the zero address", "Pass the multisig address."),
+  "Token addr=0": h(
+    "VIEWS_TOKEN_ZERO",
+    "Views deployed with a zero token address",
+    "Deploy GemStepViews with the token proxy address."
+  ),
+
+  /* ---------------------------- emergency and L2 ---------------------------- */
+  "Emergency withdrawals disabled": h(
+    "EMERGENCY_DISABLED",
+    "Emergency withdrawals are disabled",
+    "EMERGENCY_ADMIN_ROLE must enable them first."
+  ),
+  "Emergency delay not passed": h(
+    "EMERGENCY_DELAY",
+    "The emergency unlock delay has not passed",
+    "Wait until emergencyWithdrawUnlockTime."
+  ),
+  "GS: unauthorized recipient": h(
+    "UNAUTHORIZED_RECIPIENT",
+    "Caller is not an approved recipient",
+    "Approve the recipient first."
+  ),
+  "GS: invalid recipient": h("INVALID_RECIPIENT", "Recipient is the zero address", "Pass a non-zero recipient."),
+  "GS: ERC20 transfer failed": h(
+    "ERC20_TRANSFER_FAILED",
+    "The token transfer failed",
+    "Check the token balance and the token's rules."
+  ),
+  "GS: ETH transfer failed": h("ETH_TRANSFER_FAILED", "Sending ETH failed", "The recipient must accept ETH."),
+  "GS: L1 governance zero address": h(
+    "L1_GOVERNANCE_ZERO",
+    "L1 governance is the zero address",
+    "Pass the L1 governance address."
+  ),
+  "GS: L1 governance already set": h(
+    "L1_GOVERNANCE_SET",
+    "L1 governance can be set only once",
+    "It is already configured."
+  ),
+  "GS: L1 governance not set": h(
+    "L1_GOVERNANCE_NOT_SET",
+    "L1 governance is not configured",
+    "Call setL1Governance first."
+  ),
+  "GS: not L1 governance": h(
+    "NOT_L1_GOVERNANCE",
+    "Caller is not the aliased L1 governance",
+    "Send through the L1 governance contract as a retryable ticket."
+  ),
+  "GS: bad L1 target": h("BAD_L1_TARGET", "L1 target is the zero address", "Pass the L1 contract address."),
+  "GS: bad Arbitrum params": h(
+    "BAD_ARBITRUM_PARAMS",
+    "Arbitrum parameters are invalid",
+    "Pass non-zero addresses and limits."
+  ),
+
+  /* ---------------------------- UpgradeExecutor ---------------------------- */
+  "Invalid addr": h("EXEC_INVALID_ADDR", "ProxyAdmin, proxy or implementation is zero", "Pass all three addresses."),
+  "Executor not ProxyAdmin owner": h(
+    "EXEC_NOT_PROXY_ADMIN_OWNER",
+    "The executor does not own the ProxyAdmin",
+    "Transfer ProxyAdmin ownership to the executor before scheduling."
+  ),
+  "Executor is NOT ProxyAdmin owner": h(
+    "EXEC_LOST_PROXY_ADMIN",
+    "The executor no longer owns the ProxyAdmin",
+    "Transfer ProxyAdmin ownership back to the executor, then execute."
+  ),
+  "Executor: proxy not managed by proxyAdmin": h(
+    "EXEC_PROXY_NOT_MANAGED",
+    "The proxy is administered by another ProxyAdmin",
+    "Pass the proxy's own ProxyAdmin."
+  ),
+  "Executor: new impl has no code": h("EXEC_IMPL_NO_CODE", "The new implementation has no code", "Deploy it first."),
+  "Executor: same implementation": h(
+    "EXEC_SAME_IMPL",
+    "The proxy already uses this implementation",
+    "Nothing to upgrade."
+  ),
+  "Upgrade not scheduled": h(
+    "EXEC_NOT_SCHEDULED",
+    "No matching upgrade is scheduled",
+    "Schedule it with the same arguments."
+  ),
+  "Upgrade delay not passed": h("EXEC_DELAY", "The upgrade delay has not passed", "Wait until the scheduled time."),
+  "No upgrade scheduled": h("EXEC_NOTHING_TO_CANCEL", "No matching upgrade to cancel", "Check the cancel arguments."),
+  "Delay too long": h("EXEC_DELAY_TOO_LONG", "Delay is above 7 days", "Pick at most 7 days."),
+  slice_oob: h("EXEC_SLICE_OOB", "Internal slice out of bounds", "Report this; it should be unreachable."),
+
+  /* ---------------------------- CrossChainGovernanceL1 ---------------------------- */
+  "ETH transfer failed": h("GOV_ETH_TRANSFER_FAILED", "Sweeping ETH failed", "The recipient must accept ETH."),
+  "ERC20 transfer failed": h(
+    "GOV_ERC20_TRANSFER_FAILED",
+    "Sweeping tokens failed",
+    "Check the governance contract's balance."
+  ),
+
+  /* ---------------------------- LocalProxyAdmin ---------------------------- */
+  "owner zero": h("PROXY_ADMIN_OWNER_ZERO", "Owner is the zero address", "Deploy with a non-zero owner."),
+  "Ownable: new owner is the zero address": h(
+    "PROXY_ADMIN_NEW_OWNER_ZERO",
+    "New owner is the zero address",
+    "Pass a non-zero owner."
+  ),
+  "LocalProxyAdmin: new admin is zero address": h(
+    "PROXY_ADMIN_NEW_ADMIN_ZERO",
+    "New proxy admin is the zero address",
+    "Pass a non-zero admin."
+  ),
+
+  /* ---------------------------- MiniMultisig2of2 ---------------------------- */
+  REENTRANT: h("MSIG_REENTRANT", "Reentrant multisig call", "Do not call the multisig from an executed transaction."),
+  NOT_OWNER: h("MSIG_NOT_OWNER", "Caller is not a multisig owner", "Send from one of the two owners."),
+  TX_NOT_FOUND: h("MSIG_TX_NOT_FOUND", "No such multisig transaction", "Check the transaction id."),
+  ALREADY_EXECUTED: h("MSIG_ALREADY_EXECUTED", "Transaction already executed", "Nothing to do."),
+  ZERO_ADDR: h("MSIG_ZERO_ADDR", "Owner is the zero address", "Deploy with two non-zero owners."),
+  DUP_OWNERS: h("MSIG_DUP_OWNERS", "Both owners are the same address", "Deploy with two distinct owners."),
+  ZERO_TARGET: h("MSIG_ZERO_TARGET", "Target is the zero address", "Pass the target contract."),
+  ALREADY_APPROVED: h("MSIG_ALREADY_APPROVED", "This owner already approved", "Wait for the other owner."),
+  NOT_APPROVED: h("MSIG_NOT_APPROVED", "This owner has not approved", "Nothing to revoke."),
+  NEED_2_APPROVALS: h("MSIG_NEED_2_APPROVALS", "Both owners must approve", "Get the other owner's approval."),
+  CALL_FAILED: h(
+    "MSIG_CALL_FAILED",
+    "The executed call reverted",
+    "Simulate the call against the target to see its reason."
+  ),
+};
+
+const errors = {
+  StalePrice: h(
+    "ORACLE_STALE_PRICE",
+    "The oracle price is stale",
+    "Push a fresh price, then retry adjustStakeRequirements."
+  ),
+  InvalidPrice: h("ORACLE_INVALID_PRICE", "The oracle price is invalid", "Set a positive price on the oracle."),
+  ConfidenceTooLow: h(
+    "ORACLE_CONFIDENCE_TOO_LOW",
+    "The oracle price confidence is too low",
+    "Wait for a tighter price or raise the oracle's minConfidenceBps."
+  ),
+  NotOwner: h("GOV_NOT_OWNER", "Caller is not the governance owner", "Send from owner()."),
+  NotPendingOwner: h("GOV_NOT_PENDING_OWNER", "Caller is not the pending owner", "Accept from pendingOwner()."),
+  ZeroAddress: h("GOV_ZERO_ADDRESS", "An address argument is zero", "Pass non-zero addresses."),
+  InboxNotSet: h("GOV_INBOX_NOT_SET", "The Arbitrum inbox is not configured", "Call setInbox first."),
+  L2TargetNotSet: h("GOV_L2_TARGET_NOT_SET", "The L2 target is not configured", "Call setL2Target first."),
+  RefundL2NotSet: h("GOV_REFUND_NOT_SET", "The L2 refund address is not configured", "Call setRefundL2 first."),
+  MsgValueTooLow: h(
+    "GOV_MSG_VALUE_TOO_LOW",
+    "msg.value does not cover the retryable ticket",
+    "Send at least quoteRetryable() (args.needed) wei."
+  ),
+  NotAdmin: h("PROXY_ADMIN_NOT_ADMIN", "Caller is not the proxy admin owner", "Send from the ProxyAdmin's admin."),
+  NotAContract: h("PROXY_ADMIN_NOT_A_CONTRACT", "Target has no code", "Pass a deployed contract."),
+};
+
+const prefix = (reason, code, message, hint) => ({ kind: "string", reason, code, message, hint });
+const ozError = (signature, code, message, hint) => ({ kind: "error", signature, code, message, hint });
+
+const extra = [
+  // UpgradeExecutor._normalizeRevert
+  prefix(
+    "ProxyAdmin: upgradeAndCall failed",
+    "EXEC_UPGRADE_AND_CALL_FAILED",
+    "ProxyAdmin.upgradeAndCall reverted",
+    "The initializer call reverted or the ProxyAdmin is not OZ v5; simulate upgradeAndCall directly."
+  ),
+  prefix(
+    "ProxyAdmin: upgrade failed",
+    "EXEC_UPGRADE_FAILED",
+    "ProxyAdmin upgrade reverted",
+    "OZ v5 ProxyAdmins only support upgradeAndCall: use scheduleUpgradeWithData with empty data."
+  ),
+  prefix(
+    "TransparentUpgradeableProxy: caller is not the proxy admin",
+    "EXEC_NOT_PROXY_ADMIN",
+    "The ProxyAdmin is not the proxy's admin",
+    "Pass the proxy's own ProxyAdmin."
+  ),
+  prefix(
+    "ERC1967: invalid implementation",
+    "EXEC_INVALID_IMPL",
+    "The new implementation is not a contract",
+    "Deploy the implementation first."
+  ),
+  prefix(
+    "Ownable: caller is not the owner",
+    "EXEC_NOT_OWNER",
+    "The ProxyAdmin rejected the executor",
+    "Transfer ProxyAdmin ownership to the executor."
+  ),
+
+  // OpenZeppelin v5, inherited by the token
+  ozError(
+    "AccessControlUnauthorizedAccount(address account, bytes32 neededRole)",
+    "MISSING_ROLE",
+    "Caller lacks the required role",
+    "Grant args.neededRole to args.account, or call from an account that has it."
+  ),
+  ozError("EnforcedPause()", "OZ_PAUSED", "The contract is paused", "Wait for it to be unpaused."),
+  ozError("ExpectedPause()", "OZ_NOT_PAUSED", "The contract is not paused", "Pause it first."),
+  ozError("ReentrancyGuardReentrantCall()", "REENTRANT_CALL", "Reentrant call", "Do not call back into the token."),
+  ozError(
+    "ERC20InsufficientBalance(address sender, uint256 balance, uint256 needed)",
+    "INSUFFICIENT_BALANCE",
+    "Token balance too low",
+    "Transfer at most args.balance."
+  ),
+  ozError(
+    "ERC20InsufficientAllowance(address spender, uint256 allowance, uint256 needed)",
+    "INSUFFICIENT_ALLOWANCE",
+    "Allowance too low",
+    "Approve the spender for at least args.needed."
+  ),
+  ozError(
+    "ERC20InvalidReceiver(address receiver)",
+    "INVALID_RECEIVER",
+    "Transfer to the zero address",
+    "Pass a non-zero receiver."
+  ),
+  ozError(
+    "ERC20InvalidSender(address sender)",
+    "INVALID_SENDER",
+    "Transfer from the zero address",
+    "Pass a non-zero sender."
+  ),
+  ozError("ECDSAInvalidSignature()", "BAD_SIGNATURE", "Signature does not recover", "Re-sign the typed data."),
+  ozError(
+    "ECDSAInvalidSignatureLength(uint256 length)",
+    "BAD_SIGNATURE_LENGTH",
+    "Signature has the wrong length",
+    "Pass a 65-byte signature."
+  ),
+  ozError(
+    "ECDSAInvalidSignatureS(bytes32 s)",
+    "BAD_SIGNATURE_S",
+    "Signature is malleable (high s)",
+    "Use a canonical signature."
+  ),
+  ozError("InvalidInitialization()", "ALREADY_INITIALIZED", "Already initialized", "Initialize only once."),
+  ozError("NotInitializing()", "NOT_INITIALIZING", "Called outside initialization", "Call from an initializer."),
+  ozError(
+    "OwnableUnauthorizedAccount(address account)",
+    "OZ_NOT_OWNER",
+    "Caller is not the owner",
+    "Call from owner()."
+  ),
+  ozError("FailedCall()", "CALL_FAILED", "A low-level call failed without a reason", "Simulate the inner call."),
+];
+
+module.exports = { strings, errors, extra };
@@ -0,0 +1,381 @@
+// sdk/reverts.js
+// Revert catalog and decoder, shared by the tests, the relayer and the CLI.
+//
+//   const r = explainRevert(err);   // any ethers error, or raw revert data
+//   // { kind: "string", code: "STAKE_ADJUST_COOLDOWN", reason: "CD", message: "…", hint: "…" }
+//
+// sdk/revert-catalog.json lists every revert string and custom error in contracts/ with a stable
+// code, a message and a remediation hint. It is generated (scripts/build_revert_catalog.js) from the
+// sources plus the hand-written text in sdk/revert-hints.js; a spec fails when it is stale.
+//
+// Kinds: "string" (Error(string)), "error" (custom error, args decoded), "panic" (Panic(uint256)),
+// "empty" (no data: a revert-strings-stripped build, a bare revert or out of gas) and "unknown"
+// (a selector the catalog does not know).
+const fs = require("fs");
+const path = require("path");
+const { ethers } = require("ethers");
+
+const ROOT = path.join(__dirname, "..");
+const CATALOG_FILE = path.join(__dirname, "revert-catalog.json");
+const CATALOG_TYPE = "gemstep.revert-catalog";
+
+/** Test-only sources: mocks, harnesses and hooks never ship. */
+const CATALOG_EXCLUDE = [/^contracts\/test\//, /Mock\.sol$/, /GS_TestHooks\.sol$/];
+
+const ERROR_STRING_SELECTOR = "0x08c379a0";
+const PANIC_SELECTOR = "0x4e487b71";
+
+/** Solidity panic codes (Panic(uint256)). */
+const PANIC_CODES = {
+  0x00: "generic compiler panic",
+  0x01: "assert() failed",
+  0x11: "arithmetic overflow or underflow",
+  0x12: "division or modulo by zero",
+  0x21: "invalid enum value",
+  0x22: "corrupt storage byte array",
+  0x31: "pop() on an empty array",
+  0x32: "array index out of bounds",
+  0x41: "out of memory",
+  0x51: "call to an uninitialized function pointer",
+};
+
+/* ============================== extraction ============================== */
+
+/** Blank out comments, keeping string literals and line numbers intact. */
+function stripComments(src) {
+  let out = "";
+  for (let i = 0; i < src.length; ) {
+    const c = src[i];
+    if (c === '"' || c === "'") {
+      let j = i + 1;
+      while (j < src.length && src[j] !== c) j += src[j] === "\\" ? 2 : 1;
+      out += src.slice(i, j + 1);
+      i = j + 1;
+    } else if (src.startsWith("//", i)) {
+      const j = src.indexOf("\n", i);
+      const end = j === -1 ? src.length : j;
+      out += " ".repeat(end - i);
+      i = end;
+    } else if (src.startsWith("/*", i)) {
+      const j = src.indexOf("*/", i + 2);
+      const end = j === -1 ? src.length : j + 2;
+      out += src.slice(i, end).replace(/[^\n]/g, " ");
+      i = end;
+    } else {
+      out += c;
+      i++;
+    }
+  }
+  return out;
+}
+
+/** Top-level comma-separated arguments of the call whose "(" is at `open`. */
+function callArgs(src, open) {
+  const args = [];
+  let depth = 0;
+  let start = open + 1;
+  for (let i = open; i < src.length; i++) {
+    const c = src[i];
+    if (c === '"' || c === "'") {
+      i++;
+      while (i < src.length && src[i] !== c) i += src[i] === "\\" ? 2 : 1;
+    } else if (c === "(" || c === "[" || c === "{") {
+      depth++;
+    } else if (c === ")" || c === "]" || c === "}") {
+      if (--depth === 0) {
+        args.push(src.slice(start, i).trim());
+        return args;
+      }
+    } else if (c === "," && depth === 1) {
+      args.push(src.slice(start, i).trim());
+      start = i + 1;
+    }
+  }
+  return args;
+}
+
+const stringLiteral = (s) => {
+  const m = /^"((?:[^"\\]|\\.)*)"$/.exec(s);
+  return m ? JSON.parse(`"${m[1]}"`) : null;
+};
+
+/** ethers fragment for a Solidity error declaration ("StalePrice", "uint256 updatedAt, uint nowTs"). */
+function errorFragment(name, params) {
+  const inputs = params
+    .split(",")
+    .map((p) => p.trim().replace(/^(u?int)(?=\s|\[|$)/, "$1256"))
+    .filter(Boolean);
+  return ethers.ErrorFragment.from(`error ${name}(${inputs.join(", ")})`);
+}
+
+/**
+ * Every revert site in one Solidity source.
+ * @param {string} src
+ * @param {string} file source name, used in `at`
+ * @returns {{strings:{reason:string, at:string}[], errors:{name:string, fragment:ethers.ErrorFragment, at:string}[],
+ *   raised:{name:string, at:string}[]}}
+ */
+function scanRevertSites(src, file) {
+  const code = stripComments(src);
+  const lineOf = (i) => code.slice(0, i).split("\n").length;
+  const out = { strings: [], errors: [], raised: [] };
+
+  for (const m of code.matchAll(/\b(require|revert)\s*\(/g)) {
+    const args = callArgs(code, m.index + m[0].length - 1);
+    const reason = stringLiteral(args[m[1] === "require" ? 1 : 0] ?? "");
+    if (reason != null) out.strings.push({ reason, at: `${file}:${lineOf(m.index)}` });
+  }
+  for (const m of code.matchAll(/\berror\s+(\w+)\s*\(([^)]*)\)\s*;/g)) {
+    out.errors.push({ name: m[1], fragment: errorFragment(m[1], m[2]), at: `${file}:${lineOf(m.index)}` });
+  }
+  for (const m of code.matchAll(/\brevert\s+(?:\w+\.)*(\w+)\s*\(/g)) {
+    out.raised.push({ name: m[1], at: `${file}:${lineOf(m.index)}` });
+  }
+  return out;
+}
+
+/** contracts/**\/*.sol that ship (see CATALOG_EXCLUDE), as source names relative to the repo root. */
+function catalogSources(root = ROOT) {
+  const out = [];
+  const walk = (dir) => {
+    for (const e of fs.readdirSync(path.join(root, dir), { withFileTypes: true })) {
+      const rel = `${dir}/${e.name}`;
+      if (e.isDirectory()) walk(rel);
+      else if (e.name.endsWith(".sol") && !CATALOG_EXCLUDE.some((re) => re.test(rel))) out.push(rel);
+    }
+  };
+  walk("contracts");
+  return out.sort();
+}
+
+const slug = (s) =>
+  s
+    .replace(/([a-z0-9])([A-Z])/g, "$1_$2")
+    .replace(/[^A-Za-z0-9]+/g, "_")
+    .replace(/^_|_$/g, "")
+    .toUpperCase();
+
+/**
+ * Build the catalog from the contract sources and the hand-written hints.
+ * Reasons or errors without a hint get a code derived from their text and `hint: null`; they are
+ * listed in `unannotated` (the generator's --check fails on them).
+ *
+ * @param {{root?:string, hints?:object}} [opts] hints: see sdk/revert-hints.js
+ * @returns {{catalog:object, unannotated:string[], unused:string[]}}
+ */
+function buildRevertCatalog({ root = ROOT, hints = require("./revert-hints") } = {}) {
+  const strings = new Map();
+  const errors = new Map();
+  const raised = new Map();
+  for (const file of catalogSources(root)) {
+    const sites = scanRevertSites(fs.readFileSync(path.join(root, file), "utf8"), file);
+    for (const s of sites.strings) {
+      if (!strings.has(s.reason)) strings.set(s.reason, []);
+      strings.get(s.reason).push(s.at);
+    }
+    for (const e of sites.errors) {
+      const prev = errors.get(e.name);
+      if (prev && prev.fragment.format() !== e.fragment.format()) {
+        throw new Error(`error ${e.name} declared twice with different parameters (${prev.at}, ${e.at})`);
+      }
+      if (!prev) errors.set(e.name, e);
+    }
+    for (const r of sites.raised) {
+      if (!raised.has(r.name)) raised.set(r.name, []);
+      raised.get(r.name).push(r.at);
+    }
+  }
+
+  const unannotated = [];
+  const used = new Set();
+  const annotate = (table, key, fallback) => {
+    const h = table[key];
+    if (h) used.add(`${table === hints.errors ? "error" : "string"}:${key}`);
+    else unannotated.push(fallback.label);
+    return h || { code: fallback.code, message: fallback.message, hint: null };
+  };
+
+  const entries = [];
+  for (const [reason, sites] of strings) {
+    const h = annotate(hints.strings, reason, { label: `"${reason}"`, code: slug(reason) || "EMPTY", message: reason });
+    entries.push({ code: h.code, kind: "string", reason, message: h.message, hint: h.hint, sites });
+  }
+  const errorEntry = (fragment, h, sites) => ({
+    code: h.code,
+    kind: "error",
+    name: fragment.name,
+    signature: fragment.format("full").replace(/^error /, ""),
+    selector: fragment.selector,
+    message: h.message,
+    hint: h.hint,
+    sites,
+  });
+  for (const [name, e] of errors) {
+    const h = annotate(hints.errors, name, { label: `error ${name}`, code: slug(name), message: name });
+    entries.push(errorEntry(e.fragment, h, [e.at, ...(raised.get(name) || [])]));
+  }
+  for (const x of hints.extra || []) {
+    if (x.kind === "error") entries.push(errorEntry(ethers.ErrorFragment.from(`error ${x.signature}`), x, []));
+    else
+      entries.push({
+        code: x.code,
+        kind: "string",
+        reason: x.reason,
+        prefix: true,
+        message: x.message,
+        hint: x.hint,
+        sites: [],
+      });
+  }
+
+  const codes = new Map();
+  for (const e of entries) {
+    const key = e.kind === "string" ? `"${e.reason}"` : `error ${e.name}`;
+    if (codes.has(e.code)) throw new Error(`revert code ${e.code} used by both ${codes.get(e.code)} and ${key}`);
+    codes.set(e.code, key);
+  }
+  entries.sort((a, b) => a.code.localeCompare(b.code));
+
+  const unused = [
+    ...Object.keys(hints.strings)
+      .filter((k) => !used.has(`string:${k}`))
+      .map((k) => `"${k}"`),
+    ...Object.keys(hints.errors)
+      .filter((k) => !used.has(`error:${k}`))
+      .map((k) => `error ${k}`),
+  ];
+  return { catalog: { type: CATALOG_TYPE, entries }, unannotated, unused };
+}
+
+/* ============================== decoding ============================== */
+
+let cached;
+function loadCatalog(catalog) {
+  if (catalog) return indexCatalog(catalog);
+  if (!cached) cached = indexCatalog(JSON.parse(fs.readFileSync(CATALOG_FILE, "utf8")));
+  return cached;
+}
+
+function indexCatalog(catalog) {
+  if (catalog.type !== CATALOG_TYPE) throw new Error(`not a revert catalog (type ${catalog.type})`);
+  const byReason = new Map();
+  const prefixes = [];
+  const bySelector = new Map();
+  for (const e of catalog.entries) {
+    if (e.kind === "error") bySelector.set(e.selector, e);
+    else if (e.prefix) prefixes.push(e);
+    else byReason.set(e.reason, e);
+  }
+  prefixes.sort((a, b) => b.reason.length - a.reason.length);
+  const iface = new ethers.Interface([...bySelector.values()].map((e) => `error ${e.signature}`));
+  return { catalog, byReason, prefixes, bySelector, iface };
+}
+
+/** Custom-error ABI fragments for every error in the catalog (for ethers.Contract / chai matchers). */
+function revertErrorAbi(catalog) {
+  return [...loadCatalog(catalog).bySelector.values()].map((e) => `error ${e.signature}`);
+}
+
+/**
+ * Pull revert data out of whatever ethers / Hardhat threw.
+ * @param {unknown} err an error, or revert data itself
+ * @returns {string|null} hex data ("0x" when the revert carried none), null if `err` is not a revert
+ */
+function revertDataOf(err) {
+  if (typeof err === "string") return ethers.isHexString(err) ? err : null;
+  const seen = new Set();
+  const queue = [err];
+  while (queue.length) {
+    const e = queue.shift();
+    if (!e || typeof e !== "object" || seen.has(e)) continue;
+    seen.add(e);
+    if (typeof e.data === "string" && ethers.isHexString(e.data)) return e.data;
+    if (e.data && typeof e.data === "object") queue.push(e.data);
+    queue.push(e.error, e.info?.error, e.cause);
+  }
+  const msg = String(err?.message || "");
+  if (/reverted without a reason|execution reverted(?!:)|CALL_EXCEPTION/i.test(msg)) return "0x";
+  return null;
+}
+
+const withText = (entry, extra) => ({
+  code: entry.code,
+  message: entry.message,
+  hint: entry.hint,
+  ...extra,
+});
+
+/**
+ * Decode revert data against the catalog.
+ * @param {string} data hex revert data ("0x" / empty for none)
+ * @param {{catalog?:object}} [opts] defaults to sdk/revert-catalog.json
+ * @returns {{kind:string, code:string, message:string, hint:string|null, reason?:string, name?:string,
+ *   args?:object, panicCode?:number, selector?:string}}
+ */
+function decodeRevert(data, { catalog } = {}) {
+  const idx = loadCatalog(catalog);
+  const hex = data && data !== "0x" ? ethers.hexlify(data) : "0x";
+
+  if (hex === "0x") {
+    return {
+      kind: "empty",
+      code: "EMPTY_REVERT",
+      message: "Reverted without data",
+      hint:
+        "Production builds strip revert strings (STRIP_REVERTS): re-run the call against a dev build or " +
+        "simulate it (e.g. preflightLogSteps) to get the reason. Also check for out-of-gas.",
+    };
+  }
+
+  const selector = hex.slice(0, 10);
+  if (selector === ERROR_STRING_SELECTOR) {
+    const [reason] = ethers.AbiCoder.defaultAbiCoder().decode(["string"], ethers.dataSlice(hex, 4));
+    const entry = idx.byReason.get(reason) || idx.prefixes.find((e) => reason.startsWith(e.reason));
+    if (entry) return withText(entry, { kind: "string", reason });
+    return { kind: "string", code: "UNCATALOGED_REASON", reason, message: reason, hint: null };
+  }
+
+  if (selector === PANIC_SELECTOR) {
+    const [code] = ethers.AbiCoder.defaultAbiCoder().decode(["uint256"], ethers.dataSlice(hex, 4));
+    const panicCode = Number(code);
+    const what = PANIC_CODES[panicCode] || "unknown panic";
+    return {
+      kind: "panic",
+      code: `PANIC_0x${panicCode.toString(16).padStart(2, "0")}`,
+      panicCode,
+      message: `Panic: ${what}`,
+      hint: "A contract invariant failed; this is a bug or an unguarded input, not a user error. Report it with the tx.",
+    };
+  }
+
+  const entry = idx.bySelector.get(selector);
+  if (entry) {
+    const parsed = idx.iface.parseError(hex);
+    const args = Object.fromEntries(parsed.fragment.inputs.map((p, i) => [p.name || String(i), parsed.args[i]]));
+    return withText(entry, { kind: "error", name: entry.name, args });
+  }
+  return { kind: "unknown", code: "UNKNOWN_ERROR", selector, message: `Unknown error ${selector}`, hint: null };
+}
+
+/**
+ * {@link decodeRevert} for a thrown error; null when `err` is not a revert (network error, bad args…).
+ * @param {unknown} err
+ * @param {{catalog?:object}} [opts]
+ */
+function explainRevert(err, opts) {
+  const data = revertDataOf(err);
+  return data == null ? null : decodeRevert(data, opts);
+}
+
+module.exports = {
+  REVERT_CATALOG_FILE: CATALOG_FILE,
+  PANIC_CODES,
+  stripComments,
+  scanRevertSites,
+  catalogSources,
+  buildRevertCatalog,
+  revertErrorAbi,
+  revertDataOf,
+  decodeRevert,
+  explainRevert,
+};
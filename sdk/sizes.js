@@ -0,0 +1,253 @@
+// sdk/sizes.js
+// Contract size budget for scripts/size_budget.js: runtime and initcode sizes read from Hardhat
+// build-info, split per module by walking the bytecode with its solc source map (every byte counts
+// toward the source file that generated its instruction), and compared against a stored budget.
+//
+//   const sizes = readBuildSizes("artifacts", ["GemStepToken"]);
+//   sizes.GemStepToken.modules.GS_Admin;   // { runtime: 3120, initcode: 0 }
+//   const { ok, rows, grown } = compareSizes(readSizeBudget("size-budget.json"), { prod: sizes });
+//
+// Module names are source file basenames (GS_Admin, GemStepCore, GemStepTokenLib…); OpenZeppelin files
+// are grouped as "OpenZeppelin", compiler-generated helpers as "(compiler)", and bytes after the last
+// mapped instruction (metadata, and in initcode the embedded runtime) as "(data)".
+const fs = require("fs");
+const path = require("path");
+
+const SIZE_BUDGET_TYPE = "gemstep.size-budget";
+const EIP170_RUNTIME_LIMIT = 24_576;
+const EIP3860_INITCODE_LIMIT = 49_152;
+
+/** Contracts the budget tracks. */
+const SIZE_CONTRACTS = ["GemStepToken", "GemStepViews", "UpgradeExecutor", "CrossChainGovernanceL1"];
+
+/**
+ * Build profiles scripts/size_budget.js compiles, as the hardhat.config.js env each one sets.
+ * `enforceLimit`: the profile deploys, so EIP-170 / EIP-3860 apply. size-budget.json covers all of them.
+ */
+const SIZE_PROFILES = {
+  // npm test
+  dev: { env: { BUILD_PROFILE: "dev", OPTIMIZER_RUNS: "200", USE_IR: "1", STRIP_REVERTS: "0" } },
+  // deploy:* on a live network
+  "prod-deploy": {
+    env: { BUILD_PROFILE: "prod", OPTIMIZER_RUNS: "200", USE_IR: "1", STRIP_REVERTS: "1" },
+    enforceLimit: true,
+  },
+  // size:prod
+  "prod-runs50": {
+    env: { BUILD_PROFILE: "prod", OPTIMIZER_RUNS: "50", USE_IR: "1", STRIP_REVERTS: "1" },
+    enforceLimit: true,
+  },
+  // what the revert strings cost
+  "prod-reverts": { env: { BUILD_PROFILE: "prod", OPTIMIZER_RUNS: "200", USE_IR: "1", STRIP_REVERTS: "0" } },
+  // what viaIR saves
+  "prod-legacy": { env: { BUILD_PROFILE: "prod", OPTIMIZER_RUNS: "200", USE_IR: "0", STRIP_REVERTS: "1" } },
+};
+
+/* ============================== attribution ============================== */
+
+/**
+ * Decompress a solc source map ("s:l:f:j:m;…", empty fields repeat the previous entry).
+ * @param {string} sourceMap
+ * @returns {{s:number, l:number, f:number}[]} one entry per instruction
+ */
+function decodeSourceMap(sourceMap) {
+  const out = [];
+  let prev = { s: -1, l: -1, f: -1 };
+  for (const entry of sourceMap ? sourceMap.split(";") : []) {
+    const [s, l, f] = entry.split(":");
+    prev = {
+      s: s ? Number(s) : prev.s,
+      l: l ? Number(l) : prev.l,
+      f: f ? Number(f) : prev.f,
+    };
+    out.push(prev);
+  }
+  return out;
+}
+
+/** Module a source file counts toward. */
+function moduleOf(sourceName) {
+  if (sourceName.startsWith("@openzeppelin/")) return "OpenZeppelin";
+  return path.basename(sourceName, ".sol");
+}
+
+/**
+ * Bytes per module for one bytecode object.
+ * @param {string} bytecode hex, unlinked library placeholders allowed
+ * @param {string} sourceMap
+ * @param {Object<number, string>} sources source id → source name
+ * @returns {Object<string, number>}
+ */
+function attributeBytecode(bytecode, sourceMap, sources) {
+  const hex = bytecode.replace(/^0x/, "").replace(/__\$[0-9a-fA-F]{34}\$__/g, "0".repeat(40));
+  const code = Buffer.from(hex, "hex");
+  const map = decodeSourceMap(sourceMap);
+  const out = {};
+  const add = (k, n) => (out[k] = (out[k] || 0) + n);
+
+  let pc = 0;
+  for (let i = 0; i < map.length && pc < code.length; i++) {
+    const op = code[pc];
+    const size = Math.min(1 + (op >= 0x60 && op <= 0x7f ? op - 0x5f : 0), code.length - pc);
+    const src = sources[map[i].f];
+    add(src == null ? "(compiler)" : moduleOf(src), size);
+    pc += size;
+  }
+  if (pc < code.length) add("(data)", code.length - pc);
+  return out;
+}
+
+/**
+ * Sizes of the named contracts from a Hardhat artifacts directory (newest build-info wins).
+ * @param {string} artifactsDir
+ * @param {string[]} names contract names
+ * @returns {Object<string, {source:string, runtime:number, initcode:number,
+ *   modules:Object<string, {runtime:number, initcode:number}>}>}
+ */
+function readBuildSizes(artifactsDir, names) {
+  const dir = path.join(artifactsDir, "build-info");
+  if (!fs.existsSync(dir)) throw new Error(`No build-info in ${artifactsDir} (compile first)`);
+  const files = fs
+    .readdirSync(dir)
+    .filter((f) => f.endsWith(".json"))
+    .map((f) => path.join(dir, f))
+    .sort((a, b) => fs.statSync(a).mtimeMs - fs.statSync(b).mtimeMs);
+
+  const out = {};
+  for (const file of files) {
+    const { output } = JSON.parse(fs.readFileSync(file, "utf8"));
+    const sources = Object.fromEntries(Object.entries(output.sources || {}).map(([name, s]) => [s.id, name]));
+    for (const [source, contracts] of Object.entries(output.contracts || {})) {
+      for (const name of names) {
+        const evm = contracts[name]?.evm;
+        if (!evm || !source.startsWith("contracts/")) continue;
+
+        const runtime = attributeBytecode(evm.deployedBytecode.object, evm.deployedBytecode.sourceMap, sources);
+        const initcode = attributeBytecode(evm.bytecode.object, evm.bytecode.sourceMap, sources);
+        const modules = {};
+        for (const m of new Set([...Object.keys(runtime), ...Object.keys(initcode)])) {
+          modules[m] = { runtime: runtime[m] || 0, initcode: initcode[m] || 0 };
+        }
+        out[name] = {
+          source,
+          runtime: evm.deployedBytecode.object.replace(/^0x/, "").length / 2,
+          initcode: evm.bytecode.object.replace(/^0x/, "").length / 2,
+          modules,
+        };
+      }
+    }
+  }
+  const missing = names.filter((n) => !out[n]);
+  if (missing.length) throw new Error(`Not in the build: ${missing.join(", ")}`);
+  return out;
+}
+
+/* ============================== budget ============================== */
+
+/**
+ * @param {string} file
+ * @returns {{type:string, tolerance:number, profiles:Object<string, {contracts:Object<string, object>}>}|null}
+ */
+function readSizeBudget(file) {
+  if (!fs.existsSync(file)) return null;
+  const b = JSON.parse(fs.readFileSync(file, "utf8"));
+  if (b.type !== SIZE_BUDGET_TYPE) throw new Error(`${file}: not a size budget (type ${b.type})`);
+  return { type: b.type, tolerance: b.tolerance ?? 0, profiles: b.profiles || {} };
+}
+
+/**
+ * @param {string} file
+ * @param {Object<string, Object<string, object>>} sizes profile → contract → sizes
+ * @param {{tolerance?:number}} [opts] allowed growth in bytes
+ */
+function writeSizeBudget(file, sizes, { tolerance = 0 } = {}) {
+  const profiles = {};
+  for (const [profile, contracts] of Object.entries(sizes)) {
+    profiles[profile] = { contracts: {} };
+    for (const [name, c] of Object.entries(contracts)) {
+      const modules = Object.fromEntries(
+        Object.keys(c.modules)
+          .sort()
+          .map((m) => [m, c.modules[m]])
+      );
+      profiles[profile].contracts[name] = { runtime: c.runtime, initcode: c.initcode, modules };
+    }
+  }
+  const out = { type: SIZE_BUDGET_TYPE, tolerance, profiles };
+  fs.writeFileSync(file, JSON.stringify(out, null, 2) + "\n");
+  return out;
+}
+
+/**
+ * Compare measured sizes with the budget.
+ * A contract fails when its runtime or initcode grew by more than `tolerance` bytes, or, for profiles in
+ * `enforceLimits`, when it is over the EIP-170 / EIP-3860 limit. `grown` lists every module that grew.
+ *
+ * @param {object|null} budget from {@link readSizeBudget}
+ * @param {Object<string, Object<string, object>>} sizes profile → contract → sizes
+ * @param {{tolerance?:number, enforceLimits?:string[]}} [opts]
+ */
+function compareSizes(budget, sizes, { tolerance, enforceLimits = [] } = {}) {
+  const tol = tolerance ?? budget?.tolerance ?? 0;
+  const rows = [];
+  const grown = [];
+
+  for (const [profile, contracts] of Object.entries(sizes)) {
+    for (const [contract, c] of Object.entries(contracts)) {
+      const was = budget?.profiles?.[profile]?.contracts?.[contract];
+      const overLimit =
+        enforceLimits.includes(profile) && (c.runtime > EIP170_RUNTIME_LIMIT || c.initcode > EIP3860_INITCODE_LIMIT);
+
+      let status = "new";
+      if (was) {
+        status = c.runtime - was.runtime > tol || c.initcode - was.initcode > tol ? "over-budget" : "ok";
+        for (const [module, m] of Object.entries(c.modules)) {
+          const before = was.modules?.[module] || { runtime: 0, initcode: 0 };
+          for (const kind of ["runtime", "initcode"]) {
+            if (m[kind] > before[kind]) {
+              grown.push({
+                profile,
+                contract,
+                module,
+                kind,
+                before: before[kind],
+                after: m[kind],
+                delta: m[kind] - before[kind],
+              });
+            }
+          }
+        }
+      }
+      if (overLimit) status = "over-limit";
+
+      rows.push({
+        profile,
+        contract,
+        runtime: c.runtime,
+        budgetRuntime: was?.runtime ?? null,
+        initcode: c.initcode,
+        budgetInitcode: was?.initcode ?? null,
+        runtimeHeadroom: EIP170_RUNTIME_LIMIT - c.runtime,
+        status,
+      });
+    }
+  }
+
+  grown.sort((a, b) => b.delta - a.delta);
+  return { ok: rows.every((r) => r.status === "ok" || r.status === "new"), tolerance: tol, rows, grown };
+}
+
+module.exports = {
+  SIZE_BUDGET_TYPE,
+  EIP170_RUNTIME_LIMIT,
+  EIP3860_INITCODE_LIMIT,
+  SIZE_CONTRACTS,
+  SIZE_PROFILES,
+  decodeSourceMap,
+  moduleOf,
+  attributeBytecode,
+  readBuildSizes,
+  readSizeBudget,
+  writeSizeBudget,
+  compareSizes,
+};
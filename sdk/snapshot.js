@@ -0,0 +1,329 @@
+// sdk/snapshot.js
+// Logical state snapshots of a GemStep token: what the token *means* (balances, roles, sources,
+// users, version policy, parameters) rather than its raw storage (sdk/statedump.js). Keys come from
+// event replay (discoverKeys), values from view calls at one block, and the result is portable
+// JSON that can be restored into any fresh deployment of GemStepToken_StateHarness (test only).
+//
+//   const snap = await exportTokenState(provider, token, { fromBlock: dep.state.deployBlock });
+//   writeTokenSnapshot("test/snapshots/arbitrumSepolia.json", snap);
+//   await restoreTokenState(harness.connect(admin), snap);            // local harness proxy
+//   diffTokenState(snap, await exportTokenState(provider, harnessAddr, { keys: snap.keys })); // []
+const fs = require("fs");
+const path = require("path");
+const { ethers } = require("ethers");
+const { ROLES, TOKEN_SDK_ABI } = require("./constants");
+const { versionHash } = require("./steps");
+const { discoverKeys } = require("./statedump");
+
+const TOKEN_SNAPSHOT_TYPE = "gemstep.token-snapshot";
+const TOKEN_SNAPSHOT_VERSION = 1;
+
+const jsonSafe = (_k, v) => (typeof v === "bigint" ? v.toString() : v);
+const str = (v) => (typeof v === "bigint" ? v.toString() : v);
+const roleName = (id) => Object.keys(ROLES).find((k) => ROLES[k] === id) || id;
+const roleId = (name) => ROLES[name] ?? name;
+const isDefault = (o) => Object.values(o).every((v) => v === false || v === "0" || v === "" || v === ethers.ZeroHash);
+
+function readTokenSnapshot(file) {
+  const doc = JSON.parse(fs.readFileSync(file, "utf8"));
+  if (doc.type !== TOKEN_SNAPSHOT_TYPE) throw new Error(`${file} is not a token snapshot`);
+  if (doc.version !== TOKEN_SNAPSHOT_VERSION) throw new Error(`${file}: unsupported snapshot version ${doc.version}`);
+  return doc;
+}
+
+function writeTokenSnapshot(file, snap) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, `${JSON.stringify(snap, jsonSafe, 2)}\n`);
+}
+
+/**
+ * Read a token's logical state at one block.
+ *
+ * Accounts, users, sources, role ids and versions are found by replaying the token's events from
+ * `fromBlock` (see discoverKeys), or taken from `keys` as is — e.g. a snapshot's own keys, to
+ * re-read it from a restored local copy. Entries at their default values are left out.
+ *
+ * @param {ethers.Provider} provider
+ * @param {string} token proxy address
+ * @param {object} opts
+ * @param {number} [opts.fromBlock] start of the event scan (required without `keys`)
+ * @param {number} [opts.blockTag] block to read at (default latest)
+ * @param {object} [opts.keys] skip the scan: {accounts, users, sources, versions, roles}
+ * @param {string[]} [opts.accounts] more accounts to include
+ * @param {number} [opts.batchSize] event scan chunk size
+ * @param {string} [opts.network] recorded in the snapshot
+ * @param {Function} [opts.log]
+ * @returns {Promise<object>} snapshot (type gemstep.token-snapshot); amounts as decimal strings
+ */
+async function exportTokenState(provider, token, opts = {}) {
+  const { accounts = [], batchSize, network = null, log = () => {} } = opts;
+  const blockNumber = opts.blockTag ?? (await provider.getBlockNumber());
+  const keys =
+    opts.keys ||
+    (await discoverKeys(provider, token, {
+      fromBlock: opts.fromBlock ?? 0,
+      toBlock: blockNumber,
+      batchSize,
+      accounts,
+      log,
+    }));
+  const tok = new ethers.Contract(token, TOKEN_SDK_ABI, provider);
+  const at = { blockTag: blockNumber };
+  const { chainId } = await provider.getNetwork();
+
+  const [name, symbol, totalSupply, paused, treasury, anomalyThreshold, ethBalance] = await Promise.all([
+    tok.name(at),
+    tok.symbol(at),
+    tok.totalSupply(at),
+    tok.paused(at),
+    tok.treasury(at),
+    tok.anomalyThreshold(at),
+    provider.getBalance(token, blockNumber),
+  ]);
+  const [core, stake, minting] = await Promise.all([
+    tok.getCoreParams(at),
+    tok.getStakeParams(at),
+    tok.getMintingState(at),
+  ]);
+  const params = {
+    burnFee: str(core[0]),
+    rewardRate: str(core[1]),
+    stepLimit: str(core[2]),
+    signatureValidityPeriod: str(core[3]),
+    currentStakePerStep: str(stake[0]),
+    lastStakeAdjustment: str(stake[1]),
+    stakeParamsLocked: stake[2],
+    currentMonth: str(minting[0]),
+    currentMonthMinted: str(minting[1]),
+    monthlyMintLimit: str(minting[2]),
+    lastMonthUpdate: str(minting[3]),
+    distributedTotal: str(minting[4]),
+    currentMonthlyCap: str(minting[5]),
+    halvingCount: str(minting[6]),
+    anomalyThreshold: str(anomalyThreshold),
+    treasury,
+  };
+
+  const balances = {};
+  const roles = {};
+  const users = {};
+  for (const a of keys.accounts) {
+    const [balance, nonce, status, basics, device, t1271, recipient, held] = await Promise.all([
+      tok.balanceOf(a, at),
+      tok.nonces(a, at),
+      tok.getUserCoreStatus(a, at),
+      tok.getUserBasics(a, at),
+      tok.isTrustedDevice(a, at),
+      tok.trustedERC1271Contracts(a, at),
+      tok.approvedRecipients(a, at),
+      Promise.all(keys.roles.map((r) => tok.hasRole(r, a, at))),
+    ]);
+    if (balance) balances[a] = str(balance);
+    keys.roles.forEach((r, i) => held[i] && (roles[roleName(r)] ||= []).push(a));
+    const user = {
+      nonce: str(nonce),
+      stake: str(status[3]),
+      totalSteps: str(basics[0]),
+      lastSource: basics[1],
+      stepAverage: str(status[0]),
+      flaggedSubmissions: str(status[1]),
+      suspendedUntil: str(status[2]),
+      firstSubmission: str(status[5]),
+      trustedDevice: device,
+      trustedAPI: status[4],
+      trusted1271: t1271,
+      approvedRecipient: recipient,
+    };
+    if (!isDefault(user)) users[a] = user;
+  }
+  log(
+    `  ${keys.accounts.length} account(s): ${Object.keys(balances).length} holder(s), ${
+      Object.keys(users).length
+    } user record(s)`
+  );
+
+  const sources = {};
+  for (const s of keys.sources) {
+    const [valid, f] = await Promise.all([tok.isSourceValid(s, at), tok.getSourceConfigFields(s, at)]);
+    const cfg = {
+      valid,
+      requiresProof: f[0],
+      requiresAttestation: f[1],
+      merkleRoot: f[2],
+      maxStepsPerDay: str(f[3]),
+      minInterval: str(f[4]),
+    };
+    if (!isDefault(cfg)) sources[s] = cfg;
+  }
+
+  const userSources = {};
+  for (const u of keys.users) {
+    for (const s of keys.sources) {
+      const [nonce, stats] = await Promise.all([tok.getUserSourceNonce(u, s, at), tok.getUserSourceStats(u, s, at)]);
+      const entry = {
+        nonce: str(nonce),
+        lastSubmission: str(stats[0]),
+        dailyStepTotal: str(stats[1]),
+        dailyIndex: str(stats[2]),
+      };
+      if (!isDefault(entry)) (userSources[u] ||= {})[s] = entry;
+    }
+  }
+
+  const versions = {};
+  for (const v of keys.versions) {
+    const key = versionHash(v);
+    const p = await tok.getVersionPolicy(key, at);
+    const policy = {
+      attestSupported: p[0],
+      attestDeprecatesAt: str(p[1]),
+      attestRequiresNonce: p[2],
+      payloadSupported: p[3],
+      payloadDeprecatesAt: str(p[4]),
+    };
+    if (!isDefault(policy)) versions[v] = { key, ...policy };
+  }
+  log(
+    `  ${Object.keys(sources).length} source(s), ${Object.keys(userSources).length} user×source record(s), ${
+      Object.keys(versions).length
+    } version(s)`
+  );
+
+  return {
+    type: TOKEN_SNAPSHOT_TYPE,
+    version: TOKEN_SNAPSHOT_VERSION,
+    network,
+    chainId: Number(chainId),
+    blockNumber,
+    token: ethers.getAddress(token),
+    createdAt: new Date().toISOString(),
+    name,
+    symbol,
+    totalSupply: str(totalSupply),
+    paused,
+    ethBalance: str(ethBalance),
+    params,
+    balances,
+    roles,
+    sources,
+    users,
+    userSources,
+    versions,
+    keys,
+  };
+}
+
+const META_KEYS = ["type", "version", "network", "chainId", "blockNumber", "token", "createdAt", "keys"];
+
+/**
+ * Differences between two snapshots' state (metadata and keys ignored), as dotted paths.
+ * Role holder lists compare as sets.
+ * @returns {{path:string, a:any, b:any}[]}
+ */
+function diffTokenState(a, b, { ignore = [] } = {}) {
+  const out = [];
+  const walk = (x, y, p) => {
+    if (ignore.some((re) => re.test(p))) return;
+    if (Array.isArray(x) && Array.isArray(y) && p.startsWith("roles.")) {
+      const norm = (l) => [...l].map((v) => v.toLowerCase()).sort();
+      if (JSON.stringify(norm(x)) !== JSON.stringify(norm(y))) out.push({ path: p, a: x, b: y });
+      return;
+    }
+    if (x && y && typeof x === "object" && typeof y === "object") {
+      for (const k of new Set([...Object.keys(x), ...Object.keys(y)])) walk(x[k], y[k], p ? `${p}.${k}` : k);
+      return;
+    }
+    if (JSON.stringify(x) !== JSON.stringify(y)) out.push({ path: p, a: x, b: y });
+  };
+  const strip = (s) => Object.fromEntries(Object.entries(s).filter(([k]) => !META_KEYS.includes(k)));
+  walk(strip(a), strip(b), "");
+  return out;
+}
+
+const chunks = (list, n) => Array.from({ length: Math.ceil(list.length / n) }, (_, i) => list.slice(i * n, i * n + n));
+
+/**
+ * Write a snapshot into a GemStepToken_StateHarness proxy (signer must hold DEFAULT_ADMIN_ROLE).
+ *
+ * Roles are granted, never revoked, so the local admin keeps control. Holders in `clearHolders`
+ * that the snapshot does not list (the fresh deployment's treasury, the fixture's users) are
+ * zeroed, so totalSupply matches. The token's ETH (backing stakes) is set with hardhat_setBalance
+ * when the provider has `send`. The pause flag is applied last.
+ *
+ * @param {ethers.Contract} harness GemStepToken_StateHarness, connected to an admin signer
+ * @param {object} snap exportTokenState result
+ * @param {{clearHolders?:string[], chunkSize?:number, log?:Function}} [opts]
+ * @returns {Promise<{txs:number, totalSupply:bigint, supplyMatches:boolean}>}
+ */
+async function restoreTokenState(harness, snap, { clearHolders = [], chunkSize = 40, log = () => {} } = {}) {
+  let txs = 0;
+  const send = async (fn, ...args) => {
+    await (await harness[fn](...args)).wait();
+    txs++;
+  };
+
+  await send("restoreParams", snap.params);
+  for (const part of chunks(Object.entries(snap.sources), chunkSize)) {
+    await send(
+      "restoreSources",
+      part.map(([name, s]) => ({ name, ...s }))
+    );
+  }
+  for (const part of chunks(Object.entries(snap.users), chunkSize)) {
+    await send(
+      "restoreUsers",
+      part.map(([account, u]) => ({ account, ...u }))
+    );
+  }
+  const userSources = Object.entries(snap.userSources).flatMap(([user, bySource]) =>
+    Object.entries(bySource).map(([source, s]) => ({ user, source, ...s }))
+  );
+  for (const part of chunks(userSources, chunkSize)) await send("restoreUserSources", part);
+  for (const part of chunks(Object.values(snap.versions), chunkSize)) await send("restoreVersions", part);
+  const grants = Object.entries(snap.roles).flatMap(([role, holders]) => holders.map((a) => [roleId(role), a]));
+  for (const part of chunks(grants, chunkSize)) {
+    await send(
+      "restoreRoles",
+      part.map(([r]) => r),
+      part.map(([, a]) => a)
+    );
+  }
+  log(
+    `  restored ${Object.keys(snap.sources).length} source(s), ${Object.keys(snap.users).length} user(s), ${
+      grants.length
+    } role grant(s)`
+  );
+
+  const listed = new Set(Object.keys(snap.balances).map((a) => a.toLowerCase()));
+  const holders = [
+    ...Object.entries(snap.balances),
+    ...clearHolders.filter((a) => !listed.has(a.toLowerCase())).map((a) => [a, "0"]),
+  ];
+  for (const part of chunks(holders, chunkSize)) {
+    await send(
+      "restoreBalances",
+      part.map(([a]) => a),
+      part.map(([, v]) => v)
+    );
+  }
+  const provider = harness.runner?.provider;
+  if (provider?.send && snap.ethBalance) {
+    await provider.send("hardhat_setBalance", [await harness.getAddress(), ethers.toQuantity(BigInt(snap.ethBalance))]);
+  }
+  await send("restorePaused", snap.paused);
+
+  const totalSupply = await harness.totalSupply();
+  const supplyMatches = totalSupply === BigInt(snap.totalSupply);
+  log(`  ${holders.length} balance(s); totalSupply ${totalSupply} (snapshot ${snap.totalSupply})`);
+  return { txs, totalSupply, supplyMatches };
+}
+
+module.exports = {
+  TOKEN_SNAPSHOT_TYPE,
+  TOKEN_SNAPSHOT_VERSION,
+  readTokenSnapshot,
+  writeTokenSnapshot,
+  exportTokenState,
+  diffTokenState,
+  restoreTokenState,
+};
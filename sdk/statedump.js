@@ -0,0 +1,448 @@
+// sdk/statedump.js
+// Raw storage dumps of a deployed GemStep proxy (and the contracts that govern it), loadable into
+// a local Hardhat node — so an upgrade can be rehearsed against production state with no RPC.
+//
+// RPCs cannot list a contract's storage, so the slots to copy are computed: every top-level
+// variable of the compiled storage layout (sdk/layout.js), the OpenZeppelin ERC-7201 namespaces
+// the token inherits, and each mapping entry for the keys found in the token's events (holders,
+// step submitters, sources, role ids, versions). Anything keyed by a value no event reveals —
+// allowances, used signatures and leaves, pending executor upgrades — is not copied and reads as
+// zero on the fork.
+//
+//   const keys = await discoverKeys(token, { fromBlock: dep.state.deployBlock });
+//   const dump = await dumpState(provider, targets, { blockTag });     // targets: see dumpState
+//   await loadStateDump(hre.ethers.provider, dump);                     // on the local node
+const fs = require("fs");
+const path = require("path");
+const { ethers } = require("ethers");
+const { ROLES, SOURCE_POLICY } = require("./constants");
+const { versionHash } = require("./steps");
+const { DEPLOYMENTS_DIR, EIP1967_ADMIN_SLOT, EIP1967_IMPLEMENTATION_SLOT } = require("./manifest");
+
+const STATE_DUMP_TYPE = "gemstep.state-dump";
+const STATE_DUMP_VERSION = 1;
+
+const coder = ethers.AbiCoder.defaultAbiCoder();
+const jsonSafe = (_k, v) => (typeof v === "bigint" ? v.toString() : v);
+const word = (n) => ethers.toBeHex(n, 32);
+
+/** deployments/snapshots/<network>-<block>.json (or under `dir`). */
+function stateDumpPath(network, blockNumber, dir = path.join(DEPLOYMENTS_DIR, "snapshots")) {
+  return path.join(dir, `${network}-${blockNumber}.json`);
+}
+
+function readStateDump(file) {
+  const doc = JSON.parse(fs.readFileSync(file, "utf8"));
+  if (doc.type !== STATE_DUMP_TYPE) throw new Error(`${file} is not a state dump`);
+  if (doc.version !== STATE_DUMP_VERSION) throw new Error(`${file}: unsupported state dump version ${doc.version}`);
+  return doc;
+}
+
+function writeStateDump(file, dump) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, `${JSON.stringify(dump, jsonSafe, 2)}\n`);
+}
+
+/* ============================== slot arithmetic ============================== */
+
+/** ERC-7201 base slot: keccak256(abi.encode(uint256(keccak256(id)) - 1)) & ~0xff. */
+function erc7201Slot(id) {
+  const inner = BigInt(ethers.id(id)) - 1n;
+  return BigInt(ethers.keccak256(coder.encode(["uint256"], [inner]))) & ~0xffn;
+}
+
+/** Slot of `mapping[key]` for a mapping at `slot` whose key has the solc type label `keyType`. */
+function mappingSlot(slot, keyType, key) {
+  if (keyType === "string") return BigInt(ethers.keccak256(ethers.concat([ethers.toUtf8Bytes(key), word(slot)])));
+  if (keyType === "bytes") return BigInt(ethers.keccak256(ethers.concat([key, word(slot)])));
+  const type = keyType.startsWith("contract ") ? "address" : keyType.startsWith("enum ") ? "uint8" : keyType;
+  return BigInt(ethers.keccak256(coder.encode([type, "uint256"], [key, slot])));
+}
+
+/** Which `keys` list feeds a mapping key of this solc type. */
+function keyKind(label) {
+  if (label === "address" || label.startsWith("contract ")) return "address";
+  if (label === "string") return "string";
+  if (label === "bytes32") return "bytes32";
+  if (/^uint\d*$/.test(label)) return "uint256";
+  return null;
+}
+
+/**
+ * Slots a solc storage layout occupies, for the given mapping keys.
+ *
+ * @param {{storage:object[], types:object}} layout solc `storageLayout` (or one of OZ_NAMESPACES)
+ * @param {object} [opts]
+ * @param {bigint} [opts.base] added to every top-level slot (ERC-7201 namespaces)
+ * @param {{address?:string[], string?:string[], bytes32?:string[], uint256?:Array}} [opts.keys]
+ * @returns {{slots:bigint[], bytes:bigint[], arrays:{slot:bigint, elementBytes:number}[]}}
+ *   `bytes` / `arrays` are heads whose data slots depend on the stored value (see dumpState)
+ */
+function layoutSlots({ storage, types }, { base = 0n, keys = {} } = {}) {
+  const slots = new Set();
+  const bytes = [];
+  const arrays = [];
+
+  const visit = (typeId, slot) => {
+    const t = types[typeId];
+    if (!t) throw new Error(`storageLayout: unknown type ${typeId}`);
+    if (t.encoding === "mapping") {
+      const kind = keyKind(types[t.key]?.label || "");
+      const keyType = types[t.key]?.label.startsWith("contract ") ? "address" : types[t.key]?.label;
+      for (const k of (kind && keys[kind]) || []) visit(t.value, mappingSlot(slot, keyType, k));
+    } else if (t.encoding === "bytes") {
+      slots.add(slot);
+      bytes.push(slot);
+    } else if (t.encoding === "dynamic_array") {
+      slots.add(slot);
+      arrays.push({ slot, elementBytes: Number(types[t.base]?.numberOfBytes || 32) });
+    } else if (t.members) {
+      for (const m of t.members) visit(m.type, slot + BigInt(m.slot));
+    } else if (t.base && types[t.base] && (types[t.base].members || types[t.base].encoding !== "inplace")) {
+      const n = Number(t.label.match(/\[(\d+)\]$/)?.[1] || 0);
+      const size = BigInt(Math.ceil(Number(types[t.base].numberOfBytes) / 32));
+      for (let i = 0; i < n; i++) visit(t.base, slot + BigInt(i) * size);
+    } else {
+      const n = Math.ceil(Number(t.numberOfBytes) / 32);
+      for (let i = 0; i < n; i++) slots.add(slot + BigInt(i));
+    }
+  };
+
+  for (const s of storage) {
+    if (/^__gap\b/.test(s.label)) continue; // reserved, always zero
+    visit(s.type, base + BigInt(s.slot));
+  }
+  return { slots: [...slots], bytes, arrays };
+}
+
+// OpenZeppelin v5 upgradeable storage the token inherits; solc's storageLayout omits it.
+const OZ_TYPES = {
+  t_address: { encoding: "inplace", label: "address", numberOfBytes: "20" },
+  t_bool: { encoding: "inplace", label: "bool", numberOfBytes: "1" },
+  t_bytes32: { encoding: "inplace", label: "bytes32", numberOfBytes: "32" },
+  t_uint64: { encoding: "inplace", label: "uint64", numberOfBytes: "8" },
+  t_uint256: { encoding: "inplace", label: "uint256", numberOfBytes: "32" },
+  t_string_storage: { encoding: "bytes", label: "string", numberOfBytes: "32" },
+  "t_mapping(t_address,t_uint256)": {
+    encoding: "mapping",
+    key: "t_address",
+    value: "t_uint256",
+    label: "mapping(address => uint256)",
+    numberOfBytes: "32",
+  },
+  "t_mapping(t_address,t_bool)": {
+    encoding: "mapping",
+    key: "t_address",
+    value: "t_bool",
+    label: "mapping(address => bool)",
+    numberOfBytes: "32",
+  },
+  "t_struct(RoleData)": {
+    encoding: "inplace",
+    label: "struct AccessControlUpgradeable.RoleData",
+    numberOfBytes: "64",
+    members: [
+      { label: "hasRole", slot: "0", offset: 0, type: "t_mapping(t_address,t_bool)" },
+      { label: "adminRole", slot: "1", offset: 0, type: "t_bytes32" },
+    ],
+  },
+  "t_mapping(t_bytes32,t_struct(RoleData))": {
+    encoding: "mapping",
+    key: "t_bytes32",
+    value: "t_struct(RoleData)",
+    label: "mapping(bytes32 => struct AccessControlUpgradeable.RoleData)",
+    numberOfBytes: "32",
+  },
+};
+const ozLayout = (vars) => ({
+  storage: vars.map(([label, type, slot, offset = 0]) => ({ label, type, slot: String(slot), offset })),
+  types: OZ_TYPES,
+});
+/** namespace id → layout. ERC20 `_allowances` (slot 1) is left out: its key pairs are unknown. */
+const OZ_NAMESPACES = {
+  "openzeppelin.storage.Initializable": ozLayout([
+    ["_initialized", "t_uint64", 0],
+    ["_initializing", "t_bool", 0, 8],
+  ]),
+  "openzeppelin.storage.ERC20": ozLayout([
+    ["_balances", "t_mapping(t_address,t_uint256)", 0],
+    ["_totalSupply", "t_uint256", 2],
+    ["_name", "t_string_storage", 3],
+    ["_symbol", "t_string_storage", 4],
+  ]),
+  "openzeppelin.storage.Pausable": ozLayout([["_paused", "t_bool", 0]]),
+  "openzeppelin.storage.AccessControl": ozLayout([["_roles", "t_mapping(t_bytes32,t_struct(RoleData))", 0]]),
+  "openzeppelin.storage.ReentrancyGuard": ozLayout([["_status", "t_uint256", 0]]),
+  "openzeppelin.storage.EIP712": ozLayout([
+    ["_hashedName", "t_bytes32", 0],
+    ["_hashedVersion", "t_bytes32", 1],
+    ["_name", "t_string_storage", 2],
+    ["_version", "t_string_storage", 3],
+  ]),
+};
+
+/** Layouts (with their base slot) making up the token proxy's storage. */
+function tokenLayouts(tokenLayout) {
+  return [
+    { layout: tokenLayout, base: 0n },
+    ...Object.entries(OZ_NAMESPACES).map(([id, layout]) => ({ layout, base: erc7201Slot(id) })),
+  ];
+}
+
+/* ============================== key discovery ============================== */
+
+const KEY_EVENTS = new ethers.Interface([
+  "event Transfer(address indexed from, address indexed to, uint256 value)",
+  "event RewardClaimed(address indexed user, address indexed beneficiary, uint256 steps, uint256 rewardAmount, uint256 timestamp, string source, string version)",
+  "event Staked(address indexed user, uint256 amount)",
+  "event Withdrawn(address indexed user, uint256 amount)",
+  "event PenaltyApplied(address indexed user, uint256 amount)",
+  "event UserSuspended(address indexed user, uint256 until)",
+  "event SourceConfigured(string source, bool requiresProof, bool requiresAttestation)",
+  "event SourceMerkleRootSet(string source, bytes32 root)",
+  "event TrustedDeviceAdded(address indexed device)",
+  "event TrustedAPISet(address indexed api, bool trusted)",
+  "event Trusted1271Set(address indexed contractAddr, bool trusted)",
+  "event RecipientApprovalChanged(address indexed recipient, bool approved)",
+  "event SignerAdded(address indexed signer)",
+  "event ERC1271ContractAdded(address indexed contractAddress)",
+  "event VersionAdded(string version)",
+  "event PayloadVersionAdded(string version)",
+  "event AttestationVersionAdded(string version)",
+  "event AttestationNonceRequirementSet(string normVersion, bool required)",
+  "event RoleGranted(bytes32 indexed role, address indexed account, address indexed sender)",
+  "event RoleAdminChanged(bytes32 indexed role, bytes32 indexed previousAdminRole, bytes32 indexed newAdminRole)",
+]);
+
+/**
+ * Mapping keys of the token's state, from its event history.
+ *
+ *   accounts  every address that ever held, staked, submitted, or was granted / trusted anything
+ *   users     step submitters and stakers (the per-user, per-source state)
+ *   sources   SOURCE_POLICY plus every configured source; versions: every allowlisted version
+ *
+ * @param {ethers.Provider} provider
+ * @param {string} token proxy address
+ * @param {{fromBlock:number, toBlock?:number, batchSize?:number, accounts?:string[], log?:Function}} opts
+ * @returns {Promise<{accounts:string[], users:string[], sources:string[], versions:string[], roles:string[]}>}
+ */
+async function discoverKeys(provider, token, { fromBlock, toBlock, batchSize = 2000, accounts = [], log = () => {} }) {
+  const last = toBlock ?? (await provider.getBlockNumber());
+  const acc = new Set(accounts.map((a) => ethers.getAddress(a)));
+  const users = new Set();
+  const sources = new Set(SOURCE_POLICY.map(([s]) => s));
+  const versions = new Set(["1.0.0"]);
+  const roles = new Set(Object.values(ROLES));
+  const topics = [KEY_EVENTS.fragments.map((f) => f.topicHash)];
+
+  for (let from = fromBlock; from <= last; from += batchSize) {
+    const to = Math.min(last, from + batchSize - 1);
+    for (const lg of await provider.getLogs({ address: token, topics, fromBlock: from, toBlock: to })) {
+      const ev = KEY_EVENTS.parseLog(lg);
+      if (!ev) continue;
+      const a = ev.args;
+      switch (ev.name) {
+        case "Transfer":
+          for (const x of [a.from, a.to]) if (x !== ethers.ZeroAddress) acc.add(x);
+          break;
+        case "RewardClaimed":
+          acc.add(a.user).add(a.beneficiary);
+          users.add(a.user);
+          sources.add(a.source);
+          versions.add(a.version);
+          break;
+        case "Staked":
+        case "Withdrawn":
+        case "PenaltyApplied":
+        case "UserSuspended":
+          acc.add(a.user);
+          users.add(a.user);
+          break;
+        case "SourceConfigured":
+        case "SourceMerkleRootSet":
+          sources.add(a.source);
+          break;
+        case "VersionAdded":
+        case "PayloadVersionAdded":
+        case "AttestationVersionAdded":
+          versions.add(a.version);
+          break;
+        case "AttestationNonceRequirementSet":
+          versions.add(a.normVersion);
+          break;
+        case "RoleGranted":
+          roles.add(a.role);
+          acc.add(a.account);
+          break;
+        case "RoleAdminChanged":
+          roles.add(a.role).add(a.newAdminRole);
+          break;
+        default:
+          acc.add(a[0]); // device, api, contract, recipient, signer
+      }
+    }
+    log(`  scanned ${from}…${to}: ${acc.size} account(s), ${sources.size} source(s)`);
+  }
+  const sorted = (s) => [...s].sort();
+  return {
+    accounts: sorted(acc),
+    users: sorted(users),
+    sources: sorted(sources),
+    versions: sorted(versions),
+    roles: sorted(roles),
+  };
+}
+
+/** `keys` as layoutSlots wants them: addresses, sources, and role ids + version hashes as bytes32. */
+function tokenSlotKeys(keys) {
+  return {
+    address: keys.accounts,
+    string: keys.sources,
+    bytes32: [...new Set([...keys.roles, ...keys.versions.map(versionHash)])],
+  };
+}
+
+/* ============================== dump / load ============================== */
+
+async function mapLimit(items, limit, fn) {
+  const out = new Array(items.length);
+  let next = 0;
+  const worker = async () => {
+    while (next < items.length) {
+      const i = next++;
+      out[i] = await fn(items[i], i);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+  return out;
+}
+
+const MAX_ARRAY_ELEMENTS = 1000;
+
+/**
+ * Read code, balance, nonce and the planned storage slots of each target at one block.
+ *
+ *   targets: [{ name, address, layouts?: [{layout, base?}], keys?, slots?: (bigint|string)[] }]
+ *
+ * `layouts` + `keys` plan the slots (layoutSlots); `slots` adds raw ones (EIP-1967 slots, the
+ * first words of a contract with no layout at hand). Zero slots are not written to the dump.
+ *
+ * @param {ethers.Provider} provider
+ * @param {object[]} targets
+ * @param {{blockTag?:number, network?:string, concurrency?:number, log?:Function}} [opts]
+ * @returns {Promise<object>} dump (type gemstep.state-dump); `accounts` keyed by lowercase address
+ */
+async function dumpState(provider, targets, { blockTag, network = null, concurrency = 8, log = () => {} } = {}) {
+  const blockNumber = blockTag ?? (await provider.getBlockNumber());
+  const block = await provider.getBlock(blockNumber);
+  const { chainId } = await provider.getNetwork();
+  const accounts = {};
+  const warnings = [];
+
+  for (const t of targets) {
+    const address = ethers.getAddress(t.address);
+    const plan = { slots: new Set((t.slots || []).map((s) => BigInt(s))), bytes: [], arrays: [] };
+    for (const { layout, base = 0n } of t.layouts || []) {
+      const p = layoutSlots(layout, { base, keys: t.keys || {} });
+      p.slots.forEach((s) => plan.slots.add(s));
+      plan.bytes.push(...p.bytes);
+      plan.arrays.push(...p.arrays);
+    }
+    const read = async (slots) => {
+      const values = await mapLimit(slots, concurrency, (s) => provider.getStorage(address, s, blockNumber));
+      return new Map(slots.map((s, i) => [s, values[i]]));
+    };
+    const storage = await read([...plan.slots]);
+
+    // Long strings / bytes and dynamic arrays keep their data at keccak256(head slot).
+    const extra = [];
+    for (const head of plan.bytes) {
+      const v = BigInt(storage.get(head));
+      if (!(v & 1n)) continue;
+      const start = BigInt(ethers.keccak256(word(head)));
+      for (let i = 0n; i < ((v - 1n) / 2n + 31n) / 32n; i++) extra.push(start + i);
+    }
+    for (const { slot, elementBytes } of plan.arrays) {
+      let length = BigInt(storage.get(slot));
+      if (length > MAX_ARRAY_ELEMENTS) {
+        warnings.push(
+          `${t.name}: array at slot ${slot} has ${length} elements; copied the first ${MAX_ARRAY_ELEMENTS}`
+        );
+        length = BigInt(MAX_ARRAY_ELEMENTS);
+      }
+      const perSlot = elementBytes <= 16 ? BigInt(Math.floor(32 / elementBytes)) : 1n;
+      const words =
+        elementBytes > 32 ? length * BigInt(Math.ceil(elementBytes / 32)) : (length + perSlot - 1n) / perSlot;
+      const start = BigInt(ethers.keccak256(word(slot)));
+      for (let i = 0n; i < words; i++) extra.push(start + i);
+    }
+    for (const [s, v] of await read(extra.filter((s) => !storage.has(s)))) storage.set(s, v);
+
+    const nonZero = [...storage].filter(([, v]) => BigInt(v) !== 0n).sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0));
+    const [code, balance, nonce] = await Promise.all([
+      provider.getCode(address, blockNumber),
+      provider.getBalance(address, blockNumber),
+      provider.getTransactionCount(address, blockNumber),
+    ]);
+    accounts[address.toLowerCase()] = {
+      name: t.name,
+      address,
+      code,
+      balance: balance.toString(),
+      nonce,
+      storage: Object.fromEntries(nonZero.map(([s, v]) => [word(s), ethers.zeroPadValue(v, 32)])),
+    };
+    log(`  ${t.name.padEnd(16)} ${address}: ${storage.size} slot(s) read, ${nonZero.length} non-zero`);
+  }
+
+  return {
+    type: STATE_DUMP_TYPE,
+    version: STATE_DUMP_VERSION,
+    network,
+    chainId: Number(chainId),
+    blockNumber,
+    blockTimestamp: block?.timestamp ?? null,
+    createdAt: new Date().toISOString(),
+    accounts,
+    warnings,
+  };
+}
+
+/**
+ * Write a dump into a Hardhat node (hardhat_setCode / setBalance / setNonce / setStorageAt).
+ * The node keeps its own chain id and clock; only account state is copied.
+ * @param {{send: Function}} provider Hardhat JSON-RPC provider (e.g. hre.ethers.provider)
+ * @param {object} dump
+ */
+async function loadStateDump(provider, dump, { log = () => {} } = {}) {
+  for (const acc of Object.values(dump.accounts)) {
+    if (acc.code && acc.code !== "0x") await provider.send("hardhat_setCode", [acc.address, acc.code]);
+    await provider.send("hardhat_setBalance", [acc.address, ethers.toQuantity(BigInt(acc.balance))]);
+    if (acc.nonce) await provider.send("hardhat_setNonce", [acc.address, ethers.toQuantity(acc.nonce)]);
+    for (const [slot, value] of Object.entries(acc.storage)) {
+      await provider.send("hardhat_setStorageAt", [acc.address, ethers.toQuantity(BigInt(slot)), value]);
+    }
+    log(`  ${acc.name.padEnd(16)} ${acc.address}: ${Object.keys(acc.storage).length} slot(s)`);
+  }
+}
+
+/** EIP-1967 slots a transparent proxy needs besides its implementation's storage. */
+const PROXY_SLOTS = [EIP1967_IMPLEMENTATION_SLOT, EIP1967_ADMIN_SLOT];
+
+module.exports = {
+  STATE_DUMP_TYPE,
+  STATE_DUMP_VERSION,
+  OZ_NAMESPACES,
+  PROXY_SLOTS,
+  stateDumpPath,
+  readStateDump,
+  writeStateDump,
+  erc7201Slot,
+  mappingSlot,
+  layoutSlots,
+  tokenLayouts,
+  discoverKeys,
+  tokenSlotKeys,
+  dumpState,
+  loadStateDump,
+};
@@ -0,0 +1,297 @@
+// sdk/steps.js
+// StepSubmission / VerificationData builders, EIP-712 digest and signing.
+//
+// Mirrors on-chain behaviour of:
+//  - GemStepCore._normalizeVersion
+//  - GS_StepsAndVerification._stepDigest
+//  - GemStepTokenLib.stepStructHash / eip712TypedDataHash
+const { ethers } = require("ethers");
+const {
+  DOMAIN_NAME,
+  DOMAIN_VERSION,
+  DEFAULT_PAYLOAD_VERSION,
+  STEPLOG_TYPES,
+  STEPLOG_TYPEHASH,
+  TOKEN_SDK_ABI,
+  MAX_VERSION_LENGTH,
+  MAX_PROOF_LENGTH,
+} = require("./constants");
+
+const coder = ethers.AbiCoder.defaultAbiCoder();
+const toBI = (x) => (typeof x === "bigint" ? x : BigInt(x.toString()));
+
+/* ========================= versions ========================= */
+
+/**
+ * Normalize a payload/attestation version exactly like `_normalizeVersion`:
+ * only the shorthand "1.0" is rewritten (to "1.0.0"); everything else is kept verbatim.
+ * @param {string} v
+ * @returns {string}
+ */
+function normalizeVersion(v) {
+  return v === "1.0" ? "1.0.0" : v;
+}
+
+/**
+ * keccak256 of the normalized version (the key used by the on-chain allowlists
+ * and by `getVersionPolicy(bytes32)`).
+ * @param {string} v
+ * @returns {string} bytes32 hex
+ */
+function versionHash(v) {
+  return ethers.keccak256(ethers.toUtf8Bytes(normalizeVersion(v)));
+}
+
+/* ========================= builders ========================= */
+
+/**
+ * Build a StepSubmission struct with canonical types (checksummed addresses, bigint uints).
+ * Performs the cheap stateless checks from `_validateStepData` so obviously bad payloads
+ * fail before anything is signed; stateful checks live in preflight tooling.
+ *
+ * @param {object} p
+ * @param {string} p.user
+ * @param {string} [p.beneficiary] defaults to `user`
+ * @param {bigint|number|string} p.steps
+ * @param {bigint|number|string} p.nonce
+ * @param {bigint|number|string} p.deadline unix seconds
+ * @param {string} p.source
+ * @param {string} [p.version] defaults to DEFAULT_PAYLOAD_VERSION
+ * @returns {{user:string,beneficiary:string,steps:bigint,nonce:bigint,deadline:bigint,source:string,version:string}}
+ */
+function buildStepSubmission({
+  user,
+  beneficiary,
+  steps,
+  nonce,
+  deadline,
+  source,
+  version = DEFAULT_PAYLOAD_VERSION,
+}) {
+  if (!ethers.isAddress(user)) throw new Error(`Invalid user address: ${user}`);
+  const bene = beneficiary ?? user;
+  if (!ethers.isAddress(bene) || bene === ethers.ZeroAddress) {
+    throw new Error("Invalid beneficiary");
+  }
+  if (steps == null || toBI(steps) === 0n) throw new Error("No steps provided");
+  if (nonce == null) throw new Error("nonce is required");
+  if (deadline == null) throw new Error("deadline is required");
+  if (!source) throw new Error("Empty source");
+  if (!version) throw new Error("Empty version");
+  if (ethers.toUtf8Bytes(version).length > MAX_VERSION_LENGTH) throw new Error("Version too long");
+
+  return {
+    user: ethers.getAddress(user),
+    beneficiary: ethers.getAddress(bene),
+    steps: toBI(steps),
+    nonce: toBI(nonce),
+    deadline: toBI(deadline),
+    source: String(source),
+    version: String(version),
+  };
+}
+
+/**
+ * Build a VerificationData struct.
+ * @param {object} p
+ * @param {string} p.signature EIP-712 signature over the step digest.
+ * @param {string[]} [p.proof] merkle proof (bytes32[]) for sources with `requiresProof`.
+ * @param {string} [p.attestation] ABI-encoded attestation blob, "0x" when unused.
+ * @returns {{signature:string,proof:string[],attestation:string}}
+ */
+function buildVerificationData({ signature, proof = [], attestation = "0x" }) {
+  if (!ethers.isHexString(signature)) throw new Error("signature must be hex bytes");
+  if (proof.length > MAX_PROOF_LENGTH) throw new Error("Proof too long");
+  for (const p of proof) {
+    if (!ethers.isHexString(p, 32)) throw new Error(`Invalid proof element: ${p}`);
+  }
+  if (!ethers.isHexString(attestation)) throw new Error("attestation must be hex bytes");
+  return { signature, proof: [...proof], attestation };
+}
+
+/* ========================= EIP-712 ========================= */
+
+/**
+ * EIP-712 domain for a GemStep token deployment.
+ * @param {{chainId: bigint|number, verifyingContract: string}} p
+ */
+function stepDomain({ chainId, verifyingContract }) {
+  return {
+    name: DOMAIN_NAME,
+    version: DOMAIN_VERSION,
+    chainId: toBI(chainId),
+    verifyingContract: ethers.getAddress(verifyingContract),
+  };
+}
+
+/** Typed-data message as signed by clients (version normalized, chainId bound). */
+function stepMessage(submission, chainId) {
+  return {
+    user: submission.user,
+    beneficiary: submission.beneficiary,
+    steps: toBI(submission.steps),
+    nonce: toBI(submission.nonce),
+    deadline: toBI(submission.deadline),
+    chainId: toBI(chainId),
+    source: submission.source,
+    version: normalizeVersion(submission.version),
+  };
+}
+
+/**
+ * Struct hash identical to `GemStepTokenLib.stepStructHash(STEPLOG_TYPEHASH, ...)`.
+ * @param {object} submission StepSubmission
+ * @param {bigint|number} chainId `block.chainid` of the target chain
+ * @returns {string} bytes32 hex
+ */
+function stepStructHash(submission, chainId) {
+  return ethers.keccak256(
+    coder.encode(
+      ["bytes32", "address", "address", "uint256", "uint256", "uint256", "uint256", "bytes32", "bytes32"],
+      [
+        STEPLOG_TYPEHASH,
+        submission.user,
+        submission.beneficiary,
+        toBI(submission.steps),
+        toBI(submission.nonce),
+        toBI(submission.deadline),
+        toBI(chainId),
+        ethers.keccak256(ethers.toUtf8Bytes(submission.source)),
+        versionHash(submission.version),
+      ]
+    )
+  );
+}
+
+/**
+ * Typed-data digest identical to `_stepDigest` (0x1901 || domainSeparator || structHash).
+ * @param {object} submission StepSubmission
+ * @param {{chainId: bigint|number, verifyingContract: string}} domainParams
+ * @returns {string} bytes32 hex
+ */
+function stepDigest(submission, domainParams) {
+  const domainSeparator = ethers.TypedDataEncoder.hashDomain(stepDomain(domainParams));
+  return ethers.keccak256(
+    ethers.concat(["0x1901", domainSeparator, stepStructHash(submission, domainParams.chainId)])
+  );
+}
+
+/**
+ * Sign a StepSubmission with an ethers v6 signer (EOA user key or API_SIGNER_ROLE key).
+ * The signature is checked against {stepDigest} so a mismatch is caught off-chain.
+ * @param {import("ethers").Signer} signer
+ * @param {object} submission StepSubmission
+ * @param {{chainId: bigint|number, verifyingContract: string}} domainParams
+ * @returns {Promise<string>} 65-byte signature
+ */
+async function signStepSubmission(signer, submission, domainParams) {
+  const domain = stepDomain(domainParams);
+  const message = stepMessage(submission, domainParams.chainId);
+  const signature = await signer.signTypedData(domain, STEPLOG_TYPES, message);
+
+  const recovered = ethers.recoverAddress(stepDigest(submission, domainParams), signature);
+  const expected = await signer.getAddress();
+  if (recovered.toLowerCase() !== expected.toLowerCase()) {
+    throw new Error(`StepLog digest mismatch: recovered ${recovered} vs signer ${expected}`);
+  }
+  return signature;
+}
+
+/**
+ * Recover the signer of a StepSubmission signature (off-chain equivalent of `digest.recover(sig)`).
+ * @returns {string} checksummed address
+ */
+function recoverStepSigner(submission, signature, domainParams) {
+  return ethers.recoverAddress(stepDigest(submission, domainParams), signature);
+}
+
+/* ========================= chain helpers ========================= */
+
+/**
+ * Resolve `{chainId, verifyingContract}` from a token contract (ethers Contract or address + provider).
+ * @param {import("ethers").Contract|string} token
+ * @param {import("ethers").Provider} [provider] required when `token` is an address
+ */
+async function resolveStepDomain(token, provider) {
+  const verifyingContract = typeof token === "string" ? token : await token.getAddress();
+  const p = provider || token?.runner?.provider || token?.runner;
+  if (!p?.getNetwork) throw new Error("resolveStepDomain: a provider is required");
+  const { chainId } = await p.getNetwork();
+  return { chainId, verifyingContract: ethers.getAddress(verifyingContract) };
+}
+
+/**
+ * One-shot helper used by backends and tests: read the user nonce, pick a deadline,
+ * build + sign the payload, and return the exact `logSteps` arguments.
+ *
+ * @param {object} p
+ * @param {import("ethers").Contract|string} p.token token contract or address
+ * @param {import("ethers").Signer} p.signer user key or API signer key
+ * @param {string} p.user
+ * @param {string} [p.beneficiary]
+ * @param {bigint|number} p.steps
+ * @param {string} p.source
+ * @param {string} [p.version]
+ * @param {bigint|number} [p.nonce] defaults to `token.nonces(user)`
+ * @param {bigint|number} [p.deadline] defaults to latest block timestamp + `ttl`
+ * @param {number} [p.ttl] seconds, default 600 (must stay within signatureValidityPeriod)
+ * @param {string[]} [p.proof]
+ * @param {string} [p.attestation]
+ * @returns {Promise<{submission: object, verification: object, digest: string}>}
+ */
+async function buildSignedStepPayload({
+  token,
+  signer,
+  user,
+  beneficiary,
+  steps,
+  source,
+  version = DEFAULT_PAYLOAD_VERSION,
+  nonce,
+  deadline,
+  ttl = 600,
+  proof = [],
+  attestation = "0x",
+}) {
+  const provider = signer.provider || token?.runner?.provider;
+  const tokenAddr = typeof token === "string" ? token : await token.getAddress();
+  const tok = new ethers.Contract(tokenAddr, TOKEN_SDK_ABI, provider);
+
+  const n = nonce ?? (await tok.nonces(user));
+  let dl = deadline;
+  if (dl == null) {
+    const latest = await provider.getBlock("latest");
+    dl = BigInt(latest.timestamp) + BigInt(ttl);
+  }
+
+  const submission = buildStepSubmission({
+    user,
+    beneficiary,
+    steps,
+    nonce: n,
+    deadline: dl,
+    source,
+    version,
+  });
+
+  const domainParams = await resolveStepDomain(tokenAddr, provider);
+  const signature = await signStepSubmission(signer, submission, domainParams);
+  const verification = buildVerificationData({ signature, proof, attestation });
+
+  return { submission, verification, digest: stepDigest(submission, domainParams) };
+}
+
+module.exports = {
+  normalizeVersion,
+  versionHash,
+  buildStepSubmission,
+  buildVerificationData,
+  stepDomain,
+  stepMessage,
+  stepStructHash,
+  stepDigest,
+  signStepSubmission,
+  recoverStepSigner,
+  resolveStepDomain,
+  buildSignedStepPayload,
+};
@@ -0,0 +1,314 @@
+// sdk/tokenomics.js
+// Pure-JS model of the token's reward minting, for projections and differential testing.
+//
+// Mirrors:
+//  - GemStepCore._syncMonth          month = ts / SECONDS_PER_MONTH; a new month zeroes the minted counter
+//  - GS_MintingAndSupply._mintWithCap  80/10/10 split; global + monthly caps on netMint = user + treasury
+//  - GemStepCore._checkHalving       threshold(h) = MAX_SUPPLY - (MAX_SUPPLY >> (h + 1)); at most one
+//                                    halving per mint: cap doubles, rewardRate halves (floor 1)
+//
+// All functions are pure: they take a state object and return a new one.
+const { ethers } = require("ethers");
+const {
+  TOKEN_SDK_ABI,
+  MAX_SUPPLY,
+  INITIAL_SUPPLY,
+  MONTHLY_MINT_LIMIT,
+  REWARD_RATE_BASE,
+  MAX_HALVINGS,
+  SECONDS_PER_MONTH,
+  BPS_BASE,
+  REWARD_USER_BPS,
+  REWARD_BURN_BPS,
+} = require("./constants");
+
+const DAY = 86400n;
+const toBI = (x) => (typeof x === "bigint" ? x : BigInt(x.toString()));
+
+/**
+ * @typedef {object} MintingState
+ * @property {bigint} month          currentMonth
+ * @property {bigint} monthMinted    currentMonthMinted (net)
+ * @property {bigint} monthlyLimit   monthlyMintLimit (base policy, informational)
+ * @property {bigint} lastMonthUpdate
+ * @property {bigint} distributedTotal
+ * @property {bigint} monthlyCap     currentMonthlyCap
+ * @property {bigint} halvingCount
+ * @property {bigint} rewardRate
+ * @property {bigint} totalSupply
+ */
+
+/* ========================= state ========================= */
+
+/**
+ * Read the model state from a token (getMintingState + getCoreParams + totalSupply).
+ * @param {import("ethers").Contract|string} token
+ * @param {import("ethers").Provider} [provider] required when `token` is an address
+ * @returns {Promise<MintingState>}
+ */
+async function readMintingState(token, provider) {
+  const addr = typeof token === "string" ? token : await token.getAddress();
+  const runner = provider || token?.runner?.provider || token?.runner;
+  const tok = new ethers.Contract(addr, TOKEN_SDK_ABI, runner);
+
+  const [[month, monthMinted, monthlyLimit, lastMonthUpdate, distributedTotal, monthlyCap, halvingCount], core, totalSupply] =
+    await Promise.all([tok.getMintingState(), tok.getCoreParams(), tok.totalSupply()]);
+
+  return {
+    month,
+    monthMinted,
+    monthlyLimit,
+    lastMonthUpdate,
+    distributedTotal,
+    monthlyCap,
+    halvingCount,
+    rewardRate: core[1],
+    totalSupply,
+  };
+}
+
+/**
+ * State of a freshly initialized token at `now` (GemStepCore.initialize).
+ * @param {bigint|number} now
+ * @returns {MintingState}
+ */
+function initialMintingState(now) {
+  const ts = toBI(now);
+  return {
+    month: ts / SECONDS_PER_MONTH,
+    monthMinted: 0n,
+    monthlyLimit: MONTHLY_MINT_LIMIT,
+    lastMonthUpdate: ts,
+    // initialize() counts the treasury's initial mint as distributed.
+    distributedTotal: INITIAL_SUPPLY,
+    monthlyCap: MONTHLY_MINT_LIMIT,
+    halvingCount: 0n,
+    rewardRate: REWARD_RATE_BASE,
+    totalSupply: INITIAL_SUPPLY,
+  };
+}
+
+/* ========================= rules ========================= */
+
+/** distributedTotal at which halving number `h + 1` fires. */
+function halvingThreshold(halvingCount) {
+  return MAX_SUPPLY - (MAX_SUPPLY >> (toBI(halvingCount) + 1n));
+}
+
+/**
+ * Same numbers as GemStepViews.getHalvingInfo.
+ * @param {MintingState} state
+ */
+function halvingInfo(state) {
+  const t = halvingThreshold(state.halvingCount);
+  return {
+    currentHalvingCount: state.halvingCount,
+    nextHalvingThreshold: t,
+    remainingUntilHalving: t > state.distributedTotal ? t - state.distributedTotal : 0n,
+  };
+}
+
+/** 80/10/10 split of a gross reward, as in `_mintWithCap`. */
+function splitReward(amount) {
+  const a = toBI(amount);
+  const toUser = (a * REWARD_USER_BPS) / BPS_BASE;
+  const toBurn = (a * REWARD_BURN_BPS) / BPS_BASE;
+  const toTreasury = a - toUser - toBurn;
+  return { toUser, toBurn, toTreasury, netMint: toUser + toTreasury };
+}
+
+/** `_syncMonth` at time `now`. */
+function syncMonth(state, now) {
+  const month = toBI(now) / SECONDS_PER_MONTH;
+  if (month <= state.month) return state;
+  return { ...state, month, monthMinted: 0n, lastMonthUpdate: toBI(now) };
+}
+
+/** `_checkHalving`: at most one halving per call. */
+function checkHalving(state) {
+  if (state.halvingCount >= MAX_HALVINGS) return { state, halved: false };
+  if (state.distributedTotal < halvingThreshold(state.halvingCount)) return { state, halved: false };
+  const rate = state.rewardRate / 2n;
+  return {
+    state: {
+      ...state,
+      halvingCount: state.halvingCount + 1n,
+      monthlyCap: state.monthlyCap * 2n,
+      rewardRate: rate === 0n ? 1n : rate,
+    },
+    halved: true,
+  };
+}
+
+/**
+ * Apply one `_mintWithCap(account, amount)` at time `now`.
+ * On failure `state` is the pre-call state (the transaction reverts) and `reason` the revert string.
+ *
+ * @param {MintingState} state
+ * @param {bigint|number} amount gross reward (steps * rewardRate)
+ * @param {bigint|number} now block timestamp
+ * @returns {{ok:boolean, reason?:string, state:MintingState, toUser:bigint, toTreasury:bigint,
+ *   toBurn:bigint, netMint:bigint, halved:boolean}}
+ */
+function simulateMint(state, amount, now) {
+  const split = splitReward(amount);
+  const none = { ...split, state, halved: false };
+  if (toBI(amount) === 0n) return { ok: false, reason: "Mint: zero amount", ...none };
+
+  const s = syncMonth(state, now);
+  if (s.totalSupply + split.netMint > MAX_SUPPLY) return { ok: false, reason: "ERC20Capped: cap exceeded", ...none };
+  if (s.monthMinted + split.netMint > s.monthlyCap) return { ok: false, reason: "Monthly cap exceeded", ...none };
+
+  const accounted = {
+    ...s,
+    monthMinted: s.monthMinted + split.netMint,
+    distributedTotal: s.distributedTotal + split.netMint,
+    // Burn leg is mint-to-self + burn: net-zero on totalSupply.
+    totalSupply: s.totalSupply + split.netMint,
+  };
+  const { state: next, halved } = checkHalving(accounted);
+  return { ok: true, ...split, state: next, halved };
+}
+
+/**
+ * Reward minting side of one accepted `logSteps` (reward = steps * rewardRate).
+ * @returns {ReturnType<typeof simulateMint> & {reward: bigint}}
+ */
+function simulateSubmission(state, steps, now) {
+  const reward = toBI(steps) * state.rewardRate;
+  return { reward, ...simulateMint(state, reward, now) };
+}
+
+/* ========================= projections ========================= */
+
+/**
+ * Project minting under a steady demand scenario.
+ *
+ * Every day at `start + d * 1 day`, `dailyUsers` submissions of `stepsPerUser` steps are minted in
+ * sequence. Identical submissions are applied in closed-form chunks (up to the next cap or halving
+ * boundary), which matches replaying them one by one.
+ *
+ * @param {MintingState} state starting state (readMintingState / initialMintingState)
+ * @param {object} scenario
+ * @param {bigint|number} scenario.start first day timestamp
+ * @param {number} scenario.days
+ * @param {number|((day:number)=>number)} scenario.dailyUsers submissions per day
+ * @param {bigint|number} scenario.stepsPerUser steps per submission
+ * @returns {{months:object[], halvings:object[], capExhausted:object[], maxSupplyReachedAt:bigint|null,
+ *   state:MintingState}}
+ */
+function projectTokenomics(state, { start, days, dailyUsers, stepsPerUser }) {
+  const steps = toBI(stepsPerUser);
+  if (steps <= 0n) throw new Error("stepsPerUser must be > 0");
+  const usersOn = typeof dailyUsers === "function" ? dailyUsers : () => dailyUsers;
+
+  const months = new Map();
+  const halvings = [];
+  const capExhausted = [];
+  let maxSupplyReachedAt = null;
+  let s = state;
+
+  const monthRow = (m) => {
+    if (!months.has(m)) {
+      months.set(m, {
+        month: m,
+        start: m * SECONDS_PER_MONTH,
+        submissions: 0n,
+        rejected: 0n,
+        steps: 0n,
+        gross: 0n,
+        toUsers: 0n,
+        treasury: 0n,
+        burned: 0n,
+        netMinted: 0n,
+        monthlyCap: 0n,
+        rewardRate: 0n,
+        capExhaustedAt: null,
+      });
+    }
+    return months.get(m);
+  };
+
+  for (let d = 0; d < days; d++) {
+    const t = toBI(start) + BigInt(d) * DAY;
+    s = syncMonth(s, t);
+    const row = monthRow(s.month);
+    let remaining = BigInt(Math.max(0, Math.floor(usersOn(d))));
+
+    while (remaining > 0n) {
+      const split = splitReward(steps * s.rewardRate);
+      const net = split.netMint;
+
+      const room = (a, b) => (a > b ? (a - b) / net : 0n);
+      const fitMonth = net === 0n ? remaining : room(s.monthlyCap, s.monthMinted);
+      const fitSupply = net === 0n ? remaining : room(MAX_SUPPLY, s.totalSupply);
+      let untilHalving = remaining;
+      if (s.halvingCount < MAX_HALVINGS && net > 0n) {
+        const gap = halvingThreshold(s.halvingCount) - s.distributedTotal;
+        untilHalving = gap <= 0n ? 1n : (gap + net - 1n) / net;
+      }
+
+      let k = remaining;
+      for (const lim of [fitMonth, fitSupply, untilHalving]) if (lim < k) k = lim;
+
+      if (k === 0n) {
+        row.rejected += remaining;
+        if (fitSupply === 0n) {
+          if (maxSupplyReachedAt === null) maxSupplyReachedAt = t;
+        } else if (row.capExhaustedAt === null) {
+          row.capExhaustedAt = t;
+          capExhausted.push({ month: s.month, at: t, monthlyCap: s.monthlyCap, minted: s.monthMinted });
+        }
+        break;
+      }
+
+      row.submissions += k;
+      row.steps += k * steps;
+      row.gross += k * steps * s.rewardRate;
+      row.toUsers += k * split.toUser;
+      row.treasury += k * split.toTreasury;
+      row.burned += k * split.toBurn;
+      row.netMinted += k * net;
+
+      s = {
+        ...s,
+        monthMinted: s.monthMinted + k * net,
+        distributedTotal: s.distributedTotal + k * net,
+        totalSupply: s.totalSupply + k * net,
+      };
+      remaining -= k;
+
+      if (k === untilHalving) {
+        const h = checkHalving(s);
+        if (h.halved) {
+          s = h.state;
+          halvings.push({
+            halvingCount: s.halvingCount,
+            at: t,
+            distributedTotal: s.distributedTotal,
+            monthlyCap: s.monthlyCap,
+            rewardRate: s.rewardRate,
+          });
+        }
+      }
+    }
+
+    row.monthlyCap = s.monthlyCap;
+    row.rewardRate = s.rewardRate;
+  }
+
+  return { months: [...months.values()], halvings, capExhausted, maxSupplyReachedAt, state: s };
+}
+
+module.exports = {
+  readMintingState,
+  initialMintingState,
+  halvingThreshold,
+  halvingInfo,
+  splitReward,
+  syncMonth,
+  checkHalving,
+  simulateMint,
+  simulateSubmission,
+  projectTokenomics,
+};
@@ -0,0 +1,239 @@
+// services/indexer/events.js
+// Token event ABI (GemStepStorage + OZ AccessControl/Pausable) and the per-event projections
+// into the indexer's ledger tables.
+const { ethers } = require("ethers");
+const { ROLES } = require("../../sdk");
+
+/** Every event the token proxy can emit, except ERC20 Transfer/Approval (supply comes from TokensMinted/Burned). */
+const TOKEN_EVENTS_ABI = [
+  "event TokensMinted(address indexed to, uint256 amount, uint256 newTotalSupply)",
+  "event TokensBurned(address indexed from, uint256 amount, uint256 newTotalSupply)",
+  "event RewardClaimed(address indexed user, address indexed beneficiary, uint256 steps, uint256 rewardAmount, uint256 timestamp, string source, string version)",
+  "event EmergencyWithdraw(address indexed admin, uint256 amount, uint256 newTotalSupply)",
+  "event EmergencyWithdrawERC20(address indexed token, address indexed to, uint256 amount)",
+  "event EmergencyWithdrawETH(address indexed to, uint256 amount)",
+  "event SignerAdded(address indexed signer)",
+  "event SignerRemoved(address indexed signer)",
+  "event ParameterUpdated(string indexed parameter, uint256 oldValue, uint256 newValue)",
+  "event SourceAdded(string indexed source)",
+  "event SourceRemoved(string indexed source)",
+  "event TimelockSet(string indexed parameter, uint256 unlockTime)",
+  "event EmergencyWithdrawEnabledChanged(bool enabled, uint256 unlockTime)",
+  "event ETHReceived(address indexed sender, uint256 amount)",
+  "event ERC1271ContractAdded(address indexed contractAddress)",
+  "event ERC1271ContractRemoved(address indexed contractAddress)",
+  "event SignatureCleared(bytes32 indexed signatureHash)",
+  "event MonthRollover(uint256 newStart, uint256 currentCap)",
+  "event UpgradeScheduled(address indexed newImplementation, uint256 scheduledTime)",
+  "event UpgradeCancelled(address indexed cancelledImplementation)",
+  "event Upgraded(uint256 version, address indexed newImplementation)",
+  "event MonthlyCapUpdated(uint256 newCap, uint256 halvingCount)",
+  "event AdminRolesTransferred(address indexed newAdmin)",
+  "event RecipientApprovalChanged(address indexed recipient, bool approved)",
+  "event MonthAdvanced(uint256 newMonth)",
+  "event SourcesInitialized()",
+  "event UserSuspended(address indexed user, uint256 until)",
+  "event Staked(address indexed user, uint256 amount)",
+  "event Withdrawn(address indexed user, uint256 amount)",
+  "event PenaltyApplied(address indexed user, uint256 amount)",
+  "event SourceConfigured(string source, bool requiresProof, bool requiresAttestation)",
+  "event TrustedDeviceAdded(address indexed device)",
+  "event TrustedAPISet(address indexed api, bool trusted)",
+  "event VersionAdded(string version)",
+  "event StakeParametersUpdated(uint256 newStakePerStep, uint256 timestamp)",
+  "event StakeEmergencyLocked(bool locked)",
+  "event OracleUpdated(address indexed newOracle)",
+  "event MultisigSet(address multisig)",
+  "event Trusted1271Set(address indexed contractAddr, bool trusted)",
+  "event AttestationNonceRequirementSet(string normVersion, bool required)",
+  "event TreasurySet(address indexed treasury)",
+  "event PayloadVersionAdded(string version)",
+  "event PayloadVersionDeprecated(string version, uint256 deprecatesAt)",
+  "event AttestationVersionAdded(string version)",
+  "event AttestationVersionDeprecated(string version, uint256 deprecatesAt)",
+  "event SourceMerkleRootSet(string source, bytes32 root)",
+  "event L1GovernanceSet(address indexed l1)",
+  "event L2PausedByL1(bool paused)",
+  "event L2ParamsUpdatedByL1(uint256 stepLimit, uint256 rewardRate)",
+  "event L2ToL1Tx(uint256 indexed id, address to, bytes data)",
+  // OpenZeppelin
+  "event RoleGranted(bytes32 indexed role, address indexed account, address indexed sender)",
+  "event RoleRevoked(bytes32 indexed role, address indexed account, address indexed sender)",
+  "event RoleAdminChanged(bytes32 indexed role, bytes32 indexed previousAdminRole, bytes32 indexed newAdminRole)",
+  "event Paused(address account)",
+  "event Unpaused(address account)",
+  "event Initialized(uint64 version)",
+];
+
+/** Pseudo-role ids for the token's non-AccessControl allowlists. */
+const PSEUDO_ROLES = {
+  TRUSTED_API: "TRUSTED_API",
+  TRUSTED_DEVICE: "TRUSTED_DEVICE",
+  TRUSTED_ERC1271: "TRUSTED_ERC1271",
+};
+
+const ROLE_NAMES = Object.fromEntries(Object.entries(ROLES).map(([name, id]) => [id, name]));
+
+const str = (v) => v.toString();
+
+/**
+ * Map a decoded log to ledger rows.
+ * @param {{name:string, args:object}} ev parsed log
+ * @param {{block_number:number, log_index:number, tx_hash:string, timestamp:number}} at
+ * @returns {{table:string, row:object}[]}
+ */
+function project(ev, at) {
+  const base = { block_number: at.block_number, log_index: at.log_index, tx_hash: at.tx_hash };
+  const a = ev.args;
+
+  switch (ev.name) {
+    case "RewardClaimed":
+      return [{
+        table: "submissions",
+        row: {
+          ...base,
+          user: a.user,
+          beneficiary: a.beneficiary,
+          steps: Number(a.steps),
+          reward: str(a.rewardAmount),
+          timestamp: Number(a.timestamp),
+          source: a.source,
+          version: a.version,
+        },
+      }];
+
+    case "Staked":
+    case "Withdrawn":
+      return [{
+        table: "stakes",
+        row: { ...base, user: a.user, kind: ev.name === "Staked" ? "stake" : "withdraw", amount: str(a.amount) },
+      }];
+
+    case "PenaltyApplied":
+      return [{
+        table: "penalties",
+        row: { ...base, user: a.user, kind: "penalty", amount: str(a.amount), suspended_until: null },
+      }];
+
+    case "UserSuspended":
+      return [{
+        table: "penalties",
+        row: { ...base, user: a.user, kind: "suspension", amount: null, suspended_until: Number(a.until) },
+      }];
+
+    case "SourceConfigured":
+      return [{
+        table: "source_events",
+        row: {
+          ...base,
+          source: a.source,
+          kind: "configured",
+          requires_proof: a.requiresProof ? 1 : 0,
+          requires_attestation: a.requiresAttestation ? 1 : 0,
+          merkle_root: ethers.ZeroHash,
+        },
+      }];
+
+    case "SourceMerkleRootSet":
+      return [{
+        table: "source_events",
+        row: {
+          ...base,
+          source: a.source,
+          kind: "merkle_root",
+          requires_proof: null,
+          requires_attestation: null,
+          merkle_root: a.root,
+        },
+      }];
+
+    case "RoleGranted":
+    case "RoleRevoked":
+      return [{
+        table: "role_events",
+        row: {
+          ...base,
+          role: a.role,
+          role_name: ROLE_NAMES[a.role] || null,
+          account: a.account,
+          granted: ev.name === "RoleGranted" ? 1 : 0,
+          sender: a.sender,
+        },
+      }];
+
+    case "TrustedAPISet":
+      return [roleRow(base, PSEUDO_ROLES.TRUSTED_API, a.api, a.trusted)];
+    case "TrustedDeviceAdded":
+      return [roleRow(base, PSEUDO_ROLES.TRUSTED_DEVICE, a.device, true)];
+    case "Trusted1271Set":
+      return [roleRow(base, PSEUDO_ROLES.TRUSTED_ERC1271, a.contractAddr, a.trusted)];
+    case "ERC1271ContractAdded":
+    case "ERC1271ContractRemoved":
+      return [roleRow(base, PSEUDO_ROLES.TRUSTED_ERC1271, a.contractAddress, ev.name === "ERC1271ContractAdded")];
+
+    case "TokensMinted":
+    case "TokensBurned":
+    case "EmergencyWithdraw":
+      return [{
+        table: "supply_snapshots",
+        row: {
+          ...snapBase(base, at),
+          kind: { TokensMinted: "mint", TokensBurned: "burn", EmergencyWithdraw: "emergency_withdraw" }[ev.name],
+          amount: str(a.amount),
+          total_supply: str(a.newTotalSupply),
+        },
+      }];
+
+    case "MonthRollover":
+      return [{
+        table: "supply_snapshots",
+        row: { ...snapBase(base, at), kind: "month_rollover", month: Number(a.newStart), monthly_cap: str(a.currentCap) },
+      }];
+
+    case "MonthlyCapUpdated":
+      return [{
+        table: "supply_snapshots",
+        row: {
+          ...snapBase(base, at),
+          kind: "halving",
+          monthly_cap: str(a.newCap),
+          halving_count: Number(a.halvingCount),
+        },
+      }];
+
+    default:
+      return [];
+  }
+}
+
+function roleRow(base, role, account, granted) {
+  return {
+    table: "role_events",
+    row: { ...base, role, role_name: role, account, granted: granted ? 1 : 0, sender: null },
+  };
+}
+
+function snapBase(base, at) {
+  return {
+    ...base,
+    timestamp: at.timestamp,
+    amount: null,
+    total_supply: null,
+    month: null,
+    monthly_cap: null,
+    halving_count: null,
+  };
+}
+
+/** JSON-safe args object (named keys only, bigints as strings). */
+function argsToJSON(fragment, args) {
+  const out = {};
+  fragment.inputs.forEach((input, i) => {
+    const v = args[i];
+    out[input.name || String(i)] =
+      v && typeof v === "object" && v._isIndexed ? v.hash : typeof v === "bigint" ? v.toString() : v;
+  });
+  return JSON.stringify(out);
+}
+
+module.exports = { TOKEN_EVENTS_ABI, PSEUDO_ROLES, ROLE_NAMES, project, argsToJSON };
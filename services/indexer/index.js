@@ -0,0 +1,6 @@
+// services/indexer/index.js
+module.exports = {
+  ...require("./indexer"),
+  ...require("./schema"),
+  ...require("./events"),
+};
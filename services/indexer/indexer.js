@@ -0,0 +1,369 @@
+// services/indexer/indexer.js
+// Backfill + follow GemStep token events into SQLite (see schema.js for the table layout).
+//
+// Progress model:
+//  - meta.last_block is the last fully indexed block. Each batch (logs, block hashes, derived
+//    state and the new checkpoint) commits in ONE transaction, so a crash mid-batch just
+//    re-runs that batch on restart; ledger inserts are keyed by (block_number, log_index).
+//  - Reorgs: before every batch the stored hash of last_block is compared with the chain. On a
+//    mismatch we walk back through stored block hashes to the newest one still canonical, delete
+//    everything above it and rebuild the affected users / sources / roles.
+//  - `confirmations` keeps the indexer that many blocks behind head, which makes reorg
+//    rollbacks rare on L2s; 0 is fine for local nodes.
+const { ethers } = require("ethers");
+const { migrate, LEDGER_TABLES } = require("./schema");
+const { TOKEN_EVENTS_ABI, project, argsToJSON } = require("./events");
+
+const iface = new ethers.Interface(TOKEN_EVENTS_ABI);
+
+/**
+ * Create an indexer bound to one token deployment and one SQLite database.
+ *
+ * @param {object} p
+ * @param {import("better-sqlite3").Database} p.db open database (schema is created if missing)
+ * @param {import("ethers").Provider} p.provider
+ * @param {string} p.token token proxy address
+ * @param {number} [p.startBlock] first block to index on a fresh database (deployment block)
+ * @param {number} [p.confirmations] stay this many blocks behind head
+ * @param {number} [p.batchSize] max blocks per eth_getLogs call
+ * @param {(msg:string)=>void} [p.log]
+ * @returns indexer handle: { init, sync, start, stop, status }
+ */
+function createIndexer({ db, provider, token, startBlock = 0, confirmations = 0, batchSize = 2000, log = () => {} }) {
+  const address = ethers.getAddress(token);
+  migrate(db);
+
+  const getMeta = db.prepare("SELECT value FROM meta WHERE key = ?");
+  const setMeta = db.prepare("INSERT OR REPLACE INTO meta (key, value) VALUES (?, ?)");
+  const putBlock = db.prepare("INSERT OR REPLACE INTO blocks (number, hash, timestamp) VALUES (?, ?, ?)");
+  const putEvent = db.prepare(
+    "INSERT OR REPLACE INTO events (block_number, log_index, tx_hash, name, args) VALUES (?, ?, ?, ?, ?)"
+  );
+  const inserts = new Map();
+
+  const meta = (key) => getMeta.get(key)?.value;
+  const lastBlock = () => Number(meta("last_block"));
+
+  let timer = null;
+  let syncing = false;
+
+  /** Bind the database to this chain + token, or verify it already is. */
+  async function init() {
+    const { chainId } = await provider.getNetwork();
+    const storedToken = meta("token");
+    const storedChain = meta("chain_id");
+
+    if (storedToken && storedToken !== address) {
+      throw new Error(`Database indexes token ${storedToken}, not ${address}`);
+    }
+    if (storedChain && storedChain !== chainId.toString()) {
+      throw new Error(`Database indexes chain ${storedChain}, not ${chainId}`);
+    }
+    if (!storedToken) {
+      db.transaction(() => {
+        setMeta.run("token", address);
+        setMeta.run("chain_id", chainId.toString());
+        setMeta.run("start_block", String(startBlock));
+        setMeta.run("last_block", String(startBlock - 1));
+      })();
+      log(`new database: token=${address} chainId=${chainId} startBlock=${startBlock}`);
+    } else {
+      log(`resuming: token=${address} lastBlock=${lastBlock()}`);
+    }
+    return status();
+  }
+
+  /* ------------------------------ ledger writes ------------------------------ */
+
+  function insert(table, row) {
+    let stmt = inserts.get(table);
+    if (!stmt) {
+      const cols = Object.keys(row);
+      stmt = db.prepare(
+        `INSERT OR REPLACE INTO ${table} (${cols.join(", ")}) VALUES (${cols.map((c) => `@${c}`).join(", ")})`
+      );
+      inserts.set(table, stmt);
+    }
+    stmt.run(row);
+  }
+
+  /** Keys of materialized state touched by a set of ledger rows. */
+  function touchedKeys(rows) {
+    const keys = { users: new Set(), sources: new Set(), roles: new Map() };
+    for (const { table, row } of rows) {
+      if (table === "submissions" || table === "stakes" || table === "penalties") keys.users.add(row.user);
+      else if (table === "source_events") keys.sources.add(row.source);
+      else if (table === "role_events") keys.roles.set(`${row.role}|${row.account}`, [row.role, row.account]);
+    }
+    return keys;
+  }
+
+  /* ---------------------------- materialized state ---------------------------- */
+
+  function refreshUser(user) {
+    const subs = db.prepare(
+      "SELECT block_number, steps, reward, source FROM submissions WHERE user = ? ORDER BY block_number, log_index"
+    ).all(user);
+    const stakes = db.prepare("SELECT block_number, kind, amount FROM stakes WHERE user = ?").all(user);
+    const pens = db.prepare("SELECT block_number, kind, amount, suspended_until FROM penalties WHERE user = ?").all(user);
+
+    const blocks = [...subs, ...stakes, ...pens].map((r) => r.block_number);
+    if (!blocks.length) {
+      db.prepare("DELETE FROM users WHERE address = ?").run(user);
+      return;
+    }
+
+    const sum = (rows) => rows.reduce((acc, r) => acc + BigInt(r.amount), 0n);
+    const staked = sum(stakes.filter((r) => r.kind === "stake"));
+    const withdrawn = sum(stakes.filter((r) => r.kind === "withdraw"));
+    const penaltyRows = pens.filter((r) => r.kind === "penalty");
+    const penalized = sum(penaltyRows);
+    const balance = staked - withdrawn - penalized;
+    const suspensions = pens.filter((r) => r.kind === "suspension").map((r) => r.suspended_until);
+
+    db.prepare(
+      `INSERT OR REPLACE INTO users (address, submissions, total_steps, total_reward, staked, withdrawn, penalized,
+         stake_balance, penalty_count, suspended_until, last_source, first_block, last_block)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`
+    ).run(
+      user,
+      subs.length,
+      subs.reduce((acc, r) => acc + r.steps, 0),
+      subs.reduce((acc, r) => acc + BigInt(r.reward), 0n).toString(),
+      staked.toString(),
+      withdrawn.toString(),
+      penalized.toString(),
+      (balance > 0n ? balance : 0n).toString(),
+      penaltyRows.length,
+      suspensions.length ? Math.max(...suspensions) : null,
+      subs.length ? subs[subs.length - 1].source : null,
+      Math.min(...blocks),
+      Math.max(...blocks)
+    );
+  }
+
+  function refreshSource(source) {
+    const rows = db.prepare(
+      "SELECT * FROM source_events WHERE source = ? ORDER BY block_number, log_index"
+    ).all(source);
+    if (!rows.length) {
+      db.prepare("DELETE FROM sources WHERE source = ?").run(source);
+      return;
+    }
+
+    const state = { requires_proof: 0, requires_attestation: 0, merkle_root: ethers.ZeroHash, configured_block: rows[0].block_number };
+    for (const r of rows) {
+      if (r.kind === "configured") {
+        // configureSource resets the root together with the flags.
+        Object.assign(state, {
+          requires_proof: r.requires_proof,
+          requires_attestation: r.requires_attestation,
+          merkle_root: ethers.ZeroHash,
+          configured_block: r.block_number,
+        });
+      } else if (r.kind === "merkle_root") {
+        state.merkle_root = r.merkle_root;
+      }
+    }
+    db.prepare(
+      `INSERT OR REPLACE INTO sources (source, requires_proof, requires_attestation, merkle_root, configured_block, updated_block)
+       VALUES (?, ?, ?, ?, ?, ?)`
+    ).run(source, state.requires_proof, state.requires_attestation, state.merkle_root, state.configured_block,
+      rows[rows.length - 1].block_number);
+  }
+
+  function refreshRole(role, account) {
+    const latest = db.prepare(
+      `SELECT block_number, role_name, granted FROM role_events WHERE role = ? AND account = ?
+       ORDER BY block_number DESC, log_index DESC LIMIT 1`
+    ).get(role, account);
+    if (!latest || !latest.granted) {
+      db.prepare("DELETE FROM roles WHERE role = ? AND account = ?").run(role, account);
+      return;
+    }
+    db.prepare("INSERT OR REPLACE INTO roles (role, role_name, account, since_block) VALUES (?, ?, ?, ?)")
+      .run(role, latest.role_name, account, latest.block_number);
+  }
+
+  function refresh(keys) {
+    for (const u of keys.users) refreshUser(u);
+    for (const s of keys.sources) refreshSource(s);
+    for (const [role, account] of keys.roles.values()) refreshRole(role, account);
+  }
+
+  /* --------------------------------- reorgs --------------------------------- */
+
+  /** Delete everything above `fork` and rebuild the state it touched. */
+  function rollback(fork) {
+    db.transaction(() => {
+      const keys = { users: new Set(), sources: new Set(), roles: new Map() };
+      for (const t of ["submissions", "stakes", "penalties"]) {
+        for (const r of db.prepare(`SELECT DISTINCT user FROM ${t} WHERE block_number > ?`).all(fork)) {
+          keys.users.add(r.user);
+        }
+      }
+      for (const r of db.prepare("SELECT DISTINCT source FROM source_events WHERE block_number > ?").all(fork)) {
+        keys.sources.add(r.source);
+      }
+      for (const r of db.prepare("SELECT DISTINCT role, account FROM role_events WHERE block_number > ?").all(fork)) {
+        keys.roles.set(`${r.role}|${r.account}`, [r.role, r.account]);
+      }
+
+      for (const t of LEDGER_TABLES) db.prepare(`DELETE FROM ${t} WHERE block_number > ?`).run(fork);
+      db.prepare("DELETE FROM blocks WHERE number > ?").run(fork);
+      setMeta.run("last_block", String(fork));
+      refresh(keys);
+    })();
+  }
+
+  /** Detect a reorg below the checkpoint and roll back to the newest canonical stored block. */
+  async function checkReorg() {
+    const last = lastBlock();
+    const stored = db.prepare("SELECT hash FROM blocks WHERE number = ?").get(last);
+    if (!stored) return false;
+
+    const head = await provider.getBlock(last);
+    if (head && head.hash === stored.hash) return false;
+
+    const start = Number(meta("start_block"));
+    let fork = start - 1;
+    const candidates = db.prepare("SELECT number, hash FROM blocks WHERE number < ? ORDER BY number DESC").all(last);
+    for (const c of candidates) {
+      const b = await provider.getBlock(c.number);
+      if (b && b.hash === c.hash) {
+        fork = c.number;
+        break;
+      }
+    }
+
+    log(`reorg detected at block ${last}; rolling back to ${fork}`);
+    rollback(fork);
+    return true;
+  }
+
+  /* --------------------------------- batches --------------------------------- */
+
+  async function indexRange(from, to) {
+    const logs = await provider.getLogs({ address, fromBlock: from, toBlock: to });
+
+    // One header per block with logs (timestamp + hash check) plus the checkpoint block.
+    const numbers = [...new Set([...logs.map((l) => l.blockNumber), to])];
+    const headers = new Map();
+    for (const n of numbers) {
+      const b = await provider.getBlock(n);
+      if (!b) throw new Error(`Block ${n} not found (node behind?)`);
+      headers.set(n, b);
+    }
+    for (const l of logs) {
+      if (headers.get(l.blockNumber).hash !== l.blockHash) {
+        throw new Error(`Block ${l.blockNumber} changed while indexing; retrying next round`);
+      }
+    }
+
+    const rows = [];
+    const events = [];
+    for (const l of logs) {
+      let parsed;
+      try {
+        parsed = iface.parseLog(l);
+      } catch (_) {
+        parsed = null;
+      }
+      if (!parsed) continue;
+
+      const at = {
+        block_number: l.blockNumber,
+        log_index: l.index,
+        tx_hash: l.transactionHash,
+        timestamp: headers.get(l.blockNumber).timestamp,
+      };
+      events.push([at.block_number, at.log_index, at.tx_hash, parsed.name, argsToJSON(parsed.fragment, parsed.args)]);
+      rows.push(...project(parsed, at));
+    }
+
+    db.transaction(() => {
+      for (const e of events) putEvent.run(...e);
+      for (const { table, row } of rows) insert(table, row);
+      for (const [n, b] of headers) putBlock.run(n, b.hash, b.timestamp);
+      refresh(touchedKeys(rows));
+      setMeta.run("last_block", String(to));
+    })();
+
+    return events.length;
+  }
+
+  /**
+   * Index from the checkpoint up to `head - confirmations`.
+   * @returns {Promise<{from:number, to:number, events:number, reorgs:number}>}
+   */
+  async function sync() {
+    if (!meta("token")) await init();
+    if (syncing) return { from: lastBlock() + 1, to: lastBlock(), events: 0, reorgs: 0 };
+    syncing = true;
+    try {
+      const from = lastBlock() + 1;
+      let events = 0;
+      let reorgs = 0;
+      for (;;) {
+        if (await checkReorg()) reorgs++;
+        const target = (await provider.getBlockNumber()) - confirmations;
+        const next = lastBlock() + 1;
+        if (next > target) break;
+        const to = Math.min(target, next + batchSize - 1);
+        const n = await indexRange(next, to);
+        events += n;
+        log(`indexed ${next}..${to} (${n} events)`);
+      }
+      return { from, to: lastBlock(), events, reorgs };
+    } finally {
+      syncing = false;
+    }
+  }
+
+  function status() {
+    const count = (t) => db.prepare(`SELECT COUNT(*) AS n FROM ${t}`).get().n;
+    return {
+      token: address,
+      chainId: meta("chain_id") || null,
+      startBlock: meta("start_block") != null ? Number(meta("start_block")) : startBlock,
+      lastBlock: meta("last_block") != null ? lastBlock() : null,
+      running: Boolean(timer),
+      counts: Object.fromEntries(["events", "submissions", "stakes", "penalties", "users", "sources", "roles"]
+        .map((t) => [t, count(t)])),
+    };
+  }
+
+  /** Follow new blocks every `intervalMs`. */
+  function start(intervalMs = 5000) {
+    if (timer) return;
+    timer = setInterval(() => {
+      sync().catch((e) => log(`sync error: ${e?.shortMessage || e?.message || e}`));
+    }, intervalMs);
+  }
+
+  function stop() {
+    if (timer) clearInterval(timer);
+    timer = null;
+  }
+
+  return { init, sync, start, stop, status };
+}
+
+/**
+ * Binary-search the block in which `address` got code (the proxy deployment block).
+ * Needs a node that serves historical `eth_getCode` (archive or recent enough).
+ * @returns {Promise<number>}
+ */
+async function findDeploymentBlock(provider, address) {
+  let hi = await provider.getBlockNumber();
+  if ((await provider.getCode(address, hi)) === "0x") throw new Error(`No code at ${address}`);
+  let lo = 0;
+  while (lo < hi) {
+    const mid = Math.floor((lo + hi) / 2);
+    if ((await provider.getCode(address, mid)) === "0x") lo = mid + 1;
+    else hi = mid;
+  }
+  return lo;
+}
+
+module.exports = { createIndexer, findDeploymentBlock };
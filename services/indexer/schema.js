@@ -0,0 +1,183 @@
+// services/indexer/schema.js
+// SQLite schema for the GemStep event indexer.
+//
+// Layout:
+//  - Ledger tables are append-only, one row per decoded log, keyed by (block_number, log_index).
+//    Re-indexing a range is an INSERT OR REPLACE no-op; a reorg deletes rows above the fork.
+//  - State tables (users, sources, roles) are materialized from the ledgers for the keys a batch
+//    touched, so they are rebuilt the same way after a rollback.
+//  - uint256 values are stored as decimal TEXT (SQLite integers are 64-bit); counters that always
+//    fit (steps, timestamps, block numbers) are INTEGER.
+const SCHEMA_VERSION = 1;
+
+const DDL = `
+CREATE TABLE IF NOT EXISTS meta (
+  key   TEXT PRIMARY KEY,
+  value TEXT NOT NULL
+);
+
+-- Hashes of indexed blocks (every block with logs + every batch checkpoint), for reorg detection.
+CREATE TABLE IF NOT EXISTS blocks (
+  number    INTEGER PRIMARY KEY,
+  hash      TEXT NOT NULL,
+  timestamp INTEGER
+);
+
+-- Every decoded token log, args as JSON (bigints as strings).
+CREATE TABLE IF NOT EXISTS events (
+  block_number INTEGER NOT NULL,
+  log_index    INTEGER NOT NULL,
+  tx_hash      TEXT NOT NULL,
+  name         TEXT NOT NULL,
+  args         TEXT NOT NULL,
+  PRIMARY KEY (block_number, log_index)
+);
+CREATE INDEX IF NOT EXISTS events_name ON events (name);
+
+CREATE TABLE IF NOT EXISTS submissions (
+  block_number INTEGER NOT NULL,
+  log_index    INTEGER NOT NULL,
+  tx_hash      TEXT NOT NULL,
+  user         TEXT NOT NULL,
+  beneficiary  TEXT NOT NULL,
+  steps        INTEGER NOT NULL,
+  reward       TEXT NOT NULL,
+  timestamp    INTEGER NOT NULL,
+  source       TEXT NOT NULL,
+  version      TEXT NOT NULL,
+  PRIMARY KEY (block_number, log_index)
+);
+CREATE INDEX IF NOT EXISTS submissions_user ON submissions (user);
+CREATE INDEX IF NOT EXISTS submissions_source ON submissions (source);
+
+-- kind: 'stake' | 'withdraw'
+CREATE TABLE IF NOT EXISTS stakes (
+  block_number INTEGER NOT NULL,
+  log_index    INTEGER NOT NULL,
+  tx_hash      TEXT NOT NULL,
+  user         TEXT NOT NULL,
+  kind         TEXT NOT NULL,
+  amount       TEXT NOT NULL,
+  PRIMARY KEY (block_number, log_index)
+);
+CREATE INDEX IF NOT EXISTS stakes_user ON stakes (user);
+
+-- kind: 'penalty' (amount set) | 'suspension' (suspended_until set)
+CREATE TABLE IF NOT EXISTS penalties (
+  block_number    INTEGER NOT NULL,
+  log_index       INTEGER NOT NULL,
+  tx_hash         TEXT NOT NULL,
+  user            TEXT NOT NULL,
+  kind            TEXT NOT NULL,
+  amount          TEXT,
+  suspended_until INTEGER,
+  PRIMARY KEY (block_number, log_index)
+);
+CREATE INDEX IF NOT EXISTS penalties_user ON penalties (user);
+
+-- kind: 'configured' (flags set, root reset to 0) | 'merkle_root'
+CREATE TABLE IF NOT EXISTS source_events (
+  block_number         INTEGER NOT NULL,
+  log_index            INTEGER NOT NULL,
+  tx_hash              TEXT NOT NULL,
+  source               TEXT NOT NULL,
+  kind                 TEXT NOT NULL,
+  requires_proof       INTEGER,
+  requires_attestation INTEGER,
+  merkle_root          TEXT,
+  PRIMARY KEY (block_number, log_index)
+);
+CREATE INDEX IF NOT EXISTS source_events_source ON source_events (source);
+
+-- role: AccessControl role id, or the pseudo-roles TRUSTED_API / TRUSTED_DEVICE / TRUSTED_ERC1271
+CREATE TABLE IF NOT EXISTS role_events (
+  block_number INTEGER NOT NULL,
+  log_index    INTEGER NOT NULL,
+  tx_hash      TEXT NOT NULL,
+  role         TEXT NOT NULL,
+  role_name    TEXT,
+  account      TEXT NOT NULL,
+  granted      INTEGER NOT NULL,
+  sender       TEXT,
+  PRIMARY KEY (block_number, log_index)
+);
+CREATE INDEX IF NOT EXISTS role_events_key ON role_events (role, account);
+
+-- kind: 'mint' | 'burn' (total_supply) | 'month_rollover' (month, monthly_cap) | 'halving' (monthly_cap, halving_count)
+CREATE TABLE IF NOT EXISTS supply_snapshots (
+  block_number  INTEGER NOT NULL,
+  log_index     INTEGER NOT NULL,
+  tx_hash       TEXT NOT NULL,
+  timestamp     INTEGER NOT NULL,
+  kind          TEXT NOT NULL,
+  amount        TEXT,
+  total_supply  TEXT,
+  month         INTEGER,
+  monthly_cap   TEXT,
+  halving_count INTEGER,
+  PRIMARY KEY (block_number, log_index)
+);
+
+/* ---------------------------- materialized state ---------------------------- */
+
+CREATE TABLE IF NOT EXISTS users (
+  address         TEXT PRIMARY KEY,
+  submissions     INTEGER NOT NULL,
+  total_steps     INTEGER NOT NULL,
+  total_reward    TEXT NOT NULL,
+  staked          TEXT NOT NULL,
+  withdrawn       TEXT NOT NULL,
+  penalized       TEXT NOT NULL,
+  stake_balance   TEXT NOT NULL,
+  penalty_count   INTEGER NOT NULL,
+  suspended_until INTEGER,
+  last_source     TEXT,
+  first_block     INTEGER NOT NULL,
+  last_block      INTEGER NOT NULL
+);
+
+CREATE TABLE IF NOT EXISTS sources (
+  source               TEXT PRIMARY KEY,
+  requires_proof       INTEGER NOT NULL,
+  requires_attestation INTEGER NOT NULL,
+  merkle_root          TEXT NOT NULL,
+  configured_block     INTEGER NOT NULL,
+  updated_block        INTEGER NOT NULL
+);
+
+CREATE TABLE IF NOT EXISTS roles (
+  role       TEXT NOT NULL,
+  role_name  TEXT,
+  account    TEXT NOT NULL,
+  since_block INTEGER NOT NULL,
+  PRIMARY KEY (role, account)
+);
+`;
+
+/** Ledger tables keyed by (block_number, log_index); rolled back together on reorg. */
+const LEDGER_TABLES = [
+  "events",
+  "submissions",
+  "stakes",
+  "penalties",
+  "source_events",
+  "role_events",
+  "supply_snapshots",
+];
+
+/**
+ * Create tables if missing and check the schema version.
+ * @param {import("better-sqlite3").Database} db
+ */
+function migrate(db) {
+  db.pragma("journal_mode = WAL");
+  db.exec(DDL);
+  const row = db.prepare("SELECT value FROM meta WHERE key = 'schema_version'").get();
+  if (!row) {
+    db.prepare("INSERT INTO meta (key, value) VALUES ('schema_version', ?)").run(String(SCHEMA_VERSION));
+  } else if (Number(row.value) !== SCHEMA_VERSION) {
+    throw new Error(`Indexer DB schema v${row.value} != v${SCHEMA_VERSION}; re-create the database`);
+  }
+}
+
+module.exports = { SCHEMA_VERSION, LEDGER_TABLES, migrate };
@@ -0,0 +1,5 @@
+// services/relayer/index.js
+module.exports = {
+  ...require("./relayer"),
+  ...require("./server"),
+};
@@ -0,0 +1,335 @@
+// services/relayer/relayer.js
+// Reference trusted-API relayer for GemStep `logSteps`.
+//
+// Flow:
+//  1. A user signs their StepSubmission (EIP-712, same digest the token checks) and POSTs it.
+//  2. The relayer recovers the user signature, checks the payload against on-chain state
+//     (nonce, deadline window, stepLimit, source, payload version, daily cap, min interval,
+//     suspension) and queues it per user in nonce order.
+//  3. When an entry is next in line and its min-interval window is open, the relayer re-signs
+//     the submission with its API_SIGNER_ROLE key and sends `logSteps` from the trusted-API key.
+//
+// Why re-sign: on the trusted-API path the token requires the recovered signer to hold
+// API_SIGNER_ROLE ("Unauthorized API signer"); the user signature only authenticates the user
+// to this relayer. Trusted-API callers are exempt from the stake check but NOT from daily caps
+// or min intervals (see GS_AnomalyAndFraud._applyFraudPrevention).
+const { ethers } = require("ethers");
+const {
+  TOKEN_SDK_ABI,
+  ROLES,
+  buildStepSubmission,
+  buildVerificationData,
+  resolveStepDomain,
+  recoverStepSigner,
+  signStepSubmission,
+  versionHash,
+} = require("../../sdk");
+
+const ENTRY_STATES = ["queued", "submitting", "submitted", "failed", "dropped"];
+
+/**
+ * Create a relayer bound to one token deployment.
+ *
+ * @param {object} p
+ * @param {string} p.token token proxy address
+ * @param {import("ethers").Signer} p.relayer trusted-API key (sends transactions)
+ * @param {import("ethers").Signer} [p.apiSigner] API_SIGNER_ROLE key, defaults to `relayer`
+ * @param {(msg:string)=>void} [p.log]
+ * @returns relayer handle: { init, submit, pump, status, entry, start, stop }
+ */
+function createRelayer({ token, relayer, apiSigner = relayer, log = () => {} }) {
+  const provider = relayer.provider;
+  if (!provider) throw new Error("relayer signer must be connected to a provider");
+
+  const tok = new ethers.Contract(token, TOKEN_SDK_ABI, relayer);
+
+  /** user(lowercase) => entries sorted by nonce */
+  const queues = new Map();
+  /** id => entry */
+  const entries = new Map();
+  const stats = { received: 0, rejected: 0, submitted: 0, failed: 0, dropped: 0 };
+
+  let domainParams = null;
+  let relayerAddr = null;
+  let apiSignerAddr = null;
+  let timer = null;
+  let pumping = false;
+  let seq = 0;
+
+  async function now() {
+    return BigInt((await provider.getBlock("latest")).timestamp);
+  }
+
+  /** Resolve the EIP-712 domain and make sure the relayer keys are actually authorized. */
+  async function init() {
+    domainParams = await resolveStepDomain(token, provider);
+    relayerAddr = await relayer.getAddress();
+    apiSignerAddr = await apiSigner.getAddress();
+
+    const [, , , , apiTrusted] = await tok.getUserCoreStatus(relayerAddr);
+    if (!apiTrusted) throw new Error(`Relayer ${relayerAddr} is not a trusted API (setTrustedAPI)`);
+    if (!(await tok.hasRole(ROLES.API_SIGNER_ROLE, apiSignerAddr))) {
+      throw new Error(`API signer ${apiSignerAddr} lacks API_SIGNER_ROLE`);
+    }
+    log(`relayer ready: token=${token} relayer=${relayerAddr} apiSigner=${apiSignerAddr}`);
+    return { ...domainParams, relayer: relayerAddr, apiSigner: apiSignerAddr };
+  }
+
+  function pendingFor(user) {
+    return queues.get(user.toLowerCase()) || [];
+  }
+
+  /**
+   * Validate a signed user payload against current chain state.
+   * @returns {Promise<{failures:{reason:string, detail?:string}[], notBefore:bigint}>}
+   */
+  async function validate(submission, userSignature) {
+    const failures = [];
+    const fail = (reason, detail) => failures.push(detail ? { reason, detail } : { reason });
+    const ts = await now();
+
+    let signer = null;
+    try {
+      signer = recoverStepSigner(submission, userSignature, domainParams);
+    } catch (_) {}
+    if (!signer || signer !== submission.user) {
+      fail("Signer must be user", `recovered=${signer}`);
+    }
+
+    if (await tok.paused()) fail("Contract paused");
+
+    const [, , suspendedUntil] = await tok.getUserCoreStatus(submission.user);
+    if (ts < suspendedUntil) fail("Account suspended", `until=${suspendedUntil}`);
+
+    // Nonce: past nonces are dead; future ones wait in the queue behind their predecessors.
+    const onchainNonce = await tok.nonces(submission.user);
+    if (submission.nonce < onchainNonce) {
+      fail("Invalid nonce", `nonce=${submission.nonce} onchain=${onchainNonce}`);
+    }
+    if (pendingFor(submission.user).some((e) => e.submission.nonce === submission.nonce)) {
+      fail("Nonce already queued", `nonce=${submission.nonce}`);
+    }
+
+    const [, , stepLimit, validity] = await tok.getCoreParams();
+    if (submission.deadline <= ts) fail("Signature expired", `deadline=${submission.deadline} now=${ts}`);
+    else if (submission.deadline - ts > validity) {
+      fail("Deadline too far", `window=${submission.deadline - ts}s max=${validity}s`);
+    }
+    if (submission.steps > stepLimit) fail("Step limit exceeded", `steps=${submission.steps} limit=${stepLimit}`);
+
+    if (!(await tok.isSourceValid(submission.source))) fail("Invalid source", submission.source);
+
+    const [, , , payloadSupported, payloadDeprecatesAt] = await tok.getVersionPolicy(versionHash(submission.version));
+    if (!payloadSupported) fail("Unsupported payload version", submission.version);
+    else if (payloadDeprecatesAt !== 0n && ts >= payloadDeprecatesAt) {
+      fail("Payload version deprecated", `deprecatesAt=${payloadDeprecatesAt}`);
+    }
+
+    // Daily cap + min interval, including what this relayer already holds for (user, source).
+    const [, , , maxStepsPerDay, minInterval] = await tok.getSourceConfigFields(submission.source);
+    const [lastTs, dailyTotal, dayIdx] = await tok.getUserSourceStats(submission.user, submission.source);
+    const today = ts / 86400n;
+    const queuedSameSource = pendingFor(submission.user).filter((e) => e.submission.source === submission.source);
+
+    const queuedToday = queuedSameSource.reduce((acc, e) => acc + e.submission.steps, 0n);
+    const usedToday = (dayIdx === today ? dailyTotal : 0n) + queuedToday;
+    if (usedToday + submission.steps > maxStepsPerDay) {
+      fail("Daily limit exceeded", `used=${usedToday} steps=${submission.steps} max=${maxStepsPerDay}`);
+    }
+
+    // Each queued entry for the same source pushes the earliest slot out by one interval; an entry that is
+    // already due lands now at the earliest.
+    let notBefore = lastTs === 0n ? 0n : lastTs + minInterval;
+    for (const e of queuedSameSource) {
+      const at = e.notBefore > ts ? e.notBefore : ts;
+      if (at + minInterval > notBefore) notBefore = at + minInterval;
+    }
+    if (notBefore >= submission.deadline) {
+      fail("Submission too frequent", `earliest=${notBefore} deadline=${submission.deadline}`);
+    }
+
+    return { failures, notBefore };
+  }
+
+  /**
+   * Accept a signed user payload.
+   * @param {{submission:object, verification:{signature:string, proof?:string[], attestation?:string}}} body
+   * @returns {Promise<{accepted:boolean, id?:string, failures?:object[], entry?:object}>}
+   */
+  async function submit(body) {
+    if (!domainParams) await init();
+    stats.received++;
+
+    let submission;
+    let verification;
+    try {
+      submission = buildStepSubmission(body?.submission || {});
+      verification = buildVerificationData(body?.verification || {});
+    } catch (e) {
+      stats.rejected++;
+      return { accepted: false, failures: [{ reason: "Malformed payload", detail: e.message }] };
+    }
+
+    const { failures, notBefore } = await validate(submission, verification.signature);
+    if (failures.length) {
+      stats.rejected++;
+      return { accepted: false, failures };
+    }
+
+    const entry = {
+      id: `${Date.now().toString(36)}-${(++seq).toString(36)}`,
+      state: "queued",
+      user: submission.user,
+      submission,
+      verification,
+      notBefore,
+      receivedAt: new Date().toISOString(),
+      txHash: null,
+      error: null,
+    };
+
+    const key = submission.user.toLowerCase();
+    const q = queues.get(key) || [];
+    q.push(entry);
+    q.sort((a, b) => (a.submission.nonce < b.submission.nonce ? -1 : 1));
+    queues.set(key, q);
+    entries.set(entry.id, entry);
+
+    log(`queued ${entry.id} user=${submission.user} nonce=${submission.nonce} steps=${submission.steps}`);
+    return { accepted: true, id: entry.id, entry: view(entry) };
+  }
+
+  function settle(entry, state, extra = {}) {
+    Object.assign(entry, { state }, extra);
+    stats[state] = (stats[state] || 0) + 1;
+    const key = entry.user.toLowerCase();
+    const q = (queues.get(key) || []).filter((e) => e !== entry);
+    if (q.length) queues.set(key, q);
+    else queues.delete(key);
+  }
+
+  /** Submit the head of one user queue if it is ready. Returns true when a tx was sent. */
+  async function pumpUser(q, ts) {
+    const head = q[0];
+    const onchainNonce = await tok.nonces(head.user);
+
+    if (head.submission.nonce < onchainNonce) {
+      settle(head, "dropped", { error: `nonce ${head.submission.nonce} already used on-chain` });
+      return false;
+    }
+    if (head.submission.nonce > onchainNonce) return false; // waiting for a predecessor
+    if (head.submission.deadline <= ts) {
+      settle(head, "dropped", { error: "Signature expired before it could be relayed" });
+      return false;
+    }
+    if (ts < head.notBefore) return false;
+
+    head.state = "submitting";
+    try {
+      const apiSig = await signStepSubmission(apiSigner, head.submission, domainParams);
+      const verification = { ...head.verification, signature: apiSig };
+
+      await tok.logSteps.staticCall(head.submission, verification);
+      const tx = await tok.logSteps(head.submission, verification);
+      head.txHash = tx.hash;
+      const rcpt = await tx.wait();
+      settle(head, "submitted", { blockNumber: rcpt.blockNumber });
+      log(`submitted ${head.id} tx=${tx.hash}`);
+      return true;
+    } catch (e) {
+      const reason = e?.reason || e?.shortMessage || e?.message || String(e);
+      // Interval/cap can still move between intake and relay; retry those on a later pump.
+      if (/Submission too frequent/.test(reason)) {
+        head.state = "queued";
+        const [, , , , minInterval] = await tok.getSourceConfigFields(head.submission.source);
+        head.notBefore = ts + minInterval;
+        return false;
+      }
+      settle(head, "failed", { error: reason });
+      log(`failed ${head.id}: ${reason}`);
+      return false;
+    }
+  }
+
+  /**
+   * One relay pass over all user queues. Transactions are sent sequentially so the relayer
+   * key's own nonce never races.
+   * @returns {Promise<number>} transactions sent
+   */
+  async function pump() {
+    if (!domainParams) await init();
+    if (pumping) return 0;
+    pumping = true;
+    let sent = 0;
+    try {
+      const ts = await now();
+      for (const q of [...queues.values()]) {
+        if (q.length && (await pumpUser(q, ts))) sent++;
+      }
+    } finally {
+      pumping = false;
+    }
+    return sent;
+  }
+
+  function view(e) {
+    return JSON.parse(
+      JSON.stringify(
+        {
+          id: e.id,
+          state: e.state,
+          user: e.user,
+          nonce: e.submission.nonce,
+          steps: e.submission.steps,
+          source: e.submission.source,
+          deadline: e.submission.deadline,
+          notBefore: e.notBefore,
+          receivedAt: e.receivedAt,
+          txHash: e.txHash,
+          blockNumber: e.blockNumber ?? null,
+          error: e.error,
+        },
+        (_, v) => (typeof v === "bigint" ? v.toString() : v)
+      )
+    );
+  }
+
+  /** JSON status snapshot. */
+  function status() {
+    const byUser = {};
+    for (const [, q] of queues) {
+      if (q.length) byUser[q[0].user] = q.map(view);
+    }
+    return {
+      token,
+      chainId: domainParams ? domainParams.chainId.toString() : null,
+      relayer: relayerAddr,
+      apiSigner: apiSignerAddr,
+      running: Boolean(timer),
+      stats: { ...stats },
+      queues: byUser,
+    };
+  }
+
+  function entry(id) {
+    const e = entries.get(id);
+    return e ? view(e) : null;
+  }
+
+  /** Start pumping every `intervalMs`. */
+  function start(intervalMs = 2000) {
+    if (timer) return;
+    timer = setInterval(() => {
+      pump().catch((e) => log(`pump error: ${e?.message || e}`));
+    }, intervalMs);
+  }
+
+  function stop() {
+    if (timer) clearInterval(timer);
+    timer = null;
+  }
+
+  return { init, submit, pump, status, entry, start, stop };
+}
+
+module.exports = { createRelayer, ENTRY_STATES };
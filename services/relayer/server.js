@@ -0,0 +1,78 @@
+// services/relayer/server.js
+// Minimal JSON HTTP front-end for the relayer (node:http only, no framework).
+//
+//   POST /submit       { submission, verification }  -> 202 { id, entry } | 400 { failures }
+//   GET  /status       queue + counters snapshot
+//   GET  /status/:id   single entry
+//   GET  /health       { ok: true }
+const http = require("http");
+
+const MAX_BODY_BYTES = 64 * 1024;
+
+function send(res, code, body) {
+  const json = JSON.stringify(body, (_, v) => (typeof v === "bigint" ? v.toString() : v));
+  res.writeHead(code, { "content-type": "application/json" });
+  res.end(json);
+}
+
+function readJson(req) {
+  return new Promise((resolve, reject) => {
+    let size = 0;
+    const chunks = [];
+    req.on("data", (c) => {
+      size += c.length;
+      if (size > MAX_BODY_BYTES) {
+        reject(new Error("Body too large"));
+        req.destroy();
+        return;
+      }
+      chunks.push(c);
+    });
+    req.on("end", () => {
+      try {
+        resolve(JSON.parse(Buffer.concat(chunks).toString("utf8") || "{}"));
+      } catch (_) {
+        reject(new Error("Invalid JSON"));
+      }
+    });
+    req.on("error", reject);
+  });
+}
+
+/**
+ * Wrap a relayer handle (see relayer.js) in an HTTP server. Call `.listen(port)` on the result.
+ * @param {ReturnType<import("./relayer").createRelayer>} relayer
+ * @returns {import("http").Server}
+ */
+function createRelayerServer(relayer) {
+  return http.createServer(async (req, res) => {
+    const url = new URL(req.url, "http://localhost");
+    try {
+      if (req.method === "GET" && url.pathname === "/health") {
+        return send(res, 200, { ok: true });
+      }
+      if (req.method === "GET" && url.pathname === "/status") {
+        return send(res, 200, relayer.status());
+      }
+      if (req.method === "GET" && url.pathname.startsWith("/status/")) {
+        const e = relayer.entry(decodeURIComponent(url.pathname.slice("/status/".length)));
+        return e ? send(res, 200, e) : send(res, 404, { error: "Unknown id" });
+      }
+      if (req.method === "POST" && url.pathname === "/submit") {
+        let body;
+        try {
+          body = await readJson(req);
+        } catch (e) {
+          return send(res, 400, { accepted: false, failures: [{ reason: e.message }] });
+        }
+        const out = await relayer.submit(body);
+        return send(res, out.accepted ? 202 : 400, out);
+      }
+      return send(res, 404, { error: "Not found" });
+    } catch (e) {
+      return send(res, 500, { error: e?.shortMessage || e?.message || String(e) });
+    }
+  });
+}
+
+module.exports = { createRelayerServer };
@@ -5,28 +5,14 @@ const { ethers, upgrades } = require("hardhat");
 const { time, loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
 
 /* ---------- EIP712 helper ---------- */
-const EIP712_NAME = "GemStep";
-const EIP712_VERSION = "1.0.0";
-const STEPLOG_TYPES = {
-  StepLog: [
-    { name: "user",        type: "address" },
-    { name: "beneficiary", type: "address" },
-    { name: "steps",       type: "uint256" },
-    { name: "nonce",       type: "uint256" },
-    { name: "deadline",    type: "uint256" },
-    { name: "chainId",     type: "uint256" },
-    { name: "source",      type: "string"  },
-    { name: "version",     type: "string"  },
-  ],
-};
+const { buildStepSubmission, signStepSubmission } = require("../sdk");
 
 async function signStepData({
   signer, verifyingContract, chainId,
   user, beneficiary, steps, nonce, deadline, source, version = "1.0.0",
 }) {
-  const domain = { name: EIP712_NAME, version: EIP712_VERSION, chainId, verifyingContract };
-  const message = { user, beneficiary, steps, nonce, deadline, chainId, source, version };
-  return signer.signTypedData(domain, STEPLOG_TYPES, message);
+  const submission = buildStepSubmission({ user, beneficiary, steps, nonce, deadline, source, version });
+  return signStepSubmission(signer, submission, { chainId, verifyingContract });
 }
 
 /* ---------- Fixture: proxy deploy + roles ---------- */
@@ -0,0 +1,273 @@
+/* eslint-disable no-undef */
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { expect } = require("chai");
+const { ethers, upgrades } = require("hardhat");
+const { time, loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+
+const { deployGemStepFixture } = require("./fixtures");
+const { ROLES, TOKEN_ADMIN_ABI, recordManifestEntry } = require("../sdk");
+const { run } = require("../cli/gemstep");
+const { jsonSafe } = require("../cli/context");
+
+const tokenIface = new ethers.Interface(TOKEN_ADMIN_ABI);
+
+describe("gemstep CLI", function () {
+  async function fixture() {
+    const base = await deployGemStepFixture();
+    const { token, timelock, admin } = base;
+    const overrides = {
+      provider: ethers.provider,
+      signer: admin,
+      cosigner: null,
+      addresses: { token: await token.getAddress(), timelock: await timelock.getAddress() },
+      log: () => {},
+      table: () => {},
+    };
+    return { ...base, overrides };
+  }
+
+  const dirs = [];
+  after(() => dirs.forEach((d) => fs.rmSync(d, { recursive: true, force: true })));
+
+  // loadFixture reverts the chain but not the files, so every test gets a fresh ledger directory.
+  async function setup() {
+    const fx = await loadFixture(fixture);
+    const dir = dirs[dirs.push(fs.mkdtempSync(path.join(os.tmpdir(), "gs-ledger-"))) - 1];
+    return { ...fx, overrides: { ...fx.overrides, ledger: path.join(dir, "ops.json") } };
+  }
+
+  const gemstep = (argv, overrides) => run([...argv, "--network", "hardhat"], overrides);
+
+  it("grants and revokes roles directly; --dry-run sends nothing", async function () {
+    const { token, user1, overrides } = await setup();
+
+    const dry = await gemstep(["roles", "grant", "PAUSER", user1.address, "--dry-run"], overrides);
+    expect(dry.transactions).to.have.length(1);
+    expect(dry.transactions[0]).to.include({ dryRun: true, simulated: true });
+    expect(await token.hasRole(ROLES.PAUSER_ROLE, user1.address)).to.equal(false);
+
+    const granted = await gemstep(["roles", "grant", "PAUSER_ROLE", user1.address], overrides);
+    expect(granted.result.action).to.equal("granted");
+    expect(await token.hasRole(ROLES.PAUSER_ROLE, user1.address)).to.equal(true);
+
+    const again = await gemstep(["roles", "grant", "PAUSER", user1.address], overrides);
+    expect(again.result.action).to.equal("none");
+    expect(again.transactions).to.have.length(0);
+
+    await gemstep(["roles", "revoke", "PAUSER", user1.address], overrides);
+    expect(await token.hasRole(ROLES.PAUSER_ROLE, user1.address)).to.equal(false);
+
+    const { result } = await gemstep(["roles", "list"], overrides);
+    expect(result.roles).to.deep.include({
+      contract: "timelock", role: "PROPOSER_ROLE", account: overrides.signer.address, label: "signer",
+    });
+  });
+
+  it("walks sources configure --via-timelock through schedule and execute", async function () {
+    const { token, timelock, overrides } = await setup();
+    await gemstep(["roles", "grant", "PARAMETER_ADMIN", await timelock.getAddress()], overrides);
+
+    const argv = ["sources", "configure", "premiumtracker", "--proof", "--attestation", "--via-timelock"];
+    const first = await gemstep(argv, overrides);
+    expect(first.result).to.include({ action: "scheduled", state: "pending", path: "direct" });
+
+    const waiting = await gemstep(argv, overrides);
+    expect(waiting.result.action).to.equal("waiting");
+
+    await time.increase(61);
+    const done = await gemstep(argv, overrides);
+    expect(done.result).to.include({ action: "executed", state: "done" });
+
+    const [requiresProof, requiresAttestation] = await token.getSourceConfigFields("premiumtracker");
+    expect([requiresProof, requiresAttestation]).to.deep.equal([true, true]);
+  });
+
+  it("schedules a raw operation to a file and executes it from the file", async function () {
+    const { token, timelock, user2, overrides } = await setup();
+    await gemstep(["roles", "grant", "DEFAULT_ADMIN_ROLE", await timelock.getAddress()], overrides);
+    const out = path.join(fs.mkdtempSync(path.join(os.tmpdir(), "gs-cli-")), "op.json");
+
+    const sched = await gemstep([
+      "timelock", "schedule", "--target", "token",
+      "--call", "grantRole(bytes32,address)", "--args", JSON.stringify([ROLES.MINTER_ROLE, user2.address]),
+      "--salt", "cli-test", "--out", out,
+    ], overrides);
+    expect(JSON.parse(JSON.stringify(sched, jsonSafe)).result.op.value).to.equal("0");
+
+    const early = await gemstep(["timelock", "execute", "--op", out], overrides).catch((e) => e);
+    expect(early.message).to.match(/pending/);
+
+    await time.increase(61);
+    const status = await gemstep(["timelock", "status", sched.result.op.id], overrides);
+    expect(status.result.state).to.equal("ready");
+
+    await gemstep(["timelock", "execute", "--op", out], overrides);
+    expect(await token.hasRole(ROLES.MINTER_ROLE, user2.address)).to.equal(true);
+  });
+
+  it("decodes a MiniMultisig proposal down to the token call", async function () {
+    const { timelock, admin, user1, user2, overrides } = await setup();
+    const mini = await (await ethers.getContractFactory("MiniMultisig2of2")).deploy(admin.address, user1.address);
+    const inner = tokenIface.encodeFunctionData("grantRole", [ROLES.MINTER_ROLE, user2.address]);
+    const schedule = timelock.interface.encodeFunctionData("schedule", [
+      overrides.addresses.token, 0, inner, ethers.ZeroHash, ethers.id("decode"), 60,
+    ]);
+    await (await mini.connect(admin).propose(await timelock.getAddress(), 0, schedule)).wait();
+
+    const addresses = { ...overrides.addresses, miniMultisig: await mini.getAddress() };
+    const { result } = await gemstep(["decode", "mini", "1"], { ...overrides, addresses });
+    expect(result).to.include({ approvals: 1, executed: false });
+    expect(result.call).to.include({ kind: "timelock", function: "schedule" });
+    expect(result.call.calls[0]).to.include({ kind: "token", function: "grantRole" });
+    expect(result.call.calls[0].args[0].display).to.equal(`MINTER_ROLE (${ROLES.MINTER_ROLE})`);
+  });
+
+  it("hands MiniMultisig proposals to the second owner as bundles, one key per step", async function () {
+    const { token, timelock, admin, user1, user2, overrides } = await setup();
+    const mini = await (await ethers.getContractFactory("MiniMultisig2of2")).deploy(admin.address, user1.address);
+    const miniAddr = await mini.getAddress();
+    await gemstep(["roles", "grant", "DEFAULT_ADMIN_ROLE", await timelock.getAddress()], overrides);
+    for (const role of [await timelock.PROPOSER_ROLE(), await timelock.EXECUTOR_ROLE()]) {
+      await (await timelock.connect(admin).grantRole(role, miniAddr)).wait();
+      await (await timelock.connect(admin).revokeRole(role, admin.address)).wait();
+    }
+
+    const dir = path.dirname(overrides.ledger);
+    const ownerA = { ...overrides, addresses: { ...overrides.addresses, miniMultisig: miniAddr }, bundleDir: dir };
+    const ownerB = { ...ownerA, signer: user1, ledger: path.join(dir, "owner-b.json") };
+    const grant = ["roles", "grant", "PAUSER", user2.address, "--via-timelock"];
+
+    const proposed = await gemstep(grant, ownerA);
+    expect(proposed.result).to.include({ action: "proposed", state: "unset" });
+    const bundle = proposed.result.tx.proposal.file;
+    expect(JSON.parse(fs.readFileSync(bundle, "utf8"))).to.deep.include({ id: "1", proposer: admin.address });
+    const [entry] = JSON.parse(fs.readFileSync(overrides.ledger, "utf8")).operations;
+    expect(entry).to.include({ id: proposed.result.op.id, state: "proposed" });
+    const again = await gemstep(grant, ownerA).catch((e) => e);
+    expect(again.message).to.match(/Already proposed as MiniMultisig #1/);
+
+    // A bundle whose calldata differs from what was proposed on chain is refused.
+    const forged = JSON.parse(fs.readFileSync(bundle, "utf8"));
+    forged.data = timelock.interface.encodeFunctionData("updateDelay", [0]);
+    forged.dataHash = ethers.keccak256(forged.data);
+    fs.writeFileSync(path.join(dir, "forged.json"), JSON.stringify(forged));
+    const refused = await gemstep(["multisig", "approve", path.join(dir, "forged.json")], ownerB).catch((e) => e);
+    expect(refused.message).to.match(/on-chain calldata does not match the bundle/);
+
+    const shown = await gemstep(["multisig", "show", bundle], ownerB);
+    expect(shown.result).to.include({ verified: true, approvals: 1, executed: false });
+    expect(shown.result.call.calls[0]).to.include({ kind: "token", function: "grantRole" });
+
+    const scheduled = await gemstep(["multisig", "approve", bundle, "--execute"], ownerB);
+    expect(scheduled.result).to.deep.include({ action: "executed", operation: { id: entry.id, state: "pending" } });
+    const [mirrored] = JSON.parse(fs.readFileSync(ownerB.ledger, "utf8")).operations;
+    expect(mirrored.op.salt).to.equal(entry.op.salt);
+    const status = await gemstep(["timelock", "status"], ownerA);
+    expect(status.result.operations.map((r) => r.state)).to.deep.equal(["pending"]);
+
+    // Executing the operation goes through a second proposal; any key may execute it once approved.
+    await time.increase(61);
+    const second = await gemstep(grant, ownerA);
+    expect(second.result).to.include({ action: "proposed", state: "ready" });
+    await gemstep(["multisig", "approve", "2"], ownerB);
+    const executed = await gemstep(["multisig", "execute", second.result.tx.proposal.file], { ...ownerB, signer: user2 });
+    expect(executed.result.operation).to.deep.equal({ id: entry.id, state: "done" });
+    expect(await token.hasRole(ROLES.PAUSER_ROLE, user2.address)).to.equal(true);
+  });
+
+  it("records batches in the ledger and drives them by id prefix", async function () {
+    const { token, timelock, user1, user2, overrides } = await setup();
+    await gemstep(["roles", "grant", "DEFAULT_ADMIN_ROLE", await timelock.getAddress()], overrides);
+    const calls = path.join(path.dirname(overrides.ledger), "calls.json");
+    fs.writeFileSync(calls, JSON.stringify([
+      { target: "token", call: "grantRole(bytes32,address)", args: [ROLES.PAUSER_ROLE, user1.address] },
+      { target: "token", call: "grantRole(bytes32,address)", args: [ROLES.PAUSER_ROLE, user2.address] },
+    ]));
+
+    const sched = await gemstep(["timelock", "schedule-batch", "--calls", calls, "--label", "pausers"], overrides);
+    const ref = sched.result.op.id.slice(0, 10);
+    const [entry] = JSON.parse(fs.readFileSync(overrides.ledger, "utf8")).operations;
+    expect(entry).to.include({ id: sched.result.op.id, kind: "batch", state: "pending", label: "pausers" });
+    expect(entry.op.salt).to.equal(sched.result.op.salt);
+
+    const waited = await gemstep(["timelock", "wait", ref, "--timeout", "0"], overrides).catch((e) => e);
+    expect(waited.message).to.match(/Timed out/);
+
+    await time.increase(61);
+    const done = await gemstep(["timelock", "wait", ref, "--execute"], overrides);
+    expect(done.result).to.include({ action: "executed", state: "done" });
+    expect(await token.hasRole(ROLES.PAUSER_ROLE, user2.address)).to.equal(true);
+
+    const { result } = await gemstep(["timelock", "list", "--all"], overrides);
+    expect(result.operations.map((r) => r.state)).to.deep.equal(["done"]);
+  });
+
+  it("cancels by id and re-imports a lost operation from events", async function () {
+    const { timelock, user1, overrides } = await setup();
+    const fromBlock = String((await ethers.provider.getBlockNumber()) + 1);
+    const argv = [
+      "timelock", "schedule", "--target", "token",
+      "--call", "grantRole(bytes32,address)", "--args", JSON.stringify([ROLES.MINTER_ROLE, user1.address]),
+    ];
+    const a = await gemstep(argv, overrides);
+    const b = await gemstep([...argv, "--salt", "second"], overrides);
+
+    const cancelled = await gemstep(["timelock", "cancel", a.result.op.id.slice(0, 12)], overrides);
+    expect(cancelled.result.action).to.equal("cancelled");
+    expect(await timelock.getTimestamp(a.result.op.id)).to.equal(0n);
+
+    // A fresh ledger recovers both operations, random salt included, from the logs alone.
+    const ledger = path.join(path.dirname(overrides.ledger), "recovered.json");
+    const synced = await gemstep(["timelock", "sync", "--from-block", fromBlock], { ...overrides, ledger });
+    expect(synced.result).to.include({ found: 2, added: 2 });
+    const byId = Object.fromEntries(JSON.parse(fs.readFileSync(ledger, "utf8")).operations.map((e) => [e.id, e]));
+    expect(byId[a.result.op.id]).to.deep.include({ state: "cancelled" });
+    expect(byId[a.result.op.id].op.salt).to.equal(a.result.op.salt);
+    expect(byId[b.result.op.id]).to.deep.include({ state: "pending" });
+
+    await time.increase(61);
+    const status = await gemstep(["timelock", "status"], { ...overrides, ledger });
+    expect(status.result.operations.map((r) => r.state)).to.deep.equal(["ready"]);
+  });
+
+  it("checks the deployment manifest against the chain before sending anything", async function () {
+    const { token, timelock, user1, overrides } = await setup();
+    const proxy = await token.getAddress();
+    const impl = await upgrades.erc1967.getImplementationAddress(proxy);
+    const { file } = recordManifestEntry("hardhat", {
+      kind: "deploy",
+      contracts: {
+        tokenProxy: proxy,
+        timelock: await timelock.getAddress(),
+        proxyAdmin: await upgrades.erc1967.getAdminAddress(proxy),
+      },
+      configuration: { minDelay: Number(await timelock.getMinDelay()) },
+      implementation: { address: impl, bytecodeHash: ethers.keccak256(await ethers.provider.getCode(impl)) },
+    }, { file: path.join(path.dirname(overrides.ledger), "hardhat-manifest.json"), chainId: 31337, latest: false });
+    const fromManifest = { ...overrides, addresses: undefined };
+    const withManifest = (argv) => gemstep([...argv, "--deployment", file], fromManifest);
+
+    const verified = await withManifest(["manifest", "verify"]);
+    expect(verified.result.ok).to.equal(true);
+    expect(verified.result.checks.map((c) => c.check)).to.include.members([
+      "chainId", "implementation bytecodeHash", "tokenProxy implementation (EIP-1967)", "tokenProxy admin (EIP-1967)", "timelock minDelay",
+    ]);
+    await withManifest(["roles", "grant", "PAUSER", user1.address]);
+    expect(await token.hasRole(ROLES.PAUSER_ROLE, user1.address)).to.equal(true);
+
+    // A delay the chain does not have: nothing is sent until the manifest is fixed (or the check skipped).
+    await withManifest(["manifest", "record", "--set", "minDelay=3600", "--note", "wrong"]);
+    const refused = await withManifest(["roles", "revoke", "PAUSER", user1.address]).catch((e) => e);
+    expect(refused.message).to.match(/disagrees with chain state[\s\S]*timelock minDelay: manifest 3600/);
+    expect(await token.hasRole(ROLES.PAUSER_ROLE, user1.address)).to.equal(true);
+    const failed = await withManifest(["manifest", "verify"]).catch((e) => e);
+    expect(failed.message).to.match(/1 check\(s\) failed: timelock minDelay/);
+
+    await withManifest(["roles", "revoke", "PAUSER", user1.address, "--skip-manifest-check"]);
+    expect(await token.hasRole(ROLES.PAUSER_ROLE, user1.address)).to.equal(false);
+    const { result } = await withManifest(["manifest", "history"]);
+    expect(result.history.map((e) => e.kind)).to.deep.equal(["deploy", "configure"]);
+  });
+});
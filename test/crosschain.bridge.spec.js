@@ -0,0 +1,142 @@
+// @ts-nocheck
+const hre = require("hardhat");
+const { expect } = require("chai");
+const { ethers } = hre;
+
+const { RETRYABLE_LIFETIME, ROLES } = require("../sdk");
+const { DEFAULT_GAS_CONFIG: GAS, deployCrossChain, startL2Network } = require("./helpers/l2network");
+
+describe("Cross-chain governance end to end (L1 → retryable → L2)", function () {
+  let l2;
+
+  before(async () => {
+    l2 = await startL2Network(hre);
+  });
+
+  const deploy = (opts) => deployCrossChain(hre, l2, opts);
+
+  async function relayOne(bridge) {
+    const touched = await bridge.relay();
+    expect(touched).to.have.length(1);
+    return touched[0];
+  }
+
+  it("sendPause: auto-redeem fails until the alias is a pauser, then a manual redeem pauses L2", async function () {
+    const { token, gov, bridge, alias, refundL2, quote, l2Admin } = await deploy();
+    const value = (await quote("0x8456cb59")) + 777n; // pause(), overpaid
+
+    await (await gov.sendPause({ value })).wait();
+    const t = await relayOne(bridge);
+    expect(t).to.include({ status: "failed", sender: alias, to: await token.getAddress(), data: "0x8456cb59" });
+    expect(t.attempts[0].revert).to.include({ code: "MISSING_ROLE" });
+    expect(t.attempts[0].revert.args).to.deep.equal({ account: alias, neededRole: ROLES.PAUSER_ROLE });
+    expect(await token.paused()).to.equal(false);
+
+    // Nothing is lost: submission fee + gas charged + refunds = deposit, refunds land on refundL2.
+    expect(t.deposit).to.equal(value);
+    expect(t.submissionFee + t.attempts[0].gasPaid + bridge.refundedTo(refundL2)).to.equal(value);
+    expect(await l2.getBalance(refundL2)).to.equal(bridge.refundedTo(refundL2));
+
+    await (await token.connect(l2Admin).grantRole(ROLES.PAUSER_ROLE, alias)).wait();
+    const redeem = await bridge.redeem(t.id);
+    expect(redeem.ok).to.equal(true);
+    expect(bridge.ticket(t.id).status).to.equal("redeemed");
+    expect(await token.paused()).to.equal(true);
+    expect((await bridge.redeem(t.id).catch((e) => e)).message).to.match(/redeemed, not redeemable/);
+  });
+
+  it("sendUnpause is auto-redeemed from the L1 governance alias", async function () {
+    const { token, gov, bridge, alias, quote, l2Admin } = await deploy();
+    await (await token.connect(l2Admin).grantRole(ROLES.PAUSER_ROLE, alias)).wait();
+
+    await (await gov.sendPause({ value: await quote("0x") })).wait();
+    expect((await relayOne(bridge)).status).to.equal("redeemed");
+    expect(await token.paused()).to.equal(true);
+
+    await (await gov.sendUnpause({ value: await quote("0x") })).wait();
+    const t = await relayOne(bridge);
+    expect(t.status).to.equal("redeemed");
+    expect(t.attempts[0].gasUsed > 0n).to.equal(true);
+    expect(t.attempts[0].gasUsed <= GAS.gasLimit).to.equal(true);
+    expect(await token.paused()).to.equal(false);
+  });
+
+  it("sendSetL1Governance wires the L1 contract, whose calls then pass onlyFromL1Governance", async function () {
+    const { token, gov, bridge, alias, quote, l2Admin } = await deploy();
+    await (await token.connect(l2Admin).grantRole(ROLES.DEFAULT_ADMIN_ROLE, alias)).wait();
+
+    await (await gov.sendSetL1Governance(await gov.getAddress(), { value: await quote("0x") })).wait();
+    expect((await relayOne(bridge)).status).to.equal("redeemed");
+    expect(await token.getL1Governance()).to.equal(await gov.getAddress());
+
+    // The L2 side only trusts the alias: a direct call fails, the same call through the bridge works.
+    const data = token.interface.encodeFunctionData("l2SetPause", [true]);
+    await expect(token.connect(l2Admin).l2SetPause(true)).to.be.revertedWith("GS: not L1 governance");
+    await (await gov.callL2(data, { value: await quote(data) })).wait();
+    const t = await relayOne(bridge);
+    expect(t.status).to.equal("redeemed");
+    expect(await token.paused()).to.equal(true);
+  });
+
+  it("holds tickets until the redeem delay has passed", async function () {
+    const { token, gov, bridge, alias, quote, l2Admin } = await deploy({ redeemDelay: 3600 });
+    await (await token.connect(l2Admin).grantRole(ROLES.PAUSER_ROLE, alias)).wait();
+
+    await (await gov.sendPause({ value: await quote("0x") })).wait();
+    const t = await relayOne(bridge);
+    expect(t.status).to.equal("pending");
+    expect(await bridge.relay()).to.deep.equal([]);
+    expect(await token.paused()).to.equal(false);
+
+    await bridge.advance(3600);
+    expect((await relayOne(bridge)).status).to.equal("redeemed");
+    expect(await token.paused()).to.equal(true);
+  });
+
+  it("refunds the call value of tickets that are cancelled or expire", async function () {
+    const { gov, bridge, refundL2, quote } = await deploy();
+    const callValue = ethers.parseEther("0.25");
+    const data = "0x8456cb59"; // pause() is not payable: every redeem reverts
+
+    await (await gov.sendRetryable(data, callValue, { value: await quote(data, callValue) })).wait();
+    await (await gov.sendRetryable(data, callValue, { value: await quote(data, callValue) })).wait();
+    const [a, b] = await bridge.relay();
+    expect([a.status, b.status]).to.deep.equal(["failed", "failed"]);
+
+    const stranger = ethers.Wallet.createRandom().address;
+    expect((await bridge.cancel(a.id, { by: stranger }).catch((e) => e)).message).to.match(/beneficiary/);
+    await bridge.cancel(a.id, { by: refundL2 });
+    expect(a.status).to.equal("cancelled");
+    expect(a.refunds.at(-1)).to.deep.include({ to: refundL2, amount: callValue });
+
+    await bridge.advance(RETRYABLE_LIFETIME);
+    expect((await relayOne(bridge)).status).to.equal("expired");
+    expect((await bridge.redeem(b.id).catch((e) => e)).message).to.match(/expired/);
+    for (const t of [a, b]) {
+      const refunded = t.refunds.reduce((s, r) => s + r.amount, 0n);
+      expect(t.submissionFee + t.attempts[0].gasPaid + refunded).to.equal(t.deposit);
+    }
+  });
+
+  it("rejects tickets the Inbox would refuse and skips auto-redeem below the L2 basefee", async function () {
+    const { token, gov, bridge, alias, quote, l2Admin } = await deploy();
+    await (await token.connect(l2Admin).grantRole(ROLES.PAUSER_ROLE, alias)).wait();
+
+    await (await gov.setGasConfig(1n, GAS.gasLimit, GAS.maxFeePerGas)).wait();
+    await (await gov.sendPause({ value: await quote("0x") })).wait();
+    const rejected = await relayOne(bridge);
+    expect(rejected.status).to.equal("rejected");
+    expect(rejected.rejected).to.match(/submission fee/);
+
+    await (await gov.setGasConfig(GAS.maxSubmissionCost, GAS.gasLimit, 1n)).wait();
+    await (await gov.sendPause({ value: await quote("0x") })).wait();
+    const skipped = await relayOne(bridge);
+    expect(skipped.status).to.equal("failed");
+    expect(skipped.skipped).to.match(/basefee/);
+    expect(skipped.attempts).to.deep.equal([]);
+
+    // A manual redeem still delivers it.
+    expect((await bridge.redeem(skipped.id)).ok).to.equal(true);
+    expect(await token.paused()).to.equal(true);
+  });
+});
@@ -0,0 +1,118 @@
+// @ts-nocheck
+const hre = require("hardhat");
+const { expect } = require("chai");
+const { ethers } = hre;
+
+const { ROLES, estimateRetryable, retryableSubmissionFee, sendFundedRetryable } = require("../sdk");
+const { DEFAULT_GAS_CONFIG: GAS, deployCrossChain, startL2Network } = require("./helpers/l2network");
+
+const gwei = (n) => ethers.parseUnits(String(n), "gwei");
+
+describe("Retryable cost estimator and auto-funding", function () {
+  let l2;
+
+  before(async () => {
+    l2 = await startL2Network(hre);
+  });
+
+  /** Mine an L1 block with the given basefee; the estimator reads the latest block's. */
+  async function setL1BaseFee(fee) {
+    await ethers.provider.send("hardhat_setNextBlockBaseFeePerGas", [ethers.toQuantity(fee)]);
+    await ethers.provider.send("evm_mine", []);
+  }
+
+  it("prices the ticket from calldata length and L1 basefee, and quotes the exact msg.value", async function () {
+    const c = await deployCrossChain(hre, l2);
+    await (await c.token.connect(c.l2Admin).grantRole(ROLES.PAUSER_ROLE, c.alias)).wait();
+
+    await setL1BaseFee(gwei(3));
+    const est = await estimateRetryable({ governance: c.gov, l2, action: "pause" });
+    expect(est).to.include({ ok: true, method: "sendPause", l2Data: "0x8456cb59", dataLength: 4, sender: c.alias });
+    expect(est.l1BaseFee).to.equal(gwei(3));
+    expect(est.submissionFee).to.equal(retryableSubmissionFee(4, gwei(3)));
+    expect(est.gasEstimate > 21_000n).to.equal(true);
+    expect(est.gasEstimate < GAS.gasLimit).to.equal(true);
+    expect(est.value).to.equal(await c.quote("0x"));
+
+    // Longer calldata costs more; an explicit basefee overrides the chain's.
+    const data = c.token.interface.encodeFunctionData("l2UpdateParams", [6000n, 10n ** 18n]);
+    const call = await estimateRetryable({ governance: c.gov, l2, action: "callL2", args: [data], l1BaseFee: gwei(7) });
+    expect(call.dataLength).to.equal(68);
+    expect(call.submissionFee).to.equal((1400n + 6n * 68n) * gwei(7));
+
+    const { tx } = await sendFundedRetryable({ governance: c.gov.connect(c.owner), l2, action: "pause" });
+    expect((await tx.wait()).status).to.equal(1);
+    const [t] = await c.bridge.relay();
+    expect(t).to.include({ status: "redeemed", deposit: est.value });
+    expect(await c.token.paused()).to.equal(true);
+  });
+
+  it("warns when the on-chain gas config would underfund the ticket", async function () {
+    const c = await deployCrossChain(hre, l2, { gas: { maxSubmissionCost: 1n, gasLimit: 25_000n, maxFeePerGas: 1n } });
+    await (await c.token.connect(c.l2Admin).grantRole(ROLES.PAUSER_ROLE, c.alias)).wait();
+
+    const est = await estimateRetryable({ governance: c.gov, l2, action: "pause" });
+    expect(est.ok).to.equal(false);
+    expect(est.warnings.map((w) => w.code)).to.deep.equal([
+      "SUBMISSION_COST_TOO_LOW",
+      "GAS_LIMIT_TOO_LOW",
+      "MAX_FEE_TOO_LOW",
+    ]);
+    expect(est.warnings[1]).to.include({ configured: 25_000n, needed: est.gasEstimate });
+    expect(est.value).to.equal(1n + 25_000n);
+
+    const r = est.recommended;
+    expect(r.maxSubmissionCost).to.equal(est.submissionFee * 3n);
+    expect(r.gasLimit).to.equal(est.gasEstimate + (est.gasEstimate * 20n) / 100n);
+    expect(r.maxFeePerGas).to.equal(est.l2BaseFee * 2n);
+    expect(r.value).to.equal(r.maxSubmissionCost + r.gasLimit * r.maxFeePerGas);
+
+    const refused = await sendFundedRetryable({ governance: c.gov, l2, action: "pause" }).catch((e) => e);
+    expect(refused.message).to.match(/SUBMISSION_COST_TOO_LOW, GAS_LIMIT_TOO_LOW, MAX_FEE_TOO_LOW/);
+  });
+
+  it("auto-funds: raises the gas config to the recommendation, then the ticket auto-redeems", async function () {
+    const c = await deployCrossChain(hre, l2, { gas: { ...GAS, maxSubmissionCost: 1n, gasLimit: 25_000n } });
+    await (await c.token.connect(c.l2Admin).grantRole(ROLES.DEFAULT_ADMIN_ROLE, c.alias)).wait();
+
+    // An L1 basefee spike makes the submission fee the dominant cost.
+    await setL1BaseFee(gwei(200));
+    const { estimate, gasConfigTx, tx } = await sendFundedRetryable({
+      governance: c.gov.connect(c.owner),
+      l2,
+      action: "setL1Governance",
+      args: [await c.gov.getAddress()],
+      updateGasConfig: true,
+    });
+    expect(gasConfigTx).to.not.equal(null);
+    expect(estimate.ok).to.equal(true);
+    const cfg = await c.gov.gasConfig();
+    expect(cfg.maxSubmissionCost).to.equal(estimate.gasConfig.maxSubmissionCost);
+    expect(cfg.maxSubmissionCost >= retryableSubmissionFee(36, gwei(200))).to.equal(true);
+    expect(cfg.maxFeePerGas).to.equal(GAS.maxFeePerGas); // already above the L2 basefee: kept
+    await tx.wait();
+
+    const [t] = await c.bridge.relay();
+    expect(t.status).to.equal("redeemed");
+    expect(t.attempts[0].gasUsed <= cfg.gasLimit).to.equal(true);
+    expect(await c.token.getL1Governance()).to.equal(await c.gov.getAddress());
+  });
+
+  it("reports an L2 call that would revert from the alias, and only sends it when forced", async function () {
+    const c = await deployCrossChain(hre, l2);
+
+    const est = await estimateRetryable({ governance: c.gov, l2, action: "pause" });
+    expect(est.gasEstimate).to.equal(null);
+    expect(est.warnings).to.have.length(1);
+    expect(est.warnings[0]).to.include({ code: "L2_CALL_REVERTS" });
+    expect(est.warnings[0].revert).to.include({ code: "MISSING_ROLE" });
+    expect(est.warnings[0].revert.args).to.deep.equal({ account: c.alias, neededRole: ROLES.PAUSER_ROLE });
+
+    const opts = { governance: c.gov.connect(c.owner), l2, action: "pause", updateGasConfig: true };
+    expect((await sendFundedRetryable(opts).catch((e) => e)).message).to.match(/L2_CALL_REVERTS/);
+    const { gasConfigTx, tx } = await sendFundedRetryable({ ...opts, force: true });
+    expect(gasConfigTx).to.equal(null);
+    await tx.wait();
+    expect((await c.bridge.relay())[0].status).to.equal("failed");
+  });
+});
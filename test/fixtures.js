@@ -2,6 +2,7 @@
 /* eslint-disable no-console */
 // @ts-nocheck
 const { ethers, upgrades } = require("hardhat");
+const { readTokenSnapshot, restoreTokenState } = require("../sdk");
 
 // ✅ MUST match GemStepStorage/GemStepCore INITIAL_SUPPLY constant:
 // 400_000_000 * 1e18
@@ -117,8 +118,9 @@ async function seedUsers(token, funderSigner, recipients, amountEach) {
   }
 }
 
-async function deployGemStepFixture() {
+async function deployGemStepFixture({ tokenContract = "GemStepToken" } = {}) {
   /**
+   * tokenContract: implementation behind the proxy (GemStepToken_StateHarness for snapshot fixtures)
    * Signers:
    * - admin: receives roles in initialize()
    * - treasury: receives the INITIAL_SUPPLY mint in initialize() (in your current design)
@@ -149,7 +151,7 @@ async function deployGemStepFixture() {
 
   // 3) Deploy proxy token
   // initialize(uint256 initialSupply, address admin, address _priceOracle, address _treasury)
-  const GemStepToken = await ethers.getContractFactory("GemStepToken");
+  const GemStepToken = await ethers.getContractFactory(tokenContract);
 
   const token = await upgrades.deployProxy(
     GemStepToken,
@@ -201,4 +203,31 @@ async function deployGemStepFixture() {
   };
 }
 
-module.exports = { deployGemStepFixture, INITIAL_SUPPLY };
+const snapshotFixtures = new Map();
+
+/**
+ * Fixture whose token carries a saved token snapshot (sdk/snapshot.js, scripts/export_token_state.js):
+ * the usual wiring with GemStepToken_StateHarness behind the proxy, then the snapshot restored over it.
+ * The local admin keeps its roles; the fixture's own holders are zeroed unless the snapshot lists them.
+ *
+ *   const fx = await loadFixture(snapshotFixture("test/snapshots/arbitrumSepolia.json"));
+ *
+ * Returns the same function per file, as loadFixture needs.
+ */
+function snapshotFixture(file) {
+  if (!snapshotFixtures.has(file)) {
+    snapshotFixtures.set(file, async function deployGemStepSnapshotFixture() {
+      const snapshot = readTokenSnapshot(file);
+      const fx = await deployGemStepFixture({ tokenContract: "GemStepToken_StateHarness" });
+      const clearHolders = [fx.admin, fx.treasury, fx.user1, fx.user2].map((s) => s.address);
+      const restored = await restoreTokenState(fx.token.connect(fx.admin), snapshot, { clearHolders });
+      if (!restored.supplyMatches) {
+        throw new Error(`[fixture] ${file}: totalSupply ${restored.totalSupply} != snapshot ${snapshot.totalSupply}`);
+      }
+      return { ...fx, snapshot };
+    });
+  }
+  return snapshotFixtures.get(file);
+}
+
+module.exports = { deployGemStepFixture, snapshotFixture, INITIAL_SUPPLY };
@@ -0,0 +1,66 @@
+/* eslint-disable no-undef */
+const { expect } = require("chai");
+const { ethers, upgrades } = require("hardhat");
+const { time, loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+
+const {
+  INITIAL_SUPPLY,
+  planPopulation,
+  readAnomalyPolicy,
+  runFraudModel,
+  runFraudSimulation,
+  summarizeFraudRun,
+  compareFraudOutcomes,
+} = require("../sdk");
+
+const SOURCE = "simwalk";
+const DAY = 86400n;
+
+describe("Fraud simulation: synthetic population on chain vs model", function () {
+  this.timeout(600_000);
+
+  async function fixture() {
+    const [admin] = await ethers.getSigners();
+    const oracle = await (await ethers.getContractFactory("MockOracleV2")).deploy();
+    await oracle.waitForDeployment();
+    const token = await upgrades.deployProxy(
+      await ethers.getContractFactory("GemStepToken"),
+      [INITIAL_SUPPLY, admin.address, await oracle.getAddress(), admin.address],
+      { initializer: "initialize" }
+    );
+    await token.waitForDeployment();
+    await (await token.connect(admin).configureSource(SOURCE, false, false)).wait();
+    // Strictest threshold, so a short run hits flags, penalties and suspensions.
+    await (await token.connect(admin).setAnomalyThreshold(2)).wait();
+    return { token, admin };
+  }
+
+  it("drives logSteps with time travel and matches the model submission by submission", async function () {
+    const { token, admin } = await loadFixture(fixture);
+    const policy = await readAnomalyPolicy(token, SOURCE, ethers.provider);
+    expect(policy.anomalyThreshold).to.equal(2n);
+
+    const start = (BigInt(await time.latest()) / DAY + 2n) * DAY;
+    const plan = planPopulation({
+      users: 16,
+      days: 12,
+      start,
+      seed: "hardhat",
+      mix: { steady: 1, spiky: 1, cheater: 1, api: 1 },
+      profiles: { spiky: { spikeChance: 0.2 }, cheater: { base: [600, 800], ramp: 3, rampFrom: 9 } },
+    });
+    const stake = policy.stepLimit * policy.stakePerStep * 2n;
+
+    const run = await runFraudSimulation(token, plan, { admin, source: SOURCE, stake, blockTxs: 5 });
+    expect(run.outcomes).to.have.length(16 * 12 * 3);
+    expect(run.blocks).to.be.greaterThan(12 * 3);
+
+    const model = runFraudModel(run.plan, policy, { stake });
+    expect(compareFraudOutcomes(model, run.outcomes)).to.deep.equal([]);
+
+    const report = summarizeFraudRun(run.outcomes);
+    expect(report.api).to.include({ users: 4, flagged: 0, penalties: 0 });
+    expect(report.cheater.usersSuspended).to.be.greaterThan(0);
+    expect(report.cheater.stakeDrained > 0n).to.equal(true);
+  });
+});
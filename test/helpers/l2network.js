@@ -0,0 +1,81 @@
+/* eslint-disable no-undef */
+const { createProvider } = require("hardhat/internal/core/providers/construction");
+const { HardhatEthersProvider } = require("@nomicfoundation/hardhat-ethers/internal/hardhat-ethers-provider");
+const ERC1967Proxy = require("@openzeppelin/upgrades-core/artifacts/@openzeppelin/contracts-v5/proxy/ERC1967/ERC1967Proxy.sol/ERC1967Proxy.json");
+const { createRetryableBridge, l1ToL2Alias } = require("../../sdk");
+
+/** Arbitrum Nitro local devnet chain id. */
+const L2_CHAIN_ID = 412346;
+
+/**
+ * Start a second in-process Hardhat network to play L2 next to `hre.network` (L1).
+ * Same accounts and settings as the `hardhat` network, its own chain id, state and clock.
+ *
+ * Usage:
+ *   const l2 = await startL2Network(hre);
+ *   const l2Admin = await l2.getSigner(0);
+ *   const token = await (await ethers.getContractFactory("GemStepToken", l2Admin)).deploy();
+ */
+async function startL2Network(hre, { chainId = L2_CHAIN_ID } = {}) {
+  const hardhat = hre.config.networks.hardhat;
+  const config = { ...hre.config, networks: { ...hre.config.networks, hardhat: { ...hardhat, chainId } } };
+  const provider = await createProvider(config, "hardhat", hre.artifacts);
+  return new HardhatEthersProvider(provider, "l2");
+}
+
+const INITIAL_SUPPLY = 400_000_000n * 10n ** 18n;
+
+/** Default CrossChainGovernanceL1 gas config: [maxSubmissionCost, gasLimit, maxFeePerGas]. */
+const DEFAULT_GAS_CONFIG = { maxSubmissionCost: 10n ** 15n, gasLimit: 300_000n, maxFeePerGas: 2_000_000_000n };
+
+/**
+ * L1: MockInbox + CrossChainGovernanceL1 (owner = first signer); L2: GemStepToken behind an ERC1967 proxy;
+ * and a retryable bridge between them that picks up tickets from the next L1 block on.
+ */
+async function deployCrossChain(hre, l2, { gas = DEFAULT_GAS_CONFIG, redeemDelay } = {}) {
+  const { ethers } = hre;
+  const [owner] = await ethers.getSigners();
+  const l2Admin = await l2.getSigner(0);
+  const refundL2 = ethers.Wallet.createRandom().address;
+
+  const oracle = await (await ethers.getContractFactory("MockOracleV2", l2Admin)).deploy();
+  const impl = await (await ethers.getContractFactory("GemStepToken", l2Admin)).deploy();
+  const init = impl.interface.encodeFunctionData("initialize", [
+    INITIAL_SUPPLY,
+    l2Admin.address,
+    await oracle.getAddress(),
+    l2Admin.address,
+  ]);
+  const proxy = await new ethers.ContractFactory(ERC1967Proxy.abi, ERC1967Proxy.bytecode, l2Admin).deploy(
+    await impl.getAddress(),
+    init
+  );
+  const token = impl.attach(await proxy.getAddress());
+
+  const inbox = await (await ethers.getContractFactory("MockInbox")).deploy();
+  const gov = await (
+    await ethers.getContractFactory("CrossChainGovernanceL1")
+  ).deploy(owner.address, await inbox.getAddress(), await token.getAddress(), refundL2, [
+    gas.maxSubmissionCost,
+    gas.gasLimit,
+    gas.maxFeePerGas,
+  ]);
+
+  const bridge = createRetryableBridge({
+    l1: ethers.provider,
+    l2,
+    inbox: await inbox.getAddress(),
+    redeemDelay,
+    fromBlock: await ethers.provider.getBlockNumber(),
+  });
+  const alias = l1ToL2Alias(await gov.getAddress());
+  const quote = async (data, callValue = 0n) => (await gov.quoteRetryable(data, callValue)).total;
+  return { owner, l2Admin, refundL2, token, inbox, gov, bridge, alias, quote };
+}
+
+module.exports = {
+  L2_CHAIN_ID,
+  DEFAULT_GAS_CONFIG,
+  startL2Network,
+  deployCrossChain,
+};
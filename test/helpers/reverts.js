@@ -2,23 +2,10 @@
 const { expect } = require("chai");
 const { ethers } = require("hardhat");
 
-/**
- * Minimal ABI that only declares your custom errors.
- * Add/remove error signatures to match your Solidity exactly.
- */
-const ERROR_ABI = [
-  "error InvalidNonce()",
-  "error SignatureExpired()",
-  "error StepLimitExceeded()",
-  "error EmergencyDelayNotPassed()",
-  "error UnsupportedVersion()",
-  "error CallerNotUserOrApi()",
-  "error CooldownActive()",
-  "error StakeParamsLocked()",
-  "error StakeOutOfBounds()",
-  "error SignerMustBeUser()",
-  "error Unauthorized()",
-];
+const { revertErrorAbi, explainRevert } = require("../../sdk");
+
+/** Every custom error the contracts (and their OpenZeppelin bases) can raise, from sdk/revert-catalog.json. */
+const ERROR_ABI = revertErrorAbi();
 
 /**
  * Build a "decoder contract" at the same address as `token` but with the error ABI
@@ -78,9 +65,39 @@ async function expectRevert(txPromise, decoder, customErrorName, fallbackReason)
   );
 }
 
+/**
+ * Assert a revert by its catalog code (sdk/revert-catalog.json), whatever form it takes on the wire:
+ * revert string, custom error or panic. Stripped builds revert without data; those are accepted under the
+ * same conditions as in {@link expectRevert}.
+ *
+ * Usage:
+ *   await expectRevertCode(token.logSteps(sub, ver), "INVALID_NONCE");
+ */
+async function expectRevertCode(txPromise, code) {
+  const allowGeneric =
+    process.env.ALLOW_GENERIC_REVERTS === "1" ||
+    process.env.SOLIDITY_COVERAGE === "1" ||
+    process.env.SOLIDITY_COVERAGE === "true";
+
+  let err;
+  try {
+    await txPromise;
+  } catch (e) {
+    err = e;
+  }
+  if (!err) throw new Error(`Expected revert ${code}, but the call succeeded`);
+
+  const r = explainRevert(err);
+  if (!r) throw err;
+  if (r.kind === "empty" && allowGeneric) return r;
+  expect(r.code, `${r.message}${r.reason != null ? ` ("${r.reason}")` : ""}`).to.equal(code);
+  return r;
+}
+
 module.exports = {
   ERROR_ABI,
   withErrorDecoder,
   mkErrorDecoderAt,   // alias
   expectRevert,
+  expectRevertCode,
 };
@@ -0,0 +1,111 @@
+/* eslint-disable no-undef */
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { expect } = require("chai");
+const { ethers, network } = require("hardhat");
+const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const Database = require("better-sqlite3");
+
+const { deployGemStepFixture } = require("./fixtures");
+const { buildSignedStepPayload } = require("../sdk");
+const { createIndexer } = require("../services/indexer");
+
+const SOURCE = "applehealth";
+
+describe("Event indexer (SQLite)", function () {
+  async function fixture() {
+    const base = await deployGemStepFixture();
+    const { token, admin, user1 } = base;
+    await (await token.connect(admin).configureSource(SOURCE, false, false)).wait();
+    await (await token.connect(user1).stake({ value: ethers.parseEther("0.01") })).wait();
+
+    const { submission, verification } = await buildSignedStepPayload({
+      token, signer: user1, user: user1.address, steps: 1200n, source: SOURCE,
+    });
+    await (await token.connect(user1).logSteps(submission, verification)).wait();
+    return base;
+  }
+
+  const open = (file = ":memory:") => new Database(file);
+  const make = async (db, token) =>
+    createIndexer({ db, provider: ethers.provider, token: await token.getAddress(), batchSize: 50 });
+
+  it("backfills submissions, stakes, sources, roles and supply", async function () {
+    const { token, admin, user1 } = await loadFixture(fixture);
+    const db = open();
+    const idx = await make(db, token);
+    await idx.sync();
+
+    const subs = db.prepare("SELECT * FROM submissions").all();
+    expect(subs).to.have.length(1);
+    expect(subs[0]).to.include({ user: user1.address, steps: 1200, source: SOURCE, version: "1.0.0" });
+
+    const u = db.prepare("SELECT * FROM users WHERE address = ?").get(user1.address);
+    expect(u).to.include({ submissions: 1, total_steps: 1200, staked: ethers.parseEther("0.01").toString() });
+    expect(u.total_reward).to.equal(subs[0].reward);
+
+    const src = db.prepare("SELECT * FROM sources WHERE source = ?").get(SOURCE);
+    expect(src).to.include({ requires_proof: 0, requires_attestation: 0, merkle_root: ethers.ZeroHash });
+
+    const roles = db.prepare("SELECT role_name FROM roles WHERE account = ?").all(admin.address).map((r) => r.role_name);
+    expect(roles).to.include.members(["DEFAULT_ADMIN_ROLE", "API_SIGNER_ROLE"]);
+
+    const lastMint = db.prepare(
+      "SELECT total_supply FROM supply_snapshots WHERE kind IN ('mint','burn') ORDER BY block_number DESC, log_index DESC"
+    ).get();
+    expect(lastMint.total_supply).to.equal((await token.totalSupply()).toString());
+    db.close();
+  });
+
+  it("is idempotent and resumes from its checkpoint after a restart", async function () {
+    const { token, admin, user2 } = await loadFixture(fixture);
+    const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), "gs-idx-")), "idx.sqlite");
+
+    let db = open(file);
+    await (await make(db, token)).sync();
+    const before = db.prepare("SELECT COUNT(*) AS n FROM events").get().n;
+    db.close();
+
+    await (await token.connect(admin).setTrustedAPI(user2.address, true)).wait();
+
+    db = open(file);
+    const idx = await make(db, token);
+    const res = await idx.sync();
+    expect(res.events).to.equal(1);
+    expect(db.prepare("SELECT COUNT(*) AS n FROM events").get().n).to.equal(before + 1);
+    expect(db.prepare("SELECT role FROM roles WHERE account = ?").get(user2.address).role).to.equal("TRUSTED_API");
+
+    // Nothing new: a second pass writes nothing.
+    expect((await idx.sync()).events).to.equal(0);
+    db.close();
+  });
+
+  it("rolls back and re-indexes after a reorg", async function () {
+    const { token, admin, user1, user2 } = await loadFixture(fixture);
+    const db = open();
+    const idx = await make(db, token);
+
+    const snap = await network.provider.send("evm_snapshot");
+    await (await token.connect(user2).stake({ value: ethers.parseEther("0.02") })).wait();
+    await (await token.connect(admin).setTrustedAPI(user2.address, true)).wait();
+    await idx.sync();
+    expect(db.prepare("SELECT * FROM users WHERE address = ?").get(user2.address)).to.not.equal(undefined);
+
+    // Replace the last two blocks with a different history of the same height + 1.
+    await network.provider.send("evm_revert", [snap]);
+    await (await token.connect(user1).withdrawStake(ethers.parseEther("0.005"))).wait();
+    await network.provider.send("evm_mine");
+    await network.provider.send("evm_mine");
+
+    const res = await idx.sync();
+    expect(res.reorgs).to.equal(1);
+    expect(db.prepare("SELECT * FROM users WHERE address = ?").get(user2.address)).to.equal(undefined);
+    expect(db.prepare("SELECT COUNT(*) AS n FROM roles WHERE account = ?").get(user2.address).n).to.equal(0);
+
+    const u1 = db.prepare("SELECT * FROM users WHERE address = ?").get(user1.address);
+    expect(u1.withdrawn).to.equal(ethers.parseEther("0.005").toString());
+    expect(u1.stake_balance).to.equal(ethers.parseEther("0.005").toString());
+    db.close();
+  });
+});
@@ -0,0 +1,223 @@
+/* eslint-disable no-undef */
+const fc = require("fast-check");
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time, loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+
+const { deployGemStepFixture } = require("./fixtures");
+const {
+  MAX_SUPPLY,
+  MIN_STAKE_PER_STEP,
+  MAX_STAKE_PER_STEP,
+  buildSignedStepPayload,
+  halvingThreshold,
+  readMintingState,
+} = require("../sdk");
+
+const SOURCE = "applehealth";
+const DAY = 86400;
+
+// FC_RUNS=200 npx hardhat test test/invariants.stateful.spec.js for a longer soak.
+const RUNS = Number(process.env.FC_RUNS || 30);
+const MAX_COMMANDS = 40;
+
+// A monthly cap a handful of submissions wide and a halving a few submissions away, so short runs hit both.
+const TEST_MONTHLY_CAP = ethers.parseEther("30");
+const TO_HALVING = ethers.parseEther("12");
+
+/**
+ * Stateful property suite: random command sequences against the token, with the invariants checked
+ * after every command. The model only keeps what the invariants need (expected nonces, slashed stake,
+ * pause/source state, last distributedTotal); each command also asserts its own immediate effect.
+ *
+ * No command moves ETH out other than withdrawStake, so the token's ETH balance must always equal the
+ * sum of stake balances plus the anomaly penalties slashed from them (which stay in the contract).
+ */
+describe("Invariants: stateful property-based suite (minting, caps, stake, nonces)", function () {
+  this.timeout(30_000 + RUNS * 2_000); // a run of MAX_COMMANDS takes ~0.25s locally; headroom for coverage
+
+  // The shared fixture with the halving harness behind the proxy, then the harness overrides.
+  async function fixture() {
+    const fx = await deployGemStepFixture({ tokenContract: "GemStepTokenHalvingHarness" });
+    const { token, priceOracle: oracle, admin, treasury } = fx;
+    const actors = [fx.user1, fx.user2, fx.rest[0]];
+
+    await (await token.connect(admin).configureSource(SOURCE, false, false)).wait();
+    await (await token.connect(admin).setTrustedAPI(admin.address, true)).wait();
+    await (await token.__setCurrentMonthlyCap(TEST_MONTHLY_CAP)).wait();
+    await (await token.__setDistributedTotal(halvingThreshold(0n) - TO_HALVING)).wait();
+    for (const a of actors) {
+      await (await token.connect(treasury).transfer(a.address, ethers.parseEther("100"))).wait();
+    }
+    return { token, oracle, admin, actors, address: await token.getAddress() };
+  }
+
+  async function attempt(send) {
+    try {
+      return { ok: true, receipt: await (await send()).wait() };
+    } catch (e) {
+      return { ok: false, message: e.message };
+    }
+  }
+
+  async function assertInvariants(m, r) {
+    const s = await readMintingState(r.token);
+    expect(s.totalSupply <= MAX_SUPPLY, "totalSupply <= MAX_SUPPLY").to.equal(true);
+    expect(s.monthMinted <= s.monthlyCap, "currentMonthMinted <= currentMonthlyCap").to.equal(true);
+    expect(s.distributedTotal >= m.distributedTotal, "distributedTotal is monotonic").to.equal(true);
+    m.distributedTotal = s.distributedTotal;
+
+    let staked = 0n;
+    for (const [i, a] of r.actors.entries()) {
+      const [, , , stake] = await r.token.getUserCoreStatus(a.address);
+      staked += stake;
+      expect(await r.token.nonces(a.address), `nonce of actor ${i}`).to.equal(m.nonces[i]);
+    }
+    expect(await ethers.provider.getBalance(r.address), "ETH = stakes + slashed").to.equal(staked + m.slashed);
+
+    const [stakePerStep] = await r.token.getStakeParams();
+    expect(stakePerStep >= MIN_STAKE_PER_STEP && stakePerStep <= MAX_STAKE_PER_STEP, "stake bounds").to.equal(true);
+    expect(await r.token.paused()).to.equal(m.paused);
+  }
+
+  const command = (label, run, check = () => true) => ({
+    check,
+    run: async (m, r) => {
+      await run(m, r);
+      await assertInvariants(m, r);
+    },
+    toString: () => label,
+  });
+
+  const actor = fc.integer({ min: 0, max: 2 });
+  const bps = fc.integer({ min: 1, max: 10_000 });
+
+  const commands = [
+    fc.tuple(actor, fc.bigInt({ min: 1n, max: ethers.parseEther("3") })).map(([i, wei]) =>
+      command(`stake(${i}, ${wei})`, async (m, r) => {
+        const res = await attempt(() => r.token.connect(r.actors[i]).stake({ value: wei }));
+        expect(res.ok, res.message).to.equal(true); // not pause-gated
+      })
+    ),
+
+    fc.tuple(actor, bps).map(([i, part]) =>
+      command(`withdrawStake(${i}, ${part}bps)`, async (m, r) => {
+        const [, , , bal] = await r.token.getUserCoreStatus(r.actors[i].address);
+        const amount = (bal * BigInt(part)) / 10_000n;
+        const res = await attempt(() => r.token.connect(r.actors[i]).withdrawStake(amount));
+        expect(res.ok, res.message).to.equal(!m.paused && amount > 0n);
+        if (res.ok) expect((await r.token.getUserCoreStatus(r.actors[i].address))[3]).to.equal(bal - amount);
+      })
+    ),
+
+    fc.tuple(actor, fc.integer({ min: 1, max: 5000 }), fc.boolean()).map(([i, steps, viaApi]) =>
+      command(`logSteps(${i}, ${steps}, ${viaApi ? "api" : "user"})`, async (m, r) => {
+        const user = r.actors[i];
+        const sender = viaApi ? r.admin : user;
+        const { submission, verification } = await buildSignedStepPayload({
+          token: r.token,
+          signer: sender,
+          user: user.address,
+          steps,
+          source: SOURCE,
+        });
+        const res = await attempt(() => r.token.connect(sender).logSteps(submission, verification));
+        if (m.paused || m.source !== "open") expect(res.ok, "paused or source closed").to.equal(false);
+        if (!res.ok) return;
+
+        m.nonces[i] += 1n;
+        for (const log of res.receipt.logs) {
+          const ev = r.token.interface.parseLog(log);
+          if (ev?.name === "PenaltyApplied") m.slashed += ev.args[1];
+        }
+      })
+    ),
+
+    fc.tuple(actor, bps).map(([i, part]) =>
+      command(`burn(${i}, ${part}bps)`, async (m, r) => {
+        const bal = await r.token.balanceOf(r.actors[i].address);
+        const amount = (bal * BigInt(part)) / 10_000n;
+        const res = await attempt(() => r.token.connect(r.actors[i]).burn(amount));
+        expect(res.ok, res.message).to.equal(!m.paused);
+        if (res.ok) expect(await r.token.balanceOf(r.actors[i].address)).to.equal(bal - amount);
+      })
+    ),
+
+    fc
+      .oneof(
+        fc.integer({ min: 60, max: 6 * 3600 }),
+        fc.integer({ min: 1, max: 3 }).map((d) => d * DAY),
+        fc.integer({ min: 28, max: 35 }).map((d) => d * DAY)
+      )
+      .map((secs) =>
+        command(`warp(${secs}s)`, async () => {
+          await time.increase(secs);
+        })
+      ),
+
+    fc.constant(
+      command(
+        "pause()",
+        async (m, r) => {
+          await (await r.token.connect(r.admin).pause()).wait();
+          m.paused = true;
+        },
+        (m) => !m.paused
+      )
+    ),
+
+    fc.constant(
+      command(
+        "unpause()",
+        async (m, r) => {
+          await (await r.token.connect(r.admin).unpause()).wait();
+          m.paused = false;
+        },
+        (m) => m.paused
+      )
+    ),
+
+    fc.integer({ min: 1, max: 20_000 }).map((microEth) =>
+      command(`adjustStakeRequirements(price ${microEth}µETH)`, async (m, r) => {
+        const price = BigInt(microEth) * 10n ** 12n;
+        await (await r.oracle.set(price, await time.latest(), 0)).wait();
+        const [, last] = await r.token.getStakeParams();
+        const cooling = BigInt(await time.latest()) + 1n < last + BigInt(DAY);
+        const res = await attempt(() => r.token.connect(r.admin).adjustStakeRequirements());
+        expect(res.ok, res.message).to.equal(!cooling);
+        if (!res.ok) return;
+
+        let target = (price * 10n) / 100n;
+        if (target < MIN_STAKE_PER_STEP) target = MIN_STAKE_PER_STEP;
+        if (target > MAX_STAKE_PER_STEP) target = MAX_STAKE_PER_STEP;
+        expect((await r.token.getStakeParams())[0]).to.equal(target);
+      })
+    ),
+
+    fc.constantFrom("open", "proof", "removed").map((mode) =>
+      command(`source(${mode})`, async (m, r) => {
+        const admin = r.token.connect(r.admin);
+        if (mode === "removed") {
+          const res = await attempt(() => admin.removeSource(SOURCE));
+          expect(res.ok, "removeSource needs a registered source").to.equal(m.source !== "removed");
+        } else {
+          await (await admin.configureSource(SOURCE, mode === "proof", false)).wait();
+        }
+        m.source = mode;
+        expect(await r.token.isSourceValid(SOURCE)).to.equal(mode !== "removed");
+      })
+    ),
+  ];
+
+  it("holds supply, cap, distribution, stake and nonce invariants over random command sequences", async function () {
+    await fc.assert(
+      fc.asyncProperty(fc.commands(commands, { maxCommands: MAX_COMMANDS }), async (cmds) => {
+        const real = await loadFixture(fixture);
+        const { distributedTotal } = await readMintingState(real.token);
+        const model = { nonces: [0n, 0n, 0n], slashed: 0n, paused: false, source: "open", distributedTotal };
+        await fc.asyncModelRun(() => ({ model, real }), cmds);
+      }),
+      { numRuns: RUNS }
+    );
+  });
+});
@@ -0,0 +1,121 @@
+/* eslint-disable no-undef */
+const { expect } = require("chai");
+const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+
+const { deployGemStepFixture } = require("./fixtures");
+const { buildSignedStepPayload, ROLES } = require("../sdk");
+const { createRelayer, createRelayerServer } = require("../services/relayer");
+
+describe("Relayer service (trusted API path)", function () {
+  async function fixture() {
+    const base = await deployGemStepFixture();
+    const { token, admin, rest } = base;
+    const relayerKey = rest[1];
+
+    for (const src of ["applehealth", "googlefit"]) {
+      await (await token.connect(admin).configureSource(src, false, false)).wait();
+    }
+    await (await token.connect(admin).setTrustedAPI(relayerKey.address, true)).wait();
+    await (await token.connect(admin).grantRole(ROLES.API_SIGNER_ROLE, relayerKey.address)).wait();
+    return { ...base, relayerKey };
+  }
+
+  // The relayer queues in memory and loadFixture only reverts the chain, so every test gets a fresh one.
+  async function setup() {
+    const fx = await loadFixture(fixture);
+    const relayer = createRelayer({ token: await fx.token.getAddress(), relayer: fx.relayerKey });
+    await relayer.init();
+    return { ...fx, relayer };
+  }
+
+  const userPayload = (token, user, opts) =>
+    buildSignedStepPayload({ token, signer: user, user: user.address, steps: 100n, ...opts });
+
+  it("refuses to start with a key that is not a trusted API", async function () {
+    const { token, user2 } = await loadFixture(fixture);
+    const bad = createRelayer({ token: await token.getAddress(), relayer: user2 });
+    let err;
+    try {
+      await bad.init();
+    } catch (e) {
+      err = e;
+    }
+    expect(err?.message).to.match(/not a trusted API/);
+  });
+
+  it("queues per user in nonce order and relays without user stake", async function () {
+    const { token, relayer, user1 } = await setup();
+
+    // Nonce 1 arrives first and must wait for nonce 0.
+    const second = await userPayload(token, user1, { source: "googlefit", nonce: 1 });
+    const first = await userPayload(token, user1, { source: "applehealth", nonce: 0 });
+
+    const r2 = await relayer.submit(second);
+    const r1 = await relayer.submit(first);
+    expect(r2.accepted).to.equal(true);
+    expect(r1.accepted).to.equal(true);
+
+    expect(relayer.status().queues[user1.address].map((e) => e.nonce)).to.deep.equal(["0", "1"]);
+
+    expect(await relayer.pump()).to.equal(1);
+    expect(relayer.entry(r1.id).state).to.equal("submitted");
+    expect(relayer.entry(r2.id).state).to.equal("queued");
+
+    expect(await relayer.pump()).to.equal(1);
+    expect(relayer.entry(r2.id).state).to.equal("submitted");
+    expect(await token.nonces(user1.address)).to.equal(2n);
+    expect(relayer.status().stats.submitted).to.equal(2);
+  });
+
+  it("rejects payloads that would revert on-chain", async function () {
+    const { token, relayer, user1, user2 } = await setup();
+
+    const tooMany = await userPayload(token, user1, { source: "applehealth", steps: 6000n });
+    const out1 = await relayer.submit(tooMany);
+    expect(out1.accepted).to.equal(false);
+    expect(out1.failures.map((f) => f.reason)).to.include("Step limit exceeded");
+
+    // user2 signs a payload for user1: relayer only accepts the user's own signature.
+    const forged = await buildSignedStepPayload({
+      token, signer: user2, user: user1.address, steps: 10n, source: "applehealth",
+    });
+    const out2 = await relayer.submit(forged);
+    expect(out2.failures.map((f) => f.reason)).to.include("Signer must be user");
+
+    // Second payload for the same source cannot clear the 1h min interval before its deadline.
+    await relayer.submit(await userPayload(token, user1, { source: "applehealth", nonce: 0 }));
+    const tooSoon = await userPayload(token, user1, { source: "applehealth", nonce: 1 });
+    const out3 = await relayer.submit(tooSoon);
+    expect(out3.failures.map((f) => f.reason)).to.include("Submission too frequent");
+  });
+
+  it("serves submit and status over HTTP", async function () {
+    const { token, relayer, user1 } = await setup();
+    const server = createRelayerServer(relayer);
+    await new Promise((r) => server.listen(0, "127.0.0.1", r));
+    const base = `http://127.0.0.1:${server.address().port}`;
+
+    try {
+      const { submission, verification } = await userPayload(token, user1, { source: "applehealth" });
+      const body = JSON.stringify({ submission, verification }, (_, v) =>
+        typeof v === "bigint" ? v.toString() : v
+      );
+
+      const res = await fetch(`${base}/submit`, { method: "POST", body });
+      expect(res.status).to.equal(202);
+      const { id } = await res.json();
+
+      await relayer.pump();
+
+      const st = await (await fetch(`${base}/status/${id}`)).json();
+      expect(st.state).to.equal("submitted");
+      expect(st.txHash).to.match(/^0x[0-9a-f]{64}$/);
+
+      const all = await (await fetch(`${base}/status`)).json();
+      expect(all.stats.submitted).to.equal(1);
+      expect(all.relayer).to.equal(relayer.status().relayer);
+    } finally {
+      await new Promise((r) => server.close(r));
+    }
+  });
+});
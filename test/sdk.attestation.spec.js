@@ -0,0 +1,99 @@
+/* eslint-disable no-undef */
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time, loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+
+const { deployGemStepFixture } = require("./fixtures");
+const {
+  buildSignedStepPayload,
+  buildAttestation,
+  verifyAttestation,
+  getAttestationPolicy,
+  decodeAttestationBlob,
+} = require("../sdk");
+
+const SOURCE = "applehealth";
+
+describe("SDK: device attestation builder + verifier", function () {
+  async function fixture() {
+    const base = await deployGemStepFixture();
+    const { token, admin, user1, rest } = base;
+    const device = rest[0];
+
+    await (await token.connect(admin).configureSource(SOURCE, false, true)).wait();
+    await (await token.connect(admin).addTrustedDevice(device.address)).wait();
+    await (await token.connect(user1).stake({ value: ethers.parseEther("0.01") })).wait();
+
+    return { ...base, device };
+  }
+
+  async function signedPayload(token, user, steps = 100n) {
+    return buildSignedStepPayload({ token, signer: user, user: user.address, steps, source: SOURCE });
+  }
+
+  it("reads the version policy and defaults to nonce-bound (v2) attestations", async function () {
+    const { token } = await loadFixture(fixture);
+    const policy = await getAttestationPolicy(token, "1.0");
+    expect(policy.version).to.equal("1.0.0");
+    expect(policy.supported).to.equal(true);
+    expect(policy.requiresNonce).to.equal(true);
+  });
+
+  it("v2 attestation pre-verifies and is accepted by logSteps", async function () {
+    const { token, user1, device } = await loadFixture(fixture);
+    const { submission, verification } = await signedPayload(token, user1);
+
+    const att = await buildAttestation({ device, submission, token });
+    expect(att.requiresNonce).to.equal(true);
+    expect(decodeAttestationBlob(att.blob).device).to.equal(device.address);
+
+    const pre = await verifyAttestation({ blob: att.blob, submission, token });
+    expect(pre.failures).to.deep.equal([]);
+    expect(pre.replayKey).to.equal(null);
+
+    await expect(
+      token.connect(user1).logSteps(submission, { ...verification, attestation: att.blob })
+    ).to.emit(token, "RewardClaimed");
+  });
+
+  it("legacy attestation is chosen automatically and its replay key is tracked", async function () {
+    const { token, admin, user1, device } = await loadFixture(fixture);
+    await (await token.connect(admin).setAttestationNonceRequired("1.0.0", false)).wait();
+
+    const { submission, verification } = await signedPayload(token, user1);
+    const att = await buildAttestation({ device, submission, token });
+    expect(att.requiresNonce).to.equal(false);
+
+    const pre = await verifyAttestation({ blob: att.blob, submission, token });
+    expect(pre.ok).to.equal(true);
+    expect(await token.usedAttestations(pre.replayKey)).to.equal(false);
+
+    await (await token.connect(user1).logSteps(submission, { ...verification, attestation: att.blob })).wait();
+    expect(await token.usedAttestations(pre.replayKey)).to.equal(true);
+
+    // Same blob for the next nonce: legacy attestations are not nonce-bound, so it is a replay.
+    const next = { ...submission, nonce: submission.nonce + 1n };
+    const again = await verifyAttestation({ blob: att.blob, submission: next, token });
+    expect(again.failures.map((f) => f.reason)).to.include("Attestation reused");
+  });
+
+  it("reports stale, untrusted and mis-signed attestations", async function () {
+    const { token, user1, user2 } = await loadFixture(fixture);
+    const { submission } = await signedPayload(token, user1);
+
+    // user2 is not a trusted device; attestation is also an hour old.
+    const old = (await time.latest()) - 3600;
+    const att = await buildAttestation({ device: user2, submission, token, timestamp: old });
+
+    const pre = await verifyAttestation({ blob: att.blob, submission, token });
+    const reasons = pre.failures.map((f) => f.reason);
+    expect(pre.ok).to.equal(false);
+    expect(reasons).to.include("Untrusted device");
+    expect(reasons).to.include("Stale attestation");
+
+    // Binding a different step count breaks the signature.
+    const tampered = { ...submission, steps: submission.steps + 1n };
+    const bad = await verifyAttestation({ blob: att.blob, submission: tampered, token });
+    expect(bad.failures.map((f) => f.reason)).to.include("Invalid attestation");
+  });
+});
@@ -0,0 +1,255 @@
+/* eslint-disable no-undef */
+const { expect } = require("chai");
+const { ethers } = require("ethers");
+
+const {
+  EIP1967_ADMIN_SLOT,
+  EIP1967_IMPLEMENTATION_SLOT,
+  L1_GOVERNANCE_ABI,
+  PROXY_ADMIN_ABI,
+  ROLES,
+  SOURCE_POLICY,
+  TIMELOCK_ABI,
+  TOKEN_ADMIN_ABI,
+  UPGRADE_EXECUTOR_ABI,
+  auditDeployment,
+  deployerOf,
+  l1ToL2Alias,
+} = require("../sdk");
+
+const addr = (n) => ethers.getAddress(`0x${n.toString(16).padStart(40, "0")}`);
+const A = {
+  token: addr(1),
+  impl: addr(2),
+  timelock: addr(3),
+  proxyAdmin: addr(4),
+  executor: addr(5),
+  mini: addr(6),
+  oracle: addr(7),
+  l1Gov: addr(8),
+  l1Timelock: addr(9),
+  multisig: addr(0xa1),
+  admin2: addr(0xa2),
+  treasury: addr(0xa3),
+  deployer: addr(0xd0),
+  stranger: addr(0xee),
+};
+const TL_ROLE = {
+  PROPOSER_ROLE: ethers.id("PROPOSER_ROLE"),
+  EXECUTOR_ROLE: ethers.id("EXECUTOR_ROLE"),
+  CANCELLER_ROLE: ethers.id("CANCELLER_ROLE"),
+  DEFAULT_ADMIN_ROLE: ethers.ZeroHash,
+};
+
+/**
+ * An in-memory chain answering eth_call for the handful of views the audit reads, plus
+ * RoleGranted logs. `world` is mutated by each test to break one invariant at a time.
+ */
+function fakeChain(world) {
+  const ifaces = {
+    [A.token]: new ethers.Interface(TOKEN_ADMIN_ABI),
+    [A.timelock]: new ethers.Interface(TIMELOCK_ABI),
+    [A.proxyAdmin]: new ethers.Interface(PROXY_ADMIN_ABI),
+    [A.executor]: new ethers.Interface(UPGRADE_EXECUTOR_ABI),
+    [A.l1Gov]: new ethers.Interface(L1_GOVERNANCE_ABI),
+  };
+  const views = {
+    [A.token]: {
+      hasRole: (role, a) => world.tokenRoles.some(([r, x]) => r === role && x === a),
+      isSourceValid: (s) => !!world.sources[s],
+      getSourceConfigFields: (s) => [...world.sources[s], ethers.ZeroHash, 0, 0],
+      treasury: () => world.treasury,
+      getArbitrumConfig: () => [ethers.ZeroAddress, ethers.ZeroAddress, 0, 0, 0, world.oracle],
+      getL1Governance: () => world.l1Governance,
+    },
+    [A.timelock]: {
+      ...Object.fromEntries(Object.entries(TL_ROLE).map(([k, v]) => [k, () => v])),
+      hasRole: (role, a) => world.tlRoles.some(([r, x]) => r === role && x === a),
+      getMinDelay: () => 60,
+    },
+    [A.proxyAdmin]: { owner: () => world.proxyAdminOwner },
+    [A.executor]: {
+      owner: () => world.executorOwner,
+      pendingOwner: () => world.executorPending,
+      upgradeDelay: () => 86400,
+    },
+    [A.l1Gov]: { owner: () => A.l1Timelock, l2Target: () => A.token },
+  };
+  const slot = (a) => ethers.zeroPadValue(a, 32);
+  const provider = {
+    getNetwork: async () => ({ chainId: 421614n }),
+    getBlockNumber: async () => 5000,
+    getCode: async (a) => (world.noCode.includes(ethers.getAddress(a)) ? "0x" : "0x6080"),
+    getStorage: async (_a, s) =>
+      slot(s === EIP1967_ADMIN_SLOT ? A.proxyAdmin : s === EIP1967_IMPLEMENTATION_SLOT ? A.impl : ethers.ZeroAddress),
+    call: async ({ to, data }) => {
+      const target = ethers.getAddress(to);
+      const fn = ifaces[target].parseTransaction({ data });
+      const out = views[target][fn.name](
+        ...fn.args.map((x) => (typeof x === "string" && ethers.isAddress(x) ? ethers.getAddress(x) : x))
+      );
+      return ifaces[target].encodeFunctionResult(fn.fragment, Array.isArray(out) ? out : [out]);
+    },
+    getLogs: async ({ address, fromBlock, toBlock }) =>
+      world.grants
+        .filter((g) => g.contract === ethers.getAddress(address) && g.block >= fromBlock && g.block <= toBlock)
+        .map((g, i) => {
+          const { data, topics } = ifaces[g.contract].encodeEventLog("RoleGranted", [g.role, g.account, A.deployer]);
+          return {
+            address: g.contract,
+            data,
+            topics,
+            blockNumber: g.block,
+            blockHash: ethers.ZeroHash,
+            transactionHash: ethers.ZeroHash,
+            index: i,
+            transactionIndex: 0,
+            removed: false,
+          };
+        }),
+  };
+  provider.provider = provider;
+  return provider;
+}
+
+function healthyWorld() {
+  return {
+    tokenRoles: [
+      [ROLES.DEFAULT_ADMIN_ROLE, A.multisig],
+      [ROLES.PAUSER_ROLE, A.multisig],
+    ],
+    tlRoles: [
+      [TL_ROLE.PROPOSER_ROLE, A.mini],
+      [TL_ROLE.CANCELLER_ROLE, A.mini],
+      [TL_ROLE.EXECUTOR_ROLE, A.mini],
+      [TL_ROLE.DEFAULT_ADMIN_ROLE, A.timelock],
+      [TL_ROLE.DEFAULT_ADMIN_ROLE, A.multisig],
+    ],
+    sources: Object.fromEntries(SOURCE_POLICY.map(([s, p, a]) => [s, [p, a]])),
+    treasury: A.treasury,
+    oracle: A.oracle,
+    l1Governance: A.l1Gov,
+    proxyAdminOwner: A.executor,
+    executorOwner: A.timelock,
+    executorPending: ethers.ZeroAddress,
+    noCode: [],
+    grants: [],
+  };
+}
+
+const state = {
+  network: "t",
+  chainId: 421614,
+  contracts: {
+    tokenProxy: A.token,
+    implementation: A.impl,
+    timelock: A.timelock,
+    proxyAdmin: A.proxyAdmin,
+    upgradeExecutor: A.executor,
+    miniMultisig: A.mini,
+    l1Governance: A.l1Gov,
+    l1Timelock: A.l1Timelock,
+  },
+  configuration: {
+    minDelay: 60,
+    multisig: A.multisig,
+    proposers: [A.mini],
+    executors: [A.mini],
+    admins: [A.multisig, A.admin2],
+    oracle: A.oracle,
+    treasury: A.treasury,
+    executorUpgradeDelay: "86400",
+  },
+};
+
+describe("SDK: deployment audit", function () {
+  const failed = (res) => res.checks.filter((c) => c.status === "fail").map((c) => c.id);
+
+  it("passes a deployment in its intended end state", async function () {
+    const provider = fakeChain(healthyWorld());
+    const res = await auditDeployment(state, provider, { deployer: A.deployer, l1Provider: provider });
+    expect(failed(res)).to.deep.equal([]);
+    expect(res.ok).to.equal(true);
+    expect(res.counts.skip).to.equal(0);
+    const byId = Object.fromEntries(res.checks.map((c) => [c.id, c]));
+    expect(byId["timelock.proposers"]).to.include({ status: "pass", actual: "miniMultisig" });
+    expect(byId["l1.governance"].note).to.equal(`L2 alias ${l1ToL2Alias(A.l1Gov)}`);
+    expect(byId["sources.premiumtracker"].actual).to.equal("valid, proof=true, attestation=true");
+  });
+
+  it("fails each broken invariant and skips what the manifest has no expectation for", async function () {
+    const world = healthyWorld();
+    world.tokenRoles.push([ROLES.MINTER_ROLE, A.deployer]);
+    world.tlRoles.push([TL_ROLE.DEFAULT_ADMIN_ROLE, A.deployer]);
+    world.proxyAdminOwner = A.deployer;
+    world.executorOwner = A.deployer;
+    world.executorPending = A.timelock;
+    world.sources.medicaldevice = [false, false];
+    delete world.sources.enterprise;
+    world.noCode.push(A.oracle);
+
+    const res = await auditDeployment(state, fakeChain(world), { deployer: A.deployer });
+    expect(res.ok).to.equal(false);
+    expect(failed(res)).to.have.members([
+      "token.deployer",
+      "timelock.admins",
+      "timelock.deployer",
+      "ownership.proxyAdmin",
+      "ownership.executor",
+      "config.oracle",
+      "sources.medicaldevice",
+      "sources.enterprise",
+    ]);
+    const byId = Object.fromEntries(res.checks.map((c) => [c.id, c]));
+    expect(byId["token.deployer"].actual).to.equal("MINTER_ROLE");
+    expect(byId["ownership.executor"].note).to.match(/pending owner/);
+    expect(byId["l1.l2Target"]).to.include({ status: "skip", note: "L1 not checked (no L1 provider)" });
+
+    const bare = await auditDeployment({ ...state, configuration: { minDelay: 60 } }, fakeChain(healthyWorld()), {});
+    // Without the multisig in the manifest no known account holds the token admin role.
+    expect(failed(bare)).to.deep.equal(["token.admin.governance"]);
+    expect(bare.checks.filter((c) => c.status === "skip").map((c) => c.id)).to.include.members([
+      "token.admin.multisig",
+      "token.deployer",
+      "timelock.proposers",
+      "ownership.executorDelay",
+      "config.treasury",
+      "config.oracle",
+    ]);
+  });
+
+  it("finds a DEFAULT_ADMIN_ROLE holder outside the manifest only with an event scan", async function () {
+    const world = healthyWorld();
+    world.tokenRoles.push([ROLES.DEFAULT_ADMIN_ROLE, A.stranger]);
+    world.grants.push({ contract: A.token, role: ROLES.DEFAULT_ADMIN_ROLE, account: A.stranger, block: 4321 });
+
+    const blind = await auditDeployment(state, fakeChain(world), { deployer: A.deployer });
+    expect(blind.ok).to.equal(true);
+
+    const res = await auditDeployment(state, fakeChain(world), {
+      deployer: A.deployer,
+      scan: { fromBlock: 100, batchSize: 1000 },
+    });
+    expect(failed(res)).to.deep.equal(["token.admin.governance"]);
+    expect(res.checks.find((c) => c.id === "token.admin.governance").note).to.equal(`unexpected: ${A.stranger}`);
+
+    const allowed = await auditDeployment(state, fakeChain(world), {
+      scan: { fromBlock: 100 },
+      allowAdmins: [A.stranger],
+    });
+    expect(allowed.ok).to.equal(true);
+  });
+
+  it("reads the deployer from the latest deploy entry", function () {
+    const doc = {
+      history: [
+        { kind: "deploy", deployer: A.stranger },
+        { kind: "configure" },
+        { kind: "deploy", deployer: A.deployer.toLowerCase() },
+        { kind: "upgrade" },
+      ],
+    };
+    expect(deployerOf(doc)).to.equal(A.deployer);
+    expect(deployerOf({ history: [{ kind: "deploy" }] })).to.equal(null);
+  });
+});
@@ -0,0 +1,147 @@
+/* eslint-disable no-undef */
+const { expect } = require("chai");
+const { ethers } = require("ethers");
+
+const {
+  ROLES,
+  authorityPaths,
+  authoritySummary,
+  buildAuthorityGraph,
+  describePath,
+  foldOwnershipEvents,
+  foldRoleEvents,
+  toDot,
+} = require("../sdk");
+
+const addr = (n) => ethers.getAddress(`0x${n.toString(16).padStart(40, "0")}`);
+const A = {
+  token: addr(1),
+  timelock: addr(2),
+  proxyAdmin: addr(3),
+  executor: addr(4),
+  mini: addr(5),
+  l1Gov: addr(6),
+  l1Timelock: addr(7),
+  eoa1: addr(0xe1),
+  eoa2: addr(0xe2),
+  pauser: addr(0xe3),
+  l1Owner: addr(0xe4),
+};
+
+describe("SDK: authority graph", function () {
+  it("folds role and ownership events in chain order, whatever order they arrive in", function () {
+    const ev = (name, blockNumber, index, account) => ({ name, role: ROLES.PAUSER_ROLE, account, blockNumber, index });
+    const roles = foldRoleEvents([
+      ev("RoleGranted", 10, 3, A.eoa1), // regranted after the revoke below
+      ev("RoleGranted", 5, 0, A.eoa1),
+      ev("RoleRevoked", 10, 1, A.eoa1),
+      ev("RoleGranted", 7, 0, A.eoa2),
+      ev("RoleRevoked", 8, 0, A.eoa2),
+    ]);
+    expect(roles).to.deep.equal({ [ROLES.PAUSER_ROLE]: [A.eoa1] });
+
+    const own = (name, blockNumber, newOwner) => ({ name, newOwner, blockNumber, index: 0 });
+    expect(
+      foldOwnershipEvents([own("OwnershipTransferred", 1, A.eoa1), own("OwnershipTransferStarted", 2, A.timelock)])
+    ).to.deep.equal({ owner: A.eoa1, pendingOwner: A.timelock });
+    expect(
+      foldOwnershipEvents([
+        own("OwnershipTransferStarted", 2, A.timelock),
+        own("OwnershipTransferred", 3, A.timelock),
+        own("OwnershipTransferred", 1, A.eoa1),
+      ])
+    ).to.deep.equal({ owner: A.timelock, pendingOwner: null });
+  });
+
+  const snapshot = {
+    network: "t",
+    labels: {
+      [A.token.toLowerCase()]: "token",
+      [A.timelock.toLowerCase()]: "timelock",
+      [A.proxyAdmin.toLowerCase()]: "proxyAdmin",
+      [A.executor.toLowerCase()]: "upgradeExecutor",
+      [A.mini.toLowerCase()]: "miniMultisig",
+      [A.l1Gov.toLowerCase()]: "l1Governance",
+      [A.l1Timelock.toLowerCase()]: "l1Timelock",
+    },
+    accessControl: [
+      {
+        key: "token",
+        address: A.token,
+        mode: "capabilities",
+        roles: { DEFAULT_ADMIN_ROLE: [A.timelock], PAUSER_ROLE: [A.pauser] },
+        roleAdmins: { DEFAULT_ADMIN_ROLE: "DEFAULT_ADMIN_ROLE", PAUSER_ROLE: "DEFAULT_ADMIN_ROLE" },
+      },
+      {
+        key: "timelock",
+        address: A.timelock,
+        mode: "acts",
+        roles: {
+          DEFAULT_ADMIN_ROLE: [A.timelock],
+          PROPOSER_ROLE: [A.mini],
+          EXECUTOR_ROLE: [A.mini],
+          CANCELLER_ROLE: [A.mini, A.eoa1],
+        },
+      },
+      { key: "l1Timelock", address: A.l1Timelock, mode: "acts", roles: { PROPOSER_ROLE: [A.l1Owner] } },
+    ],
+    ownable: [
+      { key: "proxyAdmin", address: A.proxyAdmin, owner: A.executor, pendingOwner: null },
+      { key: "upgradeExecutor", address: A.executor, owner: A.timelock, pendingOwner: A.eoa2 },
+      { key: "l1Governance", address: A.l1Gov, owner: A.l1Timelock, pendingOwner: null },
+    ],
+    multisigs: [{ key: "miniMultisig", address: A.mini, owners: [A.eoa1, A.eoa2], threshold: 2 }],
+    proxy: { address: A.token, admin: A.proxyAdmin, l1Governance: A.l1Gov },
+    contracts: Object.fromEntries(
+      Object.values(A).map((a) => [a.toLowerCase(), ![A.eoa1, A.eoa2, A.pauser, A.l1Owner].includes(a)])
+    ),
+  };
+
+  it("traces EOA → multisig → timelock → executor → proxyAdmin → upgrade", function () {
+    const graph = buildAuthorityGraph(snapshot);
+    const paths = authorityPaths(graph, "token:upgrade").map((p) => describePath(graph, p));
+    const upgrade =
+      "timelock —owner→ upgradeExecutor —owner→ proxyAdmin —ERC-1967 admin→ token upgrade (proxy implementation)";
+    expect(paths).to.have.members([
+      `${A.eoa1} —owner (2 of 2)→ miniMultisig —PROPOSER_ROLE→ ${upgrade}`,
+      `${A.eoa1} —owner (2 of 2)→ miniMultisig —EXECUTOR_ROLE→ ${upgrade}`,
+      `${A.eoa2} —owner (2 of 2)→ miniMultisig —PROPOSER_ROLE→ ${upgrade}`,
+      `${A.eoa2} —owner (2 of 2)→ miniMultisig —EXECUTOR_ROLE→ ${upgrade}`,
+    ]);
+    // A canceller and a pending owner are drawn, but control nothing.
+    expect(graph.edges).to.deep.include({
+      from: A.eoa1.toLowerCase(),
+      to: A.timelock.toLowerCase(),
+      relation: "CANCELLER_ROLE",
+      control: false,
+    });
+    expect(graph.edges).to.deep.include({
+      from: A.eoa2.toLowerCase(),
+      to: A.executor.toLowerCase(),
+      relation: "pending owner",
+      control: false,
+    });
+    // The timelock administering itself is not an edge.
+    expect(graph.edges.some((e) => e.from === e.to)).to.equal(false);
+  });
+
+  it("summarises direct and ultimate holders per capability, across L1 and L2", function () {
+    const graph = buildAuthorityGraph(snapshot);
+    const byCap = Object.fromEntries(authoritySummary(graph).map((s) => [s.capability, s]));
+
+    expect(byCap["token:PAUSER_ROLE"].direct).to.deep.equal([A.pauser]);
+    // The pauser itself, and every multisig owner through DEFAULT_ADMIN_ROLE (which grants PAUSER_ROLE).
+    expect(byCap["token:PAUSER_ROLE"].roots).to.have.members([A.pauser, A.eoa1, A.eoa2]);
+    expect(byCap["token:l1Governance"].roots).to.deep.equal([A.l1Owner]);
+    expect(byCap["token:upgrade"]).to.include({ paths: 4 });
+
+    const dot = toDot(graph, { name: "t authority" });
+    expect(dot).to.match(/^digraph "t authority" \{/);
+    expect(dot).to.include(`"${A.mini.toLowerCase()}" [label="miniMultisig\\n${A.mini}", shape=box];`);
+    expect(dot).to.include(`"${A.eoa1.toLowerCase()}" [label="${A.eoa1}", shape=ellipse];`);
+    expect(dot).to.include(
+      `"${A.eoa2.toLowerCase()}" -> "${A.executor.toLowerCase()}" [label="pending owner", style=dashed];`
+    );
+    expect(dot).to.include('"token:upgrade" [label="token upgrade (proxy implementation)", shape=octagon');
+  });
+});
@@ -0,0 +1,158 @@
+/* eslint-disable no-undef */
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { expect } = require("chai");
+
+const { checkpointPath, openCheckpoint, readCheckpoint, runSteps } = require("../sdk");
+
+describe("SDK: resumable deployment checkpoint", function () {
+  const dirs = [];
+  const tmp = () => dirs[dirs.push(fs.mkdtempSync(path.join(os.tmpdir(), "gs-checkpoint-"))) - 1];
+  after(() => dirs.forEach((d) => fs.rmSync(d, { recursive: true, force: true })));
+  const config = { mode: "eoa", minDelay: 60 };
+
+  /** A fake chain: steps mutate it and detect their own effects in it. */
+  function world() {
+    const chain = { contracts: new Set(), roles: new Set() };
+    const calls = [];
+    const steps = [
+      {
+        name: "timelock",
+        done: (s) => !!s.timelock && chain.contracts.has(s.timelock),
+        run: () => {
+          calls.push("timelock");
+          chain.contracts.add("0xT");
+          return { timelock: "0xT" };
+        },
+      },
+      { name: "mini", when: () => false, run: () => calls.push("mini") },
+      {
+        name: "grantRoles",
+        done: () => chain.roles.has("admin"),
+        run: () => {
+          calls.push("grantRoles");
+          if (chain.failGrant) throw new Error("nonce too low");
+          chain.roles.add("admin");
+        },
+      },
+      { name: "invariants", check: true, run: () => calls.push("invariants") },
+      { name: "record", run: () => calls.push("record") },
+    ];
+    return { chain, calls, steps };
+  }
+
+  it("records a failure and resumes at the failing step on rerun", async function () {
+    const file = checkpointPath("t", tmp());
+    const { chain, calls, steps } = world();
+
+    chain.failGrant = true;
+    let cp = openCheckpoint(file, { network: "t", chainId: 31337, config });
+    await runSteps(steps, cp).then(
+      () => expect.fail("should have thrown"),
+      (e) => expect(e.message).to.equal("nonce too low")
+    );
+    const saved = readCheckpoint(file);
+    expect(saved.state.timelock).to.equal("0xT");
+    expect(saved.steps.timelock.status).to.equal("done");
+    expect(saved.steps.mini.status).to.equal("skipped");
+    expect(saved.steps.grantRoles).to.include({ status: "failed", error: "nonce too low" });
+
+    chain.failGrant = false;
+    calls.length = 0;
+    cp = openCheckpoint(file, { network: "t", chainId: 31337n, config });
+    expect(cp.resumed).to.equal(true);
+    const rows = await runSteps(steps, cp);
+    expect(calls).to.deep.equal(["grantRoles", "invariants", "record"]);
+    expect(rows.map((r) => `${r.step}:${r.status}`)).to.deep.equal([
+      "timelock:done",
+      "mini:skip",
+      "grantRoles:ran",
+      "invariants:check",
+      "record:ran",
+    ]);
+
+    // A third run only repeats the read-only check.
+    calls.length = 0;
+    await runSteps(steps, openCheckpoint(file, { network: "t", chainId: 31337, config }));
+    expect(calls).to.deep.equal(["invariants"]);
+  });
+
+  it("plan mode reports chain-detected progress without running or writing anything", async function () {
+    const file = checkpointPath("t", tmp());
+    const { chain, calls, steps } = world();
+    chain.roles.add("admin"); // granted by hand, never checkpointed
+
+    const cp = openCheckpoint(file, { network: "t", chainId: 1, config, plan: true });
+    const rows = await runSteps(steps, cp, { plan: true });
+    expect(calls).to.deep.equal([]);
+    expect(fs.existsSync(file)).to.equal(false);
+    expect(rows.map((r) => r.status)).to.deep.equal(["pending", "skip", "found", "check", "pending"]);
+  });
+
+  it("adopts state returned by done() (e.g. a contract found at a pending nonce)", async function () {
+    const file = checkpointPath("t", tmp());
+    const steps = [
+      {
+        name: "deploy",
+        done: (s) => (s.pendingNonce === 4 ? { token: "0xA" } : false),
+        run: () => expect.fail("sent twice"),
+      },
+      { name: "use", done: () => false, run: (s) => ({ used: s.token }) },
+    ];
+    const cp = openCheckpoint(file, { network: "t", chainId: 1, config });
+    cp.save({ pendingNonce: 4 });
+    const rows = await runSteps(steps, cp);
+    expect(rows[0].status).to.equal("found");
+    expect(readCheckpoint(file).state).to.include({ token: "0xA", used: "0xA" });
+  });
+
+  it("refuses to resume with other settings, another chain, or a chain that lost the work", async function () {
+    const dir = tmp();
+    const file = checkpointPath("t", dir);
+    const { chain, steps } = world();
+    await runSteps(steps, openCheckpoint(file, { network: "t", chainId: 31337, config }));
+
+    expect(() => openCheckpoint(file, { network: "t", chainId: 31337, config: { ...config, minDelay: 120 } })).to.throw(
+      /configuration changed since it was written \(minDelay\)/
+    );
+    expect(() => openCheckpoint(file, { network: "t", chainId: 5, config })).to.throw(/it is for chain 31337, not 5/);
+
+    chain.contracts.clear(); // e.g. a restarted local node
+    await runSteps(steps, openCheckpoint(file, { network: "t", chainId: 31337, config })).then(
+      () => expect.fail("should have thrown"),
+      (e) => expect(e.message).to.match(/records step "timelock" as done, but the chain does not reflect it/)
+    );
+
+    const fresh = openCheckpoint(file, { network: "t", chainId: 31337, config: { other: true }, fresh: true });
+    expect(fresh.resumed).to.equal(false);
+    expect(fs.existsSync(fresh.backup)).to.equal(true);
+    expect(fs.existsSync(file)).to.equal(false);
+  });
+
+  it("starts over on its own when the chain was restarted, and keeps nothing for an in-process chain", async function () {
+    const dir = tmp();
+    const file = checkpointPath("localhost", dir);
+    const opts = { network: "localhost", chainId: 31337, genesisHash: "0xaa", config };
+    const first = world();
+    await runSteps(first.steps, openCheckpoint(file, opts));
+    expect(readCheckpoint(file).genesisHash).to.equal("0xaa");
+    expect(openCheckpoint(file, opts)).to.include({ resumed: true, reset: null });
+
+    // Same network and chain id, new genesis block: the node was restarted and the old steps are gone.
+    const second = world();
+    const cp = openCheckpoint(file, { ...opts, genesisHash: "0xbb" });
+    expect(cp.resumed).to.equal(false);
+    expect(cp.reset).to.match(/another chain instance \(genesis 0xaa, now 0xbb\)/);
+    expect(fs.existsSync(cp.backup)).to.equal(true);
+    await runSteps(second.steps, cp);
+    expect(second.calls).to.deep.equal(["timelock", "grantRoles", "invariants", "record"]);
+    expect(readCheckpoint(file).genesisHash).to.equal("0xbb");
+
+    const mem = openCheckpoint(null, { network: "hardhat", chainId: 31337, genesisHash: "0xcc", config });
+    await runSteps(world().steps, mem);
+    expect(mem).to.include({ file: null, resumed: false });
+    expect(mem.doc.steps.record.status).to.equal("done");
+    expect(fs.existsSync(checkpointPath("hardhat", dir))).to.equal(false);
+  });
+});
@@ -0,0 +1,80 @@
+/* eslint-disable no-undef */
+const { expect } = require("chai");
+const { ethers } = require("ethers");
+
+const {
+  ROLES,
+  TIMELOCK_ABI,
+  MINI_MULTISIG_ABI,
+  UPGRADE_EXECUTOR_ABI,
+  L1_GOVERNANCE_ABI,
+  TOKEN_ADMIN_ABI,
+  createDecoder,
+  renderCall,
+} = require("../sdk");
+const manifest = require("../deployments/arbitrumSepolia-latest.json");
+
+const tl = new ethers.Interface(TIMELOCK_ABI);
+const mini = new ethers.Interface(MINI_MULTISIG_ABI);
+const executor = new ethers.Interface(UPGRADE_EXECUTOR_ABI);
+const gov = new ethers.Interface(L1_GOVERNANCE_ABI);
+const token = new ethers.Interface([...TOKEN_ADMIN_ABI, "function initializeV2()"]);
+
+describe("SDK: governance calldata decoder", function () {
+  const { contracts, configuration } = manifest;
+  const { tokenProxy, ...rest } = contracts;
+  const addresses = { token: tokenProxy, ...rest, multisig: configuration.multisig };
+  const decoder = createDecoder({ addresses, labels: { [configuration.admins[1]]: "admin" } });
+  const NEW_IMPL = "0x00000000000000000000000000000000000000aa";
+
+  it("decodes the stored tlScheduleCalldata down to the executor call", function () {
+    const node = decoder.decodeCall({ to: contracts.timelock, data: configuration.tlScheduleCalldata });
+    expect(node).to.include({ kind: "timelock", function: "schedule", guessed: false });
+    expect(node.args.find((a) => a.name === "salt").value).to.equal(configuration.acceptanceSalt);
+    expect(node.args.find((a) => a.name === "delay").display).to.equal("60 (1m)");
+    expect(node.calls).to.have.length(1);
+    expect(node.calls[0]).to.include({ kind: "upgradeExecutor", function: "acceptOwnership" });
+    expect(node.calls[0].target).to.equal(`${contracts.upgradeExecutor} (upgradeExecutor)`);
+
+    const execNode = decoder.decodeCall({ to: contracts.timelock, data: configuration.tlExecuteCalldata });
+    expect(execNode.operationId).to.equal(node.operationId);
+  });
+
+  it("follows multisig → timelock → executor → initializer with labels and role names", function () {
+    const init = token.encodeFunctionData("initializeV2", []);
+    const upgrade = executor.encodeFunctionData("scheduleUpgradeAndCall", [
+      contracts.proxyAdmin, contracts.tokenProxy, NEW_IMPL, init,
+    ]);
+    const grant = token.encodeFunctionData("grantRole", [ROLES.PAUSER_ROLE, configuration.admins[1]]);
+    const batch = tl.encodeFunctionData("scheduleBatch", [
+      [contracts.upgradeExecutor, contracts.tokenProxy], [0, 0], [upgrade, grant], ethers.ZeroHash, ethers.id("s"), 60,
+    ]);
+    const proposal = mini.encodeFunctionData("propose", [contracts.timelock, 0, batch]);
+
+    const node = decoder.decodeCall({ to: contracts.miniMultisig, data: proposal });
+    const [schedule] = node.calls;
+    const [up, role] = schedule.calls;
+    expect(schedule).to.include({ kind: "timelock", function: "scheduleBatch" });
+    expect(up).to.include({ kind: "upgradeExecutor", function: "scheduleUpgradeAndCall" });
+    expect(up.calls[0]).to.include({ kind: "token", function: "initializeV2", via: "initializer" });
+    expect(role.args[0].display).to.equal(`PAUSER_ROLE (${ROLES.PAUSER_ROLE})`);
+    expect(role.args[1].display).to.equal(`${ethers.getAddress(configuration.admins[1])} (admin)`);
+
+    const text = renderCall(node).join("\n");
+    expect(text).to.include("miniMultisig.propose(address,uint256,bytes)");
+    expect(text).to.include(`[initializer] token.initializeV2() → ${contracts.tokenProxy} (token)`);
+    expect(text).to.include(`[1] ${contracts.tokenProxy} (token)`);
+  });
+
+  it("decodes L1 governance retryables as token calls and flags unknown calldata", function () {
+    const data = gov.encodeFunctionData("callL2", [token.encodeFunctionData("l2SetPause", [true])]);
+    const node = decoder.decodeCall({ data, to: null });
+    expect(node).to.include({ kind: "l1Governance", guessed: true });
+    expect(node.calls[0]).to.include({ kind: "token", function: "l2SetPause", via: "retryable" });
+    expect(node.calls[0].args[0].value).to.equal(true);
+
+    const unknown = decoder.decodeCall({ to: contracts.tokenProxy, data: "0xdeadbeef00" });
+    expect(unknown).to.include({ unknown: true, function: "unknown 0xdeadbeef" });
+    expect(renderCall(unknown).join("\n")).to.include("data: 0xdeadbeef00");
+  });
+});
@@ -0,0 +1,163 @@
+/* eslint-disable no-undef */
+const { expect } = require("chai");
+const { ethers } = require("ethers");
+
+const {
+  GRACE_PERIOD,
+  SUSPENSION_DURATION,
+  compareFraudOutcomes,
+  defaultAnomalyPolicy,
+  initialAnomalyState,
+  planPopulation,
+  runFraudModel,
+  simulateAnomaly,
+  summarizeFraudRun,
+} = require("../sdk");
+
+const HOUR = 3600n;
+const DAY = 86400n;
+const T = 19_675n * DAY + 8n * HOUR;
+
+describe("SDK: fraud simulation model", function () {
+  const policy = defaultAnomalyPolicy();
+  const stake = ethers.parseEther("1");
+
+  /** Apply submissions [steps, at, api?] in order, returning every result. */
+  function run(subs, state = initialAnomalyState(stake)) {
+    return subs.map(([steps, now, api]) => {
+      const r = simulateAnomaly(state, { steps, now, api }, policy);
+      state = r.state;
+      return r;
+    });
+  }
+
+  it("applies grace, minimum average, threshold, penalty and suspension like GS_AnomalyAndFraud", function () {
+    const after = T + GRACE_PERIOD;
+    const [first, inGrace, tooSoon, flag1, calm, flag2, , , flag3, blocked] = run([
+      [1000n, T],
+      [5000n, T + HOUR], // 50x the average, but inside the grace period
+      [100n, T + HOUR + 1n],
+      [3000n, after], // avg 59000 (x100): 300000 > 295000
+      [100n, after + HOUR],
+      [5000n, after + DAY],
+      [100n, after + DAY + HOUR],
+      [100n, after + DAY + 2n * HOUR],
+      [5000n, after + 2n * DAY],
+      [100n, after + 2n * DAY + HOUR],
+    ]);
+
+    expect(first.state).to.include({ average: 10000n, firstSubmission: T, dailyTotal: 1000n });
+    expect(inGrace).to.include({ ok: true, flagged: false });
+    expect(inGrace.state.average).to.equal(59000n);
+    expect(tooSoon).to.include({ ok: false, reason: "Submission too frequent" });
+
+    expect(flag1).to.include({ ok: true, flagged: true, suspended: false });
+    expect(flag1.penalty).to.equal((3000n * policy.stakePerStep * 30n) / 100n);
+    expect(flag1.state.stake).to.equal(stake - flag1.penalty);
+    expect(flag1.state.average).to.equal((59000n * 9n + 300000n) / 10n); // updated after detection
+
+    expect(calm).to.include({ ok: true, flagged: false });
+    expect(flag2).to.include({ flagged: true, suspended: false });
+    expect(flag3).to.include({ flagged: true, suspended: true });
+    expect(flag3.state.flags).to.equal(3n);
+    expect(flag3.state.suspendedUntil).to.equal(after + 2n * DAY + SUSPENSION_DURATION);
+    expect(blocked).to.include({ ok: false, reason: "Account suspended" });
+  });
+
+  it("exempts trusted-API submissions from stake and penalties but still tracks them", function () {
+    const after = T + GRACE_PERIOD;
+    const [, , spike] = run(
+      [
+        [1000n, T, true],
+        [1000n, T + HOUR, true],
+        [5000n, after, true],
+      ],
+      initialAnomalyState(0n)
+    );
+    expect(spike).to.include({ ok: true, flagged: false, penalty: 0n });
+    expect(spike.state.average).to.equal((19000n * 9n + 500000n) / 10n);
+
+    const [noStake] = run([[1000n, T]], initialAnomalyState(0n));
+    expect(noStake).to.include({ ok: false, reason: "Insufficient stake" });
+
+    const [a, b, c, d] = run([
+      [5001n, T],
+      [5000n, T],
+      [5000n, T + HOUR],
+      [1n, T + 2n * HOUR],
+    ]);
+    expect(a.reason).to.equal("Step limit exceeded");
+    expect(b.ok && c.ok).to.equal(true);
+    expect(d).to.include({ ok: false, reason: "Daily limit exceeded" });
+    expect(run([[1n, T + DAY]], d.state)[0].ok).to.equal(true); // next UTC day
+  });
+
+  it("plans a deterministic population in mix proportions with truthful labels", function () {
+    const opts = { users: 40, days: 12, start: T, seed: "spec", mix: { steady: 2, spiky: 1, cheater: 1 } };
+    const plan = planPopulation(opts);
+    expect(planPopulation(opts)).to.deep.equal(plan);
+    expect(planPopulation({ ...opts, seed: "other" }).users[0].submissions).to.not.deep.equal(
+      plan.users[0].submissions
+    );
+
+    const count = (p) => plan.users.filter((u) => u.profile === p).length;
+    expect([count("steady"), count("spiky"), count("cheater"), count("api")]).to.deep.equal([20, 10, 10, 0]);
+    expect(plan.start).to.equal(19_675n * DAY);
+
+    for (const u of plan.users) {
+      expect(u.submissions).to.have.length(12 * 3);
+      u.submissions.forEach((s, k) => {
+        expect(s.steps >= 1n && s.steps <= 5000n).to.equal(true);
+        if (k > 0) expect(s.at - u.submissions[k - 1].at >= 2n * HOUR).to.equal(true);
+        const day = Number((s.at - plan.start) / DAY);
+        if (u.profile !== "cheater" || day < 8) expect(s.fraud).to.equal(false);
+      });
+    }
+    const cheats = plan.users.filter((u) => u.profile === "cheater").flatMap((u) => u.submissions);
+    expect(cheats.filter((s) => s.fraud)).to.have.length.greaterThan(0);
+  });
+
+  it("reports false positives/negatives, penalties and suspensions per profile", function () {
+    const mix = { steady: 1, spiky: 1, cheater: 1, api: 1 };
+    const plan = planPopulation({ users: 80, days: 20, start: T, seed: 7, mix });
+    const stakeEach = policy.stepLimit * policy.stakePerStep * 2n;
+    const report = summarizeFraudRun(runFraudModel(plan, policy, { stake: stakeEach }));
+
+    expect(Object.keys(report)).to.have.members(["steady", "spiky", "cheater", "api"]);
+    expect(report.api).to.include({ users: 20, flagged: 0, penalties: 0, falsePositiveRate: 0 });
+    expect(report.steady.falseNegativeRate).to.equal(null);
+    expect(report.cheater.fraudulent).to.be.greaterThan(0);
+    // A gradual ramp drags the average along with it: most inflated reports get through.
+    expect(report.cheater.falseNegativeRate).to.be.greaterThan(0.5);
+    expect(report.cheater.inflatedSteps > 0n).to.equal(true);
+
+    // With the threshold at its floor (2x), cheaters tripling their reports are slashed and suspended.
+    const blatant = planPopulation({
+      users: 10,
+      days: 20,
+      start: T,
+      seed: 7,
+      mix: { cheater: 1 },
+      profiles: { cheater: { base: [600, 800], ramp: 3, rampFrom: 10 } },
+    });
+    const strict = defaultAnomalyPolicy({ anomalyThreshold: 2n });
+    const caught = summarizeFraudRun(runFraudModel(blatant, strict, { stake: stakeEach })).cheater;
+    expect(caught.falseNegativeRate).to.be.lessThan(0.5);
+    expect(caught.usersSuspended).to.equal(10);
+    expect(caught.stakeDrained > 0n).to.equal(true);
+    expect(caught.rejections["Account suspended"]).to.be.greaterThan(0);
+  });
+
+  it("lists the submissions where chain and model disagree", function () {
+    const plan = planPopulation({ users: 4, days: 2, start: T, seed: 3 });
+    const model = runFraudModel(plan, policy, { stake });
+    const chain = model.map((o) => ({ ...o }));
+    expect(compareFraudOutcomes(model, chain)).to.deep.equal([]);
+
+    chain[5] = { ...chain[5], ok: false, reason: "reverted" };
+    expect(compareFraudOutcomes(model, chain)).to.deep.equal([
+      { user: model[5].user, k: model[5].k, field: "ok", model: true, chain: false },
+    ]);
+    expect(() => compareFraudOutcomes(model, chain.slice(1))).to.throw(/outcome count/);
+  });
+});
@@ -0,0 +1,60 @@
+/* eslint-disable no-undef */
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { expect } = require("chai");
+
+const { GAS_BASELINE_TYPE, GAS_BENCHMARKS, compareGas, readGasBaseline, writeGasBaseline } = require("../sdk");
+
+describe("SDK: gas baselines", function () {
+  const dirs = [];
+  const tmp = () => dirs[dirs.push(fs.mkdtempSync(path.join(os.tmpdir(), "gs-gas-"))) - 1];
+  after(() => dirs.forEach((d) => fs.rmSync(d, { recursive: true, force: true })));
+
+  it("flags regressions beyond the tolerance and reports new, improved and missing entries", function () {
+    const baseline = { tolerancePct: 5, results: { a: 100_000, b: 100_000, c: 100_000, gone: 50_000 } };
+    const { ok, tolerancePct, rows } = compareGas(baseline, { a: 105_000, b: 105_001, c: 90_000, fresh: 70_000n });
+    expect(tolerancePct).to.equal(5);
+    expect(ok).to.equal(false);
+    expect(Object.fromEntries(rows.map((r) => [r.name, r.status]))).to.deep.equal({
+      a: "ok",
+      b: "regressed",
+      c: "improved",
+      fresh: "new",
+      gone: "missing",
+    });
+    expect(rows.find((r) => r.name === "b")).to.include({ baseline: 100_000, current: 105_001, delta: 5001 });
+
+    const measured = { a: 100_000, b: 105_001, c: 100_000, gone: 50_000 };
+    expect(compareGas(baseline, measured, { tolerancePct: 10 }).ok).to.equal(true);
+    // A baseline entry that was not measured fails the run: a renamed or dropped benchmark must be re-recorded.
+    expect(compareGas(baseline, { a: 100_000, b: 100_000, c: 100_000 }).ok).to.equal(false);
+    expect(compareGas(null, { a: 1 }).rows[0].status).to.equal("new");
+    expect(() => compareGas(baseline, {}, { tolerancePct: NaN })).to.throw(/Bad gas tolerance/);
+  });
+
+  it("round-trips a sorted baseline file and rejects malformed ones", function () {
+    const file = path.join(tmp(), "gas.json");
+    expect(readGasBaseline(file)).to.equal(null);
+
+    writeGasBaseline(file, { zeta: 2n, alpha: 1 }, { tolerancePct: 3 });
+    const text = fs.readFileSync(file, "utf8");
+    expect(text.indexOf("alpha")).to.be.lessThan(text.indexOf("zeta"));
+    expect(readGasBaseline(file)).to.deep.equal({
+      type: GAS_BASELINE_TYPE,
+      tolerancePct: 3,
+      results: { alpha: 1, zeta: 2 },
+    });
+
+    fs.writeFileSync(file, JSON.stringify({ type: GAS_BASELINE_TYPE, results: { a: "12" } }));
+    expect(() => readGasBaseline(file)).to.throw(/bad gas for "a"/);
+    fs.writeFileSync(file, JSON.stringify({ results: {} }));
+    expect(() => readGasBaseline(file)).to.throw(/not a gas baseline/);
+  });
+
+  it("ships a committed baseline covering every benchmark scripts/gas_benchmark.js records", function () {
+    const b = readGasBaseline(path.join(__dirname, "..", "gas-baseline.json"));
+    expect(b.tolerancePct).to.be.a("number");
+    expect(Object.keys(b.results)).to.have.members(GAS_BENCHMARKS);
+  });
+});
@@ -0,0 +1,232 @@
+/* eslint-disable no-undef */
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { expect } = require("chai");
+
+const { diffStorageLayouts, flattenStorageLayout, readStorageLayout, saveStorageLayout } = require("../sdk");
+
+// solc storageLayout types, shaped like the GemStepStorage ones (AST ids included, as solc emits them).
+const TYPES = {
+  t_uint256: { encoding: "inplace", label: "uint256", numberOfBytes: "32" },
+  t_int256: { encoding: "inplace", label: "int256", numberOfBytes: "32" },
+  t_bool: { encoding: "inplace", label: "bool", numberOfBytes: "1" },
+  t_address: { encoding: "inplace", label: "address", numberOfBytes: "20" },
+  t_bytes32: { encoding: "inplace", label: "bytes32", numberOfBytes: "32" },
+  "t_contract(IPriceOracleV2)812": { encoding: "inplace", label: "contract IPriceOracleV2", numberOfBytes: "20" },
+  t_string_memory_ptr: { encoding: "bytes", label: "string", numberOfBytes: "32" },
+  "t_array(t_uint256)40_storage": {
+    base: "t_uint256",
+    encoding: "inplace",
+    label: "uint256[40]",
+    numberOfBytes: "1280",
+  },
+  "t_array(t_uint256)39_storage": {
+    base: "t_uint256",
+    encoding: "inplace",
+    label: "uint256[39]",
+    numberOfBytes: "1248",
+  },
+  "t_mapping(t_address,t_uint256)": {
+    encoding: "mapping",
+    key: "t_address",
+    label: "mapping(address => uint256)",
+    numberOfBytes: "32",
+    value: "t_uint256",
+  },
+  "t_mapping(t_address,t_bool)": {
+    encoding: "mapping",
+    key: "t_address",
+    label: "mapping(address => bool)",
+    numberOfBytes: "32",
+    value: "t_bool",
+  },
+  "t_mapping(t_string_memory_ptr,t_struct(SourceConfig)1201_storage)": {
+    encoding: "mapping",
+    key: "t_string_memory_ptr",
+    label: "mapping(string => struct GemStepStorage.SourceConfig)",
+    numberOfBytes: "32",
+    value: "t_struct(SourceConfig)1201_storage",
+  },
+};
+
+const sourceConfig = (members) => ({
+  "t_struct(SourceConfig)1201_storage": {
+    encoding: "inplace",
+    label: "struct GemStepStorage.SourceConfig",
+    members: members.map(([label, type, slot, offset = 0]) => ({ label, type, slot: String(slot), offset })),
+    numberOfBytes: String(32 * (Math.max(...members.map(([, , slot]) => slot)) + 1)),
+  },
+});
+const SOURCE_CONFIG = [
+  ["requiresProof", "t_bool", 0, 0],
+  ["requiresAttestation", "t_bool", 0, 1],
+  ["merkleRoot", "t_bytes32", 1],
+  ["maxStepsPerDay", "t_uint256", 2],
+  ["minInterval", "t_uint256", 3],
+  ["userNonce", "t_mapping(t_address,t_uint256)", 4],
+];
+
+const STORAGE = "contracts/token/storage/GemStepStorage.sol:GemStepStorage";
+const layout = (vars, members = SOURCE_CONFIG) => ({
+  storage: vars.map(([label, type, slot, offset = 0, contract = STORAGE]) => ({
+    astId: 1,
+    contract,
+    label,
+    offset,
+    slot: String(slot),
+    type,
+  })),
+  types: { ...TYPES, ...sourceConfig(members) },
+});
+
+const BASE_VARS = [
+  ["burnFee", "t_uint256", 0],
+  ["emergencyWithdrawEnabled", "t_bool", 1],
+  ["treasury", "t_address", 2],
+  ["priceOracle", "t_address", 3],
+  ["sourceConfigs", "t_mapping(t_string_memory_ptr,t_struct(SourceConfig)1201_storage)", 4],
+  ["stakeBalance", "t_mapping(t_address,t_uint256)", 5],
+  ["anomalyThreshold", "t_uint256", 6],
+  ["__gap", "t_array(t_uint256)40_storage", 7],
+];
+const BASE = layout(BASE_VARS);
+
+const rows = (res) => res.changes.map((c) => `${c.kind} ${c.path} ${c.safe ? "safe" : "UNSAFE"}`);
+
+describe("SDK: storage layout diff", function () {
+  it("flattens struct members under a mapping with slots relative to one value", function () {
+    const flat = flattenStorageLayout(BASE);
+    const merkleRoot = flat.find((e) => e.path === "sourceConfigs[].merkleRoot");
+    expect(merkleRoot).to.include({ context: "sourceConfigs[]", slot: 1n, offset: 0, bytes: 32, type: "bytes32" });
+    expect(flat.find((e) => e.path === "sourceConfigs[].requiresAttestation")).to.include({ slot: 0n, offset: 1 });
+    expect(flat.find((e) => e.path === "sourceConfigs[].userNonce[]")).to.include({
+      context: "sourceConfigs[].userNonce[]",
+    });
+    expect(flat.find((e) => e.path === "treasury")).to.include({ context: "storage", contract: "GemStepStorage" });
+
+    const same = diffStorageLayouts(BASE, layout(BASE_VARS));
+    expect(same).to.deep.include({ safe: true, changes: [] });
+    expect(same.unchanged).to.equal(flat.length);
+  });
+
+  it("accepts appending, consuming the gap, growing SourceConfig at its end and address → contract", function () {
+    const cand = layout(
+      [
+        ...BASE_VARS.slice(0, 3),
+        ["priceOracle", "t_contract(IPriceOracleV2)812", 3],
+        ...BASE_VARS.slice(4, 7),
+        ["rewardMultiplier", "t_uint256", 7],
+        ["__gap", "t_array(t_uint256)39_storage", 8],
+        ["newVariable", "t_uint256", 47, 0, "contracts/GemStepTokenV2Mock.sol:GemStepTokenV2Mock"],
+      ],
+      [...SOURCE_CONFIG, ["dailyCapOverride", "t_uint256", 5]]
+    );
+    const res = diffStorageLayouts(BASE, cand);
+    expect(rows(res)).to.deep.equal([
+      "retyped priceOracle safe",
+      "resized __gap safe",
+      "added sourceConfigs[].dailyCapOverride safe",
+      "added rewardMultiplier safe",
+      "added newVariable safe",
+    ]);
+    expect(res.safe).to.equal(true);
+    const byPath = Object.fromEntries(res.changes.map((c) => [c.path, c]));
+    expect(byPath.__gap.reason).to.equal("gap shrank to make room, same end slot");
+    expect(byPath.newVariable).to.include({
+      contract: "GemStepTokenV2Mock",
+      reason: "appended after existing storage",
+    });
+    expect(byPath["sourceConfigs[].dailyCapOverride"].after).to.include({ slot: "5", context: "sourceConfigs[]" });
+  });
+
+  it("flags inserted, removed, retyped and shifted fields, including inside SourceConfig", function () {
+    const cand = layout(
+      [
+        ["burnFee", "t_int256", 0],
+        ["inserted", "t_uint256", 1],
+        ["emergencyWithdrawEnabled", "t_bool", 2],
+        ["treasury", "t_address", 3],
+        ["priceOracle", "t_address", 4],
+        ["sourceConfigs", "t_mapping(t_string_memory_ptr,t_struct(SourceConfig)1201_storage)", 5],
+        ["stakeBalance", "t_mapping(t_address,t_bool)", 6],
+        ["__gap", "t_array(t_uint256)40_storage", 7],
+      ],
+      [
+        ["requiresAttestation", "t_bool", 0, 0],
+        ["requiresProof", "t_bool", 0, 1],
+        ["maxStepsPerDay", "t_uint256", 1],
+        ["minInterval", "t_uint256", 2],
+        ["userNonce", "t_mapping(t_address,t_uint256)", 3],
+      ]
+    );
+    const res = diffStorageLayouts(BASE, cand);
+    expect(res.safe).to.equal(false);
+    expect(rows(res)).to.deep.equal([
+      "retyped burnFee UNSAFE",
+      "shifted emergencyWithdrawEnabled UNSAFE",
+      "shifted treasury UNSAFE",
+      "shifted priceOracle UNSAFE",
+      "shifted sourceConfigs UNSAFE",
+      "shifted sourceConfigs[].requiresProof UNSAFE",
+      "shifted sourceConfigs[].requiresAttestation UNSAFE",
+      "removed sourceConfigs[].merkleRoot UNSAFE",
+      "shifted sourceConfigs[].maxStepsPerDay UNSAFE",
+      "shifted sourceConfigs[].minInterval UNSAFE",
+      "shifted sourceConfigs[].userNonce UNSAFE",
+      "shifted stakeBalance UNSAFE",
+      "retyped stakeBalance[] UNSAFE",
+      "removed anomalyThreshold UNSAFE",
+      "added inserted UNSAFE",
+    ]);
+    const byKind = (kind, p) => res.changes.find((c) => c.kind === kind && c.path === p);
+    expect(byKind("shifted", "sourceConfigs[].requiresProof").reason).to.equal(
+      "slot 0 → slot 0+1: would read another variable's data"
+    );
+    expect(byKind("retyped", "burnFee").reason).to.equal("existing bytes are read as a different type");
+    expect(byKind("added", "inserted").reason).to.equal(
+      "overlaps emergencyWithdrawEnabled (slot 1) from the base layout"
+    );
+  });
+
+  it("reports a rename at the same position as one safe change, members included", function () {
+    const vars = BASE_VARS.map((v) => (v[0] === "sourceConfigs" ? ["sources", ...v.slice(1)] : v));
+    const res = diffStorageLayouts(BASE, layout(vars, [...SOURCE_CONFIG, ["extra", "t_uint256", 5]]));
+    expect(rows(res)).to.deep.equal(["renamed sources safe", "added sources[].extra safe"]);
+  });
+
+  it("reads layouts from Hardhat artifacts and from saved layout files", function () {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "gemstep-layout-"));
+    try {
+      const art = path.join(dir, "contracts", "GemStepToken.sol");
+      fs.mkdirSync(art, { recursive: true });
+      fs.mkdirSync(path.join(dir, "build-info"));
+      const sourceName = "contracts/GemStepToken.sol";
+      fs.writeFileSync(
+        path.join(art, "GemStepToken.json"),
+        JSON.stringify({ sourceName, contractName: "GemStepToken" })
+      );
+      fs.writeFileSync(
+        path.join(art, "GemStepToken.dbg.json"),
+        JSON.stringify({ buildInfo: "../../build-info/abc.json" })
+      );
+      const output = { contracts: { [sourceName]: { GemStepToken: { storageLayout: BASE } } } };
+      fs.writeFileSync(path.join(dir, "build-info", "abc.json"), JSON.stringify({ id: "abc", output }));
+
+      const read = readStorageLayout("GemStepToken", { artifactsDir: dir });
+      expect(read).to.include({ contract: `${sourceName}:GemStepToken`, buildInfoId: "abc" });
+      expect(readStorageLayout(`${sourceName}:GemStepToken`, { artifactsDir: dir }).storage).to.have.length(8);
+      expect(() => readStorageLayout("GemStepTokenV9", { artifactsDir: dir })).to.throw(
+        /No artifact for GemStepTokenV9/
+      );
+
+      const saved = path.join(dir, "layouts", "GemStepToken.json");
+      saveStorageLayout(saved, read);
+      const again = readStorageLayout(saved);
+      expect(again).to.include({ contract: read.contract, buildInfoId: "abc", source: saved });
+      expect(diffStorageLayouts(again, read).changes).to.deep.equal([]);
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
@@ -0,0 +1,170 @@
+/* eslint-disable no-undef */
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { expect } = require("chai");
+const { ethers } = require("ethers");
+
+const {
+  appendEntry,
+  currentState,
+  fromLegacy,
+  legacyView,
+  loadManifest,
+  manifestProblems,
+  readManifest,
+  recordManifestEntry,
+  resolveAddress,
+  storageLayoutHash,
+  writeManifest,
+} = require("../sdk");
+const latest = require("../deployments/arbitrumSepolia-latest.json");
+
+const addr = (n) => ethers.getAddress(`0x${n.toString(16).padStart(40, "0")}`);
+const hash = (s) => ethers.id(s);
+
+describe("SDK: deployment manifest", function () {
+  const dirs = [];
+  const tmp = () => dirs[dirs.push(fs.mkdtempSync(path.join(os.tmpdir(), "gs-manifest-"))) - 1];
+  after(() => dirs.forEach((d) => fs.rmSync(d, { recursive: true, force: true })));
+
+  const deployEntry = {
+    kind: "deploy",
+    blockNumber: 100,
+    contracts: { tokenProxy: addr(1), timelock: addr(2), proxyAdmin: addr(3) },
+    configuration: { minDelay: 60, multisig: addr(9) },
+    implementation: { address: addr(10), storageLayoutHash: hash("v1"), bytecodeHash: hash("code1") },
+    build: { profile: "prod", solcVersion: "0.8.30", optimizer: { enabled: true, runs: 200 } },
+    txs: { tokenProxy: hash("tx1") },
+  };
+
+  it("loads the committed arbitrumSepolia manifest, matching the legacy -latest.json view", function () {
+    const m = loadManifest("arbitrumSepolia", { env: {} });
+    expect(m.legacy).to.equal(false);
+    expect(manifestProblems(m.doc)).to.deep.equal([]);
+    expect(m.state.chainId).to.equal(421614);
+    expect(m.state.contracts).to.deep.equal(latest.contracts);
+    expect(m.state.configuration).to.deep.equal(latest.configuration);
+    expect(m.address("token")).to.equal(latest.contracts.tokenProxy);
+    expect(m.address("multisig")).to.equal(latest.configuration.multisig);
+    expect(m.address("l1Timelock")).to.equal(null);
+    expect(() => m.addressOf("l1Timelock")).to.throw(/No l1Timelock in .* or L1_TIMELOCK/);
+  });
+
+  it("folds deploy → prepare → upgrade; a prepared implementation is not current until upgraded", function () {
+    let doc = { schema: "gemstep.deployment-manifest", version: 1, network: "t", chainId: 31337, history: [] };
+    doc = appendEntry(doc, deployEntry);
+    const v2 = { address: addr(11), storageLayoutHash: hash("v2"), bytecodeHash: hash("code2") };
+    doc = appendEntry(doc, { kind: "prepare", implementation: v2, build: { profile: "dev" } });
+
+    let state = currentState(doc);
+    expect(state.seq).to.equal(2);
+    expect(state.contracts.implementation).to.equal(addr(10));
+    expect(state.build.profile).to.equal("prod");
+
+    doc = appendEntry(doc, { kind: "upgrade", implementation: v2, txs: { timelockExecute: hash("tx2") } });
+    doc = appendEntry(doc, { kind: "configure", configuration: { minDelay: 3600 } });
+    state = currentState(doc);
+    expect(state.contracts).to.include({ tokenProxy: addr(1), implementation: addr(11) });
+    expect(state.implementation.storageLayoutHash).to.equal(hash("v2"));
+    expect(state.configuration).to.deep.equal({ minDelay: 3600, multisig: addr(9) });
+    expect(state.deployBlock).to.equal(100);
+    expect(doc.history.map((e) => e.seq)).to.deep.equal([1, 2, 3, 4]);
+
+    const view = legacyView(doc);
+    expect(view.contracts.implementation).to.equal(addr(11));
+    expect(view.metadata.manifestSeq).to.equal(4);
+  });
+
+  it("rejects malformed entries with every problem listed", function () {
+    const bad = {
+      schema: "gemstep.deployment-manifest",
+      version: 1,
+      network: "t",
+      chainId: 1,
+      history: [
+        { seq: 1, kind: "prepare", timestamp: "2025-01-01T00:00:00Z", implementation: { address: addr(1) } },
+        { seq: 3, kind: "upgrade", timestamp: "yesterday", contracts: { tokenProxy: "0x12", bogus: addr(2) } },
+        { seq: 3, kind: "configure", timestamp: "2025-01-01T00:00:00Z", txs: { x: "0xabc" } },
+      ],
+    };
+    const problems = manifestProblems(bad).join("\n");
+    expect(problems).to.include("history must start with a deploy or import");
+    expect(problems).to.include("history[1]: seq 3, expected 2");
+    expect(problems).to.include('"yesterday" is not an ISO date');
+    expect(problems).to.include('history[1].contracts: unknown key "bogus"');
+    expect(problems).to.include("history[1].contracts.tokenProxy");
+    expect(problems).to.include("a upgrade entry needs an implementation");
+    expect(problems).to.include("a configure entry changes nothing");
+    expect(problems).to.include("history[2].txs.x");
+    expect(() => appendEntry(readManifest(path.join(__dirname, "..", "deployments", "arbitrumSepolia-manifest.json")), {
+      kind: "upgrade",
+    })).to.throw(/needs an implementation/);
+  });
+
+  it("appends to the file and refuses to rewrite earlier entries", function () {
+    const dir = tmp();
+    const first = recordManifestEntry("t", deployEntry, { dir, chainId: 31337n });
+    expect(first.entry.seq).to.equal(1);
+    expect(() => recordManifestEntry("t", { kind: "configure", configuration: { x: 1 } }, { dir, chainId: 1 })).to.throw(
+      /is for chain 31337, not 1/
+    );
+    const second = recordManifestEntry("t", { kind: "configure", configuration: { minDelay: 120 } }, { dir });
+    expect(second.state.configuration.minDelay).to.equal(120);
+
+    const view = JSON.parse(fs.readFileSync(path.join(dir, "t-latest.json"), "utf8"));
+    expect(view.configuration.minDelay).to.equal(120);
+    expect(view.metadata.manifestSeq).to.equal(2);
+
+    const doc = readManifest(first.file);
+    const edited = { ...doc, history: [{ ...doc.history[0], contracts: { tokenProxy: addr(7) } }, doc.history[1]] };
+    expect(() => writeManifest(first.file, edited)).to.throw(/append-only/);
+    expect(() => writeManifest(first.file, { ...doc, history: doc.history.slice(0, 1) })).to.throw(/append-only/);
+    expect(() => recordManifestEntry("u", { kind: "upgrade", implementation: { address: addr(1) } }, { dir })).to.throw(
+      /record a deploy or import first/
+    );
+  });
+
+  it("treats legacy env vars as a fallback and a contradicting one as an error", function () {
+    const state = currentState(appendEntry(
+      { schema: "gemstep.deployment-manifest", version: 1, network: "t", chainId: 1, history: [] },
+      deployEntry
+    ));
+    expect(resolveAddress(state, "token", { L2_TOKEN_PROXY: addr(1).toLowerCase() })).to.equal(addr(1));
+    expect(resolveAddress(state, "l1Timelock", { L1_TIMELOCK: addr(5).toLowerCase() })).to.equal(addr(5));
+    expect(resolveAddress(state, "upgradeExecutor", {})).to.equal(null);
+    expect(() => resolveAddress(state, "timelock", { TIMELOCK_ADDRESS: addr(8) })).to.throw(
+      /TIMELOCK_ADDRESS=.* disagrees with the t manifest \(timelock = /
+    );
+  });
+
+  it("converts the flat deploy-localhost.json shape", function () {
+    const doc = fromLegacy(
+      { tokenProxy: addr(1), implementation: addr(2), proxyAdmin: addr(3), multisig: addr(4), deployBlock: 7, network: "localhost" },
+      { chainId: 31337, source: "deploy-localhost.json" }
+    );
+    const [entry] = doc.history;
+    expect(entry).to.include({ kind: "import", blockNumber: 7, note: "imported from deploy-localhost.json" });
+    expect(entry.contracts).to.deep.equal({ tokenProxy: addr(1), implementation: addr(2), proxyAdmin: addr(3) });
+    expect(entry.configuration).to.deep.equal({ multisig: addr(4) });
+    expect(currentState(doc)).to.include({ network: "localhost", chainId: 31337, deployBlock: 7 });
+  });
+
+  it("hashes storage layouts independently of solc AST ids", function () {
+    const layout = (id, slotOfB = "1") => ({
+      storage: [
+        { astId: id, contract: "C.sol:C", label: "a", offset: 0, slot: "0", type: `t_struct(S)${id}_storage` },
+        { astId: id + 1, contract: "C.sol:C", label: "b", offset: 0, slot: slotOfB, type: "t_array(t_uint256)10_storage" },
+      ],
+      types: {
+        [`t_struct(S)${id}_storage`]: { encoding: "inplace", label: "struct C.S", numberOfBytes: "32" },
+        "t_array(t_uint256)10_storage": { encoding: "inplace", label: "uint256[10]", numberOfBytes: "320" },
+      },
+    });
+    expect(storageLayoutHash(layout(12))).to.equal(storageLayoutHash(layout(4711)));
+    expect(storageLayoutHash(layout(12))).to.not.equal(storageLayoutHash(layout(12, "2")));
+    const arr = layout(12);
+    arr.storage[1].type = "t_array(t_uint256)11_storage";
+    expect(storageLayoutHash(arr)).to.not.equal(storageLayoutHash(layout(12)));
+  });
+});
@@ -0,0 +1,87 @@
+/* eslint-disable no-undef */
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+
+const { deployGemStepFixture } = require("./fixtures");
+const {
+  buildSignedStepPayload,
+  buildSourceProofs,
+  buildStepMerkleTree,
+  verifyMerkleProof,
+  stepLeaf,
+} = require("../sdk");
+
+const SOURCE = "applehealth";
+
+describe("SDK: per-source merkle proofs", function () {
+  async function fixture() {
+    const base = await deployGemStepFixture();
+    const { token, admin, user1, user2 } = base;
+
+    await (await token.connect(admin).configureSource(SOURCE, true, false)).wait();
+    for (const u of [user1, user2]) {
+      await (await token.connect(u).stake({ value: ethers.parseEther("0.01") })).wait();
+    }
+    return base;
+  }
+
+  it("builds proofs that verify off-chain for odd-sized batches", async function () {
+    const users = (await ethers.getSigners()).slice(0, 5);
+    const tree = buildStepMerkleTree(users.map((u, i) => ({ user: u.address, steps: 100 + i, nonce: 0 })));
+
+    for (const e of tree.entries) {
+      expect(e.leaf).to.equal(stepLeaf(e.user, e.steps, e.nonce));
+      expect(verifyMerkleProof(e.proof, tree.root, e.leaf)).to.equal(true);
+    }
+    expect(() => buildStepMerkleTree([
+      { user: users[0].address, steps: 1, nonce: 0 },
+      { user: users[0].address, steps: 1, nonce: 0 },
+    ])).to.throw("Duplicate leaves");
+  });
+
+  it("assigns per-source nonces and the proofs are accepted by logSteps", async function () {
+    const { token, admin, user1, user2 } = await loadFixture(fixture);
+
+    const bundle = await buildSourceProofs({
+      token,
+      source: SOURCE,
+      entries: [
+        { user: user1.address, steps: 120 },
+        { user: user2.address, steps: 80 },
+      ],
+    });
+    expect(bundle.entries.map((e) => e.nonce)).to.deep.equal([0n, 0n]);
+
+    await (await token.connect(admin).setSourceMerkleRoot(SOURCE, bundle.root)).wait();
+
+    for (const [signer, entry] of [[user1, bundle.entries[0]], [user2, bundle.entries[1]]]) {
+      const { submission, verification } = await buildSignedStepPayload({
+        token,
+        signer,
+        user: signer.address,
+        steps: entry.steps,
+        source: SOURCE,
+        proof: entry.proof,
+      });
+      await expect(token.connect(signer).logSteps(submission, verification))
+        .to.emit(token, "RewardClaimed");
+      expect(await token.getUserSourceNonce(signer.address, SOURCE)).to.equal(1n);
+    }
+  });
+
+  it("gives repeated users consecutive nonces in batch order", async function () {
+    const { token, user1 } = await loadFixture(fixture);
+
+    const bundle = await buildSourceProofs({
+      token,
+      source: SOURCE,
+      entries: [
+        { user: user1.address, steps: 10 },
+        { user: user1.address, steps: 10 },
+      ],
+    });
+    expect(bundle.entries.map((e) => e.nonce)).to.deep.equal([0n, 1n]);
+    expect(bundle.entries[0].leaf).to.not.equal(bundle.entries[1].leaf);
+  });
+});
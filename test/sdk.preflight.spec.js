@@ -0,0 +1,138 @@
+/* eslint-disable no-undef */
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time, loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+
+const { deployGemStepFixture } = require("./fixtures");
+const { buildSignedStepPayload, preflightLogSteps } = require("../sdk");
+
+const SOURCE = "applehealth";
+const DAY = 86400;
+
+describe("SDK: preflightLogSteps", function () {
+  async function fixture() {
+    const base = await deployGemStepFixture();
+    const { token, admin, user1 } = base;
+    await (await token.connect(admin).configureSource(SOURCE, false, false)).wait();
+    await (await token.connect(user1).stake({ value: ethers.parseEther("0.01") })).wait();
+
+    // Start right after a UTC day boundary so interval waits never roll the daily cap.
+    const latest = await time.latest();
+    await time.increaseTo(Math.floor(latest / DAY + 1) * DAY + 60);
+    return base;
+  }
+
+  const payload = (token, signer, steps, opts = {}) =>
+    buildSignedStepPayload({ token, signer, user: signer.address, steps, source: SOURCE, ...opts });
+
+  const reasons = (res) => res.failures.map((f) => f.reason);
+
+  it("passes a payload that logSteps accepts and reports the reward", async function () {
+    const { token, user1 } = await loadFixture(fixture);
+    const { submission, verification } = await payload(token, user1, 1000n);
+
+    const res = await preflightLogSteps(token, submission, verification, user1.address);
+    expect(res.ok).to.equal(true);
+    expect(res.failures).to.deep.equal([]);
+    expect(res.apiPath).to.equal(false);
+
+    const [, rewardRate] = await token.getCoreParams();
+    expect(res.reward).to.equal(1000n * rewardRate);
+    expect(res.netMint).to.equal((res.reward * 9000n) / 10000n);
+
+    await expect(token.connect(user1).logSteps(submission, verification)).to.not.be.reverted;
+  });
+
+  it("collects every failing check with its values", async function () {
+    const { token, user2 } = await loadFixture(fixture);
+    // user2 has no stake and asks for more than stepLimit.
+    const { submission, verification } = await payload(token, user2, 6000n, { nonce: 3 });
+
+    const res = await preflightLogSteps(token, submission, verification, user2.address);
+    expect(res.ok).to.equal(false);
+    expect(reasons(res)).to.include.members(["Invalid nonce", "Step limit exceeded", "Insufficient stake"]);
+
+    const [stakePerStep] = await token.getStakeParams();
+    const stake = res.failures.find((f) => f.reason === "Insufficient stake");
+    expect(stake.stage).to.equal("fraud");
+    expect(stake.values.requiredStake).to.equal(6000n * stakePerStep);
+    expect(stake.values.shortfall).to.equal(6000n * stakePerStep);
+    expect(stake.retryAt).to.equal(null);
+    expect(res.retryAt).to.equal(null);
+
+    await expect(token.connect(user2).logSteps(submission, verification)).to.be.revertedWith("Invalid nonce");
+  });
+
+  it("reports min-interval waits with a retry time", async function () {
+    const { token, user1 } = await loadFixture(fixture);
+    const first = await payload(token, user1, 100n);
+    await (await token.connect(user1).logSteps(first.submission, first.verification)).wait();
+    const [lastTs] = await token.getUserSourceStats(user1.address, SOURCE);
+
+    const second = await payload(token, user1, 100n);
+    const res = await preflightLogSteps(token, second.submission, second.verification, user1.address);
+
+    expect(reasons(res)).to.deep.equal(["Submission too frequent"]);
+    expect(res.failures[0].values.minInterval).to.equal(3600n);
+    expect(res.failures[0].retryAt).to.equal(lastTs + 3600n);
+    expect(res.failures[0].resign).to.equal(true); // 600s deadline ends before the window opens
+    expect(res.retryAt).to.equal(lastTs + 3600n);
+
+    await expect(
+      token.connect(user1).logSteps(second.submission, second.verification)
+    ).to.be.revertedWith("Submission too frequent");
+  });
+
+  it("reports the daily cap with the remaining allowance and next UTC day", async function () {
+    const { token, user1 } = await loadFixture(fixture);
+    for (let i = 0; i < 2; i++) {
+      const p = await payload(token, user1, 5000n);
+      await (await token.connect(user1).logSteps(p.submission, p.verification)).wait();
+      await time.increase(3600);
+    }
+
+    const p = await payload(token, user1, 100n);
+    const res = await preflightLogSteps(token, p.submission, p.verification, user1.address);
+    const daily = res.failures.find((f) => f.reason === "Daily limit exceeded");
+    expect(daily.values.usedToday).to.equal(10000n);
+    expect(daily.values.remaining).to.equal(0n);
+    expect(daily.retryAt).to.equal((res.now / 86400n + 1n) * 86400n);
+
+    await expect(token.connect(user1).logSteps(p.submission, p.verification)).to.be.revertedWith(
+      "Daily limit exceeded"
+    );
+  });
+
+  it("follows the trusted-API path: no stake check, API signer required", async function () {
+    const { token, admin, user2, rest } = await loadFixture(fixture);
+    const relayer = rest[1];
+    await (await token.connect(admin).setTrustedAPI(relayer.address, true)).wait();
+
+    // Signed by the (unstaked) user: fine on the user path except stake, wrong signer on the API path.
+    const userSigned = await payload(token, user2, 100n);
+    const asUser = await preflightLogSteps(token, userSigned.submission, userSigned.verification, user2.address);
+    expect(reasons(asUser)).to.deep.equal(["Insufficient stake"]);
+
+    const asApi = await preflightLogSteps(token, userSigned.submission, userSigned.verification, relayer.address);
+    expect(asApi.apiPath).to.equal(true);
+    expect(reasons(asApi)).to.deep.equal(["Unauthorized API signer"]);
+
+    // admin holds API_SIGNER_ROLE in the fixture.
+    const apiSigned = await buildSignedStepPayload({
+      token, signer: admin, user: user2.address, steps: 100n, source: SOURCE,
+    });
+    const ok = await preflightLogSteps(token, apiSigned.submission, apiSigned.verification, relayer);
+    expect(ok.ok).to.equal(true);
+    await expect(
+      token.connect(relayer).logSteps(apiSigned.submission, apiSigned.verification)
+    ).to.not.be.reverted;
+  });
+
+  it("rejects callers that are neither the user nor a trusted API", async function () {
+    const { token, user1, user2 } = await loadFixture(fixture);
+    const { submission, verification } = await payload(token, user1, 100n);
+    const res = await preflightLogSteps(token, submission, verification, user2.address);
+    expect(reasons(res)).to.deep.equal(["Caller must be user or trusted API"]);
+    expect(res.failures[0].stage).to.equal("caller");
+  });
+});
@@ -0,0 +1,104 @@
+/* eslint-disable no-undef */
+const fs = require("fs");
+const { expect } = require("chai");
+const { ethers } = require("ethers");
+
+const {
+  REVERT_CATALOG_FILE,
+  scanRevertSites,
+  buildRevertCatalog,
+  revertErrorAbi,
+  revertDataOf,
+  decodeRevert,
+  explainRevert,
+} = require("../sdk");
+
+const coder = ethers.AbiCoder.defaultAbiCoder();
+const errorString = (s) => ethers.concat(["0x08c379a0", coder.encode(["string"], [s])]);
+const panic = (n) => ethers.concat(["0x4e487b71", coder.encode(["uint256"], [n])]);
+
+describe("SDK: revert catalog", function () {
+  it("extracts require/revert strings and custom errors, ignoring comments", function () {
+    const src = [
+      "contract C {",
+      "  error Low(uint needed, uint256 got, address[] who);",
+      '  // require(false, "commented out");',
+      "  function f(uint a) external {",
+      '    require(g(a, (a + 1)) > 0 && a != 2, "A, with comma");',
+      '    /* revert("block comment"); */',
+      '    if (a == 3) revert("Bare revert");',
+      "    if (a == 4) revert Low(1, 2, new address[](0));",
+      "  }",
+      "}",
+    ].join("\n");
+    const s = scanRevertSites(src, "C.sol");
+    expect(s.strings).to.deep.equal([
+      { reason: "A, with comma", at: "C.sol:5" },
+      { reason: "Bare revert", at: "C.sol:7" },
+    ]);
+    expect(s.errors).to.have.length(1);
+    expect(s.errors[0].fragment.format()).to.equal("Low(uint256,uint256,address[])");
+    expect(s.raised).to.deep.equal([{ name: "Low", at: "C.sol:8" }]);
+  });
+
+  it("ships a catalog that matches the sources, with unique codes and a hint for every entry", function () {
+    const { catalog, unannotated, unused } = buildRevertCatalog();
+    expect(unannotated, "reverts without a hint in sdk/revert-hints.js").to.deep.equal([]);
+    expect(unused, "hints matching nothing in contracts/").to.deep.equal([]);
+    expect(JSON.parse(fs.readFileSync(REVERT_CATALOG_FILE, "utf8")), "run npm run reverts:catalog").to.deep.equal(
+      catalog
+    );
+
+    const codes = catalog.entries.map((e) => e.code);
+    expect(new Set(codes).size).to.equal(codes.length);
+    for (const e of catalog.entries) expect(e.hint, e.code).to.be.a("string");
+    expect(catalog.entries.find((e) => e.reason === "Invalid nonce").sites[0]).to.match(/GS_StepsAndVerification/);
+  });
+
+  it("decodes revert strings, exactly or by prefix", function () {
+    expect(decodeRevert(errorString("CD"))).to.include({ kind: "string", code: "STAKE_ADJUST_COOLDOWN", reason: "CD" });
+
+    const dynamic = "ERC1967: invalid implementation (0x00000000000000000000000000000000000000aa)";
+    expect(decodeRevert(errorString(dynamic))).to.include({ code: "EXEC_INVALID_IMPL", reason: dynamic });
+
+    const r = decodeRevert(errorString("something new"));
+    expect(r).to.include({ kind: "string", code: "UNCATALOGED_REASON", message: "something new", hint: null });
+  });
+
+  it("decodes custom errors with named arguments", function () {
+    const iface = new ethers.Interface(revertErrorAbi());
+    const r = decodeRevert(iface.encodeErrorResult("MsgValueTooLow", [100n, 7n]));
+    expect(r).to.include({ kind: "error", code: "GOV_MSG_VALUE_TOO_LOW", name: "MsgValueTooLow" });
+    expect(r.args).to.deep.equal({ needed: 100n, provided: 7n });
+
+    const role = ethers.id("PAUSER_ROLE");
+    const acct = ethers.getAddress("0x" + "11".repeat(20));
+    const denied = decodeRevert(iface.encodeErrorResult("AccessControlUnauthorizedAccount", [acct, role]));
+    expect(denied).to.include({ code: "MISSING_ROLE" });
+    expect(denied.args).to.deep.equal({ account: acct, neededRole: role });
+
+    expect(decodeRevert("0xdeadbeef")).to.include({ kind: "unknown", selector: "0xdeadbeef", hint: null });
+  });
+
+  it("decodes panics and data-less reverts from stripped builds", function () {
+    expect(decodeRevert(panic(0x11))).to.include({ kind: "panic", code: "PANIC_0x11", panicCode: 0x11 });
+    expect(decodeRevert(panic(0x32)).message).to.match(/out of bounds/);
+    expect(decodeRevert(panic(0x99)).message).to.match(/unknown panic/);
+
+    for (const data of ["0x", null, new Uint8Array()]) {
+      expect(decodeRevert(data)).to.include({ kind: "empty", code: "EMPTY_REVERT" });
+    }
+  });
+
+  it("finds revert data in the error shapes ethers and Hardhat throw", function () {
+    const data = errorString("Invalid nonce");
+    expect(revertDataOf({ data })).to.equal(data);
+    expect(revertDataOf({ message: "x", error: { error: { data: { data } } } })).to.equal(data);
+    expect(revertDataOf({ info: { error: { data } } })).to.equal(data);
+    expect(revertDataOf(new Error("Transaction reverted without a reason"))).to.equal("0x");
+    expect(revertDataOf(new Error("ECONNREFUSED"))).to.equal(null);
+
+    expect(explainRevert({ code: "CALL_EXCEPTION", data })).to.include({ code: "INVALID_NONCE" });
+    expect(explainRevert(new Error("ECONNREFUSED"))).to.equal(null);
+  });
+});
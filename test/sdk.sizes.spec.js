@@ -0,0 +1,108 @@
+/* eslint-disable no-undef */
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { expect } = require("chai");
+
+const {
+  EIP170_RUNTIME_LIMIT,
+  SIZE_CONTRACTS,
+  SIZE_PROFILES,
+  attributeBytecode,
+  compareSizes,
+  decodeSourceMap,
+  readBuildSizes,
+  readSizeBudget,
+  writeSizeBudget,
+} = require("../sdk");
+
+describe("SDK: contract size budget", function () {
+  const dirs = [];
+  const tmp = () => dirs[dirs.push(fs.mkdtempSync(path.join(os.tmpdir(), "gs-size-"))) - 1];
+  after(() => dirs.forEach((d) => fs.rmSync(d, { recursive: true, force: true })));
+
+  const SOURCES = { 0: "contracts/token/modules/GS_Admin.sol", 1: "@openzeppelin/contracts/utils/Address.sol" };
+  // PUSH1 80, PUSH1 40, MSTORE, PUSH20 <library placeholder>, STOP, then two bytes of metadata.
+  const CODE = `0x608060405273__$${"ab".repeat(17)}$__00a1b2`;
+  const MAP = "0:10:0:-;;12:3:1;::0;::-1:o";
+
+  it("decodes compressed source maps and attributes every byte to a module", function () {
+    expect(decodeSourceMap(MAP).map((e) => e.f)).to.deep.equal([0, 0, 1, 0, -1]);
+    expect(decodeSourceMap(MAP)[3]).to.include({ s: 12, l: 3 });
+
+    expect(attributeBytecode(CODE, MAP, SOURCES)).to.deep.equal({
+      GS_Admin: 2 + 2 + 21,
+      OpenZeppelin: 1,
+      "(compiler)": 1,
+      "(data)": 2,
+    });
+  });
+
+  it("reads runtime and initcode sizes per module from build-info", function () {
+    const dir = tmp();
+    fs.mkdirSync(path.join(dir, "build-info"));
+    const evm = {
+      bytecode: { object: "6080", sourceMap: "0:1:1" },
+      deployedBytecode: { object: CODE, sourceMap: MAP },
+    };
+    const output = {
+      sources: { [SOURCES[0]]: { id: 0 }, [SOURCES[1]]: { id: 1 } },
+      contracts: { [SOURCES[0]]: { GS_Admin: { evm } }, "contracts/test/X.sol": { Other: { evm } } },
+    };
+    fs.writeFileSync(path.join(dir, "build-info", "a.json"), JSON.stringify({ output }));
+
+    const { GS_Admin: c } = readBuildSizes(dir, ["GS_Admin"]);
+    expect(c).to.include({ source: SOURCES[0], runtime: 29, initcode: 2 });
+    expect(c.modules.GS_Admin).to.deep.equal({ runtime: 25, initcode: 0 });
+    expect(c.modules.OpenZeppelin).to.deep.equal({ runtime: 1, initcode: 2 });
+    expect(() => readBuildSizes(dir, ["Missing"])).to.throw(/Not in the build: Missing/);
+  });
+
+  it("fails contracts that outgrow the budget or the size limit and lists the modules that grew", function () {
+    const modules = (admin, views) => ({
+      GS_Admin: { runtime: admin, initcode: 0 },
+      GS_Views: { runtime: views, initcode: 0 },
+    });
+    const file = path.join(tmp(), "budget.json");
+    writeSizeBudget(file, { prod: { Token: { runtime: 20_000, initcode: 21_000, modules: modules(12_000, 8_000) } } });
+    const budget = readSizeBudget(file);
+    expect(budget.tolerance).to.equal(0);
+
+    const sizes = (admin) => ({
+      prod: { Token: { runtime: admin + 8_000, initcode: admin + 9_000, modules: modules(admin, 8_000) } },
+    });
+    expect(compareSizes(budget, sizes(12_000)).rows[0]).to.include({ status: "ok", runtimeHeadroom: 4576 });
+
+    const grew = compareSizes(budget, sizes(12_040));
+    expect(grew.ok).to.equal(false);
+    expect(grew.rows[0].status).to.equal("over-budget");
+    expect(grew.grown).to.deep.equal([
+      {
+        profile: "prod",
+        contract: "Token",
+        module: "GS_Admin",
+        kind: "runtime",
+        before: 12_000,
+        after: 12_040,
+        delta: 40,
+      },
+    ]);
+    expect(compareSizes(budget, sizes(12_040), { tolerance: 64 }).ok).to.equal(true);
+
+    const huge = sizes(EIP170_RUNTIME_LIMIT);
+    expect(compareSizes(null, huge).rows[0].status).to.equal("new");
+    expect(compareSizes(null, huge, { enforceLimits: ["prod"] }).rows[0].status).to.equal("over-limit");
+  });
+
+  it("ships a committed budget for every contract in every profile of the matrix", function () {
+    const budget = readSizeBudget(path.join(__dirname, "..", "size-budget.json"));
+    expect(Object.keys(budget.profiles)).to.have.members(Object.keys(SIZE_PROFILES));
+    for (const [profile, { contracts }] of Object.entries(budget.profiles)) {
+      expect(Object.keys(contracts), profile).to.have.members(SIZE_CONTRACTS);
+      for (const [name, c] of Object.entries(contracts)) {
+        const attributed = Object.values(c.modules).reduce((n, m) => n + m.runtime, 0);
+        expect(attributed, `${profile} ${name}`).to.equal(c.runtime);
+      }
+    }
+  });
+});
@@ -0,0 +1,180 @@
+/* eslint-disable no-undef */
+const { expect } = require("chai");
+const { ethers } = require("ethers");
+
+const { ROLES, TOKEN_SDK_ABI, diffTokenState, exportTokenState, restoreTokenState, versionHash } = require("../sdk");
+
+const TOKEN = "0x0000000000000000000000000000000000000100";
+const ADMIN = ethers.getAddress("0x00000000000000000000000000000000000000ad");
+const ALICE = ethers.getAddress("0x00000000000000000000000000000000000000a1");
+const BOB = ethers.getAddress("0x00000000000000000000000000000000000000b0");
+const DEVICE = ethers.getAddress("0x00000000000000000000000000000000000000de");
+
+const tokenIface = new ethers.Interface(TOKEN_SDK_ABI);
+const eventsIface = new ethers.Interface([
+  "event Transfer(address indexed from, address indexed to, uint256 value)",
+  "event RewardClaimed(address indexed user, address indexed beneficiary, uint256 steps, uint256 rewardAmount, uint256 timestamp, string source, string version)",
+  "event RoleGranted(bytes32 indexed role, address indexed account, address indexed sender)",
+  "event TrustedDeviceAdded(address indexed device)",
+  "event PayloadVersionAdded(string version)",
+]);
+const log = (name, args) => ({ ...eventsIface.encodeEventLog(name, args), address: TOKEN });
+
+/** A token answering TOKEN_SDK_ABI views from a plain model, with an event history. */
+function fakeToken(model) {
+  const zero = { fitbit: [false, false, ethers.ZeroHash, 0n, 0n] };
+  const views = {
+    name: () => "GemStep",
+    symbol: () => "GSTEP",
+    totalSupply: () => Object.values(model.balances).reduce((a, b) => a + b, 0n),
+    paused: () => model.paused,
+    treasury: () => ADMIN,
+    anomalyThreshold: () => 3n,
+    getCoreParams: () => [10n, 10n ** 15n, 5000n, 3600n],
+    getStakeParams: () => [10n ** 14n, 1n, false],
+    getMintingState: () => [1n, 2n, 3n, 4n, 5n, 6n, 0n],
+    balanceOf: (a) => model.balances[a] || 0n,
+    nonces: (a) => model.nonces[a] || 0n,
+    getUserCoreStatus: (a) => [0n, 0n, 0n, model.stakes[a] || 0n, false, 0n],
+    getUserBasics: (a) => (a === ALICE ? [1200n, "fitbit"] : [0n, ""]),
+    isTrustedDevice: (a) => a === DEVICE,
+    trustedERC1271Contracts: () => false,
+    approvedRecipients: () => false,
+    hasRole: (r, a) => (model.roles[r] || []).includes(a),
+    isSourceValid: (s) => !!model.sources[s],
+    getSourceConfigFields: (s) => model.sources[s] || zero.fitbit,
+    getUserSourceNonce: (u, s) => (u === ALICE && s === "fitbit" ? 1n : 0n),
+    getUserSourceStats: (u, s) => (u === ALICE && s === "fitbit" ? [1_700_000_000n, 1200n, 19675n] : [0n, 0n, 0n]),
+    getVersionPolicy: (k) => (k === versionHash("1.0.0") ? [true, 0n, false, true, 0n] : [false, 0n, false, false, 0n]),
+  };
+  return {
+    getBlockNumber: async () => 50,
+    getNetwork: async () => ({ chainId: 421614n }),
+    getBalance: async () => 7n,
+    getLogs: async () => model.logs,
+    call: async ({ data }) => {
+      const tx = tokenIface.parseTransaction({ data });
+      const ret = views[tx.name](
+        ...tx.args.map((a) => (typeof a === "string" && ethers.isAddress(a) ? ethers.getAddress(a) : a))
+      );
+      return tokenIface.encodeFunctionResult(tx.fragment, Array.isArray(ret) ? ret : [ret]);
+    },
+  };
+}
+
+const MODEL = () => ({
+  paused: false,
+  balances: { [ADMIN]: 900n, [ALICE]: 100n },
+  nonces: { [ALICE]: 2n },
+  stakes: { [ALICE]: 5n },
+  roles: { [ROLES.DEFAULT_ADMIN_ROLE]: [ADMIN], [ROLES.PAUSER_ROLE]: [ADMIN] },
+  sources: { fitbit: [false, false, ethers.ZeroHash, 10000n, 60n] },
+  logs: [
+    log("Transfer", [ethers.ZeroAddress, ADMIN, 1000n]),
+    log("Transfer", [ADMIN, ALICE, 100n]),
+    log("RoleGranted", [ROLES.DEFAULT_ADMIN_ROLE, ADMIN, ADMIN]),
+    log("TrustedDeviceAdded", [DEVICE]),
+    log("RewardClaimed", [ALICE, ALICE, 1200n, 0n, 1_700_000_000n, "fitbit", "1.0.0"]),
+  ],
+});
+
+describe("SDK: token state snapshot", function () {
+  it("exports balances, roles, sources, users and versions from events + views, defaults left out", async function () {
+    const snap = await exportTokenState(fakeToken(MODEL()), TOKEN, { fromBlock: 0, accounts: [BOB] });
+
+    expect(snap).to.include({ type: "gemstep.token-snapshot", chainId: 421614, blockNumber: 50, totalSupply: "1000" });
+    expect(snap.keys.accounts).to.include.members([ADMIN, ALICE, BOB, DEVICE]);
+    expect(snap.keys.users).to.deep.equal([ALICE]);
+    expect(snap.balances).to.deep.equal({ [ADMIN]: "900", [ALICE]: "100" });
+    expect(snap.roles).to.deep.equal({ DEFAULT_ADMIN_ROLE: [ADMIN], PAUSER_ROLE: [ADMIN] });
+    expect(snap.sources).to.have.keys(["fitbit"]); // only fitbit has a non-default configuration
+    expect(snap.sources.fitbit).to.include({ valid: true, maxStepsPerDay: "10000", minInterval: "60" });
+    expect(Object.keys(snap.users)).to.have.members([ALICE, DEVICE]);
+    expect(snap.users[ALICE]).to.include({ nonce: "2", stake: "5", totalSteps: "1200", lastSource: "fitbit" });
+    expect(snap.users[DEVICE]).to.include({ trustedDevice: true, nonce: "0" });
+    expect(snap.userSources).to.deep.equal({
+      [ALICE]: { fitbit: { nonce: "1", lastSubmission: "1700000000", dailyStepTotal: "1200", dailyIndex: "19675" } },
+    });
+    expect(snap.versions["1.0.0"]).to.deep.equal({
+      key: versionHash("1.0.0"),
+      attestSupported: true,
+      attestDeprecatesAt: "0",
+      attestRequiresNonce: false,
+      payloadSupported: true,
+      payloadDeprecatesAt: "0",
+    });
+    expect(snap.params).to.include({ burnFee: "10", halvingCount: "0", treasury: ADMIN, stakeParamsLocked: false });
+  });
+
+  it("diffs snapshots by path, ignoring metadata and role holder order", async function () {
+    const a = await exportTokenState(fakeToken(MODEL()), TOKEN, { fromBlock: 0 });
+    const model = MODEL();
+    model.balances[ALICE] = 99n;
+    model.roles[ROLES.PAUSER_ROLE] = [];
+    const b = await exportTokenState(fakeToken(model), TOKEN, { keys: a.keys });
+    b.token = BOB;
+
+    expect(diffTokenState(a, { ...a, blockNumber: 1, roles: { ...a.roles } })).to.deep.equal([]);
+    expect(diffTokenState(a, b).map((d) => d.path)).to.deep.equal([
+      "totalSupply",
+      `balances.${ALICE}`,
+      "roles.PAUSER_ROLE",
+    ]);
+    expect(diffTokenState(a, b, { ignore: [/^roles\./, /^totalSupply$/] })).to.deep.equal([
+      { path: `balances.${ALICE}`, a: "100", b: "99" },
+    ]);
+  });
+
+  it("restores through the harness in chunks, zeroing unlisted local holders and pausing last", async function () {
+    const snap = await exportTokenState(fakeToken({ ...MODEL(), paused: true }), TOKEN, { fromBlock: 0 });
+    const calls = [];
+    const harness = {
+      runner: {},
+      totalSupply: async () => 1000n,
+    };
+    for (const fn of [
+      "restoreParams",
+      "restoreSources",
+      "restoreUsers",
+      "restoreUserSources",
+      "restoreVersions",
+      "restoreRoles",
+      "restoreBalances",
+      "restorePaused",
+    ]) {
+      harness[fn] = async (...args) => {
+        calls.push([fn, ...args]);
+        return { wait: async () => ({}) };
+      };
+    }
+    const local = ethers.getAddress("0x0000000000000000000000000000000000000fee");
+    const res = await restoreTokenState(harness, snap, { clearHolders: [ADMIN, local], chunkSize: 1 });
+
+    expect(calls.map(([fn]) => fn)).to.deep.equal([
+      "restoreParams",
+      "restoreSources",
+      "restoreUsers",
+      "restoreUsers",
+      "restoreUserSources",
+      "restoreVersions",
+      "restoreRoles",
+      "restoreRoles",
+      "restoreBalances",
+      "restoreBalances",
+      "restoreBalances",
+      "restorePaused",
+    ]);
+    expect(res).to.deep.equal({ txs: 12, totalSupply: 1000n, supplyMatches: true });
+    expect(calls[1][1]).to.deep.equal([{ name: "fitbit", ...snap.sources.fitbit }]);
+    expect(calls.filter(([fn]) => fn === "restoreRoles").map(([, r, a]) => [r[0], a[0]])).to.deep.equal([
+      [ROLES.DEFAULT_ADMIN_ROLE, ADMIN],
+      [ROLES.PAUSER_ROLE, ADMIN],
+    ]);
+    expect(calls.filter(([fn]) => fn === "restoreBalances").map(([, h, v]) => [h[0], v[0]])).to.deep.equal([
+      [ALICE, "100"], // keys are sorted: …A1 before …Ad
+      [ADMIN, "900"],
+      [local, "0"],
+    ]);
+    expect(calls[calls.length - 1]).to.deep.equal(["restorePaused", true]);
+  });
+});
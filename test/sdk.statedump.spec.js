@@ -0,0 +1,215 @@
+/* eslint-disable no-undef */
+const { expect } = require("chai");
+const { ethers } = require("ethers");
+
+const {
+  EIP1967_IMPLEMENTATION_SLOT,
+  PROXY_SLOTS,
+  compareObservations,
+  dumpState,
+  erc7201Slot,
+  layoutSlots,
+  loadStateDump,
+  mappingSlot,
+  stateChecks,
+} = require("../sdk");
+
+const word = (n) => ethers.toBeHex(n, 32);
+
+const TYPES = {
+  t_uint256: { encoding: "inplace", label: "uint256", numberOfBytes: "32" },
+  t_bool: { encoding: "inplace", label: "bool", numberOfBytes: "1" },
+  t_address: { encoding: "inplace", label: "address", numberOfBytes: "20" },
+  t_bytes32: { encoding: "inplace", label: "bytes32", numberOfBytes: "32" },
+  t_string_storage: { encoding: "bytes", label: "string", numberOfBytes: "32" },
+  "t_array(t_uint256)3_storage": { base: "t_uint256", encoding: "inplace", label: "uint256[3]", numberOfBytes: "96" },
+  "t_mapping(t_address,t_uint256)": {
+    encoding: "mapping",
+    key: "t_address",
+    label: "mapping(address => uint256)",
+    numberOfBytes: "32",
+    value: "t_uint256",
+  },
+  "t_mapping(t_address,t_string_storage)": {
+    encoding: "mapping",
+    key: "t_address",
+    label: "mapping(address => string)",
+    numberOfBytes: "32",
+    value: "t_string_storage",
+  },
+  "t_struct(SourceConfig)1201_storage": {
+    encoding: "inplace",
+    label: "struct GemStepStorage.SourceConfig",
+    numberOfBytes: "160",
+    members: [
+      { label: "requiresProof", offset: 0, slot: "0", type: "t_bool" },
+      { label: "requiresAttestation", offset: 1, slot: "0", type: "t_bool" },
+      { label: "merkleRoot", offset: 0, slot: "1", type: "t_bytes32" },
+      { label: "maxStepsPerDay", offset: 0, slot: "2", type: "t_uint256" },
+      { label: "minInterval", offset: 0, slot: "3", type: "t_uint256" },
+      { label: "userNonce", offset: 0, slot: "4", type: "t_mapping(t_address,t_uint256)" },
+    ],
+  },
+  "t_mapping(t_string_memory_ptr,t_struct(SourceConfig)1201_storage)": {
+    encoding: "mapping",
+    key: "t_string_memory_ptr",
+    label: "mapping(string => struct GemStepStorage.SourceConfig)",
+    numberOfBytes: "32",
+    value: "t_struct(SourceConfig)1201_storage",
+  },
+  t_string_memory_ptr: { encoding: "bytes", label: "string", numberOfBytes: "32" },
+};
+const LAYOUT = {
+  storage: [
+    ["burnFee", "t_uint256", 0],
+    ["treasury", "t_address", 1],
+    ["sourceConfigs", "t_mapping(t_string_memory_ptr,t_struct(SourceConfig)1201_storage)", 2],
+    ["stakeBalance", "t_mapping(t_address,t_uint256)", 3],
+    ["lastSource", "t_mapping(t_address,t_string_storage)", 4],
+    ["__gap", "t_array(t_uint256)3_storage", 5],
+    ["label", "t_string_storage", 8],
+  ].map(([label, type, slot]) => ({ label, type, slot: String(slot), offset: 0 })),
+  types: TYPES,
+};
+
+const ALICE = "0x00000000000000000000000000000000000000a1";
+const BOB = "0x00000000000000000000000000000000000000b0";
+
+/** Enough of a provider for dumpState (reads) and loadStateDump (hardhat_* writes). */
+function fakeChain(accounts = {}) {
+  const key = (a) => a.toLowerCase();
+  const acc = (a) => (accounts[key(a)] ||= { code: "0x", balance: 0n, nonce: 0, storage: {} });
+  return {
+    accounts,
+    getBlockNumber: async () => 100,
+    getBlock: async () => ({ timestamp: 1_700_000_000 }),
+    getNetwork: async () => ({ chainId: 421614n }),
+    getCode: async (a) => acc(a).code,
+    getBalance: async (a) => acc(a).balance,
+    getTransactionCount: async (a) => acc(a).nonce,
+    getStorage: async (a, slot) => acc(a).storage[word(BigInt(slot))] || ethers.ZeroHash,
+    send: async (method, [a, x, y]) => {
+      if (method === "hardhat_setCode") acc(a).code = x;
+      else if (method === "hardhat_setBalance") acc(a).balance = BigInt(x);
+      else if (method === "hardhat_setNonce") acc(a).nonce = Number(x);
+      else if (method === "hardhat_setStorageAt") acc(a).storage[word(BigInt(x))] = y;
+      else throw new Error(`unexpected ${method}`);
+    },
+  };
+}
+
+describe("SDK: state dump", function () {
+  it("derives the OpenZeppelin v5 ERC-7201 namespace slots", function () {
+    expect(word(erc7201Slot("openzeppelin.storage.ERC20"))).to.equal(
+      "0x52c63247e1f47db19d5ce0460030c497f067ca4cebf71ba98eeadabe20bace00"
+    );
+    expect(word(erc7201Slot("openzeppelin.storage.AccessControl"))).to.equal(
+      "0x02dd7bc7dec4dceedda775e58dd541e08a116c6c53815c0bd028192f7b626800"
+    );
+    expect(word(erc7201Slot("openzeppelin.storage.Initializable"))).to.equal(
+      "0xf0c57e16840df040f15088dc2f81fe391c3923bec73e23a9662efc9c229c6a00"
+    );
+  });
+
+  it("plans the slots of top-level variables, struct members and keyed mapping entries", function () {
+    const plan = layoutSlots(LAYOUT, { keys: { address: [ALICE], string: ["fitbit"] } });
+    const fitbit = mappingSlot(2n, "string", "fitbit");
+    const expected = [
+      0n,
+      1n,
+      fitbit, // requiresProof | requiresAttestation
+      fitbit + 1n, // merkleRoot
+      fitbit + 3n, // minInterval
+      mappingSlot(fitbit + 4n, "address", ALICE), // userNonce[alice]
+      mappingSlot(3n, "address", ALICE),
+      mappingSlot(4n, "address", ALICE),
+      8n,
+    ];
+    expect(plan.slots).to.include.members(expected);
+    expect(plan.slots).to.not.include.members([5n, 6n, 7n]); // __gap
+    expect(plan.slots).to.have.length(10);
+    expect(plan.bytes).to.have.members([mappingSlot(4n, "address", ALICE), 8n]);
+
+    expect(mappingSlot(2n, "string", "fitbit")).to.equal(
+      BigInt(ethers.keccak256(ethers.concat([ethers.toUtf8Bytes("fitbit"), word(2n)])))
+    );
+  });
+
+  it("dumps non-zero planned slots (long strings included) and loads them back", async function () {
+    const token = "0x0000000000000000000000000000000000000100";
+    const long = "a string longer than thirty-one bytes, stored out of line";
+    const bytes = ethers.toUtf8Bytes(long);
+    const head = mappingSlot(4n, "address", ALICE);
+    const data = BigInt(ethers.keccak256(word(head)));
+    const storage = {
+      [word(0n)]: word(500n),
+      [word(mappingSlot(3n, "address", ALICE))]: word(10n ** 18n),
+      [word(mappingSlot(3n, "address", BOB))]: word(7n), // BOB is not a known key: not copied
+      [word(head)]: word(BigInt(bytes.length) * 2n + 1n),
+      [word(data)]: ethers.hexlify(bytes.slice(0, 32)),
+      [word(data + 1n)]: ethers.zeroPadBytes(bytes.slice(32), 32),
+      [EIP1967_IMPLEMENTATION_SLOT]: ethers.zeroPadValue(BOB, 32),
+    };
+    const source = fakeChain({ [token]: { code: "0x6001", balance: 5n, nonce: 1, storage } });
+
+    const dump = await dumpState(source, [
+      { name: "token", address: token, layouts: [{ layout: LAYOUT }], keys: { address: [ALICE] }, slots: PROXY_SLOTS },
+    ]);
+    expect(dump).to.include({ type: "gemstep.state-dump", chainId: 421614, blockNumber: 100 });
+    const copied = dump.accounts[token].storage;
+    expect(Object.keys(copied)).to.have.length(6);
+    expect(copied).to.not.have.property(word(mappingSlot(3n, "address", BOB)));
+    expect(copied[word(data + 1n)]).to.equal(storage[word(data + 1n)]);
+
+    const local = fakeChain();
+    await loadStateDump(local, JSON.parse(JSON.stringify(dump)));
+    const { storage: loaded, ...rest } = local.accounts[token];
+    expect(rest).to.deep.equal({ code: "0x6001", balance: 5n, nonce: 1 });
+    expect(loaded).to.deep.equal(copied);
+  });
+
+  it("builds the post-upgrade checks and reports the ones that changed", function () {
+    const gov = {
+      token: "0x0000000000000000000000000000000000000100",
+      timelock: "0x0000000000000000000000000000000000000200",
+      executor: "0x0000000000000000000000000000000000000300",
+      proxyAdmin: "0x0000000000000000000000000000000000000400",
+      accounts: [ALICE],
+    };
+    const keys = {
+      accounts: [ALICE, BOB],
+      users: [ALICE],
+      sources: ["fitbit"],
+      versions: ["1.0.0"],
+      roles: [ethers.ZeroHash],
+    };
+    const checks = stateChecks({ keys, governance: gov });
+    const names = checks.map((c) => c.key);
+    expect(names).to.include.members([
+      "token.totalSupply()",
+      `token.balanceOf(${BOB})`,
+      `token.nonces(${ALICE})`,
+      `token.getUserCoreStatus(${ALICE})`,
+      `token.hasRole(DEFAULT_ADMIN_ROLE,${BOB})`,
+      "token.getSourceConfigFields(fitbit)",
+      `token.getUserSourceNonce(${ALICE},fitbit)`,
+      "token.getVersionPolicy(1.0.0)",
+      `timelock.hasRole(PROPOSER_ROLE,${ALICE})`,
+      "executor.owner()",
+      "proxyAdmin.owner()",
+    ]);
+    expect(names).to.not.include(`token.getUserBasics(${BOB})`);
+    expect(new Set(names).size).to.equal(names.length);
+
+    const before = { "token.totalSupply()": "100", "token.paused()": false, "token.getCoreParams()": ["1", "2"] };
+    const after = { ...before, "token.paused()": true, "token.getCoreParams()": ["1", "3"], "executor.owner()": ALICE };
+    expect(compareObservations(before, after).map((d) => d.key)).to.deep.equal([
+      "token.paused()",
+      "token.getCoreParams()",
+      "executor.owner()",
+    ]);
+    expect(compareObservations(before, after, { ignore: [/^token\.getCoreParams/, /^executor\./] })).to.deep.equal([
+      { key: "token.paused()", before: false, after: true },
+    ]);
+  });
+});
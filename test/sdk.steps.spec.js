@@ -0,0 +1,120 @@
+/* eslint-disable no-undef */
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time, loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+
+const { deployGemStepFixture } = require("./fixtures");
+const {
+  normalizeVersion,
+  versionHash,
+  buildStepSubmission,
+  buildVerificationData,
+  stepDigest,
+  stepDomain,
+  stepMessage,
+  STEPLOG_TYPES,
+  signStepSubmission,
+  recoverStepSigner,
+  resolveStepDomain,
+  buildSignedStepPayload,
+} = require("../sdk");
+
+const SOURCE = "applehealth";
+
+describe("SDK: StepSubmission builder + EIP-712 signing", function () {
+  async function fixture() {
+    const base = await deployGemStepFixture();
+    const { token, admin, user1 } = base;
+    await (await token.connect(admin).configureSource(SOURCE, false, false)).wait();
+    // user path requires stake: 0.0000001 ETH/step default
+    await (await token.connect(user1).stake({ value: ethers.parseEther("0.01") })).wait();
+    return base;
+  }
+
+  it("normalizeVersion mirrors _normalizeVersion", async function () {
+    expect(normalizeVersion("1.0")).to.equal("1.0.0");
+    expect(normalizeVersion("1.0.0")).to.equal("1.0.0");
+    expect(normalizeVersion("2.0")).to.equal("2.0");
+    expect(versionHash("1.0")).to.equal(ethers.id("1.0.0"));
+  });
+
+  it("stepDigest equals the ethers typed-data hash of the normalized message", async function () {
+    const { token, user1 } = await loadFixture(fixture);
+    const domainParams = await resolveStepDomain(token);
+
+    const sub = buildStepSubmission({
+      user: user1.address,
+      steps: 100,
+      nonce: 0,
+      deadline: (await time.latest()) + 600,
+      source: SOURCE,
+      version: "1.0",
+    });
+
+    const expected = ethers.TypedDataEncoder.hash(
+      stepDomain(domainParams),
+      STEPLOG_TYPES,
+      stepMessage(sub, domainParams.chainId)
+    );
+    expect(stepDigest(sub, domainParams)).to.equal(expected);
+  });
+
+  it("rejects obviously invalid payloads before signing", async function () {
+    const { user1 } = await loadFixture(fixture);
+    const base = { user: user1.address, steps: 1, nonce: 0, deadline: 1, source: SOURCE };
+
+    expect(() => buildStepSubmission({ ...base, steps: 0 })).to.throw("No steps provided");
+    expect(() => buildStepSubmission({ ...base, source: "" })).to.throw("Empty source");
+    expect(() => buildStepSubmission({ ...base, version: "x".repeat(33) })).to.throw("Version too long");
+    expect(() => buildVerificationData({ signature: "0x", proof: Array(33).fill(ethers.ZeroHash) }))
+      .to.throw("Proof too long");
+  });
+
+  it("user-signed payload is accepted by logSteps", async function () {
+    const { token, user1 } = await loadFixture(fixture);
+
+    const { submission, verification } = await buildSignedStepPayload({
+      token,
+      signer: user1,
+      user: user1.address,
+      steps: 100n,
+      source: SOURCE,
+    });
+
+    await expect(token.connect(user1).logSteps(submission, verification))
+      .to.emit(token, "RewardClaimed");
+    expect(await token.nonces(user1.address)).to.equal(1n);
+  });
+
+  it("shorthand version '1.0' signs the normalized digest and is accepted", async function () {
+    const { token, user1 } = await loadFixture(fixture);
+
+    const { submission, verification } = await buildSignedStepPayload({
+      token,
+      signer: user1,
+      user: user1.address,
+      steps: 50n,
+      source: SOURCE,
+      version: "1.0",
+    });
+
+    await expect(token.connect(user1).logSteps(submission, verification))
+      .to.emit(token, "RewardClaimed");
+  });
+
+  it("API signer signature recovers to the API key", async function () {
+    const { token, admin, user1 } = await loadFixture(fixture);
+    const domainParams = await resolveStepDomain(token);
+
+    const sub = buildStepSubmission({
+      user: user1.address,
+      steps: 10,
+      nonce: await token.nonces(user1.address),
+      deadline: (await time.latest()) + 600,
+      source: SOURCE,
+    });
+
+    const sig = await signStepSubmission(admin, sub, domainParams);
+    expect(recoverStepSigner(sub, sig, domainParams)).to.equal(admin.address);
+  });
+});
@@ -0,0 +1,54 @@
+/* eslint-disable no-undef */
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+
+const { deployGemStepFixture, snapshotFixture } = require("./fixtures");
+const { ROLES, diffTokenState, exportTokenState, writeTokenSnapshot } = require("../sdk");
+
+describe("Token state snapshot: export → restore into GemStepToken_StateHarness", function () {
+  async function fixture() {
+    const base = await deployGemStepFixture();
+    const { token, admin, user1, user2, rest } = base;
+    const [device, api, pauser] = rest;
+    await (await token.connect(admin).configureSource("googlefit", true, false)).wait();
+    await (await token.connect(admin).addTrustedDevice(device.address)).wait();
+    await (await token.connect(admin).setTrustedAPI(api.address, true)).wait();
+    await (await token.connect(admin).grantRole(ROLES.PAUSER_ROLE, pauser.address)).wait();
+    await (await token.connect(user1).transfer(user2.address, ethers.parseEther("1234"))).wait();
+    await (await token.connect(user1).stake({ value: ethers.parseEther("0.01") })).wait();
+    return base;
+  }
+
+  it("restores a snapshot so that re-exporting it from the local copy shows no difference", async function () {
+    const { token, user1, user2, rest } = await loadFixture(fixture);
+    const snap = await exportTokenState(ethers.provider, await token.getAddress(), { fromBlock: 0 });
+
+    expect(snap.balances[user2.address]).to.equal(ethers.parseEther("11234").toString());
+    expect(snap.roles.PAUSER_ROLE).to.include(rest[2].address);
+    expect(snap.users[rest[0].address]).to.include({ trustedDevice: true });
+    expect(snap.users[rest[1].address]).to.include({ trustedAPI: true });
+    expect(snap.users[user1.address].stake).to.equal(ethers.parseEther("0.01").toString());
+    expect(snap.sources.googlefit).to.include({ valid: true, requiresProof: true });
+
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "gemstep-snapshot-"));
+    try {
+      const file = path.join(dir, "snapshot.json");
+      writeTokenSnapshot(file, snap);
+      const restored = await snapshotFixture(file)();
+      const local = await restored.token.getAddress();
+      expect(local).to.not.equal(snap.token);
+
+      const again = await exportTokenState(ethers.provider, local, { keys: snap.keys });
+      expect(diffTokenState(snap, again)).to.deep.equal([]);
+      expect(await ethers.provider.getBalance(local)).to.equal(BigInt(snap.ethBalance));
+
+      await expect(restored.token.connect(user1).restoreBalances([user1.address], [1n])).to.be.reverted;
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
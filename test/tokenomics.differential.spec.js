@@ -0,0 +1,132 @@
+/* eslint-disable no-undef */
+const fc = require("fast-check");
+const { expect } = require("chai");
+const { ethers, upgrades } = require("hardhat");
+const { time, loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+
+const {
+  INITIAL_SUPPLY,
+  buildSignedStepPayload,
+  readMintingState,
+  halvingThreshold,
+  halvingInfo,
+  simulateSubmission,
+  projectTokenomics,
+} = require("../sdk");
+
+const SOURCE = "applehealth";
+const DAY = 86400;
+
+// Small monthly cap and a halving a few submissions away, so random runs hit both.
+const TEST_MONTHLY_CAP = ethers.parseEther("20");
+const TO_HALVING = ethers.parseEther("10");
+
+describe("Tokenomics model vs contract (differential)", function () {
+  async function fixture() {
+    const [, admin, treasury, user] = await ethers.getSigners();
+
+    const Oracle = await ethers.getContractFactory("MockOracleV2");
+    const oracle = await Oracle.deploy();
+    await oracle.waitForDeployment();
+    await oracle.set(ethers.parseEther("0.005"), await time.latest(), 0);
+    await oracle.setPolicy(300, 100);
+
+    const Harness = await ethers.getContractFactory("GemStepTokenHalvingHarness");
+    const token = await upgrades.deployProxy(
+      Harness,
+      [INITIAL_SUPPLY, admin.address, await oracle.getAddress(), treasury.address],
+      { initializer: "initialize", kind: "transparent" }
+    );
+    await token.waitForDeployment();
+
+    // Trusted-API path: no stake requirement and no anomaly penalties, only the mint rules matter.
+    await (await token.connect(admin).setTrustedAPI(admin.address, true)).wait();
+    await (await token.__setCurrentMonthlyCap(TEST_MONTHLY_CAP)).wait();
+    await (await token.__setDistributedTotal(halvingThreshold(0n) - TO_HALVING)).wait();
+
+    return { token, admin, user };
+  }
+
+  async function submit(token, admin, user, steps, at) {
+    await time.setNextBlockTimestamp(at);
+    const { submission, verification } = await buildSignedStepPayload({
+      token, signer: admin, user: user.address, steps, source: SOURCE, deadline: BigInt(at + 600),
+    });
+    try {
+      await (await token.connect(admin).logSteps(submission, verification)).wait();
+      return { ok: true };
+    } catch (e) {
+      return { ok: false, message: e.message };
+    }
+  }
+
+  it("starts from the on-chain state", async function () {
+    const { token } = await loadFixture(fixture);
+    const s = await readMintingState(token);
+    expect(s.monthlyCap).to.equal(TEST_MONTHLY_CAP);
+    expect(halvingInfo(s).remainingUntilHalving).to.equal(TO_HALVING);
+    expect(s.totalSupply).to.equal(INITIAL_SUPPLY);
+  });
+
+  it("matches logSteps over random submission sequences", async function () {
+    this.timeout(600000);
+
+    const op = fc.record({
+      steps: fc.integer({ min: 1, max: 5000 }),
+      // >= 1 day keeps the interval and daily caps out of the way; up to 40 crosses months.
+      gapDays: fc.integer({ min: 1, max: 40 }),
+      offset: fc.integer({ min: 0, max: DAY - 1000 }),
+    });
+
+    await fc.assert(
+      fc.asyncProperty(fc.array(op, { minLength: 4, maxLength: 10 }), async (ops) => {
+        const { token, admin, user } = await loadFixture(fixture);
+        let model = await readMintingState(token);
+        let t = Math.floor((await time.latest()) / DAY) * DAY;
+
+        for (const { steps, gapDays, offset } of ops) {
+          t += gapDays * DAY;
+          const at = t + offset;
+          const expected = simulateSubmission(model, BigInt(steps), BigInt(at));
+          const actual = await submit(token, admin, user, BigInt(steps), at);
+
+          expect(actual.ok, `steps=${steps} at=${at}: ${actual.message || "ok"}`).to.equal(expected.ok);
+          if (!expected.ok) expect(actual.message).to.include(expected.reason);
+
+          model = expected.state;
+          expect(await readMintingState(token)).to.deep.equal(model);
+        }
+      }),
+      { numRuns: 5 }
+    );
+  });
+
+  it("projectTokenomics matches replaying the same submissions one by one", async function () {
+    const { token } = await loadFixture(fixture);
+    const start = BigInt(Math.floor((await time.latest()) / DAY + 1) * DAY);
+    const state = await readMintingState(token);
+    const scenario = { start, days: 70, dailyUsers: (d) => 1 + (d % 3), stepsPerUser: 4000n };
+
+    const proj = projectTokenomics(state, scenario);
+
+    let s = state;
+    let accepted = 0n;
+    let halvings = 0;
+    for (let d = 0; d < scenario.days; d++) {
+      const at = start + BigInt(d * DAY);
+      for (let i = 0; i < scenario.dailyUsers(d); i++) {
+        const r = simulateSubmission(s, scenario.stepsPerUser, at);
+        if (!r.ok) break;
+        accepted += 1n;
+        if (r.halved) halvings += 1;
+        s = r.state;
+      }
+    }
+
+    expect(proj.state).to.deep.equal(s);
+    expect(proj.months.reduce((a, m) => a + m.submissions, 0n)).to.equal(accepted);
+    expect(proj.halvings).to.have.length(halvings);
+    expect(proj.halvings.length).to.be.greaterThan(0);
+    expect(proj.capExhausted.length).to.be.greaterThan(0);
+  });
+});